@@ -42,6 +42,9 @@ const config = {
   // Server
   port: parseInt(process.env.PORT, 10) || 5000,
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+  // Public API origin, used for links that external clients call back into
+  // (e.g. calendar feed URLs). Falls back to the request host when unset.
+  backendUrl: (process.env.BACKEND_URL || '').replace(/\/+$/, ''),
 
   // CORS: all origins that are allowed to call this API.
   // Strip trailing slashes so "https://example.com/" and "https://example.com" both match.
@@ -81,6 +84,26 @@ const config = {
     expiresIn: process.env.JWT_EXPIRES_IN || '30d',
   },
 
+  // Two-factor authentication
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'FlowTask',
+    // Key for encrypting TOTP secrets at rest; derived from JWT_SECRET when unset
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+    challengeExpiresIn: '5m',
+    setupExpiresIn: '15m',
+    trustedDeviceDays: parseInt(process.env.TWO_FACTOR_TRUSTED_DEVICE_DAYS, 10) || 30,
+  },
+
+  // Personal access tokens and service API keys
+  apiTokens: {
+    maxPerUser: parseInt(process.env.API_TOKENS_MAX_PER_USER, 10) || 20,
+    defaultLifetimeDays: 90,
+    maxLifetimeDays: parseInt(process.env.API_TOKENS_MAX_LIFETIME_DAYS, 10) || 365,
+    // Resolved tokens are cached like sessions; revocation clears this instance's entry
+    cacheTtlMs: 60 * 1000,
+    lastUsedTouchIntervalMs: 5 * 60 * 1000,
+  },
+
   // Auth cache (in-memory LRU)
   authCache: {
     maxSize: parseInt(process.env.AUTH_CACHE_MAX_SIZE, 10) || 1000,
@@ -110,6 +133,34 @@ const config = {
     apiSecret: process.env.CLOUDINARY_API_SECRET,
   },
 
+  // File storage for attachments, avatars and project covers.
+  // driver: cloudinary | local | s3 (any S3-compatible store, e.g. MinIO)
+  storage: {
+    driver: (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase(),
+    // Lifetime of signed download URLs
+    signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL, 10) || 15 * 60,
+    // Signs local-disk download URLs
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    local: {
+      root: process.env.STORAGE_LOCAL_ROOT || null,
+      // Serve stored files without authentication under /uploads/storage, so
+      // inline previews, avatars and covers load like Cloudinary URLs. Off:
+      // files are only reachable through signed /api/files download URLs.
+      publicUrls: process.env.STORAGE_LOCAL_PUBLIC_URLS === 'true',
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // MinIO and most self-hosted stores need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Public base URL for objects (bucket URL or CDN); derived when unset
+      publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, ''),
+    },
+  },
+
   // Slack Integration
   slack: {
     enabled: process.env.SLACK_ENABLED === 'true',
@@ -127,6 +178,106 @@ const config = {
     jwtSecret: process.env.CHAT_JWT_SECRET || '',
   },
 
+  // Outgoing Webhooks (admin-registered endpoints)
+  webhooks: {
+    timeoutMs: 10000,
+    attempts: 5,
+    // Endpoints are switched off after this many deliveries in a row fail
+    maxConsecutiveFailures: parseInt(process.env.WEBHOOK_MAX_CONSECUTIVE_FAILURES, 10) || 15,
+  },
+
+  // Project automation rules
+  automation: {
+    // A rule's actions may trigger further rules; chains stop at this depth
+    maxChainDepth: 5,
+    // Runs of one rule on one card within an hour before further runs are skipped
+    maxRunsPerCardPerHour: parseInt(process.env.AUTOMATION_MAX_RUNS_PER_CARD_PER_HOUR, 10) || 10,
+    // How often overdue cards are checked for "due date passed" rules
+    dueDateScanIntervalMs: 5 * 60 * 1000,
+  },
+
+  sales: {
+    // Sales row statuses (case-insensitive) that mark a lead as won and allow
+    // converting the row into a project
+    wonStatuses: (process.env.SALES_WON_STATUSES || 'hired,won')
+      .split(',')
+      .map((status) => status.trim().toLowerCase())
+      .filter(Boolean),
+    // "Reply From Client" values (case-insensitive) that count as no reply in
+    // sales analytics; an empty value never counts as a reply
+    noReplyValues: (process.env.SALES_NO_REPLY_VALUES || 'no reply,no response,no,none')
+      .split(',')
+      .map((value) => value.trim().toLowerCase())
+      .filter(Boolean),
+    // Custom column key that holds the client name; duplicate detection
+    // fuzzy-matches it together with the bid date
+    clientNameField: process.env.SALES_CLIENT_NAME_FIELD || 'client_name',
+    // Rows for similar client names count as duplicates when their dates are
+    // at most this many days apart
+    duplicateDateWindowDays: parseInt(process.env.SALES_DUPLICATE_DATE_WINDOW_DAYS, 10) || 3,
+  },
+
+  // Capacity planning (team workload view)
+  capacity: {
+    // Used for people who have no capacity settings of their own
+    defaultHoursPerDay: parseFloat(process.env.CAPACITY_DEFAULT_HOURS_PER_DAY) || 8,
+    defaultWorkingDays: (process.env.CAPACITY_DEFAULT_WORKING_DAYS || '1,2,3,4,5')
+      .split(',')
+      .map((day) => parseInt(day, 10))
+      .filter((day) => day >= 0 && day <= 6),
+    // A person is over-allocated when planned hours exceed this share of
+    // their available hours in the viewed range
+    overAllocationPercent: parseInt(process.env.CAPACITY_OVERALLOCATION_PERCENT, 10) || 100,
+  },
+
+  // Live time-tracking timers
+  timer: {
+    // A running timer with no activity from its owner for this long is
+    // treated as idle, and the owner is asked whether to discard the idle time
+    idleLimitMinutes: parseInt(process.env.TIMER_IDLE_LIMIT_MINUTES, 10) || 120,
+  },
+
+  // Client invoices
+  invoice: {
+    // Seller details printed on invoice PDFs
+    companyName: process.env.INVOICE_COMPANY_NAME || 'FlowTask',
+    companyAddress: process.env.INVOICE_COMPANY_ADDRESS || '',
+    companyEmail: process.env.INVOICE_COMPANY_EMAIL || '',
+    // Due date for invoices sent without one
+    paymentTermsDays: parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS, 10) || 30,
+  },
+
+  // Email and push delivery (quiet hours, grouping, digests)
+  notificationDelivery: {
+    // Similar notifications within this window go out as one
+    groupWindowMinutes: parseInt(process.env.NOTIFICATION_GROUP_WINDOW_MINUTES, 10) || 10,
+    // Local time daily and weekly digests are sent (weekday: 0 = Sunday)
+    digestHour: process.env.NOTIFICATION_DIGEST_HOUR ? parseInt(process.env.NOTIFICATION_DIGEST_HOUR, 10) : 8,
+    digestWeekday: process.env.NOTIFICATION_DIGEST_WEEKDAY ? parseInt(process.env.NOTIFICATION_DIGEST_WEEKDAY, 10) : 1,
+    // Daily and weekly digests list assigned tasks due within this window
+    dueSoonHours: parseInt(process.env.NOTIFICATION_DUE_SOON_HOURS, 10) || 48,
+  },
+
+  // Inbound email: replies to notification emails, project email-in
+  // addresses and client replies to reminders. Plus-addresses of `address`
+  // (e.g. inbox+p1a2b@example.com) are read from the IMAP mailbox.
+  inboundEmail: {
+    address: process.env.INBOUND_EMAIL_ADDRESS || '',
+    imap: {
+      host: process.env.INBOUND_IMAP_HOST || '',
+      port: parseInt(process.env.INBOUND_IMAP_PORT, 10) || 993,
+      secure: process.env.INBOUND_IMAP_SECURE !== 'false',
+      user: process.env.INBOUND_IMAP_USER || process.env.INBOUND_EMAIL_ADDRESS || '',
+      pass: process.env.INBOUND_IMAP_PASS || '',
+      mailbox: process.env.INBOUND_IMAP_MAILBOX || 'INBOX',
+    },
+    pollIntervalSeconds: parseInt(process.env.INBOUND_POLL_INTERVAL_SECONDS, 10) || 60,
+    // Signs reply-to addresses so they cannot be forged for other cards
+    secret: process.env.INBOUND_EMAIL_SECRET || process.env.JWT_SECRET,
+    // Larger attachments are skipped
+    maxAttachmentBytes: parseInt(process.env.INBOUND_MAX_ATTACHMENT_MB, 10) * 1024 * 1024 || 10 * 1024 * 1024,
+  },
+
   // Admin Seed
   admin: {
     email: process.env.ADMIN_EMAIL || 'dev@starkedge.com',
@@ -151,6 +302,13 @@ const config = {
       windowMs: 60 * 1000,
       maxRequests: 30,
     },
+    // Per API token; each token may set its own maxRequests up to the ceiling
+    apiToken: {
+      windowMs: 60 * 1000,
+      personalMaxRequests: parseInt(process.env.API_TOKEN_RATE_LIMIT, 10) || 60,
+      serviceMaxRequests: parseInt(process.env.API_SERVICE_KEY_RATE_LIMIT, 10) || 300,
+      ceiling: 1000,
+    },
   },
 
   // Socket.IO
@@ -160,6 +318,14 @@ const config = {
     pingInterval: 25000,
     maxHttpBufferSize: 1e6,
     perMessageDeflateThreshold: 1024,
+    // Presence: viewers without a heartbeat for idleTimeoutMs are hidden, and
+    // an editing/typing state lapses to viewing unless refreshed
+    presence: {
+      idleTimeoutMs: 2 * 60 * 1000,
+      activityTimeoutMs: 15 * 1000,
+      sweepIntervalMs: 15 * 1000,
+      maxWatchedCards: 500,
+    },
   },
 
   // Background Jobs (BullMQ)
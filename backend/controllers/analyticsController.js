@@ -2,7 +2,7 @@ import mongoose from 'mongoose';
 import asyncHandler from '../middleware/asyncHandler.js';
 import { ErrorResponse } from '../middleware/errorHandler.js';
 import { parseAnalyticsFilters } from '../services/analytics/analyticsFilters.js';
-import { getAnalyticsTaskList, getDashboardAnalytics, getEmployeeAssignedTasks } from '../services/analytics/analyticsService.js';
+import { getAnalyticsTaskList, getDashboardAnalytics, getEmployeeAssignedTasks, getFlowAnalytics } from '../services/analytics/analyticsService.js';
 
 const dashboard = async (req) => getDashboardAnalytics(req.user, parseAnalyticsFilters(req.query));
 
@@ -11,6 +11,12 @@ export const getAnalyticsDashboard = asyncHandler(async (req, res) => {
   res.status(200).set('Cache-Control', 'no-store').json({ success: true, data });
 });
 
+// Cumulative flow, lead/cycle time and weekly throughput from list transitions.
+export const getAnalyticsFlow = asyncHandler(async (req, res) => {
+  const data = await getFlowAnalytics(req.user, parseAnalyticsFilters(req.query));
+  res.status(200).set('Cache-Control', 'no-store').json({ success: true, data });
+});
+
 // Compatibility endpoint for older clients, backed by the same secure service.
 export const getDepartmentAnalytics = asyncHandler(async (req, res) => {
   const query = { ...req.query };
@@ -8,14 +8,12 @@ import notificationService from "../utils/notificationService.js";
 import { emitNotification, getIO } from "../realtime/index.js";
 import { slackHooks } from "../utils/slackHooks.js";
 import { chatHooks } from "../utils/chatHooks.js";
+import { validateAnnouncementFile, generateFileHash } from "../utils/cloudinary.js";
 import {
-  uploadAnnouncementAttachment,
   uploadMultipleAnnouncementAttachments,
-  deleteAnnouncementAttachment,
-  deleteMultipleAnnouncementAttachments,
-  validateAnnouncementFile,
-  generateFileHash
-} from "../utils/cloudinary.js";
+  deleteFile,
+  deleteFiles
+} from "../services/storage/storageService.js";
 import {
   scheduleAnnouncementBroadcast,
   scheduleAnnouncementArchive,
@@ -342,7 +340,7 @@ export const createAnnouncement = asyncHandler(async (req, res, next) => {
 
   // If there were files uploaded in the request, upload them directly into the
   // announcement's permanent folder now that we have an announcement ID. This
-  // avoids Cloudinary renames and reduces background processing timeouts.
+  // avoids moving stored files afterwards and reduces background processing timeouts.
   if (filesToUpload.length > 0) {
     try {
       const uploadResults = await uploadMultipleAnnouncementAttachments(
@@ -577,15 +575,15 @@ export const deleteAnnouncement = asyncHandler(async (req, res, next) => {
       const attachmentsToDelete = announcement.attachments
         .filter(att => !att.isDeleted && att.public_id)
         .map(att => ({
-          public_id: att.public_id,
-          resource_type: att.resource_type
+          key: att.public_id,
+          resourceType: att.resource_type
         }));
 
       if (attachmentsToDelete.length > 0) {
-        await deleteMultipleAnnouncementAttachments(attachmentsToDelete);
+        await deleteFiles(attachmentsToDelete);
       }
     } catch (error) {
-      console.error('Error deleting Cloudinary attachments:', error);
+      console.error('Error deleting announcement attachments from storage:', error);
     }
   }
 
@@ -1024,7 +1022,7 @@ export const uploadAttachments = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Upload files to Cloudinary
+  // Upload files to storage
   const uploadResults = await uploadMultipleAnnouncementAttachments(
     filesToUpload,
     announcement._id.toString(),
@@ -1089,11 +1087,11 @@ export const deleteAttachment = asyncHandler(async (req, res, next) => {
   }
 
   if (permanent === 'true') {
-    // Permanently delete from Cloudinary
+    // Permanently delete from storage
     try {
-      await deleteAnnouncementAttachment(attachment.public_id, attachment.resource_type);
+      await deleteFile(attachment.public_id, attachment.resource_type);
     } catch (error) {
-      console.error('Error deleting from Cloudinary:', error);
+      console.error('Error deleting from storage:', error);
     }
 
     // Remove from database
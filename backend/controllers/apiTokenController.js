@@ -0,0 +1,101 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import config from '../config/index.js';
+import { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import {
+  listApiTokens,
+  createApiToken,
+  rotateApiToken,
+  revokeApiToken,
+  defaultRateLimit
+} from '../services/auth/apiTokenService.js';
+import { buildOpenApiDocument } from '../services/publicApi/openApiDocument.js';
+
+/**
+ * @desc    Scopes and limits for the token form
+ * @route   GET /api/api-tokens/options
+ * @access  Private
+ */
+export const getApiTokenOptions = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      scopes: API_TOKEN_SCOPES,
+      defaultLifetimeDays: config.apiTokens.defaultLifetimeDays,
+      maxLifetimeDays: config.apiTokens.maxLifetimeDays,
+      rateLimitWindowMs: config.rateLimit.apiToken.windowMs,
+      defaultRateLimits: {
+        personal: defaultRateLimit('personal'),
+        service: defaultRateLimit('service')
+      },
+      maxRateLimit: config.rateLimit.apiToken.ceiling
+    }
+  });
+});
+
+/**
+ * @desc    List your personal access tokens, or all service API keys (admins)
+ * @route   GET /api/api-tokens?kind=personal|service
+ * @access  Private
+ */
+export const getApiTokens = asyncHandler(async (req, res) => {
+  const tokens = await listApiTokens(req.user, { kind: req.query.kind });
+
+  res.status(200).json({
+    success: true,
+    data: tokens
+  });
+});
+
+/**
+ * @desc    Create a token. The token itself is only shown once.
+ * @route   POST /api/api-tokens
+ * @access  Private (service keys: Admin)
+ */
+export const createToken = asyncHandler(async (req, res) => {
+  const { name, kind, scopes, expiresInDays, rateLimit } = req.body;
+  const { apiToken, token } = await createApiToken(req.user, { name, kind, scopes, expiresInDays, rateLimit });
+
+  res.status(201).json({
+    success: true,
+    data: { ...apiToken, token }
+  });
+});
+
+/**
+ * @desc    Issue a new secret for a token, invalidating the old one
+ * @route   POST /api/api-tokens/:tokenId/rotate
+ * @access  Private
+ */
+export const rotateToken = asyncHandler(async (req, res) => {
+  const { apiToken, token } = await rotateApiToken(req.user, req.params.tokenId);
+
+  res.status(200).json({
+    success: true,
+    data: { ...apiToken, token }
+  });
+});
+
+/**
+ * @desc    Revoke a token
+ * @route   DELETE /api/api-tokens/:tokenId
+ * @access  Private
+ */
+export const revokeToken = asyncHandler(async (req, res) => {
+  await revokeApiToken(req.user, req.params.tokenId);
+
+  res.status(200).json({
+    success: true,
+    message: 'API token revoked'
+  });
+});
+
+/**
+ * @desc    OpenAPI document for the public REST API
+ * @route   GET /api/openapi.json
+ * @access  Public
+ */
+export const getOpenApiDocument = (req, res) => {
+  res.status(200).json(buildOpenApiDocument({
+    serverUrl: config.backendUrl || `${req.protocol}://${req.get('host')}`
+  }));
+};
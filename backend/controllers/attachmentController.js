@@ -8,18 +8,11 @@ import Board from '../models/Board.js';
 import { ErrorResponse } from '../middleware/errorHandler.js';
 import { emitToBoard } from '../realtime/index.js';
 import { chatHooks } from '../utils/chatHooks.js';
-import {
-  uploadToCloudinary,
-  deleteFromCloudinary,
-  deleteMultipleFromCloudinary,
-  getFileTypeCategory,
-  getCloudinaryResourceType,
-  getThumbnailUrl,
-  getOptimizedUrl
-} from '../utils/cloudinary.js';
+import { getFileTypeCategory, getCloudinaryResourceType } from '../utils/cloudinary.js';
+import { uploadFile, getDownloadUrl, isStorageConfigError } from '../services/storage/storageService.js';
 import multer from 'multer';
 
-// Configure multer for memory storage (we'll upload to Cloudinary)
+// Configure multer for memory storage (files are handed to the storage service)
 const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
@@ -59,7 +52,7 @@ export const uploadMiddleware = multer({
   fileFilter
 });
 
-// @desc    Upload single attachment to Cloudinary
+// @desc    Upload single attachment
 // @route   POST /api/attachments/upload
 // @access  Private
 export const uploadAttachment = asyncHandler(async (req, res) => {
@@ -153,12 +146,14 @@ export const uploadAttachment = asyncHandler(async (req, res) => {
     }
   }
 
-  // Upload to Cloudinary
-  let cloudinaryResult;
+  // Upload to the configured storage backend
+  let stored;
   try {
-    cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
+    stored = await uploadFile(req.file.buffer, {
       folder: folderPath,
       resourceType,
+      mimetype: req.file.mimetype,
+      originalName: req.file.originalname,
       context: {
         [parentType]: parentRefId,
         uploadedBy: req.user.id,
@@ -168,7 +163,7 @@ export const uploadAttachment = asyncHandler(async (req, res) => {
   } catch (error) {
     console.error('Upload failed:', error.message);
     throw new ErrorResponse(
-      error.message.includes('Cloudinary configuration missing') 
+      isStorageConfigError(error)
         ? 'Server storage configuration error' 
         : 'Image upload failed', 
       500
@@ -182,11 +177,11 @@ export const uploadAttachment = asyncHandler(async (req, res) => {
     fileType,
     mimeType: req.file.mimetype,
     fileSize: req.file.size,
-    url: cloudinaryResult.url,
-    secureUrl: cloudinaryResult.secure_url,
-    publicId: cloudinaryResult.public_id,
-    resourceType: cloudinaryResult.resource_type,
-    format: cloudinaryResult.format,
+    url: stored.url,
+    secureUrl: stored.secureUrl,
+    publicId: stored.key,
+    resourceType: stored.resourceType,
+    format: stored.format,
     // Use the frontend's contextType ('description' or 'comment') for proper separation
     // If contextType is 'comment' and commentId is provided, use it
     // Otherwise use contextRef or fallback to parentRefId
@@ -195,10 +190,10 @@ export const uploadAttachment = asyncHandler(async (req, res) => {
     board: resolvedBoardId,
     comment: commentId || null,
     uploadedBy: req.user.id,
-    width: cloudinaryResult.width,
-    height: cloudinaryResult.height,
-    pages: cloudinaryResult.pages,
-    duration: cloudinaryResult.duration,
+    width: stored.width,
+    height: stored.height,
+    pages: stored.pages,
+    duration: stored.duration,
     isCover: shouldSetAsCover,
     versionGroup,
     versionNumber,
@@ -218,20 +213,10 @@ export const uploadAttachment = asyncHandler(async (req, res) => {
     attachmentData.board = resolvedBoardId;
   }
 
-  // Add thumbnail URLs for images - but not for SVGs (vector format)
+  // Thumbnail URLs for images (the storage service skips SVGs - vector format)
   if (fileType === 'image') {
-    const mimeType = req.file.mimetype;
-    const isSvg = mimeType === 'image/svg+xml';
-    
-    if (!isSvg) {
-      // Only generate thumbnails for raster images
-      attachmentData.thumbnailUrl = getThumbnailUrl(cloudinaryResult.public_id, 200, 200);
-      attachmentData.previewUrl = getOptimizedUrl(cloudinaryResult.public_id, {
-        width: 800,
-        height: 800,
-        crop: 'limit'
-      });
-    }
+    attachmentData.thumbnailUrl = stored.thumbnailUrl;
+    attachmentData.previewUrl = stored.previewUrl;
   }
 
   const attachment = await Attachment.create(attachmentData);
@@ -315,7 +300,7 @@ export const uploadAttachment = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Upload multiple attachments to Cloudinary
+// @desc    Upload multiple attachments
 // @route   POST /api/attachments/upload-multiple
 // @access  Private
 export const uploadMultipleAttachments = asyncHandler(async (req, res) => {
@@ -336,9 +321,11 @@ export const uploadMultipleAttachments = asyncHandler(async (req, res) => {
     const resourceType = getCloudinaryResourceType(file.mimetype);
 
     try {
-      const cloudinaryResult = await uploadToCloudinary(file.buffer, {
+      const stored = await uploadFile(file.buffer, {
         folder: `flowtask/cards/${cardId}/attachments`,
         resourceType,
+        mimetype: file.mimetype,
+        originalName: file.originalname,
         context: {
           cardId,
           uploadedBy: req.user.id,
@@ -347,39 +334,32 @@ export const uploadMultipleAttachments = asyncHandler(async (req, res) => {
       });
 
       const attachmentData = {
-        fileName: cloudinaryResult.public_id.split('/').pop(),
+        fileName: stored.key.split('/').pop(),
         originalName: file.originalname,
         fileType,
         mimeType: file.mimetype,
         fileSize: file.size,
-        url: cloudinaryResult.url,
-        secureUrl: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        resourceType: cloudinaryResult.resource_type,
-        format: cloudinaryResult.format,
+        url: stored.url,
+        secureUrl: stored.secureUrl,
+        publicId: stored.key,
+        resourceType: stored.resourceType,
+        format: stored.format,
         // Use the frontend's contextType ('description' or 'comment') for proper separation
         contextType: contextType || 'description',
         contextRef: contextRef || cardId,
         card: cardId,
         board: card.board,
         uploadedBy: req.user.id,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        pages: cloudinaryResult.pages,
-        duration: cloudinaryResult.duration
+        width: stored.width,
+        height: stored.height,
+        pages: stored.pages,
+        duration: stored.duration
       };
 
       if (fileType === 'image') {
-        // Skip thumbnails for SVG - vector format doesn't need rasterization
-        const isSvg = file.mimetype === 'image/svg+xml';
-        if (!isSvg) {
-          attachmentData.thumbnailUrl = getThumbnailUrl(cloudinaryResult.public_id, 200, 200);
-          attachmentData.previewUrl = getOptimizedUrl(cloudinaryResult.public_id, {
-            width: 800,
-            height: 800,
-            crop: 'limit'
-          });
-        }
+        // No thumbnails for SVG - vector format doesn't need rasterization
+        attachmentData.thumbnailUrl = stored.thumbnailUrl;
+        attachmentData.previewUrl = stored.previewUrl;
       }
 
       return { success: true, data: attachmentData, originalName: file.originalname };
@@ -639,6 +619,30 @@ export const getAttachment = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get a short-lived download URL for an attachment
+// @route   GET /api/attachments/:id/download
+// @access  Private
+export const getAttachmentDownloadUrl = asyncHandler(async (req, res) => {
+  const attachment = await Attachment.findById(req.params.id)
+    .select('publicId resourceType format fileName originalName isDeleted')
+    .lean();
+
+  if (!attachment || attachment.isDeleted) {
+    throw new ErrorResponse('Attachment not found', 404);
+  }
+
+  const { url, expiresAt } = await getDownloadUrl(attachment.publicId, {
+    resourceType: attachment.resourceType,
+    format: attachment.format,
+    fileName: attachment.originalName || attachment.fileName
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { url, expiresAt }
+  });
+});
+
 // @desc    Delete attachment
 // @route   DELETE /api/attachments/:id
 // @access  Private
@@ -692,7 +696,7 @@ export const deleteAttachment = asyncHandler(async (req, res) => {
     console.error('Error building originalContext on delete:', e);
   }
 
-  // Soft delete only (do not remove from Cloudinary here)
+  // Soft delete only (do not remove from storage here)
   await attachment.softDelete(req.user.id);
 
   // Auto-promote next description image to cover if deleted attachment was cover
@@ -790,7 +794,7 @@ export const deleteMultipleAttachments = asyncHandler(async (req, res) => {
     });
   }
 
-  // Prepare originalContext + soft delete (no Cloudinary deletion here)
+  // Prepare originalContext + soft delete (no storage deletion here)
   const now = new Date();
   for (const att of attachments) {
     try {
@@ -974,10 +978,11 @@ export const uploadFromPaste = asyncHandler(async (req, res) => {
   const format = formatMatch ? formatMatch[1] : 'png';
   const mimeType = `image/${format}`;
 
-  // Upload to Cloudinary
-  const cloudinaryResult = await uploadToCloudinary(buffer, {
+  // Upload to the configured storage backend
+  const stored = await uploadFile(buffer, {
     folder: folderPath,
     resourceType: 'image',
+    mimetype: mimeType,
     format,
     context: {
       [parentType]: parentRefId,
@@ -990,29 +995,25 @@ export const uploadFromPaste = asyncHandler(async (req, res) => {
   let shouldSetAsCover = setCover && parentType === 'card';
 
   const attachmentData = {
-    fileName: cloudinaryResult.public_id.split('/').pop(),
+    fileName: stored.key.split('/').pop(),
     originalName: `pasted-image-${Date.now()}.${format}`,
     fileType: 'image',
     mimeType,
     fileSize: buffer.length,
-    url: cloudinaryResult.url,
-    secureUrl: cloudinaryResult.secure_url,
-    publicId: cloudinaryResult.public_id,
+    url: stored.url,
+    secureUrl: stored.secureUrl,
+    publicId: stored.key,
     resourceType: 'image',
-    format: cloudinaryResult.format,
+    format: stored.format,
     // Use the frontend's contextType ('description' or 'comment') for proper separation
     contextType: contextType || 'description',
     contextRef: contextType === 'comment' ? (contextRef || parentRefId) : (contextRef || parentRefId),
     board: boardId,
     uploadedBy: req.user.id,
-    width: cloudinaryResult.width,
-    height: cloudinaryResult.height,
-    thumbnailUrl: getThumbnailUrl(cloudinaryResult.public_id, 200, 200),
-    previewUrl: getOptimizedUrl(cloudinaryResult.public_id, {
-      width: 800,
-      height: 800,
-      crop: 'limit'
-    }),
+    width: stored.width,
+    height: stored.height,
+    thumbnailUrl: stored.thumbnailUrl,
+    previewUrl: stored.previewUrl,
     isCover: shouldSetAsCover
   };
 
@@ -1057,7 +1058,7 @@ export const uploadFromPaste = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Upload file from Google Drive to Cloudinary
+// @desc    Upload file from Google Drive
 // @route   POST /api/attachments/upload-from-drive
 // @access  Private
 export const uploadFromGoogleDrive = asyncHandler(async (req, res) => {
@@ -1196,15 +1197,17 @@ export const uploadFromGoogleDrive = asyncHandler(async (req, res) => {
     throw new ErrorResponse(`Failed to fetch file from Google Drive: ${error.message}`, 500);
   }
 
-  // Upload to Cloudinary
+  // Upload to the configured storage backend
   const fileType = getFileTypeCategory(actualMimeType);
   const resourceType = getCloudinaryResourceType(actualMimeType);
 
-  let cloudinaryResult;
+  let stored;
   try {
-    cloudinaryResult = await uploadToCloudinary(fileBuffer, {
+    stored = await uploadFile(fileBuffer, {
       folder: folderPath,
       resourceType,
+      mimetype: actualMimeType,
+      originalName: actualFileName,
       context: {
         [parentType]: parentRefId,
         uploadedBy: req.user.id,
@@ -1214,9 +1217,9 @@ export const uploadFromGoogleDrive = asyncHandler(async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Cloudinary upload failed:', error.message);
+    console.error('Storage upload failed:', error.message);
     throw new ErrorResponse(
-      error.message.includes('Cloudinary configuration missing')
+      isStorageConfigError(error)
         ? 'Server storage configuration error'
         : 'File upload to storage failed',
       500
@@ -1225,25 +1228,25 @@ export const uploadFromGoogleDrive = asyncHandler(async (req, res) => {
 
   // Create attachment record
   const attachmentData = {
-    fileName: cloudinaryResult.public_id.split('/').pop(),
+    fileName: stored.key.split('/').pop(),
     originalName: actualFileName,
     fileType,
     mimeType: actualMimeType,
     fileSize: fileBuffer.length,
-    url: cloudinaryResult.url,
-    secureUrl: cloudinaryResult.secure_url,
-    publicId: cloudinaryResult.public_id,
-    resourceType: cloudinaryResult.resource_type,
-    format: cloudinaryResult.format,
+    url: stored.url,
+    secureUrl: stored.secureUrl,
+    publicId: stored.key,
+    resourceType: stored.resourceType,
+    format: stored.format,
     contextType: contextType || 'description',
     contextRef: contextType === 'comment' ? (commentId || contextRef || parentRefId) : (contextRef || parentRefId),
     board: boardId,
     comment: commentId || null,
     uploadedBy: req.user.id,
-    width: cloudinaryResult.width,
-    height: cloudinaryResult.height,
-    pages: cloudinaryResult.pages,
-    duration: cloudinaryResult.duration
+    width: stored.width,
+    height: stored.height,
+    pages: stored.pages,
+    duration: stored.duration
   };
 
   // Set the correct parent field
@@ -1257,17 +1260,8 @@ export const uploadFromGoogleDrive = asyncHandler(async (req, res) => {
 
   // Add thumbnail URLs for images - but not for SVGs (vector format)
   if (fileType === 'image') {
-    const isSvg = actualMimeType === 'image/svg+xml';
-    if (!isSvg) {
-      // Only generate thumbnails for raster images
-      attachmentData.thumbnailUrl = getThumbnailUrl(cloudinaryResult.public_id, 200, 200);
-      attachmentData.previewUrl = getOptimizedUrl(cloudinaryResult.public_id, {
-        width: 800,
-        height: 800,
-        crop: 'limit'
-      });
-    }
-    // SVG: skip thumbnails - vector format scales infinitely
+    attachmentData.thumbnailUrl = stored.thumbnailUrl;
+    attachmentData.previewUrl = stored.previewUrl;
   }
 
   const attachment = await Attachment.create(attachmentData);
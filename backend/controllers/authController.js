@@ -10,6 +10,7 @@ import { sendEmail, sendPasswordResetEmail } from '../utils/email.js';
 import notificationService from '../utils/notificationService.js';
 import { chatHooks } from '../utils/chatHooks.js';
 import config from '../config/index.js';
+import * as twoFactorService from '../services/auth/twoFactorService.js';
 import {
   runBackground,
   sendEmailInBackground,
@@ -24,6 +25,21 @@ const generateToken = (id) => {
   });
 };
 
+// Shape of `user` in every response that starts a session
+const serializeAuthUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  roleId: user.roleId,
+  department: user.department,
+  team: user.team,
+  avatar: user.avatar,
+  isVerified: user.isVerified,
+  forcePasswordChange: user.forcePasswordChange,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+});
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -149,6 +165,25 @@ export const login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
+  // Second factor: enrolled users get a challenge unless this browser was
+  // remembered; users the policy obliges to enroll must do so first.
+  if (user.twoFactor?.enabled) {
+    const trusted = await twoFactorService.isTrustedDevice(user._id, req.body.deviceToken);
+    if (!trusted) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.signTwoFactorToken(user._id, twoFactorService.TWO_FACTOR_TOKEN_PURPOSES.CHALLENGE)
+      });
+    }
+  } else if (await twoFactorService.isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      success: true,
+      twoFactorSetupRequired: true,
+      setupToken: twoFactorService.signTwoFactorToken(user._id, twoFactorService.TWO_FACTOR_TOKEN_PURPOSES.SETUP)
+    });
+  }
+
   // Update last login
   user.lastLogin = Date.now();
   await user.save();
@@ -159,18 +194,166 @@ export const login = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     token,
-    user: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      roleId: user.roleId,
-      department: user.department,
-      team: user.team,
-      avatar: user.avatar,
-      isVerified: user.isVerified,
-      forcePasswordChange: user.forcePasswordChange
-    }
+    user: serializeAuthUser(user)
+  });
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+export const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode, rememberDevice } = req.body;
+
+  const userId = twoFactorService.verifyTwoFactorToken(challengeToken, twoFactorService.TWO_FACTOR_TOKEN_PURPOSES.CHALLENGE);
+  if (!userId) {
+    return next(new ErrorResponse('Your sign-in attempt has expired. Please sign in again.', 401));
+  }
+  if (!code && !recoveryCode) {
+    return next(new ErrorResponse('Please provide an authentication code or a recovery code', 400));
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    return next(new ErrorResponse('Account has been deactivated', 401));
+  }
+
+  const result = await twoFactorService.verifySecondFactor(user._id, { code, recoveryCode });
+  const deviceToken = rememberDevice
+    ? await twoFactorService.trustDevice(user._id, req.get('user-agent'))
+    : undefined;
+
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    token: generateToken(user._id),
+    deviceToken,
+    recoveryCodesRemaining: result.recoveryCodesRemaining,
+    user: serializeAuthUser(user)
+  });
+});
+
+// @desc    Get two-factor status, recovery code count and trusted devices
+// @route   GET /api/auth/2fa/status
+// @access  Private
+export const getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const status = await twoFactorService.getStatus(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: status
+  });
+});
+
+// @desc    Start TOTP enrollment (returns secret + QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (session or setup token)
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const enrollment = await twoFactorService.beginEnrollment(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: enrollment
+  });
+});
+
+// @desc    Confirm TOTP enrollment and issue recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (session or setup token)
+export const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+  // Forced enrollment during login: finish signing the user in
+  if (req.twoFactorSetupSession) {
+    const user = await User.findById(req.user._id);
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      recoveryCodes,
+      token: generateToken(user._id),
+      user: serializeAuthUser(user)
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    recoveryCodes
+  });
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!password || !(await user.comparePassword(password))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+  if (await twoFactorService.isTwoFactorRequired(user)) {
+    return next(new ErrorResponse('Two-factor authentication is required for your account and cannot be turned off', 403));
+  }
+
+  await twoFactorService.verifySecondFactor(user._id, { code, recoveryCode });
+  await twoFactorService.disableTwoFactor(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  await twoFactorService.verifySecondFactor(req.user._id, { code: req.body.code });
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    recoveryCodes
+  });
+});
+
+// @desc    Forget one remembered device, or all of them
+// @route   DELETE /api/auth/2fa/devices/:deviceId?
+// @access  Private
+export const revokeTrustedDevices = asyncHandler(async (req, res, next) => {
+  await twoFactorService.revokeTrustedDevices(req.user._id, req.params.deviceId || null);
+
+  res.status(200).json({
+    success: true,
+    message: req.params.deviceId ? 'Device removed' : 'All remembered devices removed'
+  });
+});
+
+// @desc    Get the organisation two-factor policy
+// @route   GET /api/auth/2fa/policy
+// @access  Private (Admin only)
+export const getTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await twoFactorService.getPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Update which roles must use two-factor authentication
+// @route   PUT /api/auth/2fa/policy
+// @access  Private (Admin only)
+export const updateTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  const { requiredRoles, requireForFinanceAccess } = req.body;
+  const policy = await twoFactorService.updatePolicy({ requiredRoles, requireForFinanceAccess }, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: policy
   });
 });
 
@@ -478,6 +661,18 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.password;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpires = undefined;
+
+  // A reset link only proves access to the mailbox. Accounts with a second
+  // factor (or obliged to enroll) sign in normally so login can ask for it.
+  if (user.twoFactor?.enabled || await twoFactorService.isTwoFactorRequired(user)) {
+    await user.save();
+    return res.status(200).json({
+      success: true,
+      signInRequired: true,
+      message: 'Password reset successfully. Please sign in to continue.'
+    });
+  }
+
   user.lastLogin = Date.now();
   await user.save();
 
@@ -0,0 +1,77 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { emitToBoard } from '../realtime/index.js';
+import {
+  findRuleOr404,
+  listRulesForBoard,
+  createRule,
+  updateRule,
+  deleteRule,
+  listExecutions,
+  getAutomationMeta as getMeta,
+} from '../services/automation/automationService.js';
+
+const notifyRulesChanged = (boardId, req) => {
+  emitToBoard(boardId.toString(), 'automations-updated', {
+    boardId: boardId.toString(),
+    updatedBy: { id: req.user.id, name: req.user.name },
+  });
+};
+
+// @desc    List the supported triggers, actions and loop-protection limits
+// @route   GET /api/automations/meta
+// @access  Private
+export const getAutomationMeta = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: getMeta() });
+});
+
+// @desc    Get a project's automation rules
+// @route   GET /api/automations/board/:boardId
+// @access  Private
+export const getAutomationRules = asyncHandler(async (req, res) => {
+  const rules = await listRulesForBoard(req.params.boardId);
+  res.status(200).json({ success: true, data: rules });
+});
+
+// @desc    Get the execution log of every rule in a project
+// @route   GET /api/automations/board/:boardId/executions
+// @access  Private
+export const getBoardExecutions = asyncHandler(async (req, res) => {
+  const { executions, pagination } = await listExecutions({ board: req.params.boardId }, req.query);
+  res.status(200).json({ success: true, data: executions, pagination });
+});
+
+// @desc    Create an automation rule
+// @route   POST /api/automations
+// @access  Private (project owner, admin, manager)
+export const createAutomationRule = asyncHandler(async (req, res) => {
+  const rule = await createRule(req.body, req.user);
+  notifyRulesChanged(rule.board, req);
+  res.status(201).json({ success: true, data: rule });
+});
+
+// @desc    Update an automation rule (including pausing / resuming it)
+// @route   PUT /api/automations/:id
+// @access  Private (project owner, admin, manager)
+export const updateAutomationRule = asyncHandler(async (req, res) => {
+  const rule = await updateRule(req.params.id, req.body, req.user);
+  notifyRulesChanged(rule.board, req);
+  res.status(200).json({ success: true, data: rule });
+});
+
+// @desc    Delete an automation rule (its execution log expires on its own)
+// @route   DELETE /api/automations/:id
+// @access  Private (project owner, admin, manager)
+export const deleteAutomationRule = asyncHandler(async (req, res) => {
+  const rule = await deleteRule(req.params.id, req.user);
+  notifyRulesChanged(rule.board, req);
+  res.status(200).json({ success: true, message: 'Automation rule deleted' });
+});
+
+// @desc    Get one rule's execution log
+// @route   GET /api/automations/:id/executions
+// @access  Private
+export const getRuleExecutions = asyncHandler(async (req, res) => {
+  const rule = await findRuleOr404(req.params.id);
+  const { executions, pagination } = await listExecutions({ rule: rule._id }, req.query);
+  res.status(200).json({ success: true, data: executions, pagination });
+});
@@ -1,7 +1,7 @@
 import User from '../models/User.js';
 import asyncHandler from '../middleware/asyncHandler.js';
 import { ErrorResponse } from '../middleware/errorHandler.js';
-import { uploadAvatarToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+import { uploadAvatar as storeAvatar, deleteFile } from '../services/storage/storageService.js';
 
 // Allowed avatar file types
 const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
@@ -44,8 +44,8 @@ export const uploadAvatar = asyncHandler(async (req, res, next) => {
     // Store old avatar public_id for cleanup (if exists)
     const oldAvatarPublicId = user.avatarPublicId || null;
 
-    // Upload to Cloudinary with avatar-specific optimizations
-    const result = await uploadAvatarToCloudinary(file.buffer, {
+    // Upload to storage with avatar-specific optimizations
+    const result = await storeAvatar(file.buffer, {
       userId: req.user.id,
       originalName: file.originalname
     });
@@ -64,9 +64,9 @@ export const uploadAvatar = asyncHandler(async (req, res, next) => {
 
     await user.save();
 
-    // Delete old avatar from Cloudinary (non-blocking)
+    // Delete old avatar from storage (non-blocking)
     if (oldAvatarPublicId) {
-      deleteFromCloudinary(oldAvatarPublicId, 'image').catch(err => {
+      deleteFile(oldAvatarPublicId, 'image').catch(err => {
         console.error('Failed to delete old avatar:', err);
       });
     }
@@ -148,8 +148,8 @@ export const uploadAvatarFromGoogleDrive = asyncHandler(async (req, res, next) =
     // Store old avatar for cleanup
     const oldAvatarPublicId = user.avatarPublicId || null;
 
-    // Upload to Cloudinary
-    const result = await uploadAvatarToCloudinary(buffer, {
+    // Upload to storage
+    const result = await storeAvatar(buffer, {
       userId: req.user.id,
       originalName: fileName || 'google-drive-avatar'
     });
@@ -171,7 +171,7 @@ export const uploadAvatarFromGoogleDrive = asyncHandler(async (req, res, next) =
 
     // Delete old avatar
     if (oldAvatarPublicId) {
-      deleteFromCloudinary(oldAvatarPublicId, 'image').catch(err => {
+      deleteFile(oldAvatarPublicId, 'image').catch(err => {
         console.error('Failed to delete old avatar:', err);
       });
     }
@@ -222,10 +222,10 @@ export const removeAvatar = asyncHandler(async (req, res, next) => {
 
   await user.save();
 
-  // Delete from Cloudinary (optional cleanup)
+  // Delete from storage (optional cleanup)
   if (avatarPublicId) {
-    deleteFromCloudinary(avatarPublicId, 'image').catch(err => {
-      console.error('Failed to delete avatar from Cloudinary:', err);
+    deleteFile(avatarPublicId, 'image').catch(err => {
+      console.error('Failed to delete avatar from storage:', err);
     });
   }
 
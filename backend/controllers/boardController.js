@@ -12,7 +12,7 @@ import Subtask from "../models/Subtask.js";
 import SubtaskNano from "../models/SubtaskNano.js";
 import Comment from "../models/Comment.js";
 import User from "../models/User.js";
-import { getAssignmentBasedBoardIds, userHasCapability, CAPABILITIES } from "../services/permissionService.js";
+import { getAssignmentBasedBoardIds, buildAccessibleBoardQuery, userHasCapability, CAPABILITIES } from "../services/permissionService.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import { ErrorResponse } from "../middleware/errorHandler.js";
 import { emitNotification, emitToAll } from "../realtime/index.js";
@@ -24,11 +24,8 @@ import {
   sendProjectEmailsInBackground, 
   logProjectActivityInBackground 
 } from "../utils/backgroundTasks.js";
-import {
-  uploadProjectCover,
-  validateCoverImage,
-  deleteProjectCover
-} from "../utils/cloudinary.js";
+import { validateCoverImage } from "../utils/cloudinary.js";
+import { uploadProjectCover, deleteFile } from "../services/storage/storageService.js";
 
 import mongoose from 'mongoose';
 import {
@@ -40,17 +37,21 @@ import {
   syncMilestoneSchedule
 } from '../services/milestone/milestoneService.js';
 import { fromCents } from '../utils/money.js';
+import {
+  findTemplateOr404,
+  resolveStartDate,
+  withTemplateDefaults,
+  materializeTemplate
+} from '../services/templates/projectTemplateService.js';
+import { scheduleNextOccurrence } from '../schedulers/recurringTaskScheduler.js';
+import { recordEntityChange } from '../services/versions/entityHistoryService.js';
 
 // @desc    Get all boards for user
 // @route   GET /api/boards
 // @access  Private
 export const getBoards = asyncHandler(async (req, res, next) => {
-  const userId = req.user.id;
-  const userRole = req.user.role;
-
   // Employees are always forced to assignment-based scope — ignore stored accessType
   const isEmployee = userHasCapability(req.user, CAPABILITIES.FORCE_ASSIGNMENT_SCOPE);
-  const accessType = isEmployee ? 'assigned_tasks' : (req.user.accessType || 'full_department');
 
   // ── HR Panel project-fetch (?departmentIds=id1,id2) — admin/manager/hr only ──
   // Employees cannot use this query param to bypass scope restrictions.
@@ -81,51 +82,11 @@ export const getBoards = asyncHandler(async (req, res, next) => {
     return res.status(200).json({ success: true, count: boards.length, data: boards });
   }
 
-  let query;
-
-  if (accessType === 'selected_projects') {
-    // Whitelist-based: only explicitly allowed projects
-    const allowedProjects = req.user.allowedProjects || [];
-    query = {
-      _id: { $in: allowedProjects },
-      isDeleted: { $ne: true }
-    };
-
-  } else if (accessType === 'assigned_tasks') {
-    // Assignment-driven: boards accessible via task / subtask / nano-subtask assignee
-    // PLUS boards where user is a direct owner or board-level member.
-    const assignedBoardIds = await getAssignmentBasedBoardIds(userId);
-    query = {
-      isDeleted: { $ne: true },
-      $or: [
-        { owner: userId },
-        { members: userId },
-        { _id: { $in: assignedBoardIds } }
-      ]
-    };
-    // Team membership still applies for non-employees (employees don't get team scope)
-    if (req.user.team && !isEmployee) {
-      query.$or.push({ team: req.user.team });
-    }
-
-  } else {
-    // full_department — manager/hr: projects within their assigned departments
-    const userDeptIds = req.user.department || [];
-    query = {
-      isDeleted: { $ne: true },
-      $or: [
-        { owner: userId },
-        { members: userId },
-        { department: { $in: userDeptIds } }
-      ]
-    };
-    if (userRole === 'manager') {
-      query.$or.push({ visibility: 'public' });
-    }
-    if (req.user.team) {
-      query.$or.push({ team: req.user.team });
-    }
-  }
+  // Non-admin visibility (selected_projects / assigned_tasks / full_department)
+  const query = {
+    ...(await buildAccessibleBoardQuery(req.user)),
+    isDeleted: { $ne: true }
+  };
 
   const boards = await Board.find(query)
     .populate("owner", "name email avatar")
@@ -229,7 +190,7 @@ export const getWorkflowComplete = asyncHandler(async (req, res, next) => {
   const listIds = lists.map(l => l._id);
   const cardFilter = { list: { $in: listIds }, isArchived: false };
   const cards = await Card.find(cardFilter)
-    .select('title list description position status priority labels assignees board coverImage startDate dueDate estimation start_date end_date subtaskStats loggedTime')
+    .select('title list description position status priority labels customFields assignees board coverImage startDate dueDate estimation start_date end_date subtaskStats loggedTime')
     .populate('assignees', 'name email avatar role')
     .populate('members', 'name email avatar')
     .populate('coverImage', 'url secureUrl thumbnailUrl fileName fileType isCover')
@@ -445,6 +406,11 @@ export const getBoard = asyncHandler(async (req, res, next) => {
 // @route   POST /api/boards
 // @access  Private
 export const createBoard = asyncHandler(async (req, res, next) => {
+  // Optional project template: its lists, cards and schedule are materialized
+  // below, and its defaults fill whatever the request leaves blank.
+  const template = req.body.templateId ? await findTemplateOr404(req.body.templateId) : null;
+  const templateStartDate = template ? resolveStartDate(req.body.startDate) : null;
+
   const {
     name,
     description,
@@ -471,7 +437,7 @@ export const createBoard = asyncHandler(async (req, res, next) => {
     clientDetails,
     projectCategory,
     projectType
-  } = req.body;
+  } = template ? withTemplateDefaults(req.body, template, templateStartDate) : req.body;
 
   // Handle file attachments
   let attachments = [];
@@ -565,6 +531,7 @@ export const createBoard = asyncHandler(async (req, res, next) => {
 
   const defaultLists = ['To Do', 'In Progress', 'Review', 'Done'];
   let board;
+  let templateResult = null;
   if (milestoneSchedule) {
     const session = await mongoose.startSession();
     try {
@@ -573,11 +540,21 @@ export const createBoard = asyncHandler(async (req, res, next) => {
         await Department.findByIdAndUpdate(board.department, {
           $push: { projects: board._id }
         }, { session });
-        await List.insertMany(defaultLists.map((title, position) => ({
-          title,
-          board: board._id,
-          position
-        })), { session });
+        if (template) {
+          templateResult = await materializeTemplate({
+            template,
+            board,
+            startDate: templateStartDate,
+            actorId: req.user.id,
+            session
+          });
+        } else {
+          await List.insertMany(defaultLists.map((title, position) => ({
+            title,
+            board: board._id,
+            position
+          })), { session });
+        }
         await createMilestonesForProject({
           boardId: board._id,
           schedule: milestoneSchedule,
@@ -600,13 +577,29 @@ export const createBoard = asyncHandler(async (req, res, next) => {
     await Department.findByIdAndUpdate(board.department, {
       $push: { projects: board._id }
     });
-    await Promise.all(defaultLists.map((title, position) => List.create({
-      title,
-      board: board._id,
-      position
-    })));
+    if (template) {
+      templateResult = await materializeTemplate({
+        template,
+        board,
+        startDate: templateStartDate,
+        actorId: req.user.id
+      });
+    } else {
+      await Promise.all(defaultLists.map((title, position) => List.create({
+        title,
+        board: board._id,
+        position
+      })));
+    }
   }
 
+  // Template recurrences are only queued once their documents are committed
+  templateResult?.recurringTasks.forEach((recurringTask) => {
+    scheduleNextOccurrence(recurringTask).catch(err =>
+      console.error('Failed to schedule next occurrence:', err.message)
+    );
+  });
+
   // Populate board for response (essential, do synchronously)
   const populatedBoard = await Board.findById(board._id)
     .populate("owner", "name email avatar")
@@ -629,12 +622,16 @@ export const createBoard = asyncHandler(async (req, res, next) => {
     data: responseBoard,
   });
 
+  const activityDescription = template
+    ? `Created board "${name}" from template "${template.name}"`
+    : `Created board "${name}"`;
+
   // Run heavy tasks in background (after response is sent)
   if (runBackgroundTasks) {
     // Log activity in background
     logProjectActivityInBackground({
       type: "board_created",
-      description: `Created board "${name}"`,
+      description: activityDescription,
       user: req.user.id,
       board: board._id,
     });
@@ -654,7 +651,7 @@ export const createBoard = asyncHandler(async (req, res, next) => {
     // Synchronous fallback for non-optimistic requests
     await Activity.create({
       type: "board_created",
-      description: `Created board "${name}"`,
+      description: activityDescription,
       user: req.user.id,
       board: board._id,
     });
@@ -698,6 +695,8 @@ export const updateBoard = asyncHandler(async (req, res, next) => {
     updateBody.clientDetails = { clientName: null, clientEmail: null, clientWhatsappNumber: null };
   }
   delete updateBody.totalProjectBudgetCents;
+  // Email-in has its own endpoints (the key must not be set by hand)
+  delete updateBody.emailIn;
 
   const previousBillingCycle = String(previousBoard.billingCycle || '').toLowerCase();
   const nextBillingCycle = updateBody.billingCycle === null
@@ -790,6 +789,8 @@ export const updateBoard = asyncHandler(async (req, res, next) => {
       .lean();
   }
 
+  await recordEntityChange({ entityType: 'board', before: previousBoard, after: board, userId: req.user.id });
+
   // Activity + notifications
   const changes = [];
   const activityTasks = [];
@@ -1080,7 +1081,7 @@ export const uploadCoverImage = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    // Upload to Cloudinary
+    // Upload to storage
     const uploadResult = await uploadProjectCover(req.file.buffer, {
       projectId: board._id.toString(),
       originalName: req.file.originalname,
@@ -1156,8 +1157,8 @@ export const removeCoverImage = asyncHandler(async (req, res, next) => {
   const previousCover = { ...board.coverImage };
 
   try {
-    // Delete from Cloudinary
-    await deleteProjectCover(board.coverImage.publicId);
+    // Delete from storage
+    await deleteFile(board.coverImage.publicId, 'image');
 
     // Move to history before clearing (for undo functionality)
     const newHistory = [
@@ -5,6 +5,15 @@ import Department from "../models/Department.js";
 import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import notificationService from "../utils/notificationService.js";
+import config from "../config/index.js";
+import {
+  listFeeds,
+  createFeed,
+  rotateFeedToken,
+  revokeFeed,
+  resolveFeed,
+  buildFeedCalendar
+} from "../services/calendar/icsFeedService.js";
 
 /**
  * @desc    Get calendar tasks for a date range
@@ -430,3 +439,85 @@ export const getListsForProject = asyncHandler(async (req, res) => {
     data: lists
   });
 });
+
+// Feed URLs end in .ics so calendar clients recognise them
+const buildFeedUrl = (req, token) =>
+  `${config.backendUrl || `${req.protocol}://${req.get('host')}`}/api/calendar/feeds/${token}.ics`;
+
+/**
+ * @desc    List the current user's calendar subscription feeds
+ * @route   GET /api/calendar/feeds
+ * @access  Private
+ */
+export const getCalendarFeeds = asyncHandler(async (req, res) => {
+  const feeds = await listFeeds(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: feeds
+  });
+});
+
+/**
+ * @desc    Create a calendar subscription feed. The URL is only shown once.
+ * @route   POST /api/calendar/feeds
+ * @access  Private
+ */
+export const createCalendarFeed = asyncHandler(async (req, res) => {
+  const { name, departments, projects, sources } = req.body;
+  const { feed, token } = await createFeed(req.user._id, { name, departments, projects, sources });
+
+  res.status(201).json({
+    success: true,
+    data: { ...feed, url: buildFeedUrl(req, token) }
+  });
+});
+
+/**
+ * @desc    Issue a new URL for a feed, invalidating the old one
+ * @route   POST /api/calendar/feeds/:feedId/rotate
+ * @access  Private
+ */
+export const rotateCalendarFeed = asyncHandler(async (req, res) => {
+  const { feed, token } = await rotateFeedToken(req.user._id, req.params.feedId);
+
+  res.status(200).json({
+    success: true,
+    data: { ...feed, url: buildFeedUrl(req, token) }
+  });
+});
+
+/**
+ * @desc    Revoke a calendar subscription feed
+ * @route   DELETE /api/calendar/feeds/:feedId
+ * @access  Private
+ */
+export const revokeCalendarFeed = asyncHandler(async (req, res) => {
+  await revokeFeed(req.user._id, req.params.feedId);
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar feed revoked"
+  });
+});
+
+/**
+ * @desc    Serve a calendar feed as iCalendar
+ * @route   GET /api/calendar/feeds/:token.ics
+ * @access  Public (feed token)
+ */
+export const getCalendarFeedIcs = asyncHandler(async (req, res) => {
+  const resolved = await resolveFeed(req.params.token);
+  if (!resolved) {
+    return res.status(404).type('text/plain').send('Calendar feed not found');
+  }
+
+  const calendar = await buildFeedCalendar(resolved.feed, resolved.user);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="flowtask.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(calendar);
+});
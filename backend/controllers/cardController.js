@@ -19,9 +19,15 @@ import { emitToBoard, emitNotification, emitToDepartment, emitToUser } from "../
 import notificationService from "../utils/notificationService.js";
 import { slackHooks } from "../utils/slackHooks.js";
 import { chatHooks } from "../utils/chatHooks.js";
+import { webhookHooks } from "../utils/webhookHooks.js";
+import { automationHooks } from "../utils/automationHooks.js";
 import { emitTimeEntryDiffs, emitTimeEntryWebhook } from "../utils/chatTimeTracking.js";
-import { processTimeEntriesWithOwnership } from "../utils/timeEntryUtils.js";
+import { processTimeEntriesWithOwnership, getChangedEntryDates } from "../utils/timeEntryUtils.js";
+import { assertTimeEntryEditable } from "../services/timeTracking/timesheetService.js";
 import { emitFinanceDataRefresh } from "../realtime/index.js";
+import cardService from "../services/domain/cardService.js";
+import { recordEntityChange } from "../services/versions/entityHistoryService.js";
+import { findLeaveConflicts } from "../services/calendar/timeOffService.js";
 
 // In-memory store for undo tokens (move operations) — entries auto-expire after 10 seconds
 const undoTokenStore = new Map();
@@ -502,6 +508,7 @@ export const getCardsByDepartment = asyncHandler(async (req, res, next) => {
         priority: 1,
         dueDate: 1,
         position: 1,
+        customFields: 1,
         assignees: { name: 1, email: 1, avatar: 1 },
         members: { name: 1, email: 1, avatar: 1 },
         createdBy: { name: 1, email: 1, avatar: 1 },
@@ -861,6 +868,7 @@ export const createCard = asyncHandler(async (req, res, next) => {
   // Dispatch chat webhook for task creation (always, regardless of assignees)
   const boardData = await Board.findById(board).select('name department').lean();
   chatHooks.onTaskCreated(card, boardData, req.user).catch(console.error);
+  webhookHooks.onCardCreated(card, boardData, req.user).catch(console.error);
 
   // Send notifications using the notification service
   if (resolvedAssignees.length > 0) {
@@ -925,6 +933,7 @@ export const updateCard = asyncHandler(async (req, res, next) => {
 
   const originalBoardId = card.board;
   const originalListId = card.list;
+  const previousCard = card.toObject();
 
   // Store old values for change detection
   const oldAssignees = card.assignees?.map(a => a.toString()) || [];
@@ -993,6 +1002,14 @@ export const updateCard = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(validationError.message, 400));
   }
 
+  // Billed time comes from approved timesheets; locked weeks keep their logged time
+  if (req.body.billedTime !== undefined) {
+    await assertTimeEntryEditable('billed', req.user.id);
+  }
+  if (req.body.loggedTime !== undefined) {
+    await assertTimeEntryEditable('logged', req.user.id, getChangedEntryDates(card.loggedTime, req.body.loggedTime, req.user.id));
+  }
+
   card = await Card.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
@@ -1006,6 +1023,9 @@ export const updateCard = asyncHandler(async (req, res, next) => {
     .populate("billedTime.user", "name email avatar")
     .lean();
 
+  // Field-level version history (title, assignees, dates, labels, estimates, ...)
+  await recordEntityChange({ entityType: 'card', before: previousCard, after: card, userId: req.user.id });
+
   // Log specific activity types based on what changed - compare to OLD values
   if (req.body.title && req.body.title !== oldTitle) {
     await Activity.create({
@@ -1466,9 +1486,27 @@ export const updateCard = asyncHandler(async (req, res, next) => {
     chatHooks.onTaskUpdated(card, chatChanges, boardInfo, req.user).catch(console.error);
   }
 
+  // Automation rules: labels added, logged time crossing a threshold
+  if (req.body.labels !== undefined) {
+    automationHooks.onLabelsChanged(card, oldLabels, card.labels || [], req.user).catch(console.error);
+  }
+  if (req.body.loggedTime !== undefined) {
+    automationHooks.onTimeLogged(card, oldLoggedTime, card.loggedTime || [], req.user).catch(console.error);
+  }
+
+  // Warn when a new assignee, or the new due date, falls inside approved leave
+  const currentAssignees = (card.assignees || []).map(a => (a._id || a).toString());
+  const dueDateChanged = req.body.dueDate !== undefined
+    && new Date(card.dueDate || 0).getTime() !== new Date(oldDueDate || 0).getTime();
+  const leaveCheckUsers = dueDateChanged
+    ? currentAssignees
+    : currentAssignees.filter(id => !oldAssignees.includes(id));
+  const leaveConflicts = await findLeaveConflicts({ userIds: leaveCheckUsers, date: card.dueDate });
+
   res.status(200).json({
     success: true,
     data: card,
+    ...(leaveConflicts.length > 0 && { warnings: { leave: leaveConflicts } }),
   });
 });
 
@@ -1498,6 +1536,16 @@ export const moveCard = asyncHandler(async (req, res, next) => {
   // Store old status for notifications
   const oldStatus = card.status;
 
+  // Check the destination list's WIP limit before touching any positions
+  let wipWarning = null;
+  if (sourceListId.toString() !== destinationListId) {
+    const breach = await destinationList.getWipBreach(card._id);
+    if (breach?.mode === 'enforce') {
+      return next(new ErrorResponse(`"${breach.listTitle}" is at its WIP limit of ${breach.limit}`, 409));
+    }
+    wipWarning = breach;
+  }
+
   // If moving within same list
   if (sourceListId.toString() === destinationListId) {
     if (newPosition === oldPosition) {
@@ -1565,6 +1613,7 @@ export const moveCard = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: card,
+    ...(wipWarning ? { wipWarning } : {}),
   });
 
   // Background tasks - do not await these before sending response
@@ -1615,6 +1664,19 @@ export const moveCard = asyncHandler(async (req, res, next) => {
 
       // Send notifications for task movement
       if (sourceListId.toString() !== destinationListId) {
+        webhookHooks.onCardMoved(card, card.board, {
+          fromList: { id: sourceListId.toString(), title: sourceListTitle },
+          toList: { id: destinationList._id.toString(), title: destinationList.title },
+          fromStatus: oldStatus,
+          toStatus: card.status,
+          position: newPosition,
+        }, req.user).catch(console.error);
+
+        automationHooks.onCardMoved(card, {
+          fromList: sourceListId,
+          toList: destinationList._id,
+        }, req.user).catch(console.error);
+
         await notificationService.notifyTaskUpdated(card, req.user.id, {
           moved: true,
           fromList: sourceListTitle,
@@ -1623,6 +1685,11 @@ export const moveCard = asyncHandler(async (req, res, next) => {
         });
       }
 
+      // Let owners of tasks this card was blocking know it's done
+      if (card.status === 'done' && oldStatus !== 'done') {
+        await cardService.notifyUnblockedDependents(card, req.user);
+      }
+
     } catch (backgroundError) {
       console.error("Error in moveCard background tasks:", backgroundError);
       // Do not crash or send error to response as it's already sent
@@ -1669,6 +1736,7 @@ export const deleteCard = asyncHandler(async (req, res, next) => {
   });
 
   await Card.findByIdAndDelete(card._id);
+  await cardService.removeDependencyReferences(card._id);
 
   res.status(200).json({
     success: true,
@@ -1961,7 +2029,10 @@ export const addTimeEntry = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Card not found', 404));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry?.date || new Date()]);
+
   const fieldName = `${type}Time`;
+  const previousEntries = snapshotTimeEntries(card[fieldName]);
   
   // Create valid entry with new ID
   const newEntry = {
@@ -2026,6 +2097,10 @@ export const addTimeEntry = asyncHandler(async (req, res, next) => {
     console.error('Failed to dispatch card time-entry webhook:', error);
   });
 
+  if (type === 'logged') {
+    automationHooks.onTimeLogged(card, previousEntries, card.loggedTime, req.user).catch(console.error);
+  }
+
   res.status(200).json({
     success: true,
     data: addedEntry
@@ -2063,6 +2138,8 @@ export const updateTimeEntry = asyncHandler(async (req, res, next) => {
      return next(new ErrorResponse('Not authorized to update this time entry', 403));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry.date, updates.date]);
+
   // Update fields
   if (updates.hours !== undefined) entry.hours = parseInt(updates.hours) || 0;
   if (updates.minutes !== undefined) entry.minutes = parseInt(updates.minutes) || 0;
@@ -2111,6 +2188,11 @@ export const updateTimeEntry = asyncHandler(async (req, res, next) => {
     console.error('Failed to dispatch card time-entry webhook:', error);
   });
 
+  if (type === 'logged') {
+    const previousEntries = card.loggedTime.map((e, i) => (i === entryIndex ? previousEntry : e));
+    automationHooks.onTimeLogged(card, previousEntries, card.loggedTime, req.user).catch(console.error);
+  }
+
   res.status(200).json({
     success: true,
     data: updatedEntry
@@ -2148,6 +2230,8 @@ export const deleteTimeEntry = asyncHandler(async (req, res, next) => {
      return next(new ErrorResponse('Not authorized to delete this time entry', 403));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry.date]);
+
   // Remove from array
   card[fieldName].splice(entryIndex, 1);
   await card.save();
@@ -2291,6 +2375,8 @@ export const copyCard = asyncHandler(async (req, res, next) => {
     assignees: copyAssignees ? (sourceCard.assignees || []) : [],
     members: copyAssignees ? (sourceCard.members || []) : [],
     labels: newLabels,
+    // Custom field definitions are per project, so values only carry over within the same board
+    customFields: sourceCard.board.toString() === destinationBoardId.toString() ? sourceCard.customFields : undefined,
     priority: sourceCard.priority,
     status: destList.title.toLowerCase().replace(/\s+/g, '-'),
     dueDate: copyDueDates ? sourceCard.dueDate : null,
@@ -2541,6 +2627,16 @@ export const crossMoveCard = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Destination list not found", 404));
   }
 
+  // Check the destination list's WIP limit before touching any positions
+  let wipWarning = null;
+  if (card.list._id.toString() !== destList._id.toString()) {
+    const breach = await destList.getWipBreach(card._id);
+    if (breach?.mode === 'enforce') {
+      return next(new ErrorResponse(`"${breach.listTitle}" is at its WIP limit of ${breach.limit}`, 409));
+    }
+    wipWarning = breach;
+  }
+
   // Store original state for undo
   const originalState = {
     cardId: card._id.toString(),
@@ -2633,6 +2729,7 @@ export const crossMoveCard = asyncHandler(async (req, res, next) => {
     success: true,
     data: card,
     undoToken,
+    ...(wipWarning ? { wipWarning } : {}),
     message: 'Task moved successfully'
   });
 
@@ -2700,6 +2797,29 @@ export const crossMoveCard = asyncHandler(async (req, res, next) => {
         ...(statusChange ? { status: true, message: statusChange.message } : {})
       });
 
+      // 5. Notify owners of tasks this card was blocking
+      if (card.status === 'done' && originalState.sourceStatus !== 'done') {
+        await cardService.notifyUnblockedDependents(card, req.user);
+      }
+
+      // 6. Outgoing webhooks and automation rules of the destination project
+      webhookHooks.onCardMoved(card, destinationBoardId, {
+        fromList: { id: sourceListId.toString(), title: sourceListTitle },
+        toList: { id: destList._id.toString(), title: destList.title },
+        fromStatus: originalState.sourceStatus,
+        toStatus: card.status,
+        position: destPosition,
+        ...(isCrossBoard ? {
+          fromProject: { id: sourceBoardId.toString(), name: sourceBoardName },
+          toProject: { id: destinationBoardId.toString(), name: destBoard.name },
+        } : {}),
+      }, req.user).catch(console.error);
+
+      automationHooks.onCardMoved({ _id: card._id, board: destinationBoardId }, {
+        fromList: sourceListId,
+        toList: destinationListId,
+      }, req.user).catch(console.error);
+
     } catch (bgError) {
       console.error('Error in crossMoveCard background tasks:', bgError);
     }
@@ -2868,3 +2988,54 @@ export const getRecentDestinations = asyncHandler(async (req, res) => {
     data: user?.recentCopyMoveDestinations || []
   });
 });
+
+// @desc    Get a card's dependencies (blocked by / blocking)
+// @route   GET /api/cards/:id/dependencies
+// @access  Private
+export const getCardDependencies = asyncHandler(async (req, res) => {
+  const data = await cardService.getDependencies(req.params.id);
+  res.status(200).json({ success: true, data });
+});
+
+// @desc    Add a dependency — this card is blocked by `dependsOn`
+// @route   POST /api/cards/:id/dependencies
+// @access  Private
+export const addCardDependency = asyncHandler(async (req, res) => {
+  const { dependsOn, type, lagDays } = req.body;
+  const { dependencies, shifted } = await cardService.addDependency(
+    req.params.id,
+    { dependsOn, type, lagDays },
+    req.user
+  );
+  res.status(201).json({ success: true, data: dependencies, shifted });
+});
+
+// @desc    Remove a dependency
+// @route   DELETE /api/cards/:id/dependencies/:dependencyId
+// @access  Private
+export const removeCardDependency = asyncHandler(async (req, res) => {
+  const dependencies = await cardService.removeDependency(req.params.id, req.params.dependencyId, req.user);
+  res.status(200).json({ success: true, data: dependencies });
+});
+
+// @desc    Update start/due dates and cascade shifts to dependent tasks
+// @route   PUT /api/cards/:id/schedule
+// @access  Private
+export const updateCardSchedule = asyncHandler(async (req, res) => {
+  const { startDate, dueDate } = req.body;
+  const { card, shifted } = await cardService.rescheduleCard(req.params.id, { startDate, dueDate }, req.user);
+  res.status(200).json({ success: true, data: card, shifted });
+});
+
+// @desc    Get tasks, lists and dependencies for a board's Gantt chart
+// @route   GET /api/cards/board/:boardId/gantt
+// @access  Private
+export const getBoardGantt = asyncHandler(async (req, res, next) => {
+  const board = await Board.findById(req.params.boardId).select('name').lean();
+  if (!board) {
+    return next(new ErrorResponse("Board not found", 404));
+  }
+
+  const { lists, cards } = await cardService.getBoardTimeline(board._id);
+  res.status(200).json({ success: true, data: { board, lists, cards } });
+});
@@ -15,6 +15,7 @@ import notificationService from '../utils/notificationService.js';
 import { ErrorResponse } from '../middleware/errorHandler.js';
 import { slackHooks } from '../utils/slackHooks.js';
 import { chatHooks } from '../utils/chatHooks.js';
+import { webhookHooks } from '../utils/webhookHooks.js';
 
 // Helper to get context details from card, subtask, or nano
 const getContextDetails = async ({ cardId, subtaskId, nanoId }) => {
@@ -159,6 +160,9 @@ export const createComment = asyncHandler(async (req, res) => {
   // Dispatch chat webhook for comment
   chatHooks.onCommentAdded(populatedComment, cardDoc, cardDoc.board, req.user).catch(console.error);
 
+  // Dispatch outgoing webhooks
+  webhookHooks.onCommentAdded(populatedComment, cardDoc, cardDoc.board, req.user).catch(console.error);
+
   res.status(201).json(populatedComment);
 });
 
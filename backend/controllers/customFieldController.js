@@ -0,0 +1,115 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import Activity from '../models/Activity.js';
+import { CUSTOM_FIELD_TYPES } from '../models/CustomField.js';
+import { emitToBoard } from '../realtime/index.js';
+import {
+  listFieldsForBoard,
+  listFieldsForDepartment,
+  createField,
+  updateField,
+  deleteField,
+  setCardValue,
+} from '../services/customFields/customFieldService.js';
+
+const notifyDefinitionsChanged = (boardId, req) => {
+  emitToBoard(boardId.toString(), 'custom-fields-updated', {
+    boardId: boardId.toString(),
+    updatedBy: { id: req.user.id, name: req.user.name },
+  });
+};
+
+// @desc    List the supported custom field types
+// @route   GET /api/custom-fields/types
+// @access  Private
+export const getCustomFieldTypes = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: CUSTOM_FIELD_TYPES });
+});
+
+// @desc    Get custom field definitions for a project
+// @route   GET /api/custom-fields/board/:boardId
+// @access  Private
+export const getCustomFieldsByBoard = asyncHandler(async (req, res) => {
+  const fields = await listFieldsForBoard(req.params.boardId);
+  res.status(200).json({ success: true, data: fields });
+});
+
+// @desc    Get custom field definitions for every project in a department
+// @route   GET /api/custom-fields/department/:departmentId
+// @access  Private
+export const getCustomFieldsByDepartment = asyncHandler(async (req, res) => {
+  const fields = await listFieldsForDepartment(req.params.departmentId);
+  res.status(200).json({ success: true, data: fields });
+});
+
+// @desc    Create a custom field for a project
+// @route   POST /api/custom-fields
+// @access  Private
+export const createCustomField = asyncHandler(async (req, res) => {
+  const field = await createField(req.body, req.user);
+  notifyDefinitionsChanged(field.board, req);
+  res.status(201).json({ success: true, data: field });
+});
+
+// @desc    Update a custom field (name, options, currency, order, list visibility)
+// @route   PUT /api/custom-fields/:id
+// @access  Private
+export const updateCustomField = asyncHandler(async (req, res) => {
+  const field = await updateField(req.params.id, req.body);
+  notifyDefinitionsChanged(field.board, req);
+  res.status(200).json({ success: true, data: field });
+});
+
+// @desc    Delete a custom field and its values on all cards
+// @route   DELETE /api/custom-fields/:id
+// @access  Private
+export const deleteCustomField = asyncHandler(async (req, res) => {
+  const field = await deleteField(req.params.id);
+  notifyDefinitionsChanged(field.board, req);
+  res.status(200).json({ success: true, message: 'Custom field deleted' });
+});
+
+// @desc    Set or clear a custom field value on a card
+// @route   PUT /api/custom-fields/card/:cardId/:fieldId
+// @access  Private
+export const setCardCustomField = asyncHandler(async (req, res) => {
+  const { card, field, value, changed, previousLabel, valueLabel } = await setCardValue(
+    req.params.cardId,
+    req.params.fieldId,
+    req.body.value
+  );
+
+  const customFields = card.customFields ? Object.fromEntries(card.customFields) : {};
+
+  if (changed) {
+    await Activity.create({
+      type: 'custom_field_changed',
+      description: `Changed ${field.name} from "${previousLabel}" to "${valueLabel}"`,
+      user: req.user.id,
+      board: card.board,
+      card: card._id,
+      list: card.list,
+      contextType: 'task',
+      metadata: {
+        fieldId: field._id,
+        fieldName: field.name,
+        fieldType: field.type,
+        oldValue: previousLabel,
+        newValue: valueLabel,
+      },
+    });
+
+    emitToBoard(card.board.toString(), 'card-updated', {
+      cardId: card._id,
+      updates: { customFields },
+      updatedBy: {
+        id: req.user.id,
+        name: req.user.name,
+      },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { cardId: card._id, fieldId: field._id, value, customFields },
+  });
+});
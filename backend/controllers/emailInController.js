@@ -0,0 +1,31 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  getEmailInSettings,
+  updateEmailInSettings,
+  regenerateEmailInAddress,
+} from '../services/inboundEmail/projectEmailInService.js';
+
+// @desc    Get a project's email-in address and settings
+// @route   GET /api/boards/:id/email-in
+// @access  Private
+export const getEmailIn = asyncHandler(async (req, res) => {
+  const settings = await getEmailInSettings(req.params.id, req.user);
+  res.status(200).json({ success: true, data: settings });
+});
+
+// @desc    Turn email-in on or off and choose the list new cards go to
+// @route   PUT /api/boards/:id/email-in
+// @access  Private (project owner, admin, manager)
+export const updateEmailIn = asyncHandler(async (req, res) => {
+  const { enabled, list } = req.body;
+  const settings = await updateEmailInSettings(req.params.id, req.user, { enabled, list });
+  res.status(200).json({ success: true, data: settings });
+});
+
+// @desc    Replace a project's email-in address
+// @route   POST /api/boards/:id/email-in/regenerate
+// @access  Private (project owner, admin, manager)
+export const regenerateEmailIn = asyncHandler(async (req, res) => {
+  const settings = await regenerateEmailInAddress(req.params.id, req.user);
+  res.status(200).json({ success: true, data: settings });
+});
@@ -0,0 +1,22 @@
+import path from 'path';
+import asyncHandler from '../middleware/asyncHandler.js';
+import { ErrorResponse } from '../middleware/errorHandler.js';
+import { verifySignedDownload } from '../services/storage/localAdapter.js';
+
+// @desc    Download a file from local-disk storage using a signed URL
+// @route   GET /api/files/*?expires=&name=&sig=
+// @access  Public (the signature from GET /api/attachments/:id/download is the credential)
+export const downloadSignedFile = asyncHandler(async (req, res, next) => {
+  const objectKey = req.params[0];
+  const filePath = verifySignedDownload(objectKey, req.query);
+
+  if (!filePath) {
+    return next(new ErrorResponse('Download link is invalid or has expired', 403));
+  }
+
+  res.download(filePath, req.query.name || path.basename(filePath), (err) => {
+    if (err && !res.headersSent) {
+      next(new ErrorResponse('File not found', 404));
+    }
+  });
+});
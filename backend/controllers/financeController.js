@@ -63,6 +63,7 @@ export const getProjectFinanceData = async (req, res) => {
     sendReport(res, {
       data: report.data,
       groupedByDepartment: report.groupedByDepartment,
+      groupedBySalesSource: report.groupedBySalesSource,
       summary: report.summary
     });
   } catch (error) {
@@ -0,0 +1,122 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import invoiceService from '../services/finance/invoiceService.js';
+import { renderInvoicePdf } from '../services/finance/invoicePdf.js';
+
+/**
+ * @desc    List invoices, optionally by status or project
+ * @route   GET /api/finance/invoices
+ * @access  Private (Finance)
+ */
+export const getInvoices = asyncHandler(async (req, res) => {
+  const { status, projectId, limit } = req.query;
+  const invoices = await invoiceService.listInvoices({ status, projectId, limit });
+
+  res.status(200).json({
+    success: true,
+    count: invoices.length,
+    data: invoices
+  });
+});
+
+/**
+ * @desc    Outstanding and overdue receivables
+ * @route   GET /api/finance/invoices/receivables
+ * @access  Private (Finance)
+ */
+export const getReceivables = asyncHandler(async (req, res) => {
+  const summary = await invoiceService.getReceivablesSummary();
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
+
+/**
+ * @desc    Get one invoice with its line items
+ * @route   GET /api/finance/invoices/:id
+ * @access  Private (Finance)
+ */
+export const getInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: invoice
+  });
+});
+
+/**
+ * @desc    Draft an invoice for a project and billing period
+ * @route   POST /api/finance/invoices
+ * @access  Private (Admin/Manager with Finance access)
+ */
+export const createInvoice = asyncHandler(async (req, res) => {
+  const { projectId, startDate, endDate } = req.body;
+  const invoice = await invoiceService.createDraftInvoice(req.user, { projectId, startDate, endDate });
+
+  res.status(201).json({
+    success: true,
+    data: invoice
+  });
+});
+
+/**
+ * @desc    Edit a draft invoice: line items, discount, tax, dates, client, notes
+ * @route   PUT /api/finance/invoices/:id
+ * @access  Private (Admin/Manager with Finance access)
+ */
+export const updateInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.updateInvoice(req.params.id, req.user, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: invoice
+  });
+});
+
+/**
+ * @desc    Mark an invoice sent (numbers it) or paid
+ * @route   PATCH /api/finance/invoices/:id/status
+ * @access  Private (Admin/Manager with Finance access)
+ */
+export const updateInvoiceStatus = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.setInvoiceStatus(req.params.id, req.user, req.body.status);
+
+  res.status(200).json({
+    success: true,
+    data: invoice
+  });
+});
+
+/**
+ * @desc    Delete a draft invoice
+ * @route   DELETE /api/finance/invoices/:id
+ * @access  Private (Admin/Manager with Finance access)
+ */
+export const deleteInvoice = asyncHandler(async (req, res) => {
+  await invoiceService.deleteInvoice(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Download an invoice as PDF
+ * @route   GET /api/finance/invoices/:id/pdf
+ * @access  Private (Finance)
+ */
+export const downloadInvoicePdf = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.id);
+  const pdf = await renderInvoicePdf(invoice);
+  const filename = invoice.number || `draft-invoice-${invoice._id}`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
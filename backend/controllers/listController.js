@@ -29,7 +29,7 @@ export const getLists = asyncHandler(async (req, res, next) => {
 // @route   POST /api/lists
 // @access  Private
 export const createList = asyncHandler(async (req, res, next) => {
-  const { title, board, position, color } = req.body;
+  const { title, board, position, color, wipLimit, wipMode } = req.body;
 
   // Verify board access
   const boardDoc = await Board.findById(board).lean();
@@ -44,7 +44,9 @@ export const createList = asyncHandler(async (req, res, next) => {
     title,
     board,
     position: listPosition,
-    color
+    color,
+    wipLimit,
+    wipMode
   });
 
   // Log activity
@@ -7,6 +7,7 @@ import {
   getProjectMilestones
 } from '../services/milestone/milestoneService.js';
 import { fromCents } from '../utils/money.js';
+import { webhookHooks } from '../utils/webhookHooks.js';
 
 const canAccessProject = (board, user) => {
   const userId = (user?._id || user?.id)?.toString();
@@ -78,6 +79,10 @@ export const createMilestoneApproval = asyncHandler(async (req, res) => {
     milestoneId: req.params.milestoneId
   });
 
+  if (!result.idempotent) {
+    webhookHooks.onMilestoneApproved(result, req.params.id, req.user).catch(console.error);
+  }
+
   res.status(result.idempotent ? 200 : 201).json({
     success: true,
     data: result,
@@ -92,7 +92,9 @@ export const getDashboardData = asyncHandler(async (req, res, next) => {
     billingType,
     projectCategory,
     coordinatorId,
-    status
+    status,
+    salesPlatform,
+    salesProfile
   } = req.query;
 
   // Parse dates
@@ -124,6 +126,8 @@ export const getDashboardData = asyncHandler(async (req, res, next) => {
   if (projectCategory) boardMatch.projectCategory = projectCategory;
   if (status) boardMatch.status = status;
   if (coordinatorId) boardMatch.members = new mongoose.Types.ObjectId(coordinatorId);
+  if (salesPlatform) boardMatch['salesOrigin.platform'] = salesPlatform;
+  if (salesProfile) boardMatch['salesOrigin.profile'] = salesProfile;
 
   // Get all relevant boards
   const boards = await Board.find(boardMatch)
@@ -971,7 +975,9 @@ export const getApproachData = asyncHandler(async (req, res, next) => {
     userId,
     departmentId,
     projectId,
-    status = 'completed'
+    status = 'completed',
+    salesPlatform,
+    salesProfile
   } = req.query;
 
   const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
@@ -995,6 +1001,8 @@ export const getApproachData = asyncHandler(async (req, res, next) => {
     status: status
   };
   if (projectId) boardMatch._id = new mongoose.Types.ObjectId(projectId);
+  if (salesPlatform) boardMatch['salesOrigin.platform'] = salesPlatform;
+  if (salesProfile) boardMatch['salesOrigin.profile'] = salesProfile;
 
   const boards = await Board.find(boardMatch)
     .populate('members', 'name email avatar')
@@ -1136,6 +1144,7 @@ export const getApproachData = asyncHandler(async (req, res, next) => {
       status: board.status,
       department: board.department,
       clientDetails: board.clientDetails,
+      salesOrigin: board.salesOrigin?.salesRow ? board.salesOrigin : null,
       coordinators: board.members?.slice(0, 5) || [],
       totalCoordinators: board.members?.length || 0,
       totalBilledTime: formatTime(totalBilledMinutes),
@@ -1203,7 +1212,7 @@ export const getFilterOptions = asyncHandler(async (req, res, next) => {
   const projects = await Board.find({
     department: { $in: accessibleDeptIds }
   })
-    .select('name department billingCycle projectCategory projectSource status members')
+    .select('name department billingCycle projectCategory projectSource salesOrigin status members')
     .populate('members', 'name email avatar')
     .lean();
 
@@ -1213,6 +1222,10 @@ export const getFilterOptions = asyncHandler(async (req, res, next) => {
   // Get unique project sources
   const sources = [...new Set(projects.map(p => p.projectSource).filter(Boolean))];
 
+  // Get sales platforms / profiles of projects converted from sales rows
+  const salesPlatforms = [...new Set(projects.map(p => p.salesOrigin?.platform).filter(Boolean))];
+  const salesProfiles = [...new Set(projects.map(p => p.salesOrigin?.profile).filter(Boolean))];
+
   // Get coordinators (unique members from all projects)
   const coordinatorMap = {};
   projects.forEach(p => {
@@ -1245,6 +1258,8 @@ export const getFilterOptions = asyncHandler(async (req, res, next) => {
       })),
       categories,
       sources,
+      salesPlatforms,
+      salesProfiles,
       coordinators: coordinators.map(c => ({
         id: c._id,
         name: c.name,
@@ -0,0 +1,49 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  findTemplateOr404,
+  createTemplateFromBoard,
+  listTemplates,
+  updateTemplate,
+  deleteTemplate,
+} from '../services/templates/projectTemplateService.js';
+
+// @desc    List project templates (summaries for the project picker)
+// @route   GET /api/project-templates
+// @access  Private
+export const getProjectTemplates = asyncHandler(async (req, res) => {
+  const templates = await listTemplates();
+  res.status(200).json({ success: true, count: templates.length, data: templates });
+});
+
+// @desc    Get a project template with its full card skeletons
+// @route   GET /api/project-templates/:id
+// @access  Private
+export const getProjectTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplateOr404(req.params.id);
+  await template.populate('createdBy', 'name email avatar');
+  res.status(200).json({ success: true, data: template });
+});
+
+// @desc    Save an existing project as a template
+// @route   POST /api/project-templates
+// @access  Private (board owner, admin, manager)
+export const createProjectTemplate = asyncHandler(async (req, res) => {
+  const template = await createTemplateFromBoard(req.body.boardId, req.body, req.user);
+  res.status(201).json({ success: true, data: template });
+});
+
+// @desc    Rename a project template or change its description
+// @route   PUT /api/project-templates/:id
+// @access  Private (template creator, admin, manager)
+export const updateProjectTemplate = asyncHandler(async (req, res) => {
+  const template = await updateTemplate(req.params.id, req.body, req.user);
+  res.status(200).json({ success: true, data: template });
+});
+
+// @desc    Delete a project template (projects created from it are untouched)
+// @route   DELETE /api/project-templates/:id
+// @access  Private (template creator, admin, manager)
+export const deleteProjectTemplate = asyncHandler(async (req, res) => {
+  await deleteTemplate(req.params.id, req.user);
+  res.status(200).json({ success: true, message: 'Project template deleted' });
+});
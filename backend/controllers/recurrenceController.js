@@ -7,6 +7,7 @@ import Subtask from '../models/Subtask.js';
 import Activity from '../models/Activity.js';
 import { emitToBoard } from '../realtime/index.js';
 import { refreshCardHierarchyStats } from '../utils/hierarchyStats.js';
+import { nextRecurrenceOccurrence } from '../services/calendar/timeOffService.js';
 import {
   scheduleNextOccurrence,
   cancelRecurringSchedule,
@@ -131,7 +132,7 @@ export const createRecurrence = asyncHandler(async (req, res, next) => {
   });
 
   // Calculate and set next occurrence
-  const nextOccurrence = recurringTask.calculateNextOccurrence(new Date(dueDate || Date.now()));
+  const nextOccurrence = await nextRecurrenceOccurrence(recurringTask, new Date(dueDate || Date.now()));
   recurringTask.nextOccurrence = nextOccurrence;
   await recurringTask.save();
 
@@ -143,7 +144,7 @@ export const createRecurrence = asyncHandler(async (req, res, next) => {
     recurringTask.lastOccurrence = new Date();
     
     // Calculate next occurrence after first creation
-    recurringTask.nextOccurrence = recurringTask.calculateNextOccurrence();
+    recurringTask.nextOccurrence = await nextRecurrenceOccurrence(recurringTask);
     await recurringTask.save();
 
     // Refresh card hierarchy stats
@@ -320,8 +321,9 @@ export const updateRecurrence = asyncHandler(async (req, res, next) => {
   if (isActive !== undefined) recurrence.isActive = isActive;
 
   // Recalculate next occurrence if schedule changed
-  if (scheduleType || dueDate) {
-    recurrence.nextOccurrence = recurrence.calculateNextOccurrence(
+  if (scheduleType || dueDate || taskOptions) {
+    recurrence.nextOccurrence = await nextRecurrenceOccurrence(
+      recurrence,
       dueDate ? new Date(dueDate) : new Date()
     );
   }
@@ -439,7 +441,7 @@ export const triggerRecurrence = asyncHandler(async (req, res, next) => {
   recurrence.generatedSubtasks.push(subtask._id);
   recurrence.completedOccurrences += 1;
   recurrence.lastOccurrence = new Date();
-  recurrence.nextOccurrence = recurrence.calculateNextOccurrence();
+  recurrence.nextOccurrence = await nextRecurrenceOccurrence(recurrence);
   
   // Check if should end after this occurrence
   if (recurrence.shouldEnd()) {
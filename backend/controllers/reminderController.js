@@ -5,6 +5,7 @@ import asyncHandler from '../middleware/asyncHandler.js';
 import { emitNotification } from '../realtime/index.js';
 import { sendReminderNotificationInBackground, checkAndTagAwaitingResponse } from '../utils/reminderScheduler.js';
 import { scheduleReminderJobs, cancelReminderJobs } from '../schedulers/reminderScheduler.js';
+import { getReminderReplyAddress } from '../services/inboundEmail/inboundAddresses.js';
 
 // @desc    Create a new reminder
 // @route   POST /api/reminders
@@ -127,7 +128,11 @@ export const getReminder = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: reminder
+    data: {
+      ...reminder.toObject(),
+      // Address the client can reply to; a reply marks the reminder responded
+      clientReplyAddress: getReminderReplyAddress(reminder._id)
+    }
   });
 });
 
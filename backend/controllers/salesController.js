@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import SalesRow from '../models/SalesRow.js';
+import SalesRow, { toBidKey } from '../models/SalesRow.js';
 import SalesColumn from '../models/SalesColumn.js';
 import SalesDropdownOption from '../models/SalesDropdownOption.js';
 import SalesPermission from '../models/SalesPermission.js';
@@ -11,6 +11,11 @@ import { shouldNotifyOnModuleGrant } from '../utils/permissionNotificationGuards
 import ExcelJS from 'exceljs';
 import SalesUserPreference from '../models/SalesUserPreference.js';
 import { enqueueSalesAlertNewRow, enqueueSalesAlertRowUpdate } from '../queues/index.js';
+import { webhookHooks } from '../utils/webhookHooks.js';
+import salesConversionService from '../services/sales/salesConversionService.js';
+import salesAnalyticsService from '../services/sales/salesAnalyticsService.js';
+import salesDuplicateService from '../services/sales/salesDuplicateService.js';
+import config from '../config/index.js';
 import {
   SALES_FIELD_LABELS,
   SALES_REQUIRED_LABELS,
@@ -242,7 +247,7 @@ const prepareRowForSave = (data) => {
   Object.keys(data).forEach(key => {
     if (STANDARD_FIELDS.includes(key)) {
       standard[key] = data[key];
-    } else if (!['_id', 'createdAt', 'updatedAt', '__v', 'createdBy', 'updatedBy', 'lockedBy', 'lockedAt'].includes(key)) {
+    } else if (!['_id', 'createdAt', 'updatedAt', '__v', 'createdBy', 'updatedBy', 'lockedBy', 'lockedAt', 'convertedProject', 'bidKey', 'mergedInto', 'mergedAt', 'mergedBy'].includes(key)) {
       custom[key] = data[key];
     }
   });
@@ -250,6 +255,14 @@ const prepareRowForSave = (data) => {
   return { standard, custom };
 };
 
+// 409 body for create / update when the row looks like an existing one
+const duplicateResponse = (duplicates) => ({
+  success: false,
+  code: 'DUPLICATE',
+  message: `This looks like a duplicate of ${duplicates.length} existing row${duplicates.length === 1 ? '' : 's'}`,
+  duplicates,
+});
+
 /**
  * @desc    Get all sales rows with pagination, filtering, and search
  * @route   GET /api/sales/rows
@@ -295,6 +308,10 @@ const buildSalesQuery = (params) => {
 
   // Apply standard filters
   if (params.name) query.name = params.name;
+  if (params.monthName) query.monthName = params.monthName;
+  if (params.createdBy && mongoose.Types.ObjectId.isValid(params.createdBy)) {
+    query.createdBy = new mongoose.Types.ObjectId(params.createdBy);
+  }
   if (platform) query.platform = platform;
   if (technology) query.technology = technology;
   if (status) query.status = status;
@@ -408,6 +425,7 @@ export const getSalesRows = async (req, res) => {
         .populate('createdBy', 'name email avatar')
         .populate('updatedBy', 'name email avatar')
         .populate('lockedBy', 'name email avatar')
+        .populate('convertedProject.board', 'name department')
         .sort(sortConfig)
         .skip(skip)
         .limit(parseInt(limit))
@@ -449,6 +467,7 @@ export const getSalesRowById = async (req, res) => {
       .populate('createdBy', 'name email avatar')
       .populate('updatedBy', 'name email avatar')
       .populate('lockedBy', 'name email avatar')
+      .populate('convertedProject.board', 'name department')
       .lean();
 
     if (!row || row.isDeleted) {
@@ -480,7 +499,8 @@ export const getSalesRowById = async (req, res) => {
 export const createSalesRow = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { standard, custom } = prepareRowForSave(req.body);
+    const { allowDuplicate, ...body } = req.body;
+    const { standard, custom } = prepareRowForSave(body);
 
     // Server-side enforcement: always set name to logged-in user's name on create
     standard.name = req.user.name;
@@ -515,6 +535,14 @@ export const createSalesRow = async (req, res) => {
       });
     }
 
+    // Same bid link, or same client around the same date — ask before saving
+    if (!allowDuplicate) {
+      const duplicates = await salesDuplicateService.findDuplicates(row);
+      if (duplicates.length > 0) {
+        return res.status(409).json(duplicateResponse(duplicates));
+      }
+    }
+
     await row.save();
     
     // Populate user fields
@@ -590,7 +618,8 @@ export const updateSalesRow = async (req, res) => {
     }
 
     // Separate standard and custom fields
-    const { standard, custom } = prepareRowForSave(req.body);
+    const { allowDuplicate, ...body } = req.body;
+    const { standard, custom } = prepareRowForSave(body);
 
     // Non-admin users cannot change the name field
     if (req.user.role !== 'admin') {
@@ -637,6 +666,17 @@ export const updateSalesRow = async (req, res) => {
       row.markModified('customFields');
     }
 
+    // Only re-check duplicates when a field they are matched on changed
+    const clientField = config.sales.clientNameField;
+    const matchFieldChanged = changes.some(c => ['date', 'bidLink', 'bidLink.type', 'bidLink.url'].includes(c.field))
+      || (custom[clientField] !== undefined && custom[clientField] !== oldRowSnapshot[clientField]);
+    if (!allowDuplicate && matchFieldChanged) {
+      const duplicates = await salesDuplicateService.findDuplicates(row, { excludeIds: [row._id] });
+      if (duplicates.length > 0) {
+        return res.status(409).json(duplicateResponse(duplicates));
+      }
+    }
+
     row.updatedBy = userId;
     
     // Release lock if it was locked by this user
@@ -644,6 +684,7 @@ export const updateSalesRow = async (req, res) => {
 
     await row.save();
     await row.populate('createdBy updatedBy', 'name email avatar');
+    await row.populate('convertedProject.board', 'name department');
 
     const flatRow = flattenRow(row);
 
@@ -676,6 +717,9 @@ export const updateSalesRow = async (req, res) => {
       enqueueSalesAlertRowUpdate(oldRowSnapshot, flatRow).catch(err =>
         console.error('Failed to enqueue sales alert for row update:', err.message)
       );
+      webhookHooks.onSalesRowUpdated(flatRow, changes, req.user).catch(err =>
+        console.error('Failed to dispatch sales row webhook:', err.message)
+      );
     }
 
     res.json({
@@ -766,6 +810,9 @@ export const bulkUpdateRows = async (req, res) => {
     const mongoUpdate = { 
       $set: { ...standard, updatedBy: userId } 
     };
+    if (standard.bidLink !== undefined) {
+      mongoUpdate.$set.bidKey = toBidKey(standard.bidLink?.url);
+    }
 
     // For custom fields, we need to set them individually in the Map using dot notation if possible,
     // but updateMany with Map values is tricky. 
@@ -996,6 +1043,7 @@ export const getActivityLog = async (req, res) => {
     const [logs, total] = await Promise.all([
       SalesActivityLog.find({ salesRow: req.params.id })
         .populate('user', 'name email avatar')
+        .populate('board', 'name')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
@@ -1023,6 +1071,126 @@ export const getActivityLog = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get the project fields pre-filled from a won sales row
+ * @route   GET /api/sales/rows/:id/project-draft
+ * @access  Private (requires sales module permission)
+ */
+export const getSalesRowProjectDraft = async (req, res) => {
+  try {
+    const { draft, linkedProject, canConvert, reason } =
+      await salesConversionService.getConversionDraft(req.params.id);
+
+    res.json({
+      success: true,
+      data: { draft, linkedProject, canConvert, reason }
+    });
+  } catch (error) {
+    console.error('Get project draft error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to load project draft'
+    });
+  }
+};
+
+/**
+ * @desc    Convert a won sales row into a project
+ * @route   POST /api/sales/rows/:id/convert
+ * @access  Private (requires canUpdate permission)
+ */
+export const convertSalesRowToProject = async (req, res) => {
+  try {
+    const { board, row } = await salesConversionService.convertRowToProject(
+      req.params.id,
+      req.body,
+      req.user,
+      { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    );
+
+    const flatRow = flattenRow(row);
+    getIO().to('sales').emit('sales:row:updated', { row: flatRow, changes: [] });
+
+    res.status(201).json({
+      success: true,
+      message: `Project "${board.name}" created from sales row`,
+      data: { board, row: flatRow }
+    });
+  } catch (error) {
+    console.error('Convert sales row error:', error);
+    const parsed = parseValidationError(error);
+    if (parsed) {
+      return res.status(400).json({ success: false, ...parsed });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to convert sales row'
+    });
+  }
+};
+
+/**
+ * @desc    Get pipeline analytics (funnel, reply / win rates, connects, follow-up latency)
+ * @route   GET /api/sales/analytics
+ * @access  Private (requires sales module permission)
+ * @query   Same filters as GET /api/sales/rows, plus monthName and createdBy
+ */
+export const getSalesAnalytics = async (req, res) => {
+  try {
+    const query = buildSalesQuery(req.query);
+    const [analytics, filterOptions] = await Promise.all([
+      salesAnalyticsService.buildSalesAnalytics(query),
+      salesAnalyticsService.getAnalyticsFilterOptions()
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...analytics, filterOptions }
+    });
+  } catch (error) {
+    console.error('Get sales analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sales analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Export pipeline analytics to Excel/CSV
+ * @route   GET /api/sales/analytics/export
+ * @access  Private (requires canExport permission)
+ */
+export const exportSalesAnalytics = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const analytics = await salesAnalyticsService.buildSalesAnalytics(buildSalesQuery(req.query));
+    const workbook = salesAnalyticsService.buildAnalyticsWorkbook(analytics, format);
+    const filename = `sales_analytics_${new Date().toISOString().split('T')[0]}`;
+
+    if (format === 'csv') {
+      const csvBuffer = await workbook.csv.writeBuffer();
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      res.setHeader('Content-Type', 'text/csv');
+      res.send(csvBuffer);
+      return;
+    }
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export sales analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export sales analytics',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Export sales rows to Excel/CSV
  * @route   GET /api/sales/rows/export
@@ -1080,7 +1248,8 @@ export const exportRows = async (req, res) => {
     const excludedFields = [
       '_id', '__v', 'customFields', 'isDeleted', 
       'lockedBy', 'lockedAt', 'createdBy', 'updatedBy', 
-      'createdAt', 'updatedAt', 'id'
+      'createdAt', 'updatedAt', 'id', 'convertedProject',
+      'bidKey', 'mergedInto', 'mergedAt', 'mergedBy'
     ];
 
     // Determine all unique keys for columns (standard + custom)
@@ -1212,6 +1381,76 @@ export const exportRows = async (req, res) => {
   }
 };
 
+/**
+ * Parse one import file row into standard and custom fields: dates in
+ * DD-MM-YYYY / Excel serial / ISO form, default name, normalized bid link.
+ * Shared by the import and the import duplicate preview.
+ * Returns { standard, custom } or { error }.
+ */
+const parseImportRow = (raw, user) => {
+  const { standard, custom } = prepareRowForSave(raw);
+
+  // Parse date fields robustly — ALWAYS try DD-MM-YYYY first
+  if (standard.date && !(standard.date instanceof Date)) {
+    const dateStr = String(standard.date).trim();
+    // 1. Try DD-MM-YYYY / DD/MM/YYYY / DD.MM.YYYY (our canonical format)
+    const dmy = dateStr.match(/^(\d{1,2})[\-\/\.](\d{1,2})[\-\/\.](\d{4})$/);
+    if (dmy) {
+      const day = parseInt(dmy[1], 10);
+      const month = parseInt(dmy[2], 10);
+      const year = parseInt(dmy[3], 10);
+      if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+        standard.date = new Date(year, month - 1, day);
+      }
+    }
+    // 2. Try Excel serial number
+    if (typeof standard.date === 'string' || typeof standard.date === 'number') {
+      const numVal = Number(standard.date);
+      if (!isNaN(numVal) && numVal > 10000 && !dmy) {
+        const excelEpoch = Date.UTC(1899, 11, 30);
+        standard.date = new Date(excelEpoch + numVal * 24 * 60 * 60 * 1000);
+      }
+    }
+    // 3. Fallback to ISO/native only for YYYY-MM-DD or ISO strings (from backend re-imports)
+    if (typeof standard.date === 'string') {
+      if (dateStr.match(/^\d{4}-\d{2}-\d{2}/)) {
+        const parsed = new Date(dateStr);
+        if (!isNaN(parsed.getTime())) standard.date = parsed;
+      }
+    }
+  }
+  if (standard.followUpDate && !(standard.followUpDate instanceof Date)) {
+    const fDateStr = String(standard.followUpDate).trim();
+    const fdmy = fDateStr.match(/^(\d{1,2})[\-\/\.](\d{1,2})[\-\/\.](\d{4})$/);
+    if (fdmy) {
+      const day = parseInt(fdmy[1], 10);
+      const month = parseInt(fdmy[2], 10);
+      const year = parseInt(fdmy[3], 10);
+      if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+        standard.followUpDate = new Date(year, month - 1, day);
+      }
+    } else if (fDateStr.match(/^\d{4}-\d{2}-\d{2}/)) {
+      const parsed = new Date(fDateStr);
+      if (!isNaN(parsed.getTime())) standard.followUpDate = parsed;
+    }
+  }
+
+  // Ensure name is set — use imported value if present, otherwise default to importing user's name
+  if (!standard.name) {
+    standard.name = user.name;
+  }
+
+  // Normalize bidLink (accepts old string or new { type, url } object)
+  // Import uses flexible mode: invite without URL is allowed (flagged isValid=false)
+  if (standard.bidLink !== undefined) {
+    const blResult = normalizeBidLink(standard.bidLink, { strict: false });
+    if (blResult.error) return { error: blResult.error };
+    standard.bidLink = blResult.value;
+  }
+
+  return { standard, custom };
+};
+
 /**
  * @desc    Import sales rows from Excel/CSV
  * @route   POST /api/sales/rows/import
@@ -1322,72 +1561,16 @@ export const importRows = async (req, res) => {
     // =============================================
     for (let i = 0; i < data.length; i++) {
       try {
-        const { standard, custom } = prepareRowForSave(data[i]);
-        
-        // Parse date fields robustly — ALWAYS try DD-MM-YYYY first
-        if (standard.date && !(standard.date instanceof Date)) {
-          const dateStr = String(standard.date).trim();
-          // 1. Try DD-MM-YYYY / DD/MM/YYYY / DD.MM.YYYY (our canonical format)
-          const dmy = dateStr.match(/^(\d{1,2})[\-\/\.](\d{1,2})[\-\/\.](\d{4})$/);
-          if (dmy) {
-            const day = parseInt(dmy[1], 10);
-            const month = parseInt(dmy[2], 10);
-            const year = parseInt(dmy[3], 10);
-            if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-              standard.date = new Date(year, month - 1, day);
-            }
-          }
-          // 2. Try Excel serial number
-          if (typeof standard.date === 'string' || typeof standard.date === 'number') {
-            const numVal = Number(standard.date);
-            if (!isNaN(numVal) && numVal > 10000 && !dmy) {
-              const excelEpoch = Date.UTC(1899, 11, 30);
-              standard.date = new Date(excelEpoch + numVal * 24 * 60 * 60 * 1000);
-            }
-          }
-          // 3. Fallback to ISO/native only for YYYY-MM-DD or ISO strings (from backend re-imports)
-          if (typeof standard.date === 'string') {
-            if (dateStr.match(/^\d{4}-\d{2}-\d{2}/)) {
-              const parsed = new Date(dateStr);
-              if (!isNaN(parsed.getTime())) standard.date = parsed;
-            }
-          }
-        }
-        if (standard.followUpDate && !(standard.followUpDate instanceof Date)) {
-          const fDateStr = String(standard.followUpDate).trim();
-          const fdmy = fDateStr.match(/^(\d{1,2})[\-\/\.](\d{1,2})[\-\/\.](\d{4})$/);
-          if (fdmy) {
-            const day = parseInt(fdmy[1], 10);
-            const month = parseInt(fdmy[2], 10);
-            const year = parseInt(fdmy[3], 10);
-            if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-              standard.followUpDate = new Date(year, month - 1, day);
-            }
-          } else if (fDateStr.match(/^\d{4}-\d{2}-\d{2}/)) {
-            const parsed = new Date(fDateStr);
-            if (!isNaN(parsed.getTime())) standard.followUpDate = parsed;
-          }
-        }
-
-        // Ensure name is set — use imported value if present, otherwise default to importing user's name
-        if (!standard.name) {
-          standard.name = req.user.name;
-        }
-
-        // Normalize bidLink (accepts old string or new { type, url } object)
-        // Import uses flexible mode: invite without URL is allowed (flagged isValid=false)
-        if (standard.bidLink !== undefined) {
-          const blResult = normalizeBidLink(standard.bidLink, { strict: false });
-          if (blResult.error) {
-            results.failed.push({
-              index: i,
-              data: data[i],
-              error: blResult.error
-            });
-            continue;
-          }
-          standard.bidLink = blResult.value;
+        const parsedRow = parseImportRow(data[i], req.user);
+        if (parsedRow.error) {
+          results.failed.push({
+            index: i,
+            data: data[i],
+            error: parsedRow.error
+          });
+          continue;
         }
+        const { standard, custom } = parsedRow;
 
         const row = new SalesRow({
           ...standard,
@@ -1466,6 +1649,86 @@ export const importRows = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Probable duplicates in an import file, before importing it
+ * @route   POST /api/sales/rows/import/preview
+ * @access  Private (requires canImport permission)
+ */
+export const previewImportDuplicates = async (req, res) => {
+  try {
+    const { data } = req.body;
+
+    if (!data || !Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import data array is required'
+      });
+    }
+
+    // Rows that fail parsing are reported by the import itself
+    const parsedRows = data.map(raw => {
+      const parsedRow = parseImportRow(raw || {}, req.user);
+      return parsedRow.error ? null : { ...parsedRow.standard, ...parsedRow.custom };
+    });
+    const duplicates = await salesDuplicateService.findDuplicatesForImport(parsedRows);
+
+    res.json({
+      success: true,
+      data: {
+        total: data.length,
+        duplicateCount: duplicates.length,
+        duplicates
+      }
+    });
+  } catch (error) {
+    console.error('Preview import duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check the import for duplicates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Merge one sales row into another
+ * @route   POST /api/sales/rows/merge
+ * @access  Private (requires canUpdate and canDelete permissions)
+ */
+export const mergeSalesRows = async (req, res) => {
+  try {
+    const { primaryId, secondaryId, fieldChoices } = req.body;
+
+    const { row, mergedRowId, changes, movedActivity } = await salesDuplicateService.mergeRows({
+      primaryId,
+      secondaryId,
+      fieldChoices: fieldChoices && typeof fieldChoices === 'object' ? fieldChoices : {},
+      user: req.user,
+      requestMeta: { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    });
+
+    const flatRow = flattenRow(row);
+    getIO().to('sales').emit('sales:row:updated', { row: flatRow, changes });
+    getIO().to('sales').emit('sales:row:deleted', { rowId: mergedRowId });
+
+    res.json({
+      success: true,
+      message: 'Rows merged successfully',
+      data: { row: flatRow, mergedRowId, changes, movedActivity }
+    });
+  } catch (error) {
+    console.error('Merge sales rows error:', error);
+    const parsed = parseValidationError(error);
+    if (parsed) {
+      return res.status(400).json({ success: false, ...parsed });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to merge rows'
+    });
+  }
+};
+
 /**
  * @desc    Get unique names with counts for tabs/filters
  * @route   GET /api/sales/names
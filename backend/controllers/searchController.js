@@ -1,14 +1,18 @@
 import Card from "../models/Card.js";
 import Board from "../models/Board.js";
 import User from "../models/User.js";
-import Department from "../models/Department.js";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { getAccessibleBoardIds } from "../services/permissionService.js";
+import { search } from "../services/search/searchService.js";
+import { SEARCH_TYPES, escapeRegex } from "../services/search/queryParser.js";
 
-// @desc    Global search
+// @desc    Global search — ranked across cards, subtasks, nanos, comments,
+//          attachments, announcements, projects and users. Supports field
+//          operators (assignee:, label:, status:, priority:, due:, project:, type:).
 // @route   GET /api/search
 // @access  Private
 export const globalSearch = asyncHandler(async (req, res, next) => {
-  const { q, type } = req.query;
+  const { q, type, departmentId, limit } = req.query;
 
   if (!q || q.trim().length === 0) {
     return res.status(400).json({
@@ -17,59 +21,15 @@ export const globalSearch = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const searchRegex = new RegExp(q, "i");
-  let results = {};
-
-  // Search cards
-  if (!type || type === "cards") {
-    const cards = await Card.find({
-      $or: [
-        { title: searchRegex },
-        { description: searchRegex },
-        { labels: searchRegex },
-      ],
-    })
-      .populate("assignees", "name email avatar")
-      .populate("list", "title")
-      .populate("board", "name")
-      .limit(20);
-
-    results.cards = cards;
-  }
-
-  // Search boards
-  if (!type || type === "boards") {
-    const boards = await Board.find({
-      $or: [{ name: searchRegex }, { description: searchRegex }],
-      $or: [
-        { owner: req.user.id },
-        { members: req.user.id },
-        { visibility: "public" },
-      ],
-    })
-      .populate("owner", "name email avatar")
-      .limit(20);
-
-    results.boards = boards;
-  }
-
-  // Search users
-  if (!type || type === "users") {
-    const users = await User.find({
-      $or: [{ name: searchRegex }, { email: searchRegex }],
-      isActive: true,
-    })
-      .select("name email avatar role department team")
-      .populate("department", "name")
-      .populate("team", "name")
-      .limit(20);
-
-    results.users = users;
-  }
+  const types = type ? String(type).split(",").filter((t) => SEARCH_TYPES.includes(t)) : undefined;
+  const { parsed, results, facets } = await search(req.user, q, { types, departmentId, limit });
 
   res.status(200).json({
     success: true,
     query: q,
+    parsed,
+    count: results.length,
+    facets,
     data: results,
   });
 });
@@ -89,16 +49,16 @@ export const searchCards = asyncHandler(async (req, res, next) => {
     dueDateTo,
   } = req.query;
 
-  let query = {};
+  // Only boards the caller can see
+  const boardIds = await getAccessibleBoardIds(req.user, board ? { _id: board } : {});
+  let query = { board: { $in: boardIds }, isArchived: false };
 
-  // Text search
+  // Text search (uses card_text_search index)
   if (q) {
-    const searchRegex = new RegExp(q, "i");
-    query.$or = [{ title: searchRegex }, { description: searchRegex }];
+    query.$text = { $search: q };
   }
 
   // Filters
-  if (board) query.board = board;
   if (assignee) query.assignees = { $in: [assignee] };
   if (priority) query.priority = priority;
   if (status) query.status = status;
@@ -136,23 +96,21 @@ export const getSuggestions = asyncHandler(async (req, res, next) => {
   }
 
   const query = q.trim();
-  const searchRegex = new RegExp(query, "i");
+  const searchRegex = new RegExp(escapeRegex(query), "i");
   const limit = 8;
 
   let suggestions = [];
 
-  // Build department filter for board lookup
-  const getDepartmentBoardIds = async () => {
-    if (!departmentId || departmentId === "all") return null;
-    const boards = await Board.find({ department: departmentId }).select("_id");
-    return boards.map((b) => b._id);
-  };
+  // Boards the caller can see, narrowed to the department when one is selected
+  const getDepartmentBoardIds = () => getAccessibleBoardIds(
+    req.user,
+    departmentId && departmentId !== "all" ? { department: departmentId } : {}
+  );
 
   switch (field) {
     case "task": {
       const boardFilter = await getDepartmentBoardIds();
-      const matchStage = { isArchived: { $ne: true } };
-      if (boardFilter) matchStage.board = { $in: boardFilter };
+      const matchStage = { isArchived: { $ne: true }, board: { $in: boardFilter } };
 
       const cards = await Card.find({
         ...matchStage,
@@ -171,10 +129,7 @@ export const getSuggestions = asyncHandler(async (req, res, next) => {
     }
 
     case "project": {
-      const boardMatch = { name: searchRegex };
-      if (departmentId && departmentId !== "all") {
-        boardMatch.department = departmentId;
-      }
+      const boardMatch = { _id: { $in: await getDepartmentBoardIds() }, name: searchRegex };
 
       const boards = await Board.find(boardMatch)
         .select("name")
@@ -240,19 +195,14 @@ export const getSuggestions = asyncHandler(async (req, res, next) => {
     case "all":
     default: {
       const boardFilter = await getDepartmentBoardIds();
-      const cardMatch = { isArchived: { $ne: true } };
-      if (boardFilter) cardMatch.board = { $in: boardFilter };
+      const cardMatch = { isArchived: { $ne: true }, board: { $in: boardFilter } };
 
       const [cards, boards, users] = await Promise.all([
         Card.find({ ...cardMatch, title: searchRegex })
           .select("title")
           .limit(4)
           .lean(),
-        Board.find(
-          departmentId && departmentId !== "all"
-            ? { name: searchRegex, department: departmentId }
-            : { name: searchRegex }
-        )
+        Board.find({ _id: { $in: boardFilter }, name: searchRegex })
           .select("name")
           .limit(3)
           .lean(),
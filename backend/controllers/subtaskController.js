@@ -18,8 +18,11 @@ import { handleTaskCompletion } from '../utils/recurrenceScheduler.js';
 import { batchCreateActivities, executeBackgroundTasks } from '../utils/activityLogger.js';
 import { slackHooks } from '../utils/slackHooks.js';
 import { chatHooks } from '../utils/chatHooks.js';
+import { automationHooks } from '../utils/automationHooks.js';
 import { emitTimeEntryDiffs, emitTimeEntryWebhook } from '../utils/chatTimeTracking.js';
-import { processTimeEntriesWithOwnership } from '../utils/timeEntryUtils.js';
+import { processTimeEntriesWithOwnership, getChangedEntryDates } from '../utils/timeEntryUtils.js';
+import { assertTimeEntryEditable } from '../services/timeTracking/timesheetService.js';
+import { recordEntityChange } from '../services/versions/entityHistoryService.js';
 import { emitFinanceDataRefresh } from '../realtime/index.js';
 
 const basePopulate = [
@@ -119,6 +122,13 @@ export const createSubtask = asyncHandler(async (req, res, next) => {
   }
 
   const currentCount = await Subtask.countDocuments({ task: taskId });
+  if (req.body.billedTime?.length) {
+    await assertTimeEntryEditable('billed', req.user.id);
+  }
+  if (req.body.loggedTime?.length) {
+    await assertTimeEntryEditable('logged', req.user.id, req.body.loggedTime.map((entry) => entry.date || new Date()));
+  }
+
   const subtask = await Subtask.create({
     task: taskId,
     board: card.board,
@@ -258,6 +268,14 @@ export const updateSubtask = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Billed time comes from approved timesheets; locked weeks keep their logged time
+  if (req.body.billedTime !== undefined) {
+    await assertTimeEntryEditable('billed', req.user.id);
+  }
+  if (req.body.loggedTime !== undefined) {
+    await assertTimeEntryEditable('logged', req.user.id, getChangedEntryDates(subtask.loggedTime, processedLoggedTime, req.user.id));
+  }
+
   const updates = {
     title: req.body.title ?? subtask.title,
     description: req.body.description ?? subtask.description,
@@ -301,6 +319,9 @@ export const updateSubtask = asyncHandler(async (req, res, next) => {
 
   // Execute background tasks after response is sent
   executeBackgroundTasks([
+    // Field-level version history
+    () => recordEntityChange({ entityType: 'subtask', before: oldSubtask, after: subtask, userId: req.user.id }),
+
     // Batch activity logging
     async () => {
       const activities = [];
@@ -342,6 +363,7 @@ export const updateSubtask = asyncHandler(async (req, res, next) => {
             });
             if (remainingSubtasks === 0) {
               slackHooks.onAllSubtasksCompleted(parentTask, parentTask.board, req.user).catch(console.error);
+              automationHooks.onAllSubtasksCompleted(parentTask, req.user).catch(console.error);
             }
           }
         }
@@ -631,6 +653,8 @@ export const addTimeEntry = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Subtask not found', 404));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry?.date || new Date()]);
+
   const fieldName = `${type}Time`;
   
   const newEntry = {
@@ -727,6 +751,8 @@ export const updateTimeEntry = asyncHandler(async (req, res, next) => {
      return next(new ErrorResponse('Not authorized to update this time entry', 403));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry.date, updates.date]);
+
   if (updates.hours !== undefined) entry.hours = parseInt(updates.hours) || 0;
   if (updates.minutes !== undefined) entry.minutes = parseInt(updates.minutes) || 0;
   if (updates.date !== undefined) entry.date = updates.date;
@@ -811,6 +837,8 @@ export const deleteTimeEntry = asyncHandler(async (req, res, next) => {
      return next(new ErrorResponse('Not authorized to delete this time entry', 403));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry.date]);
+
   subtask[fieldName].splice(entryIndex, 1);
   await subtask.save();
 
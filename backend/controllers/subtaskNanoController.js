@@ -9,7 +9,9 @@ import { emitToBoard, emitToUser } from '../realtime/index.js';
 import { refreshCardHierarchyStats, refreshSubtaskNanoStats } from '../utils/hierarchyStats.js';
 import { batchCreateActivities, executeBackgroundTasks } from '../utils/activityLogger.js';
 import { emitTimeEntryDiffs, emitTimeEntryWebhook } from '../utils/chatTimeTracking.js';
-import { processTimeEntriesWithOwnership } from '../utils/timeEntryUtils.js';
+import { processTimeEntriesWithOwnership, getChangedEntryDates } from '../utils/timeEntryUtils.js';
+import { assertTimeEntryEditable } from '../services/timeTracking/timesheetService.js';
+import { recordEntityChange } from '../services/versions/entityHistoryService.js';
 import { emitFinanceDataRefresh } from '../realtime/index.js';
 import { chatHooks } from '../utils/chatHooks.js';
 
@@ -93,6 +95,13 @@ export const createNano = asyncHandler(async (req, res, next) => {
   const card = await Card.findById(subtask.task).populate('board', 'name');
 
   const count = await SubtaskNano.countDocuments({ subtask: subtaskId });
+  if (req.body.billedTime?.length) {
+    await assertTimeEntryEditable('billed', req.user.id);
+  }
+  if (req.body.loggedTime?.length) {
+    await assertTimeEntryEditable('logged', req.user.id, req.body.loggedTime.map((entry) => entry.date || new Date()));
+  }
+
   const nano = await SubtaskNano.create({
     subtask: subtaskId,
     task: subtask.task,
@@ -239,6 +248,14 @@ export const updateNano = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Billed time comes from approved timesheets; locked weeks keep their logged time
+  if (req.body.billedTime !== undefined) {
+    await assertTimeEntryEditable('billed', req.user.id);
+  }
+  if (req.body.loggedTime !== undefined) {
+    await assertTimeEntryEditable('logged', req.user.id, getChangedEntryDates(nano.loggedTime, processedLoggedTime, req.user.id));
+  }
+
   const updates = {
     title: req.body.title ?? nano.title,
     description: req.body.description ?? nano.description,
@@ -276,6 +293,9 @@ export const updateNano = asyncHandler(async (req, res, next) => {
 
   // Execute background tasks after response is sent
   executeBackgroundTasks([
+    // Field-level version history
+    () => recordEntityChange({ entityType: 'nano_subtask', before: oldNano, after: nano, userId: req.user.id }),
+
     // Batch activity logging
     async () => {
       const activities = [];
@@ -588,6 +608,8 @@ export const addTimeEntry = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Subtask-Nano not found', 404));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry?.date || new Date()]);
+
   const fieldName = `${type}Time`;
   
   const newEntry = {
@@ -690,6 +712,8 @@ export const updateTimeEntry = asyncHandler(async (req, res, next) => {
      return next(new ErrorResponse('Not authorized to update this time entry', 403));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry.date, updates.date]);
+
   if (updates.hours !== undefined) entry.hours = parseInt(updates.hours) || 0;
   if (updates.minutes !== undefined) entry.minutes = parseInt(updates.minutes) || 0;
   if (updates.date !== undefined) entry.date = updates.date;
@@ -781,6 +805,8 @@ export const deleteTimeEntry = asyncHandler(async (req, res, next) => {
      return next(new ErrorResponse('Not authorized to delete this time entry', 403));
   }
 
+  await assertTimeEntryEditable(type, req.user.id, [entry.date]);
+
   nano[fieldName].splice(entryIndex, 1);
   await nano.save();
 
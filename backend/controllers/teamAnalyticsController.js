@@ -7,6 +7,7 @@ import Department from '../models/Department.js';
 import Board from '../models/Board.js';
 import asyncHandler from '../middleware/asyncHandler.js';
 import { ErrorResponse } from '../middleware/errorHandler.js';
+import capacityService from '../services/analytics/capacityService.js';
 
 /**
  * @desc    Get team logged time analytics with role-based access
@@ -1452,6 +1453,159 @@ export const getDateDetailedLogs = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * People a user may plan for: admins anyone in the (selected) departments,
+ * managers the members and managers of their own departments, employees
+ * only themselves.
+ */
+const resolveTeamMemberIds = async (user, departmentId) => {
+  if (user.role !== 'admin' && user.role !== 'manager') return [user._id.toString()];
+
+  const departmentQuery = {};
+  if (user.role === 'manager') {
+    const userDeptIds = (Array.isArray(user.department) ? user.department : [user.department]).filter(Boolean);
+    if (departmentId && departmentId !== 'all') {
+      if (!userDeptIds.some(d => d.toString() === departmentId)) {
+        throw new ErrorResponse('Not authorized to access this department', 403);
+      }
+      departmentQuery._id = new mongoose.Types.ObjectId(departmentId);
+    } else {
+      departmentQuery._id = { $in: userDeptIds.map(d => new mongoose.Types.ObjectId(d)) };
+    }
+  } else if (departmentId && departmentId !== 'all') {
+    departmentQuery._id = new mongoose.Types.ObjectId(departmentId);
+  }
+
+  const departments = await Department.find(departmentQuery).select('members managers').lean();
+  const ids = new Set();
+  departments.forEach(dept => {
+    (dept.members || []).forEach(m => ids.add(m.toString()));
+    (dept.managers || []).forEach(m => ids.add(m.toString()));
+  });
+  return Array.from(ids);
+};
+
+const assertCanPlanFor = async (user, userIds) => {
+  if (user.role === 'admin') return;
+  if (user.role !== 'manager') {
+    throw new ErrorResponse('Only managers and admins can change team capacity', 403);
+  }
+  const teamIds = await resolveTeamMemberIds(user);
+  if (!userIds.every(id => teamIds.includes(id.toString()))) {
+    throw new ErrorResponse('Not authorized to plan for this user', 403);
+  }
+};
+
+/**
+ * @desc    Get planned workload against capacity per team member
+ * @route   GET /api/team-analytics/workload
+ * @access  Private
+ */
+export const getTeamWorkload = asyncHandler(async (req, res, next) => {
+  const { departmentId, startDate, endDate, userId } = req.query;
+
+  // Default to the next 14 days
+  const start = startDate ? new Date(startDate) : new Date();
+  const end = endDate ? new Date(endDate) : new Date(start.getTime() + 13 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+    return next(new ErrorResponse('Invalid date range', 400));
+  }
+  if (end - start > 92 * 24 * 60 * 60 * 1000) {
+    return next(new ErrorResponse('Date range cannot exceed 92 days', 400));
+  }
+
+  let userIds = await resolveTeamMemberIds(req.user, departmentId);
+  if (userId) {
+    if (!userIds.includes(userId)) {
+      return next(new ErrorResponse('Not authorized to view this user data', 403));
+    }
+    userIds = [userId];
+  }
+
+  const workload = await capacityService.buildWorkload({ userIds, start, end });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...workload,
+      canManage: req.user.role === 'admin' || req.user.role === 'manager'
+    }
+  });
+});
+
+/**
+ * @desc    Get a user's capacity settings
+ * @route   GET /api/team-analytics/capacity/:userId
+ * @access  Private (self, or Admin/Manager of the user's department)
+ */
+export const getUserCapacity = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ErrorResponse('Invalid user id', 400));
+  }
+  if (req.user._id.toString() !== userId) {
+    await assertCanPlanFor(req.user, [userId]);
+  }
+
+  const capacity = await capacityService.getUserCapacity(userId);
+
+  res.status(200).json({
+    success: true,
+    data: capacity
+  });
+});
+
+/**
+ * @desc    Update a user's hours per day, working days and time off
+ * @route   PUT /api/team-analytics/capacity/:userId
+ * @access  Private (Admin/Manager of the user's department)
+ */
+export const updateUserCapacity = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ErrorResponse('Invalid user id', 400));
+  }
+  await assertCanPlanFor(req.user, [userId]);
+
+  const { hoursPerDay, workingDays, timeOff } = req.body;
+  const capacity = await capacityService.updateUserCapacity(
+    userId,
+    { hoursPerDay, workingDays, timeOff },
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: capacity
+  });
+});
+
+/**
+ * @desc    Move one person's assignment on a card, subtask or nano-subtask to someone else
+ * @route   POST /api/team-analytics/workload/reassign
+ * @access  Private (Admin/Manager of both people's departments)
+ */
+export const reassignWorkload = asyncHandler(async (req, res, next) => {
+  const { itemType, itemId, fromUserId, toUserId } = req.body;
+  if (![fromUserId, toUserId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return next(new ErrorResponse('Both people are required', 400));
+  }
+  await assertCanPlanFor(req.user, [fromUserId, toUserId]);
+
+  const result = await capacityService.reassignItem({
+    itemType,
+    itemId,
+    fromUserId,
+    toUserId,
+    user: req.user
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
 export default {
   getTeamLoggedTime,
   getSmartInsights,
@@ -1459,6 +1613,9 @@ export default {
   getDailyTrends,
   getMyLoggedTimeSummary,
   getDateHoverDetails,
-  getDateDetailedLogs
+  getDateDetailedLogs,
+  getTeamWorkload,
+  getUserCapacity,
+  updateUserCapacity,
+  reassignWorkload
 };
-
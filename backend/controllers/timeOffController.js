@@ -0,0 +1,131 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import timeOffService from '../services/calendar/timeOffService.js';
+
+/**
+ * @desc    List holidays, optionally for a date range and department
+ * @route   GET /api/time-off/holidays
+ * @access  Private
+ */
+export const getHolidays = asyncHandler(async (req, res) => {
+  const { start, end, departmentId } = req.query;
+  const holidays = await timeOffService.listHolidays({
+    start,
+    end,
+    departmentIds: departmentId && departmentId !== 'all' ? [departmentId] : undefined
+  });
+
+  res.status(200).json({
+    success: true,
+    data: holidays
+  });
+});
+
+/**
+ * @desc    Add a holiday to a department, or company-wide without one
+ * @route   POST /api/time-off/holidays
+ * @access  Private (Admin/HR, or Manager for their departments)
+ */
+export const createHoliday = asyncHandler(async (req, res) => {
+  const { name, date, department } = req.body;
+  const holiday = await timeOffService.createHoliday({ name, date, department }, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: holiday
+  });
+});
+
+/**
+ * @desc    Remove a holiday
+ * @route   DELETE /api/time-off/holidays/:id
+ * @access  Private (Admin/HR, or Manager for their departments)
+ */
+export const deleteHoliday = asyncHandler(async (req, res) => {
+  await timeOffService.deleteHoliday(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Holiday removed'
+  });
+});
+
+/**
+ * @desc    List own leave requests, or (scope=team) the ones the user reviews
+ * @route   GET /api/time-off/leave
+ * @access  Private
+ */
+export const getLeaveRequests = asyncHandler(async (req, res) => {
+  const { scope, status, start, end } = req.query;
+  const requests = await timeOffService.listLeaveRequests(req.user, { scope, status, start, end });
+
+  res.status(200).json({
+    success: true,
+    data: requests
+  });
+});
+
+/**
+ * @desc    Request leave
+ * @route   POST /api/time-off/leave
+ * @access  Private
+ */
+export const createLeaveRequest = asyncHandler(async (req, res) => {
+  const { startDate, endDate, type, reason } = req.body;
+  const request = await timeOffService.createLeaveRequest(req.user, { startDate, endDate, type, reason });
+
+  res.status(201).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Approve or reject a pending leave request
+ * @route   PATCH /api/time-off/leave/:id/review
+ * @access  Private (Admin/HR, or Manager of the requester's department)
+ */
+export const reviewLeaveRequest = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  const request = await timeOffService.reviewLeaveRequest(req.params.id, req.user, { status, note });
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Cancel a pending or approved leave request
+ * @route   PATCH /api/time-off/leave/:id/cancel
+ * @access  Private (requester, or a reviewer)
+ */
+export const cancelLeaveRequest = asyncHandler(async (req, res) => {
+  const request = await timeOffService.cancelLeaveRequest(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Holidays and leave to show on the calendar for a date range
+ * @route   GET /api/time-off/calendar
+ * @access  Private
+ */
+export const getCalendarTimeOff = asyncHandler(async (req, res) => {
+  const { start, end, departmentId } = req.query;
+  if (!start || !end) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start and end dates are required'
+    });
+  }
+
+  const data = await timeOffService.getCalendarTimeOff(req.user, { start, end, departmentId });
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
@@ -0,0 +1,75 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import timerService from '../services/timeTracking/timerService.js';
+
+/**
+ * @desc    Get the current user's running timer (null when none)
+ * @route   GET /api/timers/current
+ * @access  Private
+ */
+export const getCurrentTimer = asyncHandler(async (req, res) => {
+  const timer = await timerService.getCurrentTimer(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: timer
+  });
+});
+
+/**
+ * @desc    Start a timer on a task, subtask or nano-subtask
+ * @route   POST /api/timers/start
+ * @access  Private
+ */
+export const startTimer = asyncHandler(async (req, res) => {
+  const { itemType, itemId, description } = req.body;
+  const timer = await timerService.startTimer(req.user, { itemType, itemId, description });
+
+  res.status(201).json({
+    success: true,
+    data: timer
+  });
+});
+
+/**
+ * @desc    Record activity on the running timer, clearing its idle flag
+ * @route   PATCH /api/timers/current/heartbeat
+ * @access  Private
+ */
+export const recordTimerActivity = asyncHandler(async (req, res) => {
+  const timer = await timerService.recordActivity(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: timer
+  });
+});
+
+/**
+ * @desc    Stop the running timer and log its time
+ * @route   POST /api/timers/current/stop
+ * @access  Private
+ */
+export const stopTimer = asyncHandler(async (req, res) => {
+  const { endedAt, description } = req.body;
+  const result = await timerService.stopTimer(req.user, { endedAt, description });
+
+  res.status(200).json({
+    success: true,
+    message: result.entry ? 'Time logged' : 'Timer ran for less than a minute; nothing was logged',
+    data: result
+  });
+});
+
+/**
+ * @desc    Discard the running timer without logging anything
+ * @route   DELETE /api/timers/current
+ * @access  Private
+ */
+export const discardTimer = asyncHandler(async (req, res) => {
+  await timerService.discardTimer(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Timer discarded'
+  });
+});
@@ -0,0 +1,90 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import timesheetService from '../services/timeTracking/timesheetService.js';
+
+/**
+ * @desc    Get the current user's timesheet for a week (default this week)
+ * @route   GET /api/timesheets/week
+ * @access  Private
+ */
+export const getTimesheetWeek = asyncHandler(async (req, res) => {
+  const week = await timesheetService.getWeek(req.user._id, req.query.weekStart);
+
+  res.status(200).json({
+    success: true,
+    data: week
+  });
+});
+
+/**
+ * @desc    List timesheets; scope=mine (default) or scope=team for reviewers
+ * @route   GET /api/timesheets
+ * @access  Private
+ */
+export const getTimesheets = asyncHandler(async (req, res) => {
+  const { scope, status, limit } = req.query;
+  const timesheets = await timesheetService.listTimesheets(req.user, { scope, status, limit });
+
+  res.status(200).json({
+    success: true,
+    count: timesheets.length,
+    data: timesheets
+  });
+});
+
+/**
+ * @desc    Get one timesheet with its entries
+ * @route   GET /api/timesheets/:id
+ * @access  Private (owner or reviewer)
+ */
+export const getTimesheet = asyncHandler(async (req, res) => {
+  const timesheet = await timesheetService.getTimesheet(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: timesheet
+  });
+});
+
+/**
+ * @desc    Submit a week of logged time for approval
+ * @route   POST /api/timesheets/submit
+ * @access  Private
+ */
+export const submitTimesheet = asyncHandler(async (req, res) => {
+  const { weekStart, note } = req.body;
+  const timesheet = await timesheetService.submitTimesheet(req.user, { weekStart, note });
+
+  res.status(201).json({
+    success: true,
+    data: timesheet
+  });
+});
+
+/**
+ * @desc    Approve or reject a submitted timesheet
+ * @route   PATCH /api/timesheets/:id/review
+ * @access  Private (Admin/HR, or Manager of the user's department)
+ */
+export const reviewTimesheet = asyncHandler(async (req, res) => {
+  const { status, comment } = req.body;
+  const timesheet = await timesheetService.reviewTimesheet(req.params.id, req.user, { status, comment });
+
+  res.status(200).json({
+    success: true,
+    data: timesheet
+  });
+});
+
+/**
+ * @desc    Reopen an approved timesheet, removing the billed time it created
+ * @route   PATCH /api/timesheets/:id/reopen
+ * @access  Private (Admin/HR, or Manager of the user's department)
+ */
+export const reopenTimesheet = asyncHandler(async (req, res) => {
+  const timesheet = await timesheetService.reopenTimesheet(req.params.id, req.user, { comment: req.body.comment });
+
+  res.status(200).json({
+    success: true,
+    data: timesheet
+  });
+});
@@ -7,7 +7,7 @@ import SubtaskNano from '../models/SubtaskNano.js';
 import Activity from '../models/Activity.js';
 import { ErrorResponse } from '../middleware/errorHandler.js';
 import { emitToBoard } from '../realtime/index.js';
-import { deleteFromCloudinary, deleteMultipleFromCloudinary } from '../utils/cloudinary.js';
+import { deleteFile, deleteFiles } from '../services/storage/storageService.js';
 
 const ensureRestorePermission = async (user, board) => {
   if (!user) return false;
@@ -188,9 +188,9 @@ export const permanentlyDeleteAttachment = asyncHandler(async (req, res) => {
   if (role !== 'admin') throw new ErrorResponse('Only admins can permanently delete attachments', 403);
 
   try {
-    await deleteFromCloudinary(att.publicId, att.resourceType);
+    await deleteFile(att.publicId, att.resourceType);
   } catch (e) {
-    console.error('Cloudinary delete error (permanent):', e.message);
+    console.error('Storage delete error (permanent):', e.message);
   }
 
   await Attachment.deleteOne({ _id: att._id });
@@ -307,13 +307,10 @@ export const bulkPermanentDelete = asyncHandler(async (req, res) => {
     byBoard.get(key).push(a);
   }
 
-  const imageIds = atts.filter(a => a.resourceType === 'image').map(a => a.publicId);
-  const rawIds = atts.filter(a => a.resourceType !== 'image').map(a => a.publicId);
   try {
-    if (imageIds.length) await deleteMultipleFromCloudinary(imageIds, 'image');
-    if (rawIds.length) await deleteMultipleFromCloudinary(rawIds, 'raw');
+    await deleteFiles(atts.map(a => ({ key: a.publicId, resourceType: a.resourceType })));
   } catch (e) {
-    console.error('Cloudinary bulk permanent delete error:', e);
+    console.error('Storage bulk permanent delete error:', e);
   }
 
   // Create activity logs for bulk delete
@@ -13,6 +13,12 @@ import notificationService from '../utils/notificationService.js';
 import { chatHooks } from '../utils/chatHooks.js';
 import { invalidateAuthCache } from '../middleware/authMiddleware.js';
 import { emitToUser } from '../realtime/index.js';
+import {
+  DIGEST_MODES,
+  applyDeliverySettings,
+  isValidClock,
+  isValidTimeZone
+} from '../services/notifications/notificationDeliveryService.js';
 
 const ROLE_OPTIONS_FOR_FINANCE_ACCESS = ['admin', 'manager', 'employee', 'hr'];
 
@@ -446,6 +452,19 @@ export const getManagerUsers = asyncHandler(async (req, res, next) => {
   });
 });
 
+const DELIVERY_SETTING_KEYS = ['quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd', 'quietHoursTimezone', 'digestMode'];
+
+const validateDeliverySettings = (notifications = {}) => {
+  const { quietHoursStart, quietHoursEnd, quietHoursTimezone, digestMode } = notifications;
+  if (quietHoursStart !== undefined && !isValidClock(quietHoursStart)) return 'Quiet hours start must be a time like 22:00';
+  if (quietHoursEnd !== undefined && !isValidClock(quietHoursEnd)) return 'Quiet hours end must be a time like 08:00';
+  if (quietHoursTimezone !== undefined && !isValidTimeZone(quietHoursTimezone)) return 'Unknown time zone';
+  if (digestMode !== undefined && digestMode !== 'immediate' && !DIGEST_MODES.includes(digestMode)) {
+    return 'Email digest must be immediate, hourly, daily or weekly';
+  }
+  return null;
+};
+
 // @desc    Update current user settings
 // @route   PUT /api/users/settings
 // @access  Private
@@ -478,11 +497,20 @@ export const updateSettings = asyncHandler(async (req, res, next) => {
 
   // Update settings
   if (notifications !== undefined) {
+    const deliveryError = validateDeliverySettings(notifications);
+    if (deliveryError) {
+      return next(new ErrorResponse(deliveryError, 400));
+    }
     user.settings.notifications = { ...user.settings.notifications, ...notifications };
   }
 
   await user.save();
 
+  // Quiet hours and digest changes move the next digest
+  if (notifications && DELIVERY_SETTING_KEYS.some((key) => key in notifications)) {
+    await applyDeliverySettings(user);
+  }
+
   // Remove password from response
   const userResponse = user.toObject();
   delete userResponse.password;
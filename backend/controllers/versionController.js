@@ -1,9 +1,53 @@
 import asyncHandler from '../middleware/asyncHandler.js';
-import VersionHistory from '../models/VersionHistory.js';
+import VersionHistory, { VERSION_ENTITY_TYPES } from '../models/VersionHistory.js';
 import Card from '../models/Card.js';
 import Comment from '../models/Comment.js';
 import { ErrorResponse } from '../middleware/errorHandler.js';
-import { emitToBoard } from '../realtime/index.js';
+import { emitToBoard, emitToAll } from '../realtime/index.js';
+import {
+  isEntityVersionType,
+  assertEntityAccess,
+  rollbackEntity,
+  diffSnapshots,
+  getCurrentSnapshot,
+  resolveSnapshotReferences
+} from '../services/versions/entityHistoryService.js';
+
+// Realtime event for each entity type after a field rollback, so open views refresh
+const emitEntityRollback = async (entityType, entity, changes, user) => {
+  const rolledBackBy = { id: user.id, name: user.name };
+  const boardId = (entity.board?._id || entity.board)?.toString();
+  const updates = Object.fromEntries(changes.map((change) => [change.field, entity[change.field]]));
+
+  if (entityType === 'card') {
+    // Send people and labels as objects so open task views can render them
+    const card = await Card.findById(entity._id)
+      .select('assignees members labels')
+      .populate('assignees', 'name email avatar')
+      .populate('members', 'name email avatar')
+      .populate('labels')
+      .lean();
+    for (const field of ['assignees', 'members', 'labels']) {
+      if (field in updates) updates[field] = card?.[field] || [];
+    }
+    emitToBoard(boardId, 'card-updated', { cardId: entity._id, updates, updatedBy: rolledBackBy });
+  } else if (entityType === 'subtask') {
+    emitToBoard(boardId, 'hierarchy-subtask-changed', {
+      type: 'updated',
+      taskId: entity.task,
+      subtask: entity
+    });
+  } else if (entityType === 'nano_subtask') {
+    emitToBoard(boardId, 'hierarchy-nano-changed', {
+      type: 'updated',
+      subtaskId: entity.subtask,
+      taskId: entity.task,
+      nano: entity
+    });
+  } else if (entityType === 'board') {
+    emitToAll('board-updated', { boardId: entity._id, updates, projectName: entity.name });
+  }
+};
 
 // @desc    Get version history for an entity
 // @route   GET /api/versions/:entityType/:entityId
@@ -17,19 +61,35 @@ export const getVersionHistory = asyncHandler(async (req, res) => {
   const skip = (pageNum - 1) * limitNum;
 
   // Validate entity type
-  const validTypes = ['card_description', 'comment', 'subtask_description'];
-  if (!validTypes.includes(entityType)) {
+  if (!VERSION_ENTITY_TYPES.includes(entityType)) {
     throw new ErrorResponse('Invalid entity type', 400);
   }
 
+  // Field snapshots expose live values, so they follow the entity's access
+  if (isEntityVersionType(entityType)) {
+    await assertEntityAccess(entityType, entityId, req.user);
+  }
+
   const [versions, total] = await Promise.all([
     VersionHistory.getVersionHistory(entityType, entityId, { skip, limit: limitNum, lean: true }),
     VersionHistory.getVersionCount(entityType, entityId)
   ]);
 
+  // Field snapshots: include the live values and display names for ids
+  let entityState = {};
+  if (isEntityVersionType(entityType)) {
+    const current = await getCurrentSnapshot(entityType, entityId);
+    const references = await resolveSnapshotReferences(
+      entityType,
+      [current, ...versions.map((version) => version.snapshot)]
+    );
+    entityState = { current, references };
+  }
+
   res.status(200).json({
     success: true,
     data: versions,
+    ...entityState,
     pagination: {
       currentPage: pageNum,
       totalPages: Math.ceil(total / limitNum),
@@ -46,6 +106,10 @@ export const getVersionHistory = asyncHandler(async (req, res) => {
 export const getSpecificVersion = asyncHandler(async (req, res) => {
   const { entityType, entityId, versionNumber } = req.params;
 
+  if (isEntityVersionType(entityType)) {
+    await assertEntityAccess(entityType, entityId, req.user);
+  }
+
   const version = await VersionHistory.getVersion(entityType, entityId, parseInt(versionNumber, 10));
 
   if (!version) {
@@ -65,11 +129,39 @@ export const rollbackToVersion = asyncHandler(async (req, res) => {
   const { entityType, entityId, versionNumber } = req.params;
 
   // Validate entity type
-  const validTypes = ['card_description', 'comment', 'subtask_description'];
-  if (!validTypes.includes(entityType)) {
+  if (!VERSION_ENTITY_TYPES.includes(entityType)) {
     throw new ErrorResponse('Invalid entity type', 400);
   }
 
+  // Field snapshots: restore one field (req.body.field) or all tracked fields
+  if (isEntityVersionType(entityType)) {
+    const field = req.body?.field || undefined;
+    const { entity, version, changes } = await rollbackEntity({
+      entityType,
+      entityId,
+      versionNumber: parseInt(versionNumber, 10),
+      field,
+      user: req.user
+    });
+
+    if (version) {
+      await emitEntityRollback(entityType, entity, changes, req.user);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        rollbackVersion: version,
+        entity,
+        changes,
+        current: await getCurrentSnapshot(entityType, entityId)
+      },
+      message: version
+        ? `${field ? `Restored ${field}` : 'Rolled back'} to version ${versionNumber}`
+        : 'Already matches this version'
+    });
+  }
+
   let card, board;
 
   // Get the parent entity to find board and card
@@ -144,6 +236,10 @@ export const rollbackToVersion = asyncHandler(async (req, res) => {
 export const compareVersions = asyncHandler(async (req, res) => {
   const { entityType, entityId, v1, v2 } = req.params;
 
+  if (isEntityVersionType(entityType)) {
+    await assertEntityAccess(entityType, entityId, req.user);
+  }
+
   const [version1, version2] = await Promise.all([
     VersionHistory.getVersion(entityType, entityId, parseInt(v1, 10)),
     VersionHistory.getVersion(entityType, entityId, parseInt(v2, 10))
@@ -157,7 +253,10 @@ export const compareVersions = asyncHandler(async (req, res) => {
     success: true,
     data: {
       version1,
-      version2
+      version2,
+      ...(isEntityVersionType(entityType) && {
+        changes: diffSnapshots(version1.snapshot || {}, version2.snapshot || {})
+      })
     }
   });
 });
@@ -182,6 +281,10 @@ export const getVersionCount = asyncHandler(async (req, res) => {
 export const getLatestVersion = asyncHandler(async (req, res) => {
   const { entityType, entityId } = req.params;
 
+  if (isEntityVersionType(entityType)) {
+    await assertEntityAccess(entityType, entityId, req.user);
+  }
+
   const latestVersionNumber = await VersionHistory.getLatestVersionNumber(entityType, entityId);
   
   if (latestVersionNumber === 0) {
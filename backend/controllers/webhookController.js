@@ -0,0 +1,92 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+import {
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  rotateEndpointSecret,
+  deleteEndpoint,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  sendTestEvent,
+} from '../services/webhooks/webhookService.js';
+
+// @desc    List the event types endpoints can subscribe to
+// @route   GET /api/webhooks/events
+// @access  Private/Admin
+export const getWebhookEvents = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: WEBHOOK_EVENTS });
+});
+
+// @desc    List webhook endpoints
+// @route   GET /api/webhooks
+// @access  Private/Admin
+export const getWebhookEndpoints = asyncHandler(async (req, res) => {
+  const endpoints = await listEndpoints();
+  res.status(200).json({ success: true, count: endpoints.length, data: endpoints });
+});
+
+// @desc    Register a webhook endpoint (the signing secret is only returned here)
+// @route   POST /api/webhooks
+// @access  Private/Admin
+export const createWebhookEndpoint = asyncHandler(async (req, res) => {
+  const { endpoint, secret } = await createEndpoint(req.body, req.user);
+  res.status(201).json({ success: true, data: endpoint, secret });
+});
+
+// @desc    Update a webhook endpoint (setting isActive re-enables a disabled one)
+// @route   PUT /api/webhooks/:id
+// @access  Private/Admin
+export const updateWebhookEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await updateEndpoint(req.params.id, req.body);
+  res.status(200).json({ success: true, data: endpoint });
+});
+
+// @desc    Replace a webhook endpoint's signing secret
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private/Admin
+export const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const { endpoint, secret } = await rotateEndpointSecret(req.params.id);
+  res.status(200).json({ success: true, data: endpoint, secret });
+});
+
+// @desc    Delete a webhook endpoint and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private/Admin
+export const deleteWebhookEndpoint = asyncHandler(async (req, res) => {
+  await deleteEndpoint(req.params.id);
+  res.status(200).json({ success: true, message: 'Webhook endpoint deleted' });
+});
+
+// @desc    Send a ping event to a webhook endpoint
+// @route   POST /api/webhooks/:id/test
+// @access  Private/Admin
+export const testWebhookEndpoint = asyncHandler(async (req, res) => {
+  const delivery = await sendTestEvent(req.params.id, req.user);
+  res.status(202).json({ success: true, data: delivery });
+});
+
+// @desc    Browse an endpoint's delivery log
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private/Admin
+export const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { deliveries, pagination } = await listDeliveries(req.params.id, req.query);
+  res.status(200).json({ success: true, data: deliveries, pagination });
+});
+
+// @desc    Get one delivery with its payload and response
+// @route   GET /api/webhooks/deliveries/:deliveryId
+// @access  Private/Admin
+export const getWebhookDelivery = asyncHandler(async (req, res) => {
+  const delivery = await getDelivery(req.params.deliveryId);
+  res.status(200).json({ success: true, data: delivery });
+});
+
+// @desc    Send a logged delivery again
+// @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+// @access  Private/Admin
+export const redeliverWebhook = asyncHandler(async (req, res) => {
+  const delivery = await redeliver(req.params.deliveryId, req.user);
+  res.status(202).json({ success: true, data: delivery });
+});
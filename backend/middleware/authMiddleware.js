@@ -3,6 +3,9 @@ import User from '../models/User.js';
 import Role from '../models/Role.js';
 import { LRUCache } from 'lru-cache';
 import config from '../config/index.js';
+import { apiTokenRateLimiter } from './rateLimiter.js';
+import { isApiToken, resolveApiToken, touchApiToken, tokenHasScope } from '../services/auth/apiTokenService.js';
+import { matchStableEndpoint } from '../services/publicApi/stableEndpoints.js';
 
 // ─── Auth Cache ─────────────────────────────────────────────────────────────
 // In-memory LRU cache for authenticated user lookups.
@@ -32,8 +35,93 @@ export const clearAuthCache = () => {
   authCache.clear();
 };
 
+/**
+ * Load the user behind a session or API token, through the auth cache.
+ * Returns null when the user no longer exists.
+ */
+const loadAuthUser = async (userId) => {
+  // Check LRU cache first
+  let userObj = authCache.get(userId);
+
+  if (!userObj) {
+    // Cache miss — query DB with lean() + select() for minimal overhead
+    const user = await User.findById(userId)
+      .select('-password')
+      .populate('roleId')
+      .lean();
+
+    if (!user) return null;
+
+    userObj = user;
+    // Store in cache
+    authCache.set(userId, userObj);
+  }
+
+  // Normalize user shape for controller compatibility.
+  // Many controllers access req.user.id (not _id), while lean() returns _id.
+  if (!userObj.id && userObj._id) {
+    userObj = {
+      ...userObj,
+      id: userObj._id.toString(),
+    };
+    authCache.set(userId, userObj);
+  }
+
+  return userObj;
+};
+
+/**
+ * Personal access tokens and service API keys act as their owner, but only
+ * on the stable endpoints and only within their scopes. Each token has its
+ * own rate limit.
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  const apiToken = await resolveApiToken(token);
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'API token is invalid, expired or revoked'
+    });
+  }
+
+  const endpoint = matchStableEndpoint(req.method, req.originalUrl.split('?')[0]);
+  if (!endpoint) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint is not available to API tokens'
+    });
+  }
+  if (!tokenHasScope(apiToken, endpoint.scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This API token needs the '${endpoint.scope}' scope`
+    });
+  }
+
+  const userObj = await loadAuthUser(apiToken.user);
+  if (!userObj || !userObj.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'The owner of this API token is deactivated'
+    });
+  }
+
+  req.user = userObj;
+  req.apiToken = {
+    id: apiToken.id,
+    kind: apiToken.kind,
+    scopes: apiToken.scopes,
+    rateLimit: apiToken.rateLimit
+  };
+  touchApiToken(apiToken, req.ip);
+  return apiTokenRateLimiter(req, res, next);
+};
+
 export const protect = async (req, res, next) => {
   try {
+    // Routers that run protect at both router and route level
+    if (req.apiToken && req.user) return next();
+
     let token;
 
     // Check for token in headers
@@ -49,41 +137,30 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    if (isApiToken(token)) {
+      return await authenticateApiToken(req, res, next, token);
+    }
+
     try {
       // Verify token (CPU-only, no DB call)
       const decoded = jwt.verify(token, config.jwt.secret);
       const userId = decoded.id;
 
-      // Check LRU cache first
-      let userObj = authCache.get(userId);
-
-      if (!userObj) {
-        // Cache miss — query DB with lean() + select() for minimal overhead
-        const user = await User.findById(userId)
-          .select('-password')
-          .populate('roleId')
-          .lean();
-
-        if (!user) {
-          return res.status(401).json({
-            success: false,
-            message: 'User not found'
-          });
-        }
-
-        userObj = user;
-        // Store in cache
-        authCache.set(userId, userObj);
+      // Intermediate two-factor tokens (challenge / forced setup) are not sessions
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Two-factor authentication is incomplete'
+        });
       }
 
-      // Normalize user shape for controller compatibility.
-      // Many controllers access req.user.id (not _id), while lean() returns _id.
-      if (!userObj.id && userObj._id) {
-        userObj = {
-          ...userObj,
-          id: userObj._id.toString(),
-        };
-        authCache.set(userId, userObj);
+      const userObj = await loadAuthUser(userId);
+
+      if (!userObj) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found'
+        });
       }
 
       if (!userObj.isActive) {
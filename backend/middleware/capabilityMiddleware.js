@@ -6,10 +6,30 @@
  *
  * This replaces scattered `if (role === 'employee')` hardcoded checks with a
  * scalable, role-agnostic permission model.
+ *
+ * Requests made with an API token get the owner's capabilities narrowed to
+ * the token's scopes: a capability counts only if the token holds the scope
+ * it maps to below. Restrictions such as FORCE_ASSIGNMENT_SCOPE always apply.
  */
 
 import { computeUserCapabilities, userHasCapability, CAPABILITIES } from '../services/permissionService.js';
 
+// Capabilities missing here are never granted to API tokens
+const CAPABILITY_SCOPES = Object.freeze({
+  [CAPABILITIES.VIEW_ALL_PROJECTS]: 'read:projects',
+  [CAPABILITIES.VIEW_DEPT_PROJECTS]: 'read:projects',
+  [CAPABILITIES.VIEW_SELECTED_PROJECTS]: 'read:projects',
+  [CAPABILITIES.VIEW_ASSIGNED_PROJECTS]: 'read:projects',
+  [CAPABILITIES.MANAGE_PROJECT]: 'write:projects',
+});
+
+const RESTRICTIONS = new Set([CAPABILITIES.FORCE_ASSIGNMENT_SCOPE]);
+
+const tokenAllows = (apiToken, capability) =>
+  !apiToken
+  || RESTRICTIONS.has(capability)
+  || apiToken.scopes.includes(CAPABILITY_SCOPES[capability]);
+
 /**
  * Route middleware factory.
  * Usage: router.get('/...', protect, requireCapability(CAPABILITIES.MANAGE_PROJECT), handler)
@@ -20,7 +40,7 @@ export const requireCapability = (capability) => {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    if (!userHasCapability(req.user, capability)) {
+    if (!userHasCapability(req.user, capability) || !tokenAllows(req.apiToken, capability)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have the required access level for this action'
@@ -38,7 +58,10 @@ export const requireCapability = (capability) => {
  */
 export const attachCapabilities = (req, res, next) => {
   if (req.user) {
-    req.capabilities = computeUserCapabilities(req.user);
+    const capabilities = computeUserCapabilities(req.user);
+    req.capabilities = req.apiToken
+      ? new Set([...capabilities].filter((capability) => tokenAllows(req.apiToken, capability)))
+      : capabilities;
   }
   next();
 };
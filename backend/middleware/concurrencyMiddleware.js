@@ -0,0 +1,41 @@
+import asyncHandler from './asyncHandler.js';
+import { ErrorResponse } from './errorHandler.js';
+
+export const BASE_VERSION_HEADER = 'X-Base-Updated-At';
+
+/**
+ * Reject a write made against a stale copy of a document.
+ *
+ * Clients replaying edits made offline send the `updatedAt` they last saw in
+ * the X-Base-Updated-At header. If the document changed after that, the write
+ * is refused with 409 and the current document, so the client can ask the
+ * user which version to keep. Requests without the header are not checked.
+ *
+ * @param {mongoose.Model} Model
+ * @param {Object} [options]
+ * @param {string} [options.label] - Shown in the conflict message
+ * @param {string} [options.field] - Timestamp compared with the header (e.g.
+ *   `editedAt` for comments, whose `updatedAt` also moves on reactions)
+ */
+export const rejectStaleWrites = (Model, { label = 'item', field = 'updatedAt' } = {}) => asyncHandler(async (req, res, next) => {
+  const header = req.get(BASE_VERSION_HEADER);
+  if (!header) return next();
+
+  const base = new Date(header);
+  if (Number.isNaN(base.getTime())) {
+    throw new ErrorResponse(`Invalid ${BASE_VERSION_HEADER} header`, 400);
+  }
+
+  // Missing documents are left to the handler's own 404
+  const current = await Model.findById(req.params.id).lean();
+  if (!current || !current[field] || current[field] <= base) return next();
+
+  res.status(409).json({
+    success: false,
+    code: 'STALE_WRITE',
+    message: `This ${label} was changed by someone else since you last saw it`,
+    data: current
+  });
+});
+
+export default rejectStaleWrites;
@@ -31,6 +31,12 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
+  // Mongoose optimistic concurrency (a concurrent save won)
+  if (err.name === 'VersionError') {
+    const message = 'This item was changed by someone else. Reload and try again';
+    error = new ErrorResponse(message, 409);
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
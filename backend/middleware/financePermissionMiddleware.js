@@ -3,6 +3,20 @@ import UserPermission, {
   FULL_FINANCE_PERMISSIONS,
   normalizePermissionRole
 } from '../models/UserPermission.js';
+import { getPolicy } from '../services/auth/twoFactorService.js';
+
+// Enforced here as well as at login so sessions that predate the policy
+// cannot keep reading finance data without a second factor.
+const requireTwoFactorForFinance = async (req, res) => {
+  const policy = await getPolicy();
+  if (!policy.requireForFinanceAccess || req.user?.twoFactor?.enabled) return false;
+  res.status(403).json({
+    success: false,
+    code: 'TWO_FACTOR_REQUIRED',
+    message: 'Two-factor authentication is required for the Finance module. Enable it in Settings.'
+  });
+  return true;
+};
 
 export const checkFinanceAccess = async (req, res, next) => {
   try {
@@ -10,6 +24,7 @@ export const checkFinanceAccess = async (req, res, next) => {
     const userRole = normalizePermissionRole(req.user?.role);
 
     if (userRole === 'admin') {
+      if (await requireTwoFactorForFinance(req, res)) return;
       req.financePermissions = { ...FULL_FINANCE_PERMISSIONS, locked: true };
       return next();
     }
@@ -23,6 +38,8 @@ export const checkFinanceAccess = async (req, res, next) => {
       });
     }
 
+    if (await requireTwoFactorForFinance(req, res)) return;
+
     req.financePermissions = permissions;
     return next();
   } catch (error) {
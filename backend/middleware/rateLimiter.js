@@ -1,29 +1,39 @@
+import config from '../config/index.js';
+
 const rateLimitStore = new Map();
 
 export const rateLimiter = (options = {}) => {
   const {
     windowMs = 15 * 60 * 1000, // 15 minutes
-    maxRequests = 100,
-    message = 'Too many requests, please try again later'
+    maxRequests = 100, // or (req) => number
+    message = 'Too many requests, please try again later',
+    keyGenerator = (req) => req.ip || req.connection.remoteAddress,
+    headers = false // send X-RateLimit-* and Retry-After
   } = options;
 
   return (req, res, next) => {
-    const key = req.ip || req.connection.remoteAddress;
+    const key = keyGenerator(req);
+    const limit = typeof maxRequests === 'function' ? maxRequests(req) : maxRequests;
     const now = Date.now();
 
-    if (!rateLimitStore.has(key)) {
-      rateLimitStore.set(key, { count: 1, resetTime: now + windowMs });
-      return next();
+    let record = rateLimitStore.get(key);
+    if (!record || now > record.resetTime) {
+      record = { count: 0, resetTime: now + windowMs };
+      rateLimitStore.set(key, record);
     }
 
-    const record = rateLimitStore.get(key);
-
-    if (now > record.resetTime) {
-      rateLimitStore.set(key, { count: 1, resetTime: now + windowMs });
-      return next();
+    if (headers) {
+      res.set({
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(Math.max(0, limit - record.count - 1)),
+        'X-RateLimit-Reset': String(Math.ceil(record.resetTime / 1000))
+      });
     }
 
-    if (record.count >= maxRequests) {
+    if (record.count >= limit) {
+      if (headers) {
+        res.set('Retry-After', String(Math.ceil((record.resetTime - now) / 1000)));
+      }
       return res.status(429).json({
         success: false,
         message
@@ -31,11 +41,19 @@ export const rateLimiter = (options = {}) => {
     }
 
     record.count++;
-    rateLimitStore.set(key, record);
     next();
   };
 };
 
+// One bucket per API token, sized by the token's own limit
+export const apiTokenRateLimiter = rateLimiter({
+  windowMs: config.rateLimit.apiToken.windowMs,
+  maxRequests: (req) => req.apiToken.rateLimit,
+  keyGenerator: (req) => `api-token:${req.apiToken.id}`,
+  message: 'API token rate limit exceeded, please slow down',
+  headers: true
+});
+
 
 // Clean up old entries periodically
 setInterval(() => {
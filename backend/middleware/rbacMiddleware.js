@@ -3,6 +3,10 @@ import { protect, authorize } from './authMiddleware.js';
 /**
  * Role-Based Access Control Middleware
  * Defines permissions for different user roles
+ *
+ * API tokens act as their owner, so these guards check the owner's current
+ * role. protect has already limited a token to the stable endpoints its
+ * scopes cover; a role check can only narrow that further.
  */
 
 // Admin only access
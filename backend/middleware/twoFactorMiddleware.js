@@ -0,0 +1,40 @@
+import User from '../models/User.js';
+import { protect } from './authMiddleware.js';
+import {
+  TWO_FACTOR_TOKEN_PURPOSES,
+  verifyTwoFactorToken
+} from '../services/auth/twoFactorService.js';
+
+/**
+ * Authenticate two-factor enrollment requests. Accepts a normal session, or
+ * the short-lived setup token issued by /auth/login when the security policy
+ * requires 2FA and the user has not enrolled yet.
+ */
+export const protectTwoFactorSetup = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer') ? header.split(' ')[1] : null;
+  const setupUserId = verifyTwoFactorToken(token, TWO_FACTOR_TOKEN_PURPOSES.SETUP);
+
+  if (!setupUserId) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const user = await User.findById(setupUserId).select('-password').lean();
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    req.user = { ...user, id: user._id.toString() };
+    req.twoFactorSetupSession = true;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
@@ -60,7 +60,12 @@ const activitySchema = new mongoose.Schema({
       'recurrence_resumed',
       // Copy/Move activity types
       'card_copied',
-      'subtask_promoted'
+      'subtask_promoted',
+      // Dependency activity types
+      'dependency_added',
+      'dependency_removed',
+      'dates_shifted',
+      'custom_field_changed'
     ],
     required: true
   },
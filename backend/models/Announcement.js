@@ -292,6 +292,10 @@ announcementSchema.index({ isScheduled: 1, scheduledFor: 1 });
 announcementSchema.index({ category: 1, createdAt: -1 });
 announcementSchema.index({ expiresAt: 1 });
 announcementSchema.index({ createdAt: -1 });
+announcementSchema.index({ title: 'text', description: 'text' }, {
+  weights: { title: 10, description: 1 },
+  name: 'announcement_text_search',
+});
 // Indexes for seen/read tracking and unread count queries
 announcementSchema.index({ 'seenBy.userId': 1 });
 announcementSchema.index({ 'readBy.userId': 1 });
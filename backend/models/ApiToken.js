@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const API_TOKEN_KINDS = Object.freeze(['personal', 'service']);
+
+// `<read|write>:<resource>`; write does not imply read
+export const API_TOKEN_SCOPES = Object.freeze([
+  'read:projects',
+  'write:projects',
+  'read:cards',
+  'write:cards',
+  'read:comments',
+  'write:comments',
+  'read:time',
+  'write:time',
+  'read:finance',
+  'write:finance',
+  'read:users',
+]);
+
+// A personal access token or service API key. It acts as its owner, narrowed
+// to its scopes. Only the sha256 of the token is stored; the plain value is
+// shown once, at creation or rotation.
+const apiTokenSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  kind: { type: String, enum: API_TOKEN_KINDS, default: 'personal' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  tokenHint: { type: String, maxlength: 8 },
+  scopes: {
+    type: [{ type: String, enum: API_TOKEN_SCOPES }],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'Grant at least one scope',
+    },
+  },
+  // Requests per rate-limit window
+  rateLimit: { type: Number, min: 1 },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+apiTokenSchema.index({ kind: 1, revokedAt: 1 });
+
+export default mongoose.model('ApiToken', apiTokenSchema);
@@ -198,6 +198,10 @@ attachmentSchema.index({ uploadedBy: 1, createdAt: -1 });
 attachmentSchema.index({ fileType: 1, createdAt: -1 });
 attachmentSchema.index({ board: 1, isDeleted: 1, deletedAt: -1 });
 attachmentSchema.index({ board: 1, deletedAt: -1, fileType: 1 });
+attachmentSchema.index({ originalName: 'text', fileName: 'text' }, {
+  weights: { originalName: 5, fileName: 1 },
+  name: 'attachment_text_search',
+});
 
 // Virtual for formatted file size
 attachmentSchema.virtual('formattedSize').get(function() {
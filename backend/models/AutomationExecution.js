@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+export const AUTOMATION_EXECUTION_STATUSES = Object.freeze(['success', 'partial', 'failed', 'skipped']);
+
+// One evaluation of one rule against one card, kept for the execution log.
+// Skipped runs are recorded too so loop protection is visible to the project owner.
+const automationExecutionSchema = new mongoose.Schema({
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'AutomationRule', required: true },
+  // Kept so the log stays readable after a rule is renamed or deleted
+  ruleName: { type: String },
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card', required: true },
+  trigger: { type: String, required: true },
+  eventData: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Who caused the triggering event (a person, or the rule that ran before this one)
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  status: { type: String, enum: AUTOMATION_EXECUTION_STATUSES, required: true },
+  skipReason: { type: String, enum: ['loop_detected', 'depth_exceeded', 'rate_limited', null], default: null },
+  actions: [new mongoose.Schema({
+    type: { type: String, required: true },
+    ok: { type: Boolean, required: true },
+    detail: { type: String, default: null },
+  }, { _id: false })],
+  // Position in a rule chain: 0 = started by a person, n = started by the nth rule
+  depth: { type: Number, default: 0 },
+  chain: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AutomationRule' }],
+  // Identifies the occurrence for triggers that are scanned rather than pushed
+  // (e.g. the due date a "due date passed" run fired for), so it fires once
+  dedupeKey: { type: String, default: null },
+  durationMs: { type: Number, default: null },
+}, { timestamps: true });
+
+automationExecutionSchema.index({ rule: 1, createdAt: -1 });
+automationExecutionSchema.index({ board: 1, createdAt: -1 });
+automationExecutionSchema.index({ rule: 1, card: 1, createdAt: -1 });
+automationExecutionSchema.index({ rule: 1, card: 1, dedupeKey: 1 });
+// Execution log retention
+automationExecutionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('AutomationExecution', automationExecutionSchema);
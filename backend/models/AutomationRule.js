@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const AUTOMATION_TRIGGERS = Object.freeze([
+  'card_moved',
+  'due_date_passed',
+  'label_added',
+  'subtasks_completed',
+  'time_threshold_exceeded',
+]);
+
+export const AUTOMATION_ACTIONS = Object.freeze([
+  'assign_user',
+  'move_to_list',
+  'set_status',
+  'add_label',
+  'post_comment',
+  'create_subtask',
+  'send_notification',
+]);
+
+// Trigger config by type:
+//   card_moved              { toList?, fromList? }          (empty = any list)
+//   label_added             { label? }                      (empty = any label)
+//   time_threshold_exceeded { hours } or { percentOfEstimate }
+//   due_date_passed / subtasks_completed take no config
+// Action config by type:
+//   assign_user { user }, move_to_list { list }, set_status { status },
+//   add_label { label }, post_comment { text }, create_subtask { title, priority? },
+//   send_notification { recipients: 'assignees'|'members'|'creator'|'users', users?, message }
+const automationActionSchema = new mongoose.Schema({
+  type: { type: String, enum: AUTOMATION_ACTIONS, required: true },
+  config: { type: mongoose.Schema.Types.Mixed, default: {} },
+}, { _id: false });
+
+// "When X happens on a card of this project (and it matches the conditions), do Y."
+// Rules are evaluated by services/automation/automationService.js.
+const automationRuleSchema = new mongoose.Schema({
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500 },
+  isActive: { type: Boolean, default: true },
+  trigger: {
+    type: { type: String, enum: AUTOMATION_TRIGGERS, required: true },
+    config: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  // Empty = no restriction on that dimension
+  conditions: {
+    priorities: [{ type: String, enum: ['low', 'medium', 'high', 'critical', 'none'] }],
+    assignees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    labels: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Label' }],
+    labelMatch: { type: String, enum: ['any', 'all'], default: 'any' },
+  },
+  actions: {
+    type: [automationActionSchema],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'Add at least one action',
+    },
+  },
+  stats: {
+    executionCount: { type: Number, default: 0 },
+    lastExecutedAt: { type: Date, default: null },
+    lastStatus: { type: String, default: null },
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+automationRuleSchema.index({ board: 1, isActive: 1, 'trigger.type': 1 });
+automationRuleSchema.index({ isActive: 1, 'trigger.type': 1 });
+
+export default mongoose.model('AutomationRule', automationRuleSchema);
@@ -154,12 +154,70 @@ const boardSchema = new mongoose.Schema({
     clientWhatsappNumber: {
       type: String,
       trim: true
+    },
+    clientLocation: {
+      type: String,
+      trim: true
+    },
+    clientRating: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    clientBudget: {
+      type: String,
+      trim: true
+    }
+  },
+  // Sales lead this project was converted from (see SalesRow.convertedProject)
+  salesOrigin: {
+    salesRow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SalesRow'
+    },
+    platform: {
+      type: String,
+      trim: true
+    },
+    profile: {
+      type: String,
+      trim: true
+    },
+    technology: {
+      type: String,
+      trim: true
+    },
+    bidUrl: {
+      type: String,
+      trim: true
+    },
+    convertedAt: {
+      type: Date
+    },
+    convertedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   },
   projectCategory: {
     type: String,
     trim: true
   },
+  // Email-in: mail sent to the project's plus-address becomes a card in `list`
+  emailIn: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    key: {
+      type: String
+    },
+    list: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'List',
+      default: null
+    }
+  },
   attachments: [{
     filename: {
       type: String,
@@ -247,12 +305,18 @@ boardSchema.index({ department: 1, priority: 1 });
 boardSchema.index({ department: 1, projectType: 1 });
 boardSchema.index({ department: 1, billingCycle: 1 });
 
+// Sales attribution (finance / PM sheet breakdowns by platform and profile)
+boardSchema.index({ 'salesOrigin.platform': 1, 'salesOrigin.profile': 1 }, { sparse: true });
+
 // Owner compound (covers standalone { owner: 1 })
 boardSchema.index({ owner: 1, createdAt: -1 });
 
 // Members compound (covers standalone { members: 1 })
 boardSchema.index({ members: 1, updatedAt: -1 });
 
+// Email-in address lookup
+boardSchema.index({ 'emailIn.key': 1 }, { unique: true, sparse: true });
+
 // Soft-delete cleanup
 boardSchema.index({ isDeleted: 1, deletedAt: 1 });
 
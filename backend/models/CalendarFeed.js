@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+export const CALENDAR_FEED_SOURCES = Object.freeze(['tasks', 'reminders', 'milestones']);
+
+// A subscribable .ics feed. Only the sha256 of the URL token is stored, so a
+// leaked database cannot be turned into working feed URLs.
+const calendarFeedSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  tokenHint: { type: String, maxlength: 8 },
+  departments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
+  projects: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Board' }],
+  sources: {
+    type: [{ type: String, enum: CALENDAR_FEED_SOURCES }],
+    default: () => [...CALENDAR_FEED_SOURCES],
+  },
+  lastAccessedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+calendarFeedSchema.index({ user: 1, revokedAt: 1 });
+
+export default mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -96,6 +96,13 @@ const cardSchema = new mongoose.Schema({
     type: String,
     enum: ['low', 'medium', 'high', 'critical', null]
   },
+  // Values for the board's CustomField definitions, keyed by field id.
+  // Normalized per field type by services/customFields/customFieldService.js
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   status: {
     type: String
   },
@@ -121,6 +128,19 @@ const cardSchema = new mongoose.Schema({
     nanoCompleted: { type: Number, default: 0 }
   },
   attachments: [attachmentSchema],
+  // Predecessors this card waits on. The reverse ("blocks") side is derived
+  // by querying other cards' dependencies, so only one side is ever stored.
+  dependencies: [new mongoose.Schema({
+    card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card', required: true },
+    type: {
+      type: String,
+      enum: ['finish_to_start', 'start_to_start'],
+      default: 'finish_to_start'
+    },
+    lagDays: { type: Number, default: 0, min: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }, { _id: true })],
   estimationTime: [new mongoose.Schema({
     hours: { type: Number, required: true, min: 0 },
     minutes: { type: Number, required: true, min: 0, max: 59 },
@@ -143,8 +163,19 @@ const cardSchema = new mongoose.Schema({
     description: { type: String, trim: true, maxlength: 500 },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     userName: { type: String, trim: true }, // Denormalized for display without population
-    date: { type: Date, default: Date.now }
+    date: { type: Date, default: Date.now },
+    // Approved timesheet that produced this entry
+    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet' }
   }, { _id: true })],
+  // One entry per list the card has been in, oldest first. The open entry
+  // (exitedAt: null) is the current list. Maintained by the pre-save hook
+  // below and used for flow analytics (cumulative flow, lead/cycle time).
+  listHistory: [new mongoose.Schema({
+    list: { type: mongoose.Schema.Types.ObjectId, ref: 'List', required: true },
+    board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board' },
+    enteredAt: { type: Date, required: true },
+    exitedAt: { type: Date, default: null }
+  }, { _id: false })],
   isArchived: {
     type: Boolean,
     default: false
@@ -191,6 +222,7 @@ cardSchema.index({ updatedAt: -1 });
 cardSchema.index({ startDate: 1 });
 cardSchema.index({ 'estimationTime.user': 1 });
 cardSchema.index({ 'loggedTime.user': 1 });
+cardSchema.index({ 'dependencies.card': 1 }); // Reverse lookup: which cards does X block
 
 // Board-leading compounds (covers standalone { board: 1 })
 cardSchema.index({ board: 1, status: 1 });
@@ -228,6 +260,28 @@ cardSchema.index({ title: 'text', description: 'text', labels: 'text' }, {
   name: 'card_text_search',
 });
 
+// Record list transitions on every save that changes the card's list
+// (create, move, cross-project move, undo, automations)
+cardSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('list')) return next();
+  const listId = this.list?._id || this.list;
+  if (!listId) return next();
+
+  const history = this.listHistory || [];
+  const open = history.length ? history[history.length - 1] : null;
+  if (open && !open.exitedAt && open.list?.toString() === listId.toString()) return next();
+
+  const now = new Date();
+  if (open && !open.exitedAt) open.exitedAt = now;
+  history.push({
+    list: listId,
+    board: this.board?._id || this.board,
+    enteredAt: this.isNew ? (this.createdAt || now) : now
+  });
+  this.listHistory = history;
+  next();
+});
+
 // Virtual for comments
 cardSchema.virtual('comments', {
   ref: 'Comment',
@@ -236,6 +236,7 @@ commentSchema.index({ parentComment: 1, createdAt: 1 }); // For fetching thread
 commentSchema.index({ isPinned: -1, createdAt: -1 }); // For pinned comments first
 commentSchema.index({ 'mentions.targetId': 1 }); // For mention lookup
 commentSchema.index({ contextRef: 1, isPinned: -1, parentComment: 1, createdAt: -1 }); // Compound index for comment listing
+commentSchema.index({ text: 'text' }, { name: 'comment_text_search' });
 
 // Virtual for checking if comment has replies
 commentSchema.virtual('hasReplies').get(function() {
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Named sequences, e.g. invoice numbers. The _id is the sequence name.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, {
+  versionKey: false
+});
+
+/**
+ * Atomically advances a sequence and returns its new value (1 for a new
+ * sequence).
+ */
+counterSchema.statics.next = async function next(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
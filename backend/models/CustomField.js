@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const CUSTOM_FIELD_TYPES = Object.freeze([
+  'text',
+  'number',
+  'currency',
+  'date',
+  'select',
+  'multi_select',
+  'user',
+  'url',
+  'checkbox',
+]);
+
+export const SELECT_FIELD_TYPES = Object.freeze(['select', 'multi_select']);
+
+const optionSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true, maxlength: 50 },
+  color: {
+    type: String,
+    default: '#6B7280',
+    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Option color must be a hex color'],
+  },
+}, { _id: true });
+
+// A project-level field definition. Values live on Card.customFields keyed by
+// the definition's id, so renaming a field (or a select option) never touches cards.
+const customFieldSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Field name is required'],
+    trim: true,
+    maxlength: [50, 'Field name cannot exceed 50 characters'],
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: true,
+  },
+  // Choices for select / multi_select fields; values store the option _id
+  options: [optionSchema],
+  // ISO 4217 code for currency fields
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD',
+  },
+  position: { type: Number, default: 0 },
+  // Whether the field gets a column in the department list view
+  showInList: { type: Boolean, default: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+customFieldSchema.index({ board: 1, name: 1 }, { unique: true });
+customFieldSchema.index({ board: 1, position: 1 });
+
+export default mongoose.model('CustomField', customFieldSchema);
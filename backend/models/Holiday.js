@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A non-working day. Holidays without a department apply to every department.
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  // Start of the holiday's day
+  date: {
+    type: Date,
+    required: [true, 'Holiday date is required']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ department: 1, date: 1 }, { unique: true });
+
+export default mongoose.model('Holiday', holidaySchema);
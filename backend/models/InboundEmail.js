@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const INBOUND_EMAIL_KINDS = ['card_reply', 'email_in', 'reminder_reply', 'unknown'];
+export const INBOUND_EMAIL_STATUSES = ['processed', 'rejected', 'failed'];
+
+// One message read from the inbound mailbox. Message-ID is unique so a
+// message picked up twice (re-poll, second server) is only acted on once;
+// `reason` records why a message was rejected or failed.
+const inboundEmailSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: INBOUND_EMAIL_KINDS,
+    default: 'unknown'
+  },
+  status: {
+    type: String,
+    enum: INBOUND_EMAIL_STATUSES,
+    default: 'processed'
+  },
+  reason: { type: String, default: null },
+  from: { type: String, default: '' },
+  to: { type: String, default: '' },
+  subject: { type: String, default: '' },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    default: null
+  },
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  reminder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+inboundEmailSchema.index({ board: 1, createdAt: -1 });
+// The log only needs to outlive mailbox re-delivery
+inboundEmailSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('InboundEmail', inboundEmailSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const INVOICE_STATUSES = ['draft', 'sent', 'paid'];
+export const INVOICE_LINE_KINDS = ['hours', 'milestone', 'fixed', 'custom'];
+export const INVOICE_DISCOUNT_TYPES = ['amount', 'percent'];
+
+// Money is kept in integer minor units (cents), like milestones
+const lineItemSchema = new mongoose.Schema({
+  kind: { type: String, enum: INVOICE_LINE_KINDS, default: 'custom' },
+  description: { type: String, required: true, trim: true, maxlength: 500 },
+  quantity: { type: Number, required: true, min: 0 },
+  unitPriceCents: { type: Number, required: true, min: 0, max: Number.MAX_SAFE_INTEGER },
+  amountCents: { type: Number, required: true, min: 0, max: Number.MAX_SAFE_INTEGER },
+  // What the line was drafted from: a task for hours, an approval for milestones
+  sourceType: { type: String, enum: ['card', 'milestoneApproval', 'board'] },
+  sourceId: { type: mongoose.Schema.Types.ObjectId }
+}, { _id: true });
+
+const invoiceSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true,
+    index: true
+  },
+  // Assigned from the 'invoice' counter when the invoice is sent
+  number: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'draft'
+  },
+
+  // Client details as they were when the invoice was drafted
+  client: {
+    name: { type: String, trim: true, default: '' },
+    email: { type: String, trim: true, default: '' },
+    location: { type: String, trim: true, default: '' }
+  },
+
+  // Billing period, inclusive YYYY-MM-DD like the finance filters
+  periodStart: { type: String, required: true },
+  periodEnd: { type: String, required: true },
+
+  lineItems: [lineItemSchema],
+  subtotalCents: { type: Number, default: 0 },
+  discountType: { type: String, enum: INVOICE_DISCOUNT_TYPES, default: 'amount' },
+  // Cents for 'amount', a percentage for 'percent'
+  discountValue: { type: Number, default: 0, min: 0 },
+  discountCents: { type: Number, default: 0 },
+  // Percentage applied after the discount
+  taxRate: { type: Number, default: 0, min: 0, max: 100 },
+  taxCents: { type: Number, default: 0 },
+  totalCents: { type: Number, default: 0 },
+
+  issueDate: { type: Date, default: null },
+  dueDate: { type: Date, default: null },
+  notes: { type: String, trim: true, maxlength: 2000, default: '' },
+
+  sentAt: { type: Date, default: null },
+  paidAt: { type: Date, default: null },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  history: [new mongoose.Schema({
+    action: { type: String, enum: ['created', 'updated', 'sent', 'paid'], required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    at: { type: Date, default: Date.now }
+  }, { _id: false })]
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'lineItems.sourceType': 1, 'lineItems.sourceId': 1 });
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const LEAVE_TYPES = ['vacation', 'sick', 'personal', 'other'];
+export const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Time off requested by a user. Only approved requests count as leave.
+const leaveRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Inclusive day range, stored as the start of each day
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  type: {
+    type: String,
+    enum: LEAVE_TYPES,
+    default: 'vacation'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: LEAVE_STATUSES,
+    default: 'pending'
+  },
+
+  // Review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+leaveRequestSchema.index({ user: 1, status: 1, startDate: 1 });
+leaveRequestSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+export default mongoose.model('LeaveRequest', leaveRequestSchema);
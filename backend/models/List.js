@@ -21,6 +21,19 @@ const listSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Kanban work-in-progress limit: max non-archived cards in the list.
+  // null means unlimited. 'warn' lets the move through and flags it,
+  // 'enforce' rejects moves that would exceed the limit.
+  wipLimit: {
+    type: Number,
+    min: [1, 'WIP limit must be at least 1'],
+    default: null
+  },
+  wipMode: {
+    type: String,
+    enum: ['warn', 'enforce'],
+    default: 'warn'
+  },
   isArchived: {
     type: Boolean,
     default: false
@@ -37,4 +50,23 @@ const listSchema = new mongoose.Schema({
 listSchema.index({ board: 1, position: 1 });
 listSchema.index({ isArchived: 1 });
 
+// Returns the WIP breach that moving `incomingCardId` into this list would
+// cause, or null when the list has no limit or still has room.
+listSchema.methods.getWipBreach = async function(incomingCardId) {
+  if (!this.wipLimit) return null;
+  const count = await mongoose.model('Card').countDocuments({
+    list: this._id,
+    isArchived: false,
+    _id: { $ne: incomingCardId }
+  });
+  if (count + 1 <= this.wipLimit) return null;
+  return {
+    listId: this._id,
+    listTitle: this.title,
+    limit: this.wipLimit,
+    count: count + 1,
+    mode: this.wipMode
+  };
+};
+
 export default mongoose.model('List', listSchema);
\ No newline at end of file
@@ -12,6 +12,7 @@ const notificationSchema = new mongoose.Schema({
       'task_deleted',
       'task_moved',
       'task_completed',
+      'task_unblocked',
       'project_created',
       'project_deleted',
       'project_updates',
@@ -37,6 +38,7 @@ const notificationSchema = new mongoose.Schema({
       'reminder_completed',
       'reminder_missed',
       'awaiting_client_response',
+      'client_responded',
       'user_verified',
       'user_approved',
       'user_declined',
@@ -44,7 +46,12 @@ const notificationSchema = new mongoose.Schema({
       'status_change',
       'system_alert',
       'sales_tab_approval',
-      'sales_tab_result'
+      'sales_tab_result',
+      'automation_alert',
+      'leave_requested',
+      'leave_reviewed',
+      'timesheet_submitted',
+      'timesheet_reviewed'
     ],
     required: true
   },
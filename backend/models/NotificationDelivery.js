@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_CHANNELS = ['email', 'push', 'digest'];
+export const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'dropped'];
+
+// One email or push held back from immediate delivery: deferred until quiet
+// hours end, collapsed with similar events, or waiting for the user's digest.
+// Similar events share a groupKey and bump `count` on a single pending row.
+// Immediate sends are also recorded (as 'sent') so later similar events can
+// tell they arrived inside the grouping window.
+const notificationDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: DELIVERY_CHANNELS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  // Latest notification in the group; null for emails that have no
+  // in-app notification (e.g. project membership emails)
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  type: { type: String, required: true },
+  groupKey: { type: String, required: true },
+  count: { type: Number, default: 1 },
+  title: { type: String, default: '' },
+  message: { type: String, default: '' },
+  // Ready-made email for notifications without a template of their own
+  subject: { type: String, default: null },
+  html: { type: String, default: null },
+  // Email and push rows go out once this passes; digest rows wait for the
+  // user's next digest instead
+  deliverAfter: { type: Date, default: null },
+  claimedAt: { type: Date, default: null },
+  attempts: { type: Number, default: 0 },
+  sentAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, channel: 1, deliverAfter: 1 });
+notificationDeliverySchema.index({ user: 1, channel: 1, groupKey: 1, status: 1 });
+// Sent rows only matter for the grouping window
+notificationDeliverySchema.index({ sentAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('NotificationDelivery', notificationDeliverySchema);
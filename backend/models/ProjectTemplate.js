@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// Dates in a template are stored as whole-day offsets from the source
+// project's start date, and are shifted onto the new project's start date
+// when the template is instantiated (services/templates/projectTemplateService.js).
+const datedFields = {
+  startOffsetDays: { type: Number, default: null },
+  dueOffsetDays: { type: Number, default: null }
+};
+
+const nanoSkeletonSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 5000 },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical', null], default: 'medium' },
+  // Label names, resolved against the new project's labels
+  labels: [{ type: String }],
+  order: { type: Number, default: 0 },
+  colorToken: { type: String },
+  ...datedFields
+}, { _id: false });
+
+const subtaskSkeletonSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 5000 },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical', null], default: 'medium' },
+  labels: [{ type: String }],
+  order: { type: Number, default: 0 },
+  colorToken: { type: String },
+  ...datedFields,
+  nanos: [nanoSkeletonSchema]
+}, { _id: false });
+
+const cardSkeletonSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 5000 },
+  // Index into the template's lists array
+  listIndex: { type: Number, required: true, min: 0 },
+  position: { type: Number, default: 0 },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical', null] },
+  labels: [{ type: String }],
+  ...datedFields,
+  subtasks: [subtaskSkeletonSchema],
+  // RecurringTask definition minus its card/board/tracking fields; its
+  // dueDate/startDate/endCondition.endDate are stored as day offsets.
+  recurrence: { type: mongoose.Schema.Types.Mixed, default: undefined }
+}, { _id: false });
+
+const projectTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Template description cannot exceed 1000 characters']
+  },
+  // Department the source project belonged to; templates can be used in any department
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  sourceBoard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board'
+  },
+  // Project-level defaults applied when the create request leaves them blank
+  defaults: {
+    background: { type: String },
+    projectType: { type: String, enum: ['Inhouse', 'Hired Client'] },
+    projectCategory: { type: String },
+    billingCycle: { type: String },
+    priority: { type: String },
+    estimatedTime: { type: String },
+    // Board.labels (free-form project tags, not card Label documents)
+    tags: [{ type: String }],
+    // Project due date as an offset from its start date
+    durationDays: { type: Number, default: null }
+  },
+  lists: [new mongoose.Schema({
+    title: { type: String, required: true, trim: true, maxlength: 100 },
+    color: { type: String, default: null }
+  }, { _id: false })],
+  labels: [new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    color: { type: String, default: '#3B82F6' }
+  }, { _id: false })],
+  cards: [cardSkeletonSchema],
+  milestoneSchedule: {
+    workflow: { type: String, enum: ['sequential', 'parallel'] },
+    totalProjectBudgetCents: { type: Number, min: 0 },
+    milestones: [new mongoose.Schema({
+      title: { type: String, required: true, trim: true, maxlength: 200 },
+      amountCents: { type: Number, required: true, min: 1 },
+      order: { type: Number, required: true, min: 0 },
+      dueOffsetDays: { type: Number, default: null }
+    }, { _id: false })]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectTemplateSchema.index({ name: 1 });
+projectTemplateSchema.index({ department: 1, createdAt: -1 });
+
+export default mongoose.model('ProjectTemplate', projectTemplateSchema);
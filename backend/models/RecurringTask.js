@@ -141,6 +141,12 @@ const recurringTaskSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Move occurrences off holidays and the assignees' approved leave (and,
+    // for daysAfter, count working days only)
+    skipNonWorkingDays: {
+      type: Boolean,
+      default: false
+    },
     // If true, creates new main task; if false, creates subtask (recommended)
     createNewTask: {
       type: Boolean,
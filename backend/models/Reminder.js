@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 const reminderHistorySchema = new mongoose.Schema({
   action: {
     type: String,
-    enum: ['created', 'sent', 'completed', 'missed', 'rescheduled', 'cancelled'],
+    enum: ['created', 'sent', 'completed', 'missed', 'rescheduled', 'cancelled', 'client_responded'],
     required: true
   },
   performedBy: {
@@ -116,6 +116,10 @@ const reminderSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the client replies to the reminder's reply-to address
+  clientRespondedAt: {
+    type: Date
+  },
   history: [reminderHistorySchema],
   priority: {
     type: String,
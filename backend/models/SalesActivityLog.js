@@ -16,13 +16,24 @@ const salesActivityLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: [true, 'Action is required'],
-    enum: ['created', 'updated', 'deleted', 'restored', 'locked', 'unlocked'],
+    enum: ['created', 'updated', 'deleted', 'restored', 'locked', 'unlocked', 'converted', 'merged'],
     index: true
   },
   description: {
     type: String,
     trim: true
   },
+  // For converted actions - the project created from the row
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board'
+  },
+  // Row this entry came from when two rows were merged: set on the 'merged'
+  // entry and on every entry moved over from the merged-away row
+  mergedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesRow'
+  },
   // For update actions - track what changed
   changes: [{
     field: {
@@ -68,6 +79,8 @@ salesActivityLogSchema.statics.logActivity = async function(data) {
     user,
     action,
     description,
+    board,
+    mergedFrom,
     changes = [],
     ipAddress = null,
     userAgent = null
@@ -78,6 +91,8 @@ salesActivityLogSchema.statics.logActivity = async function(data) {
     user,
     action,
     description,
+    board,
+    mergedFrom,
     changes,
     ipAddress,
     userAgent
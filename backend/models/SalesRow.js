@@ -1,5 +1,29 @@
 import mongoose from 'mongoose';
 
+/**
+ * Comparable key for a bid URL, used to spot the same job bid twice.
+ * Lowercases the host and drops "www.", the query string, the hash and
+ * trailing slashes. Upwork links point to the same job under several paths
+ * (/jobs/~01…, /apply/Title_~01…/, /ab/proposals/job/~01…), so they reduce
+ * to the job id alone.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export const toBidKey = (url) => {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const upworkJob = host.endsWith('upwork.com') && parsed.pathname.match(/~([0-9a-z]{8,})/i);
+  if (upworkJob) return `upwork.com/~${upworkJob[1].toLowerCase()}`;
+  const path = decodeURIComponent(parsed.pathname).replace(/\/+$/, '');
+  return `${host}${path}`;
+};
+
 const salesRowSchema = new mongoose.Schema({
   // Predefined columns
   date: {
@@ -142,6 +166,47 @@ const salesRowSchema = new mongoose.Schema({
     default: new Map()
   },
   
+  // Project created from this row once the lead was won
+  convertedProject: {
+    board: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      default: null
+    },
+    convertedAt: {
+      type: Date
+    },
+    convertedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Set while a conversion is creating the project, so a second one is refused
+    convertingAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Normalized bid URL (see toBidKey), kept in sync with bidLink.url
+  bidKey: {
+    type: String,
+    default: null
+  },
+
+  // Set when this row was merged into another and soft-deleted
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesRow',
+    default: null
+  },
+  mergedAt: {
+    type: Date
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
   // Row metadata
   rowColor: {
     type: String,
@@ -208,15 +273,20 @@ salesRowSchema.index({ name: 1, date: -1 });
 salesRowSchema.index({ isDeleted: 1, name: 1, date: -1 });
 salesRowSchema.index({ 'bidLink.type': 1, date: -1 });
 salesRowSchema.index({ 'bidLink.isValid': 1, date: -1 });
+salesRowSchema.index({ 'convertedProject.board': 1 }, { sparse: true });
+salesRowSchema.index({ isDeleted: 1, bidKey: 1 });
 
 // Pre-validate hook to auto-generate month name from date (must run before validation
-// so the required monthName field is set when date is present)
+// so the required monthName field is set when date is present) and refresh the bid key
 salesRowSchema.pre('validate', function(next) {
   if (this.date && (!this.monthName || this.isModified('date'))) {
     const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                        'July', 'August', 'September', 'October', 'November', 'December'];
     this.monthName = monthNames[this.date.getMonth()];
   }
+  if (this.isNew || this.isModified('bidLink')) {
+    this.bidKey = toBidKey(this.bidLink?.url);
+  }
   next();
 });
 
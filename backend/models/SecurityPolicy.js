@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const POLICY_KEY = 'global';
+
+// Organisation-wide security settings, stored as a single document.
+const securityPolicySchema = new mongoose.Schema({
+  key: { type: String, default: POLICY_KEY, unique: true, immutable: true },
+  twoFactor: {
+    // Role slugs whose members must enroll before they can sign in
+    requiredRoles: [{ type: String, lowercase: true, trim: true }],
+    // Anyone with Finance module access must enroll, whatever their role
+    requireForFinanceAccess: { type: Boolean, default: false },
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+securityPolicySchema.statics.getPolicy = async function() {
+  return this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $setOnInsert: { key: POLICY_KEY } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+export default mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -122,7 +122,9 @@ const subtaskSchema = new mongoose.Schema({
     description: { type: String, trim: true, maxlength: 500 },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     userName: { type: String, trim: true }, // Denormalized for display
-    date: { type: Date, default: Date.now }
+    date: { type: Date, default: Date.now },
+    // Approved timesheet that produced this entry
+    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet' }
   }, { _id: true })],
   order: {
     type: Number,
@@ -187,6 +189,10 @@ subtaskSchema.index({ board: 1, status: 1 });
 subtaskSchema.index({ assignees: 1, status: 1 });
 subtaskSchema.index({ dueDate: 1 });
 subtaskSchema.index({ isRecurring: 1, recurringTaskId: 1 });
+subtaskSchema.index({ title: 'text', description: 'text' }, {
+  weights: { title: 10, description: 1 },
+  name: 'subtask_text_search',
+});
 
 export default mongoose.model('Subtask', subtaskSchema);
 
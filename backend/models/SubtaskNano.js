@@ -114,7 +114,9 @@ const subtaskNanoSchema = new mongoose.Schema({
     description: { type: String, trim: true, maxlength: 500 },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     userName: { type: String, trim: true }, // Denormalized for display
-    date: { type: Date, default: Date.now }
+    date: { type: Date, default: Date.now },
+    // Approved timesheet that produced this entry
+    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet' }
   }, { _id: true })],
   order: {
     type: Number,
@@ -146,6 +148,10 @@ subtaskNanoSchema.index({ subtask: 1, order: 1 });
 subtaskNanoSchema.index({ board: 1, status: 1 });
 subtaskNanoSchema.index({ assignees: 1, status: 1 });
 subtaskNanoSchema.index({ dueDate: 1 });
+subtaskNanoSchema.index({ title: 'text', description: 'text' }, {
+  weights: { title: 10, description: 1 },
+  name: 'nano_text_search',
+});
 
 export default mongoose.model('SubtaskNano', subtaskNanoSchema);
 
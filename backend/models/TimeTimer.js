@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+export const TIMER_ITEM_TYPES = ['card', 'subtask', 'nano'];
+
+// A running time-tracking timer. Each user has at most one; stopping it turns
+// the elapsed time into a loggedTime entry on the item and removes the timer.
+const timeTimerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  itemType: {
+    type: String,
+    enum: TIMER_ITEM_TYPES,
+    required: true
+  },
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  subtask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subtask'
+  },
+  nanoSubtask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubtaskNano'
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+
+  // Item title when the timer started, for the header without extra lookups
+  title: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Last time the owner was active in any client; idle time starts here
+  lastActivityAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('TimeTimer', timeTimerSchema);
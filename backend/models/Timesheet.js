@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const TIMESHEET_STATUSES = ['submitted', 'approved', 'rejected', 'reopened'];
+// Weeks in these states can't have their logged time changed
+export const LOCKED_TIMESHEET_STATUSES = ['submitted', 'approved'];
+export const TIMESHEET_ITEM_TYPES = ['card', 'subtask', 'nano'];
+
+// One user's logged time for one week (Monday to Sunday, UTC), as submitted
+// for approval. Weeks nobody has submitted have no document.
+const timesheetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Monday 00:00 UTC
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: TIMESHEET_STATUSES,
+    default: 'submitted'
+  },
+
+  // The loggedTime entries as they were when the week was submitted
+  entries: [new mongoose.Schema({
+    itemType: { type: String, enum: TIMESHEET_ITEM_TYPES, required: true },
+    item: { type: mongoose.Schema.Types.ObjectId, required: true },
+    card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card' },
+    board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board' },
+    title: { type: String, trim: true, default: '' },
+    loggedEntry: { type: mongoose.Schema.Types.ObjectId, required: true },
+    hours: { type: Number, required: true, min: 0 },
+    minutes: { type: Number, required: true, min: 0, max: 59 },
+    description: { type: String, trim: true, maxlength: 500 },
+    date: { type: Date, required: true }
+  }, { _id: false })],
+  totalMinutes: {
+    type: Number,
+    default: 0
+  },
+  submitNote: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Latest review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+
+  history: [new mongoose.Schema({
+    action: { type: String, enum: ['submitted', 'approved', 'rejected', 'reopened'], required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    at: { type: Date, default: Date.now },
+    comment: { type: String, trim: true, maxlength: 1000, default: '' }
+  }, { _id: false })]
+}, {
+  timestamps: true
+});
+
+timesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ status: 1, weekStart: -1 });
+
+export default mongoose.model('Timesheet', timesheetSchema);
@@ -86,10 +86,23 @@ const userSchema = new mongoose.Schema({
       quietHoursEnabled: { type: Boolean, default: false },
       quietHoursStart: { type: String, default: '22:00' },
       quietHoursEnd: { type: String, default: '08:00' },
+      // IANA zone the quiet hours and digest times are in
+      quietHoursTimezone: { type: String, default: 'UTC' },
       // Grouping preference
-      groupSimilar: { type: Boolean, default: true }
+      groupSimilar: { type: Boolean, default: true },
+      // Email delivery: one email per notification, or a summary email
+      digestMode: {
+        type: String,
+        enum: ['immediate', 'hourly', 'daily', 'weekly'],
+        default: 'immediate'
+      }
     }
   },
+  // When the next digest email is due (see notificationDeliveryService)
+  nextDigestAt: {
+    type: Date,
+    default: null
+  },
   pushSubscription: {
     endpoint: { type: String },
     keys: {
@@ -150,6 +163,32 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Two-factor authentication (TOTP). Secrets and code hashes never leave
+  // the server; only `enabled` / `enabledAt` are selected by default.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{
+        codeHash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    },
+    trustedDevices: {
+      type: [{
+        tokenHash: { type: String, required: true },
+        label: { type: String, default: '' },
+        expiresAt: { type: Date, required: true },
+        lastUsedAt: { type: Date, default: null },
+        createdAt: { type: Date, default: Date.now }
+      }],
+      select: false
+    }
+  },
   // SaaS project-level access control
   accessType: {
     type: String,
@@ -186,6 +225,7 @@ userSchema.index({ team: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isVerified: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'settings.notifications.digestMode': 1, nextDigestAt: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ resetPasswordToken: 1, resetPasswordExpires: 1 });
 
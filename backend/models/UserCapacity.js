@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const timeOffSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: true });
+
+// Weekly working capacity of one person, used by the team workload view.
+// People without a document fall back to config.capacity defaults.
+const userCapacitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Bookable hours on each working day
+  hoursPerDay: {
+    type: Number,
+    min: 0,
+    max: 24,
+    required: true
+  },
+
+  // Days of the week worked (0 = Sunday … 6 = Saturday)
+  workingDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [1, 2, 3, 4, 5]
+  },
+
+  // Inclusive date ranges with no capacity
+  timeOff: [timeOffSchema],
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('UserCapacity', userCapacitySchema);
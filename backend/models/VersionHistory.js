@@ -1,11 +1,19 @@
 import mongoose from 'mongoose';
 
+// Rich-text entities: each version stores the full text in `content`
+export const TEXT_VERSION_TYPES = ['card_description', 'comment', 'subtask_description'];
+
+// Whole entities: each version stores a field snapshot plus the changed fields
+export const ENTITY_VERSION_TYPES = ['card', 'subtask', 'nano_subtask', 'board'];
+
+export const VERSION_ENTITY_TYPES = [...TEXT_VERSION_TYPES, ...ENTITY_VERSION_TYPES];
+
 const versionHistorySchema = new mongoose.Schema({
   // What entity this version belongs to
   entityType: {
     type: String,
     required: true,
-    enum: ['card_description', 'comment', 'subtask_description'],
+    enum: VERSION_ENTITY_TYPES,
     index: true
   },
   entityId: {
@@ -24,12 +32,25 @@ const versionHistorySchema = new mongoose.Schema({
   // Content at this version
   content: {
     type: String,
-    required: true
+    required: function() {
+      return TEXT_VERSION_TYPES.includes(this.entityType);
+    }
   },
   htmlContent: {
     type: String
   },
 
+  // Field values at this version (entity types only)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+
   // Mentions at this version (for comments and descriptions)
   mentions: [{
     userId: {
@@ -147,12 +168,16 @@ versionHistorySchema.statics.createVersion = async function(data) {
     entityId,
     content,
     htmlContent,
+    snapshot,
+    changes,
     mentions,
     editedBy,
     card,
     board,
     editSummary,
-    changeType = 'edited'
+    changeType = 'edited',
+    rolledBackFrom,
+    rolledBackTo
   } = data;
 
   // Get the latest version number
@@ -176,13 +201,17 @@ versionHistorySchema.statics.createVersion = async function(data) {
     versionNumber: newVersionNumber,
     content,
     htmlContent,
+    snapshot,
+    changes,
     mentions,
     editedBy,
     card,
     board,
     editSummary,
     changeType,
-    previousVersionId
+    previousVersionId,
+    rolledBackFrom,
+    rolledBackTo
   });
 
   return version.save();
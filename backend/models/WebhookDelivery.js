@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_DELIVERY_STATUSES = Object.freeze(['pending', 'success', 'failed']);
+
+// One delivery of one event to one endpoint, kept for the delivery log.
+// Retries of the same delivery update this document; a manual redelivery
+// creates a new one pointing back at the original.
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  deliveryId: { type: String, required: true, unique: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: String, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: null },
+  completedAt: { type: Date, default: null },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ endpoint: 1, status: 1, createdAt: -1 });
+// Delivery log retention
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = Object.freeze([
+  'card.created',
+  'card.moved',
+  'comment.added',
+  'milestone.approved',
+  'sales_row.updated',
+]);
+
+// An admin-registered receiver of outgoing webhooks. Each endpoint signs with
+// its own secret and only receives the event types and scopes it subscribed to.
+const webhookEndpointSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  url: { type: String, required: true, trim: true, maxlength: 2048 },
+  secret: { type: String, required: true, select: false },
+  secretHint: { type: String, maxlength: 8 },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'Subscribe to at least one event',
+    },
+  },
+  // Empty = no restriction on that dimension
+  departments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
+  projects: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Board' }],
+  isActive: { type: Boolean, default: true },
+  consecutiveFailures: { type: Number, default: 0 },
+  disabledAt: { type: Date, default: null },
+  disabledReason: { type: String, default: null },
+  lastDeliveryAt: { type: Date, default: null },
+  lastSuccessAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+webhookEndpointSchema.index({ isActive: 1, events: 1 });
+
+export default mongoose.model('WebhookEndpoint', webhookEndpointSchema);
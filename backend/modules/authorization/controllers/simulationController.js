@@ -20,16 +20,25 @@ export const simulateAccess = async (req, res) => {
           return res.status(404).json({ success: false, message: 'User capabilities not found in workspace' });
       }
 
-      const result = PolicyEngine.evaluate(cache.capabilities, resource, action, mockContext || {
+      // mockContext overrides the defaults, e.g. { resourceOwnerId, resource: { department } }
+      const context = {
           userId: simulatedUserId,
           workspaceId: workspaceId,
-          userWorkspaceId: workspaceId
-      });
+          userWorkspaceId: workspaceId,
+          ...mockContext,
+          user: { ...cache.metadata, ...mockContext?.user }
+      };
+
+      const { evaluatedPolicies, ...result } = PolicyEngine.evaluate(
+          cache.capabilities, resource, action, context, cache.policies || []
+      );
 
       res.json({
         success: true,
         simulationResult: result,
-        capabilitiesUsed: cache.capabilities.filter(c => c.resource === resource && c.action === action)
+        decidedBy: result.decidedBy,
+        capabilitiesUsed: cache.capabilities.filter(c => c.resource === resource && c.action === action),
+        policiesEvaluated: evaluatedPolicies
       });
   } catch (error) {
       console.error('Simulation error:', error);
@@ -36,12 +36,14 @@ const requirePermission = (resource, action) => {
         userId: userId,
         workspaceId: workspaceId,
         userWorkspaceId: workspaceId,
-        userTeamId: req.user.team ? req.user.team.toString() : null
+        userTeamId: req.user.team ? req.user.team.toString() : null,
+        user: { ...cache.metadata, role: req.user.role },
+        request: { method: req.method, path: req.originalUrl, ip: req.ip }
         // resourceOwnerId: We could pre-fetch it here or defer to the controller via req.authz
       };
 
-      // 4. Evaluate Policy
-      const result = PolicyEngine.evaluate(cache.capabilities, resource, action, context);
+      // 4. Evaluate RBAC capabilities + PBAC policies
+      const result = PolicyEngine.evaluate(cache.capabilities, resource, action, context, cache.policies || []);
 
       if (!result.allowed) {
         return res.status(403).json({ 
@@ -53,7 +55,8 @@ const requirePermission = (resource, action) => {
       // 5. Inject allowed fields into request for the controller to sanitize inputs
       req.authz = {
         allowedFields: result.fields,
-        scope: result.scope
+        scope: result.scope,
+        decidedBy: result.decidedBy
       };
 
       next();
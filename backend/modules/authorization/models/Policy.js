@@ -4,8 +4,11 @@ const policySchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
   effect: { type: String, enum: ['ALLOW', 'DENY'], required: true },
+  resource: { type: String, default: '*' }, // e.g. 'task'; '*' targets every resource
+  actions: [{ type: String }],              // Empty = every action on the resource
   condition: { type: mongoose.Schema.Types.Mixed, required: true }, 
-  // Evaluated dynamically. Example json logic:
+  // Evaluated dynamically by services/conditionEvaluator.js against
+  // { user, resource, request, env }. Example json logic:
   // { "==": [{ "var": "user.department" }, { "var": "resource.department" }] }
 }, { timestamps: true });
 
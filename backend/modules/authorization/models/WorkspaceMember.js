@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 const workspaceMemberSchema = new mongoose.Schema({
   workspace: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  roles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Role' }], // Array supports multiple roles per workspace
+  roles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'WorkspaceRole' }], // Array supports multiple roles per workspace
   isActive: { type: Boolean, default: true },
   metadata: {
     department: String, // Useful for ABAC/PBAC context evaluation
@@ -1,5 +1,12 @@
 import { getSharedConnection } from '../../../queues/connection.js';
 import WorkspaceMember from '../models/WorkspaceMember.js';
+import Role from '../models/Role.js';
+// Registered for populate()
+import '../models/PermissionGroup.js';
+import '../models/Policy.js';
+
+const CACHE_TTL_SECONDS = 86400;
+const MAX_ROLE_DEPTH = 10; // Guards against runaway / cyclic parentRole chains
 
 // Lazy redis access — connection is only created when first cache operation runs
 function getRedis() {
@@ -20,31 +27,35 @@ class CacheService {
         path: 'roles',
         populate: [
           { path: 'permissionGroups' },
-          { path: 'parentRole' },
           { path: 'policies' }
         ]
       });
 
     if (!member || !member.isActive) return null;
 
-    // 1. Flatten all capabilities (supporting inheritance)
-    const capabilities = this._flattenCapabilities(member.roles);
+    // 1. Resolve assigned roles + their parent chains, dropping expired roles
+    const roles = await this._resolveRoles(member.roles.filter(Boolean));
+
+    // 2. Flatten all capabilities and policies (supporting inheritance)
+    const capabilities = this._flattenCapabilities(roles);
+    const policies = this._flattenPolicies(roles);
     
-    // 2. Compute max version (for JWT sync)
-    const version = Math.max(...member.roles.map(r => r.version || 1), 1);
+    // 3. Compute max version (for JWT sync)
+    const version = Math.max(...roles.map(({ role }) => role.version || 1), 1);
 
     const cachePayload = {
       capabilities,
+      policies,
       version,
-      metadata: member.metadata
+      metadata: member.toObject().metadata || {}
     };
 
-    // Store in Redis (TTL: 24h, refreshed organically or invalidated)
+    // Store in Redis (TTL: 24h, or until the first time-boxed role lapses)
     const cacheKey = `authz:usr:${userId}:ws:${workspaceId}`;
     try {
       const redis = getRedis();
       if (redis) {
-          await redis.set(cacheKey, JSON.stringify(cachePayload), 'EX', 86400);
+          await redis.set(cacheKey, JSON.stringify(cachePayload), 'EX', this._cacheTtl(roles));
       }
     } catch (err) {
       console.warn('Redis cache failed to set, skipping...', err);
@@ -84,31 +95,104 @@ class CacheService {
     }
   }
 
+  /**
+   * Walks each assigned role up its parentRole chain. A role inherits from its
+   * parent only while it is itself active, so every entry carries the earliest
+   * expiry along the path that granted it.
+   * Returns [{ role, expiresAt }] with each role listed once.
+   */
+  static async _resolveRoles(assignedRoles, now = new Date()) {
+    const resolved = new Map();
+    const loaded = new Map(assignedRoles.map(r => [r._id.toString(), r]));
+
+    const loadRole = async (roleId) => {
+      const key = roleId.toString();
+      if (!loaded.has(key)) {
+        loaded.set(key, await Role.findById(roleId).populate('permissionGroups policies'));
+      }
+      return loaded.get(key);
+    };
+
+    for (const assigned of assignedRoles) {
+      const visited = new Set();
+      let role = assigned;
+      let expiresAt = null;
+
+      for (let depth = 0; role && depth < MAX_ROLE_DEPTH; depth++) {
+        const key = role._id.toString();
+        if (visited.has(key)) break; // Cycle in parentRole chain
+        visited.add(key);
+
+        if (role.expiresAt) {
+          if (role.expiresAt <= now) break; // Expired roles grant nothing, nor do their parents
+          if (!expiresAt || role.expiresAt < expiresAt) expiresAt = role.expiresAt;
+        }
+
+        // Same role reached through several paths: keep the longest-lived grant
+        const existing = resolved.get(key);
+        if (!existing || (existing.expiresAt && (!expiresAt || expiresAt > existing.expiresAt))) {
+          resolved.set(key, { role, expiresAt });
+        }
+
+        role = role.parentRole ? await loadRole(role.parentRole._id || role.parentRole) : null;
+      }
+    }
+
+    return Array.from(resolved.values());
+  }
+
+  static _cacheTtl(roles, now = Date.now()) {
+    const expiries = roles.filter(r => r.expiresAt).map(r => r.expiresAt.getTime());
+    if (expiries.length === 0) return CACHE_TTL_SECONDS;
+    const secondsLeft = Math.ceil((Math.min(...expiries) - now) / 1000);
+    return Math.max(1, Math.min(CACHE_TTL_SECONDS, secondsLeft));
+  }
+
   static _flattenCapabilities(roles) {
-    // Logic to merge permissions from roles + parent roles
-    // Merges scopes (e.g. if one role grants 'own' and another 'all', user gets 'all')
+    // Merges permissions from roles + parent roles; the PolicyEngine resolves
+    // scopes (e.g. if one role grants 'own' and another 'all', user gets 'all')
     const finalPerms = [];
-    
-    // Helper to traverse roles
-    const traverseRoles = (roleList) => {
-        roleList.forEach(role => {
-            if (role.permissionGroups && role.permissionGroups.length > 0) {
-                role.permissionGroups.forEach(pg => {
-                    if (pg && pg.permissions) {
-                        pg.permissions.forEach(p => finalPerms.push(p));
-                    }
-                });
-            }
-            // If parent role exists and is populated
-            if (role.parentRole && typeof role.parentRole === 'object') {
-                traverseRoles([role.parentRole]);
+
+    roles.forEach(({ role, expiresAt }) => {
+        (role.permissionGroups || []).forEach(pg => {
+            if (pg && pg.permissions) {
+                pg.permissions.forEach(p => finalPerms.push({
+                    ...(p.toObject ? p.toObject() : p),
+                    role: { id: role._id.toString(), name: role.name },
+                    expiresAt
+                }));
             }
         });
-    }
+    });
 
-    traverseRoles(roles);
     return finalPerms;
   }
+
+  static _flattenPolicies(roles) {
+    const seen = new Set();
+    const finalPolicies = [];
+
+    roles.forEach(({ role, expiresAt }) => {
+        (role.policies || []).forEach(policy => {
+            if (!policy || !policy.effect) return;
+            const key = `${policy._id}:${role._id}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            finalPolicies.push({
+                id: policy._id.toString(),
+                name: policy.name,
+                effect: policy.effect,
+                resource: policy.resource || '*',
+                actions: policy.actions || [],
+                condition: policy.condition,
+                role: { id: role._id.toString(), name: role.name },
+                expiresAt
+            });
+        });
+    });
+
+    return finalPolicies;
+  }
 }
 
 export default CacheService;
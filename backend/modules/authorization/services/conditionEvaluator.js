@@ -0,0 +1,128 @@
+/**
+ * JSON-logic style condition evaluator for PBAC policies.
+ *
+ * Conditions are plain JSON objects with a single operator key, e.g.
+ *   { "==": [{ "var": "user.department" }, { "var": "resource.department" }] }
+ *   { "and": [{ "in": [{ "var": "request.action" }, ["update", "delete"]] }, { "<": [{ "var": "env.hour" }, 8] }] }
+ *
+ * Supported operators: var, missing, ==, !=, ===, !==, !, !!, and, or, if,
+ * <, <=, >, >= (with the 3-argument "between" form for < and <=), in.
+ * Unknown operators throw so a malformed policy is never silently ignored.
+ */
+
+/* ── Helpers ── */
+
+// JSON-logic truthiness: empty arrays are falsy, everything else follows JS
+export const truthy = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+};
+
+const isLogic = (value) =>
+  value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && Object.keys(value).length === 1;
+
+const getVar = (data, path, fallback = null) => {
+  if (path === undefined || path === null || path === '') return data;
+  let current = data;
+  for (const segment of String(path).split('.')) {
+    if (current === null || current === undefined) return fallback;
+    current = current[segment];
+  }
+  return current === undefined ? fallback : current;
+};
+
+// ObjectIds and Dates compare by their string / numeric value
+const normalize = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value;
+};
+
+/* ── Operators ── */
+
+// Operators that need their arguments unevaluated (short-circuiting)
+const LAZY_OPERATORS = {
+  and: (args, data) => {
+    let current;
+    for (const arg of args) {
+      current = applyCondition(arg, data);
+      if (!truthy(current)) return current;
+    }
+    return current;
+  },
+  or: (args, data) => {
+    let current;
+    for (const arg of args) {
+      current = applyCondition(arg, data);
+      if (truthy(current)) return current;
+    }
+    return current;
+  },
+  if: (args, data) => {
+    let i;
+    for (i = 0; i < args.length - 1; i += 2) {
+      if (truthy(applyCondition(args[i], data))) return applyCondition(args[i + 1], data);
+    }
+    return i === args.length - 1 ? applyCondition(args[i], data) : null;
+  }
+};
+
+const OPERATORS = {
+  var: (data, path, fallback) => getVar(data, path, fallback ?? null),
+  missing: (data, ...paths) => {
+    const keys = Array.isArray(paths[0]) ? paths[0] : paths;
+    return keys.filter((key) => {
+      const value = getVar(data, key);
+      return value === null || value === '';
+    });
+  },
+  // == and != are loose on purpose, matching JSON-logic semantics
+  '==': (data, a, b) => normalize(a) == normalize(b),
+  '!=': (data, a, b) => normalize(a) != normalize(b),
+  '===': (data, a, b) => normalize(a) === normalize(b),
+  '!==': (data, a, b) => normalize(a) !== normalize(b),
+  '!': (data, a) => !truthy(a),
+  '!!': (data, a) => truthy(a),
+  '<': (data, a, b, c) => (c === undefined ? normalize(a) < normalize(b) : normalize(a) < normalize(b) && normalize(b) < normalize(c)),
+  '<=': (data, a, b, c) => (c === undefined ? normalize(a) <= normalize(b) : normalize(a) <= normalize(b) && normalize(b) <= normalize(c)),
+  '>': (data, a, b) => normalize(a) > normalize(b),
+  '>=': (data, a, b) => normalize(a) >= normalize(b),
+  in: (data, needle, haystack) => {
+    if (Array.isArray(haystack)) return haystack.map(normalize).includes(normalize(needle));
+    if (typeof haystack === 'string') return haystack.includes(String(needle));
+    return false;
+  }
+};
+
+/**
+ * Evaluate a condition against a data object ({ user, resource, request, env }).
+ * Returns the raw JSON-logic result; use `matchesCondition` for a boolean.
+ */
+export function applyCondition(logic, data = {}) {
+  if (Array.isArray(logic)) return logic.map((item) => applyCondition(item, data));
+  if (!isLogic(logic)) return logic;
+
+  const [operator] = Object.keys(logic);
+  let args = logic[operator];
+  if (!Array.isArray(args)) args = [args];
+
+  if (LAZY_OPERATORS[operator]) return LAZY_OPERATORS[operator](args, data);
+
+  const handler = OPERATORS[operator];
+  if (!handler) throw new Error(`Unsupported policy operator "${operator}"`);
+
+  return handler(data, ...args.map((arg) => applyCondition(arg, data)));
+}
+
+/**
+ * Boolean form of applyCondition. A missing condition always matches.
+ */
+export function matchesCondition(logic, data = {}) {
+  if (logic === undefined || logic === null) return true;
+  return truthy(applyCondition(logic, data));
+}
@@ -1,49 +1,154 @@
+import { matchesCondition } from './conditionEvaluator.js';
+
 class PolicyEngine {
   /**
-   * Evaluates if the current user context satisfies the resource requirements
+   * Evaluates if the current user context satisfies the resource requirements.
+   *
+   * Order of precedence:
+   *   1. A matching DENY policy always wins
+   *   2. RBAC capabilities, checked from the widest scope down
+   *   3. A matching ALLOW policy grants access the roles alone do not
+   *
+   * `decidedBy` names the capability or policy behind the outcome and
+   * `evaluatedPolicies` lists every applicable policy with its match result.
    */
-  static evaluate(capabilities, requestedResource, requestedAction, context = {}) {
-    // 1. Find relevant permissions for this resource + action
-    const relevantPerms = capabilities.filter(c => 
+  static evaluate(capabilities, requestedResource, requestedAction, context = {}, policies = []) {
+    const now = context.now ? new Date(context.now) : new Date();
+
+    // 0. Time-boxed roles may have lapsed since the cache was compiled
+    const activeCapabilities = capabilities.filter(c => this._isActive(c, now));
+    const applicablePolicies = policies.filter(p =>
+      this._isActive(p, now) && this._policyTargets(p, requestedResource, requestedAction)
+    );
+
+    const data = this._buildConditionData(requestedResource, requestedAction, context, now);
+    const evaluatedPolicies = applicablePolicies.map(policy => this._evaluatePolicy(policy, data));
+
+    // 1. Explicit DENY overrides everything else
+    const deny = evaluatedPolicies.find(p => p.effect === 'DENY' && p.matched);
+    if (deny) {
+      return { allowed: false, reason: 'POLICY_DENY', decidedBy: this._policyRef(deny), evaluatedPolicies };
+    }
+
+    // 2. Find relevant permissions for this resource + action
+    const relevantPerms = activeCapabilities.filter(c => 
       c.resource === requestedResource && c.action === requestedAction
     );
 
-    if (relevantPerms.length === 0) return { allowed: false, reason: 'NO_PERMISSION' };
+    const scopeResult = this._evaluateScopes(relevantPerms, context);
+    if (scopeResult) return { ...scopeResult, evaluatedPolicies };
+
+    // 3. PBAC Dynamic Policy Evaluation
+    const allow = evaluatedPolicies.find(p => p.effect === 'ALLOW' && p.matched);
+    if (allow) {
+      return {
+        allowed: true,
+        fields: relevantPerms.length > 0 ? this._mergeAllowedFields(relevantPerms) : '*',
+        scope: 'policy',
+        decidedBy: this._policyRef(allow),
+        evaluatedPolicies
+      };
+    }
+
+    return {
+      allowed: false,
+      reason: relevantPerms.length === 0 ? 'NO_PERMISSION' : 'SCOPE_RESTRICTION',
+      decidedBy: null,
+      evaluatedPolicies
+    };
+  }
+
+  static _evaluateScopes(relevantPerms, context) {
+    if (relevantPerms.length === 0) return null;
 
-    // 2. Check scopes
-    const hasAllScope = relevantPerms.some(p => p.scope === 'all');
-    if (hasAllScope) return { allowed: true, fields: this._mergeAllowedFields(relevantPerms), scope: 'all' };
+    const grant = (scope) => {
+      const perm = relevantPerms.find(p => p.scope === scope);
+      return {
+        allowed: true,
+        fields: this._mergeAllowedFields(relevantPerms),
+        scope,
+        decidedBy: { type: 'capability', scope, role: perm.role || null }
+      };
+    };
+
+    if (relevantPerms.some(p => p.scope === 'all')) return grant('all');
 
     const hasWorkspaceScope = relevantPerms.some(p => p.scope === 'workspace');
     if (hasWorkspaceScope && context.workspaceId === context.userWorkspaceId) {
-      return { allowed: true, fields: this._mergeAllowedFields(relevantPerms), scope: 'workspace' };
+      return grant('workspace');
     }
 
     const hasTeamScope = relevantPerms.some(p => p.scope === 'team');
     // Assuming context provides resourceTeamId and userTeamId
     if (hasTeamScope && context.resourceTeamId && context.userTeamId === context.resourceTeamId) {
-       return { allowed: true, fields: this._mergeAllowedFields(relevantPerms), scope: 'team' };
+       return grant('team');
     }
 
     const hasOwnScope = relevantPerms.some(p => p.scope === 'own');
     if (hasOwnScope && context.resourceOwnerId && context.userId === context.resourceOwnerId) {
-       return { allowed: true, fields: this._mergeAllowedFields(relevantPerms), scope: 'own' };
+       return grant('own');
     }
 
-    // 3. PBAC Dynamic Policy Evaluation (If policies exist in capabilities)
-    // Could integrate json-logic-js here for advanced evaluation
-    /*
-    if (capabilities.policies) {
-        for (const policy of capabilities.policies) {
-            if (policy.effect === 'ALLOW') {
-                const match = jsonLogic.apply(policy.condition, context);
-                if (match) return { allowed: true, fields: '*', scope: 'policy' };
-            }
-        }
+    return null;
+  }
+
+  static _evaluatePolicy(policy, data) {
+    const result = { id: policy.id, name: policy.name, effect: policy.effect, role: policy.role || null };
+    try {
+      result.matched = matchesCondition(policy.condition, data);
+    } catch (err) {
+      // A broken condition fails closed: it can still deny, but never grants
+      result.matched = policy.effect === 'DENY';
+      result.error = err.message;
     }
-    */
+    return result;
+  }
+
+  static _policyTargets(policy, resource, action) {
+    const resourceMatches = !policy.resource || policy.resource === '*' || policy.resource === resource;
+    const actions = policy.actions || [];
+    const actionMatches = actions.length === 0 || actions.includes('*') || actions.includes(action);
+    return resourceMatches && actionMatches;
+  }
 
-    return { allowed: false, reason: 'SCOPE_RESTRICTION' };
+  static _isActive(entry, now) {
+    return !entry.expiresAt || new Date(entry.expiresAt) > now;
+  }
+
+  static _policyRef(evaluated) {
+    return { type: 'policy', id: evaluated.id, name: evaluated.name, effect: evaluated.effect, role: evaluated.role };
+  }
+
+  /**
+   * Shapes the runtime context into the variables policy conditions can read:
+   * user.*, resource.*, request.* and env.*
+   */
+  static _buildConditionData(resource, action, context, now) {
+    return {
+      user: {
+        id: context.userId,
+        teamId: context.userTeamId,
+        workspaceId: context.userWorkspaceId,
+        ...context.user
+      },
+      resource: {
+        type: resource,
+        ownerId: context.resourceOwnerId,
+        teamId: context.resourceTeamId,
+        ...context.resource
+      },
+      request: {
+        action,
+        workspaceId: context.workspaceId,
+        ...context.request
+      },
+      env: {
+        now: now.toISOString(),
+        hour: now.getUTCHours(),
+        dayOfWeek: now.getUTCDay(),
+        ...context.env
+      }
+    };
   }
 
   static _mergeAllowedFields(perms) {
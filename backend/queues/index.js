@@ -52,6 +52,15 @@ export const slackQueue = createQueue('flowtask.slack');
 /** Sales tab watch alert processing */
 export const salesAlertQueue = createQueue('flowtask.sales-alert');
 
+/** Outgoing webhook delivery to admin-registered endpoints */
+export const webhookQueue = createQueue('flowtask.webhook', {
+  attempts: config.webhooks.attempts,
+  backoff: { type: 'exponential', delay: 5000 },
+});
+
+/** Project automation rule evaluation */
+export const automationQueue = createQueue('flowtask.automation', { attempts: 1 });
+
 // ─── Convenience: add jobs ────────────────────────────────────────────────────
 
 /**
@@ -141,6 +150,22 @@ export function enqueueSalesAlertRowUpdate(oldRow, newRow, opts = {}) {
   return salesAlertQueue.add('evaluate-row-update', { oldRow, newRow }, opts);
 }
 
+/**
+ * Enqueue: deliver one WebhookDelivery document to its endpoint.
+ * The delivery id doubles as the job id so a delivery is never queued twice.
+ */
+export function enqueueWebhookDelivery(deliveryId, opts = {}) {
+  return webhookQueue.add('deliver-webhook', { deliveryId }, { jobId: deliveryId, ...opts });
+}
+
+/**
+ * Enqueue: evaluate a board's automation rules for one card event.
+ * @param {object} event - see services/automation/automationService.js publishAutomationEvent
+ */
+export function enqueueAutomationEvent(event, opts = {}) {
+  return automationQueue.add('evaluate-event', event, opts);
+}
+
 // ─── Export all queues for health checks / shutdown ───────────────────────────
 
 export const allQueues = [
@@ -152,4 +177,6 @@ export const allQueues = [
   cleanupQueue,
   slackQueue,
   salesAlertQueue,
+  webhookQueue,
+  automationQueue,
 ];
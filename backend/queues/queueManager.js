@@ -20,6 +20,8 @@ import { startCleanupWorker, getCleanupWorker } from '../workers/cleanupWorker.j
 import { startRecurringTaskWorker, getRecurringTaskWorker } from '../workers/recurringTaskWorker.js';
 import { startSalesAlertWorker, getSalesAlertWorker } from '../workers/salesAlertWorker.js';
 import { startChatWebhookWorker, getChatWebhookWorker } from '../workers/chatWebhookWorker.js';
+import { startWebhookWorker, getWebhookWorker } from '../workers/webhookWorker.js';
+import { startAutomationWorker, getAutomationWorker } from '../workers/automationWorker.js';
 import { registerMaintenanceJobs } from '../schedulers/maintenanceScheduler.js';
 import { recoverAnnouncementSchedules } from '../schedulers/announcementScheduler.js';
 import { recoverRecurringSchedules } from '../schedulers/recurringTaskScheduler.js';
@@ -127,6 +129,14 @@ export async function initQueues() {
   } catch (err) {
     logger.warn('QueueManager: chatWebhookWorker could not start', { error: err.message });
   }
+  // Outgoing webhook worker delivers events to endpoints registered by admins
+  try {
+    startWebhookWorker();
+    logger.info('QueueManager: webhookWorker started');
+  } catch (err) {
+    logger.warn('QueueManager: webhookWorker could not start', { error: err.message });
+  }
+  startAutomationWorker();
 
   // SalesAlert worker uses concurrency 1 to minimise Redis connections.
   // Start it with a small delay so core workers connect first.
@@ -183,6 +193,8 @@ export async function shutdownQueues() {
     getRecurringTaskWorker(),
     getSalesAlertWorker(),
     getChatWebhookWorker(),
+    getWebhookWorker(),
+    getAutomationWorker(),
   ].filter(Boolean);
 
   // Close workers (stop processing new jobs, wait for current)
@@ -12,6 +12,8 @@ export const QUEUES = {
   RECURRING_TASK: 'flowtask.recurring-task',
   CLEANUP: 'flowtask.cleanup',
   SLACK: 'flowtask.slack',
+  WEBHOOK: 'flowtask.webhook',
+  AUTOMATION: 'flowtask.automation',
 };
 
 /**
@@ -25,4 +27,6 @@ export const CONCURRENCY = {
   [QUEUES.RECURRING_TASK]: 3,
   [QUEUES.CLEANUP]: 1,
   [QUEUES.SLACK]: 5,
+  [QUEUES.WEBHOOK]: 5,
+  [QUEUES.AUTOMATION]: 3,
 };
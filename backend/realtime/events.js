@@ -33,6 +33,15 @@ export const ADD_COMMENT = 'add-comment';
 export const SUBSCRIBE_PUSH = 'subscribe-push';
 export const UNSUBSCRIBE_PUSH = 'unsubscribe-push';
 
+// ─── Presence ───────────────────────────────────────────────────────────────
+export const PRESENCE_JOIN = 'presence:join';
+export const PRESENCE_LEAVE = 'presence:leave';
+export const PRESENCE_ACTIVITY = 'presence:activity';
+export const PRESENCE_HEARTBEAT = 'presence:heartbeat';
+export const PRESENCE_WATCH_CARDS = 'presence:watch-cards';
+export const PRESENCE_BOARD = 'presence:board';
+export const PRESENCE_CARD = 'presence:card';
+
 // ─── Server → Client events ────────────────────────────────────────────────
 export const CARD_UPDATED = 'card-updated';
 export const CARD_CREATED = 'card-created';
@@ -140,6 +149,7 @@ export const ROOM = {
   user: (id) => `user-${id}`,
   board: (id) => `board-${id}`,
   card: (id) => `card-${id}`,
+  cardPresence: (id) => `card-presence-${id}`,
   team: (id) => `team-${id}`,
   department: (id) => `department-${id}`,
   announcement: (id) => `announcement-${id}`,
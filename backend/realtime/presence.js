@@ -0,0 +1,261 @@
+/**
+ * Presence
+ *
+ * Tracks who has a board or card open, and whether they are editing a card's
+ * description or writing a comment, and pushes that to everyone else looking.
+ * State lives in memory: presence is ephemeral and is rebuilt as clients
+ * reconnect and rejoin.
+ *
+ * Client → server
+ *   presence:join        { type: 'board'|'card', id }  ack({ viewers, cards })   cards: open cards on a joined board
+ *   presence:leave       { type, id }
+ *   presence:activity    { cardId, activity }         'viewing' | 'editing-description' | 'typing-comment'
+ *   presence:heartbeat                                the user is still at the keyboard
+ *   presence:watch-cards { cardIds }                  ack({ cards: { [cardId]: viewers } })
+ *
+ * Server → client
+ *   presence:board { boardId, viewers }
+ *   presence:card  { cardId, boardId, viewers }  to the card, its board and card watchers
+ *
+ * Viewers without a heartbeat for the idle timeout are hidden until their
+ * next one; editing and typing lapse back to viewing unless refreshed.
+ */
+
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getAccessibleBoardIds } from '../services/permissionService.js';
+import {
+  ROOM,
+  PRESENCE_JOIN,
+  PRESENCE_LEAVE,
+  PRESENCE_ACTIVITY,
+  PRESENCE_HEARTBEAT,
+  PRESENCE_WATCH_CARDS,
+  PRESENCE_BOARD,
+  PRESENCE_CARD,
+} from './events.js';
+
+const ACTIVITY_RANK = { viewing: 0, 'typing-comment': 1, 'editing-description': 2 };
+
+// `board:<id>` | `card:<id>` → { type, id, boardId, entries: Map<socketId, entry>, signature }
+const targets = new Map();
+let sweepTimer = null;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const targetKey = (type, id) => `${type}:${id}`;
+
+const respond = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+/** The socket's user, loaded once; the token only carries the id */
+const loadProfile = async (socket, userId) => {
+  if (!socket.data.profile) {
+    const User = (await import('../models/User.js')).default;
+    const user = await User.findById(userId).select('-password').populate('roleId').lean();
+    if (!user || !user.isActive) return null;
+    socket.data.profile = { ...user, id: user._id.toString() };
+  }
+  return socket.data.profile;
+};
+
+/** Board the user may see the target on, or null */
+const authorize = async (profile, type, id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  let boardId = id;
+  if (type === 'card') {
+    const Card = (await import('../models/Card.js')).default;
+    const card = await Card.findById(id).select('board').lean();
+    if (!card?.board) return null;
+    boardId = card.board.toString();
+  }
+
+  const accessible = await getAccessibleBoardIds(profile, { _id: boardId });
+  return accessible.length > 0 ? boardId : null;
+};
+
+/** One row per user: several tabs collapse, the busiest activity wins */
+const visibleViewers = (target, now = Date.now()) => {
+  const { idleTimeoutMs, activityTimeoutMs } = config.socket.presence;
+  const byUser = new Map();
+
+  target.entries.forEach((entry) => {
+    if (now - entry.lastActive > idleTimeoutMs) return;
+    const activity = now - entry.activityAt <= activityTimeoutMs ? entry.activity : 'viewing';
+    const existing = byUser.get(entry.userId);
+    if (!existing || ACTIVITY_RANK[activity] > ACTIVITY_RANK[existing.activity]) {
+      byUser.set(entry.userId, { userId: entry.userId, name: entry.name, avatar: entry.avatar, activity });
+    }
+  });
+
+  return [...byUser.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/** Viewers of every open card on a board, for a client that just joined it */
+const cardSnapshot = (boardId, now) => {
+  const snapshot = {};
+  targets.forEach((target) => {
+    if (target.type !== 'card' || target.boardId !== boardId) return;
+    const viewers = visibleViewers(target, now);
+    if (viewers.length > 0) snapshot[target.id] = viewers;
+  });
+  return snapshot;
+};
+
+/** Send the target's viewers to whoever is looking, if they changed */
+const publish = (io, key) => {
+  const target = targets.get(key);
+  if (!target) return;
+
+  const viewers = visibleViewers(target);
+  const signature = JSON.stringify(viewers);
+  if (signature !== target.signature) {
+    target.signature = signature;
+    if (target.type === 'board') {
+      io.to(ROOM.board(target.id)).emit(PRESENCE_BOARD, { boardId: target.id, viewers });
+    } else {
+      io.to([ROOM.card(target.id), ROOM.board(target.boardId), ROOM.cardPresence(target.id)])
+        .emit(PRESENCE_CARD, { cardId: target.id, boardId: target.boardId, viewers });
+    }
+  }
+  if (target.entries.size === 0) targets.delete(key);
+};
+
+const removeEntry = (io, socket, key) => {
+  socket.data.presence?.delete(key);
+  const target = targets.get(key);
+  if (!target) return;
+  target.entries.delete(socket.id);
+  publish(io, key);
+};
+
+// ─── Handlers ───────────────────────────────────────────────────────────────
+
+/**
+ * Wire presence events for one connected socket.
+ */
+export const registerPresenceHandlers = (io, socket, userId) => {
+  socket.data.presence = new Set();
+  socket.data.watchedCards = [];
+
+  socket.on(PRESENCE_JOIN, async (payload, ack) => {
+    try {
+      const { type, id } = payload || {};
+      if (!['board', 'card'].includes(type) || !id) return respond(ack, { viewers: [] });
+      const profile = await loadProfile(socket, userId);
+      const boardId = profile && await authorize(profile, type, id);
+      if (!boardId || !socket.connected) return respond(ack, { viewers: [] });
+
+      socket.join(type === 'board' ? ROOM.board(id) : ROOM.card(id));
+
+      const key = targetKey(type, id);
+      const target = targets.get(key) || { type, id, boardId, entries: new Map(), signature: null };
+      targets.set(key, target);
+      const now = Date.now();
+      target.entries.set(socket.id, {
+        userId,
+        name: profile.name || 'Someone',
+        avatar: profile.avatar || '',
+        activity: 'viewing',
+        activityAt: now,
+        lastActive: now,
+      });
+      socket.data.presence.add(key);
+
+      publish(io, key);
+      respond(ack, {
+        viewers: visibleViewers(target, now),
+        cards: type === 'board' ? cardSnapshot(id, now) : {},
+      });
+    } catch (error) {
+      logger.error('presence:join error', { error: error.message });
+      respond(ack, { viewers: [] });
+    }
+  });
+
+  socket.on(PRESENCE_LEAVE, (payload) => {
+    const { type, id } = payload || {};
+    removeEntry(io, socket, targetKey(type, id));
+  });
+
+  socket.on(PRESENCE_ACTIVITY, (payload) => {
+    const { cardId, activity } = payload || {};
+    const key = targetKey('card', cardId);
+    const entry = targets.get(key)?.entries.get(socket.id);
+    if (!entry || !(activity in ACTIVITY_RANK)) return;
+
+    const now = Date.now();
+    entry.activity = activity;
+    entry.activityAt = now;
+    entry.lastActive = now;
+    publish(io, key);
+  });
+
+  socket.on(PRESENCE_HEARTBEAT, () => {
+    const now = Date.now();
+    socket.data.presence.forEach((key) => {
+      const entry = targets.get(key)?.entries.get(socket.id);
+      if (!entry) return;
+      entry.lastActive = now;
+      publish(io, key);
+    });
+  });
+
+  // List and calendar views show who has a card open without opening it
+  socket.on(PRESENCE_WATCH_CARDS, async (payload, ack) => {
+    try {
+      const { cardIds } = payload || {};
+      socket.data.watchedCards.forEach((cardId) => socket.leave(ROOM.cardPresence(cardId)));
+      socket.data.watchedCards = [];
+
+      const ids = [...new Set(Array.isArray(cardIds) ? cardIds : [])]
+        .filter((cardId) => mongoose.isValidObjectId(cardId))
+        .slice(0, config.socket.presence.maxWatchedCards);
+      const profile = ids.length > 0 && await loadProfile(socket, userId);
+      if (!profile) return respond(ack, { cards: {} });
+
+      const Card = (await import('../models/Card.js')).default;
+      const cards = await Card.find({ _id: { $in: ids } }).select('board').lean();
+      const accessible = new Set((await getAccessibleBoardIds(profile, {
+        _id: { $in: [...new Set(cards.map((card) => card.board?.toString()).filter(Boolean))] },
+      })).map(String));
+
+      const snapshot = {};
+      cards.forEach((card) => {
+        if (!accessible.has(card.board?.toString())) return;
+        const cardId = card._id.toString();
+        socket.join(ROOM.cardPresence(cardId));
+        socket.data.watchedCards.push(cardId);
+        const target = targets.get(targetKey('card', cardId));
+        if (target) snapshot[cardId] = visibleViewers(target);
+      });
+      respond(ack, { cards: snapshot });
+    } catch (error) {
+      logger.error('presence:watch-cards error', { error: error.message });
+      respond(ack, { cards: {} });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    [...socket.data.presence].forEach((key) => removeEntry(io, socket, key));
+  });
+};
+
+// ─── Idle Sweep ─────────────────────────────────────────────────────────────
+
+/** Re-publish targets whose viewers went idle or stopped typing */
+export const startPresenceSweep = (io) => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    [...targets.keys()].forEach((key) => publish(io, key));
+  }, config.socket.presence.sweepIntervalMs);
+  sweepTimer.unref?.();
+};
+
+export const stopPresenceSweep = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
@@ -16,6 +16,7 @@ import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { setIO } from './emitters.js';
 import { ROOM } from './events.js';
+import { registerPresenceHandlers, startPresenceSweep } from './presence.js';
 
 let _io = null;
 
@@ -46,6 +47,7 @@ function init(httpServer) {
 
   // Wire up emitters module so it can reference io
   setIO(_io);
+  startPresenceSweep(_io);
 
   // ─── Authentication Middleware ──────────────────────────────────────────
   _io.use((socket, next) => {
@@ -56,6 +58,12 @@ function init(httpServer) {
       }
 
       const decodedUser = jwt.verify(token, config.jwt.secret);
+
+      // Intermediate two-factor tokens (challenge / forced setup) are not sessions
+      if (decodedUser?.purpose) {
+        return next(new Error('Two-factor authentication is incomplete'));
+      }
+
       const userId = decodedUser?.id || decodedUser?._id;
       if (!userId) {
         return next(new Error('Invalid token payload'));
@@ -108,6 +116,9 @@ function init(httpServer) {
 
     logger.debug('User connected', { userId });
 
+    // ── Presence (who has a board or card open) ──
+    registerPresenceHandlers(_io, socket, userId);
+
     // ── Card rooms ──
     socket.on('join-card', async (cardId) => {
       try {
@@ -1,11 +1,12 @@
 import express from 'express';
-import { getAnalyticsDashboard, getAnalyticsTasks, getEmployeeAnalyticsTasks, getUserAnalytics, getProjectsAnalytics, getDepartmentAnalytics } from '../controllers/analyticsController.js';
+import { getAnalyticsDashboard, getAnalyticsFlow, getAnalyticsTasks, getEmployeeAnalyticsTasks, getUserAnalytics, getProjectsAnalytics, getDepartmentAnalytics } from '../controllers/analyticsController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { getAnalyticsReportSchedules, postAnalyticsReportSchedule, removeAnalyticsReportSchedule } from '../controllers/analyticsReportController.js';
 
 const router = express.Router();
 
 router.get('/dashboard', protect, getAnalyticsDashboard);
+router.get('/flow', protect, getAnalyticsFlow);
 router.get('/tasks', protect, getAnalyticsTasks);
 router.get('/employees/:employeeId/tasks', protect, getEmployeeAnalyticsTasks);
 router.get('/reports/schedules', protect, getAnalyticsReportSchedules);
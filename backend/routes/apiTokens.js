@@ -0,0 +1,37 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import { API_TOKEN_KINDS, API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import {
+  getApiTokenOptions,
+  getApiTokens,
+  createToken,
+  rotateToken,
+  revokeToken
+} from '../controllers/apiTokenController.js';
+
+const router = express.Router();
+
+// Session-only: these are not stable endpoints, so protect turns API tokens away
+router.use(protect);
+
+router.get('/options', getApiTokenOptions);
+router.get('/', [
+  query('kind').optional().isIn(API_TOKEN_KINDS).withMessage('Invalid token kind'),
+  validate
+], getApiTokens);
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be 100 characters or fewer'),
+  body('kind').optional().isIn(API_TOKEN_KINDS).withMessage('Invalid token kind'),
+  body('scopes').isArray({ min: 1 }).withMessage('Grant at least one scope'),
+  body('scopes.*').isIn(API_TOKEN_SCOPES).withMessage('Invalid scope'),
+  body('expiresInDays').optional().isInt({ min: 1 }).withMessage('Expiry must be a whole number of days').toInt(),
+  body('rateLimit').optional().isInt({ min: 1 }).withMessage('Rate limit must be a positive whole number').toInt(),
+  validate
+], createToken);
+router.post('/:tokenId/rotate', [param('tokenId').isMongoId(), validate], rotateToken);
+router.delete('/:tokenId', [param('tokenId').isMongoId(), validate], revokeToken);
+
+export default router;
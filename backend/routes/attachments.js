@@ -9,6 +9,7 @@ import {
   getNanoSubtaskAttachments,
   getAttachmentsByContext,
   getAttachment,
+  getAttachmentDownloadUrl,
   deleteAttachment,
   deleteMultipleAttachments,
   setAsCover,
@@ -44,6 +45,7 @@ router.get('/subtask/:subtaskId', getSubtaskAttachments);
 router.get('/nano/:nanoSubtaskId', getNanoSubtaskAttachments);
 router.get('/context/:contextType/:contextRef', getAttachmentsByContext);
 router.get('/:id', getAttachment);
+router.get('/:id/download', getAttachmentDownloadUrl);
 
 // Update routes
 router.patch('/:id/set-cover', setAsCover);
@@ -1,7 +1,8 @@
 import express from 'express';
 import { body } from 'express-validator';
-import { register, login, getMe, updateDetails, updatePassword, refreshToken, adminCreateUser, checkEmail, forgotPassword, verifyResetToken, resetPassword } from '../controllers/authController.js';
+import { register, login, getMe, updateDetails, updatePassword, refreshToken, adminCreateUser, checkEmail, forgotPassword, verifyResetToken, resetPassword, verifyTwoFactorLogin, getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes, revokeTrustedDevices, getTwoFactorPolicy, updateTwoFactorPolicy } from '../controllers/authController.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protectTwoFactorSetup } from '../middleware/twoFactorMiddleware.js';
 import { validate } from '../middleware/validation.js';
 import { rateLimiter } from '../middleware/rateLimiter.js';
 
@@ -49,6 +50,34 @@ router.post('/admin-create-user', protect, authorize('admin'), [
   validate
 ], adminCreateUser);
 
+// Two-factor authentication
+router.post('/2fa/verify', rateLimiter({ windowMs: 15 * 60 * 1000, maxRequests: 10, message: 'Too many verification attempts. Please try again later.' }), [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  validate
+], verifyTwoFactorLogin);
+router.get('/2fa/status', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required'),
+  validate
+], enableTwoFactor);
+router.post('/2fa/disable', protect, [
+  body('password').notEmpty().withMessage('Password is required'),
+  validate
+], disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required'),
+  validate
+], regenerateRecoveryCodes);
+router.delete('/2fa/devices', protect, revokeTrustedDevices);
+router.delete('/2fa/devices/:deviceId', protect, revokeTrustedDevices);
+router.get('/2fa/policy', protect, authorize('admin'), getTwoFactorPolicy);
+router.put('/2fa/policy', protect, authorize('admin'), [
+  body('requiredRoles').optional().isArray().withMessage('requiredRoles must be a list of role slugs'),
+  body('requireForFinanceAccess').optional().isBoolean(),
+  validate
+], updateTwoFactorPolicy);
+
 router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
@@ -0,0 +1,58 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import { AUTOMATION_ACTIONS, AUTOMATION_TRIGGERS } from '../models/AutomationRule.js';
+import {
+  getAutomationMeta,
+  getAutomationRules,
+  getBoardExecutions,
+  createAutomationRule,
+  updateAutomationRule,
+  deleteAutomationRule,
+  getRuleExecutions,
+} from '../controllers/automationController.js';
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .notEmpty().withMessage('Rule name is required')
+      .isLength({ max: 100 }).withMessage('Rule name cannot exceed 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    field('trigger.type').isIn(AUTOMATION_TRIGGERS).withMessage('Unknown trigger type'),
+    body('conditions').optional().isObject().withMessage('Conditions must be an object'),
+    field('actions').isArray({ min: 1, max: 10 }).withMessage('A rule needs between 1 and 10 actions'),
+    body('actions.*.type').isIn(AUTOMATION_ACTIONS).withMessage('Unknown action type'),
+  ];
+};
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+];
+
+router.get('/meta', getAutomationMeta);
+router.get('/board/:boardId', [param('boardId').isMongoId(), validate], getAutomationRules);
+router.get('/board/:boardId/executions', [param('boardId').isMongoId(), ...paginationValidators, validate], getBoardExecutions);
+
+router.post('/', [
+  body('boardId').isMongoId().withMessage('A valid project id is required'),
+  ...ruleValidators(false),
+  validate,
+], createAutomationRule);
+
+router.get('/:id/executions', [param('id').isMongoId(), ...paginationValidators, validate], getRuleExecutions);
+
+router.route('/:id')
+  .put([param('id').isMongoId(), ...ruleValidators(true), validate], updateAutomationRule)
+  .delete([param('id').isMongoId(), validate], deleteAutomationRule);
+
+export default router;
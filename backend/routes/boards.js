@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import { 
   getBoards, 
   getBoard, 
@@ -16,6 +16,7 @@ import {
   bulkDeleteBoards,
   undoBulkDeleteBoards
 } from '../controllers/boardController.js';
+import { getEmailIn, updateEmailIn, regenerateEmailIn } from '../controllers/emailInController.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
 import { validate } from '../middleware/validation.js';
 import upload, { uploadCoverImageMiddleware } from '../middleware/upload.js';
@@ -46,4 +47,15 @@ router.put('/:id/cover', protect, uploadCoverImageMiddleware.single('coverImage'
 router.delete('/:id/cover', protect, removeCoverImage);
 router.post('/:id/cover/restore/:versionIndex', protect, restoreCoverImage);
 
+// Email-in address (mail to it creates cards)
+router.route('/:id/email-in')
+  .get(protect, [param('id').isMongoId(), validate], getEmailIn)
+  .put(protect, [
+    param('id').isMongoId(),
+    body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+    body('list').optional({ nullable: true }).isMongoId().withMessage('A valid list id is required'),
+    validate
+  ], updateEmailIn);
+router.post('/:id/email-in/regenerate', protect, [param('id').isMongoId(), validate], regenerateEmailIn);
+
 export default router;
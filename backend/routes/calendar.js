@@ -1,16 +1,33 @@
 import express from 'express';
+import { body } from 'express-validator';
 import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { CALENDAR_FEED_SOURCES } from '../models/CalendarFeed.js';
 import {
   getCalendarTasks,
   createTaskFromCalendar,
   updateTaskDates,
   getProjectsForDepartment,
-  getListsForProject
+  getListsForProject,
+  getCalendarFeeds,
+  createCalendarFeed,
+  rotateCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeedIcs
 } from '../controllers/calendarController.js';
 
 const router = express.Router();
 
-// All calendar routes require authentication
+// Subscription feeds are fetched by external calendar clients, which
+// authenticate with the token in the URL instead of a bearer header
+router.get(
+  '/feeds/:token.ics',
+  rateLimiter({ windowMs: 15 * 60 * 1000, maxRequests: 120, message: 'Too many calendar feed requests' }),
+  getCalendarFeedIcs
+);
+
+// All other calendar routes require authentication
 router.use(protect);
 
 // Calendar tasks
@@ -22,4 +39,19 @@ router.patch('/tasks/:id/dates', updateTaskDates);
 router.get('/projects/:departmentId', getProjectsForDepartment);
 router.get('/lists/:projectId', getListsForProject);
 
+// Subscription feed management
+router.get('/feeds', getCalendarFeeds);
+router.post('/feeds', [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be 100 characters or fewer'),
+  body('departments').optional().isArray(),
+  body('departments.*').isMongoId().withMessage('Invalid department'),
+  body('projects').optional().isArray(),
+  body('projects.*').isMongoId().withMessage('Invalid project'),
+  body('sources').optional().isArray(),
+  body('sources.*').isIn(CALENDAR_FEED_SOURCES).withMessage('Invalid feed source'),
+  validate
+], createCalendarFeed);
+router.post('/feeds/:feedId/rotate', rotateCalendarFeed);
+router.delete('/feeds/:feedId', revokeCalendarFeed);
+
 export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
 import { body } from 'express-validator';
-import { getCards, getCardsByBoard, getCardsByDepartment, getCard, createCard, updateCard, moveCard, deleteCard, getCardActivity, archiveCard, restoreCard, getArchivedCards, addTimeEntry, updateTimeEntry, deleteTimeEntry, copyCard, crossMoveCard, undoMove, getCopyMoveDepartments, getCopyMoveProjects, getCopyMoveLists, getRecentDestinations } from '../controllers/cardController.js';
+import { getCards, getCardsByBoard, getCardsByDepartment, getCard, createCard, updateCard, moveCard, deleteCard, getCardActivity, archiveCard, restoreCard, getArchivedCards, addTimeEntry, updateTimeEntry, deleteTimeEntry, copyCard, crossMoveCard, undoMove, getCopyMoveDepartments, getCopyMoveProjects, getCopyMoveLists, getRecentDestinations, getCardDependencies, addCardDependency, removeCardDependency, updateCardSchedule, getBoardGantt } from '../controllers/cardController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { managerOrAdmin } from '../middleware/rbacMiddleware.js';
 import { validate } from '../middleware/validation.js';
+import { rejectStaleWrites } from '../middleware/concurrencyMiddleware.js';
+import Card from '../models/Card.js';
 import upload from '../middleware/upload.js';
 
 const router = express.Router();
@@ -11,6 +13,7 @@ const router = express.Router();
 router.get('/list/:listId', protect, getCards);
 router.get('/list/:listId/archived', protect, getArchivedCards);
 router.get('/board/:boardId', protect, getCardsByBoard);
+router.get('/board/:boardId/gantt', protect, getBoardGantt);
 router.get('/department/:departmentId', protect, getCardsByDepartment);
 
 // Copy/Move destination loaders
@@ -20,6 +23,7 @@ router.get('/copy-move/lists/:boardId', protect, getCopyMoveLists);
 router.get('/copy-move/recent', protect, getRecentDestinations);
 
 router.get('/:id/activity', protect, getCardActivity);
+router.get('/:id/dependencies', protect, getCardDependencies);
 router.get('/:id', protect, getCard);
 
 router.post('/', protect, [
@@ -29,14 +33,23 @@ router.post('/', protect, [
   validate
 ], createCard);
 
-router.put('/:id', protect, updateCard);
+router.put('/:id', protect, rejectStaleWrites(Card, { label: 'task' }), updateCard);
 router.put('/:id/move', protect, moveCard);
 router.put('/:id/cross-move', protect, managerOrAdmin, crossMoveCard);
 router.post('/:id/copy', protect, managerOrAdmin, copyCard);
 router.post('/:id/undo-move', protect, undoMove);
 router.put('/:id/archive', protect, archiveCard);
 router.put('/:id/restore', protect, restoreCard);
-router.delete('/:id', protect, deleteCard);
+router.delete('/:id', protect, rejectStaleWrites(Card, { label: 'task' }), deleteCard);
+
+router.post('/:id/dependencies', protect, [
+  body('dependsOn').isMongoId().withMessage('A valid dependency task ID is required'),
+  body('type').optional().isIn(['finish_to_start', 'start_to_start']).withMessage('Invalid dependency type'),
+  body('lagDays').optional().isInt({ min: 0 }).withMessage('Lag must be a non-negative number of days'),
+  validate
+], addCardDependency);
+router.delete('/:id/dependencies/:dependencyId', protect, removeCardDependency);
+router.put('/:id/schedule', protect, updateCardSchedule);
 
 router.post('/:id/time-tracking', protect, addTimeEntry);
 router.put('/:id/time-tracking/:entryId', protect, updateTimeEntry);
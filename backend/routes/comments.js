@@ -17,6 +17,8 @@ import {
 } from '../controllers/commentController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { validate } from '../middleware/validation.js';
+import { rejectStaleWrites } from '../middleware/concurrencyMiddleware.js';
+import Comment from '../models/Comment.js';
 
 const router = express.Router();
 
@@ -80,7 +82,8 @@ router.patch('/:id/unpin', protect, unpinComment);
 // ============================================================================
 // UPDATE & DELETE
 // ============================================================================
-router.put('/:id', protect, updateComment);
-router.delete('/:id', protect, deleteComment);
+// Edits are compared with editedAt: reactions and pins also move updatedAt
+router.put('/:id', protect, rejectStaleWrites(Comment, { label: 'comment', field: 'editedAt' }), updateComment);
+router.delete('/:id', protect, rejectStaleWrites(Comment, { label: 'comment', field: 'editedAt' }), deleteComment);
 
 export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import { CUSTOM_FIELD_TYPES } from '../models/CustomField.js';
+import {
+  getCustomFieldTypes,
+  getCustomFieldsByBoard,
+  getCustomFieldsByDepartment,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+  setCardCustomField,
+} from '../controllers/customFieldController.js';
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+const definitionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .notEmpty().withMessage('Field name is required')
+      .isLength({ max: 50 }).withMessage('Field name cannot exceed 50 characters'),
+    body('options').optional().isArray({ max: 100 }).withMessage('Options must be an array'),
+    body('options.*.label')
+      .trim()
+      .notEmpty().withMessage('Option label is required')
+      .isLength({ max: 50 }).withMessage('Option label cannot exceed 50 characters'),
+    body('options.*.color').optional().matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Option color must be a hex color'),
+    body('currency').optional().trim().isLength({ min: 3, max: 3 }).isAlpha().withMessage('Currency must be a 3-letter ISO code'),
+    body('showInList').optional().isBoolean().withMessage('showInList must be a boolean'),
+    body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer'),
+  ];
+};
+
+router.get('/types', getCustomFieldTypes);
+router.get('/board/:boardId', [param('boardId').isMongoId(), validate], getCustomFieldsByBoard);
+router.get('/department/:departmentId', [param('departmentId').isMongoId(), validate], getCustomFieldsByDepartment);
+
+// Card values
+router.put('/card/:cardId/:fieldId', [
+  param('cardId').isMongoId(),
+  param('fieldId').isMongoId(),
+  body('value').exists().withMessage('A value (or null to clear) is required'),
+  validate,
+], setCardCustomField);
+
+// Definition CRUD
+router.post('/', [
+  body('boardId').isMongoId().withMessage('A valid project id is required'),
+  body('type').isIn(CUSTOM_FIELD_TYPES).withMessage('Unknown field type'),
+  ...definitionValidators(false),
+  validate,
+], createCustomField);
+
+router.route('/:id')
+  .put([param('id').isMongoId(), ...definitionValidators(true), validate], updateCustomField)
+  .delete([param('id').isMongoId(), validate], deleteCustomField);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { downloadSignedFile } from '../controllers/fileController.js';
+
+const router = express.Router();
+
+// Signed downloads for the local-disk storage driver (no session required)
+router.get('/*', downloadSignedFile);
+
+export default router;
@@ -19,6 +19,16 @@ import {
   getPendingPages,
   reorderFinancePages
 } from '../controllers/financePageController.js';
+import {
+  getInvoices,
+  getReceivables,
+  getInvoice,
+  createInvoice,
+  updateInvoice,
+  updateInvoiceStatus,
+  deleteInvoice,
+  downloadInvoicePdf
+} from '../controllers/invoiceController.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
 import { checkFinanceAccess } from '../middleware/financePermissionMiddleware.js';
 
@@ -62,6 +72,34 @@ router.get('/departments', getFinanceDepartments);
 // Get all filter options (departments, users, projects, billing types)
 router.get('/filters', getFinanceFilterOptions);
 
+// ============================================
+// INVOICE ROUTES
+// ============================================
+
+// List invoices
+router.get('/invoices', getInvoices);
+
+// Outstanding receivables (dashboard)
+router.get('/invoices/receivables', getReceivables);
+
+// Draft an invoice for a project and period
+router.post('/invoices', authorize('admin', 'manager'), createInvoice);
+
+// Get single invoice
+router.get('/invoices/:id', getInvoice);
+
+// Download as PDF
+router.get('/invoices/:id/pdf', downloadInvoicePdf);
+
+// Edit a draft
+router.put('/invoices/:id', authorize('admin', 'manager'), updateInvoice);
+
+// Mark sent or paid
+router.patch('/invoices/:id/status', authorize('admin', 'manager'), updateInvoiceStatus);
+
+// Delete a draft
+router.delete('/invoices/:id', authorize('admin', 'manager'), deleteInvoice);
+
 // ============================================
 // CUSTOM PAGES ROUTES
 // ============================================
@@ -6,15 +6,21 @@ import { validate } from '../middleware/validation.js';
 
 const router = express.Router();
 
+const wipValidators = [
+  body('wipLimit').optional({ values: 'null' }).isInt({ min: 1, max: 999 }).withMessage('WIP limit must be a whole number of at least 1').toInt(),
+  body('wipMode').optional().isIn(['warn', 'enforce']).withMessage('WIP mode must be warn or enforce'),
+];
+
 router.get('/board/:boardId', protect, getLists);
 
 router.post('/', protect, [
   body('title').trim().notEmpty().withMessage('List title is required'),
   body('board').notEmpty().withMessage('Board ID is required'),
+  ...wipValidators,
   validate
 ], createList);
 
-router.put('/:id', protect, updateList);
+router.put('/:id', protect, [...wipValidators, validate], updateList);
 router.put('/:id/position', protect, updateListPosition);
 router.delete('/:id', protect, deleteList);
 
@@ -0,0 +1,43 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import {
+  getProjectTemplates,
+  getProjectTemplate,
+  createProjectTemplate,
+  updateProjectTemplate,
+  deleteProjectTemplate,
+} from '../controllers/projectTemplateController.js';
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+const detailValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Template name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Template name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Template description cannot exceed 1000 characters'),
+];
+
+router.route('/')
+  .get(getProjectTemplates)
+  .post([
+    body('boardId').isMongoId().withMessage('A valid project id is required'),
+    ...detailValidators,
+    validate,
+  ], createProjectTemplate);
+
+router.route('/:id')
+  .get([param('id').isMongoId(), validate], getProjectTemplate)
+  .put([param('id').isMongoId(), ...detailValidators, validate], updateProjectTemplate)
+  .delete([param('id').isMongoId(), validate], deleteProjectTemplate);
+
+export default router;
@@ -12,6 +12,12 @@ import {
   getActivityLog,
   exportRows,
   importRows,
+  previewImportDuplicates,
+  mergeSalesRows,
+  getSalesRowProjectDraft,
+  convertSalesRowToProject,
+  getSalesAnalytics,
+  exportSalesAnalytics,
   getUniqueNames,
   getDropdownOptions,
   addDropdownOption,
@@ -46,6 +52,16 @@ router.get('/preferences', getPreferences);
 // Get intelligent suggestions for a field based on context
 router.post('/preferences/suggestions', getSuggestions);
 
+// ============================================
+// SALES ANALYTICS ROUTES
+// ============================================
+
+// Pipeline analytics (same filters as /rows, plus monthName and createdBy)
+router.get('/analytics', getSalesAnalytics);
+
+// Export analytics (requires canExport)
+router.get('/analytics/export', requireSalesPermission('canExport'), exportSalesAnalytics);
+
 // ============================================
 // SALES ROWS ROUTES
 // ============================================
@@ -62,6 +78,12 @@ router.get('/rows/export', requireSalesPermission('canExport'), exportRows);
 // Import sales rows (requires canImport)
 router.post('/rows/import', requireSalesPermission('canImport'), importRows);
 
+// Check an import file for probable duplicates (requires canImport)
+router.post('/rows/import/preview', requireSalesPermission('canImport'), previewImportDuplicates);
+
+// Merge two rows: keeps one, removes the other (requires canUpdate and canDelete)
+router.post('/rows/merge', requireSalesPermission('canUpdate'), requireSalesPermission('canDelete'), mergeSalesRows);
+
 // Bulk update (requires canUpdate)
 router.post('/rows/bulk-update', requireSalesPermission('canUpdate'), bulkUpdateRows);
 
@@ -87,6 +109,10 @@ router.post('/rows/:id/unlock', unlockRow);
 // Get activity log (requires canViewActivityLog)
 router.get('/rows/:id/activity', requireSalesPermission('canViewActivityLog'), getActivityLog);
 
+// Convert a won row into a project
+router.get('/rows/:id/project-draft', getSalesRowProjectDraft);
+router.post('/rows/:id/convert', requireSalesPermission('canUpdate'), convertSalesRowToProject);
+
 // ============================================
 // DROPDOWN MANAGEMENT ROUTES
 // ============================================
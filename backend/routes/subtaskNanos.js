@@ -12,6 +12,8 @@ import {
   updateTimeEntry,
   deleteTimeEntry
 } from '../controllers/subtaskNanoController.js';
+import { rejectStaleWrites } from '../middleware/concurrencyMiddleware.js';
+import SubtaskNano from '../models/SubtaskNano.js';
 
 const router = express.Router();
 
@@ -21,8 +23,8 @@ router.post('/subtask/:subtaskId/reorder', protect, reorderNanos);
 
 router.get('/:id/activity', protect, getNanoActivity);
 router.get('/:id', protect, getNanoById);
-router.put('/:id', protect, updateNano);
-router.delete('/:id', protect, deleteNano);
+router.put('/:id', protect, rejectStaleWrites(SubtaskNano, { label: 'subtask' }), updateNano);
+router.delete('/:id', protect, rejectStaleWrites(SubtaskNano, { label: 'subtask' }), deleteNano);
 
 router.post('/:id/time-tracking', protect, addTimeEntry);
 router.put('/:id/time-tracking/:entryId', protect, updateTimeEntry);
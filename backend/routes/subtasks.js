@@ -14,6 +14,8 @@ import {
   promoteSubtask
 } from '../controllers/subtaskController.js';
 import { managerOrAdmin } from '../middleware/rbacMiddleware.js';
+import { rejectStaleWrites } from '../middleware/concurrencyMiddleware.js';
+import Subtask from '../models/Subtask.js';
 
 const router = express.Router();
 
@@ -23,8 +25,8 @@ router.post('/task/:taskId/reorder', protect, reorderSubtasks);
 
 router.get('/:id/activity', protect, getSubtaskActivity);
 router.get('/:id', protect, getSubtaskById);
-router.put('/:id', protect, updateSubtask);
-router.delete('/:id', protect, deleteSubtask);
+router.put('/:id', protect, rejectStaleWrites(Subtask, { label: 'subtask' }), updateSubtask);
+router.delete('/:id', protect, rejectStaleWrites(Subtask, { label: 'subtask' }), deleteSubtask);
 
 router.post('/:id/promote', protect, managerOrAdmin, promoteSubtask);
 
@@ -7,7 +7,11 @@ import {
   getDailyTrends,
   getMyLoggedTimeSummary,
   getDateHoverDetails,
-  getDateDetailedLogs
+  getDateDetailedLogs,
+  getTeamWorkload,
+  getUserCapacity,
+  updateUserCapacity,
+  reassignWorkload
 } from '../controllers/teamAnalyticsController.js';
 
 const router = express.Router();
@@ -36,5 +40,15 @@ router.get('/date-hover/:userId/:date', getDateHoverDetails);
 // Date-specific detailed logs (full hierarchy for modal)
 router.get('/date-details/:userId/:date', getDateDetailedLogs);
 
+// Planned workload against capacity
+router.get('/workload', getTeamWorkload);
+
+// Move an assignment between people (Admin/Manager only)
+router.post('/workload/reassign', reassignWorkload);
+
+// Per-user capacity settings (update: Admin/Manager only)
+router.get('/capacity/:userId', getUserCapacity);
+router.put('/capacity/:userId', updateUserCapacity);
+
 export default router;
 
@@ -0,0 +1,53 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import { LEAVE_TYPES } from '../models/LeaveRequest.js';
+import {
+  getHolidays,
+  createHoliday,
+  deleteHoliday,
+  getLeaveRequests,
+  createLeaveRequest,
+  reviewLeaveRequest,
+  cancelLeaveRequest,
+  getCalendarTimeOff
+} from '../controllers/timeOffController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Holidays and leave for the calendar view
+router.get('/calendar', getCalendarTimeOff);
+
+// Department holidays (manage: Admin/HR, or Manager for their departments)
+router.get('/holidays', getHolidays);
+router.post('/holidays', [
+  body('name').trim().notEmpty().withMessage('Holiday name is required')
+    .isLength({ max: 100 }).withMessage('Name must be 100 characters or fewer'),
+  body('date').isISO8601().withMessage('A valid date is required'),
+  body('department').optional({ nullable: true }).isMongoId().withMessage('Invalid department'),
+  validate
+], createHoliday);
+router.delete('/holidays/:id', [param('id').isMongoId().withMessage('Invalid holiday'), validate], deleteHoliday);
+
+// Leave requests
+router.get('/leave', getLeaveRequests);
+router.post('/leave', [
+  body('startDate').isISO8601().withMessage('A valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('A valid end date is required'),
+  body('type').optional().isIn(LEAVE_TYPES).withMessage('Invalid leave type'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be 500 characters or fewer'),
+  validate
+], createLeaveRequest);
+router.patch('/leave/:id/review', [
+  param('id').isMongoId().withMessage('Invalid leave request'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be 500 characters or fewer'),
+  validate
+], reviewLeaveRequest);
+router.patch('/leave/:id/cancel', [param('id').isMongoId().withMessage('Invalid leave request'), validate], cancelLeaveRequest);
+
+export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import { TIMER_ITEM_TYPES } from '../models/TimeTimer.js';
+import {
+  getCurrentTimer,
+  startTimer,
+  recordTimerActivity,
+  stopTimer,
+  discardTimer
+} from '../controllers/timerController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// The current user's running timer
+router.get('/current', getCurrentTimer);
+
+// Start a timer (one per user)
+router.post('/start', [
+  body('itemType').isIn(TIMER_ITEM_TYPES).withMessage('Invalid item type'),
+  body('itemId').isMongoId().withMessage('Invalid item'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be 500 characters or fewer'),
+  validate
+], startTimer);
+
+// Keep the running timer from being flagged idle
+router.patch('/current/heartbeat', recordTimerActivity);
+
+// Stop and log; endedAt before now discards idle time
+router.post('/current/stop', [
+  body('endedAt').optional().isISO8601().withMessage('Invalid stop time'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be 500 characters or fewer'),
+  validate
+], stopTimer);
+
+// Discard without logging
+router.delete('/current', discardTimer);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import {
+  getTimesheetWeek,
+  getTimesheets,
+  getTimesheet,
+  submitTimesheet,
+  reviewTimesheet,
+  reopenTimesheet
+} from '../controllers/timesheetController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// The current user's week, live or as submitted
+router.get('/week', [
+  query('weekStart').optional().isISO8601().withMessage('A valid week start date is required'),
+  validate
+], getTimesheetWeek);
+
+// Own timesheets, or the ones to review with scope=team
+router.get('/', [
+  query('scope').optional().isIn(['mine', 'team']).withMessage('Scope must be mine or team'),
+  validate
+], getTimesheets);
+
+// Submit a week for approval
+router.post('/submit', [
+  body('weekStart').isISO8601().withMessage('A valid week start date is required'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be 500 characters or fewer'),
+  validate
+], submitTimesheet);
+
+// One timesheet with its entries
+router.get('/:id', [param('id').isMongoId().withMessage('Invalid timesheet'), validate], getTimesheet);
+
+// Approve or reject (reviewers)
+router.patch('/:id/review', [
+  param('id').isMongoId().withMessage('Invalid timesheet'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment must be 1000 characters or fewer'),
+  validate
+], reviewTimesheet);
+
+// Unlock an approved week (reviewers)
+router.patch('/:id/reopen', [
+  param('id').isMongoId().withMessage('Invalid timesheet'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment must be 1000 characters or fewer'),
+  validate
+], reopenTimesheet);
+
+export default router;
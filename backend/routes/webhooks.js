@@ -0,0 +1,76 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getWebhookEvents,
+  getWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  testWebhookEndpoint,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook,
+} from '../controllers/webhookController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validation.js';
+import { WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+import { WEBHOOK_DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+
+const router = express.Router();
+
+// Webhook management is admin only
+router.use(protect, authorize('admin'));
+
+const endpointValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    field('url')
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+      .withMessage('A valid http(s) URL is required'),
+    field('events')
+      .isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*')
+      .isIn(WEBHOOK_EVENTS).withMessage('Unknown event type'),
+    body('departments').optional().isArray().withMessage('Departments must be an array'),
+    body('departments.*').isMongoId().withMessage('Invalid department id'),
+    body('projects').optional().isArray().withMessage('Projects must be an array'),
+    body('projects.*').isMongoId().withMessage('Invalid project id'),
+  ];
+};
+
+router.get('/events', getWebhookEvents);
+
+router.get('/deliveries/:deliveryId', [param('deliveryId').isMongoId(), validate], getWebhookDelivery);
+router.post('/deliveries/:deliveryId/redeliver', [param('deliveryId').isMongoId(), validate], redeliverWebhook);
+
+router.route('/')
+  .get(getWebhookEndpoints)
+  .post([...endpointValidators(false), validate], createWebhookEndpoint);
+
+router.route('/:id')
+  .put([
+    param('id').isMongoId(),
+    ...endpointValidators(true),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate
+  ], updateWebhookEndpoint)
+  .delete([param('id').isMongoId(), validate], deleteWebhookEndpoint);
+
+router.post('/:id/rotate-secret', [param('id').isMongoId(), validate], rotateWebhookSecret);
+router.post('/:id/test', [param('id').isMongoId(), validate], testWebhookEndpoint);
+
+router.get('/:id/deliveries', [
+  param('id').isMongoId(),
+  query('status').optional().isIn(WEBHOOK_DELIVERY_STATUSES),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  validate
+], getWebhookDeliveries);
+
+export default router;
@@ -0,0 +1,26 @@
+import config from '../config/index.js';
+import { isInboundEmailEnabled } from '../services/inboundEmail/inboundAddresses.js';
+import { pollInboundMailbox } from '../services/inboundEmail/inboundMailbox.js';
+import logger from '../utils/logger.js';
+
+let timer;
+let running = false;
+
+// The interval is configured in seconds, which cron cannot express beyond 59
+const pollMailbox = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await pollInboundMailbox();
+  } catch (error) {
+    logger.error('Inbound email poll failed', { error: error.message });
+  } finally { running = false; }
+};
+
+export const startInboundEmailScheduler = () => {
+  if (timer || !isInboundEmailEnabled()) return;
+  timer = setInterval(pollMailbox, config.inboundEmail.pollIntervalSeconds * 1000);
+  pollMailbox();
+};
+
+export const stopInboundEmailScheduler = () => { clearInterval(timer); timer = null; };
@@ -6,12 +6,14 @@
  *   - Trash cleanup (soft-deleted attachments after 30 days)
  *   - Archived card cleanup (auto-delete expired archived cards)
  *   - Board cleanup (permanently delete soft-deleted boards)
+ *   - Automation due-date scan ("due date passed" rules)
  *
  * Called once during initQueues(). Repeatable jobs survive restarts;
  * BullMQ deduplicates by jobId so re-registering is safe.
  */
 import { cleanupQueue } from '../queues/index.js';
-import { allQueues, salesAlertQueue } from '../queues/index.js';
+import { allQueues, salesAlertQueue, automationQueue } from '../queues/index.js';
+import config from '../config/index.js';
 
 const SIX_HOURS   = 6 * 60 * 60 * 1000;
 const EIGHT_HOURS  = 8 * 60 * 60 * 1000;
@@ -86,6 +88,18 @@ export async function registerMaintenanceJobs() {
       removeOnFail: { count: 50 },
     }
   );
+
+  // 6. Automation due-date scan — fire "due date passed" rules for newly overdue cards
+  await automationQueue.add(
+    'scan-due-dates',
+    {},
+    {
+      repeat: { every: config.automation.dueDateScanIntervalMs },
+      jobId: 'repeat:scan-due-dates',
+      removeOnComplete: true,
+      removeOnFail: { count: 50 },
+    }
+  );
 }
 
 /**
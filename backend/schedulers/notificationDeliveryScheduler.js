@@ -0,0 +1,26 @@
+import cron from 'node-cron';
+import { flushDueDeliveries, sendDueDigests } from '../services/notifications/notificationDeliveryService.js';
+import logger from '../utils/logger.js';
+
+let task;
+let running = false;
+
+// Held email/push copies and digests both run off this one-minute tick
+const processDeliveries = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await flushDueDeliveries();
+    await sendDueDigests();
+  } catch (error) {
+    logger.error('Notification delivery run failed', { error: error.message });
+  } finally { running = false; }
+};
+
+export const startNotificationDeliveryScheduler = () => {
+  if (task) return;
+  task = cron.schedule('* * * * *', processDeliveries);
+  processDeliveries();
+};
+
+export const stopNotificationDeliveryScheduler = () => { task?.stop(); task = null; };
@@ -0,0 +1,29 @@
+/**
+ * Write the public REST API's OpenAPI document to docs/openapi.json
+ *
+ * The document is built from services/publicApi/stableEndpoints.js, the same
+ * list that decides what API tokens may call. Re-run after changing it and
+ * commit the result. The running server also serves it at /api/openapi.json.
+ *
+ * Usage:
+ *   node scripts/generateOpenApi.js [--server <url>] [--out <file>]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildOpenApiDocument } from '../services/publicApi/openApiDocument.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const argValue = (flag) => {
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const out = path.resolve(argValue('--out') || path.join(__dirname, '../../docs/openapi.json'));
+const document = buildOpenApiDocument({ serverUrl: argValue('--server') || process.env.BACKEND_URL });
+
+fs.mkdirSync(path.dirname(out), { recursive: true });
+fs.writeFileSync(out, `${JSON.stringify(document, null, 2)}\n`);
+console.log(`Wrote ${Object.keys(document.paths).length} paths to ${path.relative(process.cwd(), out)}`);
@@ -0,0 +1,63 @@
+/**
+ * Migration: Backfill sales row bid keys
+ *
+ * Duplicate detection matches sales rows on SalesRow.bidKey, the normalized
+ * bid URL. New and edited rows get it on save; this sets it on rows created
+ * before the field existed.
+ *
+ * Safe to run multiple times (idempotent).
+ *
+ * Usage:
+ *   node scripts/migrateSalesBidKeys.js
+ */
+
+import mongoose from 'mongoose';
+
+// Load env
+import '../config/index.js';
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('ERROR: No MONGO_URI environment variable found.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to MongoDB.');
+
+  const { default: SalesRow, toBidKey } = await import('../models/SalesRow.js');
+
+  const cursor = SalesRow.find({ 'bidLink.url': { $nin: [null, ''] } })
+    .select('_id bidLink.url bidKey')
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updates = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (updates.length === 0) return;
+    const result = await SalesRow.bulkWrite(updates, { ordered: false });
+    updated += result.modifiedCount;
+    updates = [];
+  };
+
+  for await (const row of cursor) {
+    scanned += 1;
+    const bidKey = toBidKey(row.bidLink.url);
+    if (bidKey === (row.bidKey || null)) continue;
+    updates.push({ updateOne: { filter: { _id: row._id }, update: { $set: { bidKey } } } });
+    if (updates.length >= 500) await flush();
+  }
+  await flush();
+
+  console.log(`\nMigration complete. Scanned ${scanned} row(s) with a bid URL, updated ${updated} bid key(s).`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,255 @@
+/**
+ * Migration: Move stored files between storage backends
+ *
+ * Copies task/project attachments, user avatars, current project covers and
+ * announcement attachments from one storage driver to another (cloudinary,
+ * local, s3 — see services/storage/storageService.js), then points the
+ * database records at the new copies. Thumbnails / previews are regenerated
+ * by the target driver.
+ *
+ * Records already on the target driver are skipped, so the script is safe
+ * to re-run after an interruption. Source files are kept unless
+ * --delete-source is given. Archived project covers (coverImageHistory)
+ * stay where they are.
+ *
+ * Usage:
+ *   node scripts/migrateStorage.js --to <cloudinary|local|s3> [options]
+ *
+ * Options:
+ *   --from <driver>     Only migrate files currently on this driver
+ *   --only <types>      Comma-separated: attachments,avatars,covers,announcements
+ *   --limit <n>         Stop after n files (useful for a trial run)
+ *   --dry-run           List what would move without copying anything
+ *   --delete-source     Delete each source file after its record is updated
+ */
+
+import mongoose from 'mongoose';
+import path from 'path';
+
+// Load env
+import '../config/index.js';
+
+const ALL_TYPES = ['attachments', 'avatars', 'covers', 'announcements'];
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, deleteSource: false, only: ALL_TYPES, limit: Infinity };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--from') args.from = argv[++i];
+    else if (arg === '--only') args.only = argv[++i].split(',').map((t) => t.trim());
+    else if (arg === '--limit') args.limit = parseInt(argv[++i], 10);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--delete-source') args.deleteSource = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return args;
+};
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = await import('../services/storage/storageService.js');
+
+  if (!storage.STORAGE_DRIVERS.includes(args.to)) {
+    console.error(`ERROR: --to must be one of: ${storage.STORAGE_DRIVERS.join(', ')}`);
+    process.exit(1);
+  }
+  if (args.from && !storage.STORAGE_DRIVERS.includes(args.from)) {
+    console.error(`ERROR: --from must be one of: ${storage.STORAGE_DRIVERS.join(', ')}`);
+    process.exit(1);
+  }
+  const unknownTypes = args.only.filter((t) => !ALL_TYPES.includes(t));
+  if (unknownTypes.length) {
+    console.error(`ERROR: unknown --only type(s): ${unknownTypes.join(', ')}`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('ERROR: No MONGO_URI environment variable found.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log(`Connected to MongoDB. Migrating ${args.only.join(', ')} to "${args.to}"${args.dryRun ? ' (dry run)' : ''}.`);
+
+  const stats = { migrated: 0, skipped: 0, failed: 0 };
+
+  const needsMove = (key) => {
+    if (!key) return false;
+    const { driver } = storage.parseKey(key);
+    return driver !== args.to && (!args.from || driver === args.from);
+  };
+
+  const folderOf = (key) => path.posix.dirname(storage.parseKey(key).objectKey);
+
+  /**
+   * Copy one file and update its record
+   * @param {string} label - Shown in the log
+   * @param {{key: string, url?: string, resourceType?: string}} source
+   * @param {(buffer: Buffer) => Promise<void>} copy - Uploads to the target and saves the record
+   */
+  const migrate = async (label, source, copy) => {
+    if (stats.migrated + stats.failed >= args.limit) return false;
+    if (!needsMove(source.key)) {
+      stats.skipped++;
+      return true;
+    }
+    if (args.dryRun) {
+      console.log(`  would move ${label} (${source.key})`);
+      stats.migrated++;
+      return true;
+    }
+    try {
+      const buffer = await storage.readFile(source.key, { url: source.url, resourceType: source.resourceType });
+      await copy(buffer);
+      if (args.deleteSource) {
+        await storage.deleteFile(source.key, source.resourceType).catch((err) => {
+          console.warn(`  could not delete source of ${label}: ${err.message}`);
+        });
+      }
+      stats.migrated++;
+      console.log(`  moved ${label}`);
+    } catch (err) {
+      stats.failed++;
+      console.error(`  FAILED ${label}: ${err.message}`);
+    }
+    return true;
+  };
+
+  if (args.only.includes('attachments')) {
+    const Attachment = (await import('../models/Attachment.js')).default;
+    console.log('\nAttachments:');
+    const cursor = Attachment.find({ publicId: { $nin: [null, ''] } })
+      .select('publicId url secureUrl resourceType mimeType originalName')
+      .lean()
+      .cursor();
+    for await (const att of cursor) {
+      const more = await migrate(`attachment ${att._id} "${att.originalName}"`,
+        { key: att.publicId, url: att.secureUrl || att.url, resourceType: att.resourceType },
+        async (buffer) => {
+          const stored = await storage.uploadFile(buffer, {
+            folder: folderOf(att.publicId),
+            resourceType: att.resourceType,
+            mimetype: att.mimeType,
+            originalName: att.originalName,
+            driver: args.to
+          });
+          await Attachment.updateOne({ _id: att._id }, {
+            $set: {
+              url: stored.url,
+              secureUrl: stored.secureUrl,
+              publicId: stored.key,
+              resourceType: stored.resourceType,
+              format: stored.format,
+              thumbnailUrl: stored.thumbnailUrl,
+              previewUrl: stored.previewUrl
+            }
+          });
+        });
+      if (!more) break;
+    }
+  }
+
+  if (args.only.includes('avatars')) {
+    const User = (await import('../models/User.js')).default;
+    console.log('\nAvatars:');
+    const cursor = User.find({ avatarPublicId: { $nin: [null, ''] } })
+      .select('name avatar avatarPublicId')
+      .lean()
+      .cursor();
+    for await (const user of cursor) {
+      const more = await migrate(`avatar of ${user.name}`,
+        { key: user.avatarPublicId, url: user.avatar, resourceType: 'image' },
+        async (buffer) => {
+          const result = await storage.uploadAvatar(buffer, { userId: user._id.toString(), driver: args.to });
+          await User.updateOne({ _id: user._id }, {
+            $set: { avatar: result.url, avatarPublicId: result.public_id, 'avatarMetadata.format': result.format }
+          });
+        });
+      if (!more) break;
+    }
+  }
+
+  if (args.only.includes('covers')) {
+    const Board = (await import('../models/Board.js')).default;
+    console.log('\nProject covers:');
+    const cursor = Board.find({ 'coverImage.publicId': { $nin: [null, ''] } })
+      .select('name coverImage')
+      .lean()
+      .cursor();
+    for await (const board of cursor) {
+      const cover = board.coverImage;
+      const more = await migrate(`cover of "${board.name}"`,
+        { key: cover.publicId, url: cover.url, resourceType: 'image' },
+        async (buffer) => {
+          const format = (cover.format || 'jpeg').replace(/^jpg$/, 'jpeg').replace(/^svg$/, 'svg+xml');
+          const result = await storage.uploadProjectCover(buffer, {
+            projectId: board._id.toString(),
+            mimetype: `image/${format}`,
+            uploadedBy: cover.uploadedBy,
+            driver: args.to
+          });
+          await Board.updateOne({ _id: board._id }, {
+            $set: {
+              'coverImage.url': result.url,
+              'coverImage.publicId': result.publicId,
+              'coverImage.thumbnailUrl': result.thumbnailUrl,
+              'coverImage.dominantColor': result.dominantColor,
+              'coverImage.width': result.width,
+              'coverImage.height': result.height,
+              'coverImage.format': result.format,
+              'coverImage.bytes': result.bytes
+            }
+          });
+        });
+      if (!more) break;
+    }
+  }
+
+  if (args.only.includes('announcements')) {
+    const Announcement = (await import('../models/Announcement.js')).default;
+    console.log('\nAnnouncement attachments:');
+    const cursor = Announcement.find({ 'attachments.0': { $exists: true } })
+      .select('title attachments')
+      .lean()
+      .cursor();
+    let more = true;
+    for await (const announcement of cursor) {
+      for (const att of announcement.attachments) {
+        more = await migrate(`announcement attachment "${att.original_name}"`,
+          { key: att.public_id, url: att.url, resourceType: att.resource_type },
+          async (buffer) => {
+            const result = await storage.uploadAnnouncementAttachment(buffer, {
+              announcementId: announcement._id.toString(),
+              originalName: att.original_name,
+              mimetype: att.mimetype,
+              uploadedBy: att.uploadedBy,
+              driver: args.to
+            });
+            await Announcement.updateOne({ _id: announcement._id, 'attachments._id': att._id }, {
+              $set: {
+                'attachments.$.url': result.url,
+                'attachments.$.public_id': result.public_id,
+                'attachments.$.resource_type': result.resource_type,
+                'attachments.$.format': result.format,
+                'attachments.$.thumbnail_url': result.thumbnail_url,
+                'attachments.$.preview_url': result.preview_url
+              }
+            });
+          });
+        if (!more) break;
+      }
+      if (!more) break;
+    }
+  }
+
+  console.log(`\nMigration ${args.dryRun ? 'dry run ' : ''}complete. ${args.dryRun ? 'To move' : 'Moved'}: ${stats.migrated}, already in place: ${stats.skipped}, failed: ${stats.failed}.`);
+  await mongoose.disconnect();
+  if (stats.failed > 0) process.exitCode = 1;
+}
+
+run().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -57,6 +57,17 @@ import salesTabRoutes from './modules/salesTabs/salesTab.routes.js';
 import projectOptionsRoutes from './routes/projectOptions.js';
 import authzRoutes from './modules/authorization/routes/index.js';
 import chatIntegrationRoutes from './routes/chatIntegration.js';
+import webhooksRoutes from './routes/webhooks.js';
+import filesRoutes from './routes/files.js';
+import { getLocalRoot } from './services/storage/localAdapter.js';
+import customFieldsRoutes from './routes/customFields.js';
+import projectTemplatesRoutes from './routes/projectTemplates.js';
+import automationRoutes from './routes/automations.js';
+import timeOffRoutes from './routes/timeOff.js';
+import timerRoutes from './routes/timers.js';
+import timesheetRoutes from './routes/timesheets.js';
+import apiTokenRoutes from './routes/apiTokens.js';
+import { getOpenApiDocument } from './controllers/apiTokenController.js';
 import { captureRawBody } from './middleware/slackMiddleware.js';
 import { errorHandler } from './middleware/errorHandler.js';
 
@@ -90,7 +101,10 @@ const corsHandler = cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Base-Updated-At'],
+  // Lets the offline queue read the server clock when stamping queued edits,
+  // and API token clients see their remaining rate limit
+  exposedHeaders: ['Date', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'],
 });
 
 // Explicit OPTIONS preflight handler must come BEFORE Helmet and all routes
@@ -118,6 +132,18 @@ app.use('/api/slack', express.urlencoded({ extended: true, verify: captureRawBod
 
 app.use(express.json({ limit: config.http.bodyLimit }));
 app.use(express.urlencoded({ extended: true, limit: config.http.bodyLimit }));
+// Local-disk storage driver (its root may live outside ../uploads). Public
+// only when explicitly enabled; otherwise files go out through signed
+// /api/files URLs.
+if (config.storage.local.publicUrls) {
+  app.use('/uploads/storage', express.static(getLocalRoot()));
+} else {
+  // The default root sits inside ../uploads, so keep the static mount below off it
+  app.use('/uploads/storage', (req, res) => res.status(404).end());
+  if (config.storage.driver === 'local') {
+    logger.warn('Local storage is private: attachment previews, avatars and covers will not load until STORAGE_LOCAL_PUBLIC_URLS=true; downloads use signed URLs');
+  }
+}
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
 // ─── Frontend Static Assets ───────────────────────────────────────────────────
@@ -190,6 +216,7 @@ app.use('/api/reminders', remindersRoutes);
 app.use('/api/labels', labelsRoutes);
 app.use('/api/roles', rolesRoutes);
 app.use('/api/attachments', attachmentsRoutes);
+app.use('/api/files', filesRoutes);
 app.use('/api/versions', versionsRoutes);
 app.use('/api/projects', projectsRoutes);
 app.use('/api/slack', slackRoutes);
@@ -204,6 +231,17 @@ app.use('/api/sales-tabs', salesTabRoutes);
 app.use('/api/project-options', projectOptionsRoutes);
 app.use('/api/authorization', authzRoutes);
 app.use('/api/chat-integration', chatIntegrationRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/custom-fields', customFieldsRoutes);
+app.use('/api/project-templates', projectTemplatesRoutes);
+app.use('/api/automations', automationRoutes);
+app.use('/api/time-off', timeOffRoutes);
+app.use('/api/timers', timerRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/api-tokens', apiTokenRoutes);
+
+// Public REST API description (the endpoints API tokens may call)
+app.get('/api/openapi.json', getOpenApiDocument);
 
 // ─── SPA Fallback ─────────────────────────────────────────────────────────────
 // Must come AFTER all API routes. Serves index.html for every non-API GET so
@@ -226,6 +264,8 @@ import seedAdmin from './utils/seed.js';
 import { initializeSlackServices, shutdownSlackServices } from './services/slack/index.js';
 import { initQueues, shutdownQueues } from './queues/queueManager.js';
 import { startAnalyticsReportScheduler, stopAnalyticsReportScheduler } from './schedulers/analyticsReportScheduler.js';
+import { startNotificationDeliveryScheduler, stopNotificationDeliveryScheduler } from './schedulers/notificationDeliveryScheduler.js';
+import { startInboundEmailScheduler, stopInboundEmailScheduler } from './schedulers/inboundEmailScheduler.js';
 
 mongoose.connect(config.db.uri, {
   maxPoolSize: config.db.maxPoolSize,
@@ -241,6 +281,8 @@ mongoose.connect(config.db.uri, {
 
     seedAdmin();
     startAnalyticsReportScheduler();
+    startNotificationDeliveryScheduler();
+    startInboundEmailScheduler();
 
     initializeSlackServices().then(() => {
       logger.info('Slack services initialized');
@@ -268,6 +310,8 @@ const gracefulShutdown = async (signal) => {
       shutdownSlackServices(),
       shutdownQueues(),
       Promise.resolve(stopAnalyticsReportScheduler()),
+      Promise.resolve(stopNotificationDeliveryScheduler()),
+      Promise.resolve(stopInboundEmailScheduler()),
     ]);
   } catch (err) {
     logger.error('Error during service shutdown', { error: err.message });
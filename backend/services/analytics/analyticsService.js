@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import Card from '../../models/Card.js';
+import List from '../../models/List.js';
 import Team from '../../models/Team.js';
 import User from '../../models/User.js';
 import Activity from '../../models/Activity.js';
@@ -595,3 +596,184 @@ export const getEmployeeAssignedTasks = async (user, employeeId, filters, pagina
     },
   };
 };
+
+/* ── Flow metrics (list transition history) ── */
+
+const DAY_MS = 86400000;
+const MAX_FLOW_CARDS = 20000;
+const normalizeListTitle = (title = '') => title.trim().toLowerCase().replace(/\s+/g, '-');
+const localDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+const weekStart = (date) => {
+  const value = new Date(date);
+  value.setHours(0, 0, 0, 0);
+  value.setDate(value.getDate() - ((value.getDay() + 6) % 7));
+  return value;
+};
+const percentile = (values, p) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+// Cards created before list history was recorded are treated as having sat
+// in their current list since creation.
+const cardListHistory = (card) => (card.listHistory?.length
+  ? card.listHistory
+  : [{ list: card.list, enteredAt: card.createdAt, exitedAt: null }]);
+
+// Lists with the same title across projects share one column, ordered by
+// their earliest board position. Ids are opaque (c0, c1…) so any title is a
+// safe chart key.
+const buildFlowColumns = (lists) => {
+  const columns = new Map();
+  const listColumn = new Map();
+  for (const list of lists) {
+    const status = normalizeListTitle(list.title);
+    if (!columns.has(status)) {
+      columns.set(status, { key: `c${columns.size}`, title: list.title, position: list.position, done: DONE_STATUSES.includes(status) });
+    }
+    const column = columns.get(status);
+    column.position = Math.min(column.position, list.position);
+    listColumn.set(id(list._id), column.key);
+  }
+  const ordered = [...columns.values()].sort((a, b) => Number(a.done) - Number(b.done) || a.position - b.position);
+  return { columns: ordered.map(({ key, title, done }) => ({ key, title, done })), listColumn };
+};
+
+const buildCumulativeFlow = (cards, columns, listColumn, filters, effectiveNow) => {
+  const points = [];
+  const totalDays = Math.max(1, Math.ceil((filters.endDate - filters.startDate) / DAY_MS) + 1);
+  const step = Math.max(1, Math.ceil(totalDays / 62));
+  for (let cursor = new Date(filters.startDate), index = 0; cursor <= filters.endDate; cursor.setDate(cursor.getDate() + 1), index += 1) {
+    const dayEnd = new Date(cursor);
+    dayEnd.setHours(23, 59, 59, 999);
+    if (index % step !== 0 && dayEnd < filters.endDate) continue;
+    const at = dayEnd < effectiveNow ? dayEnd : effectiveNow;
+    const point = { date: localDateKey(cursor), ...Object.fromEntries(columns.map((column) => [column.key, 0])) };
+    for (const card of cards) {
+      const entry = cardListHistory(card).find((item) => new Date(item.enteredAt) <= at && (!item.exitedAt || new Date(item.exitedAt) > at));
+      const key = entry && listColumn.get(id(entry.list));
+      if (key) point[key] += 1;
+    }
+    points.push(point);
+    if (at === effectiveNow) break;
+  }
+  return points;
+};
+
+// Lead time: created → entered a done list. Cycle time: first move out of the
+// starting list → entered a done list (unknown for cards moved straight to
+// done). Only cards currently in a done list whose completion falls inside
+// the range count.
+const buildCompletionStats = (cards, listColumn, doneKeys, filters) => {
+  const completions = [];
+  for (const card of cards) {
+    const history = cardListHistory(card);
+    const current = history[history.length - 1];
+    if (history.length < 2 || current.exitedAt || !doneKeys.has(listColumn.get(id(current.list)))) continue;
+    const completedAt = new Date(current.enteredAt);
+    if (completedAt < filters.startDate || completedAt > filters.endDate) continue;
+    const createdAt = new Date(card.createdAt || history[0].enteredAt);
+    const startedAt = new Date(history[1].enteredAt);
+    completions.push({
+      completedAt,
+      leadDays: Math.max(0, completedAt - createdAt) / DAY_MS,
+      cycleDays: history.length > 2 ? Math.max(0, completedAt - startedAt) / DAY_MS : null,
+    });
+  }
+  return completions;
+};
+
+const buildWeeklyThroughput = (completions, filters) => {
+  const weeks = new Map();
+  for (let cursor = weekStart(filters.startDate); cursor <= filters.endDate; cursor.setDate(cursor.getDate() + 7)) {
+    weeks.set(localDateKey(cursor), { week: localDateKey(cursor), completed: 0, lead: [], cycle: [] });
+  }
+  for (const completion of completions) {
+    const week = weeks.get(localDateKey(weekStart(completion.completedAt)));
+    if (!week) continue;
+    week.completed += 1;
+    week.lead.push(completion.leadDays);
+    if (completion.cycleDays !== null) week.cycle.push(completion.cycleDays);
+  }
+  return [...weeks.values()].map(({ week, completed, lead, cycle }) => ({
+    week, completed, averageLeadDays: round(average(lead), 1), averageCycleDays: round(average(cycle), 1),
+  }));
+};
+
+export const getFlowAnalytics = async (user, filters) => {
+  const scope = await resolveAnalyticsScope(user);
+  assertScopeFilter(scope, filters);
+  if (scope.personalOnly && filters.employeeId && filters.employeeId !== id(scope.userId)) {
+    throw new ErrorResponse('Employees can only view their own analytics', 403);
+  }
+  if (filters.employeeId && !scope.personalOnly) {
+    const employeeInScope = await User.exists({ _id: oid(filters.employeeId), isActive: true, department: { $in: scope.departmentIds } });
+    if (!employeeInScope) throw new ErrorResponse('You do not have access to the requested employee', 403);
+  }
+
+  const boards = filterScopedBoards(scope, filters);
+  const boardIds = boards.map((board) => board._id);
+  const match = {
+    board: { $in: boardIds },
+    isArchived: { $ne: true },
+    createdAt: { $lte: filters.endDate },
+    ...(scope.personalOnly ? { assignees: scope.userId } : {}),
+    ...(filters.employeeId ? { assignees: oid(filters.employeeId) } : {}),
+    ...(filters.priority ? { priority: filters.priority.toLowerCase() } : {}),
+  };
+  const [lists, cards] = boardIds.length
+    ? await Promise.all([
+      List.find({ board: { $in: boardIds } }).select('_id title board position wipLimit wipMode isArchived').sort({ position: 1 }).lean(),
+      Card.find(match).select('_id list board createdAt listHistory').sort({ createdAt: -1 }).limit(MAX_FLOW_CARDS).lean(),
+    ])
+    : [[], []];
+
+  const effectiveNow = filters.endDate < new Date() ? filters.endDate : new Date();
+  const { columns, listColumn } = buildFlowColumns(lists);
+  const doneKeys = new Set(columns.filter((column) => column.done).map((column) => column.key));
+  const completions = buildCompletionStats(cards, listColumn, doneKeys, filters);
+  const leadDays = completions.map((completion) => completion.leadDays);
+  const cycleDays = completions.filter((completion) => completion.cycleDays !== null).map((completion) => completion.cycleDays);
+
+  // WIP counts are the lists' live contents, as List.getWipBreach sees them,
+  // not the filtered and capped report cards
+  const limitedLists = lists.filter((list) => list.wipLimit && !list.isArchived);
+  const listCounts = limitedLists.length
+    ? await Card.aggregate([
+      { $match: { list: { $in: limitedLists.map((list) => list._id) }, isArchived: false } },
+      { $group: { _id: '$list', count: { $sum: 1 } } },
+    ])
+    : [];
+  const currentCounts = new Map(listCounts.map((entry) => [id(entry._id), entry.count]));
+  const boardNames = new Map(boards.map((board) => [id(board._id), board.name]));
+  const wipLimits = limitedLists.map((list) => ({
+    listId: list._id, title: list.title, projectId: list.board, projectName: boardNames.get(id(list.board)) || 'Project',
+    count: currentCounts.get(id(list._id)) || 0, limit: list.wipLimit, mode: list.wipMode,
+    exceeded: (currentCounts.get(id(list._id)) || 0) > list.wipLimit,
+  }));
+
+  return {
+    meta: {
+      generatedAt: new Date().toISOString(),
+      range: analyticsRangeMeta(filters),
+      truncated: cards.length >= MAX_FLOW_CARDS,
+      metricDefinitions: {
+        cumulativeFlow: 'Tasks in each list at the end of every day, from recorded list transitions.',
+        leadTime: 'Days from task creation until it entered a done list.',
+        cycleTime: 'Days from the first move out of the starting list until the task entered a done list.',
+        throughput: 'Tasks that entered a done list in each week (Monday to Sunday).',
+      },
+    },
+    cumulativeFlow: { columns, points: buildCumulativeFlow(cards, columns, listColumn, filters, effectiveNow) },
+    leadTime: { averageDays: round(average(leadDays), 1), p85Days: round(percentile(leadDays, 85), 1), samples: leadDays.length },
+    cycleTime: { averageDays: round(average(cycleDays), 1), p85Days: round(percentile(cycleDays, 85), 1), samples: cycleDays.length },
+    throughput: {
+      total: completions.length,
+      weeklyAverage: round((completions.length / analyticsRangeMeta(filters).days) * 7, 1),
+      weekly: buildWeeklyThroughput(completions, filters),
+    },
+    wipLimits,
+  };
+};
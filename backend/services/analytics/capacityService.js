@@ -0,0 +1,473 @@
+/**
+ * Capacity Service
+ *
+ * Plans each person's open work against their weekly capacity.
+ *
+ * Capacity comes from UserCapacity (hours per day, working days, time off),
+ * falling back to config.capacity defaults, minus approved leave and the
+ * holidays of the person's departments. Planned work is the remaining
+ * estimate (estimated minus logged time, never below zero) of every open
+ * card, subtask and nano-subtask a person is assigned to, split evenly
+ * between assignees and spread over the assignee's available days from the
+ * item's start date (or today) to its due date:
+ *  - overdue items land on today,
+ *  - items without a due date are reported as unscheduled,
+ *  - windows with no available day land on the due date.
+ *
+ * A person is over-allocated when planned minutes in the viewed range exceed
+ * config.capacity.overAllocationPercent of their available minutes.
+ */
+
+import mongoose from 'mongoose';
+import Card from '../../models/Card.js';
+import Subtask from '../../models/Subtask.js';
+import SubtaskNano from '../../models/SubtaskNano.js';
+import User from '../../models/User.js';
+import UserCapacity from '../../models/UserCapacity.js';
+import Activity from '../../models/Activity.js';
+import cardService from '../domain/cardService.js';
+import { emitToUser } from '../../realtime/index.js';
+import {
+  getDepartmentIdsByUser,
+  listHolidays,
+  listApprovedLeave,
+  findLeaveConflicts
+} from '../calendar/timeOffService.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import config from '../../config/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DONE_STATUSES = ['done', 'completed', 'complete', 'closed', 'cancelled', 'canceled'];
+
+// Longest start-to-due window spread day by day; longer windows are clipped
+// to their last year
+const MAX_SPREAD_DAYS = 366;
+
+const ITEM_MODELS = {
+  card: Card,
+  subtask: Subtask,
+  nano: SubtaskNano,
+};
+
+const idString = (value) => value?._id?.toString() || value?.toString();
+
+/* ── Helpers ── */
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Same day keys as the logged-time heatmap
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const sumMinutes = (entries = []) =>
+  entries.reduce((total, entry) => total + (entry.hours || 0) * 60 + (entry.minutes || 0), 0);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const defaultProfile = (userId) => ({
+  user: userId,
+  hoursPerDay: config.capacity.defaultHoursPerDay,
+  workingDays: config.capacity.defaultWorkingDays,
+  timeOff: [],
+  isDefault: true,
+});
+
+const toProfile = (doc) => ({
+  user: doc.user,
+  hoursPerDay: doc.hoursPerDay,
+  workingDays: doc.workingDays,
+  timeOff: (doc.timeOff || []).map((entry) => ({
+    _id: entry._id,
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    reason: entry.reason,
+    createdBy: entry.createdBy,
+  })),
+  isDefault: false,
+});
+
+const covers = (entry, day) => startOfDay(entry.startDate) <= day && day <= startOfDay(entry.endDate);
+
+const isTimeOff = (profile, day) =>
+  profile.timeOff.some((entry) => covers(entry, day))
+  || (profile.leave || []).some((entry) => covers(entry, day))
+  || (profile.holidays || []).some((holiday) => startOfDay(holiday.date).getTime() === day.getTime());
+
+/**
+ * Bookable minutes on one day for a capacity profile.
+ */
+export const availableMinutes = (profile, day) => {
+  if (!profile.workingDays.includes(day.getDay())) return 0;
+  if (isTimeOff(profile, day)) return 0;
+  return profile.hoursPerDay * 60;
+};
+
+/**
+ * Remaining estimate of a card, subtask or nano-subtask in minutes.
+ */
+export const remainingMinutes = (item) =>
+  Math.max(0, sumMinutes(item.estimationTime) - sumMinutes(item.loggedTime));
+
+/**
+ * Spreads minutes over a person's available days between an item's start and
+ * due dates. Returns a Map of day key → minutes, or null when the item has no
+ * due date.
+ */
+export const spreadItem = (profile, item, minutes, today = startOfDay(new Date())) => {
+  if (!item.dueDate) return null;
+  const spread = new Map();
+  if (minutes <= 0) return spread;
+
+  const due = startOfDay(item.dueDate);
+  if (due < today) {
+    spread.set(dayKey(today), minutes);
+    return spread;
+  }
+
+  let from = item.startDate ? startOfDay(item.startDate) : today;
+  if (from < today) from = today;
+  if (from > due) from = due;
+  if ((due - from) / DAY_MS > MAX_SPREAD_DAYS) from = new Date(due.getTime() - MAX_SPREAD_DAYS * DAY_MS);
+
+  const days = [];
+  for (const day = new Date(from); day <= due; day.setDate(day.getDate() + 1)) {
+    const available = availableMinutes(profile, day);
+    if (available > 0) days.push({ key: dayKey(day), available });
+  }
+
+  if (days.length === 0) {
+    spread.set(dayKey(due), minutes);
+    return spread;
+  }
+
+  // Proportional to each day's capacity, so part-time days take less
+  const totalAvailable = days.reduce((total, day) => total + day.available, 0);
+  days.forEach((day) => spread.set(day.key, (minutes * day.available) / totalAvailable));
+  return spread;
+};
+
+/* ── Capacity settings ── */
+
+/**
+ * Capacity profiles for the given users, keyed by user id. Users without
+ * settings get the configured defaults. Each profile also carries the
+ * person's approved leave and department holidays from `from` on.
+ */
+export const getCapacityProfiles = async (userIds, { from = new Date() } = {}) => {
+  const [docs, departmentsByUser, leave] = await Promise.all([
+    UserCapacity.find({ user: { $in: userIds } }).lean(),
+    getDepartmentIdsByUser(userIds),
+    listApprovedLeave({ userIds, start: from }),
+  ]);
+  const holidays = await listHolidays({
+    start: from,
+    departmentIds: [...new Set([...departmentsByUser.values()].flat())],
+  });
+
+  const byUser = new Map(docs.map((doc) => [idString(doc.user), toProfile(doc)]));
+  return new Map(userIds.map((userId) => {
+    const id = idString(userId);
+    const departmentIds = departmentsByUser.get(id) || [];
+    return [id, {
+      ...(byUser.get(id) || defaultProfile(userId)),
+      leave: leave
+        .filter((entry) => idString(entry.user) === id)
+        .map((entry) => ({ startDate: entry.startDate, endDate: entry.endDate, type: entry.type })),
+      holidays: holidays
+        .filter((holiday) => !holiday.department || departmentIds.includes(idString(holiday.department)))
+        .map((holiday) => ({ date: holiday.date, name: holiday.name })),
+    }];
+  }));
+};
+
+export const getUserCapacity = async (userId) => {
+  const profiles = await getCapacityProfiles([userId]);
+  return profiles.get(idString(userId));
+};
+
+/**
+ * Validates and saves a person's capacity settings. Omitted fields keep their
+ * current (or default) value.
+ */
+export const updateUserCapacity = async (userId, input, updatedBy) => {
+  const current = await getUserCapacity(userId);
+
+  const hoursPerDay = input.hoursPerDay !== undefined ? Number(input.hoursPerDay) : current.hoursPerDay;
+  if (!Number.isFinite(hoursPerDay) || hoursPerDay < 0 || hoursPerDay > 24) {
+    throw new ErrorResponse('Hours per day must be between 0 and 24', 400);
+  }
+
+  let workingDays = current.workingDays;
+  if (input.workingDays !== undefined) {
+    if (!Array.isArray(input.workingDays)) {
+      throw new ErrorResponse('Working days must be a list of weekdays', 400);
+    }
+    workingDays = [...new Set(input.workingDays.map(Number))];
+    if (workingDays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new ErrorResponse('Working days must be numbers from 0 (Sunday) to 6 (Saturday)', 400);
+    }
+    workingDays.sort();
+  }
+
+  let timeOff = current.timeOff;
+  if (input.timeOff !== undefined) {
+    if (!Array.isArray(input.timeOff)) {
+      throw new ErrorResponse('Time off must be a list of date ranges', 400);
+    }
+    const existing = new Map(current.timeOff.map((entry) => [idString(entry._id), entry]));
+    timeOff = input.timeOff.map((entry) => {
+      const startDate = new Date(entry.startDate);
+      const endDate = new Date(entry.endDate || entry.startDate);
+      if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+        throw new ErrorResponse('Time off needs a valid start and end date', 400);
+      }
+      if (endDate < startDate) {
+        throw new ErrorResponse('Time off cannot end before it starts', 400);
+      }
+      // Entries sent back unchanged keep their id and original author
+      const previous = entry._id ? existing.get(String(entry._id)) : null;
+      return {
+        ...(previous ? { _id: previous._id } : {}),
+        startDate,
+        endDate,
+        reason: String(entry.reason || '').trim().slice(0, 200),
+        createdBy: previous?.createdBy || updatedBy,
+      };
+    });
+  }
+
+  await UserCapacity.findOneAndUpdate(
+    { user: userId },
+    { $set: { hoursPerDay, workingDays, timeOff, updatedBy } },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return getUserCapacity(userId);
+};
+
+/* ── Workload ── */
+
+const ITEM_SELECT = 'title status startDate dueDate assignees estimationTime loggedTime board';
+
+const loadOpenItems = async (userIds) => {
+  const openFilter = {
+    assignees: { $in: userIds },
+    status: { $nin: DONE_STATUSES },
+  };
+
+  const [cards, subtasks, nanos] = await Promise.all([
+    Card.find({ ...openFilter, isArchived: { $ne: true } })
+      .select(ITEM_SELECT)
+      .populate('board', 'name isDeleted isArchived')
+      .lean(),
+    Subtask.find(openFilter)
+      .select(`${ITEM_SELECT} task`)
+      .populate('board', 'name isDeleted isArchived')
+      .lean(),
+    SubtaskNano.find(openFilter)
+      .select(`${ITEM_SELECT} task subtask`)
+      .populate('board', 'name isDeleted isArchived')
+      .lean(),
+  ]);
+
+  const live = (item) => item.board && !item.board.isDeleted && !item.board.isArchived;
+  return [
+    ...cards.filter(live).map((item) => ({ ...item, itemType: 'card' })),
+    ...subtasks.filter(live).map((item) => ({ ...item, itemType: 'subtask' })),
+    ...nanos.filter(live).map((item) => ({ ...item, itemType: 'nano' })),
+  ];
+};
+
+/**
+ * Planned workload per person for a date range.
+ *
+ * @param {Object} params
+ * @param {Array} params.userIds - people to plan
+ * @param {Date} params.start - first day of the range
+ * @param {Date} params.end - last day of the range
+ * @returns {Promise<{dateRange: string[], members: Object[], summary: Object}>}
+ */
+export const buildWorkload = async ({ userIds, start, end }) => {
+  const rangeStart = startOfDay(start);
+  const rangeEnd = startOfDay(end);
+  const today = startOfDay(new Date());
+
+  const dateRange = [];
+  for (const day = new Date(rangeStart); day <= rangeEnd; day.setDate(day.getDate() + 1)) {
+    dateRange.push(dayKey(day));
+  }
+  const inRange = new Set(dateRange);
+
+  const [users, profiles, items] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('name email avatar role title').lean(),
+    getCapacityProfiles(userIds, { from: rangeStart < today ? rangeStart : today }),
+    loadOpenItems(userIds),
+  ]);
+
+  const members = users.map((user) => {
+    const userId = idString(user);
+    const profile = profiles.get(userId);
+
+    const days = {};
+    for (const day = new Date(rangeStart); day <= rangeEnd; day.setDate(day.getDate() + 1)) {
+      days[dayKey(day)] = {
+        capacityMinutes: availableMinutes(profile, day),
+        plannedMinutes: 0,
+        timeOff: isTimeOff(profile, day),
+      };
+    }
+
+    const assignments = [];
+    let unscheduledMinutes = 0;
+
+    items
+      .filter((item) => (item.assignees || []).some((assignee) => idString(assignee) === userId))
+      .forEach((item) => {
+        const share = remainingMinutes(item) / item.assignees.length;
+        const spread = spreadItem(profile, item, share, today);
+        let rangeMinutes = 0;
+
+        if (spread) {
+          spread.forEach((minutes, key) => {
+            if (!inRange.has(key)) return;
+            days[key].plannedMinutes += minutes;
+            rangeMinutes += minutes;
+          });
+        } else {
+          unscheduledMinutes += share;
+        }
+
+        assignments.push({
+          itemType: item.itemType,
+          _id: item._id,
+          title: item.title,
+          status: item.status,
+          board: { _id: item.board._id, name: item.board.name },
+          task: item.task || null,
+          subtask: item.subtask || null,
+          startDate: item.startDate || null,
+          dueDate: item.dueDate || null,
+          remainingMinutes: round(share),
+          rangeMinutes: round(rangeMinutes),
+          unestimated: sumMinutes(item.estimationTime) === 0,
+          overdue: Boolean(item.dueDate && startOfDay(item.dueDate) < today),
+        });
+      });
+
+    let capacityMinutes = 0;
+    let plannedMinutes = 0;
+    let overAllocatedDays = 0;
+    Object.values(days).forEach((day) => {
+      day.plannedMinutes = round(day.plannedMinutes);
+      capacityMinutes += day.capacityMinutes;
+      plannedMinutes += day.plannedMinutes;
+      if (day.plannedMinutes > day.capacityMinutes) overAllocatedDays += 1;
+    });
+
+    const utilization = capacityMinutes > 0
+      ? Math.round((plannedMinutes / capacityMinutes) * 100)
+      : (plannedMinutes > 0 ? null : 0);
+
+    assignments.sort((a, b) => (a.dueDate ? new Date(a.dueDate) : Infinity) - (b.dueDate ? new Date(b.dueDate) : Infinity));
+
+    return {
+      user,
+      capacity: profile,
+      days,
+      assignments,
+      totals: {
+        capacityMinutes: round(capacityMinutes),
+        plannedMinutes: round(plannedMinutes),
+        unscheduledMinutes: round(unscheduledMinutes),
+        utilization,
+        overAllocatedDays,
+        overAllocated: utilization === null || utilization > config.capacity.overAllocationPercent,
+      },
+    };
+  });
+
+  members.sort((a, b) => a.user.name.localeCompare(b.user.name));
+
+  return {
+    dateRange,
+    members,
+    summary: {
+      memberCount: members.length,
+      overAllocatedCount: members.filter((member) => member.totals.overAllocated).length,
+      capacityMinutes: round(members.reduce((total, member) => total + member.totals.capacityMinutes, 0)),
+      plannedMinutes: round(members.reduce((total, member) => total + member.totals.plannedMinutes, 0)),
+      overAllocationPercent: config.capacity.overAllocationPercent,
+    },
+  };
+};
+
+/* ── Reassignment ── */
+
+/**
+ * Moves one person's assignment on a card, subtask or nano-subtask to
+ * someone else. Cards go through cardService so notifications, activity and
+ * version history behave like a normal edit. The result lists the new
+ * assignee's approved leave covering the item's due date, if any.
+ */
+export const reassignItem = async ({ itemType, itemId, fromUserId, toUserId, user }) => {
+  const Model = ITEM_MODELS[itemType];
+  if (!Model) throw new ErrorResponse('Unknown item type', 400);
+  if (!mongoose.Types.ObjectId.isValid(itemId)) throw new ErrorResponse('Invalid item id', 400);
+  if (idString(fromUserId) === idString(toUserId)) {
+    throw new ErrorResponse('Pick a different person to reassign to', 400);
+  }
+
+  const item = await Model.findById(itemId).select('title assignees board task subtask dueDate').lean();
+  if (!item) throw new ErrorResponse('Item not found', 404);
+
+  const current = (item.assignees || []).map(idString);
+  if (!current.includes(idString(fromUserId))) {
+    throw new ErrorResponse('That person is not assigned to this item', 400);
+  }
+  const assignees = [
+    ...current.filter((id) => id !== idString(fromUserId) && id !== idString(toUserId)),
+    idString(toUserId),
+  ];
+
+  if (itemType === 'card') {
+    await cardService.updateCard(itemId, { assignees }, user);
+  } else {
+    await Model.updateOne({ _id: itemId }, { $set: { assignees } });
+
+    const [fromUser, toUser] = await Promise.all([
+      User.findById(fromUserId).select('name').lean(),
+      User.findById(toUserId).select('name').lean(),
+    ]);
+    await Activity.create({
+      type: 'member_added',
+      description: `Reassigned from ${fromUser?.name || 'a former assignee'} to ${toUser?.name || 'a new assignee'}`,
+      user: user.id,
+      board: item.board,
+      card: item.task,
+      subtask: itemType === 'subtask' ? item._id : item.subtask,
+      nanoSubtask: itemType === 'nano' ? item._id : undefined,
+      contextType: itemType === 'subtask' ? 'subtask' : 'nanoSubtask',
+    });
+
+    const boardId = idString(item.board);
+    emitToUser(idString(toUserId), 'user:project-access-changed', { action: 'added', boardId, source: itemType });
+    emitToUser(idString(fromUserId), 'user:project-access-changed', { action: 'removed', boardId, source: itemType });
+  }
+
+  const leaveConflicts = await findLeaveConflicts({ userIds: [toUserId], date: item.dueDate });
+  return { itemType, itemId, assignees, leaveConflicts };
+};
+
+export default {
+  availableMinutes,
+  remainingMinutes,
+  spreadItem,
+  getCapacityProfiles,
+  getUserCapacity,
+  updateUserCapacity,
+  buildWorkload,
+  reassignItem,
+};
@@ -0,0 +1,199 @@
+/**
+ * API Token Service
+ *
+ * Personal access tokens and service API keys for scripts and integrations.
+ *
+ *  - personal  any user, for themselves; listed and revoked by their owner
+ *  - service   created by admins for integrations; any admin can list,
+ *              rotate and revoke them
+ *
+ * Either kind acts as the user it belongs to, narrowed to its scopes, and
+ * only on the stable endpoints (services/publicApi/stableEndpoints.js). Only
+ * the sha256 of a token is stored; the plain value is returned once, from
+ * create or rotate.
+ */
+
+import crypto from 'crypto';
+import { LRUCache } from 'lru-cache';
+import config from '../../config/index.js';
+import ApiToken, { API_TOKEN_SCOPES } from '../../models/ApiToken.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_PREFIXES = { personal: 'ftp_', service: 'fts_' };
+const API_TOKEN_PATTERN = /^ft[ps]_[A-Za-z0-9_-]{43}$/;
+
+// tokenHash → resolved token; see config.apiTokens.cacheTtlMs
+const tokenCache = new LRUCache({
+  max: config.authCache.maxSize,
+  ttl: config.apiTokens.cacheTtlMs,
+});
+
+/* ── Tokens ── */
+
+export const hashApiToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/** Whether a bearer value looks like an API token rather than a session JWT */
+export const isApiToken = (value) => API_TOKEN_PATTERN.test(String(value || ''));
+
+const generateApiToken = (kind) => {
+  const token = `${TOKEN_PREFIXES[kind]}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, tokenHash: hashApiToken(token), tokenHint: token.slice(-6) };
+};
+
+const isAdmin = (user) =>
+  user?.role === 'admin' || Boolean(user?.roleId?.permissions?.canManageSystem);
+
+export const defaultRateLimit = (kind) => (kind === 'service'
+  ? config.rateLimit.apiToken.serviceMaxRequests
+  : config.rateLimit.apiToken.personalMaxRequests);
+
+/** Tokens the user may manage: their own, and every service key for admins */
+const manageableFilter = (user) => (isAdmin(user)
+  ? { $or: [{ user: user._id }, { kind: 'service' }] }
+  : { user: user._id });
+
+/* ── Token management ── */
+
+/**
+ * @param {Object} user - req.user
+ * @param {Object} [options]
+ * @param {'personal'|'service'} [options.kind] - Service keys are listed for admins only
+ */
+export const listApiTokens = (user, { kind = 'personal' } = {}) => {
+  if (kind === 'service' && !isAdmin(user)) {
+    throw new ErrorResponse('Only admins can manage service API keys', 403);
+  }
+  const filter = kind === 'service'
+    ? { kind: 'service', revokedAt: null }
+    : { user: user._id, kind: 'personal', revokedAt: null };
+
+  return ApiToken.find(filter)
+    .populate('user', 'name email avatar')
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Create a token. Service keys belong to the admin creating them and act
+ * with that admin's access.
+ */
+export const createApiToken = async (user, { name, kind = 'personal', scopes, expiresInDays, rateLimit } = {}) => {
+  const { maxPerUser, defaultLifetimeDays, maxLifetimeDays } = config.apiTokens;
+
+  if (kind === 'service' && !isAdmin(user)) {
+    throw new ErrorResponse('Only admins can create service API keys', 403);
+  }
+
+  const granted = [...new Set((scopes || []).filter((scope) => API_TOKEN_SCOPES.includes(scope)))];
+  if (granted.length === 0) {
+    throw new ErrorResponse('Grant at least one scope', 400);
+  }
+
+  const lifetimeDays = expiresInDays ?? Math.min(defaultLifetimeDays, maxLifetimeDays);
+  if (lifetimeDays < 1 || lifetimeDays > maxLifetimeDays) {
+    throw new ErrorResponse(`Tokens must expire within 1 to ${maxLifetimeDays} days`, 400);
+  }
+
+  const limit = rateLimit ?? defaultRateLimit(kind);
+  const maxLimit = isAdmin(user) ? config.rateLimit.apiToken.ceiling : defaultRateLimit('personal');
+  if (limit < 1 || limit > maxLimit) {
+    throw new ErrorResponse(`Rate limit must be between 1 and ${maxLimit} requests per minute`, 400);
+  }
+
+  const active = await ApiToken.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (active >= maxPerUser) {
+    throw new ErrorResponse(`You can have at most ${maxPerUser} active tokens. Revoke one first`, 400);
+  }
+
+  const { token, tokenHash, tokenHint } = generateApiToken(kind);
+  const created = await ApiToken.create({
+    name: name.trim(),
+    kind,
+    user: user._id,
+    tokenHash,
+    tokenHint,
+    scopes: granted,
+    rateLimit: limit,
+    expiresAt: new Date(Date.now() + lifetimeDays * DAY_MS),
+    createdBy: user._id,
+  });
+  const { tokenHash: _omit, ...safe } = created.toObject();
+  return { apiToken: safe, token };
+};
+
+/**
+ * Issue a new secret for a token, keeping its name, scopes and expiry. The
+ * old secret stops working at once on this instance and within the cache TTL
+ * elsewhere.
+ */
+export const rotateApiToken = async (user, tokenId) => {
+  const existing = await ApiToken.findOne({ _id: tokenId, revokedAt: null, ...manageableFilter(user) })
+    .select('+tokenHash kind')
+    .lean();
+  if (!existing) throw new ErrorResponse('API token not found', 404);
+
+  const { token, tokenHash, tokenHint } = generateApiToken(existing.kind);
+  const apiToken = await ApiToken.findByIdAndUpdate(
+    existing._id,
+    { tokenHash, tokenHint, lastUsedAt: null, lastUsedIp: null },
+    { new: true }
+  ).lean();
+  tokenCache.delete(existing.tokenHash);
+  return { apiToken, token };
+};
+
+export const revokeApiToken = async (user, tokenId) => {
+  const apiToken = await ApiToken.findOneAndUpdate(
+    { _id: tokenId, revokedAt: null, ...manageableFilter(user) },
+    { revokedAt: new Date(), revokedBy: user._id },
+    { new: true }
+  ).select('+tokenHash').lean();
+  if (!apiToken) throw new ErrorResponse('API token not found', 404);
+  tokenCache.delete(apiToken.tokenHash);
+  const { tokenHash: _omit, ...safe } = apiToken;
+  return safe;
+};
+
+/* ── Authentication ── */
+
+/**
+ * Look up an active, unexpired token by its plain value.
+ * Returns { id, user, kind, scopes, rateLimit, expiresAt, lastUsedAt } or null.
+ */
+export const resolveApiToken = async (token) => {
+  if (!isApiToken(token)) return null;
+  const tokenHash = hashApiToken(token);
+
+  let resolved = tokenCache.get(tokenHash);
+  if (!resolved) {
+    const record = await ApiToken.findOne({ tokenHash, revokedAt: null })
+      .select('user kind scopes rateLimit expiresAt lastUsedAt')
+      .lean();
+    if (!record) return null;
+    resolved = {
+      id: record._id.toString(),
+      user: record.user.toString(),
+      kind: record.kind,
+      scopes: record.scopes,
+      rateLimit: record.rateLimit || defaultRateLimit(record.kind),
+      expiresAt: record.expiresAt,
+      lastUsedAt: record.lastUsedAt,
+    };
+    tokenCache.set(tokenHash, resolved);
+  }
+
+  return resolved.expiresAt > new Date() ? resolved : null;
+};
+
+/** Record use of a token, at most once per touch interval */
+export const touchApiToken = (resolved, ip) => {
+  const now = new Date();
+  if (resolved.lastUsedAt && now - resolved.lastUsedAt < config.apiTokens.lastUsedTouchIntervalMs) return;
+  resolved.lastUsedAt = now;
+  ApiToken.updateOne({ _id: resolved.id }, { lastUsedAt: now, lastUsedIp: ip || null }).catch(() => {});
+};
+
+export const tokenHasScope = (resolved, scope) => Boolean(resolved?.scopes.includes(scope));
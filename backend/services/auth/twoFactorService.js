@@ -0,0 +1,374 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30 s steps) enrollment and verification,
+ * single-use recovery codes, remember-this-device tokens and the admin policy
+ * that decides who must enroll.
+ *
+ *  - TOTP secrets are AES-256-GCM encrypted at rest.
+ *  - Recovery codes and device tokens are stored as sha256 hashes only.
+ *  - A verified time step is remembered so a code cannot be replayed.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import config from '../../config/index.js';
+import User from '../../models/User.js';
+import SecurityPolicy from '../../models/SecurityPolicy.js';
+import UserPermission, { FINANCE_PAGE_KEY, normalizePermissionRole } from '../../models/UserPermission.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { invalidateAuthCache } from '../../middleware/authMiddleware.js';
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+const MAX_TRUSTED_DEVICES = 10;
+const POLICY_CACHE_MS = 30 * 1000;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TWO_FACTOR_TOKEN_PURPOSES = Object.freeze({
+  CHALLENGE: '2fa_challenge',
+  SETUP: '2fa_setup',
+});
+
+const SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.trustedDevices',
+].join(' ');
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/* ── Base32 / TOTP ── */
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(binary).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Check a TOTP code against a base32 secret.
+ * @returns {number|null} the matched time step, or null
+ */
+export const verifyTotp = (secret, code, { lastUsedStep = -1, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidate = step + drift;
+    if (candidate <= lastUsedStep) continue;
+    const expected = Buffer.from(generateHotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return candidate;
+  }
+  return null;
+};
+
+/* ── Secret encryption ── */
+
+const encryptionKey = () => crypto.createHash('sha256').update(String(config.twoFactor.encryptionKey)).digest();
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/* ── Intermediate login tokens ── */
+
+/**
+ * Short-lived JWT for the step between password and second factor. `protect`
+ * rejects any token carrying a `purpose`, so these never act as sessions.
+ */
+export const signTwoFactorToken = (userId, purpose) => jwt.sign(
+  { id: userId.toString(), purpose },
+  config.jwt.secret,
+  { expiresIn: purpose === TWO_FACTOR_TOKEN_PURPOSES.SETUP ? config.twoFactor.setupExpiresIn : config.twoFactor.challengeExpiresIn }
+);
+
+export const verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), config.jwt.secret);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/* ── Policy ── */
+
+let policyCache = null;
+
+export const getPolicy = async () => {
+  if (policyCache && policyCache.expiresAt > Date.now()) return policyCache.value;
+  const policy = await SecurityPolicy.getPolicy();
+  const value = {
+    requiredRoles: policy.twoFactor?.requiredRoles || [],
+    requireForFinanceAccess: Boolean(policy.twoFactor?.requireForFinanceAccess),
+    updatedAt: policy.updatedAt,
+  };
+  policyCache = { value, expiresAt: Date.now() + POLICY_CACHE_MS };
+  return value;
+};
+
+export const updatePolicy = async ({ requiredRoles, requireForFinanceAccess }, adminId) => {
+  const update = { updatedBy: adminId };
+  if (Array.isArray(requiredRoles)) {
+    update['twoFactor.requiredRoles'] = [...new Set(requiredRoles.map((role) => String(role).toLowerCase().trim()).filter(Boolean))];
+  }
+  if (typeof requireForFinanceAccess === 'boolean') {
+    update['twoFactor.requireForFinanceAccess'] = requireForFinanceAccess;
+  }
+  await SecurityPolicy.getPolicy();
+  await SecurityPolicy.updateOne({ key: 'global' }, { $set: update });
+  policyCache = null;
+  return getPolicy();
+};
+
+const hasFinanceAccess = async (user) => {
+  const role = normalizePermissionRole(user.role);
+  if (role === 'admin') return true;
+  const permissions = await UserPermission.getPagePermissions(user._id || user.id, role, FINANCE_PAGE_KEY);
+  return Boolean(permissions?.hasAccess);
+};
+
+/** Whether the admin policy obliges this user to use two-factor sign-in. */
+export const isTwoFactorRequired = async (user) => {
+  const policy = await getPolicy();
+  if (policy.requiredRoles.includes(String(user.role || '').toLowerCase())) return true;
+  return policy.requireForFinanceAccess ? hasFinanceAccess(user) : false;
+};
+
+/* ── Enrollment ── */
+
+const loadUserWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw new ErrorResponse('User not found', 404);
+  return user;
+};
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+/**
+ * Start (or restart) enrollment. The secret stays pending until the user
+ * proves their authenticator works via `confirmEnrollment`.
+ */
+export const beginEnrollment = async (userId) => {
+  const user = await loadUserWithSecrets(userId);
+  if (user.twoFactor?.enabled) throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  const issuer = config.twoFactor.issuer;
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/** @returns {Promise<string[]>} plain recovery codes, shown to the user once */
+export const confirmEnrollment = async (userId, code) => {
+  const user = await loadUserWithSecrets(userId);
+  if (user.twoFactor?.enabled) throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+  if (!user.twoFactor?.pendingSecret) throw new ErrorResponse('Start two-factor setup first', 400);
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) throw new ErrorResponse('Invalid authentication code', 400);
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map((plain) => ({ codeHash: sha256(normalizeRecoveryCode(plain)) }));
+  user.twoFactor.trustedDevices = [];
+  await user.save({ validateBeforeSave: false });
+  invalidateAuthCache(userId);
+
+  return recoveryCodes;
+};
+
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { twoFactor: { enabled: false, enabledAt: null, recoveryCodes: [], trustedDevices: [] } } }
+  );
+  invalidateAuthCache(userId);
+};
+
+export const regenerateRecoveryCodes = async (userId) => {
+  const user = await loadUserWithSecrets(userId);
+  if (!user.twoFactor?.enabled) throw new ErrorResponse('Two-factor authentication is not enabled', 400);
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map((plain) => ({ codeHash: sha256(normalizeRecoveryCode(plain)) }));
+  await user.save({ validateBeforeSave: false });
+  return recoveryCodes;
+};
+
+/* ── Verification ── */
+
+/**
+ * Verify a TOTP code or a recovery code for an enrolled user. Recovery codes
+ * are consumed on use.
+ * @returns {Promise<{ method: 'totp'|'recovery', recoveryCodesRemaining: number }>}
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await loadUserWithSecrets(userId);
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+    throw new ErrorResponse('Two-factor authentication is not enabled', 400);
+  }
+  const codes = user.twoFactor.recoveryCodes || [];
+
+  // Codes are consumed with conditional updates, so two concurrent sign-ins
+  // cannot both use the same recovery code or TOTP step
+  if (recoveryCode) {
+    const hash = sha256(normalizeRecoveryCode(recoveryCode));
+    const consumed = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.enabled': true,
+        'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hash, usedAt: null } },
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    if (consumed.modifiedCount === 0) throw new ErrorResponse('Invalid recovery code', 401);
+    return {
+      method: 'recovery',
+      recoveryCodesRemaining: codes.filter((entry) => !entry.usedAt && entry.codeHash !== hash).length,
+    };
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+    lastUsedStep: user.twoFactor.lastUsedStep ?? -1,
+  });
+  if (step === null) throw new ErrorResponse('Invalid authentication code', 401);
+  const claimed = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.enabled': true,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (claimed.modifiedCount === 0) throw new ErrorResponse('Invalid authentication code', 401);
+  return { method: 'totp', recoveryCodesRemaining: codes.filter((entry) => !entry.usedAt).length };
+};
+
+/* ── Trusted devices ── */
+
+/** @returns {Promise<string>} plain device token for the client to keep */
+export const trustDevice = async (userId, label = '') => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const user = await loadUserWithSecrets(userId);
+  const now = Date.now();
+  const devices = (user.twoFactor.trustedDevices || [])
+    .filter((device) => device.expiresAt.getTime() > now)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, MAX_TRUSTED_DEVICES - 1);
+
+  devices.unshift({
+    tokenHash: sha256(token),
+    label: String(label).slice(0, 200),
+    expiresAt: new Date(now + config.twoFactor.trustedDeviceDays * 24 * 60 * 60 * 1000),
+  });
+  user.twoFactor.trustedDevices = devices;
+  await user.save({ validateBeforeSave: false });
+  return token;
+};
+
+export const isTrustedDevice = async (userId, token) => {
+  if (!token) return false;
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      'twoFactor.trustedDevices': { $elemMatch: { tokenHash: sha256(token), expiresAt: { $gt: new Date() } } },
+    },
+    { $set: { 'twoFactor.trustedDevices.$.lastUsedAt': new Date() } }
+  );
+  return result.matchedCount > 0;
+};
+
+export const revokeTrustedDevices = async (userId, deviceId = null) => {
+  const update = deviceId
+    ? { $pull: { 'twoFactor.trustedDevices': { _id: deviceId } } }
+    : { $set: { 'twoFactor.trustedDevices': [] } };
+  await User.updateOne({ _id: userId }, update);
+};
+
+/* ── Status ── */
+
+export const getStatus = async (user) => {
+  const full = await loadUserWithSecrets(user._id || user.id);
+  const now = Date.now();
+  return {
+    enabled: Boolean(full.twoFactor?.enabled),
+    enabledAt: full.twoFactor?.enabledAt || null,
+    required: await isTwoFactorRequired(full),
+    recoveryCodesRemaining: (full.twoFactor?.recoveryCodes || []).filter((entry) => !entry.usedAt).length,
+    trustedDevices: (full.twoFactor?.trustedDevices || [])
+      .filter((device) => device.expiresAt.getTime() > now)
+      .map(({ _id, label, createdAt, lastUsedAt, expiresAt }) => ({ _id, label, createdAt, lastUsedAt, expiresAt })),
+  };
+};
@@ -0,0 +1,672 @@
+/**
+ * Automation Service
+ *
+ * Per-project "when X happens, do Y" rules (models/AutomationRule.js).
+ *
+ * Card events are published by utils/automationHooks.js and evaluated on the
+ * 'flowtask.automation' queue (inline when Redis is unavailable). Due dates
+ * are not pushed by anyone, so a repeatable job scans for overdue cards.
+ *
+ * Actions run as the rule's creator through cardService, so they log activity,
+ * notify and emit to the board like a person's edit would — and publish their
+ * own card events, which may trigger further rules. Loop protection:
+ *  - a rule never runs twice in one chain (A → B → A is cut at the second A)
+ *  - chains stop at config.automation.maxChainDepth
+ *  - a rule runs at most config.automation.maxRunsPerCardPerHour times per card
+ * Every evaluation that matched, skipped ones included, lands in the
+ * execution log (models/AutomationExecution.js).
+ */
+
+import mongoose from 'mongoose';
+import AutomationRule, { AUTOMATION_ACTIONS, AUTOMATION_TRIGGERS } from '../../models/AutomationRule.js';
+import AutomationExecution from '../../models/AutomationExecution.js';
+import Board from '../../models/Board.js';
+import Card from '../../models/Card.js';
+import List from '../../models/List.js';
+import Label from '../../models/Label.js';
+import User from '../../models/User.js';
+import Subtask from '../../models/Subtask.js';
+import Comment from '../../models/Comment.js';
+import Activity from '../../models/Activity.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { emitToBoard } from '../../realtime/index.js';
+import cardService from '../domain/cardService.js';
+import notificationService from '../../utils/notificationService.js';
+import { refreshCardHierarchyStats } from '../../utils/hierarchyStats.js';
+import { enqueueAutomationEvent } from '../../queues/index.js';
+import { isQueueActive } from '../../queues/queueManager.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+// Overdue cards older than this are not picked up by a newly started scan;
+// kept well inside the execution log retention so a run is never repeated.
+const DUE_DATE_LOOKBACK_MS = 7 * 24 * ONE_HOUR_MS;
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const NOTIFICATION_RECIPIENTS = ['assignees', 'members', 'creator', 'users'];
+const CLOSED_STATUSES = ['done', 'closed'];
+
+/* ── Helpers ── */
+
+const toId = (value) => (value?._id || value)?.toString() || null;
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const canManageBoard = (board, actor) =>
+  toId(board.owner) === toId(actor) || ['admin', 'manager'].includes(actor.role);
+
+const totalMinutes = (entries = []) =>
+  entries.reduce((sum, entry) => sum + (Number(entry?.hours) || 0) * 60 + (Number(entry?.minutes) || 0), 0);
+
+const findBoardOr404 = async (boardId) => {
+  const board = isObjectId(boardId) ? await Board.findById(boardId).select('name owner department').lean() : null;
+  if (!board) throw new ErrorResponse('Project not found', 404);
+  return board;
+};
+
+export const findRuleOr404 = async (ruleId) => {
+  const rule = isObjectId(ruleId) ? await AutomationRule.findById(ruleId) : null;
+  if (!rule) throw new ErrorResponse('Automation rule not found', 404);
+  return rule;
+};
+
+const assertCanManage = (board, actor) => {
+  if (!canManageBoard(board, actor)) {
+    throw new ErrorResponse('Only the project owner, admins and managers can manage automations', 403);
+  }
+};
+
+/* ── Rule validation ── */
+
+const assertBoardDocument = async (Model, id, boardId, what) => {
+  if (!isObjectId(id) || !(await Model.exists({ _id: id, board: boardId }))) {
+    throw new ErrorResponse(`${what} does not belong to this project`, 400);
+  }
+  return id.toString();
+};
+
+const normalizeTrigger = async (trigger, boardId) => {
+  const type = trigger?.type;
+  if (!AUTOMATION_TRIGGERS.includes(type)) throw new ErrorResponse('Unknown trigger type', 400);
+  const input = trigger.config || {};
+
+  switch (type) {
+    case 'card_moved': {
+      const result = {};
+      if (input.toList) result.toList = await assertBoardDocument(List, input.toList, boardId, 'Destination list');
+      if (input.fromList) result.fromList = await assertBoardDocument(List, input.fromList, boardId, 'Source list');
+      return { type, config: result };
+    }
+    case 'label_added':
+      return {
+        type,
+        config: input.label ? { label: await assertBoardDocument(Label, input.label, boardId, 'Label') } : {},
+      };
+    case 'time_threshold_exceeded': {
+      const hours = Number(input.hours);
+      const percent = Number(input.percentOfEstimate);
+      if (input.hours != null && input.hours !== '' && hours > 0) return { type, config: { hours } };
+      if (input.percentOfEstimate != null && input.percentOfEstimate !== '' && percent > 0) {
+        return { type, config: { percentOfEstimate: percent } };
+      }
+      throw new ErrorResponse('Set a threshold in hours or as a percentage of the estimate', 400);
+    }
+    default:
+      return { type, config: {} };
+  }
+};
+
+const requireText = (value, what, max) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) throw new ErrorResponse(`${what} is required`, 400);
+  if (text.length > max) throw new ErrorResponse(`${what} cannot exceed ${max} characters`, 400);
+  return text;
+};
+
+const normalizeAction = async (action, boardId) => {
+  const type = action?.type;
+  if (!AUTOMATION_ACTIONS.includes(type)) throw new ErrorResponse('Unknown action type', 400);
+  const input = action.config || {};
+
+  switch (type) {
+    case 'assign_user':
+      if (!isObjectId(input.user) || !(await User.exists({ _id: input.user }))) {
+        throw new ErrorResponse('Choose a user to assign', 400);
+      }
+      return { type, config: { user: input.user.toString() } };
+    case 'move_to_list':
+      return { type, config: { list: await assertBoardDocument(List, input.list, boardId, 'List') } };
+    case 'set_status':
+      return { type, config: { status: requireText(input.status, 'Status', 50) } };
+    case 'add_label':
+      return { type, config: { label: await assertBoardDocument(Label, input.label, boardId, 'Label') } };
+    case 'post_comment':
+      return { type, config: { text: requireText(input.text, 'Comment text', 5000) } };
+    case 'create_subtask':
+      return {
+        type,
+        config: {
+          title: requireText(input.title, 'Subtask title', 200),
+          priority: PRIORITIES.includes(input.priority) ? input.priority : 'medium',
+        },
+      };
+    case 'send_notification': {
+      if (!NOTIFICATION_RECIPIENTS.includes(input.recipients)) {
+        throw new ErrorResponse('Choose who receives the notification', 400);
+      }
+      const users = input.recipients === 'users'
+        ? [...new Set((input.users || []).filter(isObjectId).map(String))]
+        : [];
+      if (input.recipients === 'users' && users.length === 0) {
+        throw new ErrorResponse('Choose at least one user to notify', 400);
+      }
+      return {
+        type,
+        config: { recipients: input.recipients, users, message: requireText(input.message, 'Notification message', 500) },
+      };
+    }
+    default:
+      return { type, config: {} };
+  }
+};
+
+const normalizeConditions = (conditions = {}) => ({
+  priorities: (conditions.priorities || []).filter((p) => [...PRIORITIES, 'none'].includes(p)),
+  assignees: (conditions.assignees || []).filter(isObjectId),
+  labels: (conditions.labels || []).filter(isObjectId),
+  labelMatch: conditions.labelMatch === 'all' ? 'all' : 'any',
+});
+
+const normalizeActions = async (actions, boardId) => {
+  if (!Array.isArray(actions) || actions.length === 0) throw new ErrorResponse('Add at least one action', 400);
+  if (actions.length > 10) throw new ErrorResponse('A rule can have at most 10 actions', 400);
+  const result = [];
+  for (const action of actions) result.push(await normalizeAction(action, boardId));
+  return result;
+};
+
+/* ── Rule CRUD ── */
+
+const populateRule = (query) => query
+  .populate('createdBy', 'name avatar')
+  .populate('updatedBy', 'name avatar');
+
+export async function listRulesForBoard(boardId) {
+  await findBoardOr404(boardId);
+  return populateRule(AutomationRule.find({ board: boardId }).sort({ createdAt: 1 })).lean();
+}
+
+export async function createRule(data, actor) {
+  const board = await findBoardOr404(data.boardId);
+  assertCanManage(board, actor);
+
+  const rule = await AutomationRule.create({
+    board: board._id,
+    name: data.name,
+    description: data.description,
+    isActive: data.isActive !== false,
+    trigger: await normalizeTrigger(data.trigger, board._id),
+    conditions: normalizeConditions(data.conditions),
+    actions: await normalizeActions(data.actions, board._id),
+    createdBy: actor.id,
+  });
+  return populateRule(AutomationRule.findById(rule._id)).lean();
+}
+
+export async function updateRule(ruleId, data, actor) {
+  const rule = await findRuleOr404(ruleId);
+  const board = await findBoardOr404(rule.board);
+  assertCanManage(board, actor);
+
+  if (data.name !== undefined) rule.name = data.name;
+  if (data.description !== undefined) rule.description = data.description;
+  if (data.isActive !== undefined) rule.isActive = Boolean(data.isActive);
+  if (data.trigger !== undefined) rule.trigger = await normalizeTrigger(data.trigger, board._id);
+  if (data.conditions !== undefined) rule.conditions = normalizeConditions(data.conditions);
+  if (data.actions !== undefined) rule.actions = await normalizeActions(data.actions, board._id);
+  rule.updatedBy = actor.id;
+  await rule.save();
+
+  return populateRule(AutomationRule.findById(rule._id)).lean();
+}
+
+export async function deleteRule(ruleId, actor) {
+  const rule = await findRuleOr404(ruleId);
+  const board = await findBoardOr404(rule.board);
+  assertCanManage(board, actor);
+  await rule.deleteOne();
+  return rule;
+}
+
+/**
+ * Execution log, newest first. Filter by `rule` or by `board`.
+ */
+export async function listExecutions({ rule, board }, { page = 1, limit = 50 } = {}) {
+  const filter = rule ? { rule } : { board };
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [executions, total] = await Promise.all([
+    AutomationExecution.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .populate('card', 'title')
+      .populate('triggeredBy', 'name avatar')
+      .lean(),
+    AutomationExecution.countDocuments(filter),
+  ]);
+
+  return { executions, pagination: { page: safePage, limit: safeLimit, total } };
+}
+
+/* ── Publishing ── */
+
+/**
+ * Queue a card event for the board's active rules. Cheap no-op when the board
+ * has no rule for this trigger, so hooks can call it on every change.
+ *
+ * @param {string} trigger - One of AUTOMATION_TRIGGERS
+ * @param {object} event
+ * @param {string} event.boardId
+ * @param {string} event.cardId
+ * @param {object} [event.actor] - req.user, or the automation actor when a rule caused the change
+ * @param {object} [event.data] - Trigger-specific details (lists, label ids, minutes…)
+ */
+export async function publishAutomationEvent(trigger, { boardId, cardId, actor, data = {} }) {
+  try {
+    if (!boardId || !cardId) return;
+    const hasRules = await AutomationRule.exists({ board: boardId, isActive: true, 'trigger.type': trigger });
+    if (!hasRules) return;
+
+    const event = {
+      trigger,
+      boardId: toId(boardId),
+      cardId: toId(cardId),
+      data,
+      actorId: toId(actor),
+      chain: actor?.automation || { depth: 0, ruleIds: [] },
+    };
+
+    if (isQueueActive()) {
+      try {
+        await enqueueAutomationEvent(event);
+        return;
+      } catch (err) {
+        logger.warn('Automation: enqueue failed, evaluating inline', { trigger, error: err.message });
+      }
+    }
+
+    // No Redis: evaluate off the request path
+    setImmediate(() => {
+      processAutomationEvent(event).catch((err) =>
+        logger.error('Automation: inline evaluation error', { trigger, error: err.message })
+      );
+    });
+  } catch (err) {
+    logger.error('Automation: failed to publish event', { trigger, error: err.message });
+  }
+}
+
+/* ── Matching ── */
+
+const matchesTrigger = async (rule, event, card) => {
+  const triggerConfig = rule.trigger.config || {};
+  const { data = {} } = event;
+
+  switch (rule.trigger.type) {
+    case 'card_moved':
+      if (triggerConfig.toList && triggerConfig.toList !== toId(data.toList)) return false;
+      if (triggerConfig.fromList && triggerConfig.fromList !== toId(data.fromList)) return false;
+      return true;
+    case 'label_added':
+      return !triggerConfig.label || (data.labelIds || []).includes(triggerConfig.label);
+    case 'time_threshold_exceeded': {
+      const threshold = triggerConfig.hours
+        ? triggerConfig.hours * 60
+        : (totalMinutes(card.estimationTime) * (triggerConfig.percentOfEstimate || 0)) / 100;
+      if (!threshold) return false;
+      return data.previousMinutes < threshold && data.currentMinutes >= threshold;
+    }
+    case 'due_date_passed': {
+      // Only due dates that passed while the rule was active, and only once each
+      const dueDate = card.dueDate ? new Date(card.dueDate) : null;
+      if (!dueDate || dueDate.toISOString() !== data.dueDate || dueDate < rule.createdAt) return false;
+      const alreadyRan = await AutomationExecution.exists({ rule: rule._id, card: card._id, dedupeKey: data.dueDate });
+      return !alreadyRan;
+    }
+    default:
+      return true;
+  }
+};
+
+const matchesConditions = (rule, card) => {
+  const { priorities = [], assignees = [], labels = [], labelMatch } = rule.conditions || {};
+
+  if (priorities.length && !priorities.includes(card.priority || 'none')) return false;
+
+  if (assignees.length) {
+    const cardAssignees = (card.assignees || []).map(toId);
+    if (!assignees.some((id) => cardAssignees.includes(toId(id)))) return false;
+  }
+
+  if (labels.length) {
+    const cardLabels = (card.labels || []).map(toId);
+    const wanted = labels.map(toId);
+    const matches = labelMatch === 'all'
+      ? wanted.every((id) => cardLabels.includes(id))
+      : wanted.some((id) => cardLabels.includes(id));
+    if (!matches) return false;
+  }
+
+  return true;
+};
+
+const skipReasonFor = async (rule, event, card) => {
+  const { depth = 0, ruleIds = [] } = event.chain || {};
+  if (ruleIds.includes(rule._id.toString())) return 'loop_detected';
+  if (depth >= config.automation.maxChainDepth) return 'depth_exceeded';
+
+  const recentRuns = await AutomationExecution.countDocuments({
+    rule: rule._id,
+    card: card._id,
+    status: { $ne: 'skipped' },
+    createdAt: { $gte: new Date(Date.now() - ONE_HOUR_MS) },
+  });
+  if (recentRuns >= config.automation.maxRunsPerCardPerHour) return 'rate_limited';
+
+  return null;
+};
+
+/* ── Actions ── */
+
+const loadCard = (cardId) => Card.findById(cardId)
+  .select('title board list status priority assignees members labels createdBy dueDate estimationTime loggedTime isArchived')
+  .lean();
+
+const ACTION_HANDLERS = {
+  async assign_user(card, { user }, actor) {
+    const assignees = (card.assignees || []).map(toId);
+    if (assignees.includes(user)) return 'Already assigned';
+    await cardService.updateCard(card._id, { assignees: [...assignees, user] }, actor);
+    const assignee = await User.findById(user).select('name').lean();
+    return `Assigned ${assignee?.name || 'user'}`;
+  },
+
+  async move_to_list(card, { list }, actor) {
+    if (toId(card.list) === list) return 'Already in list';
+    const destination = await List.findOne({ _id: list, board: card.board }).select('title').lean();
+    if (!destination) throw new Error('List no longer exists');
+    const position = await Card.countDocuments({ list, isArchived: { $ne: true } });
+    await cardService.moveCard(card._id, list, position, actor);
+    return `Moved to "${destination.title}"`;
+  },
+
+  async set_status(card, { status }, actor) {
+    if (card.status === status) return 'Status unchanged';
+    await cardService.updateCard(card._id, { status }, actor);
+    return `Status set to "${status}"`;
+  },
+
+  async add_label(card, { label }, actor) {
+    const labels = (card.labels || []).map(toId);
+    if (labels.includes(label)) return 'Label already present';
+    const labelDoc = await Label.findOne({ _id: label, board: card.board }).select('name').lean();
+    if (!labelDoc) throw new Error('Label no longer exists');
+    await cardService.updateCard(card._id, { labels: [...labels, label] }, actor);
+    return `Added label "${labelDoc.name}"`;
+  },
+
+  async post_comment(card, { text }, actor) {
+    const comment = await Comment.create({
+      text,
+      htmlContent: `<p>${text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`,
+      user: actor.id,
+      card: card._id,
+      contextType: 'card',
+      contextRef: card._id,
+    });
+
+    await Activity.create({
+      type: 'comment_added',
+      description: `Added a new comment (${actor.name})`,
+      user: actor.id,
+      board: card.board,
+      card: card._id,
+      contextType: 'card',
+    });
+
+    const populated = await Comment.findById(comment._id).populate('user', 'name avatar').lean();
+    emitToBoard(card.board.toString(), 'comment-added', {
+      cardId: card._id,
+      contextType: 'card',
+      contextRef: card._id,
+      comment: populated,
+    });
+    return 'Comment posted';
+  },
+
+  async create_subtask(card, { title, priority }, actor) {
+    const [order, board] = await Promise.all([
+      Subtask.countDocuments({ task: card._id }),
+      Board.findById(card.board).select('name').lean(),
+    ]);
+    const subtask = await Subtask.create({
+      task: card._id,
+      board: card.board,
+      title,
+      priority,
+      order,
+      createdBy: actor.id,
+      breadcrumbs: { project: board?.name || '', task: card.title || '' },
+    });
+
+    await Activity.create({
+      type: 'subtask_created',
+      description: `Created subtask "${title}" (${actor.name})`,
+      user: actor.id,
+      board: card.board,
+      card: card._id,
+      subtask: subtask._id,
+      contextType: 'subtask',
+      metadata: { subtaskTitle: title, title },
+    });
+
+    await refreshCardHierarchyStats(card._id);
+    const updatedCard = await Card.findById(card._id).select('subtaskStats').lean();
+    emitToBoard(card.board.toString(), 'hierarchy-subtask-changed', {
+      type: 'created',
+      taskId: card._id,
+      subtask,
+      subtaskStats: updatedCard?.subtaskStats || null,
+    });
+    return `Created subtask "${title}"`;
+  },
+
+  async send_notification(card, { recipients, users = [], message }, actor, rule) {
+    const recipientIds = {
+      assignees: (card.assignees || []).map(toId),
+      members: [...new Set([...(card.assignees || []), ...(card.members || [])].map(toId))],
+      creator: [toId(card.createdBy)].filter(Boolean),
+      users,
+    }[recipients] || [];
+    const board = await Board.findById(card.board).select('name department').lean();
+
+    await Promise.all(recipientIds.map((user) => notificationService.createNotification({
+      type: 'automation_alert',
+      title: rule.name,
+      message: `${message} — "${card.title}"`,
+      user,
+      sender: actor.id,
+      relatedCard: card._id,
+      relatedBoard: card.board,
+      entityId: card._id,
+      entityType: 'Card',
+      action: 'automation',
+      departmentId: board?.department,
+      projectId: card.board,
+      taskId: card._id,
+      metadata: { projectName: board?.name, cardTitle: card.title, ruleId: rule._id },
+    })));
+    return `Notified ${recipientIds.length} user${recipientIds.length === 1 ? '' : 's'}`;
+  },
+};
+
+/* ── Evaluation ── */
+
+const recordExecution = async (rule, event, card, fields) => {
+  const execution = await AutomationExecution.create({
+    rule: rule._id,
+    ruleName: rule.name,
+    board: rule.board,
+    card: card._id,
+    trigger: event.trigger,
+    eventData: event.data || null,
+    triggeredBy: event.actorId || null,
+    depth: event.chain?.depth || 0,
+    chain: event.chain?.ruleIds || [],
+    ...fields,
+  });
+
+  await AutomationRule.updateOne({ _id: rule._id }, {
+    $set: { 'stats.lastExecutedAt': execution.createdAt, 'stats.lastStatus': execution.status },
+    ...(execution.status !== 'skipped' ? { $inc: { 'stats.executionCount': 1 } } : {}),
+  });
+  return execution;
+};
+
+const runRule = async (rule, event, card) => {
+  const skipReason = await skipReasonFor(rule, event, card);
+  if (skipReason) {
+    logger.warn('Automation: rule skipped', { rule: rule._id.toString(), card: card._id.toString(), skipReason });
+    return recordExecution(rule, event, card, { status: 'skipped', skipReason });
+  }
+
+  const startedAt = Date.now();
+  const chain = event.chain || { depth: 0, ruleIds: [] };
+  const actor = {
+    id: rule.createdBy.toString(),
+    name: `Automation: ${rule.name}`,
+    automation: { depth: (chain.depth || 0) + 1, ruleIds: [...(chain.ruleIds || []), rule._id.toString()] },
+  };
+
+  const results = [];
+  let current = card;
+  for (const action of rule.actions) {
+    try {
+      const detail = await ACTION_HANDLERS[action.type](current, action.config || {}, actor, rule);
+      results.push({ type: action.type, ok: true, detail });
+    } catch (err) {
+      results.push({ type: action.type, ok: false, detail: err.message });
+    }
+    // Later actions see the card as the earlier ones left it
+    current = (await loadCard(card._id)) || current;
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  const status = failed === 0 ? 'success' : failed === results.length ? 'failed' : 'partial';
+
+  return recordExecution(rule, event, card, {
+    status,
+    actions: results,
+    dedupeKey: event.trigger === 'due_date_passed' ? event.data?.dueDate : null,
+    durationMs: Date.now() - startedAt,
+  });
+};
+
+/**
+ * Evaluate every active rule of the event's board and trigger type against
+ * the card. Called by the automation worker, or inline without Redis.
+ *
+ * @returns {Promise<{ matched: number }>}
+ */
+export async function processAutomationEvent(event) {
+  const rules = await AutomationRule.find({ board: event.boardId, isActive: true, 'trigger.type': event.trigger })
+    .sort({ createdAt: 1 });
+  if (!rules.length) return { matched: 0 };
+
+  const card = await loadCard(event.cardId);
+  if (!card || card.isArchived || toId(card.board) !== event.boardId) return { matched: 0 };
+
+  let matched = 0;
+  for (const rule of rules) {
+    try {
+      if (!(await matchesTrigger(rule, event, card)) || !matchesConditions(rule, card)) continue;
+      matched += 1;
+      await runRule(rule, event, card);
+    } catch (err) {
+      logger.error('Automation: rule evaluation failed', { rule: rule._id.toString(), error: err.message });
+    }
+  }
+  return { matched };
+}
+
+/**
+ * Fire "due date passed" rules for open cards whose due date has passed.
+ * Each (rule, card, due date) runs once; moving the due date re-arms it.
+ */
+export async function scanDueDates(now = new Date()) {
+  const rules = await AutomationRule.find({ isActive: true, 'trigger.type': 'due_date_passed' })
+    .select('board createdAt')
+    .lean();
+  if (!rules.length) return { cards: 0 };
+
+  // Earliest due date worth checking per board
+  const sinceByBoard = new Map();
+  for (const rule of rules) {
+    const since = new Date(Math.max(rule.createdAt.getTime(), now.getTime() - DUE_DATE_LOOKBACK_MS));
+    const boardId = rule.board.toString();
+    if (!sinceByBoard.has(boardId) || since < sinceByBoard.get(boardId)) sinceByBoard.set(boardId, since);
+  }
+
+  let cards = 0;
+  for (const [boardId, since] of sinceByBoard) {
+    const overdue = await Card.find({
+      board: boardId,
+      isArchived: { $ne: true },
+      status: { $nin: CLOSED_STATUSES },
+      dueDate: { $gte: since, $lte: now },
+    }).select('_id dueDate').lean();
+
+    for (const card of overdue) {
+      cards += 1;
+      await processAutomationEvent({
+        trigger: 'due_date_passed',
+        boardId,
+        cardId: card._id.toString(),
+        data: { dueDate: card.dueDate.toISOString() },
+        actorId: null,
+        chain: { depth: 0, ruleIds: [] },
+      }).catch((err) => logger.error('Automation: due date evaluation failed', { card: card._id.toString(), error: err.message }));
+    }
+  }
+  return { cards };
+}
+
+/**
+ * Everything the rule builder needs to render its pickers.
+ */
+export const getAutomationMeta = () => ({
+  triggers: AUTOMATION_TRIGGERS,
+  actions: AUTOMATION_ACTIONS,
+  priorities: [...PRIORITIES, 'none'],
+  notificationRecipients: NOTIFICATION_RECIPIENTS,
+  limits: {
+    maxChainDepth: config.automation.maxChainDepth,
+    maxRunsPerCardPerHour: config.automation.maxRunsPerCardPerHour,
+  },
+});
+
+export default {
+  findRuleOr404,
+  listRulesForBoard,
+  createRule,
+  updateRule,
+  deleteRule,
+  listExecutions,
+  publishAutomationEvent,
+  processAutomationEvent,
+  scanDueDates,
+  getAutomationMeta,
+};
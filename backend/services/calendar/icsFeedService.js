@@ -0,0 +1,351 @@
+/**
+ * iCalendar Feed Service
+ *
+ * Per-user, token-authenticated .ics subscription feeds for Outlook, Google
+ * Calendar and Apple Calendar. A feed can carry three event sources:
+ *
+ *  - tasks       cards assigned to the feed owner (start → due span)
+ *  - reminders   client reminders (admins and managers only, as in the app)
+ *  - milestones  project milestone due dates
+ *
+ * Every source is scoped to the projects the owner can currently see, then
+ * narrowed by the feed's department / project filters. Scope is evaluated on
+ * each fetch, so losing access to a project removes it from the feed too.
+ */
+
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import CalendarFeed, { CALENDAR_FEED_SOURCES } from '../../models/CalendarFeed.js';
+import Card from '../../models/Card.js';
+import Reminder from '../../models/Reminder.js';
+import Milestone from '../../models/Milestone.js';
+import User from '../../models/User.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { getAccessibleBoardIds } from '../permissionService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAST_WINDOW_DAYS = 90;
+const FUTURE_WINDOW_DAYS = 365;
+const MAX_EVENTS_PER_SOURCE = 2000;
+const REMINDER_DURATION_MS = 30 * 60 * 1000;
+const ACCESS_TOUCH_INTERVAL_MS = 15 * 60 * 1000;
+const REMINDER_ROLES = ['admin', 'manager'];
+
+/* ── Tokens ── */
+
+export const hashFeedToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateFeedToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashFeedToken(token), tokenHint: token.slice(-6) };
+};
+
+/* ── Feed management ── */
+
+const normalizeSources = (sources) => {
+  const picked = (sources || []).filter((source) => CALENDAR_FEED_SOURCES.includes(source));
+  return picked.length ? [...new Set(picked)] : [...CALENDAR_FEED_SOURCES];
+};
+
+export const listFeeds = (userId) =>
+  CalendarFeed.find({ user: userId, revokedAt: null })
+    .populate('departments', 'name')
+    .populate('projects', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+
+/**
+ * Create a feed. The plain token is only ever returned here and from
+ * `rotateFeedToken`; afterwards only its hash exists.
+ */
+export const createFeed = async (userId, { name, departments = [], projects = [], sources } = {}) => {
+  const { token, tokenHash, tokenHint } = generateFeedToken();
+  const feed = await CalendarFeed.create({
+    user: userId,
+    name: name?.trim() || 'FlowTask calendar',
+    tokenHash,
+    tokenHint,
+    departments,
+    projects,
+    sources: normalizeSources(sources),
+  });
+  const { tokenHash: _omit, ...safe } = feed.toObject();
+  return { feed: safe, token };
+};
+
+export const rotateFeedToken = async (userId, feedId) => {
+  const { token, tokenHash, tokenHint } = generateFeedToken();
+  const feed = await CalendarFeed.findOneAndUpdate(
+    { _id: feedId, user: userId, revokedAt: null },
+    { tokenHash, tokenHint },
+    { new: true }
+  ).lean();
+  if (!feed) throw new ErrorResponse('Calendar feed not found', 404);
+  return { feed, token };
+};
+
+export const revokeFeed = async (userId, feedId) => {
+  const feed = await CalendarFeed.findOneAndUpdate(
+    { _id: feedId, user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  ).lean();
+  if (!feed) throw new ErrorResponse('Calendar feed not found', 404);
+  return feed;
+};
+
+/**
+ * Look up an active feed and its (active) owner by plain token.
+ * Returns null for unknown, revoked or orphaned feeds.
+ */
+export const resolveFeed = async (token) => {
+  if (!/^[a-f0-9]{64}$/.test(String(token || ''))) return null;
+
+  const feed = await CalendarFeed.findOne({ tokenHash: hashFeedToken(token), revokedAt: null }).lean();
+  if (!feed) return null;
+
+  const user = await User.findById(feed.user).select('-password').populate('roleId').lean();
+  if (!user || !user.isActive) return null;
+
+  if (!feed.lastAccessedAt || Date.now() - feed.lastAccessedAt.getTime() > ACCESS_TOUCH_INTERVAL_MS) {
+    CalendarFeed.updateOne({ _id: feed._id }, { lastAccessedAt: new Date() }).catch(() => {});
+  }
+
+  return { feed, user: { ...user, id: user._id.toString() } };
+};
+
+/* ── RFC 5545 serialisation ── */
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const stripHtml = (html = '') => String(html)
+  .replace(/<br\s*\/?>|<\/p>|<\/li>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/** Fold content lines at 75 octets without splitting multi-byte characters. */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDate = (value) => {
+  const d = new Date(value);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+const formatDateTime = (value) => {
+  const d = new Date(value);
+  return `${formatDate(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+const buildEvent = ({ uid, summary, description, url, start, end, allDay, categories, updatedAt }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(updatedAt || new Date())}`,
+  ];
+  if (allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`);
+    // DTEND is exclusive for all-day events
+    lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(end).getTime() + DAY_MS)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (categories?.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+};
+
+const workflowUrl = (board, cardId) => {
+  const departmentId = board?.department?._id || board?.department;
+  if (!departmentId || !board?._id) return null;
+  return `${config.frontendUrl}/workflow/${departmentId}/${board._id}${cardId ? `/${cardId}` : ''}`;
+};
+
+/* ── Event sources ── */
+
+const getTaskEvents = async (user, boardIds, window) => {
+  const cards = await Card.find({
+    assignees: user._id,
+    board: { $in: boardIds },
+    isArchived: { $ne: true },
+    $or: [
+      { dueDate: { $gte: window.start, $lte: window.end } },
+      { startDate: { $gte: window.start, $lte: window.end } },
+      { startDate: { $lte: window.end }, dueDate: { $gte: window.start } },
+    ],
+  })
+    .select('title description status priority startDate dueDate board updatedAt')
+    .populate('board', 'name department')
+    .sort({ dueDate: 1 })
+    .limit(MAX_EVENTS_PER_SOURCE)
+    .lean();
+
+  return cards.map((card) => {
+    const start = card.startDate || card.dueDate;
+    const end = card.dueDate && card.dueDate >= start ? card.dueDate : start;
+    const url = workflowUrl(card.board, card._id);
+    const done = card.status === 'done';
+    const details = [
+      card.board?.name && `Project: ${card.board.name}`,
+      card.status && `Status: ${card.status}`,
+      card.priority && `Priority: ${card.priority}`,
+      card.description && `\n${stripHtml(card.description).slice(0, 1000)}`,
+      url && `\n${url}`,
+    ].filter(Boolean);
+
+    return buildEvent({
+      uid: `task-${card._id}@flowtask`,
+      summary: `${done ? '✓ ' : ''}${card.title}`,
+      description: details.join('\n'),
+      url,
+      start,
+      end,
+      allDay: true,
+      categories: ['Task', card.priority].filter(Boolean),
+      updatedAt: card.updatedAt,
+    });
+  });
+};
+
+const getReminderEvents = async (user, boardIds, window) => {
+  if (!REMINDER_ROLES.includes(String(user.role || '').toLowerCase())) return [];
+
+  const reminders = await Reminder.find({
+    project: { $in: boardIds },
+    status: { $ne: 'cancelled' },
+    scheduledDate: { $gte: window.start, $lte: window.end },
+  })
+    .select('project client scheduledDate status notes priority updatedAt')
+    .populate('project', 'name department')
+    .sort({ scheduledDate: 1 })
+    .limit(MAX_EVENTS_PER_SOURCE)
+    .lean();
+
+  return reminders.map((reminder) => {
+    const url = workflowUrl(reminder.project);
+    const client = reminder.client?.name || 'client';
+    const details = [
+      reminder.project?.name && `Project: ${reminder.project.name}`,
+      reminder.client?.email && `Client email: ${reminder.client.email}`,
+      reminder.client?.phone && `Client phone: ${reminder.client.phone}`,
+      `Status: ${reminder.status}`,
+      reminder.notes && `\n${reminder.notes}`,
+      url && `\n${url}`,
+    ].filter(Boolean);
+
+    return buildEvent({
+      uid: `reminder-${reminder._id}@flowtask`,
+      summary: `Reminder: follow up with ${client}`,
+      description: details.join('\n'),
+      url,
+      start: reminder.scheduledDate,
+      end: new Date(reminder.scheduledDate.getTime() + REMINDER_DURATION_MS),
+      allDay: false,
+      categories: ['Client reminder'],
+      updatedAt: reminder.updatedAt,
+    });
+  });
+};
+
+const getMilestoneEvents = async (boardIds, window) => {
+  const milestones = await Milestone.find({
+    board: { $in: boardIds },
+    dueDate: { $gte: window.start, $lte: window.end },
+  })
+    .select('board title dueDate status updatedAt')
+    .populate('board', 'name department')
+    .sort({ dueDate: 1 })
+    .limit(MAX_EVENTS_PER_SOURCE)
+    .lean();
+
+  return milestones.map((milestone) => {
+    const url = workflowUrl(milestone.board);
+    return buildEvent({
+      uid: `milestone-${milestone._id}@flowtask`,
+      summary: `Milestone: ${milestone.title}`,
+      description: [
+        milestone.board?.name && `Project: ${milestone.board.name}`,
+        `Status: ${milestone.status}`,
+        url && `\n${url}`,
+      ].filter(Boolean).join('\n'),
+      url,
+      start: milestone.dueDate,
+      end: milestone.dueDate,
+      allDay: true,
+      categories: ['Milestone'],
+      updatedAt: milestone.updatedAt,
+    });
+  });
+};
+
+/**
+ * Render the full VCALENDAR document for a resolved feed.
+ * @returns {Promise<string>} CRLF-delimited iCalendar text
+ */
+export const buildFeedCalendar = async (feed, user) => {
+  const extraFilter = {};
+  if (feed.departments?.length) extraFilter.department = { $in: feed.departments };
+  if (feed.projects?.length) extraFilter._id = { $in: feed.projects };
+  const boardIds = await getAccessibleBoardIds(user, extraFilter);
+
+  const now = Date.now();
+  const window = {
+    start: new Date(now - PAST_WINDOW_DAYS * DAY_MS),
+    end: new Date(now + FUTURE_WINDOW_DAYS * DAY_MS),
+  };
+  const sources = new Set(feed.sources?.length ? feed.sources : CALENDAR_FEED_SOURCES);
+
+  const [tasks, reminders, milestones] = boardIds.length
+    ? await Promise.all([
+      sources.has('tasks') ? getTaskEvents(user, boardIds, window) : [],
+      sources.has('reminders') ? getReminderEvents(user, boardIds, window) : [],
+      sources.has('milestones') ? getMilestoneEvents(boardIds, window) : [],
+    ])
+    : [[], [], []];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FlowTask//Calendar Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(feed.name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...[...tasks, ...reminders, ...milestones].flat(),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,467 @@
+/**
+ * Time Off Service
+ *
+ * Department holidays, per-user leave requests and the working-day
+ * arithmetic built on them.
+ *
+ * A day is a non-working day for a group of people when
+ *  - it is not one of their working weekdays (config.capacity.defaultWorkingDays),
+ *  - it is a holiday of one of their departments, or a company-wide holiday
+ *    (no department), or
+ *  - every one of them is on approved leave.
+ *
+ * Leave requests start pending. Admins and HR review any request; managers
+ * review requests from people in the departments they manage. Nobody reviews
+ * their own request. Approved leave feeds capacity planning, recurrences that
+ * opt into skipping non-working days, reminder rescheduling and the warning
+ * shown when a card is assigned to someone who is away on its due date.
+ */
+
+import mongoose from 'mongoose';
+import Holiday from '../../models/Holiday.js';
+import LeaveRequest, { LEAVE_TYPES } from '../../models/LeaveRequest.js';
+import Department from '../../models/Department.js';
+import Board from '../../models/Board.js';
+import User from '../../models/User.js';
+import notificationService from '../../utils/notificationService.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import config from '../../config/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const REVIEWER_ROLES = ['admin', 'hr'];
+
+// Longest stretch of non-working days skipped before giving up and keeping
+// the original date
+const MAX_SKIP_DAYS = 366;
+
+const idString = (value) => value?._id?.toString() || value?.toString();
+
+/* ── Helpers ── */
+
+export const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const parseDay = (value, label) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`A valid ${label} is required`, 400);
+  }
+  return startOfDay(date);
+};
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const covers = (entry, day) => startOfDay(entry.startDate) <= day && day <= startOfDay(entry.endDate);
+
+/**
+ * Departments each user belongs to (as member or manager), keyed by user id.
+ */
+export const getDepartmentIdsByUser = async (userIds) => {
+  const ids = userIds.map(idString);
+  const departments = await Department.find({
+    $or: [{ members: { $in: ids } }, { managers: { $in: ids } }]
+  }).select('_id members managers').lean();
+
+  const byUser = new Map(ids.map((id) => [id, new Set()]));
+  departments.forEach((department) => {
+    [...(department.members || []), ...(department.managers || [])].forEach((member) => {
+      byUser.get(idString(member))?.add(idString(department));
+    });
+  });
+  return new Map([...byUser].map(([id, set]) => [id, [...set]]));
+};
+
+/**
+ * Departments whose time off a user manages: null for admins and HR (all),
+ * the departments they manage for managers, none for everyone else.
+ */
+export const getManagedDepartmentIds = async (user) => {
+  if (REVIEWER_ROLES.includes(user.role)) return null;
+  if (user.role !== 'manager') return [];
+  const assigned = (Array.isArray(user.department) ? user.department : [user.department]).filter(Boolean);
+  const departments = await Department.find({
+    $or: [{ _id: { $in: assigned } }, { managers: user._id }]
+  }).select('_id').lean();
+  return departments.map(idString);
+};
+
+const assertCanManageDepartment = async (user, departmentId) => {
+  const managed = await getManagedDepartmentIds(user);
+  if (managed === null) return;
+  if (!departmentId) {
+    throw new ErrorResponse('Only admins and HR can manage company-wide holidays', 403);
+  }
+  if (!managed.includes(idString(departmentId))) {
+    throw new ErrorResponse('Not authorized to manage holidays for this department', 403);
+  }
+};
+
+const assertCanReview = async (reviewer, request) => {
+  if (idString(request.user) === idString(reviewer._id)) {
+    throw new ErrorResponse('You cannot review your own leave request', 403);
+  }
+  const managed = await getManagedDepartmentIds(reviewer);
+  if (managed === null) return;
+  const departments = (await getDepartmentIdsByUser([request.user])).get(idString(request.user)) || [];
+  if (!departments.some((id) => managed.includes(id))) {
+    throw new ErrorResponse('Not authorized to review this leave request', 403);
+  }
+};
+
+/* ── Holidays ── */
+
+/**
+ * Holidays between two days. With departmentIds, only those departments'
+ * holidays plus company-wide ones.
+ */
+export const listHolidays = ({ start, end, departmentIds } = {}) => {
+  const query = {};
+  if (start || end) {
+    query.date = {};
+    if (start) query.date.$gte = startOfDay(start);
+    if (end) query.date.$lte = startOfDay(end);
+  }
+  if (departmentIds) {
+    query.department = { $in: [null, ...departmentIds.map((id) => new mongoose.Types.ObjectId(id))] };
+  }
+  return Holiday.find(query).populate('department', 'name').sort({ date: 1 }).lean();
+};
+
+export const createHoliday = async ({ name, date, department }, user) => {
+  const departmentId = department || null;
+  await assertCanManageDepartment(user, departmentId);
+
+  try {
+    const holiday = await Holiday.create({
+      name,
+      date: parseDay(date, 'date'),
+      department: departmentId,
+      createdBy: user._id
+    });
+    return Holiday.findById(holiday._id).populate('department', 'name').lean();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ErrorResponse('A holiday already exists on that date for this department', 409);
+    }
+    throw error;
+  }
+};
+
+export const deleteHoliday = async (holidayId, user) => {
+  const holiday = await Holiday.findById(holidayId);
+  if (!holiday) throw new ErrorResponse('Holiday not found', 404);
+  await assertCanManageDepartment(user, holiday.department);
+  await holiday.deleteOne();
+};
+
+/* ── Leave requests ── */
+
+export const createLeaveRequest = async (user, { startDate, endDate, type, reason }) => {
+  const start = parseDay(startDate, 'start date');
+  const end = parseDay(endDate || startDate, 'end date');
+  if (end < start) throw new ErrorResponse('Leave cannot end before it starts', 400);
+  if (type && !LEAVE_TYPES.includes(type)) throw new ErrorResponse('Invalid leave type', 400);
+
+  const overlapping = await LeaveRequest.exists({
+    user: user._id,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  });
+  if (overlapping) {
+    throw new ErrorResponse('You already have leave requested for some of these days', 409);
+  }
+
+  const request = await LeaveRequest.create({
+    user: user._id,
+    startDate: start,
+    endDate: end,
+    type: type || 'vacation',
+    reason: reason || ''
+  });
+
+  // Let the managers of the requester's departments know
+  const departmentIds = (await getDepartmentIdsByUser([user._id])).get(idString(user._id)) || [];
+  const departments = await Department.find({ _id: { $in: departmentIds } }).select('managers').lean();
+  const managerIds = [...new Set(departments.flatMap((d) => (d.managers || []).map(idString)))]
+    .filter((id) => id !== idString(user._id));
+  notificationService.createBulkNotifications(managerIds.map((managerId) => ({
+    type: 'leave_requested',
+    title: 'Leave request',
+    message: `${user.name} requested leave from ${formatDay(start)} to ${formatDay(end)}`,
+    user: managerId,
+    sender: user._id,
+    metadata: { leaveRequestId: request._id }
+  }))).catch(console.error);
+
+  return request.toObject();
+};
+
+/**
+ * Leave requests visible to a user. scope 'mine' lists their own; scope
+ * 'team' lists requests they can review.
+ */
+export const listLeaveRequests = async (user, { scope = 'mine', status, start, end } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (start) query.endDate = { $gte: startOfDay(start) };
+  if (end) query.startDate = { $lte: startOfDay(end) };
+
+  if (scope === 'team') {
+    const managed = await getManagedDepartmentIds(user);
+    if (managed !== null) {
+      const departments = await Department.find({ _id: { $in: managed } }).select('members managers').lean();
+      const userIds = new Set(departments.flatMap((d) => [...(d.members || []), ...(d.managers || [])].map(idString)));
+      userIds.delete(idString(user._id));
+      query.user = { $in: [...userIds] };
+    }
+  } else {
+    query.user = user._id;
+  }
+
+  return LeaveRequest.find(query)
+    .populate('user', 'name email avatar')
+    .populate('reviewedBy', 'name')
+    .sort({ startDate: -1 })
+    .limit(500)
+    .lean();
+};
+
+export const reviewLeaveRequest = async (requestId, reviewer, { status, note }) => {
+  if (!['approved', 'rejected'].includes(status)) {
+    throw new ErrorResponse('Status must be approved or rejected', 400);
+  }
+  const request = await LeaveRequest.findById(requestId);
+  if (!request) throw new ErrorResponse('Leave request not found', 404);
+  if (request.status !== 'pending') {
+    throw new ErrorResponse(`This request is already ${request.status}`, 409);
+  }
+  await assertCanReview(reviewer, request);
+
+  request.status = status;
+  request.reviewedBy = reviewer._id;
+  request.reviewedAt = new Date();
+  request.reviewNote = note || '';
+  await request.save();
+
+  notificationService.createNotification({
+    type: 'leave_reviewed',
+    title: status === 'approved' ? 'Leave approved' : 'Leave rejected',
+    message: `${reviewer.name} ${status} your leave from ${formatDay(request.startDate)} to ${formatDay(request.endDate)}`,
+    user: request.user,
+    sender: reviewer._id,
+    metadata: { leaveRequestId: request._id, status }
+  }).catch(console.error);
+
+  return LeaveRequest.findById(request._id)
+    .populate('user', 'name email avatar')
+    .populate('reviewedBy', 'name')
+    .lean();
+};
+
+/**
+ * Withdraws a pending or approved request. Requesters cancel their own;
+ * reviewers can cancel requests they could review.
+ */
+export const cancelLeaveRequest = async (requestId, user) => {
+  const request = await LeaveRequest.findById(requestId);
+  if (!request) throw new ErrorResponse('Leave request not found', 404);
+  if (!['pending', 'approved'].includes(request.status)) {
+    throw new ErrorResponse(`This request is already ${request.status}`, 409);
+  }
+  if (idString(request.user) !== idString(user._id)) {
+    await assertCanReview(user, request);
+  }
+
+  request.status = 'cancelled';
+  await request.save();
+  return request.toObject();
+};
+
+/**
+ * Approved leave overlapping a day range for the given users (all users when
+ * userIds is omitted).
+ */
+export const listApprovedLeave = ({ userIds, start, end } = {}) => {
+  const query = { status: 'approved' };
+  if (userIds) query.user = { $in: userIds };
+  if (start) query.endDate = { $gte: startOfDay(start) };
+  if (end) query.startDate = { $lte: startOfDay(end) };
+  return LeaveRequest.find(query).populate('user', 'name avatar').sort({ startDate: 1 }).lean();
+};
+
+/**
+ * Holidays and leave to show on a user's calendar: holidays of their
+ * departments (or the selected one), approved leave of people in those
+ * departments, and their own pending requests.
+ */
+export const getCalendarTimeOff = async (user, { start, end, departmentId }) => {
+  let departmentIds;
+  if (departmentId && departmentId !== 'all') {
+    departmentIds = [departmentId];
+  } else {
+    departmentIds = (await getDepartmentIdsByUser([user._id])).get(idString(user._id)) || [];
+  }
+
+  const departments = await Department.find({ _id: { $in: departmentIds } }).select('members managers').lean();
+  const userIds = new Set(departments.flatMap((d) => [...(d.members || []), ...(d.managers || [])].map(idString)));
+  userIds.add(idString(user._id));
+
+  const [holidays, leave, pending] = await Promise.all([
+    listHolidays({ start, end, departmentIds }),
+    listApprovedLeave({ userIds: [...userIds], start, end }),
+    LeaveRequest.find({
+      user: user._id,
+      status: 'pending',
+      endDate: { $gte: startOfDay(start) },
+      startDate: { $lte: startOfDay(end) }
+    }).populate('user', 'name avatar').lean()
+  ]);
+
+  return { holidays, leave: [...leave, ...pending] };
+};
+
+/* ── Working days ── */
+
+/**
+ * Holidays and approved leave relevant to a group of people from a day on.
+ */
+const loadNonWorkingDays = async ({ departmentIds = [], userIds = [], from }) => {
+  const [holidays, leave] = await Promise.all([
+    listHolidays({ start: from, departmentIds: departmentIds.map(idString) }),
+    userIds.length ? listApprovedLeave({ userIds, start: from }) : []
+  ]);
+  return {
+    holidayDays: new Set(holidays.map((holiday) => startOfDay(holiday.date).getTime())),
+    leave
+  };
+};
+
+const isWorkingDay = (day, { holidayDays, leave }, { userIds, workingDays }) => {
+  if (!workingDays.includes(day.getDay())) return false;
+  if (holidayDays.has(startOfDay(day).getTime())) return false;
+  if (userIds.length === 0) return true;
+  const dayStart = startOfDay(day);
+  return userIds.some((userId) =>
+    !leave.some((entry) => idString(entry.user) === idString(userId) && covers(entry, dayStart))
+  );
+};
+
+/**
+ * The first working day on or after a date, keeping its time of day.
+ *
+ * @param {Date} date
+ * @param {Object} context
+ * @param {Array} [context.departmentIds] - departments whose holidays apply
+ * @param {Array} [context.userIds] - people who must not all be on leave
+ * @param {number[]} [context.workingDays] - weekdays that count as working
+ */
+export const nextWorkingDay = async (date, {
+  departmentIds = [],
+  userIds = [],
+  workingDays = config.capacity.defaultWorkingDays
+} = {}) => {
+  const lookup = await loadNonWorkingDays({ departmentIds, userIds, from: date });
+  const context = { userIds, workingDays: workingDays.length ? workingDays : ALL_WEEKDAYS };
+  const next = new Date(date);
+  for (let i = 0; i < MAX_SKIP_DAYS; i += 1) {
+    if (isWorkingDay(next, lookup, context)) return next;
+    next.setDate(next.getDate() + 1);
+  }
+  return new Date(date);
+};
+
+/**
+ * Moves a date forward by a number of working days, keeping its time of day.
+ */
+export const addWorkingDays = async (date, days, {
+  departmentIds = [],
+  userIds = [],
+  workingDays = config.capacity.defaultWorkingDays
+} = {}) => {
+  const lookup = await loadNonWorkingDays({ departmentIds, userIds, from: date });
+  const context = { userIds, workingDays: workingDays.length ? workingDays : ALL_WEEKDAYS };
+  const next = new Date(date);
+  let remaining = days;
+  for (let i = 0; remaining > 0 && i < days + MAX_SKIP_DAYS; i += 1) {
+    next.setDate(next.getDate() + 1);
+    if (isWorkingDay(next, lookup, context)) remaining -= 1;
+  }
+  return remaining > 0 ? new Date(date.getTime() + days * DAY_MS) : next;
+};
+
+const recurrenceContext = async (recurrence) => {
+  const board = await Board.findById(recurrence.board).select('department').lean();
+  return {
+    departmentIds: board?.department ? [board.department] : [],
+    userIds: (recurrence.subtaskTemplate?.assignees || []).map(idString)
+  };
+};
+
+/**
+ * Next occurrence of a recurring task. When the recurrence skips non-working
+ * days, occurrences landing on one move to the next working day, and
+ * "days after completion" counts working days only.
+ */
+export const nextRecurrenceOccurrence = async (recurrence, fromDate = new Date()) => {
+  if (!recurrence.taskOptions?.skipNonWorkingDays) {
+    return recurrence.calculateNextOccurrence(fromDate);
+  }
+
+  const context = await recurrenceContext(recurrence);
+  if (recurrence.scheduleType === 'daysAfter') {
+    const next = await addWorkingDays(new Date(fromDate), recurrence.daysAfterOptions?.days || 1, context);
+    const [hours, minutes] = (recurrence.dueTime || '23:00').split(':').map(Number);
+    next.setHours(hours, minutes, 0, 0);
+    return next;
+  }
+  return nextWorkingDay(recurrence.calculateNextOccurrence(fromDate), context);
+};
+
+/**
+ * Approved leave of any of the given users that covers a day, for assignment
+ * warnings.
+ */
+export const findLeaveConflicts = async ({ userIds, date }) => {
+  if (!date || !userIds?.length) return [];
+  const day = startOfDay(date);
+  const leave = await LeaveRequest.find({
+    user: { $in: userIds },
+    status: 'approved',
+    startDate: { $lte: day },
+    endDate: { $gte: day }
+  }).select('user startDate endDate type').lean();
+  if (leave.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: leave.map((entry) => entry.user) } }).select('name').lean();
+  const names = new Map(users.map((user) => [idString(user), user.name]));
+  return leave.map((entry) => ({
+    user: { _id: entry.user, name: names.get(idString(entry.user)) || 'Unknown' },
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    type: entry.type
+  }));
+};
+
+export default {
+  getDepartmentIdsByUser,
+  getManagedDepartmentIds,
+  listHolidays,
+  createHoliday,
+  deleteHoliday,
+  createLeaveRequest,
+  listLeaveRequests,
+  reviewLeaveRequest,
+  cancelLeaveRequest,
+  listApprovedLeave,
+  getCalendarTimeOff,
+  nextWorkingDay,
+  addWorkingDays,
+  nextRecurrenceOccurrence,
+  findLeaveConflicts
+};
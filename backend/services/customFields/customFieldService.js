@@ -0,0 +1,317 @@
+/**
+ * Custom Field Service
+ *
+ * Per-project field definitions (models/CustomField.js) and the typed values
+ * cards store against them (Card.customFields, keyed by field id).
+ *
+ * Values are normalized on write so readers never have to guess:
+ *  - text / url     → trimmed string
+ *  - number         → finite number
+ *  - currency       → finite number, rounded to 2 decimals (code lives on the field)
+ *  - date           → Date
+ *  - select         → option id (string)
+ *  - multi_select   → array of option ids
+ *  - user           → user id (string)
+ *  - checkbox       → boolean
+ * null / '' / [] clears the value.
+ */
+
+import mongoose from 'mongoose';
+import CustomField, { SELECT_FIELD_TYPES } from '../../models/CustomField.js';
+import Card from '../../models/Card.js';
+import Board from '../../models/Board.js';
+import User from '../../models/User.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+
+const TEXT_MAX_LENGTH = 1000;
+const URL_MAX_LENGTH = 2048;
+
+const EDITABLE_FIELDS = ['name', 'options', 'currency', 'position', 'showInList'];
+
+/* ── Helpers ── */
+
+const toId = (value) => (value?._id || value)?.toString() || null;
+
+const valuePath = (fieldId) => `customFields.${fieldId}`;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const findFieldOr404 = async (fieldId) => {
+  if (!mongoose.Types.ObjectId.isValid(fieldId)) {
+    throw new ErrorResponse('Custom field not found', 404);
+  }
+  const field = await CustomField.findById(fieldId);
+  if (!field) throw new ErrorResponse('Custom field not found', 404);
+  return field;
+};
+
+const ensureUniqueName = async (boardId, name, excludeId = null) => {
+  const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const existing = await CustomField.findOne({
+    board: boardId,
+    name: { $regex: new RegExp(`^${escaped}$`, 'i') },
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  }).select('_id').lean();
+  if (existing) {
+    throw new ErrorResponse('A custom field with this name already exists in this project', 400);
+  }
+};
+
+const optionIds = (field) => new Set((field.options || []).map((option) => option._id.toString()));
+
+/* ── Values ── */
+
+/**
+ * Validate and coerce a raw value for a field. Returns null when the value
+ * should be cleared; throws a 400 ErrorResponse when it does not fit the type.
+ */
+export const normalizeValue = async (field, raw) => {
+  if (isEmpty(raw)) return null;
+  const invalid = (message) => new ErrorResponse(`${field.name}: ${message}`, 400);
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(raw).trim();
+      if (text.length > TEXT_MAX_LENGTH) throw invalid(`cannot exceed ${TEXT_MAX_LENGTH} characters`);
+      return text || null;
+    }
+    case 'url': {
+      const text = String(raw).trim();
+      let parsed;
+      try {
+        parsed = new URL(text);
+      } catch {
+        throw invalid('must be a valid URL');
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw invalid('must be an http(s) URL');
+      if (text.length > URL_MAX_LENGTH) throw invalid(`cannot exceed ${URL_MAX_LENGTH} characters`);
+      return text;
+    }
+    case 'number':
+    case 'currency': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(number)) throw invalid('must be a number');
+      return field.type === 'currency' ? Math.round(number * 100) / 100 : number;
+    }
+    case 'date': {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) throw invalid('must be a valid date');
+      return date;
+    }
+    case 'checkbox': {
+      if (typeof raw === 'boolean') return raw;
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      throw invalid('must be true or false');
+    }
+    case 'select': {
+      const id = toId(raw);
+      if (!optionIds(field).has(id)) throw invalid('unknown option');
+      return id;
+    }
+    case 'multi_select': {
+      const allowed = optionIds(field);
+      const ids = [...new Set((Array.isArray(raw) ? raw : [raw]).map(toId))];
+      if (ids.some((id) => !allowed.has(id))) throw invalid('unknown option');
+      return ids.length > 0 ? ids : null;
+    }
+    case 'user': {
+      const id = toId(raw);
+      if (!mongoose.Types.ObjectId.isValid(id)) throw invalid('unknown user');
+      const exists = await User.exists({ _id: id });
+      if (!exists) throw invalid('unknown user');
+      return id;
+    }
+    default:
+      throw invalid(`unsupported field type "${field.type}"`);
+  }
+};
+
+/**
+ * Human-readable rendering of a stored value, used in activity descriptions.
+ * @param {Map<string,string>} [userNames] - user id → name, for user fields
+ */
+export const formatValue = (field, value, userNames = new Map()) => {
+  if (isEmpty(value)) return 'None';
+
+  switch (field.type) {
+    case 'currency':
+      try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: field.currency || 'USD' }).format(value);
+      } catch {
+        return `${field.currency || ''} ${Number(value).toFixed(2)}`.trim();
+      }
+    case 'date':
+      return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    case 'checkbox':
+      return value ? 'Checked' : 'Unchecked';
+    case 'select':
+    case 'multi_select': {
+      const labels = new Map((field.options || []).map((option) => [option._id.toString(), option.label]));
+      return (Array.isArray(value) ? value : [value])
+        .map((id) => labels.get(String(id)) || 'Removed option')
+        .join(', ');
+    }
+    case 'user':
+      return userNames.get(String(value)) || 'Unknown user';
+    default:
+      return String(value);
+  }
+};
+
+/* ── Definitions ── */
+
+/**
+ * All field definitions of a project, in display order.
+ */
+export const listFieldsForBoard = (boardId) =>
+  CustomField.find({ board: boardId }).sort({ position: 1, createdAt: 1 }).lean();
+
+/**
+ * Field definitions for every project in a department (used by the list view,
+ * which shows cards from many projects at once).
+ */
+export const listFieldsForDepartment = async (departmentId) => {
+  const boardIds = await Board.find({ department: departmentId, isDeleted: { $ne: true } }).distinct('_id');
+  return CustomField.find({ board: { $in: boardIds } }).sort({ board: 1, position: 1, createdAt: 1 }).lean();
+};
+
+export const createField = async (data, actor) => {
+  const board = await Board.findById(data.boardId).select('_id isDeleted').lean();
+  if (!board || board.isDeleted) throw new ErrorResponse('Project not found', 404);
+
+  await ensureUniqueName(board._id, data.name);
+
+  const last = await CustomField.findOne({ board: board._id }).sort({ position: -1 }).select('position').lean();
+
+  return CustomField.create({
+    board: board._id,
+    name: data.name.trim(),
+    type: data.type,
+    options: SELECT_FIELD_TYPES.includes(data.type) ? data.options || [] : [],
+    currency: data.type === 'currency' ? data.currency || 'USD' : undefined,
+    showInList: data.showInList !== undefined ? Boolean(data.showInList) : true,
+    position: last ? last.position + 1 : 0,
+    createdBy: actor._id,
+  });
+};
+
+/**
+ * Update a definition. The type is fixed once created; removing a select
+ * option also clears it from every card that had it picked.
+ */
+export const updateField = async (fieldId, data) => {
+  const field = await findFieldOr404(fieldId);
+
+  if (data.type !== undefined && data.type !== field.type) {
+    throw new ErrorResponse('The type of a custom field cannot be changed', 400);
+  }
+  if (data.name !== undefined && data.name.trim().toLowerCase() !== field.name.toLowerCase()) {
+    await ensureUniqueName(field.board, data.name, field._id);
+  }
+
+  const previousOptions = optionIds(field);
+
+  EDITABLE_FIELDS.forEach((key) => {
+    if (data[key] === undefined) return;
+    if (key === 'options' && !SELECT_FIELD_TYPES.includes(field.type)) return;
+    if (key === 'currency' && field.type !== 'currency') return;
+    field[key] = key === 'name' ? data.name.trim() : data[key];
+  });
+
+  await field.save();
+
+  if (SELECT_FIELD_TYPES.includes(field.type)) {
+    const remaining = optionIds(field);
+    const removed = [...previousOptions].filter((id) => !remaining.has(id));
+    if (removed.length > 0) {
+      const path = valuePath(field._id);
+      if (field.type === 'select') {
+        await Card.updateMany({ board: field.board, [path]: { $in: removed } }, { $unset: { [path]: '' } });
+      } else {
+        await Card.updateMany({ board: field.board, [path]: { $in: removed } }, { $pull: { [path]: { $in: removed } } });
+        await Card.updateMany({ board: field.board, [path]: { $size: 0 } }, { $unset: { [path]: '' } });
+      }
+    }
+  }
+
+  return field;
+};
+
+/**
+ * Delete a definition and strip its values from the project's cards.
+ */
+export const deleteField = async (fieldId) => {
+  const field = await findFieldOr404(fieldId);
+  const path = valuePath(field._id);
+
+  await Card.updateMany({ board: field.board, [path]: { $exists: true } }, { $unset: { [path]: '' } });
+  await field.deleteOne();
+
+  return field;
+};
+
+/* ── Card values ── */
+
+/**
+ * Set (or clear, with an empty value) one field on one card.
+ * @returns {Promise<{card, field, previous, value, changed, previousLabel, valueLabel}>}
+ */
+export const setCardValue = async (cardId, fieldId, raw) => {
+  if (!mongoose.Types.ObjectId.isValid(cardId)) throw new ErrorResponse('Card not found', 404);
+
+  const [card, field] = await Promise.all([
+    Card.findById(cardId).select('title board list customFields'),
+    findFieldOr404(fieldId),
+  ]);
+  if (!card) throw new ErrorResponse('Card not found', 404);
+  if (card.board.toString() !== field.board.toString()) {
+    throw new ErrorResponse('This custom field does not belong to the card\'s project', 400);
+  }
+
+  const key = field._id.toString();
+  const previous = card.customFields?.get(key) ?? null;
+  const value = await normalizeValue(field, raw);
+
+  const serialize = (v) => JSON.stringify(v instanceof Date ? v.toISOString() : v);
+  const changed = serialize(previous) !== serialize(value);
+
+  if (changed) {
+    const path = valuePath(key);
+    await Card.updateOne({ _id: card._id }, value === null ? { $unset: { [path]: '' } } : { $set: { [path]: value } });
+    if (value === null) card.customFields?.delete(key);
+    else {
+      if (!card.customFields) card.customFields = new Map();
+      card.customFields.set(key, value);
+    }
+  }
+
+  let userNames;
+  if (field.type === 'user') {
+    const ids = [previous, value].filter(Boolean);
+    const users = await User.find({ _id: { $in: ids } }).select('name').lean();
+    userNames = new Map(users.map((user) => [user._id.toString(), user.name]));
+  }
+
+  return {
+    card,
+    field,
+    previous,
+    value,
+    changed,
+    previousLabel: formatValue(field, previous, userNames),
+    valueLabel: formatValue(field, value, userNames),
+  };
+};
+
+export default {
+  normalizeValue,
+  formatValue,
+  listFieldsForBoard,
+  listFieldsForDepartment,
+  createField,
+  updateField,
+  deleteField,
+  setCardValue,
+};
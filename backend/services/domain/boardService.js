@@ -216,8 +216,12 @@ class BoardService {
     const dept = data.department || user.department;
     if (!dept) throw new ErrorResponse('Department is required to create a project', 400);
 
-    if (user.role === 'manager' && dept.toString() !== user.department?.toString()) {
-      throw new ErrorResponse('Managers can only create boards for their department', 403);
+    if (user.role === 'manager') {
+      // user.department is an array of ObjectIds (User schema)
+      const userDepts = [].concat(user.department || []).map((d) => d.toString());
+      if (!userDepts.includes(dept.toString())) {
+        throw new ErrorResponse('Managers can only create boards for their department', 403);
+      }
     }
 
     const board = await Board.create({
@@ -20,8 +20,15 @@ import { emitToBoard, emitFinanceDataRefresh } from '../../realtime/index.js';
 import notificationService from '../../utils/notificationService.js';
 import { slackHooks } from '../../utils/slackHooks.js';
 import { chatHooks } from '../../utils/chatHooks.js';
+import { automationHooks } from '../../utils/automationHooks.js';
+import { webhookHooks } from '../../utils/webhookHooks.js';
 import { emitTimeEntryDiffs } from '../../utils/chatTimeTracking.js';
-import { processTimeEntriesWithOwnership } from '../../utils/timeEntryUtils.js';
+import { processTimeEntriesWithOwnership, getChangedEntryDates } from '../../utils/timeEntryUtils.js';
+import { recordEntityChange } from '../versions/entityHistoryService.js';
+import { assertTimeEntryEditable } from '../timeTracking/timesheetService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEPENDENCY_TYPES = ['finish_to_start', 'start_to_start'];
 
 const snapshotTimeEntries = (entries = []) => entries.map((entry) => (
   typeof entry?.toObject === 'function' ? entry.toObject() : entry
@@ -135,8 +142,15 @@ class CardService {
     } catch (validationError) {
       throw new ErrorResponse(validationError.message, 400);
     }
+    if (updates.billedTime !== undefined) {
+      await assertTimeEntryEditable('billed', user.id);
+    }
+    if (updates.loggedTime !== undefined) {
+      await assertTimeEntryEditable('logged', user.id, getChangedEntryDates(card.loggedTime, updates.loggedTime, user.id));
+    }
 
     // Persist
+    const previous = card.toObject();
     card = await Card.findByIdAndUpdate(cardId, updates, { new: true, runValidators: true })
       .populate('assignees', 'name email avatar')
       .populate('members', 'name email avatar')
@@ -146,11 +160,21 @@ class CardService {
       .populate('loggedTime.user', 'name email avatar')
       .populate('billedTime.user', 'name email avatar');
 
+    await recordEntityChange({ entityType: 'card', before: previous, after: card, userId: user.id });
+
     // Activity logging + notifications (fire-and-forget background)
     this._processUpdateSideEffects(card, updates, old, user).catch((err) =>
       console.error('Card update side effects error:', err)
     );
 
+    // Automation rules (user carries the rule chain when a rule made this change)
+    if (updates.labels !== undefined) {
+      automationHooks.onLabelsChanged(card, old.labels, card.labels || [], user).catch(() => {});
+    }
+    if (updates.loggedTime !== undefined) {
+      automationHooks.onTimeLogged(card, old.loggedTime, card.loggedTime || [], user).catch(() => {});
+    }
+
     return { card, timeEntryWarnings };
   }
 
@@ -165,6 +189,7 @@ class CardService {
     const sourceListId = card.list._id;
     const sourceListTitle = card.list.title;
     const oldPosition = card.position;
+    const oldStatus = card.status;
 
     const destinationList = await List.findById(destinationListId);
     if (!destinationList) throw new ErrorResponse('Destination list not found', 404);
@@ -186,6 +211,10 @@ class CardService {
       card.position = newPosition;
     } else {
       // Cross-list move
+      const breach = await destinationList.getWipBreach(card._id);
+      if (breach?.mode === 'enforce') {
+        throw new ErrorResponse(`"${breach.listTitle}" is at its WIP limit of ${breach.limit}`, 409);
+      }
       await Card.updateMany(
         { list: sourceListId, position: { $gt: oldPosition } },
         { $inc: { position: -1 } }
@@ -231,12 +260,25 @@ class CardService {
         });
 
         if (sourceListId.toString() !== destinationListId) {
+          webhookHooks.onCardMoved(card, card.board, {
+            fromList: { id: sourceListId.toString(), title: sourceListTitle },
+            toList: { id: destinationList._id.toString(), title: destinationList.title },
+            fromStatus: oldStatus,
+            toStatus: card.status,
+            position: newPosition,
+          }, user).catch(() => {});
+          automationHooks.onCardMoved(card, { fromList: sourceListId, toList: destinationListId }, user).catch(() => {});
+
           await notificationService.notifyTaskUpdated(card, user.id, {
             moved: true,
             fromList: sourceListTitle,
             toList: destinationList.title,
           });
         }
+
+        if (card.status === 'done' && oldStatus !== 'done') {
+          await this.notifyUnblockedDependents(card, user);
+        }
       } catch (err) {
         console.error('moveCard background error:', err);
       }
@@ -273,6 +315,7 @@ class CardService {
     });
 
     await card.deleteOne();
+    await this.removeDependencyReferences(card._id);
     return { success: true };
   }
 
@@ -351,11 +394,17 @@ class CardService {
     if (!card) throw new ErrorResponse('Card not found', 404);
 
     const arrayField = type === 'estimation' ? 'estimationTime' : type === 'logged' ? 'loggedTime' : 'billedTime';
+    await assertTimeEntryEditable(type, user.id, [entry.date || new Date()]);
     if (!card[arrayField]) card[arrayField] = [];
+    const previousEntries = snapshotTimeEntries(card[arrayField]);
 
     card[arrayField].push({ ...entry, user: user.id });
     await card.save();
 
+    if (type === 'logged') {
+      automationHooks.onTimeLogged(card, previousEntries, card.loggedTime, user).catch(() => {});
+    }
+
     const populated = await Card.findById(cardId)
       .populate(`${arrayField}.user`, 'name email avatar');
 
@@ -386,8 +435,326 @@ class CardService {
     return populated[arrayField];
   }
 
+  /* ── Dependencies ──────────────────────────────── */
+
+  async getDependencies(cardId) {
+    const card = await Card.findById(cardId)
+      .select('dependencies')
+      .populate('dependencies.card', 'title status list board startDate dueDate assignees')
+      .lean();
+    if (!card) throw new ErrorResponse('Card not found', 404);
+
+    const blocking = await Card.find({ 'dependencies.card': cardId, isArchived: false })
+      .select('title status list board startDate dueDate assignees dependencies')
+      .lean();
+
+    return {
+      blockedBy: (card.dependencies || [])
+        .filter((dep) => dep.card)
+        .map((dep) => ({
+          _id: dep._id,
+          type: dep.type,
+          lagDays: dep.lagDays,
+          card: dep.card,
+        })),
+      blocking: blocking.map((dependent) => {
+        const dep = dependent.dependencies.find((d) => d.card.toString() === cardId.toString());
+        const { dependencies, ...rest } = dependent;
+        return { _id: dep._id, type: dep.type, lagDays: dep.lagDays, card: rest };
+      }),
+    };
+  }
+
+  async addDependency(cardId, { dependsOn, type = 'finish_to_start', lagDays = 0 }, user) {
+    if (!DEPENDENCY_TYPES.includes(type)) {
+      throw new ErrorResponse(`Dependency type must be one of: ${DEPENDENCY_TYPES.join(', ')}`, 400);
+    }
+    if (cardId.toString() === dependsOn?.toString()) {
+      throw new ErrorResponse('A task cannot depend on itself', 400);
+    }
+
+    const [card, predecessor] = await Promise.all([
+      Card.findById(cardId),
+      Card.findById(dependsOn).select('title board startDate dueDate dependencies').lean(),
+    ]);
+    if (!card) throw new ErrorResponse('Card not found', 404);
+    if (!predecessor) throw new ErrorResponse('Dependency task not found', 404);
+
+    if (card.dependencies.some((dep) => dep.card.toString() === dependsOn.toString())) {
+      throw new ErrorResponse('This dependency already exists', 400);
+    }
+    await this._assertNoDependencyCycle(card._id, predecessor._id);
+
+    card.dependencies.push({
+      card: predecessor._id,
+      type,
+      lagDays: Math.max(0, Number(lagDays) || 0),
+      createdBy: user.id,
+    });
+    await card.save();
+
+    Activity.create({
+      type: 'dependency_added',
+      description: `Marked as blocked by "${predecessor.title}"`,
+      user: user.id,
+      board: card.board,
+      card: card._id,
+      contextType: 'task',
+      metadata: { dependsOn: predecessor._id, dependsOnTitle: predecessor.title, dependencyType: type },
+    }).catch(() => {});
+
+    // The new constraint may already be violated — push this card out if so
+    const shifted = await this._cascadeDependentDates(predecessor, user);
+
+    emitToBoard(card.board.toString(), 'card-dependencies-updated', {
+      cardId: card._id,
+      dependencies: card.dependencies,
+      shifted,
+      updatedBy: { id: user.id, name: user.name },
+    });
+
+    return { dependencies: card.dependencies, shifted };
+  }
+
+  async removeDependency(cardId, dependencyId, user) {
+    const card = await Card.findById(cardId);
+    if (!card) throw new ErrorResponse('Card not found', 404);
+
+    const dep = card.dependencies.id(dependencyId);
+    if (!dep) throw new ErrorResponse('Dependency not found', 404);
+
+    const predecessor = await Card.findById(dep.card).select('title').lean();
+    dep.deleteOne();
+    await card.save();
+
+    Activity.create({
+      type: 'dependency_removed',
+      description: `Removed dependency on "${predecessor?.title || 'deleted task'}"`,
+      user: user.id,
+      board: card.board,
+      card: card._id,
+      contextType: 'task',
+      metadata: { dependsOn: dep.card },
+    }).catch(() => {});
+
+    emitToBoard(card.board.toString(), 'card-dependencies-updated', {
+      cardId: card._id,
+      dependencies: card.dependencies,
+      shifted: [],
+      updatedBy: { id: user.id, name: user.name },
+    });
+
+    return card.dependencies;
+  }
+
+  /**
+   * Change a card's start/due dates (Gantt drag/resize) and push any
+   * dependent tasks forward so their constraints still hold.
+   */
+  async rescheduleCard(cardId, { startDate, dueDate }, user) {
+    const card = await Card.findById(cardId);
+    if (!card) throw new ErrorResponse('Card not found', 404);
+
+    const nextStart = startDate !== undefined ? (startDate ? new Date(startDate) : null) : card.startDate;
+    const nextDue = dueDate !== undefined ? (dueDate ? new Date(dueDate) : null) : card.dueDate;
+    if (nextStart && nextDue && nextStart > nextDue) {
+      throw new ErrorResponse('Start date cannot be after due date', 400);
+    }
+
+    const old = { startDate: card.startDate, dueDate: card.dueDate };
+    const previous = card.toObject();
+    card.startDate = nextStart;
+    card.dueDate = nextDue;
+    await card.save();
+
+    await recordEntityChange({ entityType: 'card', before: previous, after: card, userId: user.id });
+
+    this._processUpdateSideEffects(card, { startDate: nextStart, dueDate: nextDue }, old, user).catch((err) => console.error('Card reschedule side effects error:', err));
+
+    const shifted = await this._cascadeDependentDates(card, user);
+    return { card, shifted };
+  }
+
+  /**
+   * Notify owners of tasks that were waiting on `card` once it is done.
+   * Owners are the dependent's assignees, falling back to its creator.
+   */
+  async notifyUnblockedDependents(card, user) {
+    const dependents = await Card.find({
+      'dependencies.card': card._id,
+      isArchived: false,
+    }).select('title board assignees createdBy dependencies').lean();
+    if (!dependents.length) return [];
+
+    const predecessorIds = [...new Set(dependents.flatMap((d) =>
+      d.dependencies.filter((dep) => dep.type === 'finish_to_start').map((dep) => dep.card.toString())
+    ))];
+    const predecessors = await Card.find({ _id: { $in: predecessorIds } }).select('status').lean();
+    const doneIds = new Set(predecessors.filter((p) => p.status === 'done').map((p) => p._id.toString()));
+    doneIds.add(card._id.toString());
+
+    const boardIds = [...new Set(dependents.map((d) => d.board.toString()))];
+    const boards = await Board.find({ _id: { $in: boardIds } }).select('department').lean();
+    const departmentByBoard = new Map(boards.map((b) => [b._id.toString(), b.department]));
+
+    const notifications = [];
+    for (const dependent of dependents) {
+      const remaining = dependent.dependencies.filter(
+        (dep) => dep.type === 'finish_to_start' && !doneIds.has(dep.card.toString())
+      ).length;
+      const owners = dependent.assignees?.length ? dependent.assignees : [dependent.createdBy];
+      const departmentId = departmentByBoard.get(dependent.board.toString()) || null;
+      const projectId = dependent.board;
+      const taskId = dependent._id;
+
+      for (const owner of owners) {
+        if (!owner || owner.toString() === user.id?.toString()) continue;
+        notifications.push({
+          type: 'task_unblocked',
+          title: remaining ? 'Blocking Task Completed' : 'Task Unblocked',
+          message: remaining
+            ? `"${card.title}" is done — "${dependent.title}" is still waiting on ${remaining} more task${remaining === 1 ? '' : 's'}`
+            : `"${card.title}" is done — "${dependent.title}" is ready to start`,
+          user: owner,
+          sender: user.id,
+          relatedCard: taskId,
+          relatedBoard: projectId,
+          departmentId,
+          projectId,
+          taskId,
+          metadata: {
+            departmentId,
+            projectId,
+            taskId,
+            completedTaskId: card._id,
+            remainingBlockers: remaining,
+            url: departmentId && projectId && taskId ? `/workflow/${departmentId}/${projectId}/${taskId}` : null,
+          },
+        });
+      }
+    }
+
+    return notificationService.createBulkNotifications(notifications);
+  }
+
+  /** Tasks, lists and dependency links for a board's Gantt chart. */
+  async getBoardTimeline(boardId) {
+    const [lists, cards] = await Promise.all([
+      List.find({ board: boardId, isArchived: false }).select('title position color').sort({ position: 1 }).lean(),
+      Card.find({ board: boardId, isArchived: false })
+        .select('title list status priority startDate dueDate createdAt assignees dependencies subtaskStats position')
+        .populate('assignees', 'name avatar')
+        .sort({ position: 1 })
+        .lean(),
+    ]);
+    return { lists, cards };
+  }
+
+  /** Drop references to a card that is being deleted from its dependents. */
+  async removeDependencyReferences(cardId) {
+    await Card.updateMany(
+      { 'dependencies.card': cardId },
+      { $pull: { dependencies: { card: cardId } } }
+    );
+  }
+
   /* ═══ Private Helpers ════════════════════════════ */
 
+  /**
+   * Reject `cardId → predecessorId` if cardId is already upstream of the
+   * predecessor. Walks predecessor chains breadth-first, one query per level.
+   */
+  async _assertNoDependencyCycle(cardId, predecessorId) {
+    const target = cardId.toString();
+    const seen = new Set([predecessorId.toString()]);
+    let frontier = [predecessorId];
+
+    while (frontier.length) {
+      const level = await Card.find({ _id: { $in: frontier } }).select('dependencies.card').lean();
+      frontier = [];
+      for (const node of level) {
+        for (const dep of node.dependencies || []) {
+          const id = dep.card.toString();
+          if (id === target) {
+            throw new ErrorResponse('This dependency would create a circular chain of tasks', 400);
+          }
+          if (!seen.has(id)) {
+            seen.add(id);
+            frontier.push(dep.card);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Push dependents of `rootCard` later when its dates now violate their
+   * constraint (FS: start after predecessor due; SS: start after predecessor
+   * start), preserving each dependent's duration, and recurse downstream.
+   * Tasks are never pulled earlier. Returns the shifted cards.
+   */
+  async _cascadeDependentDates(rootCard, user) {
+    const shifted = [];
+    const visited = new Set();
+    const queue = [rootCard];
+
+    while (queue.length) {
+      const predecessor = queue.shift();
+      const predecessorId = predecessor._id.toString();
+      if (visited.has(predecessorId)) continue;
+      visited.add(predecessorId);
+
+      const dependents = await Card.find({ 'dependencies.card': predecessor._id, isArchived: false });
+      for (const dependent of dependents) {
+        const dep = dependent.dependencies.find((d) => d.card.toString() === predecessorId);
+        const anchor = dep.type === 'start_to_start'
+          ? (predecessor.startDate || predecessor.dueDate)
+          : predecessor.dueDate;
+        if (!anchor) continue;
+
+        const earliestStart = new Date(new Date(anchor).getTime() + (dep.lagDays || 0) * DAY_MS);
+        const currentStart = dependent.startDate || dependent.dueDate;
+        if (!currentStart || currentStart >= earliestStart) continue;
+
+        const delta = earliestStart.getTime() - currentStart.getTime();
+        const oldDue = dependent.dueDate;
+        const previous = dependent.toObject();
+        if (dependent.startDate) dependent.startDate = new Date(dependent.startDate.getTime() + delta);
+        if (dependent.dueDate) dependent.dueDate = new Date(dependent.dueDate.getTime() + delta);
+        await dependent.save();
+
+        const days = Math.ceil(delta / DAY_MS);
+        await recordEntityChange({
+          entityType: 'card',
+          before: previous,
+          after: dependent,
+          userId: user.id,
+          editSummary: `Dates shifted by ${days} day${days === 1 ? '' : 's'} because "${predecessor.title}" moved`,
+        });
+        Activity.create({
+          type: 'dates_shifted',
+          description: `Dates shifted by ${days} day${days === 1 ? '' : 's'} because "${predecessor.title}" moved`,
+          user: user.id,
+          board: dependent.board,
+          card: dependent._id,
+          contextType: 'task',
+          metadata: { predecessorId: predecessor._id, deltaDays: days, oldDueDate: oldDue, newDueDate: dependent.dueDate },
+        }).catch(() => {});
+
+        emitToBoard(dependent.board.toString(), 'card-updated', {
+          cardId: dependent._id,
+          updates: { startDate: dependent.startDate, dueDate: dependent.dueDate },
+          updatedBy: { id: user.id, name: user.name },
+        });
+
+        shifted.push({ _id: dependent._id, startDate: dependent.startDate, dueDate: dependent.dueDate });
+        queue.push(dependent);
+      }
+    }
+
+    return shifted;
+  }
+
   async _notifyAssignees(card, assignees, boardId, user) {
     if (!assignees?.length) return;
     await notificationService.notifyTaskAssigned(card, assignees, user.id);
@@ -33,6 +33,8 @@ export const normalizeFinanceFilters = (input = {}) => ({
   projectId: input.projectId || null,
   userId: input.userId || null,
   projectStatus: input.projectStatus || input.status || null,
+  salesPlatform: input.salesPlatform || null,
+  salesProfile: input.salesProfile || null,
   hiredClientOnly: input.hiredClientOnly !== false && input.hiredClientOnly !== 'false',
   billingType: normalizeBillingType(input.billingType),
   fixedRevenueMode: input.fixedRevenueMode === 'asOfEndDate' ? 'asOfEndDate' : 'inRange',
@@ -65,7 +67,7 @@ export const applyFinanceDateRange = (date, filters = {}) => {
 
 const dateRangeIsActive = (filters = {}) => Boolean(filters.startDate || filters.endDate);
 
-const getBillingTypeForProject = (project) => {
+export const getBillingTypeForProject = (project) => {
   const billingCycle = String(project?.billingCycle || '').trim().toLowerCase();
   if (billingCycle === 'fixed') return BILLING_TYPES.FIXED;
   if (billingCycle === 'hr' || billingCycle === 'hourly') return BILLING_TYPES.HOURLY;
@@ -240,6 +242,8 @@ const buildProjectMatch = (filters, includeBillingType = true) => {
   if (filters.departmentId) match.department = filters.departmentId;
   if (filters.projectId) match._id = filters.projectId;
   if (filters.projectStatus) match.status = filters.projectStatus;
+  if (filters.salesPlatform) match['salesOrigin.platform'] = filters.salesPlatform;
+  if (filters.salesProfile) match['salesOrigin.profile'] = filters.salesProfile;
 
   if (includeBillingType) {
     if (filters.billingType === BILLING_TYPES.FIXED) match.billingCycle = 'fixed';
@@ -642,6 +646,7 @@ export const buildProjectFinanceReport = async (rawFilters = {}) => {
     totalRevenue: metric.totalRevenue,
     status: metric.project.status,
     clientInfo: metric.project.clientDetails,
+    salesOrigin: metric.project.salesOrigin?.salesRow ? metric.project.salesOrigin : null,
     coordinators: (metric.project.members || []).slice(0, 5),
     coordinatorCount: metric.project.members?.length || 0,
     loggedTime: buildDuration(metric.loggedMinutes),
@@ -658,8 +663,23 @@ export const buildProjectFinanceReport = async (rawFilters = {}) => {
     groupedByDepartment[dept].push(project);
   });
 
+  // Revenue per originating sales platform / profile (projects converted from a sales row)
+  const salesSources = {};
+  data.forEach((project) => {
+    const platform = project.salesOrigin?.platform || 'Not from sales';
+    const profile = project.salesOrigin?.profile || '—';
+    const key = `${platform}::${profile}`;
+    if (!salesSources[key]) {
+      salesSources[key] = { platform, profile, projectCount: 0, totalRevenue: 0, billedMinutes: 0 };
+    }
+    salesSources[key].projectCount += 1;
+    salesSources[key].totalRevenue += project.payment || 0;
+    salesSources[key].billedMinutes += project.billedTime?.totalMinutes || 0;
+  });
+  const groupedBySalesSource = Object.values(salesSources).sort((a, b) => b.totalRevenue - a.totalRevenue);
+
   logFinanceCalculation('projects', context.filters, context, metrics, summary);
-  return { data, groupedByDepartment, summary };
+  return { data, groupedByDepartment, groupedBySalesSource, summary };
 };
 
 export const buildUserFinanceReport = async (rawFilters = {}) => {
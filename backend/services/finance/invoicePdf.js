@@ -0,0 +1,138 @@
+/**
+ * Invoice PDF
+ *
+ * Renders a serialized invoice (see invoiceService.serializeInvoice) to an
+ * A4 PDF with pdfkit: seller and client, dates, line items, totals and
+ * notes. Drafts are marked as such and have no number yet.
+ */
+
+import PDFDocument from 'pdfkit';
+import config from '../../config/index.js';
+
+const MARGIN = 50;
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: MARGIN, width: 255, align: 'left' },
+  { key: 'quantity', label: 'Qty', x: 310, width: 55, align: 'right' },
+  { key: 'unitPrice', label: 'Unit price', x: 370, width: 80, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 455, width: 90, align: 'right' }
+];
+
+const formatMoney = (value) => `$${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : '—');
+
+const formatPeriodDay = (value) =>
+  new Date(`${value}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+const drawHeader = (doc, invoice) => {
+  const { companyName, companyAddress, companyEmail } = config.invoice;
+  doc.font('Helvetica-Bold').fontSize(20).text(companyName, MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  if (companyAddress) doc.text(companyAddress);
+  if (companyEmail) doc.text(companyEmail);
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+    .text(invoice.status === 'draft' ? 'DRAFT INVOICE' : 'INVOICE', 300, MARGIN, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(10);
+  const details = [
+    ['Number', invoice.number || '—'],
+    ['Issued', formatDate(invoice.issueDate)],
+    ['Due', formatDate(invoice.dueDate)],
+    ['Period', `${formatPeriodDay(invoice.periodStart)} – ${formatPeriodDay(invoice.periodEnd)}`]
+  ];
+  details.forEach(([label, value]) => doc.text(`${label}: ${value}`, 300, undefined, { width: 245, align: 'right' }));
+  if (invoice.status === 'paid') {
+    doc.fillColor('#059669').font('Helvetica-Bold').text(`PAID ${formatDate(invoice.paidAt)}`, 300, undefined, { width: 245, align: 'right' });
+    doc.fillColor('#000000').font('Helvetica');
+  }
+};
+
+const drawClient = (doc, invoice) => {
+  const top = Math.max(doc.y, 140) + 20;
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', MARGIN, top);
+  doc.font('Helvetica');
+  [invoice.client?.name, invoice.client?.email, invoice.client?.location]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+  if (invoice.board?.name) doc.fillColor('#555555').text(`Project: ${invoice.board.name}`).fillColor('#000000');
+};
+
+const drawRow = (doc, values, { bold = false } = {}) => {
+  const top = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  const heights = COLUMNS.map((column) => doc.heightOfString(String(values[column.key]), { width: column.width }));
+  if (top + Math.max(...heights) > doc.page.height - MARGIN) {
+    doc.addPage();
+    return drawRow(doc, values, { bold });
+  }
+  COLUMNS.forEach((column) => {
+    doc.text(String(values[column.key]), column.x, top, { width: column.width, align: column.align });
+  });
+  doc.y = top + Math.max(...heights) + 6;
+  return doc.y;
+};
+
+const drawLineItems = (doc, invoice) => {
+  doc.y += 25;
+  drawRow(doc, Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])), { bold: true });
+  doc.moveTo(MARGIN, doc.y - 3).lineTo(545, doc.y - 3).strokeColor('#cccccc').stroke();
+
+  invoice.lineItems.forEach((line) => drawRow(doc, {
+    description: line.description,
+    quantity: line.quantity,
+    unitPrice: formatMoney(line.unitPrice),
+    amount: formatMoney(line.amount)
+  }));
+  doc.moveTo(MARGIN, doc.y).lineTo(545, doc.y).strokeColor('#cccccc').stroke();
+};
+
+const drawTotals = (doc, invoice) => {
+  doc.y += 10;
+  const rows = [['Subtotal', formatMoney(invoice.subtotal)]];
+  if (invoice.discount > 0) {
+    const label = invoice.discountType === 'percent' ? `Discount (${invoice.discountValue}%)` : 'Discount';
+    rows.push([label, `-${formatMoney(invoice.discount)}`]);
+  }
+  if (invoice.taxRate > 0) rows.push([`Tax (${invoice.taxRate}%)`, formatMoney(invoice.tax)]);
+  rows.push(['Total', formatMoney(invoice.total)]);
+  // Keep the totals together
+  if (doc.y + rows.length * 18 > doc.page.height - MARGIN) doc.addPage();
+
+  rows.forEach(([label, value], index) => {
+    const bold = index === rows.length - 1;
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10);
+    doc.text(label, 340, top, { width: 110, align: 'right' });
+    doc.text(value, 455, top, { width: 90, align: 'right' });
+    doc.y += 4;
+  });
+};
+
+/**
+ * Resolves with the PDF as a Buffer.
+ */
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: invoice.number || 'Draft invoice' } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  drawHeader(doc, invoice);
+  drawClient(doc, invoice);
+  drawLineItems(doc, invoice);
+  drawTotals(doc, invoice);
+  if (invoice.notes) {
+    doc.moveDown(2).font('Helvetica-Bold').fontSize(10).text('Notes', MARGIN);
+    doc.font('Helvetica').text(invoice.notes, { width: 495 });
+  }
+
+  doc.end();
+});
+
+export default { renderInvoicePdf };
@@ -0,0 +1,463 @@
+/**
+ * Invoice Service
+ *
+ * Client invoices per project. A draft is built for a date range from the
+ * same figures the finance reports use: billed time on hourly projects
+ * (priced at the project's hourly rate, one line per task), milestone
+ * approvals on milestone projects, and the fixed price on fixed projects
+ * when its revenue date falls in the range.
+ *
+ * Drafts can be edited freely: line items, discount (an amount or a
+ * percentage of the subtotal) and tax (a percentage applied after the
+ * discount). Sending an invoice locks it and gives it the next number from
+ * the 'invoice' counter, so numbers are sequential and drafts never use one
+ * up. Sent invoices are outstanding receivables until they are marked paid.
+ *
+ * Money is kept in cents and returned in currency units, as milestones are.
+ */
+
+import Board from '../../models/Board.js';
+import Card from '../../models/Card.js';
+import Subtask from '../../models/Subtask.js';
+import SubtaskNano from '../../models/SubtaskNano.js';
+import Milestone from '../../models/Milestone.js';
+import MilestoneApproval from '../../models/MilestoneApproval.js';
+import Counter from '../../models/Counter.js';
+import Invoice, { INVOICE_DISCOUNT_TYPES, INVOICE_LINE_KINDS } from '../../models/Invoice.js';
+import config from '../../config/index.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { emitFinanceDataRefresh } from '../../realtime/index.js';
+import { addCents, fromCents, toCents } from '../../utils/money.js';
+import {
+  BILLING_TYPES,
+  applyFinanceDateRange,
+  calculateFixedRevenue,
+  getBillingTypeForProject,
+  getFinancePermittedUserIds
+} from './financeReportService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const INVOICE_POPULATE = [
+  { path: 'board', select: 'name billingCycle hourlyPrice clientDetails' },
+  { path: 'createdBy', select: 'name' },
+  { path: 'history.by', select: 'name' }
+];
+
+const idString = (value) => value?._id?.toString() || value?.toString();
+
+const roundQuantity = (value) => Math.round(Number(value) * 100) / 100;
+
+const parseCents = (value, fieldName, options) => {
+  try {
+    return toCents(value, fieldName, options);
+  } catch (error) {
+    throw new ErrorResponse(error.message, 400);
+  }
+};
+
+/* ── Totals ── */
+
+/**
+ * Recomputes the subtotal, discount, tax and total from the line items.
+ */
+const applyTotals = (invoice) => {
+  const subtotalCents = addCents(invoice.lineItems.map((line) => line.amountCents));
+  const discountCents = invoice.discountType === 'percent'
+    ? Math.round(subtotalCents * invoice.discountValue / 100)
+    : Math.min(invoice.discountValue, subtotalCents);
+  const taxCents = Math.round((subtotalCents - discountCents) * invoice.taxRate / 100);
+
+  invoice.subtotalCents = subtotalCents;
+  invoice.discountCents = discountCents;
+  invoice.taxCents = taxCents;
+  invoice.totalCents = subtotalCents - discountCents + taxCents;
+};
+
+export const isInvoiceOverdue = (invoice, now = new Date()) => (
+  invoice.status === 'sent' && Boolean(invoice.dueDate) && new Date(invoice.dueDate) < now
+);
+
+export const serializeInvoice = (invoice) => {
+  const value = invoice?.toObject ? invoice.toObject() : invoice;
+  if (!value) return null;
+  return {
+    ...value,
+    lineItems: (value.lineItems || []).map((line) => ({
+      ...line,
+      unitPrice: fromCents(line.unitPriceCents),
+      amount: fromCents(line.amountCents)
+    })),
+    subtotal: fromCents(value.subtotalCents),
+    discount: fromCents(value.discountCents),
+    // Amount discounts are entered in currency units, percentages as-is
+    discountInput: value.discountType === 'amount' ? fromCents(value.discountValue) : value.discountValue,
+    tax: fromCents(value.taxCents),
+    total: fromCents(value.totalCents),
+    overdue: isInvoiceOverdue(value)
+  };
+};
+
+const announceInvoiceChange = (invoice) => {
+  emitFinanceDataRefresh({ changeType: 'invoice', boardId: idString(invoice.board) });
+};
+
+/* ── Drafting ── */
+
+/**
+ * One line per task for the billed time in range, with subtask and
+ * nano-subtask time counted on their task. Only the entries the finance
+ * reports count are included.
+ */
+const buildHourlyLines = async (board, range) => {
+  const rateCents = Math.round(Number(board.hourlyPrice || 0) * 100);
+  const [permittedUserIds, cards, subtasks, nanos] = await Promise.all([
+    getFinancePermittedUserIds(),
+    Card.find({ board: board._id, isArchived: { $ne: true } }).select('title billedTime').lean(),
+    Subtask.find({ board: board._id }).select('task billedTime').lean(),
+    SubtaskNano.find({ board: board._id }).select('task billedTime').lean()
+  ]);
+
+  const minutesByCard = new Map();
+  const addEntries = (cardId, entries = []) => entries.forEach((entry) => {
+    if (!permittedUserIds.has(idString(entry.user))) return;
+    if (!applyFinanceDateRange(entry.date, range)) return;
+    const minutes = (entry.hours || 0) * 60 + (entry.minutes || 0);
+    if (minutes <= 0) return;
+    const key = idString(cardId);
+    minutesByCard.set(key, (minutesByCard.get(key) || 0) + minutes);
+  });
+  cards.forEach((card) => addEntries(card._id, card.billedTime));
+  subtasks.forEach((subtask) => addEntries(subtask.task, subtask.billedTime));
+  nanos.forEach((nano) => addEntries(nano.task, nano.billedTime));
+
+  const titles = new Map(cards.map((card) => [idString(card._id), card.title]));
+  const missing = [...minutesByCard.keys()].filter((id) => !titles.has(id));
+  if (missing.length > 0) {
+    const archived = await Card.find({ _id: { $in: missing } }).select('title').lean();
+    archived.forEach((card) => titles.set(idString(card._id), card.title));
+  }
+
+  return [...minutesByCard.entries()].map(([cardId, minutes]) => ({
+    kind: 'hours',
+    description: titles.get(cardId) || 'Deleted task',
+    quantity: roundQuantity(minutes / 60),
+    unitPriceCents: rateCents,
+    amountCents: Math.round(minutes * rateCents / 60),
+    sourceType: 'card',
+    sourceId: cardId
+  }));
+};
+
+/**
+ * One line per milestone approval in range that no other invoice has billed.
+ */
+const buildMilestoneLines = async (board, range) => {
+  const approvals = (await MilestoneApproval.find({ board: board._id })
+    .select('milestone amountCents approvedAt sourceTitle')
+    .sort({ approvedAt: 1 })
+    .lean())
+    .filter((approval) => applyFinanceDateRange(approval.approvedAt, range));
+  if (approvals.length === 0) return [];
+
+  const [milestones, invoiced] = await Promise.all([
+    Milestone.find({ _id: { $in: approvals.map((approval) => approval.milestone) } }).select('title').lean(),
+    Invoice.find({
+      lineItems: { $elemMatch: { sourceType: 'milestoneApproval', sourceId: { $in: approvals.map((a) => a._id) } } }
+    }).select('lineItems.sourceId').lean()
+  ]);
+  const milestoneTitles = new Map(milestones.map((milestone) => [idString(milestone._id), milestone.title]));
+  const invoicedIds = new Set(invoiced.flatMap((invoice) => invoice.lineItems.map((line) => idString(line.sourceId))));
+
+  return approvals
+    .filter((approval) => !invoicedIds.has(idString(approval._id)))
+    .map((approval) => {
+      const title = milestoneTitles.get(idString(approval.milestone)) || 'Milestone';
+      return {
+        kind: 'milestone',
+        description: approval.sourceTitle ? `${title} — ${approval.sourceTitle}` : title,
+        quantity: 1,
+        unitPriceCents: approval.amountCents,
+        amountCents: approval.amountCents,
+        sourceType: 'milestoneApproval',
+        sourceId: approval._id
+      };
+    });
+};
+
+const buildFixedLines = (board, range) => {
+  const revenue = calculateFixedRevenue(board, { ...range, fixedRevenueMode: 'inRange' });
+  if (revenue <= 0) return [];
+  const priceCents = Math.round(revenue * 100);
+  return [{
+    kind: 'fixed',
+    description: board.name,
+    quantity: 1,
+    unitPriceCents: priceCents,
+    amountCents: priceCents,
+    sourceType: 'board',
+    sourceId: board._id
+  }];
+};
+
+/**
+ * Hourly and fixed invoices bill a period, so two of them can't cover the
+ * same days. Milestone invoices skip approvals already billed instead.
+ */
+const assertPeriodIsFree = async (boardId, range) => {
+  const overlapping = await Invoice.findOne({
+    board: boardId,
+    periodStart: { $lte: range.endDate },
+    periodEnd: { $gte: range.startDate }
+  }).select('number status periodStart periodEnd').lean();
+  if (overlapping) {
+    const label = overlapping.number || `A ${overlapping.status} invoice`;
+    throw new ErrorResponse(
+      `${label} already covers ${overlapping.periodStart} to ${overlapping.periodEnd} for this project`,
+      409
+    );
+  }
+};
+
+export const createDraftInvoice = async (user, { projectId, startDate, endDate }) => {
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || startDate > endDate) {
+    throw new ErrorResponse('A valid billing period is required', 400);
+  }
+  const board = await Board.findById(projectId)
+    .select('name billingCycle hourlyPrice fixedPrice startDate createdAt clientDetails isDeleted')
+    .lean();
+  if (!board || board.isDeleted) throw new ErrorResponse('Project not found', 404);
+
+  const billingType = getBillingTypeForProject(board);
+  if (!billingType) {
+    throw new ErrorResponse('Set a billing type on this project before invoicing it', 400);
+  }
+
+  const range = { startDate, endDate };
+  let lineItems;
+  if (billingType === BILLING_TYPES.MILESTONE) {
+    lineItems = await buildMilestoneLines(board, range);
+  } else {
+    await assertPeriodIsFree(board._id, range);
+    lineItems = billingType === BILLING_TYPES.HOURLY
+      ? await buildHourlyLines(board, range)
+      : buildFixedLines(board, range);
+  }
+
+  const invoice = new Invoice({
+    board: board._id,
+    client: {
+      name: board.clientDetails?.clientName || '',
+      email: board.clientDetails?.clientEmail || '',
+      location: board.clientDetails?.clientLocation || ''
+    },
+    periodStart: startDate,
+    periodEnd: endDate,
+    lineItems,
+    createdBy: user._id,
+    history: [{ action: 'created', by: user._id }]
+  });
+  applyTotals(invoice);
+  await invoice.save();
+  announceInvoiceChange(invoice);
+
+  return getInvoice(invoice._id);
+};
+
+/* ── Reads ── */
+
+export const listInvoices = async ({ status, projectId, limit = 100 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (projectId) query.board = projectId;
+
+  const invoices = await Invoice.find(query)
+    .select('-lineItems -history')
+    .populate('board', 'name')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit, 10) || 100, 500))
+    .lean();
+  return invoices.map(serializeInvoice);
+};
+
+export const getInvoice = async (invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId).populate(INVOICE_POPULATE).lean();
+  if (!invoice) throw new ErrorResponse('Invoice not found', 404);
+  return serializeInvoice(invoice);
+};
+
+/**
+ * Outstanding receivables: sent invoices that haven't been paid, and the
+ * part of them that is past due.
+ */
+export const getReceivablesSummary = async () => {
+  const now = new Date();
+  const [outstanding, overdue, drafts] = await Promise.all([
+    Invoice.aggregate([
+      { $match: { status: 'sent' } },
+      { $group: { _id: null, totalCents: { $sum: '$totalCents' }, count: { $sum: 1 } } }
+    ]),
+    Invoice.aggregate([
+      { $match: { status: 'sent', dueDate: { $lt: now } } },
+      { $group: { _id: null, totalCents: { $sum: '$totalCents' }, count: { $sum: 1 } } }
+    ]),
+    Invoice.countDocuments({ status: 'draft' })
+  ]);
+
+  return {
+    outstanding: fromCents(outstanding[0]?.totalCents),
+    outstandingCount: outstanding[0]?.count || 0,
+    overdue: fromCents(overdue[0]?.totalCents),
+    overdueCount: overdue[0]?.count || 0,
+    draftCount: drafts
+  };
+};
+
+/* ── Editing ── */
+
+const parseLineItem = (line, index) => {
+  const label = `Line ${index + 1}`;
+  const description = String(line?.description || '').trim();
+  if (!description) throw new ErrorResponse(`${label} needs a description`, 400);
+  const quantity = Number(line.quantity);
+  if (!Number.isFinite(quantity) || quantity < 0) {
+    throw new ErrorResponse(`${label} quantity must be zero or more`, 400);
+  }
+  const unitPriceCents = parseCents(line.unitPrice, `${label} unit price`, { allowZero: true });
+
+  return {
+    kind: INVOICE_LINE_KINDS.includes(line.kind) ? line.kind : 'custom',
+    description,
+    quantity: roundQuantity(quantity),
+    unitPriceCents,
+    amountCents: Math.round(roundQuantity(quantity) * unitPriceCents),
+    ...(line.sourceType && line.sourceId && { sourceType: line.sourceType, sourceId: line.sourceId })
+  };
+};
+
+const loadDraft = async (invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) throw new ErrorResponse('Invoice not found', 404);
+  if (invoice.status !== 'draft') {
+    throw new ErrorResponse(`Invoice ${invoice.number} has been ${invoice.status} and can no longer be changed`, 409);
+  }
+  return invoice;
+};
+
+/**
+ * Updates a draft. Line items are replaced as a whole when given.
+ */
+export const updateInvoice = async (invoiceId, user, updates = {}) => {
+  const invoice = await loadDraft(invoiceId);
+
+  if (Array.isArray(updates.lineItems)) {
+    invoice.lineItems = updates.lineItems.map(parseLineItem);
+  }
+  if (updates.discountType !== undefined || updates.discountValue !== undefined) {
+    const discountType = updates.discountType ?? invoice.discountType;
+    if (!INVOICE_DISCOUNT_TYPES.includes(discountType)) {
+      throw new ErrorResponse('Discount must be an amount or a percentage', 400);
+    }
+    const rawValue = updates.discountValue ?? 0;
+    let discountValue;
+    if (discountType === 'amount') {
+      discountValue = parseCents(rawValue, 'Discount', { allowZero: true });
+    } else {
+      discountValue = Number(rawValue);
+      if (!Number.isFinite(discountValue) || discountValue < 0 || discountValue > 100) {
+        throw new ErrorResponse('Discount percentage must be between 0 and 100', 400);
+      }
+    }
+    invoice.discountType = discountType;
+    invoice.discountValue = discountValue;
+  }
+  if (updates.taxRate !== undefined) {
+    const taxRate = Number(updates.taxRate);
+    if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+      throw new ErrorResponse('Tax rate must be between 0 and 100', 400);
+    }
+    invoice.taxRate = taxRate;
+  }
+  if (updates.client) {
+    ['name', 'email', 'location'].forEach((field) => {
+      if (updates.client[field] !== undefined) invoice.client[field] = String(updates.client[field]).trim();
+    });
+  }
+  if (updates.notes !== undefined) invoice.notes = updates.notes;
+  if (updates.issueDate !== undefined) invoice.issueDate = updates.issueDate || null;
+  if (updates.dueDate !== undefined) invoice.dueDate = updates.dueDate || null;
+
+  applyTotals(invoice);
+  invoice.history.push({ action: 'updated', by: user._id });
+  await invoice.save();
+  announceInvoiceChange(invoice);
+
+  return getInvoice(invoice._id);
+};
+
+export const deleteInvoice = async (invoiceId) => {
+  const invoice = await loadDraft(invoiceId);
+  await invoice.deleteOne();
+  announceInvoiceChange(invoice);
+};
+
+/* ── Status ── */
+
+const formatInvoiceNumber = (seq) => `INV-${String(seq).padStart(5, '0')}`;
+
+/**
+ * Moves an invoice forward: draft → sent (numbered and locked) → paid.
+ */
+export const setInvoiceStatus = async (invoiceId, user, status) => {
+  const from = { sent: 'draft', paid: 'sent' }[status];
+  if (!from) throw new ErrorResponse('Status must be sent or paid', 400);
+
+  const current = await Invoice.findById(invoiceId).select('status lineItems issueDate dueDate').lean();
+  if (!current) throw new ErrorResponse('Invoice not found', 404);
+  if (current.status !== from) {
+    throw new ErrorResponse(`Only ${from} invoices can be marked ${status}; this one is ${current.status}`, 409);
+  }
+
+  const now = new Date();
+  const set = { status };
+  if (status === 'sent') {
+    if (current.lineItems.length === 0) {
+      throw new ErrorResponse('Add at least one line item before sending the invoice', 400);
+    }
+    const issueDate = current.issueDate || now;
+    set.sentAt = now;
+    set.issueDate = issueDate;
+    set.dueDate = current.dueDate || new Date(new Date(issueDate).getTime() + config.invoice.paymentTermsDays * DAY_MS);
+  } else {
+    set.paidAt = now;
+  }
+
+  // Claim the transition first so a double click can't take two numbers
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: invoiceId, status: from },
+    { $set: set, $push: { history: { action: status, by: user._id } } },
+    { new: true }
+  );
+  if (!invoice) throw new ErrorResponse('The invoice was changed by someone else; reload and try again', 409);
+
+  if (status === 'sent') {
+    invoice.number = formatInvoiceNumber(await Counter.next('invoice'));
+    await invoice.save();
+  }
+  announceInvoiceChange(invoice);
+
+  return getInvoice(invoice._id);
+};
+
+export default {
+  createDraftInvoice,
+  listInvoices,
+  getInvoice,
+  getReceivablesSummary,
+  updateInvoice,
+  deleteInvoice,
+  setInvoiceStatus,
+  serializeInvoice,
+  isInvoiceOverdue
+};
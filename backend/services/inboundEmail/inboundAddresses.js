@@ -0,0 +1,111 @@
+/**
+ * Inbound Addresses
+ *
+ * Plus-addresses on the inbound mailbox (INBOUND_EMAIL_ADDRESS) that route
+ * incoming mail:
+ *
+ *   inbox+c<cardId><sig>@domain      reply to a notification about a card
+ *   inbox+r<reminderId><sig>@domain  client reply to a reminder
+ *   inbox+p<key>@domain              a project's email-in address
+ *
+ * Card reply addresses are signed for the recipient of the notification, so
+ * a reply is only accepted from that user. Project keys are random and can
+ * be regenerated from the project settings.
+ */
+
+import crypto from 'crypto';
+import config from '../../config/index.js';
+
+const OBJECT_ID = '[a-f0-9]{24}';
+const SIGNATURE_LENGTH = 16;
+const TAG_PATTERN = new RegExp(`^(?:c(${OBJECT_ID})([a-f0-9]{${SIGNATURE_LENGTH}})|r(${OBJECT_ID})([a-f0-9]{${SIGNATURE_LENGTH}})|p([a-f0-9]{16}))$`);
+
+/* ── Helpers ──────────────────────────────────────── */
+
+export const isInboundEmailEnabled = () => Boolean(
+  config.inboundEmail.address?.includes('@') && config.inboundEmail.imap.host
+);
+
+const splitAddress = () => {
+  const [local, domain] = config.inboundEmail.address.toLowerCase().split('@');
+  return { local, domain };
+};
+
+const sign = (value) => crypto
+  .createHmac('sha256', config.inboundEmail.secret || '')
+  .update(value)
+  .digest('hex')
+  .slice(0, SIGNATURE_LENGTH);
+
+const signaturesMatch = (a, b) => a.length === b.length
+  && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const buildAddress = (tag) => {
+  if (!isInboundEmailEnabled()) return null;
+  const { local, domain } = splitAddress();
+  return `${local}+${tag}@${domain}`;
+};
+
+/* ── Address builders ─────────────────────────────── */
+
+/** Reply-to address for a notification about `cardId` sent to `userId` */
+export const getCardReplyAddress = (cardId, userId) => {
+  if (!cardId || !userId) return null;
+  return buildAddress(`c${cardId}${sign(`card:${cardId}:${userId}`)}`);
+};
+
+/** Address a reminder's client replies to */
+export const getReminderReplyAddress = (reminderId) => {
+  if (!reminderId) return null;
+  return buildAddress(`r${reminderId}${sign(`reminder:${reminderId}`)}`);
+};
+
+/** A project's email-in address for its `emailIn.key` */
+export const getProjectEmailInAddress = (key) => (key ? buildAddress(`p${key}`) : null);
+
+export const generateEmailInKey = () => crypto.randomBytes(8).toString('hex');
+
+/* ── Parsing ──────────────────────────────────────── */
+
+/**
+ * Find the first recipient that is a plus-address of the inbound mailbox and
+ * decode it. Returns { kind, ... } or null when none of them route anywhere.
+ */
+export const parseInboundAddress = (recipients = []) => {
+  if (!isInboundEmailEnabled()) return null;
+  const { local, domain } = splitAddress();
+  const prefix = `${local}+`;
+  const suffix = `@${domain}`;
+
+  for (const recipient of recipients) {
+    const address = String(recipient || '').trim().toLowerCase();
+    if (!address.startsWith(prefix) || !address.endsWith(suffix)) continue;
+
+    const match = TAG_PATTERN.exec(address.slice(prefix.length, -suffix.length));
+    if (!match) continue;
+
+    const [, cardId, cardSig, reminderId, reminderSig, projectKey] = match;
+    if (cardId) return { kind: 'card_reply', cardId, signature: cardSig, address };
+    if (reminderId) {
+      if (!signaturesMatch(reminderSig, sign(`reminder:${reminderId}`))) continue;
+      return { kind: 'reminder_reply', reminderId, address };
+    }
+    return { kind: 'email_in', key: projectKey, address };
+  }
+  return null;
+};
+
+/** Card reply signatures depend on the sender, so they are checked once the user is known */
+export const verifyCardReplySignature = (cardId, userId, signature) => (
+  signaturesMatch(signature, sign(`card:${cardId}:${userId}`))
+);
+
+export default {
+  isInboundEmailEnabled,
+  getCardReplyAddress,
+  getReminderReplyAddress,
+  getProjectEmailInAddress,
+  generateEmailInKey,
+  parseInboundAddress,
+  verifyCardReplySignature,
+};
@@ -0,0 +1,380 @@
+/**
+ * Inbound Email Service
+ *
+ * Turns mail read from the inbound mailbox into app activity:
+ *  - replies to notification emails    → comments on the card
+ *  - mail to a project's email-in address → a new card, with attachments
+ *  - client replies to a reminder       → reminder marked as responded
+ *
+ * Messages are routed by the plus-address they were sent to (see
+ * inboundAddresses.js) and logged in InboundEmail by Message-ID, so a
+ * message read twice is only acted on once.
+ */
+
+import crypto from 'crypto';
+import { simpleParser } from 'mailparser';
+import config from '../../config/index.js';
+import Attachment from '../../models/Attachment.js';
+import Activity from '../../models/Activity.js';
+import Board from '../../models/Board.js';
+import Card from '../../models/Card.js';
+import InboundEmail from '../../models/InboundEmail.js';
+import List from '../../models/List.js';
+import Reminder from '../../models/Reminder.js';
+import User from '../../models/User.js';
+import commentService from '../domain/commentService.js';
+import cardService from '../domain/cardService.js';
+import { getAccessibleBoardIds } from '../permissionService.js';
+import { uploadFile } from '../storage/storageService.js';
+import { getFileTypeCategory, getCloudinaryResourceType } from '../../utils/cloudinary.js';
+import notificationService from '../../utils/notificationService.js';
+import { emitToBoard } from '../../realtime/index.js';
+import logger from '../../utils/logger.js';
+import { parseInboundAddress, verifyCardReplySignature } from './inboundAddresses.js';
+
+const ATTACHMENT_FILE_TYPES = ['image', 'pdf', 'document', 'spreadsheet', 'presentation', 'video', 'text', 'other'];
+const AUTO_REPLY_PRECEDENCE = ['bulk', 'junk', 'list', 'auto_reply'];
+
+/* ── Reply text ───────────────────────────────────── */
+
+// Lines that start the quoted original or the sender's signature
+const CUTOFF_PATTERNS = [
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^_{10,}\s*$/,
+  /^-- ?$/,
+  /^Sent from my /i,
+];
+const REPLY_HEADER = /^On\s.+\swrote:$/i;
+const OUTLOOK_HEADER = /^(From|De|Von):\s/i;
+const OUTLOOK_FOLLOWING = /^(Sent|Date|To|Subject|Envoyé|Gesendet):\s/i;
+
+/**
+ * Keep only what the sender wrote: drops the quoted original ("> " lines and
+ * everything after "On … wrote:", "-----Original Message-----" or an Outlook
+ * "From: / Sent:" block) and a trailing "-- " signature.
+ */
+export const stripQuotedReply = (text = '') => {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].trim();
+    if (CUTOFF_PATTERNS.some((pattern) => pattern.test(line))) break;
+    // Mail clients wrap long "On <date>, <name> <address> wrote:" headers
+    if (line.startsWith('On ') && [1, 2, 3].some((count) => (
+      REPLY_HEADER.test(lines.slice(i, i + count).map((part) => part.trim()).join(' '))
+    ))) break;
+    if (OUTLOOK_HEADER.test(line) && lines.slice(i + 1, i + 4).some((next) => OUTLOOK_FOLLOWING.test(next.trim()))) break;
+    if (line.startsWith('>')) continue;
+    kept.push(lines[i]);
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** Plain text → the paragraph HTML the rich text editor produces */
+const textToHtml = (text) => text
+  .split(/\n{2,}/)
+  .map((paragraph) => paragraph.trim())
+  .filter(Boolean)
+  .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('');
+
+/* ── Message helpers ──────────────────────────────── */
+
+const addressesOf = (field) => [].concat(field || [])
+  .flatMap((entry) => (typeof entry === 'string' ? [{ address: entry }] : entry?.value || []))
+  .map((entry) => entry.address?.toLowerCase())
+  .filter(Boolean);
+
+// Delivered-To / X-Original-To carry the address when the mailbox was Bcc'd
+const recipientsOf = (parsed) => [...new Set([
+  ...addressesOf(parsed.to),
+  ...addressesOf(parsed.cc),
+  ...addressesOf(parsed.headers.get('delivered-to')),
+  ...addressesOf(parsed.headers.get('x-original-to')),
+])];
+
+const isAutoReply = (parsed) => {
+  const autoSubmitted = String(parsed.headers.get('auto-submitted') || '').toLowerCase();
+  const precedence = String(parsed.headers.get('precedence') || '').toLowerCase();
+  return (autoSubmitted && autoSubmitted !== 'no')
+    || AUTO_REPLY_PRECEDENCE.includes(precedence)
+    || parsed.headers.has('x-autoreply')
+    || parsed.headers.has('x-autorespond');
+};
+
+// Our own outgoing mail bouncing back into the mailbox
+const isOwnAddress = (address) => [config.inboundEmail.address, config.email.user, config.email.from]
+  .filter(Boolean)
+  .some((own) => own.toLowerCase() === address);
+
+const usableAttachments = (parsed) => (parsed.attachments || []).filter((file) => {
+  // Inline images (logos, signatures) belong to the HTML body
+  if (file.related) return false;
+  if (file.size > config.inboundEmail.maxAttachmentBytes) {
+    logger.warn(`[InboundEmail] Skipping attachment ${file.filename}: ${file.size} bytes`);
+    return false;
+  }
+  return true;
+});
+
+const findSender = (address) => (address ? User.findOne({ email: address, isActive: true }) : null);
+
+const canAccessBoard = async (user, boardId) => (
+  (await getAccessibleBoardIds(user, { _id: boardId })).length > 0
+);
+
+const rejected = (kind, reason, extra = {}) => ({ kind, status: 'rejected', reason, ...extra });
+
+/* ── Attachments ──────────────────────────────────── */
+
+/**
+ * Store email attachments on a card, as description files or on a comment.
+ * A file that fails to upload is logged and skipped.
+ */
+const storeAttachments = async (files, { cardId, boardId, user, commentId = null }) => {
+  for (const file of files) {
+    const originalName = file.filename || 'attachment';
+    const mimetype = file.contentType || 'application/octet-stream';
+    try {
+      const stored = await uploadFile(file.content, {
+        folder: `flowtask/cards/${cardId}/attachments`,
+        resourceType: getCloudinaryResourceType(mimetype),
+        mimetype,
+        originalName,
+        context: { card: cardId, uploadedBy: user.id, originalName },
+      });
+      const fileType = getFileTypeCategory(mimetype);
+
+      const attachment = await Attachment.create({
+        fileName: originalName,
+        originalName,
+        fileType: ATTACHMENT_FILE_TYPES.includes(fileType) ? fileType : 'other',
+        mimeType: mimetype,
+        fileSize: file.size,
+        url: stored.url,
+        secureUrl: stored.secureUrl,
+        publicId: stored.key,
+        resourceType: stored.resourceType,
+        format: stored.format,
+        contextType: commentId ? 'comment' : 'description',
+        contextRef: commentId || cardId,
+        card: cardId,
+        board: boardId,
+        comment: commentId,
+        uploadedBy: user._id,
+        width: stored.width,
+        height: stored.height,
+        pages: stored.pages,
+        duration: stored.duration,
+        thumbnailUrl: fileType === 'image' ? stored.thumbnailUrl : undefined,
+        previewUrl: fileType === 'image' ? stored.previewUrl : undefined,
+      });
+      await attachment.populate('uploadedBy', 'name avatar');
+
+      await Activity.create({
+        type: 'attachment_added',
+        description: `Added attachment: ${originalName}`,
+        user: user._id,
+        board: boardId,
+        card: cardId,
+      });
+
+      emitToBoard(boardId.toString(), 'attachment-added', {
+        parentType: 'card',
+        parentId: cardId,
+        cardId,
+        subtaskId: null,
+        nanoSubtaskId: null,
+        attachment,
+        addedBy: { id: user.id, name: user.name },
+      });
+    } catch (error) {
+      logger.error(`[InboundEmail] Could not store attachment ${originalName}`, { error: error.message });
+    }
+  }
+};
+
+/* ── Handlers ─────────────────────────────────────── */
+
+const handleCardReply = async (parsed, target, from) => {
+  const kind = 'card_reply';
+  const user = await findSender(from);
+  if (!user) return rejected(kind, 'Sender is not an active user');
+  if (!verifyCardReplySignature(target.cardId, user.id, target.signature)) {
+    return rejected(kind, 'Reply address was not issued to the sender', { user: user._id });
+  }
+
+  const card = await Card.findById(target.cardId).select('board').lean();
+  if (!card) return rejected(kind, 'Card not found', { user: user._id });
+  const refs = { user: user._id, board: card.board, card: card._id };
+
+  if (!(await canAccessBoard(user, card.board))) return rejected(kind, 'Sender cannot access the project', refs);
+  if (!(await commentService.checkPermission(user, 'comment'))) return rejected(kind, 'Sender may not comment', refs);
+
+  const body = stripQuotedReply(parsed.text || '');
+  const files = usableAttachments(parsed);
+  if (!body && files.length === 0) return rejected(kind, 'Reply is empty', refs);
+
+  const comment = await commentService.createComment({
+    htmlContent: textToHtml(body),
+    text: body,
+    card: card._id.toString(),
+    user,
+  });
+  await storeAttachments(files, { cardId: card._id, boardId: card.board, user, commentId: comment._id });
+
+  return { kind, status: 'processed', ...refs, comment: comment._id };
+};
+
+const resolveEmailInList = async (board) => {
+  if (board.emailIn?.list) {
+    const list = await List.findOne({ _id: board.emailIn.list, board: board._id, isArchived: { $ne: true } }).select('_id').lean();
+    if (list) return list._id;
+  }
+  const first = await List.findOne({ board: board._id, isArchived: { $ne: true } }).sort({ position: 1 }).select('_id').lean();
+  return first?._id || null;
+};
+
+const handleEmailIn = async (parsed, target, from) => {
+  const kind = 'email_in';
+  const board = await Board.findOne({ 'emailIn.key': target.key, isDeleted: { $ne: true } })
+    .select('name emailIn isArchived')
+    .lean();
+  if (!board || !board.emailIn?.enabled) return rejected(kind, 'Email-in is not enabled for this address');
+
+  const user = await findSender(from);
+  if (!user) return rejected(kind, 'Sender is not an active user', { board: board._id });
+  const refs = { user: user._id, board: board._id };
+  if (!(await canAccessBoard(user, board._id))) return rejected(kind, 'Sender cannot access the project', refs);
+
+  const listId = await resolveEmailInList(board);
+  if (!listId) return rejected(kind, 'Project has no list to add cards to', refs);
+
+  const title = (parsed.subject || '').replace(/^\s*(fwd?|fw):\s*/i, '').trim() || 'Untitled email';
+  const card = await cardService.createCard({
+    title: title.slice(0, 200),
+    description: textToHtml((parsed.text || '').trim()),
+    list: listId,
+    board: board._id,
+  }, user);
+  await storeAttachments(usableAttachments(parsed), { cardId: card._id, boardId: board._id, user });
+
+  return { kind, status: 'processed', ...refs, card: card._id };
+};
+
+const markReminderResponded = async (reminder, parsed, from) => {
+  const kind = 'reminder_reply';
+  const refs = { reminder: reminder._id, board: reminder.project?._id || reminder.project };
+
+  // Team members replying or cc'ing the address are not the client
+  if (await User.exists({ email: from })) return rejected(kind, 'Sender is a team member, not the client', refs);
+  if (['completed', 'cancelled'].includes(reminder.status)) return rejected(kind, `Reminder is ${reminder.status}`, refs);
+
+  const subject = parsed.subject ? `: "${parsed.subject}"` : '';
+  reminder.awaitingClientResponse = false;
+  reminder.clientRespondedAt = new Date();
+  reminder.addHistoryEntry('client_responded', reminder.createdBy, `Client replied from ${from}${subject}`.slice(0, 500));
+  await reminder.save();
+
+  const projectName = reminder.project?.name || 'Unknown';
+  const clientName = reminder.client?.name || from;
+  const recipients = [reminder.createdBy, reminder.assignedTo].filter(Boolean).map(String);
+  for (const userId of new Set(recipients)) {
+    notificationService.createNotification({
+      type: 'client_responded',
+      title: 'Client Responded',
+      message: `${clientName} replied to the reminder for "${projectName}"`,
+      user: userId,
+      relatedBoard: refs.board,
+      entityId: reminder._id,
+      entityType: 'Reminder',
+      metadata: {
+        reminderId: reminder._id,
+        projectName,
+        url: '/reminders'
+      }
+    }).catch((error) => logger.error('[InboundEmail] Client reply notification failed', { error: error.message }));
+  }
+
+  return { kind, status: 'processed', ...refs };
+};
+
+const handleReminderReply = async (parsed, target, from) => {
+  const reminder = await Reminder.findById(target.reminderId).populate('project', 'name');
+  if (!reminder) return rejected('reminder_reply', 'Reminder not found');
+  return markReminderResponded(reminder, parsed, from);
+};
+
+// Mail sent straight to the mailbox: a client answering from the address on
+// a reminder that is still waiting for them
+const handleUnrouted = async (parsed, from) => {
+  const reminder = await Reminder.findOne({
+    'client.email': from,
+    awaitingClientResponse: true,
+    status: { $nin: ['completed', 'cancelled'] },
+  }).sort({ lastSentAt: -1 }).populate('project', 'name');
+  if (!reminder) return rejected('unknown', 'Not addressed to a reply or email-in address');
+  return markReminderResponded(reminder, parsed, from);
+};
+
+const routeMessage = async (parsed, from) => {
+  if (!from) return rejected('unknown', 'Message has no sender');
+  if (isAutoReply(parsed)) return rejected('unknown', 'Automatic reply');
+  if (isOwnAddress(from)) return rejected('unknown', 'Sent by this server');
+
+  const target = parseInboundAddress(recipientsOf(parsed));
+  if (!target) return handleUnrouted(parsed, from);
+  if (target.kind === 'card_reply') return handleCardReply(parsed, target, from);
+  if (target.kind === 'email_in') return handleEmailIn(parsed, target, from);
+  return handleReminderReply(parsed, target, from);
+};
+
+/* ── Entry point ──────────────────────────────────── */
+
+/**
+ * Process one raw RFC 822 message. Returns its InboundEmail log entry, or
+ * null when the message was already processed.
+ * @param {Buffer|string} source
+ */
+export const processInboundMessage = async (source) => {
+  const parsed = await simpleParser(source);
+  const from = parsed.from?.value?.[0]?.address?.toLowerCase() || '';
+  const messageId = parsed.messageId
+    || `<${crypto.createHash('sha256').update(source).digest('hex')}@inbound>`;
+
+  let record;
+  try {
+    record = await InboundEmail.create({
+      messageId,
+      from,
+      to: recipientsOf(parsed).join(', ').slice(0, 1000),
+      subject: (parsed.subject || '').slice(0, 300),
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  try {
+    Object.assign(record, await routeMessage(parsed, from));
+  } catch (error) {
+    record.status = 'failed';
+    record.reason = error.message;
+    logger.error('[InboundEmail] Processing failed', { messageId, error: error.message });
+  }
+  return record.save();
+};
+
+export default {
+  stripQuotedReply,
+  processInboundMessage,
+};
@@ -0,0 +1,70 @@
+/**
+ * Inbound Mailbox
+ *
+ * Reads unseen messages from the IMAP mailbox configured under
+ * config.inboundEmail and hands each one to the inbound email service.
+ * Works against any IMAP server, including local stand-ins such as
+ * GreenMail (INBOUND_IMAP_SECURE=false).
+ */
+
+import { ImapFlow } from 'imapflow';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { isInboundEmailEnabled } from './inboundAddresses.js';
+import { processInboundMessage } from './inboundEmailService.js';
+
+// Messages handled per poll; the rest wait for the next one
+const BATCH_SIZE = 50;
+
+const createClient = () => {
+  const { host, port, secure, user, pass } = config.inboundEmail.imap;
+  return new ImapFlow({
+    host,
+    port,
+    secure,
+    auth: { user, pass },
+    logger: false,
+    tls: { rejectUnauthorized: false }, // accept self-signed certs, as for SMTP
+  });
+};
+
+/**
+ * Process the mailbox's unseen messages. A message is flagged \Seen once it
+ * has been logged; one that could not be logged (e.g. the database is down)
+ * stays unseen and is retried on the next poll.
+ * @returns {Promise<number>} messages processed
+ */
+export const pollInboundMailbox = async () => {
+  if (!isInboundEmailEnabled()) return 0;
+
+  const client = createClient();
+  client.on('error', (error) => logger.error('[InboundEmail] IMAP connection error', { error: error.message }));
+
+  await client.connect();
+  let processed = 0;
+  try {
+    const lock = await client.getMailboxLock(config.inboundEmail.imap.mailbox);
+    try {
+      const uids = (await client.search({ seen: false }, { uid: true })) || [];
+      for (const uid of uids.slice(0, BATCH_SIZE)) {
+        const message = await client.fetchOne(uid, { source: true }, { uid: true });
+        if (!message?.source) continue;
+        try {
+          await processInboundMessage(message.source);
+        } catch (error) {
+          logger.error('[InboundEmail] Could not process message', { uid, error: error.message });
+          continue;
+        }
+        await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+        processed += 1;
+      }
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await client.logout().catch(() => client.close());
+  }
+  return processed;
+};
+
+export default { pollInboundMailbox };
@@ -0,0 +1,98 @@
+/**
+ * Project Email-In Service
+ *
+ * Settings for a project's email-in address: whether it is on, which list
+ * new cards land in, and regenerating the address when it leaks. Anyone who
+ * can see the project can read its address; the owner, admins and managers
+ * can change it.
+ */
+
+import Board from '../../models/Board.js';
+import List from '../../models/List.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { getAccessibleBoardIds } from '../permissionService.js';
+import {
+  isInboundEmailEnabled,
+  getProjectEmailInAddress,
+  generateEmailInKey,
+} from './inboundAddresses.js';
+
+/* ── Helpers ──────────────────────────────────────── */
+
+const loadBoard = async (boardId, user) => {
+  const board = await Board.findOne({ _id: boardId, isDeleted: { $ne: true } }).select('owner emailIn').lean();
+  if (!board) throw new ErrorResponse('Project not found', 404);
+
+  const accessible = await getAccessibleBoardIds(user, { _id: board._id });
+  if (accessible.length === 0) throw new ErrorResponse('Not authorized to access this project', 403);
+  return board;
+};
+
+const canManage = (board, user) => (
+  board.owner?.toString() === user.id || ['admin', 'manager'].includes(user.role)
+);
+
+const assertCanManage = (board, user) => {
+  if (!canManage(board, user)) throw new ErrorResponse('Not authorized to change email-in for this project', 403);
+};
+
+const toSettings = (board, user) => {
+  const emailIn = board.emailIn || {};
+  return {
+    available: isInboundEmailEnabled(),
+    enabled: Boolean(emailIn.enabled),
+    list: emailIn.list || null,
+    address: emailIn.enabled ? getProjectEmailInAddress(emailIn.key) : null,
+    canManage: canManage(board, user),
+  };
+};
+
+/* ── Settings ─────────────────────────────────────── */
+
+export const getEmailInSettings = async (boardId, user) => toSettings(await loadBoard(boardId, user), user);
+
+/**
+ * Turn email-in on or off and choose its list (null = first list)
+ * @param {{ enabled?: boolean, list?: string|null }} updates
+ */
+export const updateEmailInSettings = async (boardId, user, updates = {}) => {
+  const board = await loadBoard(boardId, user);
+  assertCanManage(board, user);
+  if (updates.enabled && !isInboundEmailEnabled()) {
+    throw new ErrorResponse('Inbound email is not configured on this server', 400);
+  }
+
+  const set = {};
+  if (updates.enabled !== undefined) set['emailIn.enabled'] = Boolean(updates.enabled);
+  if (updates.list !== undefined) {
+    if (updates.list) {
+      const list = await List.exists({ _id: updates.list, board: board._id, isArchived: { $ne: true } });
+      if (!list) throw new ErrorResponse('List not found in this project', 400);
+    }
+    set['emailIn.list'] = updates.list || null;
+  }
+  // The address is created the first time email-in is switched on
+  if (set['emailIn.enabled'] && !board.emailIn?.key) set['emailIn.key'] = generateEmailInKey();
+
+  const updated = await Board.findByIdAndUpdate(board._id, { $set: set }, { new: true }).select('owner emailIn').lean();
+  return toSettings(updated, user);
+};
+
+/** Replace the address; mail to the old one is rejected from then on */
+export const regenerateEmailInAddress = async (boardId, user) => {
+  const board = await loadBoard(boardId, user);
+  assertCanManage(board, user);
+
+  const updated = await Board.findByIdAndUpdate(
+    board._id,
+    { $set: { 'emailIn.key': generateEmailInKey() } },
+    { new: true }
+  ).select('owner emailIn').lean();
+  return toSettings(updated, user);
+};
+
+export default {
+  getEmailInSettings,
+  updateEmailInSettings,
+  regenerateEmailInAddress,
+};
@@ -0,0 +1,595 @@
+/**
+ * Notification Delivery Service
+ *
+ * Decides when the email and push copies of a notification go out, using
+ * the recipient's settings.notifications:
+ *
+ *   - Quiet hours (quietHoursStart/End in quietHoursTimezone) defer email and
+ *     push until the quiet period ends. Critical notifications and test
+ *     notifications are never held.
+ *   - groupSimilar collapses events of the same type about the same item:
+ *     held copies merge into one pending delivery, and after an immediate
+ *     send, similar events inside config.notificationDelivery.groupWindowMinutes
+ *     go out together at the end of the window.
+ *   - digestMode other than 'immediate' replaces per-notification emails with
+ *     one summary email per hour, day or week. Daily and weekly digests also
+ *     list the user's assigned tasks that are overdue or due soon.
+ *
+ * Held copies are NotificationDelivery rows; the notification delivery
+ * scheduler sends them (flushDueDeliveries) and the digests (sendDueDigests).
+ * In-app notifications and Slack are not affected.
+ */
+
+import User from '../../models/User.js';
+import Card from '../../models/Card.js';
+import Notification from '../../models/Notification.js';
+import NotificationDelivery from '../../models/NotificationDelivery.js';
+import notificationService from '../../utils/notificationService.js';
+import { sendEmail } from '../../utils/email.js';
+import { getUserPushSubscriptions } from '../../utils/pushNotification.js';
+import config from '../../config/index.js';
+
+export const DIGEST_MODES = ['hourly', 'daily', 'weekly'];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Sent regardless of quiet hours
+const URGENT_TYPES = ['test_notification'];
+// Same as the automation due-date scan
+const CLOSED_STATUSES = ['done', 'closed'];
+// A delivery claimed this long ago without finishing is retried
+const CLAIM_TIMEOUT_MS = 10 * MINUTE_MS;
+const MAX_ATTEMPTS = 3;
+const FLUSH_BATCH = 100;
+const DIGEST_BATCH = 50;
+const RECIPIENT_FIELDS = 'settings email name isActive pushSubscription pushSubscriptions';
+
+/* ── Time zones ── */
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const userTimeZone = (prefs = {}) => (isValidTimeZone(prefs.quietHoursTimezone) ? prefs.quietHoursTimezone : 'UTC');
+
+// Wall-clock date and time of `date` in `timeZone`
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// The instant a wall-clock time in `timeZone` happens. `day` may run past
+// the end of the month.
+const zonedTimeToUtc = ({ year, month, day, hour, minute }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock;
+  // Two passes settle the offset, including across DST changes
+  for (let pass = 0; pass < 2; pass += 1) {
+    const local = getZonedParts(new Date(instant), timeZone);
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+};
+
+/* ── Quiet hours ── */
+
+const toMinutes = (clock) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(clock || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+export const isValidClock = (clock) => toMinutes(clock) !== null;
+
+export const isInQuietHours = (prefs = {}, at = new Date()) => {
+  if (!prefs.quietHoursEnabled) return false;
+  const start = toMinutes(prefs.quietHoursStart);
+  const end = toMinutes(prefs.quietHoursEnd);
+  if (start === null || end === null || start === end) return false;
+
+  const { hour, minute } = getZonedParts(at, userTimeZone(prefs));
+  const current = hour * 60 + minute;
+  // Overnight quiet hours, e.g. 22:00 - 08:00
+  if (start > end) return current >= start || current < end;
+  return current >= start && current < end;
+};
+
+// The next time quiet hours end after `at`
+export const getQuietHoursEnd = (prefs, at = new Date()) => {
+  const timeZone = userTimeZone(prefs);
+  const end = toMinutes(prefs.quietHoursEnd) ?? 0;
+  const local = getZonedParts(at, timeZone);
+  const endOn = (dayOffset) => zonedTimeToUtc({
+    ...local,
+    day: local.day + dayOffset,
+    hour: Math.floor(end / 60),
+    minute: end % 60
+  }, timeZone);
+
+  const today = endOn(0);
+  return today > at ? today : endOn(1);
+};
+
+/* ── Digest schedule ── */
+
+/**
+ * When the next digest for these settings is due after `after`, or null when
+ * the user gets emails immediately. Digests never land in quiet hours.
+ */
+export const getNextDigestAt = (prefs = {}, after = new Date()) => {
+  const mode = prefs.digestMode;
+  if (!DIGEST_MODES.includes(mode)) return null;
+
+  let next;
+  if (mode === 'hourly') {
+    next = new Date(after);
+    next.setUTCMinutes(0, 0, 0);
+    next = new Date(next.getTime() + HOUR_MS);
+  } else {
+    const timeZone = userTimeZone(prefs);
+    const { digestHour, digestWeekday } = config.notificationDelivery;
+    const local = getZonedParts(after, timeZone);
+    const period = mode === 'weekly' ? 7 : 1;
+    const firstDay = mode === 'weekly' ? (digestWeekday - local.weekday + 7) % 7 : 0;
+    const slotOn = (dayOffset) => zonedTimeToUtc({ ...local, day: local.day + dayOffset, hour: digestHour, minute: 0 }, timeZone);
+
+    next = slotOn(firstDay);
+    if (next <= after) next = slotOn(firstDay + period);
+  }
+
+  return isInQuietHours(prefs, next) ? getQuietHoursEnd(prefs, next) : next;
+};
+
+/**
+ * Call after a user's notification settings change. Reschedules the digest,
+ * and when digests are switched off, queues what was waiting for one as a
+ * regular email.
+ */
+export async function applyDeliverySettings(user, now = new Date()) {
+  const prefs = user.settings?.notifications || {};
+  await User.updateOne({ _id: user._id }, { $set: { nextDigestAt: getNextDigestAt(prefs, now) } });
+
+  if (!DIGEST_MODES.includes(prefs.digestMode)) {
+    await NotificationDelivery.updateMany(
+      { user: user._id, channel: 'digest', status: 'pending' },
+      { $set: { channel: 'email', deliverAfter: now } }
+    );
+  }
+}
+
+/* ── Dispatch ── */
+
+// Same type about the same item counts as similar
+const groupKeyFor = (notification) => {
+  const subject = notification.relatedCard || notification.relatedBoard || notification.entityId || '';
+  return `${notification.type}:${String(subject)}`;
+};
+
+// Holds a copy back, merging it into a pending copy of the same group
+const holdDelivery = (userId, channel, item, { groupSimilar, deliverAfter = null }) => {
+  const fields = {
+    notification: item.notification || null,
+    type: item.type,
+    title: item.title,
+    message: item.message,
+    subject: item.subject || null,
+    html: item.html || null
+  };
+  if (!groupSimilar) {
+    return NotificationDelivery.create({ user: userId, channel, groupKey: item.groupKey, deliverAfter, ...fields });
+  }
+  return NotificationDelivery.findOneAndUpdate(
+    { user: userId, channel, groupKey: item.groupKey, status: 'pending' },
+    { $inc: { count: 1 }, $set: fields, $setOnInsert: { deliverAfter } },
+    { upsert: true, new: true }
+  );
+};
+
+const sendNow = (user, channel, item, notification) => {
+  if (channel === 'push') return notificationService.sendPushNotification(notification, user);
+  if (item.html) return sendEmail({ to: user.email, subject: item.subject, html: item.html });
+  return notificationService.sendEmailNotification(notification, user);
+};
+
+const deliverOnChannel = async (user, channel, item, notification, now) => {
+  const prefs = user.settings?.notifications || {};
+  const groupSimilar = prefs.groupSimilar !== false;
+
+  if (channel === 'email' && DIGEST_MODES.includes(prefs.digestMode)) {
+    await holdDelivery(user._id, 'digest', item, { groupSimilar });
+    return;
+  }
+  if (!item.urgent && isInQuietHours(prefs, now)) {
+    await holdDelivery(user._id, channel, item, { groupSimilar, deliverAfter: getQuietHoursEnd(prefs, now) });
+    return;
+  }
+  if (groupSimilar && !item.urgent) {
+    const windowMs = config.notificationDelivery.groupWindowMinutes * MINUTE_MS;
+    const recent = await NotificationDelivery.findOne({
+      user: user._id,
+      channel,
+      groupKey: item.groupKey,
+      status: 'sent',
+      sentAt: { $gt: new Date(now.getTime() - windowMs) }
+    }).sort({ sentAt: -1 }).select('sentAt').lean();
+    if (recent) {
+      await holdDelivery(user._id, channel, item, { groupSimilar, deliverAfter: new Date(recent.sentAt.getTime() + windowMs) });
+      return;
+    }
+  }
+
+  await sendNow(user, channel, item, notification);
+  if (groupSimilar) {
+    await NotificationDelivery.create({
+      user: user._id,
+      channel,
+      status: 'sent',
+      notification: item.notification || null,
+      type: item.type,
+      groupKey: item.groupKey,
+      title: item.title,
+      message: item.message,
+      sentAt: now
+    });
+  }
+};
+
+const deliverOnChannels = async (user, channels, item, notification, now) => {
+  for (const channel of channels) {
+    try {
+      await deliverOnChannel(user, channel, item, notification, now);
+    } catch (error) {
+      console.error(`[NotificationDelivery] ${channel} delivery failed for user ${user._id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Sends or holds the email and push copies of a new notification. `user`
+ * needs settings, email, name and push subscriptions.
+ */
+export async function deliverNotification(notification, user, now = new Date()) {
+  const prefs = user.settings?.notifications || {};
+  const channels = [];
+  if (prefs.email && user.email) channels.push('email');
+  if (prefs.push && getUserPushSubscriptions(user).length > 0) channels.push('push');
+  if (!channels.length) return;
+
+  const item = {
+    notification: notification._id,
+    type: notification.type,
+    groupKey: groupKeyFor(notification),
+    title: notification.title,
+    message: notification.message,
+    urgent: notification.priority === 'critical' || URGENT_TYPES.includes(notification.type)
+  };
+  await deliverOnChannels(user, channels, item, notification, now);
+}
+
+/**
+ * The same pipeline for a ready-made email that has no in-app notification.
+ * `message` is the one-line summary used when it ends up in a digest.
+ */
+export async function deliverEmail(user, { type, groupKey, subject, html, message }, now = new Date()) {
+  if (!user.settings?.notifications?.email || !user.email) return;
+  const item = { type, groupKey: groupKey || `${type}:`, title: subject, message, subject, html };
+  await deliverOnChannels(user, ['email'], item, null, now);
+}
+
+/* ── Held deliveries ── */
+
+const groupedCopy = (delivery) => (delivery.count > 1
+  ? {
+    title: `${delivery.title} (+${delivery.count - 1} more)`,
+    message: `${delivery.count} similar updates. Latest: ${delivery.message}`
+  }
+  : { title: delivery.title, message: delivery.message });
+
+const sendHeldDelivery = async (delivery, now) => {
+  const user = await User.findById(delivery.user).select(RECIPIENT_FIELDS);
+  const prefs = user?.settings?.notifications || {};
+  const enabled = user?.isActive !== false && (delivery.channel === 'email'
+    ? prefs.email && user?.email
+    : prefs.push && getUserPushSubscriptions(user || {}).length > 0);
+
+  delivery.claimedAt = null;
+  if (!user || !enabled) {
+    delivery.status = 'dropped';
+    return delivery.save();
+  }
+  // Settings may have changed since the copy was held
+  if (delivery.channel === 'email' && DIGEST_MODES.includes(prefs.digestMode)) {
+    delivery.channel = 'digest';
+    delivery.status = 'pending';
+    return delivery.save();
+  }
+  if (isInQuietHours(prefs, now)) {
+    delivery.status = 'pending';
+    delivery.deliverAfter = getQuietHoursEnd(prefs, now);
+    return delivery.save();
+  }
+
+  const source = delivery.notification ? await Notification.findById(delivery.notification).lean() : null;
+  const copy = groupedCopy(delivery);
+  if (delivery.channel === 'push') {
+    await notificationService.sendPushNotification({ ...(source || { type: delivery.type }), user: user._id, ...copy }, user);
+  } else if (delivery.html && delivery.count === 1) {
+    await sendEmail({ to: user.email, subject: delivery.subject, html: delivery.html });
+  } else {
+    await notificationService.sendEmailNotification({ ...(source || { type: delivery.type }), ...copy }, user);
+  }
+
+  delivery.status = 'sent';
+  delivery.sentAt = new Date();
+  return delivery.save();
+};
+
+/**
+ * Sends held email and push copies that are due.
+ */
+export async function flushDueDeliveries(now = new Date()) {
+  let processed = 0;
+  for (; processed < FLUSH_BATCH; processed += 1) {
+    const delivery = await NotificationDelivery.findOneAndUpdate(
+      {
+        channel: { $in: ['email', 'push'] },
+        $or: [
+          { status: 'pending', deliverAfter: { $lte: now } },
+          { status: 'sending', claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', claimedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { deliverAfter: 1 } }
+    );
+    if (!delivery) break;
+
+    try {
+      await sendHeldDelivery(delivery, now);
+    } catch (error) {
+      console.error(`[NotificationDelivery] held ${delivery.channel} ${delivery._id} failed:`, error.message);
+      const retry = delivery.attempts < MAX_ATTEMPTS;
+      await NotificationDelivery.updateOne({ _id: delivery._id }, {
+        $set: {
+          status: retry ? 'pending' : 'dropped',
+          deliverAfter: new Date(now.getTime() + 5 * MINUTE_MS),
+          claimedAt: null
+        }
+      });
+    }
+  }
+  return { processed };
+}
+
+/* ── Digests ── */
+
+const DIGEST_SECTIONS = [
+  { key: 'assignments', label: 'Assigned to you', matches: (type) => type.endsWith('_assigned') },
+  { key: 'mentions', label: 'Mentions', matches: (type) => type.includes('mention') },
+  { key: 'dueSoon', label: 'Due soon', matches: (type) => ['task_due_soon', 'deadline_approaching', 'reminder_due_soon'].includes(type) },
+  { key: 'overdue', label: 'Overdue', matches: (type) => ['task_overdue', 'reminder_missed'].includes(type) },
+  { key: 'other', label: 'Other updates', matches: () => true }
+];
+
+const DIGEST_TITLES = { hourly: 'Your hourly summary', daily: 'Your daily summary', weekly: 'Your weekly summary' };
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const appLink = (path) => (path ? `${config.frontendUrl}${path}` : null);
+
+const formatDue = (date, timeZone) => new Date(date).toLocaleString('en-US', {
+  timeZone,
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Open tasks assigned to the user that are overdue or due within the window
+const findAssignedDueTasks = async (userId, now) => {
+  const soonUntil = new Date(now.getTime() + config.notificationDelivery.dueSoonHours * HOUR_MS);
+  const cards = await Card.find({
+    assignees: userId,
+    isArchived: { $ne: true },
+    status: { $nin: CLOSED_STATUSES },
+    dueDate: { $ne: null, $lte: soonUntil }
+  })
+    .select('title dueDate board')
+    .populate('board', 'name department')
+    .sort({ dueDate: 1 })
+    .limit(50)
+    .lean();
+
+  const lines = cards
+    .filter((card) => card.board)
+    .map((card) => ({
+      dueDate: card.dueDate,
+      title: card.title,
+      project: card.board.name,
+      link: appLink(card.board.department ? `/workflow/${card.board.department}/${card.board._id}/${card._id}` : null)
+    }));
+  return {
+    dueSoon: lines.filter((line) => line.dueDate > now),
+    overdue: lines.filter((line) => line.dueDate <= now)
+  };
+};
+
+// Held notifications grouped into digest sections
+const buildDigestSections = async (deliveries) => {
+  const notificationIds = deliveries.map((delivery) => delivery.notification).filter(Boolean);
+  const notifications = await Notification.find({ _id: { $in: notificationIds } }).select('metadata').lean();
+  const urlById = new Map(notifications.map((notification) => [notification._id.toString(), notification.metadata?.url || null]));
+
+  // Rows of one group can exist more than once (e.g. an email turned digest)
+  const groups = new Map();
+  for (const delivery of deliveries) {
+    const existing = groups.get(delivery.groupKey);
+    const url = delivery.notification ? urlById.get(delivery.notification.toString()) : null;
+    groups.set(delivery.groupKey, {
+      type: delivery.type,
+      title: delivery.title,
+      message: delivery.message,
+      count: (existing?.count || 0) + delivery.count,
+      link: appLink(url) || existing?.link || null
+    });
+  }
+
+  const sections = Object.fromEntries(DIGEST_SECTIONS.map((section) => [section.key, []]));
+  for (const entry of groups.values()) {
+    const section = DIGEST_SECTIONS.find((candidate) => candidate.matches(entry.type || ''));
+    sections[section.key].push(entry);
+  }
+  return sections;
+};
+
+const renderDigestHtml = (user, title, sections, timeZone) => {
+  const renderLine = (line) => {
+    const text = escapeHtml(line.text);
+    const label = line.link ? `<a href="${escapeHtml(line.link)}" style="color:#4f46e5;text-decoration:none">${text}</a>` : text;
+    const detail = line.detail ? `<div style="color:#68758a;font-size:13px">${escapeHtml(line.detail)}</div>` : '';
+    return `<li style="margin:0 0 10px 0">${label}${detail}</li>`;
+  };
+
+  const blocks = DIGEST_SECTIONS
+    .map((section) => {
+      const lines = sections[section.key].map((entry) => (entry.dueDate
+        ? {
+          text: entry.title,
+          detail: `${entry.project} · due ${formatDue(entry.dueDate, timeZone)}`,
+          link: entry.link
+        }
+        : {
+          text: entry.count > 1 ? `${entry.title} (×${entry.count})` : entry.title,
+          detail: entry.message,
+          link: entry.link
+        }));
+      if (!lines.length) return '';
+      return `<h3 style="margin:24px 0 8px 0;font-size:16px">${section.label}</h3><ul style="padding-left:18px;margin:0">${lines.map(renderLine).join('')}</ul>`;
+    })
+    .join('');
+
+  return `<div style="font-family:Arial,sans-serif;color:#172033;max-width:600px">
+    <h2 style="margin:0 0 4px 0">${title}</h2>
+    <p style="margin:0;color:#68758a">Hi ${escapeHtml(user.name)}, here is what happened in FlowTask.</p>
+    ${blocks}
+    <p style="margin-top:28px;color:#68758a;font-size:12px">You get this summary instead of individual emails. Change it in your <a href="${escapeHtml(appLink('/settings'))}">settings</a>.</p>
+  </div>`;
+};
+
+// Returns whether an email went out
+const sendDigest = async (user, now) => {
+  const prefs = user.settings?.notifications || {};
+  const deliveries = await NotificationDelivery.find({ user: user._id, channel: 'digest', status: 'pending' })
+    .sort({ createdAt: 1 })
+    .lean();
+  const deliveryIds = deliveries.map((delivery) => delivery._id);
+
+  if (!prefs.email || !user.email) {
+    await NotificationDelivery.updateMany({ _id: { $in: deliveryIds } }, { $set: { status: 'dropped' } });
+    return false;
+  }
+
+  const sections = await buildDigestSections(deliveries);
+  // Hourly digests stick to what happened; the task lists would repeat every hour
+  if (prefs.digestMode !== 'hourly') {
+    const { dueSoon, overdue } = await findAssignedDueTasks(user._id, now);
+    sections.dueSoon.push(...dueSoon);
+    sections.overdue.push(...overdue);
+  }
+  const itemCount = Object.values(sections).reduce((sum, lines) => sum + lines.length, 0);
+  if (!itemCount) return false;
+
+  const title = DIGEST_TITLES[prefs.digestMode] || DIGEST_TITLES.daily;
+  await sendEmail({
+    to: user.email,
+    subject: `${title}: ${itemCount} item${itemCount === 1 ? '' : 's'}`,
+    html: renderDigestHtml(user, title, sections, userTimeZone(prefs))
+  });
+  await NotificationDelivery.updateMany({ _id: { $in: deliveryIds } }, { $set: { status: 'sent', sentAt: now } });
+  return true;
+};
+
+/**
+ * Sends the digests that are due and schedules users who just switched to a
+ * digest.
+ */
+export async function sendDueDigests(now = new Date()) {
+  const unscheduled = await User.find({
+    'settings.notifications.digestMode': { $in: DIGEST_MODES },
+    nextDigestAt: null
+  }).select('settings').lean();
+  for (const user of unscheduled) {
+    await User.updateOne(
+      { _id: user._id, nextDigestAt: null },
+      { $set: { nextDigestAt: getNextDigestAt(user.settings.notifications, now) } }
+    );
+  }
+
+  const due = await User.find({
+    'settings.notifications.digestMode': { $in: DIGEST_MODES },
+    nextDigestAt: { $lte: now },
+    isActive: { $ne: false }
+  })
+    .select(`${RECIPIENT_FIELDS} nextDigestAt`)
+    .limit(DIGEST_BATCH)
+    .lean();
+
+  let sent = 0;
+  for (const user of due) {
+    // Claiming the slot keeps a second server from sending the same digest
+    const claim = await User.updateOne(
+      { _id: user._id, nextDigestAt: user.nextDigestAt },
+      { $set: { nextDigestAt: getNextDigestAt(user.settings.notifications, now) } }
+    );
+    if (claim.modifiedCount !== 1) continue;
+
+    try {
+      if (await sendDigest(user, now)) sent += 1;
+    } catch (error) {
+      console.error(`[NotificationDelivery] digest for user ${user._id} failed:`, error.message);
+    }
+  }
+  return { sent };
+}
+
+export default {
+  DIGEST_MODES,
+  isValidTimeZone,
+  isValidClock,
+  isInQuietHours,
+  getQuietHoursEnd,
+  getNextDigestAt,
+  applyDeliverySettings,
+  deliverNotification,
+  deliverEmail,
+  flushDueDeliveries,
+  sendDueDigests
+};
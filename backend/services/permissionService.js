@@ -133,3 +133,61 @@ export const getAssignmentBasedDepartmentIds = async (userId) => {
   const { default: Board } = await import('../models/Board.js');
   return Board.distinct('department', { _id: { $in: boardIds }, department: { $ne: null } });
 };
+
+// ─── Project Visibility ──────────────────────────────────────────────────────
+
+/**
+ * Build the Board query describing every project the user may see — the same
+ * rules as GET /api/boards. Returns null for unrestricted (admin) access.
+ *
+ *  - selected_projects → allowedProjects whitelist
+ *  - assigned_tasks    → owner / member / task assignments (+ team for non-employees)
+ *  - full_department   → owner / member / departments (+ public for managers, team)
+ */
+export const buildAccessibleBoardQuery = async (user) => {
+  if (userHasCapability(user, CAPABILITIES.VIEW_ALL_PROJECTS)) return null;
+
+  const userId = user._id?.toString() || user.id;
+  const isEmployee = userHasCapability(user, CAPABILITIES.FORCE_ASSIGNMENT_SCOPE);
+  const accessType = isEmployee ? 'assigned_tasks' : (user.accessType || 'full_department');
+
+  if (accessType === 'selected_projects') {
+    return { _id: { $in: user.allowedProjects || [] } };
+  }
+
+  if (accessType === 'assigned_tasks') {
+    const assignedBoardIds = await getAssignmentBasedBoardIds(userId);
+    const query = {
+      $or: [
+        { owner: userId },
+        { members: userId },
+        { _id: { $in: assignedBoardIds } },
+      ],
+    };
+    if (user.team && !isEmployee) query.$or.push({ team: user.team });
+    return query;
+  }
+
+  const query = {
+    $or: [
+      { owner: userId },
+      { members: userId },
+      { department: { $in: user.department || [] } },
+    ],
+  };
+  if (user.role === 'manager') query.$or.push({ visibility: 'public' });
+  if (user.team) query.$or.push({ team: user.team });
+  return query;
+};
+
+/**
+ * Board ObjectIds the user may see, optionally narrowed by an extra Board
+ * filter (e.g. `{ department }`). Deleted projects are always excluded.
+ */
+export const getAccessibleBoardIds = async (user, extraFilter = {}) => {
+  const { default: Board } = await import('../models/Board.js');
+  const scope = await buildAccessibleBoardQuery(user);
+  return Board.distinct('_id', {
+    $and: [scope || {}, extraFilter, { isDeleted: { $ne: true } }],
+  });
+};
@@ -0,0 +1,354 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds the OpenAPI 3.0 description of the public REST API from the stable
+ * endpoint registry. Served at GET /api/openapi.json and written to
+ * docs/openapi.json by scripts/generateOpenApi.js.
+ */
+
+import { API_TOKEN_SCOPES } from '../../models/ApiToken.js';
+import { INVOICE_STATUSES } from '../../models/Invoice.js';
+import { TIMESHEET_STATUSES } from '../../models/Timesheet.js';
+import { STABLE_ENDPOINTS, TAGS, PUBLIC_API_VERSION } from './stableEndpoints.js';
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const dateTime = { type: 'string', format: 'date-time' };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Documents are returned as stored, so schemas list the main fields and allow more
+const entity = (properties, required = []) => ({
+  type: 'object',
+  properties: { _id: objectId, ...properties, createdAt: dateTime, updatedAt: dateTime },
+  required: ['_id', ...required],
+  additionalProperties: true,
+});
+
+const SCHEMAS = {
+  Object: { type: 'object', additionalProperties: true },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' },
+      code: { type: 'string', description: 'Machine-readable reason, e.g. STALE_WRITE' },
+    },
+    required: ['success', 'message'],
+  },
+  UserSummary: {
+    type: 'object',
+    properties: { _id: objectId, name: { type: 'string' }, email: { type: 'string' }, avatar: { type: 'string' } },
+    additionalProperties: true,
+  },
+  Project: entity({
+    name: { type: 'string' },
+    description: { type: 'string' },
+    department: objectId,
+    members: { type: 'array', items: objectId },
+    status: { type: 'string' },
+    startDate: dateTime,
+    dueDate: dateTime,
+  }, ['name']),
+  ProjectUpdate: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      status: { type: 'string' },
+      startDate: dateTime,
+      dueDate: dateTime,
+      members: { type: 'array', items: objectId },
+    },
+  },
+  List: entity({ title: { type: 'string' }, board: objectId, position: { type: 'number' }, color: { type: 'string' } }, ['title']),
+  Label: entity({ name: { type: 'string' }, color: { type: 'string' }, board: objectId }, ['name']),
+  Milestone: entity({ title: { type: 'string' }, board: objectId, dueDate: dateTime, status: { type: 'string' } }),
+  Card: entity({
+    title: { type: 'string' },
+    description: { type: 'string', description: 'HTML' },
+    list: objectId,
+    board: objectId,
+    position: { type: 'number' },
+    assignees: { type: 'array', items: { oneOf: [objectId, ref('UserSummary')] } },
+    labels: { type: 'array', items: { oneOf: [objectId, ref('Object')] } },
+    priority: { type: 'string' },
+    status: { type: 'string' },
+    startDate: { ...dateTime, nullable: true },
+    dueDate: { ...dateTime, nullable: true },
+    isArchived: { type: 'boolean' },
+  }, ['title', 'list', 'board']),
+  CardCreate: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      list: objectId,
+      board: objectId,
+      description: { type: 'string' },
+      assignees: { type: 'array', items: objectId },
+      priority: { type: 'string' },
+      startDate: dateTime,
+      dueDate: dateTime,
+    },
+    required: ['title', 'list', 'board'],
+  },
+  CardUpdate: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      assignees: { type: 'array', items: objectId },
+      priority: { type: 'string' },
+      status: { type: 'string' },
+      startDate: { ...dateTime, nullable: true },
+      dueDate: { ...dateTime, nullable: true },
+    },
+  },
+  CardMove: {
+    type: 'object',
+    properties: { destinationListId: objectId, newPosition: { type: 'integer', minimum: 0 } },
+    required: ['destinationListId'],
+  },
+  Subtask: entity({
+    task: objectId,
+    board: objectId,
+    title: { type: 'string' },
+    description: { type: 'string' },
+    status: { type: 'string' },
+    priority: { type: 'string' },
+    assignees: { type: 'array', items: { oneOf: [objectId, ref('UserSummary')] } },
+    dueDate: { ...dateTime, nullable: true },
+    order: { type: 'number' },
+  }, ['task', 'title']),
+  SubtaskCreate: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      assignees: { type: 'array', items: objectId },
+      dueDate: dateTime,
+    },
+    required: ['title'],
+  },
+  SubtaskUpdate: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      status: { type: 'string' },
+      priority: { type: 'string' },
+      assignees: { type: 'array', items: objectId },
+      dueDate: { ...dateTime, nullable: true },
+    },
+  },
+  Comment: entity({
+    htmlContent: { type: 'string' },
+    card: objectId,
+    user: ref('UserSummary'),
+    isEdited: { type: 'boolean' },
+    editedAt: { ...dateTime, nullable: true },
+  }, ['htmlContent']),
+  CommentCreate: {
+    type: 'object',
+    properties: { htmlContent: { type: 'string' }, card: objectId },
+    required: ['htmlContent', 'card'],
+  },
+  CommentUpdate: {
+    type: 'object',
+    properties: { htmlContent: { type: 'string' } },
+    required: ['htmlContent'],
+  },
+  Activity: entity({ type: { type: 'string' }, description: { type: 'string' }, user: ref('UserSummary') }),
+  TimeEntryCreate: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['estimation', 'logged'] },
+      entry: {
+        type: 'object',
+        properties: {
+          hours: { type: 'integer', minimum: 0 },
+          minutes: { type: 'integer', minimum: 0, maximum: 59 },
+          description: { type: 'string' },
+          reason: { type: 'string', description: 'For estimations' },
+          date: dateTime,
+        },
+        required: ['hours', 'minutes'],
+      },
+    },
+    required: ['type', 'entry'],
+  },
+  Timer: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      itemType: { type: 'string' },
+      itemId: objectId,
+      title: { type: 'string' },
+      startedAt: dateTime,
+      elapsedSeconds: { type: 'integer' },
+    },
+    additionalProperties: true,
+  },
+  Timesheet: entity({
+    user: { oneOf: [objectId, ref('UserSummary')] },
+    weekStart: dateTime,
+    status: { type: 'string', enum: TIMESHEET_STATUSES },
+    totalMinutes: { type: 'integer' },
+  }),
+  Invoice: entity({
+    board: objectId,
+    number: { type: 'string', nullable: true },
+    status: { type: 'string', enum: INVOICE_STATUSES },
+    periodStart: { type: 'string', format: 'date' },
+    periodEnd: { type: 'string', format: 'date' },
+    subtotalCents: { type: 'integer' },
+    taxCents: { type: 'integer' },
+    totalCents: { type: 'integer' },
+    issueDate: { ...dateTime, nullable: true },
+    dueDate: { ...dateTime, nullable: true },
+  }, ['status']),
+  InvoiceCreate: {
+    type: 'object',
+    properties: {
+      projectId: objectId,
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' },
+    },
+    required: ['projectId', 'startDate', 'endDate'],
+  },
+  InvoiceStatusUpdate: {
+    type: 'object',
+    properties: { status: { type: 'string', enum: INVOICE_STATUSES.filter((status) => status !== 'draft') } },
+    required: ['status'],
+  },
+  User: entity({
+    name: { type: 'string' },
+    email: { type: 'string' },
+    role: { type: 'string' },
+    department: { type: 'array', items: objectId },
+    avatar: { type: 'string' },
+    isActive: { type: 'boolean' },
+  }, ['name', 'email']),
+};
+
+const QUERY_PARAMETERS = {
+  limit: { schema: { type: 'integer', minimum: 1 }, description: 'Maximum number of results' },
+  page: { schema: { type: 'integer', minimum: 1 }, description: 'Page number, from 1' },
+  scope: { schema: { type: 'string', enum: ['mine', 'team'] }, description: '`team` lists the timesheets you review' },
+  weekStart: { schema: { type: 'string', format: 'date' }, description: 'Monday of the week; defaults to this week' },
+  startDate: { schema: { type: 'string', format: 'date' }, description: 'Start of the period (inclusive)' },
+  endDate: { schema: { type: 'string', format: 'date' }, description: 'End of the period (inclusive)' },
+  status: { schema: { type: 'string', enum: INVOICE_STATUSES }, description: 'Only invoices in this status' },
+  projectId: { schema: objectId, description: 'Only invoices for this project' },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+const RESPONSES = {
+  Unauthorized: errorResponse('Missing, invalid, expired or revoked token'),
+  Forbidden: errorResponse('The token lacks the scope, or its owner lacks access'),
+  NotFound: errorResponse('No such item, or not visible to the token owner'),
+  Conflict: errorResponse('Changed since the X-Base-Updated-At time (code STALE_WRITE); `data` holds the current item'),
+  TooManyRequests: errorResponse('The token\'s rate limit was reached; retry after the X-RateLimit-Reset time'),
+};
+
+const envelope = (response) => {
+  if (!response) {
+    return { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' } } };
+  }
+  const data = Array.isArray(response)
+    ? { type: 'array', items: ref(response[0]) }
+    : ref(response);
+  return { type: 'object', properties: { success: { type: 'boolean' }, data }, required: ['success'] };
+};
+
+const buildOperation = (endpoint) => {
+  const pathParameters = [...endpoint.path.matchAll(/\{([^}]+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: objectId,
+  }));
+  const queryParameters = (endpoint.query || []).map((name) => ({
+    name,
+    in: 'query',
+    required: false,
+    ...QUERY_PARAMETERS[name],
+  }));
+  const parameters = [...pathParameters, ...queryParameters];
+  if (endpoint.staleCheck) {
+    parameters.push({
+      name: 'X-Base-Updated-At',
+      in: 'header',
+      required: false,
+      schema: dateTime,
+      description: 'The `updatedAt` you last read; the write is refused with 409 if the item changed since',
+    });
+  }
+
+  const responses = {
+    [endpoint.status || 200]: {
+      description: 'Success',
+      content: { 'application/json': { schema: envelope(endpoint.response) } },
+    },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    403: { $ref: '#/components/responses/Forbidden' },
+    429: { $ref: '#/components/responses/TooManyRequests' },
+  };
+  if (pathParameters.length > 0) responses[404] = { $ref: '#/components/responses/NotFound' };
+  if (endpoint.staleCheck) responses[409] = { $ref: '#/components/responses/Conflict' };
+
+  return {
+    tags: [endpoint.tag],
+    summary: endpoint.summary,
+    description: `Requires the \`${endpoint.scope}\` scope.`,
+    'x-required-scope': endpoint.scope,
+    ...(parameters.length > 0 && { parameters }),
+    ...(endpoint.body && {
+      requestBody: { required: true, content: { 'application/json': { schema: ref(endpoint.body) } } },
+    }),
+    responses,
+  };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl] - Base URL of the API; paths already start with /api
+ */
+export const buildOpenApiDocument = ({ serverUrl } = {}) => {
+  const paths = {};
+  STABLE_ENDPOINTS.forEach((endpoint) => {
+    paths[endpoint.path] = { ...paths[endpoint.path], [endpoint.method]: buildOperation(endpoint) };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'FlowTask API',
+      version: PUBLIC_API_VERSION,
+      description: [
+        'Authenticate with a personal access token or service API key, created under Settings → API tokens:',
+        '`Authorization: Bearer <token>`. A token acts as its owner, so it never sees more than they can,',
+        'and only on the endpoints listed here, within its scopes.',
+        '',
+        `Scopes: ${API_TOKEN_SCOPES.map((scope) => `\`${scope}\``).join(', ')}.`,
+        '',
+        'Each token has its own rate limit, reported in the X-RateLimit-* response headers.',
+      ].join('\n'),
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    tags: TAGS,
+    security: [{ apiToken: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiToken: { type: 'http', scheme: 'bearer', description: 'Personal access token (ftp_…) or service API key (fts_…)' },
+      },
+      schemas: SCHEMAS,
+      responses: RESPONSES,
+    },
+  };
+};
+
+export default buildOpenApiDocument;
@@ -0,0 +1,99 @@
+/**
+ * Stable Endpoints
+ *
+ * The routes that make up the public REST API: the only ones an API token may
+ * call, each with the scope it needs. The OpenAPI document is generated from
+ * this list, so adding an endpoint here both opens it to tokens and documents
+ * it. Everything else stays session-only and may change without notice.
+ *
+ * Path parameters are written `{name}` and always hold a MongoDB ObjectId.
+ */
+
+export const PUBLIC_API_VERSION = '1.0.0';
+
+export const TAGS = Object.freeze([
+  { name: 'Projects', description: 'Projects (boards), their lists, labels and milestones' },
+  { name: 'Cards', description: 'Tasks and subtasks' },
+  { name: 'Comments', description: 'Comments on tasks' },
+  { name: 'Time', description: 'Time entries, timers and timesheets' },
+  { name: 'Finance', description: 'Finance summaries and client invoices' },
+  { name: 'Users', description: 'People in the workspace' },
+]);
+
+// `body` and `response` name schemas in the document's components; an array
+// response is written [name]. `query` lists optional query parameters.
+export const STABLE_ENDPOINTS = Object.freeze([
+  /* ── Projects ── */
+  { method: 'get', path: '/api/boards', scope: 'read:projects', tag: 'Projects', summary: 'List the projects you can see', response: ['Project'] },
+  { method: 'get', path: '/api/boards/department/{departmentId}', scope: 'read:projects', tag: 'Projects', summary: 'List a department\'s projects', response: ['Project'] },
+  { method: 'get', path: '/api/boards/{id}', scope: 'read:projects', tag: 'Projects', summary: 'Get a project', response: 'Project' },
+  { method: 'put', path: '/api/boards/{id}', scope: 'write:projects', tag: 'Projects', summary: 'Update a project', body: 'ProjectUpdate', response: 'Project' },
+  { method: 'get', path: '/api/lists/board/{boardId}', scope: 'read:projects', tag: 'Projects', summary: 'List a project\'s lists (columns)', response: ['List'] },
+  { method: 'get', path: '/api/labels/board/{boardId}', scope: 'read:projects', tag: 'Projects', summary: 'List a project\'s labels', response: ['Label'] },
+  { method: 'get', path: '/api/projects/{id}/milestones', scope: 'read:projects', tag: 'Projects', summary: 'List a project\'s milestones', response: ['Milestone'] },
+
+  /* ── Cards ── */
+  { method: 'get', path: '/api/cards/board/{boardId}', scope: 'read:cards', tag: 'Cards', summary: 'List a project\'s tasks', response: ['Card'] },
+  { method: 'get', path: '/api/cards/list/{listId}', scope: 'read:cards', tag: 'Cards', summary: 'List the tasks in a list', response: ['Card'] },
+  { method: 'get', path: '/api/cards/department/{departmentId}', scope: 'read:cards', tag: 'Cards', summary: 'List a department\'s tasks', response: ['Card'] },
+  { method: 'get', path: '/api/cards/{id}', scope: 'read:cards', tag: 'Cards', summary: 'Get a task', response: 'Card' },
+  { method: 'get', path: '/api/cards/{id}/activity', scope: 'read:cards', tag: 'Cards', summary: 'Get a task\'s activity log', query: ['limit', 'page'], response: ['Activity'] },
+  { method: 'post', path: '/api/cards', scope: 'write:cards', tag: 'Cards', summary: 'Create a task', body: 'CardCreate', response: 'Card', status: 201 },
+  { method: 'put', path: '/api/cards/{id}', scope: 'write:cards', tag: 'Cards', summary: 'Update a task', body: 'CardUpdate', response: 'Card', staleCheck: true },
+  { method: 'put', path: '/api/cards/{id}/move', scope: 'write:cards', tag: 'Cards', summary: 'Move a task to another list', body: 'CardMove', response: 'Card' },
+  { method: 'put', path: '/api/cards/{id}/archive', scope: 'write:cards', tag: 'Cards', summary: 'Archive a task', response: 'Card' },
+  { method: 'delete', path: '/api/cards/{id}', scope: 'write:cards', tag: 'Cards', summary: 'Delete a task', staleCheck: true },
+  { method: 'get', path: '/api/subtasks/task/{taskId}', scope: 'read:cards', tag: 'Cards', summary: 'List a task\'s subtasks', response: ['Subtask'] },
+  { method: 'post', path: '/api/subtasks/task/{taskId}', scope: 'write:cards', tag: 'Cards', summary: 'Add a subtask to a task', body: 'SubtaskCreate', response: 'Subtask', status: 201 },
+  { method: 'get', path: '/api/subtasks/{id}', scope: 'read:cards', tag: 'Cards', summary: 'Get a subtask', response: 'Subtask' },
+  { method: 'put', path: '/api/subtasks/{id}', scope: 'write:cards', tag: 'Cards', summary: 'Update a subtask', body: 'SubtaskUpdate', response: 'Subtask', staleCheck: true },
+  { method: 'delete', path: '/api/subtasks/{id}', scope: 'write:cards', tag: 'Cards', summary: 'Delete a subtask', staleCheck: true },
+
+  /* ── Comments ── */
+  { method: 'get', path: '/api/comments/card/{cardId}', scope: 'read:comments', tag: 'Comments', summary: 'List a task\'s comments', response: ['Comment'] },
+  { method: 'post', path: '/api/comments', scope: 'write:comments', tag: 'Comments', summary: 'Comment on a task', body: 'CommentCreate', response: 'Comment', status: 201 },
+  { method: 'put', path: '/api/comments/{id}', scope: 'write:comments', tag: 'Comments', summary: 'Edit your comment', body: 'CommentUpdate', response: 'Comment', staleCheck: true },
+  { method: 'delete', path: '/api/comments/{id}', scope: 'write:comments', tag: 'Comments', summary: 'Delete your comment', staleCheck: true },
+
+  /* ── Time ── */
+  { method: 'post', path: '/api/cards/{id}/time-tracking', scope: 'write:time', tag: 'Time', summary: 'Add an estimate or logged time to a task', body: 'TimeEntryCreate', response: 'Card', status: 201 },
+  { method: 'get', path: '/api/timers/current', scope: 'read:time', tag: 'Time', summary: 'Get your running timer', response: 'Timer' },
+  { method: 'get', path: '/api/timesheets', scope: 'read:time', tag: 'Time', summary: 'List your timesheets, or the ones you review', query: ['scope'], response: ['Timesheet'] },
+  { method: 'get', path: '/api/timesheets/week', scope: 'read:time', tag: 'Time', summary: 'Get your timesheet for a week', query: ['weekStart'], response: 'Timesheet' },
+  { method: 'get', path: '/api/timesheets/{id}', scope: 'read:time', tag: 'Time', summary: 'Get a timesheet with its entries', response: 'Timesheet' },
+
+  /* ── Finance ── */
+  { method: 'get', path: '/api/finance/summary', scope: 'read:finance', tag: 'Finance', summary: 'Finance totals for a period', query: ['startDate', 'endDate'], response: 'Object' },
+  { method: 'get', path: '/api/finance/projects', scope: 'read:finance', tag: 'Finance', summary: 'Time and revenue per project', query: ['startDate', 'endDate'], response: ['Object'] },
+  { method: 'get', path: '/api/finance/users', scope: 'read:finance', tag: 'Finance', summary: 'Time and cost per person', query: ['startDate', 'endDate'], response: ['Object'] },
+  { method: 'get', path: '/api/finance/invoices', scope: 'read:finance', tag: 'Finance', summary: 'List invoices', query: ['status', 'projectId', 'limit'], response: ['Invoice'] },
+  { method: 'get', path: '/api/finance/invoices/receivables', scope: 'read:finance', tag: 'Finance', summary: 'Outstanding invoice totals', response: 'Object' },
+  { method: 'get', path: '/api/finance/invoices/{id}', scope: 'read:finance', tag: 'Finance', summary: 'Get an invoice', response: 'Invoice' },
+  { method: 'post', path: '/api/finance/invoices', scope: 'write:finance', tag: 'Finance', summary: 'Draft an invoice', body: 'InvoiceCreate', response: 'Invoice', status: 201 },
+  { method: 'patch', path: '/api/finance/invoices/{id}/status', scope: 'write:finance', tag: 'Finance', summary: 'Mark an invoice sent or paid', body: 'InvoiceStatusUpdate', response: 'Invoice' },
+
+  /* ── Users ── */
+  { method: 'get', path: '/api/users/profile', scope: 'read:users', tag: 'Users', summary: 'Get the token owner\'s profile', response: 'User' },
+  { method: 'get', path: '/api/users', scope: 'read:users', tag: 'Users', summary: 'List users (HR and admins)', response: ['User'] },
+  { method: 'get', path: '/api/users/{id}', scope: 'read:users', tag: 'Users', summary: 'Get a user', response: 'User' },
+]);
+
+/* ── Matching ── */
+
+const OBJECT_ID_SEGMENT = '[0-9a-fA-F]{24}';
+
+const compiled = STABLE_ENDPOINTS.map((endpoint) => ({
+  endpoint,
+  pattern: new RegExp(`^${endpoint.path.replace(/\{[^}]+\}/g, OBJECT_ID_SEGMENT)}/?$`),
+}));
+
+/**
+ * The stable endpoint a request is for, or null.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without the query string
+ */
+export const matchStableEndpoint = (method, path) => {
+  const verb = String(method).toLowerCase() === 'head' ? 'get' : String(method).toLowerCase();
+  const match = compiled.find(({ endpoint, pattern }) => endpoint.method === verb && pattern.test(path));
+  return match?.endpoint || null;
+};
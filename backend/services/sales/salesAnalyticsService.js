@@ -0,0 +1,307 @@
+/**
+ * Sales Analytics Service
+ *
+ * Pipeline metrics over SalesRow for the sales analytics page:
+ *  - funnel: bids → replied → won → converted to a project, plus a count per status
+ *  - reply rate, win rate and connects per hire per profile / platform / technology
+ *  - the same metrics per month (monthName) and per row creator
+ *  - follow-up latency: days between the bid date and the follow-up date
+ *
+ * A row is "won" when its status is in config.sales.wonStatuses and "replied"
+ * when Reply From Client is set to anything but config.sales.noReplyValues.
+ * All metrics are computed over the rows matching the caller's query, so
+ * filtering by month or creator slices every section at once.
+ */
+
+import ExcelJS from 'exceljs';
+import SalesRow from '../../models/SalesRow.js';
+import User from '../../models/User.js';
+import config from '../../config/index.js';
+import { isWonStatus } from './salesConversionService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FOLLOW_UP_BUCKETS = [
+  { label: 'Same day', max: 0 },
+  { label: '1–3 days', max: 3 },
+  { label: '4–7 days', max: 7 },
+  { label: '8–14 days', max: 14 },
+  { label: '15+ days', max: Infinity },
+];
+
+const BREAKDOWNS = [
+  { key: 'byProfile', label: 'Profile', field: 'profile' },
+  { key: 'byPlatform', label: 'Platform', field: 'platform' },
+  { key: 'byTechnology', label: 'Technology', field: 'technology' },
+  { key: 'byMonth', label: 'Month', field: 'monthName' },
+  { key: 'byCreator', label: 'Created by', field: 'createdBy' },
+];
+
+/* ── Helpers ── */
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const round1 = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+export const isReplied = (reply) => {
+  const value = String(reply || '').trim().toLowerCase();
+  return value !== '' && !config.sales.noReplyValues.includes(value);
+};
+
+// Days from the bid to the planned follow-up, or null when either is missing
+const followUpDays = (row) => {
+  if (!row.date || !row.followUpDate) return null;
+  const days = Math.round((new Date(row.followUpDate) - new Date(row.date)) / DAY_MS);
+  return days >= 0 ? days : null;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const emptyBucket = () => ({
+  bids: 0,
+  replies: 0,
+  wins: 0,
+  converted: 0,
+  connects: 0,
+  followUpDays: [],
+  firstDate: null,
+});
+
+const addRow = (bucket, row) => {
+  bucket.bids += 1;
+  if (row.replied) bucket.replies += 1;
+  if (row.won) bucket.wins += 1;
+  if (row.converted) bucket.converted += 1;
+  bucket.connects += row.connects || 0;
+  if (row.followUpDays != null) bucket.followUpDays.push(row.followUpDays);
+  if (row.date && (!bucket.firstDate || row.date < bucket.firstDate)) bucket.firstDate = row.date;
+};
+
+const summarize = (bucket) => ({
+  bids: bucket.bids,
+  replies: bucket.replies,
+  wins: bucket.wins,
+  converted: bucket.converted,
+  replyRate: percent(bucket.replies, bucket.bids),
+  winRate: percent(bucket.wins, bucket.bids),
+  connects: bucket.connects,
+  connectsPerHire: bucket.wins > 0 ? round1(bucket.connects / bucket.wins) : null,
+  avgFollowUpDays: bucket.followUpDays.length
+    ? round1(bucket.followUpDays.reduce((sum, days) => sum + days, 0) / bucket.followUpDays.length)
+    : null,
+});
+
+/* ── Analytics ── */
+
+/**
+ * Compute every analytics section for the rows matching a query
+ * @param {Object} query - SalesRow filter (see buildSalesQuery in salesController)
+ * @returns {Promise<Object>} { totals, funnel, byStatus, byProfile, byPlatform, byTechnology, byMonth, byCreator, followUp }
+ */
+export const buildSalesAnalytics = async (query) => {
+  const rawRows = await SalesRow.find(query)
+    .select('date monthName platform profile technology status replyFromClient connects followUpDate createdBy convertedProject')
+    .populate('createdBy', 'name')
+    .lean();
+
+  const now = new Date();
+  const totals = emptyBucket();
+  const statusCounts = new Map();
+  const groups = Object.fromEntries(BREAKDOWNS.map(({ key }) => [key, new Map()]));
+  let overdueFollowUps = 0;
+
+  for (const raw of rawRows) {
+    const row = {
+      ...raw,
+      replied: isReplied(raw.replyFromClient),
+      won: isWonStatus(raw.status),
+      converted: !!raw.convertedProject?.board,
+      followUpDays: followUpDays(raw),
+    };
+
+    addRow(totals, row);
+
+    const status = String(raw.status || '').trim() || '(no status)';
+    statusCounts.set(status, (statusCounts.get(status) || 0) + 1);
+
+    if (raw.followUpDate && new Date(raw.followUpDate) < now && !row.won) overdueFollowUps += 1;
+
+    for (const { key, field } of BREAKDOWNS) {
+      const groupId = field === 'createdBy'
+        ? raw.createdBy?._id?.toString() || 'unknown'
+        : String(raw[field] || '').trim() || '(blank)';
+      if (!groups[key].has(groupId)) {
+        groups[key].set(groupId, {
+          ...emptyBucket(),
+          label: field === 'createdBy' ? raw.createdBy?.name || 'Unknown' : groupId,
+        });
+      }
+      addRow(groups[key].get(groupId), row);
+    }
+  }
+
+  const breakdowns = {};
+  for (const { key } of BREAKDOWNS) {
+    const entries = [...groups[key].entries()].map(([id, bucket]) => ({
+      id,
+      label: bucket.label,
+      firstDate: bucket.firstDate,
+      ...summarize(bucket),
+    }));
+    // Months read best in calendar order, everything else by volume
+    entries.sort(key === 'byMonth'
+      ? (a, b) => new Date(a.firstDate || 0) - new Date(b.firstDate || 0)
+      : (a, b) => b.bids - a.bids || a.label.localeCompare(b.label));
+    breakdowns[key] = entries.map(({ firstDate, ...entry }) => entry);
+  }
+
+  const summary = summarize(totals);
+  const latencies = totals.followUpDays;
+
+  return {
+    totals: summary,
+    funnel: [
+      { key: 'bids', label: 'Bids', count: summary.bids, rate: 100 },
+      { key: 'replied', label: 'Replied', count: summary.replies, rate: summary.replyRate },
+      { key: 'won', label: 'Won', count: summary.wins, rate: summary.winRate },
+      { key: 'converted', label: 'Converted to project', count: summary.converted, rate: percent(summary.converted, summary.bids) },
+    ],
+    byStatus: [...statusCounts.entries()]
+      .map(([status, count]) => ({ status, count, share: percent(count, summary.bids), won: isWonStatus(status) }))
+      .sort((a, b) => b.count - a.count),
+    ...breakdowns,
+    followUp: {
+      withFollowUp: latencies.length,
+      withoutFollowUp: summary.bids - latencies.length,
+      avgDays: summary.avgFollowUpDays,
+      medianDays: round1(median(latencies)),
+      overdue: overdueFollowUps,
+      buckets: FOLLOW_UP_BUCKETS.map((bucket, index) => {
+        const min = index === 0 ? 0 : FOLLOW_UP_BUCKETS[index - 1].max + 1;
+        return {
+          label: bucket.label,
+          count: latencies.filter((days) => days >= min && days <= bucket.max).length,
+        };
+      }),
+    },
+  };
+};
+
+/**
+ * Months and row creators available as analytics filters
+ * @returns {Promise<{months: string[], creators: Array<{id: string, name: string}>}>}
+ */
+export const getAnalyticsFilterOptions = async () => {
+  const [monthStats, creatorIds] = await Promise.all([
+    SalesRow.aggregate([
+      { $match: { isDeleted: false, monthName: { $nin: [null, ''] } } },
+      { $group: { _id: '$monthName', firstDate: { $min: '$date' } } },
+      { $sort: { firstDate: -1 } },
+    ]),
+    SalesRow.distinct('createdBy', { isDeleted: false }),
+  ]);
+
+  const creators = await User.find({ _id: { $in: creatorIds } }).select('name').sort({ name: 1 }).lean();
+
+  return {
+    months: monthStats.map((month) => month._id),
+    creators: creators.map((user) => ({ id: user._id.toString(), name: user.name })),
+  };
+};
+
+/* ── Export ── */
+
+const METRIC_COLUMNS = [
+  { header: 'Bids', key: 'bids', width: 10 },
+  { header: 'Replies', key: 'replies', width: 10 },
+  { header: 'Reply Rate %', key: 'replyRate', width: 14 },
+  { header: 'Won', key: 'wins', width: 10 },
+  { header: 'Win Rate %', key: 'winRate', width: 12 },
+  { header: 'Converted', key: 'converted', width: 12 },
+  { header: 'Connects', key: 'connects', width: 12 },
+  { header: 'Connects per Hire', key: 'connectsPerHire', width: 18 },
+  { header: 'Avg Follow-up Days', key: 'avgFollowUpDays', width: 20 },
+];
+
+const addSheet = (workbook, name, columns, rows) => {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns;
+  rows.forEach((row) => worksheet.addRow(row));
+  worksheet.getRow(1).font = { bold: true };
+  return worksheet;
+};
+
+/**
+ * Build the analytics export workbook
+ *
+ * Excel gets one sheet per section. CSV holds a single sheet, so for CSV every
+ * section is stacked into one table with a Section column.
+ * @param {Object} analytics - Result of buildSalesAnalytics
+ * @param {'csv'|'xlsx'} format
+ * @returns {ExcelJS.Workbook}
+ */
+export const buildAnalyticsWorkbook = (analytics, format = 'xlsx') => {
+  const workbook = new ExcelJS.Workbook();
+  const sections = [
+    { name: 'Total', rows: [{ label: 'All rows', ...analytics.totals }] },
+    ...BREAKDOWNS.map(({ key, label }) => ({ name: label, rows: analytics[key] })),
+  ];
+
+  if (format === 'csv') {
+    addSheet(
+      workbook,
+      'Sales Analytics',
+      [{ header: 'Section', key: 'section' }, { header: 'Group', key: 'label' }, ...METRIC_COLUMNS],
+      [
+        ...sections.flatMap((section) => section.rows.map((row) => ({ section: section.name, ...row }))),
+        ...analytics.funnel.map((stage) => ({ section: 'Funnel', label: stage.label, bids: stage.count })),
+        ...analytics.byStatus.map((status) => ({ section: 'Status', label: status.status, bids: status.count })),
+        ...analytics.followUp.buckets.map((bucket) => ({ section: 'Follow-up latency', label: bucket.label, bids: bucket.count })),
+      ]
+    );
+    return workbook;
+  }
+
+  addSheet(workbook, 'Funnel', [
+    { header: 'Stage', key: 'label', width: 24 },
+    { header: 'Rows', key: 'count', width: 10 },
+    { header: '% of Bids', key: 'rate', width: 12 },
+  ], analytics.funnel);
+
+  addSheet(workbook, 'Status', [
+    { header: 'Status', key: 'status', width: 24 },
+    { header: 'Rows', key: 'count', width: 10 },
+    { header: 'Share %', key: 'share', width: 10 },
+  ], analytics.byStatus);
+
+  for (const section of sections) {
+    addSheet(workbook, section.name, [{ header: section.name, key: 'label', width: 24 }, ...METRIC_COLUMNS], section.rows);
+  }
+
+  const { followUp } = analytics;
+  addSheet(workbook, 'Follow-up Latency', [
+    { header: 'Metric', key: 'label', width: 28 },
+    { header: 'Value', key: 'value', width: 12 },
+  ], [
+    { label: 'Rows with a follow-up date', value: followUp.withFollowUp },
+    { label: 'Rows without a follow-up date', value: followUp.withoutFollowUp },
+    { label: 'Average days to follow-up', value: followUp.avgDays },
+    { label: 'Median days to follow-up', value: followUp.medianDays },
+    { label: 'Overdue follow-ups', value: followUp.overdue },
+    ...followUp.buckets.map((bucket) => ({ label: bucket.label, value: bucket.count })),
+  ]);
+
+  return workbook;
+};
+
+export default {
+  isReplied,
+  buildSalesAnalytics,
+  getAnalyticsFilterOptions,
+  buildAnalyticsWorkbook,
+};
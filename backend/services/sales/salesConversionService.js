@@ -0,0 +1,238 @@
+/**
+ * Sales Conversion Service
+ *
+ * Turns a won sales row (status in config.sales.wonStatuses) into a project.
+ *
+ * The row's bid link, platform, profile, rate and client rating / budget /
+ * location pre-fill the project; whatever the coordinator enters wins over
+ * the pre-filled values. The two records link both ways:
+ *  - SalesRow.convertedProject → the Board
+ *  - Board.salesOrigin         → the row, plus its platform / profile / technology,
+ *                                so finance and PM sheet reports can attribute
+ *                                project revenue to the originating sales profile
+ * A row converts once; it can convert again only if its project was deleted.
+ */
+
+import Board from '../../models/Board.js';
+import SalesRow from '../../models/SalesRow.js';
+import SalesActivityLog from '../../models/SalesActivityLog.js';
+import boardService from '../domain/boardService.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import config from '../../config/index.js';
+
+// Fields the coordinator may set or override in the convert dialog
+const PROJECT_INPUT_FIELDS = [
+  'name',
+  'description',
+  'department',
+  'members',
+  'startDate',
+  'dueDate',
+  'projectUrl',
+  'projectSource',
+  'upworkId',
+  'billingCycle',
+  'hourlyPrice',
+  'fixedPrice',
+  'projectCategory',
+  'estimatedTime',
+  'priority',
+  'visibility',
+];
+
+const CLIENT_DETAIL_FIELDS = [
+  'clientName',
+  'clientEmail',
+  'clientWhatsappNumber',
+  'clientLocation',
+  'clientRating',
+  'clientBudget',
+];
+
+/* ── Helpers ── */
+
+// A conversion claim older than this is treated as abandoned (e.g. a crash)
+const CONVERSION_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+const isConverting = (row) =>
+  Boolean(row.convertedProject?.convertingAt)
+  && Date.now() - new Date(row.convertedProject.convertingAt).getTime() < CONVERSION_CLAIM_TTL_MS;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+export const isWonStatus = (status) =>
+  config.sales.wonStatuses.includes(String(status || '').trim().toLowerCase());
+
+// Upwork job links carry the job id after a tilde: /jobs/~01abc..., /apply/Title_~01abc.../
+const parseUpworkId = (url) => {
+  const match = String(url || '').match(/~([0-9a-z]{8,})/i);
+  return match ? `~${match[1]}` : '';
+};
+
+const findLinkedProject = async (row) => {
+  const boardId = row.convertedProject?.board;
+  if (!boardId) return null;
+  return Board.findOne({ _id: boardId, isDeleted: { $ne: true } }).select('name department').lean();
+};
+
+/* ── Draft ── */
+
+/**
+ * Project fields pre-filled from a sales row
+ * @param {Object} row - SalesRow document or plain object
+ * @returns {Object} Values shaped like the createBoard request body
+ */
+export const buildProjectDraft = (row) => {
+  const bidUrl = row.bidLink?.url || '';
+  const isUpwork = /upwork/i.test(row.platform || '') || /upwork\.com/i.test(bidUrl);
+  const hasRate = typeof row.rate === 'number' && row.rate > 0;
+
+  return {
+    name: [row.technology, row.platform].filter(Boolean).join(' — '),
+    projectType: 'Hired Client',
+    projectSource: row.platform || '',
+    projectUrl: bidUrl,
+    upworkId: isUpwork ? parseUpworkId(bidUrl) : '',
+    billingCycle: hasRate ? 'hr' : '',
+    hourlyPrice: hasRate ? row.rate : undefined,
+    clientDetails: {
+      clientLocation: row.clientLocation || '',
+      clientRating: typeof row.clientRating === 'number' ? row.clientRating : undefined,
+      clientBudget: row.clientBudget || '',
+    },
+    salesOrigin: {
+      salesRow: row._id,
+      platform: row.platform,
+      profile: row.profile,
+      technology: row.technology,
+      bidUrl: bidUrl || undefined,
+    },
+  };
+};
+
+/**
+ * Load a row and check it can be converted
+ * @returns {Promise<{row: Object, draft: Object, linkedProject: Object|null, canConvert: boolean, reason: string|null}>}
+ */
+export const getConversionDraft = async (rowId) => {
+  const row = await SalesRow.findById(rowId).lean();
+  if (!row || row.isDeleted) throw new ErrorResponse('Sales row not found', 404);
+
+  const linkedProject = await findLinkedProject(row);
+  let reason = null;
+  if (linkedProject) reason = `Already converted to project "${linkedProject.name}"`;
+  else if (isConverting(row)) reason = 'This row is already being converted to a project';
+  else if (!isWonStatus(row.status)) reason = `Only rows with status ${config.sales.wonStatuses.join(' / ')} can be converted`;
+
+  return { row, draft: buildProjectDraft(row), linkedProject, canConvert: !reason, reason };
+};
+
+/* ── Convert ── */
+
+/**
+ * Create a project from a won sales row and link the two
+ * @param {string} rowId
+ * @param {Object} input - Project fields from the convert dialog (see PROJECT_INPUT_FIELDS)
+ * @param {Object} user - req.user
+ * @param {{ipAddress?: string, userAgent?: string}} [requestMeta]
+ * @returns {Promise<{board: Object, row: Object}>} The populated board and the updated row document
+ */
+export const convertRowToProject = async (rowId, input = {}, user, requestMeta = {}) => {
+  const { row, draft, linkedProject } = await getConversionDraft(rowId);
+
+  if (linkedProject) {
+    throw new ErrorResponse(`This row was already converted to project "${linkedProject.name}"`, 409);
+  }
+  if (!isWonStatus(row.status)) {
+    throw new ErrorResponse(
+      `Only rows with status ${config.sales.wonStatuses.join(' / ')} can be converted to a project`,
+      400
+    );
+  }
+
+  const data = { ...draft, clientDetails: { ...draft.clientDetails } };
+  for (const field of PROJECT_INPUT_FIELDS) {
+    if (!isBlank(input[field])) data[field] = input[field];
+  }
+  for (const field of CLIENT_DETAIL_FIELDS) {
+    if (!isBlank(input.clientDetails?.[field])) data.clientDetails[field] = input.clientDetails[field];
+  }
+
+  if (!String(data.name || '').trim()) throw new ErrorResponse('Project name is required', 400);
+  data.department = data.department || [].concat(user.department || [])[0];
+  if (!data.department) throw new ErrorResponse('Department is required to create a project', 400);
+
+  // Keep only the price that matches the billing type, like createBoard does
+  data.billingCycle = String(data.billingCycle || '').trim().toLowerCase() || undefined;
+  if (!['hr', 'hourly'].includes(data.billingCycle)) delete data.hourlyPrice;
+  if (data.billingCycle !== 'fixed') delete data.fixedPrice;
+
+  const convertedAt = new Date();
+  data.salesOrigin = { ...data.salesOrigin, convertedAt, convertedBy: user.id };
+  data.runBackgroundTasks = true;
+
+  // Claim the row before creating the project: only one conversion can move
+  // it off the link it had when we read it (none, or a deleted project)
+  const claimed = await SalesRow.findOneAndUpdate(
+    {
+      _id: row._id,
+      'convertedProject.board': row.convertedProject?.board ?? null,
+      $or: [
+        { 'convertedProject.convertingAt': null },
+        { 'convertedProject.convertingAt': { $lt: new Date(convertedAt.getTime() - CONVERSION_CLAIM_TTL_MS) } },
+      ],
+    },
+    { $set: { 'convertedProject.convertingAt': convertedAt } },
+    { projection: '_id' }
+  ).lean();
+  if (!claimed) {
+    throw new ErrorResponse('This row is already being converted to a project', 409);
+  }
+
+  let board;
+  try {
+    board = await boardService.createBoard(data, user);
+  } catch (error) {
+    await SalesRow.updateOne(
+      { _id: row._id, 'convertedProject.convertingAt': convertedAt },
+      { $set: { 'convertedProject.convertingAt': null } }
+    );
+    throw error;
+  }
+
+  const updatedRow = await SalesRow.findOneAndUpdate(
+    { _id: row._id, 'convertedProject.convertingAt': convertedAt },
+    {
+      $set: {
+        convertedProject: { board: board._id, convertedAt, convertedBy: user.id, convertingAt: null },
+        updatedBy: user.id,
+      },
+    },
+    { returnDocument: 'after' }
+  )
+    .populate('createdBy updatedBy', 'name email avatar')
+    .populate('convertedProject.board', 'name department');
+  if (!updatedRow) {
+    // Our claim expired and another conversion took the row over
+    throw new ErrorResponse(`Project "${board.name}" was created, but the row was converted by someone else meanwhile`, 409);
+  }
+
+  await SalesActivityLog.logActivity({
+    salesRow: row._id,
+    user: user.id,
+    action: 'converted',
+    description: `Converted to project "${board.name}"`,
+    board: board._id,
+    ipAddress: requestMeta.ipAddress,
+    userAgent: requestMeta.userAgent,
+  });
+
+  return { board, row: updatedRow };
+};
+
+export default {
+  isWonStatus,
+  buildProjectDraft,
+  getConversionDraft,
+  convertRowToProject,
+};
@@ -0,0 +1,391 @@
+/**
+ * Sales Duplicate Service
+ *
+ * Flags sales rows that probably describe the same bid, and merges them.
+ *
+ * Two rows are probable duplicates when either
+ *  - their bid links point to the same job (same SalesRow.bidKey), or
+ *  - their client names (custom column config.sales.clientNameField) are
+ *    near-identical and their dates are at most
+ *    config.sales.duplicateDateWindowDays apart.
+ *
+ * Create and update reject probable duplicates unless the caller confirms;
+ * import previews them per file row, including rows repeated inside the file.
+ *
+ * Merging keeps the primary row, fills it with the chosen field values from
+ * the secondary row, moves the secondary row's activity log over and
+ * soft-deletes the secondary row with mergedInto pointing at the primary.
+ */
+
+import SalesRow, { toBidKey } from '../../models/SalesRow.js';
+import SalesActivityLog from '../../models/SalesActivityLog.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import config from '../../config/index.js';
+import { SALES_FIELD_LABELS, SALES_STANDARD_FIELD_KEYS } from '../../config/salesFieldConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dice coefficient at or above which two client names count as the same client
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+const MAX_MATCHES = 5;
+
+const SUMMARY_FIELDS = 'date name platform profile technology status bidLink bidKey customFields createdAt';
+
+// Standard fields a merge can take from either row (monthName follows date)
+const MERGE_STANDARD_FIELDS = SALES_STANDARD_FIELD_KEYS.filter((key) => key !== 'monthName');
+
+/* ── Helpers ── */
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const toPlain = (row) => (typeof row?.toObject === 'function' ? row.toObject({ flattenMaps: true }) : row || {});
+
+const customValue = (row, key) => {
+  const fields = row.customFields;
+  if (!fields) return undefined;
+  return fields instanceof Map ? fields.get(key) : fields[key];
+};
+
+const normalizeName = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const bigrams = (value) => {
+  const compact = value.replace(/\s+/g, '');
+  const pairs = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+};
+
+/**
+ * Dice coefficient over character bigrams of two normalized names (0–1)
+ */
+export const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let overlap = 0;
+  let total = 0;
+  for (const [pair, count] of leftPairs) {
+    overlap += Math.min(count, rightPairs.get(pair) || 0);
+    total += count;
+  }
+  for (const count of rightPairs.values()) total += count;
+  return total > 0 ? (2 * overlap) / total : 0;
+};
+
+/**
+ * The values duplicate detection looks at
+ * @param {Object} row - SalesRow document, stored row, or flat request / import data
+ * @returns {{id: string|null, bidKey: string|null, clientName: string, date: Date|null}}
+ */
+export const toCandidate = (row) => {
+  const plain = toPlain(row);
+  const clientField = config.sales.clientNameField;
+  const date = plain.date ? new Date(plain.date) : null;
+  return {
+    id: plain._id ? plain._id.toString() : null,
+    bidKey: plain.bidLink ? toBidKey(plain.bidLink.url) : plain.bidKey || null,
+    clientName: String(customValue(plain, clientField) ?? plain[clientField] ?? '').trim(),
+    date: date && !Number.isNaN(date.getTime()) ? date : null,
+  };
+};
+
+const withinWindow = (a, b) =>
+  !!a && !!b && Math.abs(a - b) <= config.sales.duplicateDateWindowDays * DAY_MS;
+
+/**
+ * Why `other` looks like a duplicate of `candidate`, or null when it does not
+ * @returns {{reasons: string[], similarity: number|null}|null}
+ */
+const compareCandidates = (candidate, other) => {
+  const reasons = [];
+  let similarity = null;
+
+  if (candidate.bidKey && candidate.bidKey === other.bidKey) reasons.push('bidLink');
+
+  if (candidate.clientName && other.clientName && withinWindow(candidate.date, other.date)) {
+    const score = nameSimilarity(candidate.clientName, other.clientName);
+    if (score >= NAME_SIMILARITY_THRESHOLD) {
+      reasons.push('clientName');
+      similarity = Math.round(score * 100) / 100;
+    }
+  }
+
+  return reasons.length ? { reasons, similarity } : null;
+};
+
+const summarizeRow = (row) => {
+  const plain = toPlain(row);
+  return {
+    _id: plain._id,
+    date: plain.date,
+    name: plain.name,
+    platform: plain.platform,
+    profile: plain.profile,
+    technology: plain.technology,
+    status: plain.status,
+    bidLink: plain.bidLink,
+    clientName: toCandidate(plain).clientName || null,
+    createdAt: plain.createdAt,
+  };
+};
+
+// Bid links first, then the closest client names
+const byStrength = (a, b) =>
+  b.reasons.includes('bidLink') - a.reasons.includes('bidLink') || (b.similarity || 0) - (a.similarity || 0);
+
+/**
+ * Stored rows that could match any of the candidates: same bid keys, or a
+ * client name inside the date window of one of the candidates
+ */
+const loadPool = async (candidates, excludeIds = []) => {
+  const clientField = config.sales.clientNameField;
+  const bidKeys = [...new Set(candidates.map((c) => c.bidKey).filter(Boolean))];
+  const dates = candidates.filter((c) => c.clientName && c.date).map((c) => c.date.getTime());
+
+  const or = [];
+  if (bidKeys.length) or.push({ bidKey: { $in: bidKeys } });
+  if (dates.length) {
+    const windowMs = config.sales.duplicateDateWindowDays * DAY_MS;
+    or.push({
+      date: { $gte: new Date(Math.min(...dates) - windowMs), $lte: new Date(Math.max(...dates) + windowMs) },
+      [`customFields.${clientField}`]: { $nin: [null, ''] },
+    });
+  }
+  if (or.length === 0) return [];
+
+  const rows = await SalesRow.find({ isDeleted: false, _id: { $nin: excludeIds }, $or: or })
+    .select(SUMMARY_FIELDS)
+    .lean();
+  return rows.map((row) => ({ row, candidate: toCandidate(row) }));
+};
+
+/* ── Detection ── */
+
+/**
+ * Stored rows that are probable duplicates of a row being created or updated
+ * @param {Object} row - Row data (flat request body merged with the stored row on update)
+ * @param {{excludeIds?: string[]}} [options] - Rows to ignore, e.g. the row being updated
+ * @returns {Promise<Array<{row: Object, reasons: string[], similarity: number|null}>>}
+ */
+export const findDuplicates = async (row, { excludeIds = [] } = {}) => {
+  const candidate = toCandidate(row);
+  const pool = await loadPool([candidate], excludeIds);
+
+  return pool
+    .map((entry) => {
+      const match = compareCandidates(candidate, entry.candidate);
+      return match && { row: summarizeRow(entry.row), ...match };
+    })
+    .filter(Boolean)
+    .sort(byStrength)
+    .slice(0, MAX_MATCHES);
+};
+
+/**
+ * Probable duplicates for every row of an import file, against stored rows
+ * and against earlier rows of the same file
+ * @param {Object[]} rows - Parsed import rows (see parseImportRow in salesController)
+ * @returns {Promise<Array<{index: number, matches: Object[], fileMatches: Array<{index: number, reasons: string[], similarity: number|null}>}>>}
+ *   Only rows with at least one match
+ */
+export const findDuplicatesForImport = async (rows) => {
+  const candidates = rows.map((row) => (row ? toCandidate(row) : null));
+  const pool = await loadPool(candidates.filter(Boolean));
+  const results = [];
+
+  candidates.forEach((candidate, index) => {
+    if (!candidate) return;
+
+    const matches = pool
+      .map((entry) => {
+        const match = compareCandidates(candidate, entry.candidate);
+        return match && { row: summarizeRow(entry.row), ...match };
+      })
+      .filter(Boolean)
+      .sort(byStrength)
+      .slice(0, MAX_MATCHES);
+
+    const fileMatches = [];
+    for (let earlier = 0; earlier < index; earlier++) {
+      if (!candidates[earlier]) continue;
+      const match = compareCandidates(candidate, candidates[earlier]);
+      if (match) fileMatches.push({ index: earlier, ...match });
+    }
+
+    if (matches.length || fileMatches.length) {
+      results.push({ index, matches, fileMatches: fileMatches.slice(0, MAX_MATCHES) });
+    }
+  });
+
+  return results;
+};
+
+/* ── Merge ── */
+
+const displayValue = (field, value) => {
+  if (field === 'bidLink' && value && typeof value === 'object') {
+    return value.url ? `${value.type}: ${value.url}` : value.type;
+  }
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Merge one sales row into another
+ * @param {Object} params
+ * @param {string} params.primaryId - Row that is kept
+ * @param {string} params.secondaryId - Row merged into the primary and soft-deleted
+ * @param {Object<string, 'primary'|'secondary'>} [params.fieldChoices] - Which row's value each
+ *   field keeps. Unlisted fields keep the primary value, or the secondary one when the primary is empty.
+ * @param {Object} params.user - req.user
+ * @param {{ipAddress?: string, userAgent?: string}} [params.requestMeta]
+ * @returns {Promise<{row: Object, mergedRowId: string, changes: Array, movedActivity: number}>}
+ */
+export const mergeRows = async ({ primaryId, secondaryId, fieldChoices = {}, user, requestMeta = {} }) => {
+  if (!primaryId || !secondaryId) throw new ErrorResponse('Two rows are required to merge', 400);
+  if (String(primaryId) === String(secondaryId)) throw new ErrorResponse('Cannot merge a row into itself', 400);
+
+  const [primary, secondary] = await Promise.all([SalesRow.findById(primaryId), SalesRow.findById(secondaryId)]);
+  if (!primary || primary.isDeleted || !secondary || secondary.isDeleted) {
+    throw new ErrorResponse('Sales row not found', 404);
+  }
+
+  const userId = user._id || user.id;
+  for (const row of [primary, secondary]) {
+    if (row.isLocked() && row.lockedBy.toString() !== userId.toString()) {
+      throw new ErrorResponse('One of the rows is currently being edited by another user', 423);
+    }
+  }
+
+  if (primary.convertedProject?.board && secondary.convertedProject?.board) {
+    throw new ErrorResponse('Both rows were converted to projects; only one of them can be kept', 409);
+  }
+
+  const takeSecondary = (field, primaryValue, secondaryValue) => {
+    if (fieldChoices[field] === 'secondary') return true;
+    if (fieldChoices[field] === 'primary') return false;
+    return isBlank(primaryValue) && !isBlank(secondaryValue);
+  };
+
+  const changes = [];
+  const primaryValues = toPlain(primary);
+  const secondaryValues = toPlain(secondary);
+
+  for (const field of MERGE_STANDARD_FIELDS) {
+    const primaryValue = primaryValues[field];
+    const secondaryValue = secondaryValues[field];
+    if (!takeSecondary(field, primaryValue, secondaryValue) || sameValue(primaryValue, secondaryValue)) continue;
+    primary.set(field, secondaryValue);
+    changes.push({
+      field,
+      fieldLabel: SALES_FIELD_LABELS[field] || field,
+      oldValue: displayValue(field, primaryValue),
+      newValue: displayValue(field, secondaryValue),
+    });
+  }
+
+  for (const [key, secondaryValue] of secondary.customFields || new Map()) {
+    const primaryValue = primary.customFields.get(key);
+    if (!takeSecondary(key, primaryValue, secondaryValue) || sameValue(primaryValue, secondaryValue)) continue;
+    primary.customFields.set(key, secondaryValue);
+    changes.push({ field: key, fieldLabel: key, oldValue: primaryValue, newValue: secondaryValue });
+  }
+  primary.markModified('customFields');
+
+  if (!primary.convertedProject?.board && secondary.convertedProject?.board) {
+    primary.convertedProject = secondary.convertedProject;
+    changes.push({
+      field: 'convertedProject',
+      fieldLabel: 'Converted Project',
+      oldValue: null,
+      newValue: secondary.convertedProject.board.toString(),
+    });
+  }
+
+  primary.updatedBy = userId;
+  await primary.save();
+
+  // Entries already carried over from an earlier merge keep their original mergedFrom
+  const [firstMove, laterMove] = await Promise.all([
+    SalesActivityLog.updateMany(
+      { salesRow: secondary._id, mergedFrom: null },
+      { $set: { salesRow: primary._id, mergedFrom: secondary._id } }
+    ),
+    SalesActivityLog.updateMany(
+      { salesRow: secondary._id, mergedFrom: { $ne: null } },
+      { $set: { salesRow: primary._id } }
+    ),
+  ]);
+
+  const mergedAt = new Date();
+  await SalesRow.updateOne(
+    { _id: secondary._id },
+    {
+      $set: {
+        isDeleted: true,
+        deletedAt: mergedAt,
+        deletedBy: userId,
+        mergedInto: primary._id,
+        mergedAt,
+        mergedBy: userId,
+        lockedBy: null,
+        lockedAt: null,
+      },
+    }
+  );
+
+  const secondaryLabel = [secondary.platform, secondary.profile].filter(Boolean).join(' / ') || 'sales row';
+  await Promise.all([
+    SalesActivityLog.logActivity({
+      salesRow: primary._id,
+      user: userId,
+      action: 'merged',
+      description: changes.length
+        ? `Merged ${secondaryLabel} row into this row; ${SalesActivityLog.formatChangeDescription(changes)}`
+        : `Merged ${secondaryLabel} row into this row`,
+      mergedFrom: secondary._id,
+      changes,
+      ipAddress: requestMeta.ipAddress,
+      userAgent: requestMeta.userAgent,
+    }),
+    SalesActivityLog.logActivity({
+      salesRow: secondary._id,
+      user: userId,
+      action: 'merged',
+      description: `Merged into row ${primary._id} and removed`,
+      ipAddress: requestMeta.ipAddress,
+      userAgent: requestMeta.userAgent,
+    }),
+  ]);
+
+  await primary.populate('createdBy updatedBy', 'name email avatar');
+  await primary.populate('convertedProject.board', 'name department');
+
+  return {
+    row: primary,
+    mergedRowId: secondary._id.toString(),
+    changes,
+    movedActivity: firstMove.modifiedCount + laterMove.modifiedCount,
+  };
+};
+
+export default {
+  nameSimilarity,
+  toCandidate,
+  findDuplicates,
+  findDuplicatesForImport,
+  mergeRows,
+};
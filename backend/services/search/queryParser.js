@@ -0,0 +1,118 @@
+/**
+ * Search Query Parser
+ *
+ * Splits a raw search string into free text and field operators:
+ *
+ *   assignee:me  assignee:"Jane Doe"  label:bug  status:"in progress"
+ *   priority:high  project:Acme  type:comment
+ *   due:<2026-05-01  due:>=2026-05-01  due:2026-05-01  due:overdue  due:today  due:none
+ *
+ * Unknown `field:value` tokens are kept as free text so that searches like
+ * "error: timeout" still work. Nothing here touches the database.
+ */
+
+export const SEARCH_TYPES = Object.freeze([
+  'card', 'subtask', 'nano', 'comment', 'attachment', 'announcement', 'project', 'user',
+]);
+
+const TYPE_ALIASES = {
+  card: 'card', cards: 'card', task: 'card', tasks: 'card',
+  subtask: 'subtask', subtasks: 'subtask',
+  nano: 'nano', nanos: 'nano',
+  comment: 'comment', comments: 'comment',
+  attachment: 'attachment', attachments: 'attachment', file: 'attachment', files: 'attachment',
+  announcement: 'announcement', announcements: 'announcement',
+  project: 'project', projects: 'project', board: 'project', boards: 'project',
+  user: 'user', users: 'user', people: 'user',
+};
+
+const OPERATORS = new Set(['assignee', 'label', 'status', 'priority', 'due', 'project', 'type']);
+const TOKEN_PATTERN = /(\w+):("([^"]*)"|\S+)|"([^"]*)"|(\S+)/g;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const escapeRegex = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Status values are list titles slugged the same way moveCard does. */
+export const normalizeStatus = (value = '') => value.trim().toLowerCase().replace(/\s+/g, '-');
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Turn a `due:` operand into a Mongo date condition, or null if unparseable.
+ * `due:none` matches tasks without a due date.
+ */
+export const parseDueOperand = (operand, now = new Date()) => {
+  const raw = String(operand || '').trim().toLowerCase();
+  if (!raw) return null;
+
+  if (raw === 'none') return { $exists: false };
+  if (raw === 'overdue') return { $lt: now };
+  if (raw === 'today') {
+    const start = startOfDay(now);
+    return { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+  }
+  if (raw === 'week') {
+    return { $gte: startOfDay(now), $lt: new Date(startOfDay(now).getTime() + 7 * DAY_MS) };
+  }
+
+  const match = raw.match(/^(<=|>=|<|>|=)?(.+)$/);
+  const date = new Date(match[2]);
+  if (Number.isNaN(date.getTime())) return null;
+  const dayStart = startOfDay(date);
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+  switch (match[1]) {
+    case '<': return { $lt: dayStart };
+    case '<=': return { $lt: dayEnd };
+    case '>': return { $gte: dayEnd };
+    case '>=': return { $gte: dayStart };
+    default: return { $gte: dayStart, $lt: dayEnd };
+  }
+};
+
+/**
+ * @param {string} input raw query string
+ * @returns {{ text: string, filters: object, types: string[]|null }}
+ */
+export const parseSearchQuery = (input = '') => {
+  const textParts = [];
+  const filters = {};
+  let types = null;
+
+  for (const match of String(input).matchAll(TOKEN_PATTERN)) {
+    const [, field, , quotedValue, quotedText, word] = match;
+    const key = field?.toLowerCase();
+
+    if (key && OPERATORS.has(key)) {
+      const value = (quotedValue ?? match[2]).trim();
+      if (!value) continue;
+
+      if (key === 'type') {
+        const type = TYPE_ALIASES[value.toLowerCase()];
+        if (type) types = [...new Set([...(types || []), type])];
+      } else if (key === 'due') {
+        const condition = parseDueOperand(value);
+        if (condition) filters.due = condition;
+      } else if (key === 'status') {
+        filters.status = normalizeStatus(value);
+      } else if (key === 'priority') {
+        filters.priority = value.toLowerCase();
+      } else {
+        filters[key] = value;
+      }
+      continue;
+    }
+
+    if (quotedText !== undefined) {
+      if (quotedText.trim()) textParts.push(`"${quotedText.trim()}"`);
+    } else {
+      textParts.push(field ? match[0] : word);
+    }
+  }
+
+  return { text: textParts.join(' ').trim(), filters, types };
+};
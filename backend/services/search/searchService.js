@@ -0,0 +1,374 @@
+/**
+ * Search Service — ranked, permission-aware global search
+ *
+ * Free text goes through each collection's MongoDB text index (never a
+ * user-built RegExp). Every result is scoped to the boards the caller can see
+ * (see permissionService.buildAccessibleBoardQuery), so department and
+ * allowedProjects restrictions apply exactly as they do to GET /api/boards.
+ *
+ * Results from all entity types are merged into a single list ordered by
+ * text score × type weight; operator-only queries order by due date / recency.
+ */
+
+import mongoose from 'mongoose';
+import Card from '../../models/Card.js';
+import Subtask from '../../models/Subtask.js';
+import SubtaskNano from '../../models/SubtaskNano.js';
+import Comment from '../../models/Comment.js';
+import Attachment from '../../models/Attachment.js';
+import Announcement from '../../models/Announcement.js';
+import Board from '../../models/Board.js';
+import Label from '../../models/Label.js';
+import User from '../../models/User.js';
+import { getAccessibleBoardIds } from '../permissionService.js';
+import { parseSearchQuery, escapeRegex, SEARCH_TYPES } from './queryParser.js';
+
+const TYPE_WEIGHTS = {
+  card: 1.0,
+  subtask: 0.9,
+  nano: 0.8,
+  project: 0.8,
+  comment: 0.7,
+  announcement: 0.6,
+  attachment: 0.6,
+  user: 0.5,
+};
+
+// Entity types the task-field operators (assignee/label/status/priority/due) apply to
+const TASK_TYPES = new Set(['card', 'subtask', 'nano']);
+const TASK_OPERATORS = ['assignee', 'label', 'status', 'priority', 'due'];
+
+const DEFAULT_LIMIT = 30;
+const PER_TYPE_LIMIT = 25;
+const SNIPPET_LENGTH = 160;
+
+const idString = (value) => value?._id?.toString() || value?.toString();
+
+const stripHtml = (value = '') => String(value).replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+
+const snippet = (value) => {
+  const text = stripHtml(value);
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text;
+};
+
+const textStage = (text) => (text ? { $text: { $search: text } } : {});
+const scoreProjection = (text) => (text ? { score: { $meta: 'textScore' } } : {});
+const scoreSort = (text, fallback) => (text ? { score: { $meta: 'textScore' } } : fallback);
+
+/**
+ * Resolve operator values (names) into ids the queries can use.
+ * Returns null for an operator that matched nothing — the caller then knows
+ * no task can satisfy the query.
+ */
+const resolveOperatorIds = async (filters, user, boardIds) => {
+  const resolved = {};
+
+  if (filters.assignee) {
+    if (filters.assignee.toLowerCase() === 'me') {
+      resolved.assigneeIds = [new mongoose.Types.ObjectId(idString(user))];
+    } else {
+      const pattern = new RegExp(escapeRegex(filters.assignee), 'i');
+      const users = await User.find({ $or: [{ name: pattern }, { email: pattern }] }).select('_id').limit(50).lean();
+      resolved.assigneeIds = users.length ? users.map((u) => u._id) : null;
+    }
+  }
+
+  if (filters.label) {
+    const labels = await Label.find({
+      board: { $in: boardIds },
+      name: new RegExp(`^${escapeRegex(filters.label)}$`, 'i'),
+    }).select('_id').lean();
+    resolved.labelIds = labels.length ? labels.map((l) => l._id) : null;
+  }
+
+  if (filters.project) {
+    const boards = await Board.find({
+      _id: { $in: boardIds },
+      name: new RegExp(escapeRegex(filters.project), 'i'),
+    }).select('_id').lean();
+    resolved.projectIds = boards.length ? boards.map((b) => b._id) : null;
+  }
+
+  return resolved;
+};
+
+const buildTaskMatch = (filters, resolved, boardIds, labelField) => {
+  const match = { board: { $in: resolved.projectIds || boardIds } };
+  if (resolved.assigneeIds) match.assignees = { $in: resolved.assigneeIds };
+  if (resolved.labelIds) match[labelField] = { $in: resolved.labelIds };
+  if (filters.status) match.status = filters.status;
+  if (filters.priority) match.priority = filters.priority;
+  if (filters.due) match.dueDate = filters.due;
+  return match;
+};
+
+/* ── Per-type searches ─────────────────────────── */
+
+const searchCards = async (text, match) => {
+  const cards = await Card.find({ ...match, isArchived: false, ...textStage(text) }, scoreProjection(text))
+    .select('title description status priority dueDate board list assignees updatedAt')
+    .populate('board', 'name department')
+    .populate('list', 'title')
+    .populate('assignees', 'name avatar')
+    .sort(scoreSort(text, { dueDate: 1, updatedAt: -1 }))
+    .limit(PER_TYPE_LIMIT)
+    .lean();
+
+  return cards.map((card) => ({
+    type: 'card',
+    id: card._id,
+    title: card.title,
+    snippet: snippet(card.description),
+    score: card.score || 0,
+    board: card.board,
+    cardId: card._id,
+    updatedAt: card.updatedAt,
+    meta: {
+      status: card.status,
+      priority: card.priority,
+      dueDate: card.dueDate,
+      list: card.list?.title,
+      assignees: card.assignees,
+    },
+  }));
+};
+
+const searchSubtaskLike = async (Model, type, text, match) => {
+  const items = await Model.find({ ...match, ...textStage(text) }, scoreProjection(text))
+    .select('title description status priority dueDate board task subtask assignees updatedAt')
+    .populate('board', 'name department')
+    .populate('assignees', 'name avatar')
+    .sort(scoreSort(text, { dueDate: 1, updatedAt: -1 }))
+    .limit(PER_TYPE_LIMIT)
+    .lean();
+
+  return items.map((item) => ({
+    type,
+    id: item._id,
+    title: item.title,
+    snippet: snippet(item.description),
+    score: item.score || 0,
+    board: item.board,
+    cardId: item.task,
+    subtaskId: type === 'nano' ? item.subtask : item._id,
+    updatedAt: item.updatedAt,
+    meta: {
+      status: item.status,
+      priority: item.priority,
+      dueDate: item.dueDate,
+      assignees: item.assignees,
+    },
+  }));
+};
+
+const searchComments = async (text, boardIds) => {
+  // Comments carry no board — restrict to cards on accessible boards before
+  // limiting, so matches elsewhere cannot crowd out the visible ones
+  const cardIds = await Card.distinct('_id', { board: { $in: boardIds } });
+  if (!cardIds.length) return [];
+
+  const comments = await Comment.find(
+    { ...textStage(text), card: { $in: cardIds }, contextType: { $ne: 'announcement' } },
+    scoreProjection(text)
+  )
+    .select('text card subtask subtaskNano user createdAt updatedAt')
+    .populate('user', 'name avatar')
+    .sort(scoreSort(text, { createdAt: -1 }))
+    .limit(PER_TYPE_LIMIT)
+    .lean();
+  if (!comments.length) return [];
+
+  const cards = await Card.find({ _id: { $in: comments.map((c) => c.card) } })
+    .select('title board').populate('board', 'name department').lean();
+  const cardById = new Map(cards.map((card) => [idString(card), card]));
+
+  return comments
+    .filter((comment) => cardById.has(idString(comment.card)))
+    .map((comment) => {
+      const card = cardById.get(idString(comment.card));
+      return {
+        type: 'comment',
+        id: comment._id,
+        title: `Comment on "${card.title}"`,
+        snippet: snippet(comment.text),
+        score: comment.score || 0,
+        board: card.board,
+        cardId: card._id,
+        subtaskId: comment.subtask || null,
+        nanoId: comment.subtaskNano || null,
+        updatedAt: comment.updatedAt || comment.createdAt,
+        meta: { author: comment.user },
+      };
+    });
+};
+
+const searchAttachments = async (text, boardIds) => {
+  const attachments = await Attachment.find(
+    { ...textStage(text), board: { $in: boardIds }, isDeleted: { $ne: true } },
+    scoreProjection(text)
+  )
+    .select('originalName fileName fileType url thumbnailUrl board card contextType uploadedBy createdAt')
+    .populate('board', 'name department')
+    .sort(scoreSort(text, { createdAt: -1 }))
+    .limit(PER_TYPE_LIMIT)
+    .lean();
+
+  return attachments.map((attachment) => ({
+    type: 'attachment',
+    id: attachment._id,
+    title: attachment.originalName || attachment.fileName,
+    snippet: attachment.fileType || '',
+    score: attachment.score || 0,
+    board: attachment.board,
+    cardId: attachment.card || null,
+    updatedAt: attachment.createdAt,
+    meta: { url: attachment.url, thumbnailUrl: attachment.thumbnailUrl, fileType: attachment.fileType },
+  }));
+};
+
+const searchAnnouncements = async (text, user) => {
+  const userId = idString(user);
+  const departments = Array.isArray(user.department) ? user.department : [user.department].filter(Boolean);
+  const visibility = [
+    { 'subscribers.type': 'all' },
+    { 'subscribers.users': userId },
+    { createdBy: userId },
+    { 'subscribers.type': 'departments', 'subscribers.departments': { $in: departments } },
+  ];
+  if (user.role) visibility.push({ 'subscribers.roles': user.role });
+  if (user.role === 'manager') visibility.push({ 'subscribers.type': 'managers' });
+
+  const announcements = await Announcement.find(
+    { ...textStage(text), isArchived: false, $or: visibility },
+    scoreProjection(text)
+  )
+    .select('title description category createdAt')
+    .sort(scoreSort(text, { createdAt: -1 }))
+    .limit(PER_TYPE_LIMIT)
+    .lean();
+
+  return announcements.map((announcement) => ({
+    type: 'announcement',
+    id: announcement._id,
+    title: announcement.title,
+    snippet: snippet(announcement.description),
+    score: announcement.score || 0,
+    board: null,
+    updatedAt: announcement.createdAt,
+    meta: { category: announcement.category },
+  }));
+};
+
+// Boards and users have no text index; their candidate sets are small, so an
+// escaped, anchored-anywhere pattern is fine. Score favours prefix matches.
+const patternScore = (value, text) => {
+  const lower = String(value || '').toLowerCase();
+  const needle = text.toLowerCase();
+  if (lower === needle) return 3;
+  return lower.startsWith(needle) ? 2 : 1;
+};
+
+const searchProjects = async (text, boardIds) => {
+  const pattern = new RegExp(escapeRegex(text), 'i');
+  const boards = await Board.find({ _id: { $in: boardIds }, $or: [{ name: pattern }, { description: pattern }] })
+    .select('name description department updatedAt')
+    .limit(PER_TYPE_LIMIT)
+    .lean();
+
+  return boards.map((board) => ({
+    type: 'project',
+    id: board._id,
+    title: board.name,
+    snippet: snippet(board.description),
+    score: patternScore(board.name, text),
+    board: { _id: board._id, name: board.name, department: board.department },
+    updatedAt: board.updatedAt,
+    meta: {},
+  }));
+};
+
+const searchUsers = async (text) => {
+  const pattern = new RegExp(escapeRegex(text), 'i');
+  const users = await User.find({ isActive: true, $or: [{ name: pattern }, { email: pattern }] })
+    .select('name email avatar role department')
+    .populate('department', 'name')
+    .limit(PER_TYPE_LIMIT)
+    .lean();
+
+  return users.map((u) => ({
+    type: 'user',
+    id: u._id,
+    title: u.name,
+    snippet: u.email,
+    score: patternScore(u.name, text),
+    board: null,
+    updatedAt: null,
+    meta: { avatar: u.avatar, role: u.role, department: u.department },
+  }));
+};
+
+/* ── Entry point ───────────────────────────────── */
+
+/**
+ * @param {object} user            req.user
+ * @param {string} rawQuery        free text plus field operators
+ * @param {object} [options]
+ * @param {string[]} [options.types]      restrict entity types (see SEARCH_TYPES)
+ * @param {string} [options.departmentId] only projects in this department
+ * @param {number} [options.limit]
+ */
+export const search = async (user, rawQuery, options = {}) => {
+  const parsed = parseSearchQuery(rawQuery);
+  const { text, filters } = parsed;
+  const limit = Math.min(Number(options.limit) || DEFAULT_LIMIT, 100);
+
+  const hasTaskOperators = TASK_OPERATORS.some((key) => filters[key] !== undefined);
+  let types = parsed.types || options.types || SEARCH_TYPES;
+  types = types.filter((type) => SEARCH_TYPES.includes(type));
+  // Task operators only make sense for task-like entities
+  if (hasTaskOperators) types = types.filter((type) => TASK_TYPES.has(type));
+  // Without free text, only filtered task lists are meaningful
+  if (!text) types = types.filter((type) => TASK_TYPES.has(type));
+
+  if (!types.length || (!text && !hasTaskOperators && !filters.project)) {
+    return { parsed, results: [], facets: {} };
+  }
+
+  const boardFilter = options.departmentId && options.departmentId !== 'all'
+    ? { department: options.departmentId }
+    : {};
+  const boardIds = await getAccessibleBoardIds(user, boardFilter);
+  const resolved = await resolveOperatorIds(filters, user, boardIds);
+
+  // An operator that resolved to nothing means no task can match
+  const unresolvable = ['assigneeIds', 'labelIds', 'projectIds'].some((key) => resolved[key] === null);
+  const scopedBoardIds = resolved.projectIds || boardIds;
+
+  const runners = {
+    card: () => searchCards(text, buildTaskMatch(filters, resolved, boardIds, 'labels')),
+    subtask: () => searchSubtaskLike(Subtask, 'subtask', text, buildTaskMatch(filters, resolved, boardIds, 'tags')),
+    nano: () => searchSubtaskLike(SubtaskNano, 'nano', text, buildTaskMatch(filters, resolved, boardIds, 'tags')),
+    comment: () => searchComments(text, scopedBoardIds),
+    attachment: () => searchAttachments(text, scopedBoardIds),
+    announcement: () => searchAnnouncements(text, user),
+    project: () => searchProjects(text, scopedBoardIds),
+    user: () => searchUsers(text),
+  };
+
+  const active = unresolvable ? [] : types;
+  const groups = await Promise.all(active.map((type) => runners[type]()));
+  const merged = groups.flat();
+
+  const facets = {};
+  merged.forEach((result) => {
+    facets[result.type] = (facets[result.type] || 0) + 1;
+    result.score = Number((result.score * TYPE_WEIGHTS[result.type]).toFixed(4));
+  });
+
+  merged.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    return new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+  });
+
+  return { parsed, results: merged.slice(0, limit), facets };
+};
@@ -0,0 +1,99 @@
+/**
+ * Cloudinary storage driver.
+ *
+ * Thin wrapper over utils/cloudinary.js: Cloudinary does its own image
+ * processing, so this driver implements the high-level upload operations
+ * directly instead of the put/get primitives used by the object stores.
+ * Keys are plain Cloudinary public IDs, which keeps every record created
+ * before the storage layer existed valid as-is.
+ */
+
+import axios from 'axios';
+import cloudinary, {
+  uploadToCloudinary,
+  uploadAvatarToCloudinary,
+  uploadProjectCover as uploadCoverToCloudinary,
+  uploadAnnouncementAttachment as uploadAnnouncementToCloudinary,
+  deleteMultipleFromCloudinary,
+  getThumbnailUrl,
+  getOptimizedUrl,
+} from '../../utils/cloudinary.js';
+
+const isSvg = (mimetype, originalName) =>
+  mimetype === 'image/svg+xml' || (originalName || '').toLowerCase().endsWith('.svg');
+
+/* ── Driver ── */
+
+export const name = 'cloudinary';
+
+export const uploadFile = async (buffer, { folder, resourceType, mimetype, originalName, format, context }) => {
+  const result = await uploadToCloudinary(buffer, {
+    folder,
+    resourceType,
+    ...(format ? { format } : {}),
+    context,
+  });
+
+  const withVariants = result.resource_type === 'image' && !isSvg(mimetype, originalName);
+  return {
+    key: result.public_id,
+    url: result.url,
+    secureUrl: result.secure_url,
+    resourceType: result.resource_type,
+    format: result.format,
+    bytes: result.bytes,
+    width: result.width,
+    height: result.height,
+    pages: result.pages,
+    duration: result.duration,
+    thumbnailUrl: withVariants ? getThumbnailUrl(result.public_id, 200, 200) : undefined,
+    previewUrl: withVariants ? getOptimizedUrl(result.public_id, { width: 800, height: 800, crop: 'limit' }) : undefined,
+  };
+};
+
+export const uploadAvatar = uploadAvatarToCloudinary;
+
+export const uploadProjectCover = uploadCoverToCloudinary;
+
+export const uploadAnnouncementAttachment = uploadAnnouncementToCloudinary;
+
+/**
+ * Delete assets, batched per Cloudinary resource type
+ * @param {Array<{key: string, resourceType?: string}>} items
+ */
+export const remove = async (items) => {
+  const byType = new Map();
+  for (const { key, resourceType } of items) {
+    const type = resourceType === 'image' || resourceType === 'video' ? resourceType : 'raw';
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(key);
+  }
+  for (const [type, keys] of byType) {
+    await deleteMultipleFromCloudinary(keys, type);
+  }
+};
+
+export const get = async (key, { url, resourceType = 'image' } = {}) => {
+  const source = url || cloudinary.url(key, { resource_type: resourceType, secure: true });
+  const response = await axios.get(source, { responseType: 'arraybuffer', timeout: 60000 });
+  return Buffer.from(response.data);
+};
+
+export const signedUrl = async (key, { resourceType = 'image', format, expiresIn }) =>
+  cloudinary.utils.private_download_url(key, resourceType === 'raw' ? '' : format, {
+    resource_type: resourceType,
+    type: 'upload',
+    attachment: true,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+  });
+
+export default {
+  name,
+  uploadFile,
+  uploadAvatar,
+  uploadProjectCover,
+  uploadAnnouncementAttachment,
+  remove,
+  get,
+  signedUrl,
+};
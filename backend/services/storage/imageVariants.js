@@ -0,0 +1,91 @@
+/**
+ * Image variants for object-store drivers (local disk / S3).
+ *
+ * Cloudinary renders thumbnails on the fly; plain object stores cannot, so
+ * the variants are generated with sharp at upload time and stored next to
+ * the original as `<objectKey>__<variant>.webp`.
+ */
+
+import sharp from 'sharp';
+
+// Every suffix a variant can be stored under, so deletes can clean them up
+export const VARIANT_SUFFIXES = ['thumb', 'preview', '128', '256', 'placeholder'].map((name) => `__${name}.webp`);
+
+// Formats sharp can decode and that are worth rasterising (SVG stays vector)
+const RASTER_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+export const isRasterImage = (mimetype) => RASTER_TYPES.includes((mimetype || '').toLowerCase());
+
+export const variantKey = (objectKey, name) => `${objectKey}__${name}.webp`;
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Read dimensions of an image without decoding it fully
+ * @param {Buffer} buffer
+ * @returns {Promise<{width: number|null, height: number|null, format: string|null, pages: number|null}>}
+ */
+export const readImageMetadata = async (buffer) => {
+  try {
+    const { width, height, format, pages } = await sharp(buffer).metadata();
+    return { width: width || null, height: height || null, format: format || null, pages: pages || null };
+  } catch {
+    return { width: null, height: null, format: null, pages: null };
+  }
+};
+
+/* ── Per-use variant sets ── */
+
+// Card / subtask / project attachments: 200px thumbnail + 800px preview
+export const attachmentVariants = async (buffer) => ({
+  thumb: await sharp(buffer).rotate().resize(200, 200, { fit: 'cover', position: 'attention' }).webp({ quality: 60 }).toBuffer(),
+  preview: await sharp(buffer).rotate().resize(800, 800, { fit: 'inside', withoutEnlargement: true }).webp({ quality: 80 }).toBuffer(),
+});
+
+// Announcement attachments: 150px thumbnail + 400px preview
+export const announcementVariants = async (buffer) => ({
+  thumb: await sharp(buffer).rotate().resize(150, 150, { fit: 'cover', position: 'attention' }).webp({ quality: 60 }).toBuffer(),
+  preview: await sharp(buffer).rotate().resize(400, 400, { fit: 'inside', withoutEnlargement: true }).webp({ quality: 80 }).toBuffer(),
+});
+
+/**
+ * Avatar: 512px square main image plus 128 / 256 sizes, all WebP
+ * @param {Buffer} buffer
+ */
+export const avatarVariants = async (buffer) => {
+  const square = (size) =>
+    sharp(buffer).rotate().resize(size, size, { fit: 'cover', position: 'attention' }).webp({ quality: 82 }).toBuffer();
+  return { main: await square(512), 128: await square(128), 256: await square(256) };
+};
+
+/**
+ * Project cover: main image capped at 1200x800, a 20x14 blurred placeholder
+ * and the dominant colour. GIF and SVG covers are kept as uploaded.
+ * @param {Buffer} buffer
+ * @param {string} mimetype
+ */
+export const coverVariants = async (buffer, mimetype) => {
+  if (!isRasterImage(mimetype)) {
+    return { main: buffer, placeholder: null, dominantColor: '#6366f1' };
+  }
+
+  const keepOriginal = mimetype === 'image/gif';
+  const main = keepOriginal
+    ? buffer
+    : await sharp(buffer).rotate().resize(1200, 800, { fit: 'inside', withoutEnlargement: true }).webp({ quality: 82 }).toBuffer();
+  const placeholder = await sharp(buffer).resize(20, 14, { fit: 'cover' }).blur(2).webp({ quality: 30 }).toBuffer();
+  const { dominant } = await sharp(buffer).stats();
+
+  return { main, placeholder, dominantColor: toHex(dominant), format: keepOriginal ? 'gif' : 'webp' };
+};
+
+export default {
+  VARIANT_SUFFIXES,
+  isRasterImage,
+  variantKey,
+  readImageMetadata,
+  attachmentVariants,
+  announcementVariants,
+  avatarVariants,
+  coverVariants,
+};
@@ -0,0 +1,102 @@
+/**
+ * Local disk storage driver.
+ *
+ * Objects live under config.storage.local.root (default: <repo>/uploads/storage).
+ * publicUrl() points at /uploads/storage, which is only served when
+ * config.storage.local.publicUrls is on — then anyone with a URL can read the
+ * file, as with Cloudinary.
+ * Signed download URLs point at GET /api/files/<key> and carry an expiry and
+ * an HMAC over key + expiry + file name, verified by verifySignedDownload().
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../../config/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_ROOT = path.resolve(__dirname, '../../../uploads/storage');
+
+export const getLocalRoot = () => path.resolve(config.storage.local.root || DEFAULT_ROOT);
+
+/**
+ * Resolve an object key to a path inside the storage root.
+ * Returns null for keys that would escape it.
+ * @param {string} objectKey
+ * @returns {string|null}
+ */
+export const resolveObjectPath = (objectKey) => {
+  if (!objectKey || typeof objectKey !== 'string' || objectKey.includes('\0')) return null;
+  const root = getLocalRoot();
+  const fullPath = path.resolve(root, objectKey);
+  return fullPath.startsWith(root + path.sep) ? fullPath : null;
+};
+
+const requirePath = (objectKey) => {
+  const fullPath = resolveObjectPath(objectKey);
+  if (!fullPath) throw new Error(`Invalid storage key: ${objectKey}`);
+  return fullPath;
+};
+
+const encodeKey = (objectKey) => objectKey.split('/').map(encodeURIComponent).join('/');
+
+const sign = (objectKey, expires, fileName) =>
+  crypto
+    .createHmac('sha256', config.storage.signingSecret || '')
+    .update(`${objectKey}\n${expires}\n${fileName || ''}`)
+    .digest('hex');
+
+/* ── Driver ── */
+
+export const name = 'local';
+
+export const put = async (objectKey, buffer) => {
+  const fullPath = requirePath(objectKey);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, buffer);
+};
+
+export const get = async (objectKey) => fs.readFile(requirePath(objectKey));
+
+export const remove = async (objectKeys) => {
+  await Promise.all(
+    objectKeys.map(async (objectKey) => {
+      try {
+        await fs.unlink(requirePath(objectKey));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    })
+  );
+};
+
+export const publicUrl = (objectKey) => `${config.backendUrl}/uploads/storage/${encodeKey(objectKey)}`;
+
+export const signedUrl = async (objectKey, { fileName, expiresIn }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const params = new URLSearchParams({ expires: String(expires) });
+  if (fileName) params.set('name', fileName);
+  params.set('sig', sign(objectKey, expires, fileName));
+  return `${config.backendUrl}/api/files/${encodeKey(objectKey)}?${params.toString()}`;
+};
+
+/**
+ * Check a signed download request
+ * @param {string} objectKey
+ * @param {{expires?: string, name?: string, sig?: string}} query
+ * @returns {string|null} Absolute file path when the signature is valid and unexpired
+ */
+export const verifySignedDownload = (objectKey, { expires, name: fileName, sig } = {}) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof sig !== 'string') return null;
+
+  const expected = Buffer.from(sign(objectKey, expiresAt, fileName));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  return resolveObjectPath(objectKey);
+};
+
+export default { name, put, get, remove, publicUrl, signedUrl, verifySignedDownload, getLocalRoot, resolveObjectPath };
@@ -0,0 +1,97 @@
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, R2, ...).
+ *
+ * Objects are written to config.storage.s3.bucket. Public URLs use
+ * S3_PUBLIC_URL when set (bucket website / CDN), otherwise the endpoint's
+ * path- or virtual-host-style address. Downloads use presigned GET URLs, so
+ * they work for private buckets too.
+ */
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectsCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import config from '../../config/index.js';
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+let client = null;
+
+const getClient = () => {
+  const { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle } = config.storage.s3;
+  if (!bucket) {
+    throw new Error('S3 storage configuration missing. Please set S3_BUCKET (and credentials).');
+  }
+  if (!client) {
+    client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+  return client;
+};
+
+const encodeKey = (objectKey) => objectKey.split('/').map(encodeURIComponent).join('/');
+
+const contentDisposition = (fileName) =>
+  `attachment; filename="${fileName.replace(/["\\\r\n]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+
+/* ── Driver ── */
+
+export const name = 's3';
+
+export const put = async (objectKey, buffer, contentType) => {
+  await getClient().send(new PutObjectCommand({
+    Bucket: config.storage.s3.bucket,
+    Key: objectKey,
+    Body: buffer,
+    ContentType: contentType || 'application/octet-stream',
+  }));
+};
+
+export const get = async (objectKey) => {
+  const result = await getClient().send(new GetObjectCommand({ Bucket: config.storage.s3.bucket, Key: objectKey }));
+  return Buffer.from(await result.Body.transformToByteArray());
+};
+
+export const remove = async (objectKeys) => {
+  for (let i = 0; i < objectKeys.length; i += DELETE_BATCH_SIZE) {
+    const batch = objectKeys.slice(i, i + DELETE_BATCH_SIZE);
+    await getClient().send(new DeleteObjectsCommand({
+      Bucket: config.storage.s3.bucket,
+      Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: true },
+    }));
+  }
+};
+
+export const publicUrl = (objectKey) => {
+  const { bucket, region, endpoint, forcePathStyle, publicUrl: base } = config.storage.s3;
+  const key = encodeKey(objectKey);
+  if (base) return `${base}/${key}`;
+  if (endpoint) {
+    const url = new URL(endpoint);
+    return forcePathStyle
+      ? `${url.origin}/${bucket}/${key}`
+      : `${url.protocol}//${bucket}.${url.host}/${key}`;
+  }
+  return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+};
+
+export const signedUrl = async (objectKey, { fileName, expiresIn }) =>
+  getSignedUrl(
+    getClient(),
+    new GetObjectCommand({
+      Bucket: config.storage.s3.bucket,
+      Key: objectKey,
+      ResponseContentDisposition: fileName ? contentDisposition(fileName) : undefined,
+    }),
+    { expiresIn }
+  );
+
+export default { name, put, get, remove, publicUrl, signedUrl };
@@ -0,0 +1,384 @@
+/**
+ * Storage Service
+ *
+ * One entry point for everything that stores user files: task/project
+ * attachments, avatars, project covers and announcement attachments.
+ * The driver is chosen with STORAGE_DRIVER (config.storage.driver):
+ *
+ *  - cloudinary  Cloudinary (default, previous behaviour)
+ *  - local       Local disk under config.storage.local.root
+ *  - s3          Any S3-compatible store (AWS, MinIO, ...)
+ *
+ * Keys:
+ *  Stored keys (Attachment.publicId, User.avatarPublicId, coverImage.publicId,
+ *  announcement public_id) carry their driver as a prefix — `local:<objectKey>`
+ *  or `s3:<objectKey>`. Unprefixed keys are Cloudinary public IDs, so records
+ *  written before this layer existed keep working and every key can be read,
+ *  signed and deleted no matter which driver is currently active.
+ *
+ * Object-store drivers implement put / get / remove / publicUrl / signedUrl;
+ * thumbnails and previews for them are generated with sharp (imageVariants.js).
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import {
+  generateFileHash,
+  getCloudinaryResourceType,
+  validateAnnouncementFile,
+} from '../../utils/cloudinary.js';
+import cloudinaryAdapter from './cloudinaryAdapter.js';
+import localAdapter from './localAdapter.js';
+import s3Adapter from './s3Adapter.js';
+import {
+  VARIANT_SUFFIXES,
+  isRasterImage,
+  variantKey,
+  readImageMetadata,
+  attachmentVariants,
+  announcementVariants,
+  avatarVariants,
+  coverVariants,
+} from './imageVariants.js';
+
+export const STORAGE_DRIVERS = ['cloudinary', 'local', 's3'];
+
+const OBJECT_STORES = { local: localAdapter, s3: s3Adapter };
+
+const ANNOUNCEMENT_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf',
+};
+
+/* ── Keys and drivers ── */
+
+export const getDefaultDriver = () => config.storage.driver;
+
+/**
+ * Split a stored key into its driver and driver-specific object key
+ * @param {string} key
+ * @returns {{driver: string, objectKey: string}}
+ */
+export const parseKey = (key = '') => {
+  const match = /^(local|s3):(.+)$/.exec(key);
+  return match ? { driver: match[1], objectKey: match[2] } : { driver: 'cloudinary', objectKey: key };
+};
+
+const buildKey = (driver, objectKey) => (driver === 'cloudinary' ? objectKey : `${driver}:${objectKey}`);
+
+const resolveDriver = (driver = getDefaultDriver()) => {
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown storage driver "${driver}". Expected one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+  return driver;
+};
+
+const extensionFor = ({ originalName, mimetype, format }) => {
+  const fromName = path.extname(originalName || '').slice(1).toLowerCase();
+  return (format || fromName || EXTENSIONS[mimetype] || 'bin').replace(/[^a-z0-9]/gi, '');
+};
+
+const newObjectKey = (folder, extension) =>
+  `${folder.replace(/^\/+|\/+$/g, '')}/${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+
+/**
+ * True when an upload failed because the active driver is not configured
+ * @param {Error} error
+ */
+export const isStorageConfigError = (error) => /configuration missing/i.test(error?.message || '');
+
+/* ── Uploads ── */
+
+/**
+ * Upload a task, subtask or project attachment
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {string} options.folder - Logical folder, e.g. flowtask/cards/<id>/attachments
+ * @param {string} [options.resourceType] - image | video | raw | auto (Cloudinary)
+ * @param {string} [options.mimetype]
+ * @param {string} [options.originalName]
+ * @param {string} [options.format] - Force a file extension / format
+ * @param {Object} [options.context] - Metadata stored alongside the asset (Cloudinary only)
+ * @param {string} [options.driver] - Override the configured driver
+ * @returns {Promise<Object>} { key, url, secureUrl, resourceType, format, bytes, width, height, pages, duration, thumbnailUrl, previewUrl }
+ */
+export const uploadFile = async (buffer, options = {}) => {
+  const driver = resolveDriver(options.driver);
+  if (driver === 'cloudinary') return cloudinaryAdapter.uploadFile(buffer, options);
+
+  const store = OBJECT_STORES[driver];
+  const { folder = 'flowtask/attachments', mimetype, originalName } = options;
+  const format = extensionFor(options);
+  const objectKey = newObjectKey(folder, format);
+  const resourceType = getCloudinaryResourceType(mimetype);
+
+  await store.put(objectKey, buffer, mimetype);
+
+  const stored = {
+    key: buildKey(driver, objectKey),
+    url: store.publicUrl(objectKey),
+    secureUrl: store.publicUrl(objectKey),
+    resourceType,
+    format,
+    bytes: buffer.length,
+  };
+
+  if (isRasterImage(mimetype)) {
+    try {
+      const { width, height, pages } = await readImageMetadata(buffer);
+      const variants = await attachmentVariants(buffer);
+      await store.put(variantKey(objectKey, 'thumb'), variants.thumb, 'image/webp');
+      await store.put(variantKey(objectKey, 'preview'), variants.preview, 'image/webp');
+      Object.assign(stored, {
+        width,
+        height,
+        pages: pages > 1 ? pages : undefined,
+        thumbnailUrl: store.publicUrl(variantKey(objectKey, 'thumb')),
+        previewUrl: store.publicUrl(variantKey(objectKey, 'preview')),
+      });
+    } catch (error) {
+      // The original is stored; the UI falls back to it without thumbnails
+      logger.warn(`[Storage] Could not generate image variants for ${objectKey}: ${error.message}`);
+    }
+  }
+
+  return stored;
+};
+
+/**
+ * Upload a user avatar (512px square plus 128 / 256 sizes)
+ * @param {Buffer} buffer
+ * @param {{userId: string, originalName?: string, driver?: string}} options
+ * @returns {Promise<Object>} Same shape as uploadAvatarToCloudinary
+ */
+export const uploadAvatar = async (buffer, options = {}) => {
+  const driver = resolveDriver(options.driver);
+  if (driver === 'cloudinary') return cloudinaryAdapter.uploadAvatar(buffer, options);
+
+  const store = OBJECT_STORES[driver];
+  const objectKey = newObjectKey(`flowtask/avatars/${options.userId}`, 'webp');
+  const variants = await avatarVariants(buffer);
+
+  await store.put(objectKey, variants.main, 'image/webp');
+  await store.put(variantKey(objectKey, '128'), variants[128], 'image/webp');
+  await store.put(variantKey(objectKey, '256'), variants[256], 'image/webp');
+
+  return {
+    url: store.publicUrl(objectKey),
+    public_id: buildKey(driver, objectKey),
+    format: 'webp',
+    width: 512,
+    height: 512,
+    bytes: variants.main.length,
+    thumbnail_url: store.publicUrl(variantKey(objectKey, '128')),
+    medium_url: store.publicUrl(variantKey(objectKey, '256')),
+  };
+};
+
+/**
+ * Upload a project cover image (max 1200x800, blurred placeholder, dominant colour)
+ * @param {Buffer} buffer
+ * @param {{projectId: string, originalName?: string, mimetype: string, uploadedBy: string, driver?: string}} options
+ * @returns {Promise<Object>} Same shape as utils/cloudinary.uploadProjectCover
+ */
+export const uploadProjectCover = async (buffer, options = {}) => {
+  const driver = resolveDriver(options.driver);
+  if (driver === 'cloudinary') return cloudinaryAdapter.uploadProjectCover(buffer, options);
+
+  const store = OBJECT_STORES[driver];
+  const { projectId, originalName, mimetype, uploadedBy } = options;
+  const variants = await coverVariants(buffer, mimetype);
+  const format = variants.format || extensionFor({ originalName, mimetype });
+  const objectKey = newObjectKey(projectId ? `flowtask/projects/${projectId}/covers` : 'flowtask/projects/temp/covers', format);
+
+  await store.put(objectKey, variants.main, variants.format ? `image/${variants.format}` : mimetype);
+  if (variants.placeholder) {
+    await store.put(variantKey(objectKey, 'placeholder'), variants.placeholder, 'image/webp');
+  }
+
+  const { width, height } = await readImageMetadata(variants.main);
+  return {
+    url: store.publicUrl(objectKey),
+    publicId: buildKey(driver, objectKey),
+    thumbnailUrl: store.publicUrl(variants.placeholder ? variantKey(objectKey, 'placeholder') : objectKey),
+    dominantColor: variants.dominantColor,
+    width,
+    height,
+    format,
+    bytes: variants.main.length,
+    originalName,
+    uploadedBy,
+    uploadedAt: new Date(),
+  };
+};
+
+/**
+ * Upload one announcement attachment
+ * @param {Buffer} buffer
+ * @param {{announcementId?: string, originalName: string, mimetype: string, uploadedBy: string, driver?: string}} options
+ * @returns {Promise<Object>} Same shape as utils/cloudinary.uploadAnnouncementAttachment
+ */
+export const uploadAnnouncementAttachment = async (buffer, options = {}) => {
+  const driver = resolveDriver(options.driver);
+  if (driver === 'cloudinary') return cloudinaryAdapter.uploadAnnouncementAttachment(buffer, options);
+
+  const store = OBJECT_STORES[driver];
+  const { announcementId, originalName, mimetype, uploadedBy } = options;
+  const isImage = ANNOUNCEMENT_IMAGE_TYPES.includes(mimetype);
+  const format = extensionFor({ originalName, mimetype });
+  const folder = announcementId ? `flowtask/announcements/${announcementId}/attachments` : 'flowtask/announcements/temp';
+  const objectKey = newObjectKey(folder, format);
+
+  await store.put(objectKey, buffer, mimetype);
+
+  let width = null;
+  let height = null;
+  let thumbnailUrl = null;
+  let previewUrl = null;
+  if (isImage) {
+    ({ width, height } = await readImageMetadata(buffer));
+    const variants = await announcementVariants(buffer);
+    await store.put(variantKey(objectKey, 'thumb'), variants.thumb, 'image/webp');
+    await store.put(variantKey(objectKey, 'preview'), variants.preview, 'image/webp');
+    thumbnailUrl = store.publicUrl(variantKey(objectKey, 'thumb'));
+    previewUrl = store.publicUrl(variantKey(objectKey, 'preview'));
+  }
+
+  return {
+    url: store.publicUrl(objectKey),
+    public_id: buildKey(driver, objectKey),
+    resource_type: isImage ? 'image' : 'raw',
+    format,
+    file_size: buffer.length,
+    original_name: originalName,
+    mimetype,
+    width,
+    height,
+    file_hash: generateFileHash(buffer),
+    thumbnail_url: thumbnailUrl,
+    preview_url: previewUrl,
+    uploadedBy,
+    uploadedAt: new Date(),
+  };
+};
+
+/**
+ * Validate and upload announcement attachments in parallel
+ * @param {Array} files - Multer files
+ * @param {string} announcementId
+ * @param {string} uploadedBy - User ID
+ * @returns {Promise<{successful: Array, failed: Array}>}
+ */
+export const uploadMultipleAnnouncementAttachments = async (files, announcementId, uploadedBy) => {
+  const results = await Promise.all(
+    files.map(async (file) => {
+      const validation = validateAnnouncementFile(file);
+      if (!validation.valid) {
+        return { success: false, originalName: file.originalname, error: validation.error };
+      }
+      try {
+        const data = await uploadAnnouncementAttachment(file.buffer, {
+          announcementId,
+          originalName: file.originalname,
+          mimetype: file.mimetype,
+          uploadedBy,
+        });
+        return { success: true, data };
+      } catch (error) {
+        return { success: false, originalName: file.originalname, error: error.message };
+      }
+    })
+  );
+
+  return {
+    successful: results.filter((r) => r.success).map((r) => r.data),
+    failed: results.filter((r) => !r.success).map(({ originalName, error }) => ({ originalName, error })),
+  };
+};
+
+/* ── Reads, downloads and deletes ── */
+
+/**
+ * Read a stored file back into memory (used by migrations)
+ * @param {string} key - Stored key
+ * @param {{url?: string, resourceType?: string}} [options] - Cloudinary delivery hints
+ * @returns {Promise<Buffer>}
+ */
+export const readFile = async (key, options = {}) => {
+  const { driver, objectKey } = parseKey(key);
+  if (driver === 'cloudinary') return cloudinaryAdapter.get(objectKey, options);
+  return OBJECT_STORES[driver].get(objectKey);
+};
+
+/**
+ * Build a short-lived URL that downloads the file as an attachment
+ * @param {string} key - Stored key
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Name the browser saves the file as
+ * @param {string} [options.resourceType] - Cloudinary resource type
+ * @param {string} [options.format] - Cloudinary format
+ * @param {number} [options.expiresIn] - Seconds, defaults to config.storage.signedUrlTtlSeconds
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+export const getDownloadUrl = async (key, options = {}) => {
+  const { driver, objectKey } = parseKey(key);
+  const expiresIn = options.expiresIn || config.storage.signedUrlTtlSeconds;
+  const adapter = driver === 'cloudinary' ? cloudinaryAdapter : OBJECT_STORES[driver];
+  const url = await adapter.signedUrl(objectKey, { ...options, expiresIn });
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+/**
+ * Delete stored files and their generated variants, whatever driver wrote them
+ * @param {Array<{key: string, resourceType?: string}>} items
+ */
+export const deleteFiles = async (items) => {
+  const byDriver = new Map();
+  for (const item of items) {
+    if (!item?.key) continue;
+    const { driver, objectKey } = parseKey(item.key);
+    if (!byDriver.has(driver)) byDriver.set(driver, []);
+    byDriver.get(driver).push({ key: objectKey, resourceType: item.resourceType });
+  }
+
+  for (const [driver, entries] of byDriver) {
+    if (driver === 'cloudinary') {
+      await cloudinaryAdapter.remove(entries);
+    } else {
+      const objectKeys = entries.flatMap(({ key }) => [key, ...VARIANT_SUFFIXES.map((suffix) => `${key}${suffix}`)]);
+      await OBJECT_STORES[driver].remove(objectKeys);
+    }
+  }
+};
+
+/**
+ * Delete one stored file and its variants
+ * @param {string} key
+ * @param {string} [resourceType='image'] - Cloudinary resource type
+ */
+export const deleteFile = async (key, resourceType = 'image') => deleteFiles([{ key, resourceType }]);
+
+export default {
+  STORAGE_DRIVERS,
+  getDefaultDriver,
+  parseKey,
+  isStorageConfigError,
+  uploadFile,
+  uploadAvatar,
+  uploadProjectCover,
+  uploadAnnouncementAttachment,
+  uploadMultipleAnnouncementAttachments,
+  readFile,
+  getDownloadUrl,
+  deleteFiles,
+  deleteFile,
+};
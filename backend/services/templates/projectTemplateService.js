@@ -0,0 +1,526 @@
+/**
+ * Project Template Service
+ *
+ * Captures an existing project as a reusable ProjectTemplate and materializes
+ * a template into a freshly created board.
+ *
+ * What a template carries:
+ *  - lists (title, color, order) and labels (name, color)
+ *  - card skeletons with their subtasks and nano-subtasks
+ *  - RecurringTask definitions attached to those cards
+ *  - the milestone schedule (titles, amounts, workflow)
+ *
+ * People, comments, attachments, time logs and completion state are left
+ * behind. Every date is stored as a whole-day offset from the source project's
+ * start date and is shifted onto the new project's start date on use.
+ */
+
+import mongoose from 'mongoose';
+import ProjectTemplate from '../../models/ProjectTemplate.js';
+import Board from '../../models/Board.js';
+import List from '../../models/List.js';
+import Label from '../../models/Label.js';
+import Card from '../../models/Card.js';
+import Subtask from '../../models/Subtask.js';
+import SubtaskNano from '../../models/SubtaskNano.js';
+import RecurringTask from '../../models/RecurringTask.js';
+import Milestone from '../../models/Milestone.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { MILESTONE_BILLING_TYPE } from '../milestone/milestoneService.js';
+import { fromCents } from '../../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECURRENCE_FIELDS = [
+  'scheduleType',
+  'dailyOptions',
+  'weeklyOptions',
+  'monthlyOptions',
+  'yearlyOptions',
+  'daysAfterOptions',
+  'customOptions',
+  'recurBehavior',
+  'taskOptions',
+  'dueTime',
+  'startTime',
+  'timezone'
+];
+
+/* ── Helpers ── */
+
+const toId = (value) => (value?._id || value)?.toString() || null;
+
+const dayOffset = (date, anchor) => {
+  if (!date) return null;
+  const time = new Date(date).getTime();
+  if (Number.isNaN(time)) return null;
+  return Math.round((time - anchor.getTime()) / DAY_MS);
+};
+
+const shiftDate = (anchor, offsetDays) => {
+  if (offsetDays === null || offsetDays === undefined) return null;
+  return new Date(anchor.getTime() + offsetDays * DAY_MS);
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Multipart create requests send arrays as JSON strings
+const hasEntries = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value !== 'string') return false;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) && parsed.length > 0;
+  } catch {
+    return isBlank(value) === false;
+  }
+};
+
+const canManageBoard = (board, actor) =>
+  toId(board.owner) === toId(actor) || ['admin', 'manager'].includes(actor.role);
+
+const canManageTemplate = (template, actor) =>
+  toId(template.createdBy) === toId(actor) || ['admin', 'manager'].includes(actor.role);
+
+export const findTemplateOr404 = async (templateId) => {
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new ErrorResponse('Project template not found', 404);
+  }
+  const template = await ProjectTemplate.findById(templateId);
+  if (!template) throw new ErrorResponse('Project template not found', 404);
+  return template;
+};
+
+/**
+ * Resolve a template or project start date. Falls back to today when the
+ * caller did not pick one.
+ */
+export const resolveStartDate = (value) => {
+  if (isBlank(value)) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse('Project start date must be a valid date', 400);
+  }
+  return date;
+};
+
+/* ── Capture ── */
+
+const captureRecurrence = (recurrence, anchor, labelNames) => {
+  const captured = {};
+  RECURRENCE_FIELDS.forEach((key) => {
+    if (recurrence[key] !== undefined) captured[key] = recurrence[key];
+  });
+  captured.dueOffsetDays = dayOffset(recurrence.dueDate, anchor);
+  captured.startOffsetDays = dayOffset(recurrence.startDate, anchor);
+  captured.endCondition = {
+    type: recurrence.endCondition?.type || 'never',
+    occurrences: recurrence.endCondition?.occurrences,
+    endOffsetDays: dayOffset(recurrence.endCondition?.endDate, anchor)
+  };
+  const subtaskTemplate = recurrence.subtaskTemplate || {};
+  captured.subtaskTemplate = {
+    title: subtaskTemplate.title,
+    description: subtaskTemplate.description,
+    priority: subtaskTemplate.priority,
+    labels: (subtaskTemplate.tags || []).map((id) => labelNames.get(toId(id))).filter(Boolean)
+  };
+  return captured;
+};
+
+/**
+ * Snapshot a board into a new template.
+ * @param {string} boardId
+ * @param {{ name?: string, description?: string }} data
+ * @param {Object} actor - req.user
+ */
+export const createTemplateFromBoard = async (boardId, data, actor) => {
+  if (!mongoose.Types.ObjectId.isValid(boardId)) {
+    throw new ErrorResponse('Board not found', 404);
+  }
+  const board = await Board.findById(boardId).lean();
+  if (!board || board.isDeleted) throw new ErrorResponse('Board not found', 404);
+  if (!canManageBoard(board, actor)) {
+    throw new ErrorResponse('Not authorized to save this board as a template', 403);
+  }
+
+  const anchor = new Date(board.startDate || board.createdAt);
+
+  const [lists, labels, cards, recurrences] = await Promise.all([
+    List.find({ board: board._id, isArchived: false }).sort({ position: 1 }).lean(),
+    Label.find({ board: board._id }).sort({ createdAt: 1 }).lean(),
+    Card.find({ board: board._id, isArchived: false }).sort({ position: 1 }).lean(),
+    RecurringTask.find({ board: board._id, isActive: true }).lean()
+  ]);
+
+  const listIndex = new Map(lists.map((list, index) => [list._id.toString(), index]));
+  const labelNames = new Map(labels.map((label) => [label._id.toString(), label.name]));
+  const namesFor = (ids = []) => ids.map((id) => labelNames.get(toId(id))).filter(Boolean);
+
+  const templateCards = cards.filter((card) => listIndex.has(toId(card.list)));
+  const cardIds = templateCards.map((card) => card._id);
+
+  // Generated recurrence instances are recreated by the recurrence itself
+  const subtasks = await Subtask.find({ task: { $in: cardIds }, isRecurring: { $ne: true } })
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+  const nanos = await SubtaskNano.find({ subtask: { $in: subtasks.map((subtask) => subtask._id) } })
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+
+  const nanosBySubtask = new Map();
+  nanos.forEach((nano) => {
+    const key = nano.subtask.toString();
+    if (!nanosBySubtask.has(key)) nanosBySubtask.set(key, []);
+    nanosBySubtask.get(key).push({
+      title: nano.title,
+      description: nano.description,
+      priority: nano.priority,
+      labels: namesFor(nano.tags),
+      order: nano.order,
+      colorToken: nano.colorToken,
+      startOffsetDays: dayOffset(nano.startDate, anchor),
+      dueOffsetDays: dayOffset(nano.dueDate, anchor)
+    });
+  });
+
+  const subtasksByCard = new Map();
+  subtasks.forEach((subtask) => {
+    const key = subtask.task.toString();
+    if (!subtasksByCard.has(key)) subtasksByCard.set(key, []);
+    subtasksByCard.get(key).push({
+      title: subtask.title,
+      description: subtask.description,
+      priority: subtask.priority,
+      labels: namesFor(subtask.tags),
+      order: subtask.order,
+      colorToken: subtask.colorToken,
+      startOffsetDays: dayOffset(subtask.startDate, anchor),
+      dueOffsetDays: dayOffset(subtask.dueDate, anchor),
+      nanos: nanosBySubtask.get(subtask._id.toString()) || []
+    });
+  });
+
+  const recurrenceByCard = new Map(recurrences.map((recurrence) => [toId(recurrence.card), recurrence]));
+
+  const templateMilestones = String(board.billingCycle || '').toLowerCase() === MILESTONE_BILLING_TYPE
+    ? await Milestone.find({ board: board._id }).sort({ order: 1 }).lean()
+    : [];
+
+  const template = await ProjectTemplate.create({
+    name: data.name?.trim() || `${board.name} template`,
+    description: data.description,
+    department: board.department,
+    sourceBoard: board._id,
+    defaults: {
+      background: board.background,
+      projectType: board.projectType,
+      projectCategory: board.projectCategory,
+      billingCycle: board.billingCycle,
+      priority: board.priority,
+      estimatedTime: board.estimatedTime,
+      tags: board.labels || [],
+      durationDays: dayOffset(board.dueDate, anchor)
+    },
+    lists: lists.map((list) => ({ title: list.title, color: list.color })),
+    labels: labels.map((label) => ({ name: label.name, color: label.color })),
+    cards: templateCards.map((card) => {
+      const recurrence = recurrenceByCard.get(card._id.toString());
+      return {
+        title: card.title,
+        description: card.description,
+        listIndex: listIndex.get(toId(card.list)),
+        position: card.position,
+        priority: card.priority,
+        labels: namesFor(card.labels),
+        startOffsetDays: dayOffset(card.startDate, anchor),
+        dueOffsetDays: dayOffset(card.dueDate, anchor),
+        subtasks: subtasksByCard.get(card._id.toString()) || [],
+        recurrence: recurrence ? captureRecurrence(recurrence, anchor, labelNames) : undefined
+      };
+    }),
+    milestoneSchedule: templateMilestones.length > 0
+      ? {
+        workflow: board.milestoneWorkflow || 'sequential',
+        totalProjectBudgetCents: board.totalProjectBudgetCents,
+        milestones: templateMilestones.map((milestone) => ({
+          title: milestone.title,
+          amountCents: milestone.amountCents,
+          order: milestone.order,
+          dueOffsetDays: dayOffset(milestone.dueDate, anchor)
+        }))
+      }
+      : undefined,
+    createdBy: actor.id
+  });
+
+  return template;
+};
+
+/* ── Queries ── */
+
+/**
+ * Lightweight listing for pickers: no card skeletons, just their counts.
+ */
+export const listTemplates = async () => {
+  const templates = await ProjectTemplate.find()
+    .populate('createdBy', 'name email avatar')
+    .populate('department', 'name')
+    .sort({ name: 1 })
+    .lean();
+
+  return templates.map(({ cards = [], lists = [], labels = [], milestoneSchedule, ...template }) => ({
+    ...template,
+    listCount: lists.length,
+    labelCount: labels.length,
+    cardCount: cards.length,
+    subtaskCount: cards.reduce((sum, card) => sum + (card.subtasks?.length || 0), 0),
+    recurrenceCount: cards.filter((card) => card.recurrence).length,
+    milestoneCount: milestoneSchedule?.milestones?.length || 0,
+    lists: lists.map((list) => list.title)
+  }));
+};
+
+export const updateTemplate = async (templateId, data, actor) => {
+  const template = await findTemplateOr404(templateId);
+  if (!canManageTemplate(template, actor)) {
+    throw new ErrorResponse('Not authorized to update this template', 403);
+  }
+  if (data.name !== undefined) template.name = data.name;
+  if (data.description !== undefined) template.description = data.description;
+  await template.save();
+  return template;
+};
+
+export const deleteTemplate = async (templateId, actor) => {
+  const template = await findTemplateOr404(templateId);
+  if (!canManageTemplate(template, actor)) {
+    throw new ErrorResponse('Not authorized to delete this template', 403);
+  }
+  await template.deleteOne();
+  return template;
+};
+
+/* ── Instantiate ── */
+
+/**
+ * The template's milestone schedule in the shape normalizeMilestoneSchedule
+ * expects, with due dates shifted onto the new start date.
+ * Returns null when the template has no milestones.
+ */
+export const getTemplateMilestoneInput = (template, startDate) => {
+  const schedule = template.milestoneSchedule;
+  if (!schedule?.milestones?.length) return null;
+  return {
+    totalProjectBudget: fromCents(schedule.totalProjectBudgetCents),
+    milestoneWorkflow: schedule.workflow || 'sequential',
+    milestones: schedule.milestones.map((milestone) => ({
+      title: milestone.title,
+      amount: fromCents(milestone.amountCents),
+      order: milestone.order,
+      dueDate: shiftDate(startDate, milestone.dueOffsetDays)
+    }))
+  };
+};
+
+/**
+ * Fill the blanks of a create-project request body from a template's
+ * defaults. Anything the request sets explicitly wins. The start date becomes
+ * the resolved project start, and the due date / milestone schedule are
+ * derived from the template when the request does not supply them.
+ */
+export const withTemplateDefaults = (body, template, startDate) => {
+  const defaults = template.defaults || {};
+  const merged = {
+    ...body,
+    background: body.background || defaults.background,
+    projectType: body.projectType || defaults.projectType,
+    projectCategory: body.projectCategory || defaults.projectCategory,
+    billingCycle: body.billingCycle || defaults.billingCycle,
+    priority: body.priority || defaults.priority,
+    estimatedTime: body.estimatedTime || defaults.estimatedTime,
+    labels: hasEntries(body.labels) ? body.labels : defaults.tags,
+    startDate,
+    dueDate: body.dueDate || shiftDate(startDate, defaults.durationDays) || undefined
+  };
+
+  const usesMilestones = String(merged.billingCycle || '').trim().toLowerCase() === MILESTONE_BILLING_TYPE;
+  const hasMilestones = hasEntries(body.milestones);
+  const templateSchedule = usesMilestones && !hasMilestones
+    ? getTemplateMilestoneInput(template, startDate)
+    : null;
+  if (templateSchedule) {
+    merged.totalProjectBudget = isBlank(body.totalProjectBudget)
+      ? templateSchedule.totalProjectBudget
+      : body.totalProjectBudget;
+    merged.milestoneWorkflow = body.milestoneWorkflow || templateSchedule.milestoneWorkflow;
+    merged.milestones = templateSchedule.milestones;
+  }
+
+  return merged;
+};
+
+/**
+ * Create the template's lists, labels, cards, subtasks, nanos and recurring
+ * task definitions on a new board. Milestones are created by the caller
+ * through the regular milestone service.
+ *
+ * Recurring tasks are returned unscheduled; call scheduleNextOccurrence on
+ * each once the surrounding transaction (if any) has committed.
+ *
+ * @param {Object} params
+ * @param {Object} params.template - ProjectTemplate document
+ * @param {Object} params.board - Newly created board
+ * @param {Date} params.startDate - Project start date all offsets are relative to
+ * @param {string} params.actorId
+ * @param {ClientSession} [params.session]
+ */
+export const materializeTemplate = async ({ template, board, startDate, actorId, session }) => {
+  const options = session ? { session } : {};
+
+  const lists = await List.insertMany(template.lists.map((list, position) => ({
+    title: list.title,
+    color: list.color,
+    board: board._id,
+    position
+  })), options);
+
+  const labels = template.labels.length > 0
+    ? await Label.insertMany(template.labels.map((label) => ({
+      name: label.name,
+      color: label.color,
+      board: board._id,
+      createdBy: actorId
+    })), options)
+    : [];
+  const labelIds = new Map(labels.map((label) => [label.name, label._id]));
+  const idsFor = (names = []) => names.map((name) => labelIds.get(name)).filter(Boolean);
+
+  const skeletons = template.cards.filter((card) => lists[card.listIndex]);
+  const cardDocs = skeletons.map((card) => {
+    const list = lists[card.listIndex];
+    const nanoTotal = card.subtasks.reduce((sum, subtask) => sum + subtask.nanos.length, 0);
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      title: card.title,
+      description: card.description,
+      list: list._id,
+      board: board._id,
+      position: card.position,
+      priority: card.priority,
+      labels: idsFor(card.labels),
+      status: list.title.toLowerCase().replace(/\s+/g, '-'),
+      startDate: shiftDate(startDate, card.startOffsetDays),
+      dueDate: shiftDate(startDate, card.dueOffsetDays),
+      subtaskStats: { total: card.subtasks.length, completed: 0, nanoTotal, nanoCompleted: 0 },
+      createdBy: actorId,
+      createdFrom: 'project'
+    };
+  });
+
+  const subtaskDocs = [];
+  const nanoDocs = [];
+  const recurrenceDocs = [];
+
+  skeletons.forEach((card, cardIndex) => {
+    const cardDoc = cardDocs[cardIndex];
+
+    card.subtasks.forEach((subtask) => {
+      const subtaskId = new mongoose.Types.ObjectId();
+      subtaskDocs.push({
+        _id: subtaskId,
+        task: cardDoc._id,
+        board: board._id,
+        list: cardDoc.list,
+        title: subtask.title,
+        description: subtask.description,
+        priority: subtask.priority,
+        tags: idsFor(subtask.labels),
+        order: subtask.order,
+        ...(subtask.colorToken ? { colorToken: subtask.colorToken } : {}),
+        startDate: shiftDate(startDate, subtask.startOffsetDays),
+        dueDate: shiftDate(startDate, subtask.dueOffsetDays),
+        nanoCount: subtask.nanos.length,
+        breadcrumbs: { project: board.name, task: card.title },
+        createdBy: actorId
+      });
+
+      subtask.nanos.forEach((nano) => {
+        nanoDocs.push({
+          subtask: subtaskId,
+          task: cardDoc._id,
+          board: board._id,
+          title: nano.title,
+          description: nano.description,
+          priority: nano.priority,
+          tags: idsFor(nano.labels),
+          order: nano.order,
+          ...(nano.colorToken ? { colorToken: nano.colorToken } : {}),
+          startDate: shiftDate(startDate, nano.startOffsetDays),
+          dueDate: shiftDate(startDate, nano.dueOffsetDays),
+          breadcrumbs: { project: board.name, task: card.title, subtask: subtask.title },
+          createdBy: actorId
+        });
+      });
+    });
+
+    if (card.recurrence) {
+      const { dueOffsetDays, startOffsetDays, endCondition = {}, subtaskTemplate = {}, ...schedule } = card.recurrence;
+      const dueDate = shiftDate(startDate, dueOffsetDays);
+      const recurrence = new RecurringTask({
+        ...schedule,
+        card: cardDoc._id,
+        board: board._id,
+        createdBy: actorId,
+        dueDate,
+        startDate: shiftDate(startDate, startOffsetDays),
+        endCondition: {
+          type: endCondition.type || 'never',
+          occurrences: endCondition.occurrences,
+          endDate: shiftDate(startDate, endCondition.endOffsetDays)
+        },
+        subtaskTemplate: {
+          title: subtaskTemplate.title || `${card.title} - Recurring`,
+          description: subtaskTemplate.description || '',
+          priority: subtaskTemplate.priority || card.priority || 'medium',
+          assignees: [],
+          tags: idsFor(subtaskTemplate.labels)
+        }
+      });
+      recurrence.nextOccurrence = recurrence.calculateNextOccurrence(dueDate || startDate);
+      recurrenceDocs.push(recurrence);
+    }
+  });
+
+  await Card.insertMany(cardDocs, options);
+  if (subtaskDocs.length > 0) await Subtask.insertMany(subtaskDocs, options);
+  if (nanoDocs.length > 0) await SubtaskNano.insertMany(nanoDocs, options);
+  const recurringTasks = recurrenceDocs.length > 0
+    ? await RecurringTask.insertMany(recurrenceDocs, options)
+    : [];
+
+  return {
+    lists,
+    labels,
+    cardCount: cardDocs.length,
+    subtaskCount: subtaskDocs.length,
+    nanoCount: nanoDocs.length,
+    recurringTasks
+  };
+};
+
+export default {
+  findTemplateOr404,
+  resolveStartDate,
+  createTemplateFromBoard,
+  listTemplates,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateMilestoneInput,
+  withTemplateDefaults,
+  materializeTemplate
+};
@@ -0,0 +1,288 @@
+/**
+ * Timer Service
+ *
+ * Server-side start/stop timers for tasks, subtasks and nano-subtasks. A
+ * timer lives in the database so it survives reloads and follows the user
+ * across devices; each user has at most one.
+ *
+ * Stopping a timer logs the elapsed minutes as a loggedTime entry on the item
+ * through timeEntryUtils.addTimeEntry, so the usual rules apply (no future
+ * dates, a description, at most 24 hours per user and day, and no changes to
+ * a week whose timesheet is submitted or approved). When a rule rejects the
+ * entry the timer keeps running and nothing is lost.
+ *
+ * Clients report activity with heartbeats. A timer whose owner has been
+ * inactive for longer than config.timer.idleLimitMinutes is flagged idle so
+ * the client can offer to stop it at the last activity instead of now.
+ */
+
+import Card from '../../models/Card.js';
+import Subtask from '../../models/Subtask.js';
+import SubtaskNano from '../../models/SubtaskNano.js';
+import Board from '../../models/Board.js';
+import Activity from '../../models/Activity.js';
+import TimeTimer, { TIMER_ITEM_TYPES } from '../../models/TimeTimer.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { emitToBoard, emitToUser, emitFinanceDataRefresh } from '../../realtime/index.js';
+import { refreshCardHierarchyStats, refreshSubtaskNanoStats } from '../../utils/hierarchyStats.js';
+import { addTimeEntry } from '../../utils/timeEntryUtils.js';
+import { assertTimeEntryEditable } from './timesheetService.js';
+import { emitTimeEntryWebhook } from '../../utils/chatTimeTracking.js';
+import { automationHooks } from '../../utils/automationHooks.js';
+import config from '../../config/index.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const ITEM_MODELS = { card: Card, subtask: Subtask, nano: SubtaskNano };
+
+// Same shape the subtask and nano controllers broadcast
+const NANO_POPULATE = [
+  { path: 'assignees', select: 'name email avatar' },
+  { path: 'tags', select: 'name color' },
+  { path: 'coverImage', select: 'url secureUrl publicId height width' },
+  { path: 'estimationTime.user', select: 'name email avatar' },
+  { path: 'loggedTime.user', select: 'name email avatar' },
+  { path: 'billedTime.user', select: 'name email avatar' }
+];
+const SUBTASK_POPULATE = [...NANO_POPULATE, { path: 'watchers', select: 'name email avatar' }];
+
+/* ── Helpers ── */
+
+const itemIdOf = (timer) => {
+  if (timer.itemType === 'nano') return timer.nanoSubtask;
+  if (timer.itemType === 'subtask') return timer.subtask;
+  return timer.card;
+};
+
+/**
+ * Timer as sent to clients, with elapsed time and the idle flag worked out
+ * against the server clock.
+ */
+const present = (timer, now = new Date()) => {
+  if (!timer) return null;
+  const idleLimitMs = config.timer.idleLimitMinutes * MINUTE_MS;
+  return {
+    _id: timer._id,
+    itemType: timer.itemType,
+    itemId: itemIdOf(timer),
+    card: timer.card,
+    subtask: timer.subtask || null,
+    nanoSubtask: timer.nanoSubtask || null,
+    board: timer.board,
+    title: timer.title,
+    description: timer.description,
+    startedAt: timer.startedAt,
+    lastActivityAt: timer.lastActivityAt,
+    elapsedSeconds: Math.max(0, Math.floor((now - timer.startedAt) / 1000)),
+    idle: now - timer.lastActivityAt > idleLimitMs,
+    idleLimitMinutes: config.timer.idleLimitMinutes
+  };
+};
+
+const broadcast = (userId, timer) => {
+  emitToUser(userId.toString(), 'timer:changed', { timer: present(timer) });
+};
+
+/* ── Reads ── */
+
+export const getCurrentTimer = async (userId) => {
+  const timer = await TimeTimer.findOne({ user: userId }).lean();
+  return present(timer);
+};
+
+/* ── Start / heartbeat / discard ── */
+
+export const startTimer = async (user, { itemType, itemId, description }) => {
+  if (!TIMER_ITEM_TYPES.includes(itemType)) {
+    throw new ErrorResponse('Invalid item type', 400);
+  }
+
+  const running = await TimeTimer.findOne({ user: user._id }).select('title').lean();
+  if (running) {
+    throw new ErrorResponse(`A timer is already running on "${running.title}". Stop it first.`, 409);
+  }
+
+  const item = await ITEM_MODELS[itemType].findById(itemId).select('title board task subtask').lean();
+  if (!item) throw new ErrorResponse('Item not found', 404);
+
+  const now = new Date();
+  try {
+    const timer = await TimeTimer.create({
+      user: user._id,
+      itemType,
+      card: itemType === 'card' ? item._id : item.task,
+      subtask: itemType === 'subtask' ? item._id : itemType === 'nano' ? item.subtask : undefined,
+      nanoSubtask: itemType === 'nano' ? item._id : undefined,
+      board: item.board,
+      title: item.title,
+      description: description || '',
+      startedAt: now,
+      lastActivityAt: now
+    });
+    broadcast(user._id, timer);
+    return present(timer, now);
+  } catch (error) {
+    // Started on another device at the same moment
+    if (error.code === 11000) {
+      throw new ErrorResponse('A timer is already running. Stop it first.', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Records that the owner is active, which clears the idle flag. Other devices
+ * are told too so they don't prompt about idle time.
+ */
+export const recordActivity = async (userId) => {
+  const timer = await TimeTimer.findOneAndUpdate(
+    { user: userId },
+    { lastActivityAt: new Date() },
+    { new: true }
+  ).lean();
+  if (timer) broadcast(userId, timer);
+  return present(timer);
+};
+
+export const discardTimer = async (userId) => {
+  const timer = await TimeTimer.findOneAndDelete({ user: userId }).lean();
+  if (!timer) throw new ErrorResponse('No timer is running', 404);
+  broadcast(userId, null);
+};
+
+/* ── Stop ── */
+
+/**
+ * Notify the board, finance views and integrations about the new entry, the
+ * same way adding a time entry by hand does.
+ */
+const announceLoggedTime = async (itemType, item, entry, user, previousEntries) => {
+  const boardId = item.board.toString();
+  const cardId = (itemType === 'card' ? item._id : item.task).toString();
+
+  await Activity.create({
+    type: 'time_logged',
+    description: `Logged ${entry.hours}h ${entry.minutes}m with a timer`,
+    user: user._id,
+    board: item.board,
+    card: cardId,
+    ...(itemType === 'card' && { list: item.list }),
+    ...(itemType === 'subtask' && { subtask: item._id }),
+    ...(itemType === 'nano' && { subtask: item.subtask, nanoSubtask: item._id }),
+    contextType: itemType === 'card' ? 'task' : itemType === 'subtask' ? 'subtask' : 'nanoSubtask',
+    metadata: { timeType: 'logged', hours: entry.hours, minutes: entry.minutes, source: 'timer' }
+  });
+
+  if (itemType === 'card') {
+    emitToBoard(boardId, 'card-updated', {
+      cardId: item._id,
+      updates: { loggedTime: item.loggedTime }
+    });
+    automationHooks.onTimeLogged(item, previousEntries, item.loggedTime, user).catch(console.error);
+  } else if (itemType === 'subtask') {
+    refreshCardHierarchyStats(item.task);
+    const subtask = await Subtask.findById(item._id).populate(SUBTASK_POPULATE);
+    emitToBoard(boardId, 'hierarchy-subtask-changed', { type: 'updated', subtask });
+  } else {
+    await Promise.all([refreshSubtaskNanoStats(item.subtask), refreshCardHierarchyStats(item.task)]);
+    const nano = await SubtaskNano.findById(item._id).populate(NANO_POPULATE);
+    emitToBoard(boardId, 'hierarchy-nano-changed', {
+      type: 'updated',
+      subtaskId: item.subtask.toString(),
+      nano
+    });
+  }
+
+  emitFinanceDataRefresh({
+    changeType: 'logged_time',
+    cardId,
+    ...(itemType === 'subtask' && { subtaskId: item._id.toString() }),
+    ...(itemType === 'nano' && { nanoId: item._id.toString(), subtaskId: item.subtask.toString() }),
+    boardId
+  });
+
+  const [task, board, subtask] = await Promise.all([
+    itemType === 'card' ? item : Card.findById(item.task).select('title board').lean(),
+    Board.findById(item.board).select('name department').lean(),
+    itemType === 'nano' ? Subtask.findById(item.subtask).select('title').lean() : itemType === 'subtask' ? item : null
+  ]);
+  await emitTimeEntryWebhook({
+    operation: 'added',
+    entryType: 'logged',
+    entityType: itemType === 'card' ? 'task' : itemType,
+    entity: item,
+    task: task || { _id: cardId, title: '', board: item.board },
+    ...(subtask && { subtask }),
+    board: board || { _id: item.board, name: '', department: null },
+    actor: user,
+    currentEntry: entry
+  }).catch((error) => {
+    console.error('Failed to dispatch timer time-entry webhook:', error);
+  });
+};
+
+/**
+ * Stops the running timer and logs the time from its start to `endedAt`
+ * (default now). Passing the last activity time as `endedAt` discards the
+ * idle stretch. Under a minute is discarded without logging anything.
+ */
+export const stopTimer = async (user, { endedAt, description } = {}) => {
+  const timer = await TimeTimer.findOne({ user: user._id });
+  if (!timer) throw new ErrorResponse('No timer is running', 404);
+
+  const now = new Date();
+  const end = endedAt ? new Date(endedAt) : now;
+  if (Number.isNaN(end.getTime()) || end < timer.startedAt || end > now) {
+    throw new ErrorResponse('The stop time must be between the timer start and now', 400);
+  }
+
+  const totalMinutes = Math.round((end - timer.startedAt) / MINUTE_MS);
+  if (totalMinutes < 1) {
+    await timer.deleteOne();
+    broadcast(user._id, null);
+    return { entry: null, itemType: timer.itemType, itemId: itemIdOf(timer) };
+  }
+
+  // A locked timesheet week keeps the timer running so the time isn't lost
+  await assertTimeEntryEditable('logged', user._id, [end]);
+
+  const item = await ITEM_MODELS[timer.itemType].findById(itemIdOf(timer));
+  if (!item) {
+    await timer.deleteOne();
+    broadcast(user._id, null);
+    throw new ErrorResponse('The timed item no longer exists; the timer was discarded', 404);
+  }
+
+  const { entry, error } = addTimeEntry(
+    item.loggedTime,
+    {
+      hours: Math.floor(totalMinutes / 60),
+      minutes: totalMinutes % 60,
+      description: (description ?? timer.description)?.trim() || `Timer on ${timer.title}`,
+      date: end
+    },
+    { id: user._id, name: user.name },
+    'logged'
+  );
+  if (error) throw new ErrorResponse(error, 400);
+
+  const previousEntries = item.loggedTime.map((e) => e.toObject());
+  item.loggedTime.push(entry);
+  await item.save();
+  await timer.deleteOne();
+  broadcast(user._id, null);
+
+  const added = item.loggedTime[item.loggedTime.length - 1];
+  await item.populate('loggedTime.user', 'name email avatar');
+  announceLoggedTime(timer.itemType, item, added, user, previousEntries).catch(console.error);
+
+  return { entry: added, itemType: timer.itemType, itemId: item._id };
+};
+
+export default {
+  getCurrentTimer,
+  startTimer,
+  recordActivity,
+  discardTimer,
+  stopTimer
+};
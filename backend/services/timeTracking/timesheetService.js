@@ -0,0 +1,421 @@
+/**
+ * Timesheet Service
+ *
+ * Weekly timesheets assembled from a user's loggedTime on tasks, subtasks and
+ * nano-subtasks. Weeks run Monday to Sunday in UTC, the same calendar the
+ * YYYY-MM-DD checks in timeEntryUtils use.
+ *
+ * A user submits a week and a reviewer approves or rejects it with a comment.
+ * Reviewers are the same people who review leave: admins and HR for everyone,
+ * managers for the departments they manage, and never the submitter.
+ *
+ * Billed time only comes from approvals. Approving copies every submitted
+ * entry into its item's billedTime, tagged with the timesheet, and that is
+ * what the finance reports count; billed entries can't be added or edited by
+ * hand. Logged time in a submitted or approved week is locked until the week
+ * is rejected or reopened, and reopening removes the billed entries its
+ * approval created.
+ */
+
+import mongoose from 'mongoose';
+import Card from '../../models/Card.js';
+import Subtask from '../../models/Subtask.js';
+import SubtaskNano from '../../models/SubtaskNano.js';
+import Department from '../../models/Department.js';
+import User from '../../models/User.js';
+import Timesheet, { LOCKED_TIMESHEET_STATUSES } from '../../models/Timesheet.js';
+import notificationService from '../../utils/notificationService.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { emitFinanceDataRefresh } from '../../realtime/index.js';
+import { getDepartmentIdsByUser, getManagedDepartmentIds } from '../calendar/timeOffService.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ITEM_MODELS = { card: Card, subtask: Subtask, nano: SubtaskNano };
+
+const TIMESHEET_POPULATE = [
+  { path: 'user', select: 'name email avatar' },
+  { path: 'reviewedBy', select: 'name' },
+  { path: 'history.by', select: 'name' }
+];
+
+const idString = (value) => value?._id?.toString() || value?.toString();
+
+const entryMinutes = (entry) => (entry.hours || 0) * 60 + (entry.minutes || 0);
+
+/* ── Weeks ── */
+
+/**
+ * Monday 00:00 UTC of the week containing a date.
+ */
+export const startOfWeek = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ErrorResponse('A valid week start date is required', 400);
+  }
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date;
+};
+
+const formatWeek = (weekStart) =>
+  `the week of ${new Date(weekStart).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+
+/**
+ * A user's loggedTime entries dated within a week, flattened across every
+ * task, subtask and nano-subtask, oldest first.
+ */
+const collectLoggedEntries = async (userId, weekStart) => {
+  const weekEnd = new Date(weekStart.getTime() + WEEK_MS);
+  const userObjectId = new mongoose.Types.ObjectId(idString(userId));
+  const match = {
+    loggedTime: { $elemMatch: { user: userObjectId, date: { $gte: weekStart, $lt: weekEnd } } }
+  };
+
+  const [cards, subtasks, nanos] = await Promise.all([
+    Card.find(match).select('title board loggedTime').lean(),
+    Subtask.find(match).select('title board task loggedTime').lean(),
+    SubtaskNano.find(match).select('title board task loggedTime').lean()
+  ]);
+
+  const entries = [];
+  const collect = (itemType, items) => items.forEach((item) => {
+    item.loggedTime.forEach((entry) => {
+      if (idString(entry.user) !== idString(userId)) return;
+      if (!(entry.date >= weekStart && entry.date < weekEnd)) return;
+      entries.push({
+        itemType,
+        item: item._id,
+        card: itemType === 'card' ? item._id : item.task,
+        board: item.board,
+        title: item.title,
+        loggedEntry: entry._id,
+        hours: entry.hours,
+        minutes: entry.minutes,
+        description: entry.description || '',
+        date: entry.date
+      });
+    });
+  });
+  collect('card', cards);
+  collect('subtask', subtasks);
+  collect('nano', nanos);
+
+  return entries.sort((a, b) => a.date - b.date);
+};
+
+/* ── Permissions ── */
+
+const assertCanReview = async (reviewer, timesheet) => {
+  if (idString(timesheet.user) === idString(reviewer._id)) {
+    throw new ErrorResponse('You cannot review your own timesheet', 403);
+  }
+  const managed = await getManagedDepartmentIds(reviewer);
+  if (managed === null) return;
+  const departments = (await getDepartmentIdsByUser([timesheet.user])).get(idString(timesheet.user)) || [];
+  if (!departments.some((id) => managed.includes(id))) {
+    throw new ErrorResponse('Not authorized to review this timesheet', 403);
+  }
+};
+
+/**
+ * Guards every change to time entries. Billed time can't be changed by hand,
+ * and logged time can't be changed in a week whose timesheet is submitted or
+ * approved. `dates` are the dates of the entries being added, changed or
+ * removed.
+ */
+export const assertTimeEntryEditable = async (type, userId, dates = []) => {
+  if (type === 'billed') {
+    throw new ErrorResponse('Billed time is recorded by approving timesheets and cannot be changed directly', 403);
+  }
+  if (type !== 'logged') return;
+
+  const weeks = [...new Set(dates
+    .filter((date) => date && !Number.isNaN(new Date(date).getTime()))
+    .map((date) => startOfWeek(date).getTime()))];
+  if (weeks.length === 0) return;
+
+  const locked = await Timesheet.findOne({
+    user: userId,
+    weekStart: { $in: weeks.map((time) => new Date(time)) },
+    status: { $in: LOCKED_TIMESHEET_STATUSES }
+  }).select('weekStart status').lean();
+  if (locked) {
+    const next = locked.status === 'approved' ? 'a reviewer reopens it' : 'it has been reviewed';
+    throw new ErrorResponse(
+      `Your timesheet for ${formatWeek(locked.weekStart)} is ${locked.status}; its logged time is locked until ${next}`,
+      409
+    );
+  }
+};
+
+/* ── Billed time ── */
+
+const groupByItem = (entries) => {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = `${entry.itemType}:${idString(entry.item)}`;
+    if (!groups.has(key)) groups.set(key, { itemType: entry.itemType, item: entry.item, entries: [] });
+    groups.get(key).entries.push(entry);
+  });
+  return [...groups.values()];
+};
+
+const announceBilledChange = (itemType, item) => {
+  emitFinanceDataRefresh({
+    changeType: 'billed_time',
+    cardId: idString(itemType === 'card' ? item._id : item.task),
+    ...(itemType === 'subtask' && { subtaskId: idString(item._id) }),
+    ...(itemType === 'nano' && { nanoId: idString(item._id), subtaskId: idString(item.subtask) }),
+    boardId: idString(item.board)
+  });
+};
+
+/**
+ * Copies the submitted entries into billedTime. Items deleted since the week
+ * was submitted are skipped.
+ */
+const addBilledEntries = async (timesheet) => {
+  const owner = await User.findById(timesheet.user).select('name').lean();
+  for (const group of groupByItem(timesheet.entries)) {
+    const billed = group.entries.map((entry) => ({
+      hours: entry.hours,
+      minutes: entry.minutes,
+      description: entry.description,
+      user: timesheet.user,
+      userName: owner?.name,
+      date: entry.date,
+      timesheet: timesheet._id
+    }));
+    const item = await ITEM_MODELS[group.itemType].findByIdAndUpdate(
+      group.item,
+      { $push: { billedTime: { $each: billed } } },
+      { new: true }
+    ).select('board task subtask').lean();
+    if (item) announceBilledChange(group.itemType, item);
+  }
+};
+
+const removeBilledEntries = async (timesheet) => {
+  for (const group of groupByItem(timesheet.entries)) {
+    const item = await ITEM_MODELS[group.itemType].findByIdAndUpdate(
+      group.item,
+      { $pull: { billedTime: { timesheet: timesheet._id } } },
+      { new: true }
+    ).select('board task subtask').lean();
+    if (item) announceBilledChange(group.itemType, item);
+  }
+};
+
+/* ── Reads ── */
+
+/**
+ * One week for its owner. Open (never submitted), rejected and reopened weeks
+ * show the live logged time; submitted and approved weeks show what was
+ * submitted.
+ */
+export const getWeek = async (userId, week) => {
+  const weekStart = startOfWeek(week || new Date());
+  const timesheet = await Timesheet.findOne({ user: userId, weekStart }).populate(TIMESHEET_POPULATE).lean();
+  const locked = LOCKED_TIMESHEET_STATUSES.includes(timesheet?.status);
+  const entries = locked ? timesheet.entries : await collectLoggedEntries(userId, weekStart);
+
+  return {
+    weekStart,
+    status: timesheet?.status || 'open',
+    locked,
+    timesheet,
+    entries,
+    totalMinutes: entries.reduce((sum, entry) => sum + entryMinutes(entry), 0)
+  };
+};
+
+/**
+ * Timesheets visible to a user. scope 'mine' lists their own; scope 'team'
+ * lists the ones they can review.
+ */
+export const listTimesheets = async (user, { scope = 'mine', status, limit = 50 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+
+  if (scope === 'team') {
+    const managed = await getManagedDepartmentIds(user);
+    if (managed !== null) {
+      const departments = await Department.find({ _id: { $in: managed } }).select('members managers').lean();
+      const userIds = new Set(departments.flatMap((d) => [...(d.members || []), ...(d.managers || [])].map(idString)));
+      userIds.delete(idString(user._id));
+      query.user = { $in: [...userIds] };
+    } else {
+      query.user = { $ne: user._id };
+    }
+  } else {
+    query.user = user._id;
+  }
+
+  return Timesheet.find(query)
+    .populate(TIMESHEET_POPULATE)
+    .sort({ weekStart: -1, submittedAt: -1 })
+    .limit(Math.min(parseInt(limit, 10) || 50, 200))
+    .lean();
+};
+
+export const getTimesheet = async (timesheetId, user) => {
+  const timesheet = await Timesheet.findById(timesheetId).populate(TIMESHEET_POPULATE).lean();
+  if (!timesheet) throw new ErrorResponse('Timesheet not found', 404);
+  if (idString(timesheet.user) !== idString(user._id)) {
+    await assertCanReview(user, timesheet);
+  }
+  return timesheet;
+};
+
+/* ── Workflow ── */
+
+export const submitTimesheet = async (user, { weekStart, note }) => {
+  const start = startOfWeek(weekStart);
+  if (start > new Date()) {
+    throw new ErrorResponse('You cannot submit a week that has not started', 400);
+  }
+
+  const existing = await Timesheet.findOne({ user: user._id, weekStart: start });
+  if (existing && LOCKED_TIMESHEET_STATUSES.includes(existing.status)) {
+    throw new ErrorResponse(`This week is already ${existing.status}`, 409);
+  }
+
+  const entries = await collectLoggedEntries(user._id, start);
+  if (entries.length === 0) {
+    throw new ErrorResponse('There is no logged time in this week to submit', 400);
+  }
+
+  const timesheet = existing || new Timesheet({ user: user._id, weekStart: start });
+  timesheet.set({
+    status: 'submitted',
+    entries,
+    totalMinutes: entries.reduce((sum, entry) => sum + entryMinutes(entry), 0),
+    submitNote: note || '',
+    submittedAt: new Date(),
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewComment: ''
+  });
+  timesheet.history.push({ action: 'submitted', by: user._id, comment: note || '' });
+
+  try {
+    await timesheet.save();
+  } catch (error) {
+    // Submitted from another tab at the same moment
+    if (error.code === 11000) throw new ErrorResponse('This week has already been submitted', 409);
+    throw error;
+  }
+
+  // Let the managers of the submitter's departments know
+  const departmentIds = (await getDepartmentIdsByUser([user._id])).get(idString(user._id)) || [];
+  const departments = await Department.find({ _id: { $in: departmentIds } }).select('managers').lean();
+  const managerIds = [...new Set(departments.flatMap((d) => (d.managers || []).map(idString)))]
+    .filter((id) => id !== idString(user._id));
+  notificationService.createBulkNotifications(managerIds.map((managerId) => ({
+    type: 'timesheet_submitted',
+    title: 'Timesheet submitted',
+    message: `${user.name} submitted their timesheet for ${formatWeek(start)}`,
+    user: managerId,
+    sender: user._id,
+    metadata: { timesheetId: timesheet._id }
+  }))).catch(console.error);
+
+  return Timesheet.findById(timesheet._id).populate(TIMESHEET_POPULATE).lean();
+};
+
+export const reviewTimesheet = async (timesheetId, reviewer, { status, comment }) => {
+  if (!['approved', 'rejected'].includes(status)) {
+    throw new ErrorResponse('Status must be approved or rejected', 400);
+  }
+  if (status === 'rejected' && !comment?.trim()) {
+    throw new ErrorResponse('Add a comment saying what needs to change', 400);
+  }
+
+  const current = await Timesheet.findById(timesheetId).select('user status').lean();
+  if (!current) throw new ErrorResponse('Timesheet not found', 404);
+  await assertCanReview(reviewer, current);
+
+  // Claim the transition first so two reviewers can't both bill the week
+  const timesheet = await Timesheet.findOneAndUpdate(
+    { _id: timesheetId, status: 'submitted' },
+    {
+      $set: { status, reviewedBy: reviewer._id, reviewedAt: new Date(), reviewComment: comment || '' },
+      $push: { history: { action: status, by: reviewer._id, comment: comment || '' } }
+    },
+    { new: true }
+  );
+  if (!timesheet) {
+    throw new ErrorResponse(`This timesheet is already ${current.status}`, 409);
+  }
+
+  if (status === 'approved') {
+    try {
+      await addBilledEntries(timesheet);
+    } catch (error) {
+      await removeBilledEntries(timesheet).catch(console.error);
+      await Timesheet.updateOne(
+        { _id: timesheet._id },
+        { $set: { status: 'submitted', reviewedBy: null, reviewedAt: null }, $pop: { history: 1 } }
+      );
+      throw error;
+    }
+  }
+
+  notificationService.createNotification({
+    type: 'timesheet_reviewed',
+    title: status === 'approved' ? 'Timesheet approved' : 'Timesheet rejected',
+    message: `${reviewer.name} ${status} your timesheet for ${formatWeek(timesheet.weekStart)}${comment ? `: ${comment}` : ''}`,
+    user: timesheet.user,
+    sender: reviewer._id,
+    metadata: { timesheetId: timesheet._id, status, weekStart: timesheet.weekStart }
+  }).catch(console.error);
+
+  return Timesheet.findById(timesheet._id).populate(TIMESHEET_POPULATE).lean();
+};
+
+/**
+ * Unlocks an approved week so its logged time can be corrected. The billed
+ * entries from the approval are removed; the user submits the week again.
+ */
+export const reopenTimesheet = async (timesheetId, reviewer, { comment }) => {
+  const current = await Timesheet.findById(timesheetId).select('user status').lean();
+  if (!current) throw new ErrorResponse('Timesheet not found', 404);
+  await assertCanReview(reviewer, current);
+
+  const timesheet = await Timesheet.findOneAndUpdate(
+    { _id: timesheetId, status: 'approved' },
+    {
+      $set: { status: 'reopened', reviewedBy: reviewer._id, reviewedAt: new Date(), reviewComment: comment || '' },
+      $push: { history: { action: 'reopened', by: reviewer._id, comment: comment || '' } }
+    },
+    { new: true }
+  );
+  if (!timesheet) {
+    throw new ErrorResponse(`Only approved timesheets can be reopened; this one is ${current.status}`, 409);
+  }
+
+  await removeBilledEntries(timesheet);
+
+  notificationService.createNotification({
+    type: 'timesheet_reviewed',
+    title: 'Timesheet reopened',
+    message: `${reviewer.name} reopened your timesheet for ${formatWeek(timesheet.weekStart)}${comment ? `: ${comment}` : ''}`,
+    user: timesheet.user,
+    sender: reviewer._id,
+    metadata: { timesheetId: timesheet._id, status: 'reopened', weekStart: timesheet.weekStart }
+  }).catch(console.error);
+
+  return Timesheet.findById(timesheet._id).populate(TIMESHEET_POPULATE).lean();
+};
+
+export default {
+  startOfWeek,
+  assertTimeEntryEditable,
+  getWeek,
+  listTimesheets,
+  getTimesheet,
+  submitTimesheet,
+  reviewTimesheet,
+  reopenTimesheet
+};
@@ -0,0 +1,406 @@
+/**
+ * Entity History Service
+ *
+ * Field-level version history for tasks, subtasks, nano-subtasks and projects
+ * (VersionHistory entity types 'card', 'subtask', 'nano_subtask', 'board').
+ *
+ * Every tracked update stores a normalized snapshot of the entity's tracked
+ * fields plus the list of fields that changed. The first change to an entity
+ * also stores a baseline version holding the values it had before, so the
+ * original state can always be restored. Rollback restores one field or every
+ * tracked field from a version's snapshot and records a 'rollback' version.
+ *
+ * Recording never throws: a failed history write is logged and the edit
+ * itself goes through.
+ */
+
+import Card from '../../models/Card.js';
+import Subtask from '../../models/Subtask.js';
+import SubtaskNano from '../../models/SubtaskNano.js';
+import Board from '../../models/Board.js';
+import User from '../../models/User.js';
+import Label from '../../models/Label.js';
+import VersionHistory, { ENTITY_VERSION_TYPES } from '../../models/VersionHistory.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import { getAccessibleBoardIds } from '../permissionService.js';
+import logger from '../../utils/logger.js';
+
+/* ── Tracked fields ── */
+
+// Field kinds drive normalization, comparison and restoring:
+//  text        - string, '' when empty
+//  value       - enum / free value, null when empty
+//  users       - array of User ids (sorted)
+//  labels      - array of Label ids (sorted)
+//  list        - array of plain strings (order kept)
+//  date        - ISO string or null
+//  timeEntries - estimation entries ({hours, minutes, reason, user, userName, date})
+const TASK_FIELDS = {
+  title: 'text',
+  description: 'text',
+  assignees: 'users',
+  priority: 'value',
+  startDate: 'date',
+  dueDate: 'date',
+  estimationTime: 'timeEntries',
+};
+
+export const TRACKED_FIELDS = {
+  card: {
+    ...TASK_FIELDS,
+    members: 'users',
+    labels: 'labels',
+  },
+  subtask: {
+    ...TASK_FIELDS,
+    tags: 'labels',
+  },
+  nano_subtask: {
+    ...TASK_FIELDS,
+    tags: 'labels',
+  },
+  board: {
+    name: 'text',
+    description: 'text',
+    members: 'users',
+    labels: 'list',
+    priority: 'value',
+    startDate: 'date',
+    dueDate: 'date',
+    estimatedTime: 'value',
+  },
+};
+
+const ENTITY_MODELS = {
+  card: Card,
+  subtask: Subtask,
+  nano_subtask: SubtaskNano,
+  board: Board,
+};
+
+const ENTITY_LABELS = {
+  card: 'Task',
+  subtask: 'Subtask',
+  nano_subtask: 'Nano-subtask',
+  board: 'Project',
+};
+
+export const isEntityVersionType = (entityType) => ENTITY_VERSION_TYPES.includes(entityType);
+
+/* ── Normalization ── */
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const normalizeValue = (kind, value) => {
+  switch (kind) {
+    case 'text':
+      return value == null ? '' : String(value);
+    case 'value':
+      return value === undefined || value === '' ? null : value;
+    case 'users':
+    case 'labels':
+      return (value || []).map(toId).filter(Boolean).sort();
+    case 'list':
+      return (value || []).map(String);
+    case 'date':
+      return toIsoDate(value);
+    case 'timeEntries':
+      return (value || []).map((entry) => ({
+        _id: toId(entry._id),
+        hours: entry.hours || 0,
+        minutes: entry.minutes || 0,
+        reason: entry.reason || '',
+        user: toId(entry.user),
+        userName: entry.userName || '',
+        date: toIsoDate(entry.date),
+      }));
+    default:
+      return value;
+  }
+};
+
+// Convert a snapshot value back to what the model stores
+const toStoredValue = (kind, value) => {
+  switch (kind) {
+    case 'date':
+      return value ? new Date(value) : null;
+    case 'timeEntries':
+      return (value || []).map((entry) => ({
+        ...entry,
+        date: entry.date ? new Date(entry.date) : undefined,
+      }));
+    default:
+      return value;
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const toPlain = (entity) => (typeof entity?.toObject === 'function' ? entity.toObject() : entity || {});
+
+/**
+ * Normalized values of an entity's tracked fields
+ * @param {string} entityType
+ * @param {Object} entity - Mongoose document or plain object
+ * @returns {Object}
+ */
+export const snapshotEntity = (entityType, entity) => {
+  const fields = TRACKED_FIELDS[entityType];
+  const source = toPlain(entity);
+  const snapshot = {};
+  for (const [field, kind] of Object.entries(fields)) {
+    snapshot[field] = normalizeValue(kind, source[field]);
+  }
+  return snapshot;
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export const diffSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (!sameValue(before[field], after[field])) {
+      changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+  return changes;
+};
+
+// card / board context stored on each version, used for per-card and per-board queries
+const versionContext = (entityType, entity) => {
+  switch (entityType) {
+    case 'card':
+      return { card: toId(entity._id), board: toId(entity.board) };
+    case 'subtask':
+    case 'nano_subtask':
+      return { card: toId(entity.task), board: toId(entity.board) };
+    case 'board':
+      return { board: toId(entity._id) };
+    default:
+      return {};
+  }
+};
+
+/* ── Recording ── */
+
+/**
+ * Record a version when an update changed tracked fields
+ * @param {Object} params
+ * @param {string} params.entityType - card | subtask | nano_subtask | board
+ * @param {Object} params.before - Entity before the update
+ * @param {Object} params.after - Entity after the update
+ * @param {string} params.userId - Who made the change
+ * @param {string} [params.editSummary]
+ * @returns {Promise<Object|null>} The new version, or null when nothing tracked changed
+ */
+export const recordEntityChange = async ({ entityType, before, after, userId, editSummary }) => {
+  try {
+    if (!before || !after || !TRACKED_FIELDS[entityType]) return null;
+    before = toPlain(before);
+    after = toPlain(after);
+
+    const previous = snapshotEntity(entityType, before);
+    const current = snapshotEntity(entityType, after);
+    const changes = diffSnapshots(previous, current);
+    if (changes.length === 0) return null;
+
+    const entityId = toId(after._id || before._id);
+    const context = versionContext(entityType, { ...before, ...after });
+
+    const latestVersionNumber = await VersionHistory.getLatestVersionNumber(entityType, entityId);
+    if (latestVersionNumber === 0) {
+      await VersionHistory.createVersion({
+        entityType,
+        entityId,
+        snapshot: previous,
+        editedBy: toId(before.createdBy) || userId,
+        editSummary: 'Values before the first recorded change',
+        changeType: 'created',
+        ...context,
+      });
+    }
+
+    return await VersionHistory.createVersion({
+      entityType,
+      entityId,
+      snapshot: current,
+      changes,
+      editedBy: userId,
+      editSummary: editSummary || `Changed ${changes.map((change) => change.field).join(', ')}`,
+      changeType: 'edited',
+      ...context,
+    });
+  } catch (error) {
+    logger.error(`[VersionHistory] Failed to record ${entityType} change: ${error.message}`);
+    return null;
+  }
+};
+
+/* ── Rollback ── */
+
+/**
+ * Restore one field, or every tracked field, from a version
+ * @param {Object} params
+ * @param {string} params.entityType
+ * @param {string} params.entityId
+ * @param {number} params.versionNumber - Version to restore from
+ * @param {string} [params.field] - Restore only this field
+ * @param {Object} params.user - req.user
+ * @returns {Promise<{entity: Object, version: Object|null, changes: Array}>}
+ */
+export const rollbackEntity = async ({ entityType, entityId, versionNumber, field, user }) => {
+  const fields = TRACKED_FIELDS[entityType];
+  if (!fields) throw new ErrorResponse('Invalid entity type', 400);
+  if (field && !fields[field]) {
+    throw new ErrorResponse(`Field "${field}" has no version history`, 400);
+  }
+
+  await assertEntityAccess(entityType, entityId, user, { write: true });
+
+  const target = await VersionHistory.getVersion(entityType, entityId, versionNumber);
+  if (!target || !target.snapshot) throw new ErrorResponse('Version not found', 404);
+
+  const Model = ENTITY_MODELS[entityType];
+  const existing = await Model.findById(entityId);
+  if (!existing) throw new ErrorResponse(`${ENTITY_LABELS[entityType]} not found`, 404);
+  const before = existing.toObject();
+
+  const restoreFields = field
+    ? [field]
+    : Object.keys(fields).filter((name) => name in target.snapshot);
+
+  const update = {};
+  for (const name of restoreFields) {
+    update[name] = toStoredValue(fields[name], target.snapshot[name]);
+  }
+  if (entityType === 'subtask' || entityType === 'nano_subtask') update.updatedBy = user.id;
+
+  const entity = await Model.findByIdAndUpdate(
+    entityId,
+    { $set: update },
+    { returnDocument: 'after', runValidators: true }
+  );
+
+  const changes = diffSnapshots(snapshotEntity(entityType, before), snapshotEntity(entityType, entity));
+  if (changes.length === 0) {
+    return { entity, version: null, changes };
+  }
+
+  const currentVersionNumber = await VersionHistory.getLatestVersionNumber(entityType, entityId);
+  const version = await VersionHistory.createVersion({
+    entityType,
+    entityId,
+    snapshot: snapshotEntity(entityType, entity),
+    changes,
+    editedBy: user.id,
+    editSummary: field
+      ? `Restored ${field} from version ${versionNumber}`
+      : `Rolled back from version ${currentVersionNumber} to version ${versionNumber}`,
+    changeType: 'rollback',
+    rolledBackFrom: currentVersionNumber,
+    rolledBackTo: versionNumber,
+    ...versionContext(entityType, entity),
+  });
+
+  return { entity, version, changes };
+};
+
+/* ── Access ── */
+
+/**
+ * Throw unless the user may see (or, with `write`, roll back) an entity's
+ * history. Tasks and subtasks follow their project's visibility; changing a
+ * project's fields is limited to its owner, admins and managers, as in
+ * updateBoard.
+ * @param {string} entityType
+ * @param {string} entityId
+ * @param {Object} user - req.user
+ * @param {Object} [options]
+ * @param {boolean} [options.write]
+ */
+export const assertEntityAccess = async (entityType, entityId, user, { write = false } = {}) => {
+  const Model = ENTITY_MODELS[entityType];
+  if (!Model) throw new ErrorResponse('Invalid entity type', 400);
+
+  const entity = await Model.findById(entityId).select(entityType === 'board' ? 'owner' : 'board').lean();
+  if (!entity) throw new ErrorResponse(`${ENTITY_LABELS[entityType]} not found`, 404);
+
+  if (entityType === 'board' && write) {
+    const ownerId = entity.owner?.toString();
+    if (ownerId !== user.id && user.role !== 'admin' && user.role !== 'manager') {
+      throw new ErrorResponse('Not authorized to update this board', 403);
+    }
+    return;
+  }
+
+  const boardId = entityType === 'board' ? entity._id : entity.board;
+  const accessible = boardId ? await getAccessibleBoardIds(user, { _id: boardId }) : [];
+  if (accessible.length === 0) {
+    throw new ErrorResponse(`Not authorized to access this ${ENTITY_LABELS[entityType].toLowerCase()}`, 403);
+  }
+};
+
+/* ── Display helpers ── */
+
+/**
+ * Names for the user and label ids that appear in a set of snapshots,
+ * so the history view can show people and labels instead of ids
+ * @param {string} entityType
+ * @param {Object[]} snapshots
+ * @returns {Promise<{users: Object<string, string>, labels: Object<string, {name: string, color: string}>}>}
+ */
+export const resolveSnapshotReferences = async (entityType, snapshots) => {
+  const fields = TRACKED_FIELDS[entityType] || {};
+  const userIds = new Set();
+  const labelIds = new Set();
+
+  for (const snapshot of snapshots) {
+    if (!snapshot) continue;
+    for (const [field, kind] of Object.entries(fields)) {
+      if (kind === 'users') (snapshot[field] || []).forEach((id) => userIds.add(id));
+      if (kind === 'labels') (snapshot[field] || []).forEach((id) => labelIds.add(id));
+    }
+  }
+
+  const [users, labels] = await Promise.all([
+    userIds.size ? User.find({ _id: { $in: [...userIds] } }).select('name').lean() : [],
+    labelIds.size ? Label.find({ _id: { $in: [...labelIds] } }).select('name color').lean() : [],
+  ]);
+
+  return {
+    users: Object.fromEntries(users.map((u) => [u._id.toString(), u.name])),
+    labels: Object.fromEntries(labels.map((l) => [l._id.toString(), { name: l.name, color: l.color }])),
+  };
+};
+
+/**
+ * Current snapshot of an entity
+ * @returns {Promise<Object|null>}
+ */
+export const getCurrentSnapshot = async (entityType, entityId) => {
+  const Model = ENTITY_MODELS[entityType];
+  if (!Model) return null;
+  const entity = await Model.findById(entityId).select(Object.keys(TRACKED_FIELDS[entityType]).join(' ')).lean();
+  return entity ? snapshotEntity(entityType, entity) : null;
+};
+
+export default {
+  TRACKED_FIELDS,
+  isEntityVersionType,
+  snapshotEntity,
+  diffSnapshots,
+  recordEntityChange,
+  rollbackEntity,
+  assertEntityAccess,
+  resolveSnapshotReferences,
+  getCurrentSnapshot,
+};
@@ -0,0 +1,392 @@
+/**
+ * Outgoing Webhook Service
+ *
+ * Fans application events out to admin-registered endpoints. Every endpoint
+ * has its own signing secret and subscribes to specific event types, and can
+ * optionally be limited to departments and/or projects.
+ *
+ * Delivery:
+ *  - Each (event, endpoint) pair becomes a WebhookDelivery document, then a
+ *    job on the flowtask.webhook BullMQ queue (inline when Redis is down)
+ *  - HMAC-SHA256 signature: sha256(timestamp + '.' + body) with the endpoint secret
+ *  - Headers: X-FlowTask-Signature, X-FlowTask-Timestamp, X-FlowTask-Delivery-Id, X-FlowTask-Event
+ *  - 5xx / 429 / network errors are retried with backoff; other 4xx are final
+ *  - An endpoint is disabled once config.webhooks.maxConsecutiveFailures
+ *    deliveries in a row have failed
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import WebhookEndpoint from '../../models/WebhookEndpoint.js';
+import WebhookDelivery from '../../models/WebhookDelivery.js';
+import { enqueueWebhookDelivery } from '../../queues/index.js';
+import { isQueueActive } from '../../queues/queueManager.js';
+import { ErrorResponse } from '../../middleware/errorHandler.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+const RESPONSE_BODY_LIMIT = 2000;
+
+/* ── Helpers ── */
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const computeSignature = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const toId = (value) => (value?._id || value)?.toString() || null;
+
+const serializeEndpoint = (endpoint) => {
+  const value = endpoint?.toObject ? endpoint.toObject() : { ...endpoint };
+  delete value.secret;
+  return value;
+};
+
+const findEndpointOr404 = async (endpointId) => {
+  if (!mongoose.Types.ObjectId.isValid(endpointId)) {
+    throw new ErrorResponse('Webhook endpoint not found', 404);
+  }
+  const endpoint = await WebhookEndpoint.findById(endpointId);
+  if (!endpoint) throw new ErrorResponse('Webhook endpoint not found', 404);
+  return endpoint;
+};
+
+const ENDPOINT_FIELDS = ['name', 'url', 'events', 'departments', 'projects'];
+
+const pickEndpointFields = (data) => {
+  const fields = {};
+  ENDPOINT_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+/* ── Endpoint management ── */
+
+export async function listEndpoints() {
+  const endpoints = await WebhookEndpoint.find()
+    .populate('departments', 'name')
+    .populate('projects', 'name')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .lean();
+  return endpoints.map(serializeEndpoint);
+}
+
+/**
+ * Registers an endpoint. The secret is only ever returned here and from
+ * rotateEndpointSecret — it is not readable afterwards.
+ */
+export async function createEndpoint(data, user) {
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.create({
+    ...pickEndpointFields(data),
+    secret,
+    secretHint: secret.slice(-4),
+    createdBy: user._id || user.id,
+  });
+  return { endpoint: serializeEndpoint(endpoint), secret };
+}
+
+export async function updateEndpoint(endpointId, data) {
+  const endpoint = await findEndpointOr404(endpointId);
+
+  endpoint.set(pickEndpointFields(data));
+
+  if (data.isActive !== undefined) {
+    const reenabling = data.isActive && !endpoint.isActive;
+    endpoint.isActive = Boolean(data.isActive);
+    if (reenabling) {
+      endpoint.consecutiveFailures = 0;
+      endpoint.disabledAt = null;
+      endpoint.disabledReason = null;
+    } else if (!endpoint.isActive && !endpoint.disabledAt) {
+      endpoint.disabledAt = new Date();
+      endpoint.disabledReason = 'Disabled by an administrator';
+    }
+  }
+
+  await endpoint.save();
+  return serializeEndpoint(endpoint);
+}
+
+export async function rotateEndpointSecret(endpointId) {
+  const endpoint = await findEndpointOr404(endpointId);
+  const secret = generateSecret();
+  endpoint.secret = secret;
+  endpoint.secretHint = secret.slice(-4);
+  await endpoint.save();
+  return { endpoint: serializeEndpoint(endpoint), secret };
+}
+
+export async function deleteEndpoint(endpointId) {
+  const endpoint = await findEndpointOr404(endpointId);
+  await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+  await endpoint.deleteOne();
+}
+
+/* ── Delivery log ── */
+
+export async function listDeliveries(endpointId, { status, event, page = 1, limit = 25 } = {}) {
+  await findEndpointOr404(endpointId);
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 25));
+  const filter = { endpoint: endpointId };
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .select('-payload -responseBody')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+
+  return {
+    deliveries,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+}
+
+export async function getDelivery(deliveryId) {
+  if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+    throw new ErrorResponse('Delivery not found', 404);
+  }
+  const delivery = await WebhookDelivery.findById(deliveryId)
+    .populate('endpoint', 'name url')
+    .populate('triggeredBy', 'name email')
+    .lean();
+  if (!delivery) throw new ErrorResponse('Delivery not found', 404);
+  return delivery;
+}
+
+/**
+ * Sends a logged delivery again with its original payload. Works on disabled
+ * endpoints too, so admins can check a fix before re-enabling.
+ */
+export async function redeliver(deliveryId, user) {
+  const original = await getDelivery(deliveryId);
+  const endpointId = toId(original.endpoint);
+  const endpoint = await WebhookEndpoint.exists({ _id: endpointId });
+  if (!endpoint) throw new ErrorResponse('Webhook endpoint no longer exists', 410);
+
+  const delivery = await WebhookDelivery.create({
+    endpoint: endpointId,
+    deliveryId: crypto.randomUUID(),
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    triggeredBy: user._id || user.id,
+  });
+  await dispatchDelivery(delivery);
+  return delivery.toObject();
+}
+
+/**
+ * Queues a `ping` delivery so admins can verify the URL and signature check.
+ */
+export async function sendTestEvent(endpointId, user) {
+  const endpoint = await findEndpointOr404(endpointId);
+  const delivery = await WebhookDelivery.create({
+    endpoint: endpoint._id,
+    deliveryId: crypto.randomUUID(),
+    event: 'ping',
+    payload: {
+      id: crypto.randomUUID(),
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { endpoint: { id: endpoint._id.toString(), name: endpoint.name } },
+    },
+    triggeredBy: user._id || user.id,
+  });
+  await dispatchDelivery(delivery);
+  return delivery.toObject();
+}
+
+/* ── Emitting events ── */
+
+/**
+ * Fan an event out to every active endpoint subscribed to it whose scope
+ * matches. Never throws — webhook problems must not break the caller.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} options
+ * @param {*} [options.department] - Department id the event belongs to
+ * @param {*} [options.project] - Project (board) id the event belongs to
+ * @param {object} [options.actor] - User who caused the event
+ * @param {object} options.data - Event-specific body
+ */
+export async function emitWebhookEvent(event, { department = null, project = null, actor = null, data }) {
+  try {
+    const departmentId = toId(department);
+    const projectId = toId(project);
+
+    const endpoints = await WebhookEndpoint.find({
+      isActive: true,
+      events: event,
+      $and: [
+        { $or: [{ departments: { $size: 0 } }, ...(departmentId ? [{ departments: departmentId }] : [])] },
+        { $or: [{ projects: { $size: 0 } }, ...(projectId ? [{ projects: projectId }] : [])] },
+      ],
+    }).select('_id').lean();
+
+    if (endpoints.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      department: departmentId,
+      project: projectId,
+      actor: actor ? { id: toId(actor), name: actor.name || null } : null,
+      data,
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map((endpoint) => ({
+      endpoint: endpoint._id,
+      deliveryId: crypto.randomUUID(),
+      event,
+      payload,
+    })));
+
+    await Promise.all(deliveries.map(dispatchDelivery));
+  } catch (err) {
+    logger.error('Webhooks: failed to emit event', { event, error: err.message });
+  }
+}
+
+async function dispatchDelivery(delivery) {
+  if (isQueueActive()) {
+    try {
+      await enqueueWebhookDelivery(delivery._id.toString());
+      return;
+    } catch (err) {
+      logger.warn('Webhooks: enqueue failed, delivering inline', { deliveryId: delivery.deliveryId, error: err.message });
+    }
+  }
+
+  // No Redis: single inline attempt, off the request path
+  attemptDelivery(delivery._id.toString()).catch((err) =>
+    logger.error('Webhooks: inline delivery error', { deliveryId: delivery.deliveryId, error: err.message })
+  );
+}
+
+/* ── Sending ── */
+
+/**
+ * Performs one HTTP attempt for a delivery and records the outcome.
+ * Called by the webhook worker (once per BullMQ attempt) or inline.
+ *
+ * @param {string} deliveryObjectId - WebhookDelivery _id
+ * @param {object} [attempt]
+ * @param {number} [attempt.attemptsMade=0] - Attempts already made before this one
+ * @param {number} [attempt.maxAttempts=1] - Total attempts the caller will make
+ * @returns {Promise<{ ok: boolean, retry: boolean, error?: string }>}
+ *   `retry` is true when the caller should try again later
+ */
+export async function attemptDelivery(deliveryObjectId, { attemptsMade = 0, maxAttempts = 1 } = {}) {
+  const delivery = await WebhookDelivery.findById(deliveryObjectId);
+  if (!delivery || delivery.status !== 'pending') return { ok: true, retry: false };
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+  if (!endpoint || (!endpoint.isActive && !delivery.triggeredBy)) {
+    delivery.status = 'failed';
+    delivery.error = endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted';
+    delivery.completedAt = new Date();
+    await delivery.save();
+    return { ok: false, retry: false, error: delivery.error };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'FlowTask-Webhooks/1.0',
+    'X-FlowTask-Signature': computeSignature(endpoint.secret, `${timestamp}.${body}`),
+    'X-FlowTask-Timestamp': timestamp,
+    'X-FlowTask-Delivery-Id': delivery.deliveryId,
+    'X-FlowTask-Event': delivery.event,
+  };
+
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      headers,
+      timeout: config.webhooks.timeoutMs,
+      maxRedirects: 0,
+      // Send raw string body to match signature
+      transformRequest: [(data) => data],
+      transformResponse: [(data) => data],
+    });
+    responseStatus = response.status;
+    responseBody = response.data;
+  } catch (err) {
+    responseStatus = err.response?.status ?? null;
+    responseBody = err.response?.data ?? null;
+    error = err.message;
+  }
+
+  const ok = !error;
+  const retryable = !ok && (!responseStatus || responseStatus >= 500 || responseStatus === 429);
+  const final = ok || !retryable || attemptsMade + 1 >= maxAttempts;
+  const now = new Date();
+
+  delivery.attempts = attemptsMade + 1;
+  delivery.responseStatus = responseStatus;
+  delivery.responseBody = responseBody == null ? null : String(responseBody).slice(0, RESPONSE_BODY_LIMIT);
+  delivery.error = error;
+  delivery.durationMs = Date.now() - startedAt;
+  if (final) {
+    delivery.status = ok ? 'success' : 'failed';
+    delivery.completedAt = now;
+  }
+  await delivery.save();
+
+  if (ok) {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: now, lastSuccessAt: now } }
+    );
+  } else if (final) {
+    await recordEndpointFailure(endpoint._id, now);
+  } else {
+    await WebhookEndpoint.updateOne({ _id: endpoint._id }, { $set: { lastDeliveryAt: now } });
+  }
+
+  return { ok, retry: !final, error: error || undefined };
+}
+
+async function recordEndpointFailure(endpointId, now) {
+  const updated = await WebhookEndpoint.findOneAndUpdate(
+    { _id: endpointId },
+    { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now } },
+    { new: true }
+  );
+
+  const limit = config.webhooks.maxConsecutiveFailures;
+  if (updated?.isActive && updated.consecutiveFailures >= limit) {
+    await WebhookEndpoint.updateOne(
+      { _id: endpointId, isActive: true },
+      {
+        $set: {
+          isActive: false,
+          disabledAt: now,
+          disabledReason: `Disabled automatically after ${updated.consecutiveFailures} consecutive failed deliveries`,
+        },
+      }
+    );
+    logger.warn('Webhooks: endpoint disabled after repeated failures', {
+      endpointId: endpointId.toString(),
+      failures: updated.consecutiveFailures,
+    });
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Automation Hooks
+ *
+ * Trigger points for per-project automation rules
+ * (services/automation/automationService.js). Mirrors the webhookHooks.js
+ * pattern — fire-and-forget, called from controllers and cardService.
+ *
+ * Pass the acting user through unchanged: when a rule's action caused the
+ * change it carries the rule chain used for loop protection.
+ *
+ * Usage:
+ *   automationHooks.onCardMoved(card, { fromList, toList }, req.user).catch(console.error);
+ */
+
+import { publishAutomationEvent } from '../services/automation/automationService.js';
+
+const toId = (value) => (value?._id || value)?.toString() || null;
+
+const totalMinutes = (entries = []) =>
+  entries.reduce((sum, entry) => sum + (Number(entry?.hours) || 0) * 60 + (Number(entry?.minutes) || 0), 0);
+
+export const automationHooks = {
+  /**
+   * Trigger when a card lands in a different list.
+   * @param {object} move - { fromList, toList } (ids or documents)
+   */
+  async onCardMoved(card, { fromList, toList }, actor) {
+    if (!toList || toId(fromList) === toId(toList)) return;
+    await publishAutomationEvent('card_moved', {
+      boardId: toId(card.board),
+      cardId: toId(card),
+      actor,
+      data: { fromList: toId(fromList), toList: toId(toList) },
+    });
+  },
+
+  /**
+   * Trigger for each label newly added to a card.
+   */
+  async onLabelsChanged(card, oldLabels = [], newLabels = [], actor) {
+    const previous = new Set(oldLabels.map(toId));
+    const added = newLabels.map(toId).filter((id) => id && !previous.has(id));
+    if (added.length === 0) return;
+    await publishAutomationEvent('label_added', {
+      boardId: toId(card.board),
+      cardId: toId(card),
+      actor,
+      data: { labelIds: added },
+    });
+  },
+
+  /**
+   * Trigger when a card's logged time grows. Rules decide whether their own
+   * threshold was crossed.
+   */
+  async onTimeLogged(card, previousEntries = [], currentEntries = [], actor) {
+    const previousMinutes = totalMinutes(previousEntries);
+    const currentMinutes = totalMinutes(currentEntries);
+    if (currentMinutes <= previousMinutes) return;
+    await publishAutomationEvent('time_threshold_exceeded', {
+      boardId: toId(card.board),
+      cardId: toId(card),
+      actor,
+      data: { previousMinutes, currentMinutes },
+    });
+  },
+
+  /**
+   * Trigger when the last open subtask of a card is completed.
+   */
+  async onAllSubtasksCompleted(card, actor) {
+    await publishAutomationEvent('subtasks_completed', {
+      boardId: toId(card.board),
+      cardId: toId(card),
+      actor,
+    });
+  },
+};
+
+export default automationHooks;
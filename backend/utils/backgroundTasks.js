@@ -11,6 +11,7 @@
  */
 import { sendEmail } from './email.js';
 import notificationService from './notificationService.js';
+import { deliverEmail } from '../services/notifications/notificationDeliveryService.js';
 import { sendPushNotification } from './pushNotification.js';
 import User from '../models/User.js';
 import { isQueueActive } from '../queues/queueManager.js';
@@ -96,11 +97,13 @@ export const sendProjectEmailsInBackground = (board, members) => {
   }
   runBackground(async () => {
     try {
-      const memberDocs = await User.find({ _id: { $in: members } }).select('email name');
+      const memberDocs = await User.find({ _id: { $in: members } }).select('email name settings');
       for (const member of memberDocs) {
         if (member.email) {
-          await sendEmail({
-            to: member.email,
+          await deliverEmail(member, {
+            type: 'project_member_added',
+            groupKey: `project_member_added:${board._id}`,
+            message: `You have been added to the project ${board.name}`,
             subject: `You've been added to project: ${board.name}`,
             html: `
               <h2>New Project Assignment</h2>
@@ -27,8 +27,10 @@ const configureCloudinary = () => {
   });
 };
 
-// Initialize on first load
-configureCloudinary();
+// Initialize on first load. Cloudinary is optional when another storage
+// driver is configured (see services/storage), so only configure it eagerly
+// when credentials are present; the upload helpers still fail loudly.
+if (process.env.CLOUDINARY_CLOUD_NAME) configureCloudinary();
 
 // Allowed file types for announcements
 const ANNOUNCEMENT_ALLOWED_TYPES = {
@@ -40,6 +40,7 @@ export const sendEmail = async (options) => {
       to: options.to,
       subject: options.subject,
       html: options.html,
+      replyTo: options.replyTo || undefined,
       attachments: options.attachments || undefined
     };
 
@@ -5,6 +5,8 @@ import Board from '../models/Board.js';
 import { emitNotification } from '../realtime/index.js';
 import { sendEmail } from './email.js';
 import { getUserPushSubscriptions, sendPushNotification } from './pushNotification.js';
+import { deliverNotification } from '../services/notifications/notificationDeliveryService.js';
+import { getCardReplyAddress } from '../services/inboundEmail/inboundAddresses.js';
 
 class NotificationService {
   constructor() {
@@ -91,24 +93,11 @@ class NotificationService {
       // Send real-time notification via socket
       emitNotification(user.toString(), populatedNotification);
 
-      // Send email notification if enabled (in background)
-      if (userDoc.settings?.notifications?.email) {
-        this.sendEmailNotification(notification, userDoc).catch(err => 
-          console.error('Background email notification error:', err)
-        );
-      }
-
-      // Send push notification if enabled and subscription exists (in background)
-      const userPushSubscriptions = getUserPushSubscriptions(userDoc);
-      console.log(`[Push] Checking push for user ${userDoc.name}: enabled=${userDoc.settings?.notifications?.push}, subscriptions=${userPushSubscriptions.length}`);
-      if (userDoc.settings?.notifications?.push && userPushSubscriptions.length > 0) {
-        console.log(`[Push] Sending push notification to ${userDoc.name}`);
-        this.sendPushNotification(notification, userDoc).catch(err => 
-          console.error('Background push notification error:', err)
-        );
-      } else {
-        console.log(`[Push] Skipped - push not enabled or no subscription`);
-      }
+      // Email and push copies (in background): sent now, held for quiet
+      // hours or grouping, or saved for the user's digest
+      deliverNotification(notification, userDoc).catch(err =>
+        console.error('Background notification delivery error:', err)
+      );
 
       return populatedNotification;
     } catch (error) {
@@ -150,10 +139,16 @@ class NotificationService {
         return;
       }
 
+      // Replies to emails about a card come back in as comments on it
+      const replyTo = notification.type !== 'task_deleted'
+        ? getCardReplyAddress(notification.relatedCard?._id || notification.relatedCard, user._id || user.id)
+        : null;
+
       const emailData = {
         to: user.email,
         subject: notification.title,
-        html: this.generateEmailTemplate(notification, user)
+        html: this.generateEmailTemplate(notification, user, { replyTo }),
+        replyTo
       };
 
       await sendEmail(emailData);
@@ -179,7 +174,7 @@ class NotificationService {
   }
 
   // Generate email HTML template
-  generateEmailTemplate(notification, user) {
+  generateEmailTemplate(notification, user, { replyTo } = {}) {
     const baseUrl = process.env.FRONTEND_URL || '';
     let specificUrl = baseUrl;
 
@@ -240,6 +235,7 @@ class NotificationService {
                 <a href="${specificUrl}" class="button">View Details</a>
               </div>
               <p>This notification is related to your recent activity in FlowTask. Click the button above to see more details and take action if needed.</p>
+              ${replyTo ? '<p style="font-size: 14px; color: #666;">Reply to this email to add a comment to the task.</p>' : ''}
             </div>
             <div class="footer">
               <p>You're receiving this email because you have notifications enabled in your FlowTask settings.</p>
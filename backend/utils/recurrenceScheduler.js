@@ -12,6 +12,7 @@
 import RecurringTask from '../models/RecurringTask.js';
 import Subtask from '../models/Subtask.js';
 import { enqueueCompletionTriggered } from '../schedulers/recurringTaskScheduler.js';
+import { nextRecurrenceOccurrence } from '../services/calendar/timeOffService.js';
 
 // Handle task completion triggers for 'whenComplete' and 'whenDone' behaviors
 export const handleTaskCompletion = async (subtaskId, newStatus) => {
@@ -34,8 +35,14 @@ export const handleTaskCompletion = async (subtaskId, newStatus) => {
       // For 'daysAfter' type, calculate delay from now
       let delayMs = 0;
       if (recurrence.scheduleType === 'daysAfter') {
-        const days = recurrence.daysAfterOptions?.days || 1;
-        delayMs = days * 24 * 60 * 60 * 1000;
+        if (recurrence.taskOptions?.skipNonWorkingDays) {
+          // Count working days only
+          const next = await nextRecurrenceOccurrence(recurrence, new Date());
+          delayMs = Math.max(0, next.getTime() - Date.now());
+        } else {
+          const days = recurrence.daysAfterOptions?.days || 1;
+          delayMs = days * 24 * 60 * 60 * 1000;
+        }
         // Also update nextOccurrence for tracking
         recurrence.nextOccurrence = new Date(Date.now() + delayMs);
         await recurrence.save();
@@ -6,6 +6,8 @@ import { sendEmail } from './email.js';
 import { emitNotification } from '../realtime/index.js';
 import { runBackground } from './backgroundTasks.js';
 import { slackHooks } from './slackHooks.js';
+import { nextWorkingDay } from '../services/calendar/timeOffService.js';
+import { getReminderReplyAddress } from '../services/inboundEmail/inboundAddresses.js';
 
 // ── Legacy no-ops (polling replaced by event-driven BullMQ jobs) ──
 export const startReminderScheduler = () => {
@@ -71,6 +73,7 @@ export const sendReminderEmail = async (reminder, user) => {
     const clientName = reminder.client?.name || 'N/A';
     const clientEmail = reminder.client?.email || 'N/A';
     const clientPhone = reminder.client?.phone || 'N/A';
+    const clientReplyAddress = getReminderReplyAddress(reminder._id);
     const reminderDate = new Date(reminder.scheduledDate).toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
@@ -142,6 +145,11 @@ export const sendReminderEmail = async (reminder, user) => {
                   <span class="info-label">Phone:</span>
                   <span class="info-value">${clientPhone}</span>
                 </div>
+                ${clientReplyAddress ? `
+                <p style="margin: 10px 0 0 0; font-size: 13px; color: #6b7280;">
+                  Add ${clientReplyAddress} as Reply-To or CC when you email the client &mdash; their reply marks this reminder as responded.
+                </p>
+                ` : ''}
               </div>
 
               <div style="text-align: center;">
@@ -293,6 +301,14 @@ export const scheduleNextReminder = async (reminder) => {
         return null;
     }
 
+    // Don't land on a department holiday or while the owner is on leave;
+    // weekends stay as scheduled
+    nextDate = await nextWorkingDay(nextDate, {
+      departmentIds: reminder.department ? [reminder.department] : [],
+      userIds: reminder.createdBy ? [reminder.createdBy] : [],
+      workingDays: [0, 1, 2, 3, 4, 5, 6]
+    });
+
     // Create next reminder
     const nextReminder = await Reminder.create({
       project: reminder.project,
@@ -378,6 +378,40 @@ export const processTimeEntriesWithOwnership = (incomingEntries, existingEntries
   return { entries: processedEntries, errors };
 };
 
+/**
+ * Dates of a user's entries that an update adds, changes or removes, for
+ * checking them against locked timesheet weeks
+ * @param {Array} existingEntries - Current time entries
+ * @param {Array} updatedEntries - Entries after processTimeEntriesWithOwnership
+ * @param {string} userId - User whose entries to compare
+ * @returns {Array<Date>}
+ */
+export const getChangedEntryDates = (existingEntries, updatedEntries, userId) => {
+  const uid = userId.toString();
+  const remaining = new Map();
+  (existingEntries || []).forEach((entry) => {
+    if (entry._id && extractUserId(entry.user) === uid) remaining.set(entry._id.toString(), entry);
+  });
+
+  const dates = [];
+  (updatedEntries || []).forEach((entry) => {
+    if (extractUserId(entry.user) !== uid) return;
+    const previous = entry._id ? remaining.get(entry._id.toString()) : null;
+    if (!previous) {
+      dates.push(entry.date || new Date());
+      return;
+    }
+    remaining.delete(entry._id.toString());
+    if (previous.hours !== entry.hours || previous.minutes !== entry.minutes ||
+        (previous.description || '') !== (entry.description || '')) {
+      dates.push(previous.date);
+    }
+  });
+  // Whatever is left was deleted
+  remaining.forEach((entry) => dates.push(entry.date));
+  return dates;
+};
+
 /**
  * Add a single time entry with ownership
  * @param {Array} existingEntries - Current time entries
@@ -519,6 +553,7 @@ export default {
   validateTimeLimit,
   validateNotFutureDate,
   processTimeEntriesWithOwnership,
+  getChangedEntryDates,
   addTimeEntry,
   updateTimeEntry,
   deleteTimeEntry
@@ -1,6 +1,6 @@
 import Attachment from '../models/Attachment.js';
 import Activity from '../models/Activity.js';
-import { deleteMultipleFromCloudinary } from './cloudinary.js';
+import { deleteFiles } from '../services/storage/storageService.js';
 
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 const DEFAULT_RETENTION_DAYS = 30;
@@ -13,14 +13,10 @@ export const cleanupTrashedAttachments = async (retentionDays = DEFAULT_RETENTIO
       .lean();
     if (!candidates.length) return;
 
-    const imageIds = candidates.filter(a => a.resourceType === 'image').map(a => a.publicId);
-    const rawIds = candidates.filter(a => a.resourceType !== 'image').map(a => a.publicId);
-
     try {
-      if (imageIds.length) await deleteMultipleFromCloudinary(imageIds, 'image');
-      if (rawIds.length) await deleteMultipleFromCloudinary(rawIds, 'raw');
+      await deleteFiles(candidates.map(a => ({ key: a.publicId, resourceType: a.resourceType })));
     } catch (e) {
-      console.error('Cloudinary cleanup error:', e);
+      console.error('Storage cleanup error:', e);
     }
 
     const ids = candidates.map(c => c._id);
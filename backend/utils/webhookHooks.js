@@ -0,0 +1,124 @@
+/**
+ * Outgoing Webhook Hooks
+ *
+ * Trigger points for the admin-registered webhook endpoints
+ * (services/webhooks/webhookService.js). Mirrors the chatHooks.js pattern —
+ * fire-and-forget, called from controllers.
+ *
+ * Usage in controllers:
+ *   webhookHooks.onCardCreated(card, board, req.user).catch(console.error);
+ */
+
+import Board from '../models/Board.js';
+import { emitWebhookEvent } from '../services/webhooks/webhookService.js';
+
+const toId = (value) => (value?._id || value)?.toString() || null;
+
+// Controllers pass anything from a bare id to a fully populated board
+const resolveBoard = async (board) => {
+  if (board && typeof board === 'object' && board.department !== undefined) return board;
+  const boardId = toId(board);
+  if (!boardId) return null;
+  return Board.findById(boardId).select('name department').lean();
+};
+
+const summarizeCard = (card) => ({
+  id: toId(card),
+  title: card.title,
+  status: card.status,
+  priority: card.priority || null,
+  list: toId(card.list),
+  board: toId(card.board),
+  assignees: (card.assignees || []).map(toId),
+  startDate: card.startDate || null,
+  dueDate: card.dueDate || null,
+});
+
+const summarizeProject = (board) => (board ? { id: toId(board), name: board.name || null } : null);
+
+export const webhookHooks = {
+  /**
+   * Trigger when a card is created.
+   */
+  async onCardCreated(card, board, actor) {
+    const project = await resolveBoard(board || card.board);
+    await emitWebhookEvent('card.created', {
+      department: project?.department,
+      project: project?._id || card.board,
+      actor,
+      data: { card: summarizeCard(card), project: summarizeProject(project) },
+    });
+  },
+
+  /**
+   * Trigger when a card changes list (or position within a list).
+   * @param {object} move - { fromList, toList, fromStatus, toStatus, position },
+   *   plus { fromProject, toProject } when the card moved to another project
+   */
+  async onCardMoved(card, board, move, actor) {
+    const project = await resolveBoard(board || card.board);
+    await emitWebhookEvent('card.moved', {
+      department: project?.department,
+      project: project?._id || card.board,
+      actor,
+      data: { card: summarizeCard(card), project: summarizeProject(project), move },
+    });
+  },
+
+  /**
+   * Trigger when a comment is added to a card.
+   */
+  async onCommentAdded(comment, card, board, actor) {
+    const project = await resolveBoard(board || card.board);
+    await emitWebhookEvent('comment.added', {
+      department: project?.department,
+      project: project?._id || card.board,
+      actor,
+      data: {
+        comment: {
+          id: toId(comment),
+          text: comment.text,
+          contextType: comment.contextType || 'card',
+          author: comment.user ? { id: toId(comment.user), name: comment.user.name || null } : null,
+          createdAt: comment.createdAt,
+        },
+        card: { id: toId(card), title: card.title },
+        project: summarizeProject(project),
+      },
+    });
+  },
+
+  /**
+   * Trigger when a milestone approval is recorded.
+   * @param {object} result - approveMilestone() result ({ approval, milestone, paidTransition })
+   */
+  async onMilestoneApproved(result, boardId, actor) {
+    const project = await resolveBoard(boardId);
+    await emitWebhookEvent('milestone.approved', {
+      department: project?.department,
+      project: project?._id || boardId,
+      actor,
+      data: {
+        milestone: result.milestone,
+        approval: result.approval,
+        paid: Boolean(result.paidTransition),
+        project: summarizeProject(project),
+      },
+    });
+  },
+
+  /**
+   * Trigger when a sales row is edited. Sales rows are not tied to a
+   * department or project, so only unscoped endpoints receive these.
+   * @param {object} row - Flattened sales row
+   * @param {Array} changes - trackChanges() output
+   */
+  async onSalesRowUpdated(row, changes, actor) {
+    await emitWebhookEvent('sales_row.updated', {
+      actor,
+      data: { row, changes },
+    });
+  },
+};
+
+export default webhookHooks;
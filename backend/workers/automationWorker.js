@@ -0,0 +1,63 @@
+/**
+ * Automation Worker
+ *
+ * Processes jobs from the 'flowtask.automation' queue.
+ * Job types:
+ *   - evaluate-event  : run a board's automation rules for one card event
+ *   - scan-due-dates  : fire "due date passed" rules for newly overdue cards
+ *
+ * Jobs are not retried: actions are not idempotent (comments, subtasks,
+ * notifications) and each rule run records its own outcome in the
+ * execution log.
+ */
+import { Worker } from 'bullmq';
+import { getWorkerConnection } from '../queues/connection.js';
+import { CONCURRENCY, QUEUES } from '../queues/registry.js';
+import { processAutomationEvent, scanDueDates } from '../services/automation/automationService.js';
+import config from '../config/index.js';
+
+const JOB_HANDLERS = {
+  async 'evaluate-event'(job) {
+    return processAutomationEvent(job.data);
+  },
+
+  async 'scan-due-dates'(_job) {
+    return scanDueDates();
+  },
+};
+
+let automationWorker = null;
+
+export function startAutomationWorker() {
+  if (automationWorker) return automationWorker;
+
+  automationWorker = new Worker(
+    QUEUES.AUTOMATION,
+    async (job) => {
+      const handler = JOB_HANDLERS[job.name];
+      if (!handler) {
+        throw new Error(`Unknown automation job type: ${job.name}`);
+      }
+      return handler(job);
+    },
+    {
+      connection: getWorkerConnection(),
+      concurrency: CONCURRENCY[QUEUES.AUTOMATION],
+    }
+  );
+
+  automationWorker.on('completed', (job) => {
+    if (config.isDev) console.log(`[Worker:Automation] ${job.name}:${job.id} completed`);
+  });
+
+  automationWorker.on('failed', (job, err) => {
+    console.error(`[Worker:Automation] ${job?.name}:${job?.id} failed:`, err.message);
+  });
+
+  console.log('[Worker:Automation] started');
+  return automationWorker;
+}
+
+export function getAutomationWorker() {
+  return automationWorker;
+}
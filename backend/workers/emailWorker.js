@@ -7,6 +7,7 @@
 import { Worker } from 'bullmq';
 import { getWorkerConnection } from '../queues/connection.js';
 import { sendEmail } from '../utils/email.js';
+import { deliverEmail } from '../services/notifications/notificationDeliveryService.js';
 import User from '../models/User.js';
 import config from '../config/index.js';
 
@@ -42,19 +43,22 @@ const JOB_HANDLERS = {
   },
 
   /**
-   * Send project-assignment emails to members.
-   * Data: { board: { name, description, startDate, dueDate }, memberIds: string[] }
+   * Send project-assignment emails to members. These follow each member's
+   * email, quiet hours and digest settings.
+   * Data: { board: { _id, name, description, startDate, dueDate }, memberIds: string[] }
    */
   async 'send-project-emails'(job) {
     const { board, memberIds } = job.data;
-    const members = await User.find({ _id: { $in: memberIds } }).select('email name').lean();
+    const members = await User.find({ _id: { $in: memberIds } }).select('email name settings').lean();
     let sent = 0;
 
     for (const member of members) {
       if (member.email) {
         try {
-          await sendEmail({
-            to: member.email,
+          await deliverEmail(member, {
+            type: 'project_member_added',
+            groupKey: `project_member_added:${board._id}`,
+            message: `You have been added to the project ${board.name}`,
             subject: `You've been added to project: ${board.name}`,
             html: `
               <h2>New Project Assignment</h2>
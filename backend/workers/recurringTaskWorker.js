@@ -17,6 +17,7 @@ import Card from '../models/Card.js';
 import { emitToBoard } from '../realtime/index.js';
 import { refreshCardHierarchyStats } from '../utils/hierarchyStats.js';
 import { scheduleNextOccurrence } from '../schedulers/recurringTaskScheduler.js';
+import { nextRecurrenceOccurrence } from '../services/calendar/timeOffService.js';
 
 // ─── Subtask Generation (moved from recurrenceScheduler.js) ─────────────────
 
@@ -99,7 +100,7 @@ const JOB_HANDLERS = {
     recurringTask.generatedSubtasks.push(subtask._id);
     recurringTask.completedOccurrences += 1;
     recurringTask.lastOccurrence = new Date();
-    recurringTask.nextOccurrence = recurringTask.calculateNextOccurrence();
+    recurringTask.nextOccurrence = await nextRecurrenceOccurrence(recurringTask);
 
     // Check if should end after this occurrence
     if (recurringTask.shouldEnd()) {
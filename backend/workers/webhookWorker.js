@@ -0,0 +1,57 @@
+/**
+ * Webhook Worker
+ *
+ * Processes jobs from the 'flowtask.webhook' queue.
+ * Job types: deliver-webhook
+ *
+ * Each BullMQ attempt makes one HTTP attempt; the delivery document records
+ * the outcome so the admin delivery log stays in sync with the queue.
+ */
+import { UnrecoverableError, Worker } from 'bullmq';
+import { getWorkerConnection } from '../queues/connection.js';
+import { CONCURRENCY, QUEUES } from '../queues/registry.js';
+import { attemptDelivery } from '../services/webhooks/webhookService.js';
+import config from '../config/index.js';
+
+let webhookWorker = null;
+
+export function startWebhookWorker() {
+  if (webhookWorker) return webhookWorker;
+
+  webhookWorker = new Worker(
+    QUEUES.WEBHOOK,
+    async (job) => {
+      if (job.name !== 'deliver-webhook') {
+        throw new Error(`Unknown webhook job type: ${job.name}`);
+      }
+
+      const result = await attemptDelivery(job.data.deliveryId, {
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.opts.attempts || 1,
+      });
+
+      if (result.retry) throw new Error(result.error || 'Webhook delivery failed');
+      if (!result.ok) throw new UnrecoverableError(result.error || 'Webhook delivery failed');
+      return { delivered: true };
+    },
+    {
+      connection: getWorkerConnection(),
+      concurrency: CONCURRENCY[QUEUES.WEBHOOK],
+    }
+  );
+
+  webhookWorker.on('completed', (job) => {
+    if (config.isDev) console.log(`[Worker:Webhook] ${job.name}:${job.id} completed`);
+  });
+
+  webhookWorker.on('failed', (job, err) => {
+    console.error(`[Worker:Webhook] ${job?.name}:${job?.id} failed (attempt ${job?.attemptsMade}):`, err.message);
+  });
+
+  console.log('[Worker:Webhook] started');
+  return webhookWorker;
+}
+
+export function getWebhookWorker() {
+  return webhookWorker;
+}
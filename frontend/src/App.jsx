@@ -54,11 +54,14 @@ import FinanceDashboard from "./pages/Finance/FinanceDashboard";
 import UsersTab from "./pages/Finance/UsersTab";
 import ProjectsTab from "./pages/Finance/ProjectsTab";
 import WeeklyTab from "./pages/Finance/WeeklyTab";
+import InvoicesTab from "./pages/Finance/InvoicesTab";
 import FinancePagesManager from "./pages/Finance/FinancePagesManager";
 import CreateFinancePage from "./pages/Finance/CreateFinancePage";
 import ViewFinancePage from "./pages/Finance/ViewFinancePage";
 import MyShortcutsPage from "./pages/MyShortcutsPage";
 import SalesPage from "./pages/SalesPage";
+import SalesAnalyticsPage from "./pages/SalesAnalyticsPage";
+import TimesheetsPage from "./pages/TimesheetsPage";
 
 function App() {
   return (
@@ -111,6 +114,7 @@ function App() {
                 />
 
                 <Route path="/sales" element={<SalesPage />} />
+                <Route path="/sales/analytics" element={<SalesAnalyticsPage />} />
 
                 <Route
                   path="/admin/settings"
@@ -123,7 +127,7 @@ function App() {
                 <Route
                   path="/hr-panel"
                   element={
-                    <PrivateRoute requiredRole={["Admin", "HR"]}>
+                    <PrivateRoute requiredRole={["Admin", "HR", "Manager"]}>
                       <HRPanel />
                     </PrivateRoute>
                   }
@@ -141,6 +145,7 @@ function App() {
                 <Route path="/profile" element={<Profile />} />
                 <Route path="/settings" element={<Settings />} />
                 <Route path="/announcements" element={<Announcements />} />
+                <Route path="/timesheets" element={<TimesheetsPage />} />
 
                 <Route
                   path="/reminders"
@@ -187,6 +192,7 @@ function App() {
                   <Route path="users" element={<UsersTab />} />
                   <Route path="projects" element={<ProjectsTab />} />
                   <Route path="weekly" element={<WeeklyTab />} />
+                  <Route path="invoices" element={<InvoicesTab />} />
                   <Route path="pages" element={<FinancePagesManager />} />
                   <Route path="pages/new" element={<CreateFinancePage />} />
                   <Route path="pages/:id" element={<ViewFinancePage />} />
@@ -23,6 +23,7 @@ import RichTextEditor from './RichTextEditor';
 import MilestoneScheduleEditor from './MilestoneScheduleEditor';
 import { createEmptyMilestone, validateMilestoneSchedule } from '../utils/milestones';
 import BasicInfoSection from './ProjectModals/sections/BasicInfoSection';
+import TemplateSection from './ProjectModals/sections/TemplateSection';
 import ProjectDetailsSection from './ProjectModals/sections/ProjectDetailsSection';
 import ClientSection from './ProjectModals/sections/ClientSection';
 import FilesTab from './ProjectModals/tabs/FilesTab';
@@ -62,6 +63,7 @@ const EnterpriseAddProjectModal = memo(({ isOpen, onClose, departmentId, onProje
     estimatedTime: "",
     visibility: "public",
     projectType: "Hired Client",
+    template: null,
   }), []);
 
   const [formData, setFormData] = useState(initialFormData);
@@ -259,6 +261,28 @@ const EnterpriseAddProjectModal = memo(({ isOpen, onClose, departmentId, onProje
     setProjectTypeDropdownOpen(false);
   }, []);
 
+  // Picking a template pre-fills the project defaults it was saved with;
+  // anything already entered in the form is kept.
+  const handleTemplateSelect = useCallback((template) => {
+    setFormData((prev) => {
+      if (!template) return { ...prev, template: null };
+      const defaults = template.defaults || {};
+      const next = { ...prev, template };
+      if (defaults.projectType) next.projectType = defaults.projectType;
+      if (!prev.projectCategory && defaults.projectCategory) next.projectCategory = defaults.projectCategory;
+      if (next.projectType !== 'Inhouse') {
+        if (defaults.billingCycle) next.billingCycle = defaults.billingCycle;
+        if (!prev.estimatedTime && defaults.estimatedTime) next.estimatedTime = defaults.estimatedTime;
+      }
+      if (prev.startDate && !prev.dueDate && defaults.durationDays != null) {
+        const due = new Date(prev.startDate);
+        due.setUTCDate(due.getUTCDate() + defaults.durationDays);
+        next.dueDate = due.toISOString().slice(0, 10);
+      }
+      return next;
+    });
+  }, []);
+
   const handleCreateCategory = useCallback(async () => {
     if (!newCategoryName.trim()) {
       toast.error("Category name is required");
@@ -412,7 +436,9 @@ const EnterpriseAddProjectModal = memo(({ isOpen, onClose, departmentId, onProje
       if (formData.clientMobileNumber && formData.clientMobileNumber.length !== selectedCountry.digits) {
         newErrors.clientMobileNumber = `Must be ${selectedCountry.digits} digits`;
       }
-      if (formData.billingCycle === 'milestone') {
+      // An empty schedule is filled from the template's milestones by the backend
+      const usesTemplateMilestones = formData.template?.milestoneCount > 0 && formData.milestones.length === 0;
+      if (formData.billingCycle === 'milestone' && !usesTemplateMilestones) {
         const milestoneError = validateMilestoneSchedule(formData);
         if (milestoneError) newErrors.milestones = milestoneError;
       }
@@ -484,6 +510,7 @@ const EnterpriseAddProjectModal = memo(({ isOpen, onClose, departmentId, onProje
         visibility: formData.visibility,
         projectCategory: formData.projectCategory,
         projectType: formData.projectType,
+        ...(formData.template ? { templateId: formData.template._id } : {}),
         runBackgroundTasks: true
       };
 
@@ -766,6 +793,12 @@ const EnterpriseAddProjectModal = memo(({ isOpen, onClose, departmentId, onProje
                 {/* Details Tab */}
                 {activeTab === 'details' && (
                   <form onSubmit={handleSubmit} className="space-y-6">
+                    {/* Template */}
+                    <TemplateSection
+                      templateId={formData.template?._id}
+                      onSelect={handleTemplateSelect}
+                    />
+
                     {/* Cover Image */}
                     <section className="bg-gray-50 rounded-2xl p-5 border border-gray-200">
                       <h3 className="text-sm font-bold text-gray-900 mb-4 flex items-center gap-2">
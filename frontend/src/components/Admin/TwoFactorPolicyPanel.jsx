@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Loader2, Save } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import useRoleStore from '../../store/roleStore';
+
+/**
+ * TwoFactorPolicyPanel - Lets admins require two-factor authentication for
+ * chosen roles and for anyone with Finance module access. Affected users who
+ * have not enrolled are walked through setup at their next sign-in.
+ */
+const TwoFactorPolicyPanel = () => {
+  const roles = useRoleStore((state) => state.roles);
+  const loadRoles = useRoleStore((state) => state.loadRoles);
+  const [policy, setPolicy] = useState({ requiredRoles: [], requireForFinanceAccess: false });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!roles.length) loadRoles().catch(() => {});
+  }, [roles.length, loadRoles]);
+
+  useEffect(() => {
+    api.get('/api/auth/2fa/policy')
+      .then((res) => setPolicy(res.data.data))
+      .catch(() => toast.error('Failed to load two-factor policy'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const toggleRole = (slug) => {
+    setPolicy((prev) => ({
+      ...prev,
+      requiredRoles: prev.requiredRoles.includes(slug)
+        ? prev.requiredRoles.filter((r) => r !== slug)
+        : [...prev.requiredRoles, slug],
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const res = await api.put('/api/auth/2fa/policy', {
+        requiredRoles: policy.requiredRoles,
+        requireForFinanceAccess: policy.requireForFinanceAccess,
+      });
+      setPolicy(res.data.data);
+      toast.success('Two-factor policy saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save two-factor policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center gap-3">
+        <div className="p-2 bg-green-100 rounded-lg">
+          <ShieldCheck className="w-6 h-6 text-green-600" />
+        </div>
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Two-Factor Policy</h2>
+          <p className="text-sm text-gray-500">Require an authenticator app for sensitive accounts</p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" /> Loading…
+        </div>
+      ) : (
+        <>
+          <label className="flex items-start gap-3 p-3 rounded-lg border border-gray-200 hover:bg-gray-50">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={policy.requireForFinanceAccess}
+              onChange={(e) => setPolicy((prev) => ({ ...prev, requireForFinanceAccess: e.target.checked }))}
+            />
+            <span>
+              <span className="block font-medium text-gray-900">Anyone with Finance access</span>
+              <span className="block text-sm text-gray-500">Includes admins and users granted the Finance module</span>
+            </span>
+          </label>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Required for roles</h3>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {roles.map((role) => (
+                <label key={role._id} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={policy.requiredRoles.includes(role.slug)}
+                    onChange={() => toggleRole(role.slug)}
+                  />
+                  {role.name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="flex items-center gap-2 px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? <Loader2 size={18} className="animate-spin" /> : <Save size={18} />}
+            Save policy
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorPolicyPanel;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, RotateCcw, X, ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const STATUS_STYLES = {
+  success: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  pending: 'bg-gray-100 text-gray-600',
+};
+
+/**
+ * WebhookDeliveryLog - Paginated delivery history for one webhook endpoint,
+ * with the request payload, the receiver's response and manual redelivery.
+ */
+const WebhookDeliveryLog = ({ endpoint, onClose }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [redelivering, setRedelivering] = useState(false);
+
+  const loadDeliveries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get(`/api/webhooks/${endpoint._id}/deliveries`, {
+        params: { page, limit: 20, ...(status ? { status } : {}) },
+      });
+      setDeliveries(res.data.data || []);
+      setPagination(res.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  }, [endpoint._id, page, status]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const openDelivery = async (deliveryId) => {
+    try {
+      const res = await api.get(`/api/webhooks/deliveries/${deliveryId}`);
+      setSelected(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load delivery');
+    }
+  };
+
+  const handleRedeliver = async () => {
+    setRedelivering(true);
+    try {
+      await api.post(`/api/webhooks/deliveries/${selected._id}/redeliver`);
+      toast.success('Redelivery queued');
+      setSelected(null);
+      setPage(1);
+      loadDeliveries();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to redeliver');
+    } finally {
+      setRedelivering(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between gap-3 px-4 py-3 border-b border-gray-200 bg-gray-50 rounded-t-lg">
+        <h3 className="text-sm font-semibold text-gray-900 truncate">Deliveries · {endpoint.name}</h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+            className="text-sm border border-gray-300 rounded-lg px-2 py-1 text-gray-700"
+          >
+            <option value="">All statuses</option>
+            <option value="success">Succeeded</option>
+            <option value="failed">Failed</option>
+            <option value="pending">Pending</option>
+          </select>
+          <button type="button" onClick={loadDeliveries} className="p-1.5 text-gray-500 hover:text-blue-600" title="Refresh">
+            <RefreshCw size={16} />
+          </button>
+          <button type="button" onClick={onClose} className="p-1.5 text-gray-500 hover:text-gray-800" title="Close">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center text-gray-500 p-4">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" /> Loading…
+        </div>
+      ) : deliveries.length === 0 ? (
+        <p className="text-sm text-gray-500 p-4">No deliveries yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase text-gray-500">
+              <th className="px-4 py-2">Event</th>
+              <th className="px-4 py-2">Status</th>
+              <th className="px-4 py-2">Response</th>
+              <th className="px-4 py-2">Attempts</th>
+              <th className="px-4 py-2">Sent</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {deliveries.map((delivery) => (
+              <tr
+                key={delivery._id}
+                onClick={() => openDelivery(delivery._id)}
+                className={`cursor-pointer hover:bg-gray-50 ${selected?._id === delivery._id ? 'bg-blue-50' : ''}`}
+              >
+                <td className="px-4 py-2 font-mono text-gray-800">
+                  {delivery.event}
+                  {delivery.redeliveryOf && <span className="ml-1 text-xs text-gray-400">(redelivery)</span>}
+                </td>
+                <td className="px-4 py-2">
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[delivery.status]}`}>
+                    {delivery.status}
+                  </span>
+                </td>
+                <td className="px-4 py-2 text-gray-600">
+                  {delivery.responseStatus || (delivery.error ? 'No response' : '—')}
+                  {delivery.durationMs != null && <span className="text-xs text-gray-400"> · {delivery.durationMs} ms</span>}
+                </td>
+                <td className="px-4 py-2 text-gray-600">{delivery.attempts}</td>
+                <td className="px-4 py-2 text-gray-600">{new Date(delivery.createdAt).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-end gap-2 px-4 py-2 border-t border-gray-200 text-sm text-gray-600">
+          <button type="button" disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="p-1 disabled:opacity-40">
+            <ChevronLeft size={16} />
+          </button>
+          Page {pagination.page} of {pagination.pages}
+          <button type="button" disabled={page >= pagination.pages} onClick={() => setPage((p) => p + 1)} className="p-1 disabled:opacity-40">
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      )}
+
+      {selected && (
+        <div className="border-t border-gray-200 p-4 space-y-3">
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-xs text-gray-500 font-mono truncate">Delivery {selected.deliveryId}</div>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={handleRedeliver}
+                disabled={redelivering || selected.status === 'pending'}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {redelivering ? <Loader2 size={14} className="animate-spin" /> : <RotateCcw size={14} />}
+                Redeliver
+              </button>
+              <button type="button" onClick={() => setSelected(null)} className="p-1.5 text-gray-500 hover:text-gray-800">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+          {selected.error && <p className="text-sm text-red-600">{selected.error}</p>}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+            <div>
+              <h4 className="text-xs font-semibold uppercase text-gray-500 mb-1">Payload</h4>
+              <pre className="text-xs bg-gray-50 border border-gray-200 rounded p-2 overflow-auto max-h-64">
+                {JSON.stringify(selected.payload, null, 2)}
+              </pre>
+            </div>
+            <div>
+              <h4 className="text-xs font-semibold uppercase text-gray-500 mb-1">
+                Response {selected.responseStatus ? `(${selected.responseStatus})` : ''}
+              </h4>
+              <pre className="text-xs bg-gray-50 border border-gray-200 rounded p-2 overflow-auto max-h-64 whitespace-pre-wrap">
+                {selected.responseBody || '—'}
+              </pre>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveryLog;
@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { Webhook, Plus, Loader2, Trash2, RefreshCw, Send, List, Copy, Power, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import Database from '../../services/database';
+import DepartmentContext from '../../context/DepartmentContext';
+import WebhookDeliveryLog from './WebhookDeliveryLog';
+
+const EVENT_LABELS = {
+  'card.created': 'Card created',
+  'card.moved': 'Card moved',
+  'comment.added': 'Comment added',
+  'milestone.approved': 'Milestone approved',
+  'sales_row.updated': 'Sales row updated',
+};
+
+const EMPTY_FORM = { name: '', url: '', events: [], departmentId: '', projectId: '' };
+
+/**
+ * WebhooksPanel - Lets admins register outgoing webhook endpoints, choose the
+ * events and scope each one receives, and browse its delivery log.
+ */
+const WebhooksPanel = () => {
+  const { departments = [] } = useContext(DepartmentContext);
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [projects, setProjects] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [revealedSecret, setRevealedSecret] = useState(null); // { endpointId, secret }
+  const [logEndpoint, setLogEndpoint] = useState(null);
+
+  const loadEndpoints = useCallback(async () => {
+    try {
+      const res = await api.get('/api/webhooks');
+      setEndpoints(res.data.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEndpoints();
+    api.get('/api/webhooks/events')
+      .then((res) => setEvents(res.data.data))
+      .catch(() => {});
+  }, [loadEndpoints]);
+
+  useEffect(() => {
+    if (!form.departmentId) {
+      setProjects([]);
+      return;
+    }
+    Database.getBoardsByDepartment(form.departmentId)
+      .then((res) => setProjects(res.data || []))
+      .catch(() => setProjects([]));
+  }, [form.departmentId]);
+
+  const toggleEvent = (event) => {
+    setForm((f) => ({
+      ...f,
+      events: f.events.includes(event) ? f.events.filter((e) => e !== event) : [...f.events, event],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await api.post('/api/webhooks', {
+        name: form.name.trim(),
+        url: form.url.trim(),
+        events: form.events,
+        departments: form.departmentId ? [form.departmentId] : [],
+        projects: form.projectId ? [form.projectId] : [],
+      });
+      setRevealedSecret({ endpointId: res.data.data._id, secret: res.data.secret });
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      loadEndpoints();
+      toast.success('Webhook endpoint added');
+    } catch (error) {
+      const fieldError = error.response?.data?.errors?.[0]?.message;
+      toast.error(fieldError || error.response?.data?.message || 'Failed to add webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (endpoint) => {
+    try {
+      await api.put(`/api/webhooks/${endpoint._id}`, { isActive: !endpoint.isActive });
+      loadEndpoints();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update webhook');
+    }
+  };
+
+  const handleRotate = async (endpoint) => {
+    if (!window.confirm(`Generate a new signing secret for "${endpoint.name}"? The receiver must be updated to verify with it.`)) return;
+    try {
+      const res = await api.post(`/api/webhooks/${endpoint._id}/rotate-secret`);
+      setRevealedSecret({ endpointId: endpoint._id, secret: res.data.secret });
+      loadEndpoints();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rotate secret');
+    }
+  };
+
+  const handleTest = async (endpoint) => {
+    try {
+      await api.post(`/api/webhooks/${endpoint._id}/test`);
+      toast.success('Ping queued — check the delivery log');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send test event');
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete "${endpoint.name}" and its delivery log?`)) return;
+    try {
+      await api.delete(`/api/webhooks/${endpoint._id}`);
+      if (logEndpoint?._id === endpoint._id) setLogEndpoint(null);
+      loadEndpoints();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete webhook');
+    }
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedSecret.secret);
+      toast.success('Secret copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const describeScope = (endpoint) => {
+    const scope = [
+      ...(endpoint.departments || []).map((d) => d.name),
+      ...(endpoint.projects || []).map((p) => p.name),
+    ].filter(Boolean);
+    return scope.length ? scope.join(' › ') : 'All departments and projects';
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-indigo-100 rounded-lg">
+            <Webhook className="w-6 h-6 text-indigo-600" />
+          </div>
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Webhooks</h2>
+            <p className="text-sm text-gray-500">Send signed event notifications to other systems</p>
+          </div>
+        </div>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Plus size={18} /> Add endpoint
+          </button>
+        )}
+      </div>
+
+      {revealedSecret && (
+        <div className="p-4 rounded-lg border border-amber-200 bg-amber-50 space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-semibold text-amber-800">Signing secret — copy it now, it will not be shown again</p>
+            <button type="button" onClick={() => setRevealedSecret(null)} className="text-amber-700 hover:text-amber-900">
+              <X size={16} />
+            </button>
+          </div>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all text-sm font-mono bg-white border border-amber-200 rounded p-2 select-all">
+              {revealedSecret.secret}
+            </code>
+            <button type="button" onClick={copySecret} className="p-2 text-amber-700 hover:text-amber-900" title="Copy secret">
+              <Copy size={16} />
+            </button>
+          </div>
+          <p className="text-xs text-amber-700">
+            Verify each request by computing HMAC-SHA256 of <code>{'{X-FlowTask-Timestamp}.{raw body}'}</code> with this secret and comparing it to <code>X-FlowTask-Signature</code>.
+          </p>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="p-4 rounded-lg border border-gray-200 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder="Name (e.g. Data warehouse)"
+              value={form.name}
+              onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+              className={inputClass}
+              maxLength={100}
+            />
+            <input
+              type="url"
+              placeholder="https://example.com/hooks/flowtask"
+              value={form.url}
+              onChange={(e) => setForm((f) => ({ ...f, url: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Events</h3>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {events.map((event) => (
+                <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                  {EVENT_LABELS[event] || event}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <select
+              value={form.departmentId}
+              onChange={(e) => setForm((f) => ({ ...f, departmentId: e.target.value, projectId: '' }))}
+              className={inputClass}
+            >
+              <option value="">All departments</option>
+              {departments.filter((d) => d._id !== 'all').map((d) => (
+                <option key={d._id} value={d._id}>{d.name}</option>
+              ))}
+            </select>
+            <select
+              value={form.projectId}
+              onChange={(e) => setForm((f) => ({ ...f, projectId: e.target.value }))}
+              disabled={!form.departmentId}
+              className={`${inputClass} disabled:bg-gray-50`}
+            >
+              <option value="">All projects</option>
+              {projects.map((p) => (
+                <option key={p._id} value={p._id}>{p.name}</option>
+              ))}
+            </select>
+          </div>
+          {(form.departmentId || form.projectId) && form.events.includes('sales_row.updated') && (
+            <p className="text-xs text-amber-700">Sales rows are not tied to a department, so a scoped endpoint will not receive sales events.</p>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                setForm(EMPTY_FORM);
+              }}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!form.name.trim() || !form.url.trim() || form.events.length === 0 || saving}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving && <Loader2 size={16} className="animate-spin" />}
+              Add endpoint
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex items-center text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" /> Loading…
+        </div>
+      ) : endpoints.length === 0 ? (
+        <p className="text-sm text-gray-500">No webhook endpoints yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {endpoints.map((endpoint) => (
+            <li key={endpoint._id} className="p-4 space-y-2">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-gray-900">{endpoint.name}</span>
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                      endpoint.isActive ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+                    }`}>
+                      {endpoint.isActive ? 'Active' : 'Disabled'}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-600 truncate" title={endpoint.url}>{endpoint.url}</div>
+                  <div className="text-xs text-gray-500">
+                    {endpoint.events.map((e) => EVENT_LABELS[e] || e).join(', ')} · {describeScope(endpoint)} · secret …{endpoint.secretHint}
+                  </div>
+                  {!endpoint.isActive && endpoint.disabledReason && (
+                    <div className="text-xs text-red-600 mt-1">{endpoint.disabledReason}</div>
+                  )}
+                  {endpoint.isActive && endpoint.consecutiveFailures > 0 && (
+                    <div className="text-xs text-amber-700 mt-1">
+                      {endpoint.consecutiveFailures} failed deliver{endpoint.consecutiveFailures === 1 ? 'y' : 'ies'} in a row
+                    </div>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <button type="button" onClick={() => setLogEndpoint(endpoint)} className="p-2 text-gray-500 hover:text-blue-600" title="Delivery log">
+                    <List size={16} />
+                  </button>
+                  <button type="button" onClick={() => handleTest(endpoint)} className="p-2 text-gray-500 hover:text-blue-600" title="Send test ping">
+                    <Send size={16} />
+                  </button>
+                  <button type="button" onClick={() => handleRotate(endpoint)} className="p-2 text-gray-500 hover:text-blue-600" title="Rotate secret">
+                    <RefreshCw size={16} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleToggleActive(endpoint)}
+                    className={`p-2 ${endpoint.isActive ? 'text-gray-500 hover:text-amber-600' : 'text-green-600 hover:text-green-700'}`}
+                    title={endpoint.isActive ? 'Disable' : 'Re-enable'}
+                  >
+                    <Power size={16} />
+                  </button>
+                  <button type="button" onClick={() => handleDelete(endpoint)} className="p-2 text-gray-500 hover:text-red-600" title="Delete">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {logEndpoint && (
+        <WebhookDeliveryLog endpoint={logEndpoint} onClose={() => setLogEndpoint(null)} />
+      )}
+    </div>
+  );
+};
+
+export default WebhooksPanel;
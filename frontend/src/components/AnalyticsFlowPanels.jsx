@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { Area, AreaChart, Bar, BarChart, CartesianGrid, Legend, Line, ComposedChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import Database from '../services/database';
+
+const FLOW_COLORS = ['#94a3b8', '#3468e8', '#8b5cf6', '#f59e0b', '#0ea5e9', '#ef5b6a', '#64748b', '#13a874'];
+const shortDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+const axisTick = { fontSize: 10, fill: '#8390a2' };
+
+// Done columns are always green so the finished band reads the same in every project
+const columnColor = (column, index) => column.done ? '#13a874' : FLOW_COLORS[index % FLOW_COLORS.length];
+
+const FlowTooltip = ({ active, payload, label, suffix = '' }) => !active || !payload?.length ? null : <div className="analytics-tooltip"><div className="analytics-tooltip-title">{shortDate(label)}</div>{[...payload].reverse().map((item) => <div className="analytics-tooltip-line" key={item.dataKey}><span style={{ color: item.color }}>{item.name}</span><strong>{item.value}{suffix}</strong></div>)}</div>;
+
+const FlowEmpty = ({ title }) => <div className="analytics-empty"><strong>{title}</strong><span>Flow metrics build up as tasks move between lists.</span></div>;
+
+/**
+ * AnalyticsFlowPanels - Kanban flow metrics built from each task's recorded
+ * list transitions: cumulative flow, weekly throughput and lead/cycle time,
+ * plus lists currently over their WIP limit.
+ */
+const AnalyticsFlowPanels = ({ filters, refreshKey }) => {
+  const [flow, setFlow] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (filters.range === 'custom' && (!filters.startDate || !filters.endDate)) return undefined;
+    const controller = new AbortController();
+    Database.getAnalyticsFlow(filters, { signal: controller.signal })
+      .then((response) => { setFlow(response.data); setError(''); })
+      .catch((requestError) => { if (requestError.name !== 'AbortError') setError(requestError.message || 'Flow metrics could not be loaded'); });
+    return () => controller.abort();
+  }, [filters, refreshKey]);
+
+  if (error && !flow) return <section className="analytics-grid"><article className="analytics-panel span-12"><div className="analytics-task-error"><AlertTriangle size={18} /><span>{error}</span></div></article></section>;
+  if (!flow) return <section className="analytics-grid"><div className="analytics-skeleton analytics-skeleton-panel analytics-panel span-12" /></section>;
+
+  const { cumulativeFlow, throughput, leadTime, cycleTime, wipLimits } = flow;
+  const hasFlow = cumulativeFlow.points.some((point) => cumulativeFlow.columns.some((column) => point[column.key] > 0));
+  const overLimit = wipLimits.filter((list) => list.exceeded);
+
+  return <>
+    <section className="analytics-grid"><article className="analytics-panel span-12"><div className="analytics-panel-header"><div><div className="analytics-panel-title">Cumulative flow</div><div className="analytics-panel-note">Tasks in each list at the end of every day • widening bands point to bottlenecks</div></div>{overLimit.length > 0 && <span className="analytics-badge" style={{ background: '#ffebee', color: '#b72e3c' }}>{overLimit.length} list{overLimit.length === 1 ? '' : 's'} over WIP limit</span>}</div>{hasFlow ? <div className="analytics-chart"><ResponsiveContainer width="100%" height="100%"><AreaChart data={cumulativeFlow.points} margin={{ top: 8, right: 8, left: -16, bottom: 0 }}><CartesianGrid strokeDasharray="3 4" vertical={false} stroke="#e8ecf2"/><XAxis dataKey="date" tick={axisTick} tickFormatter={shortDate} axisLine={false} tickLine={false} minTickGap={28}/><YAxis tick={axisTick} axisLine={false} tickLine={false} allowDecimals={false}/><Tooltip content={<FlowTooltip />}/><Legend iconType="circle" iconSize={7} wrapperStyle={{ fontSize: 11 }}/>{[...cumulativeFlow.columns].reverse().map((column, index, columns) => <Area key={column.key} type="monotone" dataKey={column.key} name={column.title} stackId="flow" stroke={columnColor(column, columns.length - 1 - index)} fill={columnColor(column, columns.length - 1 - index)} fillOpacity={0.55} strokeWidth={1.4}/>)}</AreaChart></ResponsiveContainer></div> : <FlowEmpty title="No list transitions in this period" />}</article></section>
+
+    <section className="analytics-grid"><article className="analytics-panel span-6"><div className="analytics-panel-header"><div><div className="analytics-panel-title">Throughput</div><div className="analytics-panel-note">Tasks finished per week • {throughput.weeklyAverage} per week on average</div></div></div>{throughput.total ? <div className="analytics-chart compact"><ResponsiveContainer width="100%" height="100%"><BarChart data={throughput.weekly} margin={{ top: 8, right: 2, left: -20, bottom: 0 }}><CartesianGrid strokeDasharray="3 4" vertical={false} stroke="#e8ecf2"/><XAxis dataKey="week" tick={axisTick} tickFormatter={shortDate} axisLine={false} tickLine={false} minTickGap={20}/><YAxis tick={axisTick} axisLine={false} tickLine={false} allowDecimals={false}/><Tooltip content={<FlowTooltip />}/><Bar dataKey="completed" name="Completed" fill="#13a874" radius={[5,5,0,0]} maxBarSize={32}/></BarChart></ResponsiveContainer></div> : <FlowEmpty title="No tasks finished in this period" />}</article>
+      <article className="analytics-panel span-6"><div className="analytics-panel-header"><div><div className="analytics-panel-title">Lead &amp; cycle time</div><div className="analytics-panel-note">Lead {leadTime.averageDays}d avg ({leadTime.p85Days}d p85) • Cycle {cycleTime.averageDays}d avg ({cycleTime.p85Days}d p85)</div></div></div>{leadTime.samples ? <div className="analytics-chart compact"><ResponsiveContainer width="100%" height="100%"><ComposedChart data={throughput.weekly} margin={{ top: 8, right: 8, left: -20, bottom: 0 }}><CartesianGrid strokeDasharray="3 4" vertical={false} stroke="#e8ecf2"/><XAxis dataKey="week" tick={axisTick} tickFormatter={shortDate} axisLine={false} tickLine={false} minTickGap={20}/><YAxis tick={axisTick} axisLine={false} tickLine={false} unit="d"/><Tooltip content={<FlowTooltip suffix="d" />}/><Legend iconType="circle" iconSize={7} wrapperStyle={{ fontSize: 11 }}/><Line type="monotone" dataKey="averageLeadDays" name="Lead time" stroke="#3468e8" strokeWidth={2.2} dot={false}/><Line type="monotone" dataKey="averageCycleDays" name="Cycle time" stroke="#8b5cf6" strokeWidth={2.2} dot={false}/></ComposedChart></ResponsiveContainer></div> : <FlowEmpty title="No completed tasks with history yet" />}</article></section>
+  </>;
+};
+
+export default AnalyticsFlowPanels;
@@ -4,7 +4,7 @@ import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import { toast } from 'react-toastify';
 import KanbanList from './List';
 
-const Board = memo(({ lists, cardsByList, onAddCard, onDeleteCard, onCardClick, onAddList, onDeleteList, onUpdateListColor, onUpdateListTitle, onMoveCard, onMoveList, onRestoreCard, isArchivedView = false }) => {
+const Board = memo(({ lists, cardsByList, onAddCard, onDeleteCard, onCardClick, onAddList, onDeleteList, onUpdateListColor, onUpdateListTitle, onUpdateListWip, onMoveCard, onMoveList, onRestoreCard, isArchivedView = false }) => {
   const [isAddingList, setIsAddingList] = useState(false);
   const [newListTitle, setNewListTitle] = useState('');
   const [isListInputFocused, setIsListInputFocused] = useState(false);
@@ -143,6 +143,7 @@ const Board = memo(({ lists, cardsByList, onAddCard, onDeleteCard, onCardClick,
                           onDeleteList={onDeleteList}
                           onUpdateListColor={onUpdateListColor}
                           onUpdateListTitle={onUpdateListTitle}
+                          onUpdateListWip={onUpdateListWip}
                           onRestoreCard={onRestoreCard}
                           dragHandleProps={provided.dragHandleProps}
                           isDragging={snapshot.isDragging}
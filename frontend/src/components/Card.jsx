@@ -18,6 +18,7 @@ import {
 
 import DeletePopup from "./ui/DeletePopup";
 import Avatar from "./Avatar";
+import { CardPresenceAvatars } from "./presence/PresenceAvatars";
 import useFieldVisibilityStore from "../store/fieldVisibilityStore";
 
 // Helper to get text color based on background
@@ -279,6 +280,9 @@ const Card = memo(({ card, onClick, onDelete, onRestore, isDragging, isArchivedV
           {card.title}
         </h4>
 
+        {/* Who has the card open */}
+        {!isArchivedView && <CardPresenceAvatars cardId={card._id} className="mb-2" />}
+
         {/* Task ID */}
         {visibleFields.taskId && card._id && (
           <div className="mb-2 text-[10px] font-mono text-gray-400 truncate">
@@ -26,6 +26,9 @@ import RestoreConfirmationModal from "./ui/RestoreConfirmationModal";
 import UnsavedChangesModal from "./ui/UnsavedChangesModal";
 import useBilledTimeAccess from "../hooks/useBilledTimeAccess";
 import useUnsavedChanges from "../hooks/useUnsavedChanges";
+import { usePresence } from "../hooks/usePresence";
+import usePresenceStore from "../store/presenceStore";
+import { PresenceAvatars } from "./presence/PresenceAvatars";
 
 const themeOverlay = {
   blue: 'bg-blue-950/60',
@@ -45,6 +48,13 @@ const CardDetailModal = React.memo(({
   onLabelUpdate
 }) => {
   const { user } = useContext(AuthContext);
+  const presenceCardId = card?._id || card?.id;
+  const cardViewers = usePresence('card', presenceCardId);
+  const reportActivity = usePresenceStore((state) => state.reportActivity);
+  const handlePresenceActivity = useCallback(
+    (activity) => reportActivity(presenceCardId, activity),
+    [reportActivity, presenceCardId]
+  );
   // Memoize card props to avoid unnecessary re-renders
   const initialCard = React.useMemo(() => card, [card]);
   const [title, setTitle] = useState(initialCard.title);
@@ -221,13 +231,8 @@ const CardDetailModal = React.memo(({
   const [newLoggedMinutes, setNewLoggedMinutes] = useState("");
   const [newLoggedDescription, setNewLoggedDescription] = useState("");
   const [newLoggedDate, setNewLoggedDate] = useState("");
-  const [newBilledHours, setNewBilledHours] = useState("");
-  const [newBilledMinutes, setNewBilledMinutes] = useState("");
-  const [newBilledDescription, setNewBilledDescription] = useState("");
-  const [newBilledDate, setNewBilledDate] = useState("");
   const [editingEstimation, setEditingEstimation] = useState(null);
   const [editingLogged, setEditingLogged] = useState(null);
-  const [editingBilled, setEditingBilled] = useState(null);
   const [editEstimationHours, setEditEstimationHours] = useState("");
   const [editEstimationMinutes, setEditEstimationMinutes] = useState("");
   const [editEstimationReason, setEditEstimationReason] = useState("");
@@ -236,10 +241,6 @@ const CardDetailModal = React.memo(({
   const [editLoggedMinutes, setEditLoggedMinutes] = useState("");
   const [editLoggedDescription, setEditLoggedDescription] = useState("");
   const [editLoggedDate, setEditLoggedDate] = useState("");
-  const [editBilledHours, setEditBilledHours] = useState("");
-  const [editBilledMinutes, setEditBilledMinutes] = useState("");
-  const [editBilledDescription, setEditBilledDescription] = useState("");
-  const [editBilledDate, setEditBilledDate] = useState("");
 
   // Helper to get today's date in YYYY-MM-DD format
   const getTodayDate = () => new Date().toISOString().split('T')[0];
@@ -275,6 +276,16 @@ const CardDetailModal = React.memo(({
     return totalMinutes;
   };
 
+  /**
+   * Append an entry logged by the start/stop timer, unless a realtime update
+   * already brought it in
+   */
+  const handleTimerLogged = useCallback((entry) => {
+    setLoggedTime((prev) => (prev.some((e) => String(e._id) === String(entry._id))
+      ? prev
+      : [...prev, { ...entry, id: String(entry._id) }]));
+  }, []);
+
   /**
    * Check if the current user owns a time entry
    * Only owners can edit or delete their own entries
@@ -343,11 +354,6 @@ const CardDetailModal = React.memo(({
     [loggedTime, newLoggedHours, newLoggedMinutes, newLoggedDate, user._id]
   );
 
-  const billedValidationError = useMemo(() => 
-    validateTimeLimit(billedTime, newBilledHours, newBilledMinutes, newBilledDate, 'billed'),
-    [billedTime, newBilledHours, newBilledMinutes, newBilledDate, user._id]
-  );
-
   // Check if card has a real database ID (not temporary)
   const isRealCard = card._id && !card._id.toString().startsWith('temp-');
 
@@ -820,6 +826,10 @@ const CardDetailModal = React.memo(({
         reason: newEstimationReason,
         date: dateObj.toISOString()
       });
+      // Offline the socket update never comes, so show the queued entry here
+      if (response?.queued) {
+        setEstimationEntries(prev => [...prev, { ...response.data, id: response.data._id, user }]);
+      }
 
       setNewEstimationHours("");
       setNewEstimationMinutes("");
@@ -830,7 +840,7 @@ const CardDetailModal = React.memo(({
       console.error("Error adding estimation:", error);
       toast.error("Failed to add estimation: " + error.message);
     }
-  }, [newEstimationHours, newEstimationMinutes, newEstimationReason, newEstimationDate, estimationValidationError, card]);
+  }, [newEstimationHours, newEstimationMinutes, newEstimationReason, newEstimationDate, estimationValidationError, card, user]);
 
   const handleAddLoggedTime = useCallback(async () => {
     // Check validation error first
@@ -860,6 +870,9 @@ const CardDetailModal = React.memo(({
         description: newLoggedDescription,
         date: dateObj.toISOString()
       });
+      if (response?.queued) {
+        setLoggedTime(prev => [...prev, { ...response.data, id: response.data._id, user }]);
+      }
 
       setNewLoggedHours("");
       setNewLoggedMinutes("");
@@ -870,47 +883,7 @@ const CardDetailModal = React.memo(({
       console.error("Error logging time:", error);
       toast.error("Failed to log time: " + error.message);
     }
-  }, [newLoggedHours, newLoggedMinutes, newLoggedDescription, newLoggedDate, loggedValidationError, card]);
-
-  const handleAddBilledTime = useCallback(async () => {
-    // Check validation error first
-    if (billedValidationError) {
-      toast.error(billedValidationError);
-      return;
-    }
-
-    const hours = parseInt(newBilledHours || 0);
-    const minutes = parseInt(newBilledMinutes || 0);
-
-    if ((hours === 0 && minutes === 0) || !newBilledDescription.trim()) {
-      toast.error("Please enter valid time and a description.");
-      return;
-    }
-
-    const selectedDate = newBilledDate || getTodayDate();
-    const dateObj = new Date(selectedDate + 'T12:00:00.000Z');
-
-    const normalized = normalizeTime(hours, minutes);
-    const cardId = card._id || card.id;
-    
-    try {
-      const response = await Database.addCardTimeEntry(cardId, 'billed', {
-        hours: normalized.hours,
-        minutes: normalized.minutes,
-        description: newBilledDescription,
-        date: dateObj.toISOString()
-      });
-
-      setNewBilledHours("");
-      setNewBilledMinutes("");
-      setNewBilledDescription("");
-      setNewBilledDate("");
-      toast.success("Billed time added successfully!");
-    } catch (error) {
-      console.error("Error adding billed time:", error);
-      toast.error("Failed to add billed time: " + error.message);
-    }
-  }, [newBilledHours, newBilledMinutes, newBilledDescription, newBilledDate, billedValidationError, card]);
+  }, [newLoggedHours, newLoggedMinutes, newLoggedDescription, newLoggedDate, loggedValidationError, card, user]);
 
 
 
@@ -1067,81 +1040,6 @@ const CardDetailModal = React.memo(({
     setEditLoggedDate("");
   }, []);
 
-  const startEditingBilled = useCallback((entry) => {
-    // Ownership check - only allow editing own entries
-    if (!userOwnsTimeEntry(entry)) {
-      toast.error("You can only edit your own time entries");
-      return;
-    }
-    setEditingBilled(entry.id);
-    setEditBilledHours(entry.hours.toString());
-    setEditBilledMinutes(entry.minutes.toString());
-    setEditBilledDescription(entry.description);
-    // Set date in YYYY-MM-DD format
-    const entryDate = entry.date ? new Date(entry.date).toISOString().split('T')[0] : getTodayDate();
-    setEditBilledDate(entryDate);
-  }, [userOwnsTimeEntry]);
-
-  const saveBilledEdit = useCallback(async (id) => {
-    const hours = parseInt(editBilledHours || 0);
-    const minutes = parseInt(editBilledMinutes || 0);
-
-    if ((hours === 0 && minutes === 0) || !editBilledDescription.trim()) {
-      toast.error("Please enter valid time and a description.");
-      return;
-    }
-
-    const normalized = normalizeTime(hours, minutes);
-    const cardId = card._id || card.id;
-
-    try {
-       const entry = billedTime.find(e => e.id === id);
-       if (!entry) throw new Error("Entry not found");
-       const entryId = entry._id || entry.id;
-
-       // Prepare date for backend
-       const selectedDate = editBilledDate || getTodayDate();
-       const dateObj = new Date(selectedDate + 'T12:00:00.000Z');
-
-       await Database.updateCardTimeEntry(cardId, entryId, 'billed', {
-         hours: normalized.hours,
-         minutes: normalized.minutes,
-         description: editBilledDescription,
-         date: dateObj.toISOString()
-       });
-
-        setBilledTime(prev =>
-          prev.map((entry) =>
-            entry.id === id
-              ? {
-                  ...entry,
-                  hours: normalized.hours,
-                  minutes: normalized.minutes,
-                  description: editBilledDescription,
-                  date: dateObj.toISOString()
-                }
-              : entry
-          )
-        );
-        setEditingBilled(null);
-        setEditBilledHours("");
-        setEditBilledMinutes("");
-        setEditBilledDescription("");
-        setEditBilledDate("");
-        toast.success("Billed time updated successfully!");
-    } catch (error) {
-       console.error("Error updating billed time:", error);
-       toast.error("Failed to update: " + error.message);
-    }
-  }, [editBilledHours, editBilledMinutes, editBilledDescription, editBilledDate, card, billedTime]);
-
-  const cancelBilledEdit = useCallback(() => {
-    setEditingBilled(null);
-    setEditBilledHours("");
-    setEditBilledMinutes("");
-    setEditBilledDescription("");
-  }, []);
-
   // Memoized delete handlers for time tracking entries with ownership validation
   const confirmDeleteEstimation = useCallback(async (id) => {
     // Find the entry and check ownership
@@ -1181,25 +1079,6 @@ const CardDetailModal = React.memo(({
     }
   }, [loggedTime, userOwnsTimeEntry, card]);
 
-  const confirmDeleteBilledTime = useCallback(async (id) => {
-    // Find the entry and check ownership
-    const entry = billedTime.find(e => e.id === id || e._id === id);
-    if (entry && !userOwnsTimeEntry(entry)) {
-      toast.error("You can only delete your own time entries");
-      return;
-    }
-    const cardId = card._id || card.id;
-    try {
-        const entryId = entry._id || entry.id;
-        await Database.deleteCardTimeEntry(cardId, entryId, 'billed');
-        setBilledTime(prev => prev.filter((entry) => entry.id !== id && entry._id !== id));
-        toast.info("Billed time entry removed");
-    } catch (error) {
-        console.error("Error deleting billed time:", error);
-        toast.error("Failed to delete billed time");
-    }
-  }, [billedTime, userOwnsTimeEntry, card]);
-
   /**
    * Guard-aware close: shows the UnsavedChangesModal if there are pending edits,
    * otherwise closes the modal immediately.
@@ -1784,6 +1663,7 @@ const CardDetailModal = React.memo(({
                 </div>
               </div>
               <div className="flex items-center gap-2 ml-4">
+                <PresenceAvatars viewers={cardViewers} size="sm" className="mr-2" />
                 {/* Set Recurring Button - Only shown on main task modal */}
                 <motion.button
                   whileHover={{ scale: 1.05, y: -1 }}
@@ -1934,6 +1814,8 @@ const CardDetailModal = React.memo(({
                   modalContainerRef={modalContentRef}
                   cardId={card._id || card.id}
                   onVersionRollback={setDescription}
+                  viewers={cardViewers}
+                  onPresenceActivity={handlePresenceActivity}
                 />
 
                 {/* Time Tracking Component */}
@@ -1949,13 +1831,8 @@ const CardDetailModal = React.memo(({
                   newLoggedMinutes={newLoggedMinutes}
                   newLoggedDescription={newLoggedDescription}
                   newLoggedDate={newLoggedDate}
-                  newBilledHours={newBilledHours}
-                  newBilledMinutes={newBilledMinutes}
-                  newBilledDescription={newBilledDescription}
-                  newBilledDate={newBilledDate}
                   editingEstimation={editingEstimation}
                   editingLogged={editingLogged}
-                  editingBilled={editingBilled}
                   editEstimationHours={editEstimationHours}
                   editEstimationMinutes={editEstimationMinutes}
                   editEstimationReason={editEstimationReason}
@@ -1964,10 +1841,6 @@ const CardDetailModal = React.memo(({
                   editLoggedMinutes={editLoggedMinutes}
                   editLoggedDescription={editLoggedDescription}
                   editLoggedDate={editLoggedDate}
-                  editBilledHours={editBilledHours}
-                  editBilledMinutes={editBilledMinutes}
-                  editBilledDescription={editBilledDescription}
-                  editBilledDate={editBilledDate}
                   onEstimationHoursChange={setNewEstimationHours}
                   onEstimationMinutesChange={setNewEstimationMinutes}
                   onEstimationReasonChange={setNewEstimationReason}
@@ -1976,10 +1849,6 @@ const CardDetailModal = React.memo(({
                   onLoggedMinutesChange={setNewLoggedMinutes}
                   onLoggedDescriptionChange={setNewLoggedDescription}
                   onLoggedDateChange={setNewLoggedDate}
-                  onBilledHoursChange={setNewBilledHours}
-                  onBilledMinutesChange={setNewBilledMinutes}
-                  onBilledDescriptionChange={setNewBilledDescription}
-                  onBilledDateChange={setNewBilledDate}
                   onEditEstimationHoursChange={setEditEstimationHours}
                   onEditEstimationMinutesChange={setEditEstimationMinutes}
                   onEditEstimationReasonChange={setEditEstimationReason}
@@ -1988,33 +1857,26 @@ const CardDetailModal = React.memo(({
                   onEditLoggedMinutesChange={setEditLoggedMinutes}
                   onEditLoggedDescriptionChange={setEditLoggedDescription}
                   onEditLoggedDateChange={setEditLoggedDate}
-                  onEditBilledHoursChange={setEditBilledHours}
-                  onEditBilledMinutesChange={setEditBilledMinutes}
-                  onEditBilledDescriptionChange={setEditBilledDescription}
-                  onEditBilledDateChange={setEditBilledDate}
                   onAddEstimation={handleAddEstimation}
                   onAddLoggedTime={handleAddLoggedTime}
-                  onAddBilledTime={handleAddBilledTime}
                   onStartEditingEstimation={startEditingEstimation}
                   onStartEditingLogged={startEditingLogged}
-                  onStartEditingBilled={startEditingBilled}
                   onSaveEstimationEdit={saveEstimationEdit}
                   onSaveLoggedEdit={saveLoggedEdit}
-                  onSaveBilledEdit={saveBilledEdit}
                   onCancelEstimationEdit={cancelEstimationEdit}
                   onCancelLoggedEdit={cancelLoggedEdit}
-                  onCancelBilledEdit={cancelBilledEdit}
                   onConfirmDeleteEstimation={confirmDeleteEstimation}
                   onConfirmDeleteLoggedTime={confirmDeleteLoggedTime}
-                  onConfirmDeleteBilledTime={confirmDeleteBilledTime}
                   card={card}
                   estimationValidationError={estimationValidationError}
                   loggedValidationError={loggedValidationError}
-                  billedValidationError={billedValidationError}
                   canAccessBilledTime={canAccessBilledTime}
                   billedTimeHiddenReason={billedTimeHiddenReason}
                   project={currentProject}
                   billingSource={{ sourceType: 'task', sourceId: card._id || card.id }}
+                  timerItemType="card"
+                  timerItemId={card._id || card.id}
+                  onTimerLogged={handleTimerLogged}
                 />
 
                 {/* Subtasks Component */}
@@ -2102,6 +1964,8 @@ const CardDetailModal = React.memo(({
                         onDeleteComment={handleDeleteComment}
                         cardId={card._id || card.id}
                         enableCloudinaryAttachments={true}
+                        viewers={cardViewers}
+                        onPresenceActivity={handlePresenceActivity}
                       />
                     ) : (
                       <ActivitySection
@@ -2145,6 +2009,7 @@ const CardDetailModal = React.memo(({
                 card={card}
                 boardId={card?.board?._id || card?.board}
                 entityType="card"
+                onCustomFieldsChange={loadActivities}
               />
             </div>
           </div>
@@ -16,6 +16,7 @@ import {
   Flag,
   Calendar,
   Link as LinkIcon,
+  SlidersHorizontal,
 } from "lucide-react";
 import { formatDistanceToNow } from "date-fns";
 
@@ -54,6 +55,7 @@ const ActivitySection = ({ activities, loading, teamMembers = [] }) => {
       title_changed: <Edit2 className={`${iconProps} text-blue-600`} />,
       description_changed: <Edit2 className={`${iconProps} text-blue-600`} />,
       labels_changed: <Tag className={`${iconProps} text-purple-600`} />,
+      custom_field_changed: <SlidersHorizontal className={`${iconProps} text-indigo-600`} />,
     };
 
     return iconMap[activityType] || <FileText className={`${iconProps} ${colorClasses}`} />;
@@ -81,6 +83,7 @@ const ActivitySection = ({ activities, loading, teamMembers = [] }) => {
       title_changed: "bg-blue-50 border-blue-200",
       description_changed: "bg-blue-50 border-blue-200",
       labels_changed: "bg-purple-50 border-purple-200",
+      custom_field_changed: "bg-indigo-50 border-indigo-200",
     };
 
     return colorMap[activityType] || "bg-gray-50 border-gray-200";
@@ -112,6 +115,7 @@ const ActivitySection = ({ activities, loading, teamMembers = [] }) => {
       title_changed: `${userName} changed title to "${metadata?.newTitle}"`,
       description_changed: `${userName} updated the description`,
       labels_changed: `${userName} changed labels from "${metadata?.oldLabels}" to "${metadata?.newLabels}"`,
+      custom_field_changed: `${userName} changed ${metadata?.fieldName} from "${metadata?.oldValue}" to "${metadata?.newValue}"`,
     };
 
     return descriptions[type] || description || `${userName} performed an action`;
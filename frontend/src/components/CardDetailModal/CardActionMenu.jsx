@@ -1,8 +1,9 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { MoreVertical, Share2, Link as LinkIcon, Trash2, ArrowRightLeft, Copy, Archive, ArchiveRestore, ArrowUpCircle } from "lucide-react";
+import { MoreVertical, Share2, Link as LinkIcon, Trash2, ArrowRightLeft, Copy, Archive, ArchiveRestore, ArrowUpCircle, History } from "lucide-react";
 import DeletePopup from "../ui/DeletePopup";
 import CopyMoveModal from "../CopyMoveModal";
+import VersionHistoryModal from "../VersionHistoryModal";
 import usePermissions from "../../hooks/usePermissions";
 
 const ENTITY_LABEL = {
@@ -11,6 +12,13 @@ const ENTITY_LABEL = {
   subtaskNano: "Neno-Subtask",
 };
 
+// Version history entity type for each menu entity
+const VERSION_ENTITY_TYPE = {
+  task: "card",
+  subtask: "subtask",
+  subtaskNano: "nano_subtask",
+};
+
 const CardActionMenu = ({
   entityType = "task",
   ids = {},
@@ -26,6 +34,8 @@ const CardActionMenu = ({
   currentDepartmentId = null,
   currentProjectId = null,
   currentListId = null,
+  // Called after a field rollback from the version history
+  onVersionRestored,
 }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [shareOpen, setShareOpen] = useState(false);
@@ -33,6 +43,7 @@ const CardActionMenu = ({
   const [showDeletePopup, setShowDeletePopup] = useState(false);
   const [showCopyMoveModal, setShowCopyMoveModal] = useState(false);
   const [copyMoveMode, setCopyMoveMode] = useState("copy");
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
   
   const wrapperRef = useRef(null);
   const { role, isAdmin } = usePermissions();
@@ -86,6 +97,9 @@ const CardActionMenu = ({
     }
   };
 
+  const versionEntityId =
+    entityType === "subtaskNano" ? ids.nenoId : entityType === "subtask" ? ids.subtaskId : ids.taskId;
+
   const handleDeleteClick = () => {
     if (!onDelete || isDeleting) return;
     setIsOpen(false); // Close the menu
@@ -199,6 +213,18 @@ const CardActionMenu = ({
                     </button>
                   )
                 )}
+                {versionEntityId && (
+                  <button
+                    onClick={() => {
+                      setIsOpen(false);
+                      setShowVersionHistory(true);
+                    }}
+                    className="w-full flex items-center gap-3 px-4 py-2 text-sm text-left hover:bg-gray-50 transition-colors"
+                  >
+                    <History size={16} className="text-gray-500" />
+                    <span className="font-medium text-gray-800">Version history</span>
+                  </button>
+                )}
                 <div
                   className="relative group"
                   onMouseEnter={() => shareLink && setShareOpen(true)}
@@ -283,6 +309,16 @@ const CardActionMenu = ({
         currentProjectId={currentProjectId || ids.projectId}
         currentListId={currentListId}
       />
+
+      {showVersionHistory && versionEntityId && (
+        <VersionHistoryModal
+          entityType={VERSION_ENTITY_TYPE[entityType]}
+          entityId={versionEntityId}
+          title={`${ENTITY_LABEL[entityType]} History`}
+          onClose={() => setShowVersionHistory(false)}
+          onRollback={(result) => onVersionRestored?.(result)}
+        />
+      )}
     </>
   );
 };
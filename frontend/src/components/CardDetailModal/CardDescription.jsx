@@ -3,6 +3,7 @@ import { AlignLeft, ChevronRight, History, Loader2 } from "lucide-react";
 import RichTextEditor from "../RichTextEditor";
 import { motion, AnimatePresence } from "framer-motion";
 import versionService from "../../services/versionService";
+import { PresenceActivityNote } from "../presence/PresenceAvatars";
 
 // Lazy load modals for performance
 const VersionHistoryModal = lazy(() => import("../VersionHistoryModal"));
@@ -18,7 +19,9 @@ const CardDescription = memo(({
   entityType = 'card',
   entityId,
   onVersionRollback,
-  enableCloudinaryAttachments = true // Enable new Cloudinary attachment system
+  enableCloudinaryAttachments = true, // Enable new Cloudinary attachment system
+  viewers,
+  onPresenceActivity
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [showVersionHistory, setShowVersionHistory] = useState(false);
@@ -115,12 +118,29 @@ const CardDescription = memo(({
     };
   }, [isExpanded, modalContainerRef]);
 
+  // Let others on the card see the description is being edited
+  const editingRef = useRef(false);
+  const handleDescriptionChange = useCallback((content) => {
+    editingRef.current = true;
+    onPresenceActivity?.('editing-description');
+    onChange(content);
+  }, [onChange, onPresenceActivity]);
+
+  useEffect(() => {
+    if (!isExpanded && editingRef.current) {
+      editingRef.current = false;
+      onPresenceActivity?.('viewing');
+    }
+  }, [isExpanded, onPresenceActivity]);
+
   // Handle version rollback
   const handleVersionRollback = useCallback(async (version) => {
+    // VersionHistoryModal passes the restored content string
+    const restored = typeof version === 'string' ? version : (version.htmlContent || version.content);
     if (onVersionRollback) {
-      onVersionRollback(version.htmlContent || version.content);
+      onVersionRollback(restored);
     } else if (onChange) {
-      onChange(version.htmlContent || version.content);
+      onChange(restored);
     }
     setShowVersionHistory(false);
   }, [onChange, onVersionRollback]);
@@ -175,6 +195,7 @@ const CardDescription = memo(({
       </div>
 
       <div className="ml-8 relative">
+        <PresenceActivityNote viewers={viewers} activity="editing-description" />
         <AnimatePresence mode="wait">
           {isExpanded ? (
             <motion.div
@@ -187,7 +208,7 @@ const CardDescription = memo(({
               <div className="border border-gray-300 rounded-lg overflow-hidden hover:border-gray-400 transition-colors shadow-sm hover:shadow-md">
                 <RichTextEditor
                   content={description}
-                  onChange={onChange}
+                  onChange={handleDescriptionChange}
                   placeholder="Add a more detailed description..."
                   users={teamMembers}
                   onImageUpload={onImageUpload}
@@ -242,8 +263,9 @@ const CardDescription = memo(({
           </div>
         }>
           <VersionHistoryModal
-            entityType="card"
+            entityType="card_description"
             entityId={cardId}
+            currentContent={description}
             isOpen={showVersionHistory}
             onClose={() => setShowVersionHistory(false)}
             onRollback={handleVersionRollback}
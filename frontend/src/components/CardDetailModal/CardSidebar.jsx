@@ -12,6 +12,7 @@ import {
   ChevronDown,
 } from "lucide-react";
 import LabelDropdown from "../LabelDropdown";
+import CustomFieldsSection from "./CustomFieldsSection";
 import DatePickerModal from "../DatePickerModal";
 import Avatar from "../Avatar";
 import usePermissions from "../../hooks/usePermissions";
@@ -46,6 +47,7 @@ const CardSidebar = ({
   card,
   boardId,
   entityType = 'card',
+  onCustomFieldsChange,
 }) => {
   const dropdownRef = useRef(null);
   const inputRef = useRef(null);
@@ -468,6 +470,16 @@ const CardSidebar = ({
             entityType={entityType}
             entityId={card?._id}
           />
+
+          {/* Custom fields are defined per project and only apply to tasks */}
+          {entityType === 'card' && (
+            <CustomFieldsSection
+              card={card}
+              boardId={boardId}
+              teamMembers={teamMembers}
+              onChange={onCustomFieldsChange}
+            />
+          )}
         </div>
       </div>
 
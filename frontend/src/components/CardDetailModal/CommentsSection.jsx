@@ -23,6 +23,7 @@ import versionService from "../../services/versionService";
 import Database from "../../services/database";
 import DeletePopup from "../ui/DeletePopup";
 import Avatar from "../Avatar";
+import { PresenceActivityNote } from "../presence/PresenceAvatars";
 import { toast } from "react-toastify";
 
 // Lazy load modals
@@ -216,6 +217,8 @@ const CommentsSection = memo(({
   entityType = 'card', // Entity Type
   entityId, // Entity Context ID
   enableCloudinaryAttachments = true, // Enable new attachment system
+  viewers,
+  onPresenceActivity,
 }) => {
   const { user } = useContext(AuthContext);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -276,6 +279,28 @@ const CommentsSection = memo(({
     };
   }, [isEditorExpanded, modalContainerRef]);
 
+  // Let others on the card see a comment is being written
+  const typingRef = useRef(false);
+  const handleCommentChange = useCallback((content) => {
+    typingRef.current = true;
+    onPresenceActivity?.('typing-comment');
+    onCommentChange(content);
+  }, [onCommentChange, onPresenceActivity]);
+
+  const handleEditContentChange = useCallback((content) => {
+    typingRef.current = true;
+    onPresenceActivity?.('typing-comment');
+    setEditContent(content);
+  }, [onPresenceActivity]);
+
+  const isWriting = isEditorExpanded || !!editingComment;
+  useEffect(() => {
+    if (!isWriting && typingRef.current) {
+      typingRef.current = false;
+      onPresenceActivity?.('viewing');
+    }
+  }, [isWriting, onPresenceActivity]);
+
   const handleSubmit = async () => {
     // Allow submit if there's text content or HTML content (like images)
     const hasTextContent = newComment?.trim();
@@ -364,6 +389,8 @@ const CommentsSection = memo(({
       </div>
 
       <div className="ml-8 space-y-4">
+        <PresenceActivityNote viewers={viewers} activity="typing-comment" />
+
         {/* Add Comment */}
         <motion.div
           ref={editorContainerRef}
@@ -391,7 +418,7 @@ const CommentsSection = memo(({
                   <div className="border border-gray-300 rounded-lg overflow-hidden hover:border-gray-400 transition-colors shadow-sm hover:shadow-md">
                     <RichTextEditor
                       content={newComment}
-                      onChange={onCommentChange}
+                      onChange={handleCommentChange}
                       placeholder="Write a comment..."
                       users={teamMembers}
                       isComment={true}
@@ -483,7 +510,7 @@ const CommentsSection = memo(({
                         <div className="border border-blue-300 rounded-lg overflow-hidden shadow-md">
                           <RichTextEditor
                             content={editContent}
-                            onChange={setEditContent}
+                            onChange={handleEditContentChange}
                             placeholder="Edit your comment..."
                             users={teamMembers}
                             isComment={true}
@@ -0,0 +1,209 @@
+import React, { useEffect, useState } from "react";
+import { SlidersHorizontal, Settings2, ExternalLink, Check } from "lucide-react";
+import { toast } from "react-toastify";
+import useCustomFieldStore from "../../store/customFieldStore";
+import useWorkflowStore from "../../store/workflowStore";
+import CustomFieldManagerModal from "../CustomFieldManagerModal";
+import { getCustomFieldValue, isEmptyCustomFieldValue } from "../../utils/customFields";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+// Text-like inputs keep a local draft and save on blur / Enter
+const DraftInput = ({ type, value, onCommit, placeholder, step }) => {
+  const [draft, setDraft] = useState(value ?? "");
+
+  useEffect(() => {
+    setDraft(value ?? "");
+  }, [value]);
+
+  const commit = () => {
+    if (String(draft) !== String(value ?? "")) onCommit(draft === "" ? null : draft);
+  };
+
+  return (
+    <input
+      type={type}
+      value={draft}
+      step={step}
+      placeholder={placeholder}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+      }}
+      className={inputClass}
+    />
+  );
+};
+
+const FieldEditor = ({ field, value, onChange, teamMembers }) => {
+  switch (field.type) {
+    case "number":
+      return <DraftInput type="number" value={value} onCommit={onChange} />;
+    case "currency":
+      return <DraftInput type="number" step="0.01" value={value} onCommit={onChange} placeholder={field.currency} />;
+    case "url":
+      return (
+        <div className="flex items-center gap-2">
+          <DraftInput type="url" value={value} onCommit={onChange} placeholder="https://" />
+          {!isEmptyCustomFieldValue(value) && (
+            <a href={value} target="_blank" rel="noopener noreferrer" className="p-2 text-gray-500 hover:text-blue-600" title="Open link">
+              <ExternalLink size={14} />
+            </a>
+          )}
+        </div>
+      );
+    case "date":
+      return (
+        <input
+          type="date"
+          value={value ? String(value).slice(0, 10) : ""}
+          onChange={(e) => onChange(e.target.value || null)}
+          className={inputClass}
+        />
+      );
+    case "checkbox":
+      return (
+        <button
+          type="button"
+          onClick={() => onChange(!value)}
+          className={`w-5 h-5 rounded border-2 flex items-center justify-center transition-all ${
+            value ? "border-blue-500 bg-blue-500" : "border-gray-300 bg-white"
+          }`}
+          aria-pressed={Boolean(value)}
+        >
+          {value && <Check size={12} className="text-white" strokeWidth={3} />}
+        </button>
+      );
+    case "select":
+      return (
+        <select value={value || ""} onChange={(e) => onChange(e.target.value || null)} className={inputClass}>
+          <option value="">None</option>
+          {(field.options || []).map((o) => (
+            <option key={o._id} value={o._id}>{o.label}</option>
+          ))}
+        </select>
+      );
+    case "multi_select": {
+      const selected = Array.isArray(value) ? value : [];
+      const toggle = (id) =>
+        onChange(selected.includes(id) ? selected.filter((v) => v !== id) : [...selected, id]);
+      return (
+        <div className="flex flex-wrap gap-1.5">
+          {(field.options || []).map((o) => {
+            const active = selected.includes(o._id);
+            return (
+              <button
+                key={o._id}
+                type="button"
+                onClick={() => toggle(o._id)}
+                className={`px-2.5 py-1 text-xs font-medium rounded-full border transition-all ${
+                  active ? "text-white border-transparent" : "bg-white text-gray-600 border-gray-300 hover:border-gray-400"
+                }`}
+                style={active ? { backgroundColor: o.color } : undefined}
+              >
+                {o.label}
+              </button>
+            );
+          })}
+        </div>
+      );
+    }
+    case "user":
+      return (
+        <select value={value || ""} onChange={(e) => onChange(e.target.value || null)} className={inputClass}>
+          <option value="">None</option>
+          {teamMembers.map((m) => (
+            <option key={m._id} value={m._id}>{m.name || m.email}</option>
+          ))}
+        </select>
+      );
+    default:
+      return <DraftInput type="text" value={value} onCommit={onChange} />;
+  }
+};
+
+/**
+ * CustomFieldsSection - The project's custom fields for one card. Each edit
+ * is saved straight away (the backend records it in the card's activity).
+ */
+const CustomFieldsSection = ({ card, boardId, teamMembers = [], onChange }) => {
+  const fields = useCustomFieldStore((s) => s.fieldsByBoard[boardId]);
+  const fetchFields = useCustomFieldStore((s) => s.fetchFields);
+  const setCardValue = useCustomFieldStore((s) => s.setCardValue);
+  const updateCardLocal = useWorkflowStore((s) => s.updateCardLocal);
+  const [values, setValues] = useState(card?.customFields || {});
+  const [showManager, setShowManager] = useState(false);
+
+  useEffect(() => {
+    if (boardId) fetchFields(boardId);
+  }, [boardId, fetchFields]);
+
+  useEffect(() => {
+    setValues(card?.customFields || {});
+  }, [card?._id, card?.customFields]);
+
+  const handleChange = async (field, value) => {
+    const previous = values;
+    setValues((prev) => ({ ...prev, [field._id]: value }));
+    try {
+      const customFields = await setCardValue(card._id, field._id, value);
+      setValues(customFields);
+      updateCardLocal(card._id, { customFields });
+      onChange?.(customFields);
+    } catch (err) {
+      setValues(previous);
+      toast.error(err.message || "Failed to update field");
+    }
+  };
+
+  if (!card?._id || !boardId) return null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700 font-medium">
+          <SlidersHorizontal size={14} />
+          Custom Fields
+        </label>
+        <button
+          type="button"
+          onClick={() => setShowManager(true)}
+          className="p-1 text-gray-400 hover:text-blue-600 rounded transition-colors"
+          title="Manage custom fields"
+        >
+          <Settings2 size={14} />
+        </button>
+      </div>
+
+      {(fields || []).length === 0 ? (
+        <button
+          type="button"
+          onClick={() => setShowManager(true)}
+          className="text-xs text-blue-600 hover:text-blue-700"
+        >
+          Add a custom field to this project
+        </button>
+      ) : (
+        <div className="space-y-2.5">
+          {fields.map((field) => (
+            <div key={field._id}>
+              <div className="text-xs text-gray-500 mb-1">{field.name}</div>
+              <FieldEditor
+                field={field}
+                value={getCustomFieldValue({ customFields: values }, field._id)}
+                onChange={(value) => handleChange(field, value)}
+                teamMembers={teamMembers}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <CustomFieldManagerModal isOpen={showManager} onClose={() => setShowManager(false)} boardId={boardId} />
+    </div>
+  );
+};
+
+export default CustomFieldsSection;
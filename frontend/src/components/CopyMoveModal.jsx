@@ -224,6 +224,10 @@ const CopyMoveModal = memo(({
         });
         const undoToken = res?.undoToken;
         onClose();
+        if (res?.wipWarning) {
+          const { listTitle, count, limit } = res.wipWarning;
+          toast.warning(`"${listTitle}" is over its WIP limit (${count}/${limit})`);
+        }
         // Toast with undo button
         if (undoToken) {
           toast.info(
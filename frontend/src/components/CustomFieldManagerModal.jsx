@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Plus, Trash2, Edit2, Loader2, Eye, EyeOff } from 'lucide-react';
+import { toast } from 'react-toastify';
+import useCustomFieldStore from '../store/customFieldStore';
+import DeletePopup from './ui/DeletePopup';
+import { CUSTOM_FIELD_TYPES, SELECT_TYPES } from '../utils/customFields';
+
+const OPTION_COLORS = ['#3B82F6', '#22C55E', '#EAB308', '#F97316', '#EF4444', '#8B5CF6', '#EC4899', '#6B7280'];
+
+const typeLabel = (type) => CUSTOM_FIELD_TYPES.find(t => t.value === type)?.label || type;
+
+const emptyForm = () => ({ name: '', type: 'text', options: [], currency: 'USD', showInList: true });
+
+/**
+ * CustomFieldManagerModal - Create, edit and delete the custom field
+ * definitions of a project. Values are edited per card in CardSidebar.
+ */
+const CustomFieldManagerModal = ({ isOpen, onClose, boardId }) => {
+  const fields = useCustomFieldStore((s) => s.fieldsByBoard[boardId]);
+  const { createField, updateField, deleteField } = useCustomFieldStore();
+  const [form, setForm] = useState(emptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [fieldToDelete, setFieldToDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(emptyForm());
+      setEditingId(null);
+    }
+  }, [isOpen]);
+
+  const startEdit = (field) => {
+    setEditingId(field._id);
+    setForm({
+      name: field.name,
+      type: field.type,
+      options: (field.options || []).map(o => ({ _id: o._id, label: o.label, color: o.color })),
+      currency: field.currency || 'USD',
+      showInList: field.showInList !== false,
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm());
+  };
+
+  const updateOption = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      options: prev.options.map((o, i) => (i === index ? { ...o, ...changes } : o)),
+    }));
+  };
+
+  const addOption = () => {
+    setForm(prev => ({
+      ...prev,
+      options: [...prev.options, { label: '', color: OPTION_COLORS[prev.options.length % OPTION_COLORS.length] }],
+    }));
+  };
+
+  const removeOption = (index) => {
+    setForm(prev => ({ ...prev, options: prev.options.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Field name is required');
+      return;
+    }
+    const isSelect = SELECT_TYPES.includes(form.type);
+    const options = form.options.filter(o => o.label.trim());
+    if (isSelect && options.length === 0) {
+      toast.error('Add at least one option');
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      showInList: form.showInList,
+      ...(isSelect ? { options } : {}),
+      ...(form.type === 'currency' ? { currency: form.currency.trim().toUpperCase() } : {}),
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await updateField(boardId, editingId, payload);
+        toast.success('Custom field updated');
+      } else {
+        await createField(boardId, { ...payload, type: form.type });
+        toast.success('Custom field created');
+      }
+      cancelEdit();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save custom field');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleList = async (field) => {
+    try {
+      await updateField(boardId, field._id, { showInList: !field.showInList });
+    } catch (err) {
+      toast.error(err.message || 'Failed to update custom field');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!fieldToDelete) return;
+    setDeleting(true);
+    try {
+      await deleteField(boardId, fieldToDelete._id);
+      if (editingId === fieldToDelete._id) cancelEdit();
+      toast.success('Custom field deleted');
+      setFieldToDelete(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete custom field');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/40 flex items-center justify-center z-[100]"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+          className="bg-white rounded-xl shadow-2xl w-full max-w-lg mx-4 overflow-hidden max-h-[90vh] flex flex-col"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900">Custom Fields</h3>
+            <button
+              onClick={onClose}
+              className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <X size={20} />
+            </button>
+          </div>
+
+          <div className="overflow-y-auto p-4 space-y-4">
+            {/* Existing fields */}
+            {(fields || []).length === 0 ? (
+              <p className="text-sm text-gray-500">No custom fields in this project yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {fields.map((field) => (
+                  <li key={field._id} className={`flex items-center gap-3 px-3 py-2 ${editingId === field._id ? 'bg-blue-50' : ''}`}>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium text-gray-800 truncate">{field.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {typeLabel(field.type)}
+                        {field.type === 'currency' && ` · ${field.currency}`}
+                        {SELECT_TYPES.includes(field.type) && ` · ${field.options?.length || 0} options`}
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleToggleList(field)}
+                      className="p-1.5 text-gray-400 hover:text-blue-600"
+                      title={field.showInList ? 'Shown in list view' : 'Hidden from list view'}
+                    >
+                      {field.showInList ? <Eye size={16} /> : <EyeOff size={16} />}
+                    </button>
+                    <button type="button" onClick={() => startEdit(field)} className="p-1.5 text-gray-400 hover:text-blue-600" title="Edit">
+                      <Edit2 size={16} />
+                    </button>
+                    <button type="button" onClick={() => setFieldToDelete(field)} className="p-1.5 text-gray-400 hover:text-red-600" title="Delete">
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Create / edit form */}
+            <form onSubmit={handleSubmit} className="space-y-3 border border-gray-200 rounded-lg p-3 bg-gray-50">
+              <h4 className="text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                {editingId ? 'Edit field' : 'New field'}
+              </h4>
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  value={form.name}
+                  maxLength={50}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="Field name"
+                  className="col-span-2 sm:col-span-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <select
+                  value={form.type}
+                  disabled={Boolean(editingId)}
+                  onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                  className="col-span-2 sm:col-span-1 px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white disabled:bg-gray-100 disabled:text-gray-500"
+                >
+                  {CUSTOM_FIELD_TYPES.map(t => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {form.type === 'currency' && (
+                <input
+                  type="text"
+                  value={form.currency}
+                  maxLength={3}
+                  onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                  placeholder="Currency code (e.g. USD)"
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              )}
+
+              {SELECT_TYPES.includes(form.type) && (
+                <div className="space-y-2">
+                  {form.options.map((option, index) => (
+                    <div key={option._id || index} className="flex items-center gap-2">
+                      <input
+                        type="color"
+                        value={option.color}
+                        onChange={(e) => updateOption(index, { color: e.target.value })}
+                        className="w-8 h-8 rounded border border-gray-300 cursor-pointer"
+                      />
+                      <input
+                        type="text"
+                        value={option.label}
+                        maxLength={50}
+                        onChange={(e) => updateOption(index, { label: e.target.value })}
+                        placeholder={`Option ${index + 1}`}
+                        className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button type="button" onClick={() => removeOption(index)} className="p-1.5 text-gray-400 hover:text-red-600">
+                        <X size={16} />
+                      </button>
+                    </div>
+                  ))}
+                  <button type="button" onClick={addOption} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+                    <Plus size={14} /> Add option
+                  </button>
+                </div>
+              )}
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.showInList}
+                  onChange={(e) => setForm(prev => ({ ...prev, showInList: e.target.checked }))}
+                />
+                Show as a column in list view
+              </label>
+
+              <div className="flex justify-end gap-2">
+                {editingId && (
+                  <button type="button" onClick={cancelEdit} className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg">
+                    Cancel
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? <Loader2 size={14} className="animate-spin" /> : editingId ? <Edit2 size={14} /> : <Plus size={14} />}
+                  {editingId ? 'Save field' : 'Add field'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </motion.div>
+      </motion.div>
+
+      <DeletePopup
+        isOpen={Boolean(fieldToDelete)}
+        onCancel={() => setFieldToDelete(null)}
+        onConfirm={handleDelete}
+        itemType="customField"
+        isLoading={deleting}
+      />
+    </AnimatePresence>
+  );
+};
+
+export default CustomFieldManagerModal;
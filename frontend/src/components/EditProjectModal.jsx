@@ -21,12 +21,14 @@ import CoverImageUploader from './CoverImageUploader';
 import DatePickerModal from './DatePickerModal';
 import EnterpriseFileUploader from './EnterpriseFileUploader';
 import ActivityTimeline from './ActivityTimeline';
+import VersionHistoryModal from './VersionHistoryModal';
 import ProjectOptionsDropdown from './ProjectOptionsDropdown';
 import RichTextEditor from './RichTextEditor';
 import MilestoneScheduleEditor from './MilestoneScheduleEditor';
 import BasicInfoSection from './ProjectModals/sections/BasicInfoSection';
 import ProjectDetailsSection from './ProjectModals/sections/ProjectDetailsSection';
 import ClientSection from './ProjectModals/sections/ClientSection';
+import EmailInSection from './ProjectModals/sections/EmailInSection';
 import FilesTab from './ProjectModals/tabs/FilesTab';
 import TeamTab from './ProjectModals/tabs/TeamTab';
 import { createEmptyMilestone, validateMilestoneSchedule } from '../utils/milestones';
@@ -50,6 +52,9 @@ const EnterpriseEditProjectModal = React.memo(({
   const [isFullScreen, setIsFullScreen] = useState(false);
   const [showReminderModal, setShowReminderModal] = useState(false);
   const [reminderKey, setReminderKey] = useState(0);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
+  // Bumped after a version rollback so the form reloads the restored values
+  const [projectReloadKey, setProjectReloadKey] = useState(0);
   
   // Form state
   const [formData, setFormData] = useState({
@@ -228,7 +233,7 @@ const EnterpriseEditProjectModal = React.memo(({
       };
       fetchFullProject();
     }
-  }, [isOpen, project]);
+  }, [isOpen, project, projectReloadKey]);
 
   // Track which tabs have had their data fetched
   const fetchedTabsRef = useRef({});
@@ -754,6 +759,9 @@ const EnterpriseEditProjectModal = React.memo(({
                            }}
                           />
                         )}
+
+                        {/* Email-in */}
+                        <EmailInSection projectId={project?.id || project?._id} />
                       </form>
                   )}
 
@@ -784,6 +792,16 @@ const EnterpriseEditProjectModal = React.memo(({
                   {/* Activity Tab */}
                   {activeTab === 'activity' && (
                     <div className="space-y-6">
+                      <div className="flex justify-end">
+                        <button
+                          type="button"
+                          onClick={() => setShowVersionHistory(true)}
+                          className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-indigo-600 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50 transition-colors"
+                        >
+                          <History size={16} />
+                          Version history
+                        </button>
+                      </div>
                       <ActivityTimeline
                         activities={activityLog}
                         loading={activityLoading}
@@ -856,6 +874,17 @@ const EnterpriseEditProjectModal = React.memo(({
             minDate={formData.startDate || null}
           />
 
+          {/* Field version history */}
+          {showVersionHistory && (
+            <VersionHistoryModal
+              entityType="board"
+              entityId={project?._id || project?.id}
+              title="Project History"
+              onClose={() => setShowVersionHistory(false)}
+              onRollback={() => setProjectReloadKey(prev => prev + 1)}
+            />
+          )}
+
           {/* Reminder Modal */}
           {canManageReminders && (
             <ReminderModal
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Plus, Trash2, Save, Send, CheckCircle, Download, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import { formatInvoiceMoney as formatMoney } from '../../utils/invoices';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  sent: 'bg-blue-100 text-blue-800',
+  paid: 'bg-green-100 text-green-800',
+};
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-emerald-400';
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const toForm = (invoice) => ({
+  lineItems: invoice.lineItems.map((line) => ({
+    kind: line.kind,
+    description: line.description,
+    quantity: String(line.quantity),
+    unitPrice: String(line.unitPrice),
+    sourceType: line.sourceType,
+    sourceId: line.sourceId,
+  })),
+  discountType: invoice.discountType,
+  discountValue: String(invoice.discountInput || 0),
+  taxRate: String(invoice.taxRate || 0),
+  issueDate: toDateInput(invoice.issueDate),
+  dueDate: toDateInput(invoice.dueDate),
+  client: { ...invoice.client },
+  notes: invoice.notes || '',
+});
+
+// Mirrors the server's totals so edits preview before saving
+const computeTotals = (form) => {
+  const toCents = (value) => Math.round((Number(value) || 0) * 100);
+  const subtotal = form.lineItems.reduce(
+    (sum, line) => sum + Math.round((Number(line.quantity) || 0) * toCents(line.unitPrice)),
+    0
+  );
+  const discount = form.discountType === 'percent'
+    ? Math.round(subtotal * (Number(form.discountValue) || 0) / 100)
+    : Math.min(toCents(form.discountValue), subtotal);
+  const tax = Math.round((subtotal - discount) * (Number(form.taxRate) || 0) / 100);
+  return { subtotal: subtotal / 100, discount: discount / 100, tax: tax / 100, total: (subtotal - discount + tax) / 100 };
+};
+
+const downloadInvoicePdf = async (invoice) => {
+  try {
+    const res = await api.get(`/api/finance/invoices/${invoice._id}/pdf`, { responseType: 'blob' });
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${invoice.number || 'draft-invoice'}.pdf`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch {
+    toast.error('Failed to download invoice');
+  }
+};
+
+/**
+ * One invoice. Drafts are editable (line items, discount, tax, dates,
+ * client, notes) by finance managers; sent invoices can be marked paid.
+ */
+const InvoiceEditorModal = ({ invoiceId, canEdit, onClose, onChanged }) => {
+  const [invoice, setInvoice] = useState(null);
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await api.get(`/api/finance/invoices/${invoiceId}`);
+        setInvoice(res.data.data);
+        setForm(toForm(res.data.data));
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load invoice');
+        onClose();
+      }
+    };
+    load();
+  }, [invoiceId, onClose]);
+
+  const totals = useMemo(() => (form ? computeTotals(form) : null), [form]);
+
+  if (!invoice || !form) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+        <Loader2 className="w-6 h-6 text-white animate-spin" />
+      </div>
+    );
+  }
+
+  const editable = canEdit && invoice.status === 'draft';
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const setLine = (index, field, value) => setForm((prev) => ({
+    ...prev,
+    lineItems: prev.lineItems.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+  }));
+  const addLine = () => setForm((prev) => ({
+    ...prev,
+    lineItems: [...prev.lineItems, { kind: 'custom', description: '', quantity: '1', unitPrice: '0' }],
+  }));
+  const removeLine = (index) => setForm((prev) => ({
+    ...prev,
+    lineItems: prev.lineItems.filter((_, i) => i !== index),
+  }));
+
+  const applyResult = (updated) => {
+    setInvoice(updated);
+    setForm(toForm(updated));
+    onChanged(updated);
+  };
+
+  const save = async () => {
+    const res = await api.put(`/api/finance/invoices/${invoice._id}`, form);
+    applyResult(res.data.data);
+    return res.data.data;
+  };
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      if (successMessage) toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSend = () => {
+    if (!window.confirm('Send this invoice? It gets the next invoice number and can no longer be edited.')) return;
+    run(async () => {
+      await save();
+      const res = await api.patch(`/api/finance/invoices/${invoice._id}/status`, { status: 'sent' });
+      applyResult(res.data.data);
+    }, 'Invoice sent');
+  };
+
+  const handlePaid = () => run(async () => {
+    const res = await api.patch(`/api/finance/invoices/${invoice._id}/status`, { status: 'paid' });
+    applyResult(res.data.data);
+  }, 'Invoice marked paid');
+
+  const handleDelete = () => {
+    if (!window.confirm('Delete this draft invoice?')) return;
+    run(async () => {
+      await api.delete(`/api/finance/invoices/${invoice._id}`);
+      onChanged(null);
+      onClose();
+    }, 'Draft deleted');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-4xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-900 rounded-xl shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="sticky top-0 z-10 flex items-center justify-between gap-4 px-6 py-4 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              {invoice.number || 'Draft invoice'}
+              <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[invoice.status]}`}>
+                {invoice.overdue ? 'Overdue' : invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
+              </span>
+            </h2>
+            <p className="text-sm text-gray-500">
+              {invoice.board?.name} · {invoice.periodStart} to {invoice.periodEnd}
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Client and dates */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Bill to</h3>
+              {['name', 'email', 'location'].map((field) => (
+                <input
+                  key={field}
+                  type="text"
+                  value={form.client[field] || ''}
+                  onChange={(e) => setField('client', { ...form.client, [field]: e.target.value })}
+                  disabled={!editable}
+                  placeholder={`Client ${field}`}
+                  className={inputClass}
+                />
+              ))}
+            </div>
+            <div className="space-y-2">
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Dates</h3>
+              <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                <span className="w-16">Issued</span>
+                <input type="date" value={form.issueDate} onChange={(e) => setField('issueDate', e.target.value)} disabled={!editable} className={inputClass} />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                <span className="w-16">Due</span>
+                <input type="date" value={form.dueDate} onChange={(e) => setField('dueDate', e.target.value)} disabled={!editable} className={inputClass} />
+              </label>
+              {editable && (
+                <p className="text-xs text-gray-400">Left empty, these are set when the invoice is sent.</p>
+              )}
+            </div>
+          </div>
+
+          {/* Line items */}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-gray-500 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 pr-2">Description</th>
+                <th className="py-2 pr-2 w-24 text-right">Qty</th>
+                <th className="py-2 pr-2 w-32 text-right">Unit price</th>
+                <th className="py-2 pr-2 w-32 text-right">Amount</th>
+                {editable && <th className="w-8" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+              {form.lineItems.map((line, index) => (
+                <tr key={index}>
+                  <td className="py-1.5 pr-2">
+                    <input type="text" value={line.description} onChange={(e) => setLine(index, 'description', e.target.value)} disabled={!editable} className={inputClass} />
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <input type="number" min="0" step="0.01" value={line.quantity} onChange={(e) => setLine(index, 'quantity', e.target.value)} disabled={!editable} className={`${inputClass} text-right`} />
+                  </td>
+                  <td className="py-1.5 pr-2">
+                    <input type="number" min="0" step="0.01" value={line.unitPrice} onChange={(e) => setLine(index, 'unitPrice', e.target.value)} disabled={!editable} className={`${inputClass} text-right`} />
+                  </td>
+                  <td className="py-1.5 pr-2 text-right font-medium text-gray-800 dark:text-gray-200">
+                    {formatMoney((Number(line.quantity) || 0) * (Number(line.unitPrice) || 0))}
+                  </td>
+                  {editable && (
+                    <td className="py-1.5">
+                      <button type="button" onClick={() => removeLine(index)} className="p-1 text-gray-400 hover:text-red-600" title="Remove line">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {form.lineItems.length === 0 && (
+            <p className="text-sm text-gray-500">Nothing was billed in this period. Add lines by hand if needed.</p>
+          )}
+          {editable && (
+            <button type="button" onClick={addLine} className="inline-flex items-center gap-1 text-sm font-medium text-emerald-600 hover:text-emerald-700">
+              <Plus className="w-4 h-4" />
+              Add line
+            </button>
+          )}
+
+          {/* Adjustments and totals */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                <span className="w-20">Discount</span>
+                <select value={form.discountType} onChange={(e) => setField('discountType', e.target.value)} disabled={!editable} className={`${inputClass} w-28`}>
+                  <option value="amount">Amount</option>
+                  <option value="percent">Percent</option>
+                </select>
+                <input type="number" min="0" step="0.01" value={form.discountValue} onChange={(e) => setField('discountValue', e.target.value)} disabled={!editable} className={inputClass} />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                <span className="w-20">Tax %</span>
+                <input type="number" min="0" max="100" step="0.01" value={form.taxRate} onChange={(e) => setField('taxRate', e.target.value)} disabled={!editable} className={inputClass} />
+              </label>
+              <textarea
+                rows={3}
+                value={form.notes}
+                onChange={(e) => setField('notes', e.target.value)}
+                disabled={!editable}
+                placeholder="Notes (payment instructions, thanks…)"
+                className={inputClass}
+              />
+            </div>
+            <dl className="space-y-1 text-sm">
+              <div className="flex justify-between"><dt className="text-gray-500">Subtotal</dt><dd>{formatMoney(totals.subtotal)}</dd></div>
+              <div className="flex justify-between"><dt className="text-gray-500">Discount</dt><dd>-{formatMoney(totals.discount)}</dd></div>
+              <div className="flex justify-between"><dt className="text-gray-500">Tax</dt><dd>{formatMoney(totals.tax)}</dd></div>
+              <div className="flex justify-between pt-2 border-t border-gray-200 dark:border-gray-700 text-base font-bold text-gray-900 dark:text-white">
+                <dt>Total</dt><dd>{formatMoney(totals.total)}</dd>
+              </div>
+            </dl>
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 flex flex-wrap items-center justify-end gap-2 px-6 py-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
+          <button type="button" onClick={() => downloadInvoicePdf(invoice)} className="inline-flex items-center gap-1 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700">
+            <Download className="w-4 h-4" />
+            PDF
+          </button>
+          {editable && (
+            <>
+              <button type="button" onClick={handleDelete} disabled={busy} className="inline-flex items-center gap-1 px-3 py-2 text-sm font-medium text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50">
+                <Trash2 className="w-4 h-4" />
+                Delete draft
+              </button>
+              <button type="button" onClick={() => run(save, 'Invoice saved')} disabled={busy} className="inline-flex items-center gap-1 px-3 py-2 text-sm font-semibold text-emerald-700 bg-emerald-50 rounded-lg hover:bg-emerald-100 disabled:opacity-50">
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+              <button type="button" onClick={handleSend} disabled={busy || form.lineItems.length === 0} className="inline-flex items-center gap-1 px-3 py-2 text-sm font-semibold text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 disabled:opacity-50">
+                {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                Save and send
+              </button>
+            </>
+          )}
+          {canEdit && invoice.status === 'sent' && (
+            <button type="button" onClick={handlePaid} disabled={busy} className="inline-flex items-center gap-1 px-3 py-2 text-sm font-semibold text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50">
+              <CheckCircle className="w-4 h-4" />
+              Mark paid
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceEditorModal;
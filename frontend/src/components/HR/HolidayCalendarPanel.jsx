@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { CalendarDays, Plus, Trash2, Loader2, Building2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Upcoming holidays per department. Company-wide holidays (no department)
+ * apply to everyone and can only be managed by admins and HR.
+ */
+const HolidayCalendarPanel = memo(({ departments, canManageCompanyWide }) => {
+  const [holidays, setHolidays] = useState([]);
+  const [departmentFilter, setDepartmentFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ name: '', date: '', department: '' });
+
+  useEffect(() => {
+    if (!canManageCompanyWide && !form.department && departments.length > 0) {
+      setForm((f) => ({ ...f, department: departments[0]._id }));
+    }
+  }, [canManageCompanyWide, departments, form.department]);
+
+  const loadHolidays = useCallback(async () => {
+    setLoading(true);
+    try {
+      const start = new Date();
+      const end = new Date();
+      end.setFullYear(end.getFullYear() + 1);
+      const res = await api.get('/api/time-off/holidays', {
+        params: {
+          start: start.toISOString(),
+          end: end.toISOString(),
+          departmentId: departmentFilter || undefined
+        }
+      });
+      setHolidays(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load holidays');
+    } finally {
+      setLoading(false);
+    }
+  }, [departmentFilter]);
+
+  useEffect(() => {
+    loadHolidays();
+  }, [loadHolidays]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      await api.post('/api/time-off/holidays', {
+        name: form.name.trim(),
+        date: form.date,
+        department: form.department || null
+      });
+      toast.success(`${form.name.trim()} added`);
+      setForm((f) => ({ ...f, name: '', date: '' }));
+      loadHolidays();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add holiday');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (holiday) => {
+    if (!window.confirm(`Remove ${holiday.name} on ${formatDay(holiday.date)}?`)) return;
+    try {
+      await api.delete(`/api/time-off/holidays/${holiday._id}`);
+      setHolidays((prev) => prev.filter((h) => h._id !== holiday._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove holiday');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white';
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-300">
+      <div className="px-6 py-4 border-b border-gray-200 bg-gradient-to-r from-gray-50 to-blue-50">
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <CalendarDays className="w-5 h-5 text-blue-600" />
+            Holidays
+          </h2>
+          <select
+            value={departmentFilter}
+            onChange={(e) => setDepartmentFilter(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">All departments</option>
+            {departments.map((dept) => (
+              <option key={dept._id} value={dept._id}>{dept.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <form onSubmit={handleCreate} className="px-6 py-4 border-b border-gray-100 flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          required
+          maxLength={100}
+          placeholder="Holiday name"
+          value={form.name}
+          onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+          className={`${inputClass} flex-1 min-w-[10rem]`}
+        />
+        <input
+          type="date"
+          required
+          value={form.date}
+          onChange={(e) => setForm((f) => ({ ...f, date: e.target.value }))}
+          className={inputClass}
+        />
+        <select
+          value={form.department}
+          onChange={(e) => setForm((f) => ({ ...f, department: e.target.value }))}
+          className={inputClass}
+        >
+          {canManageCompanyWide && <option value="">Company-wide</option>}
+          {departments.map((dept) => (
+            <option key={dept._id} value={dept._id}>{dept.name}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 font-semibold text-sm disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+          Add
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex items-center justify-center p-8">
+          <Loader2 className="w-5 h-5 text-blue-500 animate-spin mr-2" />
+          <span className="text-sm text-gray-500">Loading holidays...</span>
+        </div>
+      ) : holidays.length === 0 ? (
+        <p className="p-8 text-center text-sm text-gray-500">No upcoming holidays.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+          {holidays.map((holiday) => (
+            <li key={holiday._id} className="px-6 py-3 flex items-center gap-4">
+              <span className="w-40 text-sm text-gray-500 flex-shrink-0">{formatDay(holiday.date)}</span>
+              <span className="flex-1 text-sm font-semibold text-gray-900 truncate">{holiday.name}</span>
+              <span className="inline-flex items-center gap-1 px-2 py-1 bg-blue-50 text-blue-700 rounded-md text-xs font-medium">
+                <Building2 className="w-3 h-3" />
+                {holiday.department?.name || 'Company-wide'}
+              </span>
+              <button
+                onClick={() => handleDelete(holiday)}
+                className="p-2 text-gray-400 hover:text-red-600"
+                title="Remove holiday"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+HolidayCalendarPanel.displayName = 'HolidayCalendarPanel';
+
+export default HolidayCalendarPanel;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { Plane, CheckCircle, XCircle, Loader2, Ban } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import Avatar from '../Avatar';
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' },
+];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+const TYPE_LABELS = {
+  vacation: 'Vacation',
+  sick: 'Sick leave',
+  personal: 'Personal',
+  other: 'Other',
+};
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const countDays = (start, end) =>
+  Math.round((new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000)) + 1;
+
+/**
+ * Leave requests from the people the current user reviews. Admins and HR
+ * see everyone; managers see the departments they manage.
+ */
+const LeaveApprovalsPanel = memo(() => {
+  const [requests, setRequests] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [notes, setNotes] = useState({});
+
+  const loadRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/api/time-off/leave', { params: { scope: 'team', status: status || undefined } });
+      setRequests(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load leave requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleReview = async (request, decision) => {
+    setBusyId(request._id);
+    try {
+      const res = await api.patch(`/api/time-off/leave/${request._id}/review`, {
+        status: decision,
+        note: notes[request._id]?.trim() || undefined
+      });
+      setRequests((prev) => (status === 'pending'
+        ? prev.filter((r) => r._id !== request._id)
+        : prev.map((r) => (r._id === request._id ? res.data.data : r))));
+      toast.success(`Leave ${decision} for ${request.user?.name}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review leave request');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Cancel ${request.user?.name}'s approved leave?`)) return;
+    setBusyId(request._id);
+    try {
+      const res = await api.patch(`/api/time-off/leave/${request._id}/cancel`);
+      setRequests((prev) => prev.map((r) => (r._id === request._id ? { ...r, status: res.data.data.status } : r)));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel leave');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-300">
+      <div className="px-6 py-4 border-b border-gray-200 bg-gradient-to-r from-teal-50 to-blue-50">
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <Plane className="w-5 h-5 text-teal-600" />
+            Leave Requests
+          </h2>
+          <div className="flex items-center gap-1 bg-white rounded-lg p-1 border border-gray-200">
+            {STATUS_FILTERS.map((filter) => (
+              <button
+                key={filter.value}
+                type="button"
+                onClick={() => setStatus(filter.value)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  status === filter.value ? 'bg-teal-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center p-8">
+          <Loader2 className="w-5 h-5 text-teal-500 animate-spin mr-2" />
+          <span className="text-sm text-gray-500">Loading leave requests...</span>
+        </div>
+      ) : requests.length === 0 ? (
+        <p className="p-8 text-center text-sm text-gray-500">
+          {status === 'pending' ? 'No leave requests waiting for review.' : 'No leave requests found.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {requests.map((request) => (
+            <li key={request._id} className="px-6 py-4 flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex items-center gap-3 md:w-64 flex-shrink-0">
+                <Avatar src={request.user?.avatar} name={request.user?.name} size="md" />
+                <div className="min-w-0">
+                  <div className="text-sm font-semibold text-gray-900 truncate">{request.user?.name}</div>
+                  <div className="text-xs text-gray-500 truncate">{request.user?.email}</div>
+                </div>
+              </div>
+
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-gray-900">
+                  {formatDay(request.startDate)}
+                  {request.endDate !== request.startDate && ` – ${formatDay(request.endDate)}`}
+                  <span className="ml-2 text-xs text-gray-500">
+                    {countDays(request.startDate, request.endDate)} day{countDays(request.startDate, request.endDate) === 1 ? '' : 's'} · {TYPE_LABELS[request.type]}
+                  </span>
+                </div>
+                {request.reason && <p className="text-sm text-gray-600 mt-0.5">{request.reason}</p>}
+                {request.reviewedBy && (
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {request.status} by {request.reviewedBy.name}
+                    {request.reviewNote && ` — ${request.reviewNote}`}
+                  </p>
+                )}
+              </div>
+
+              {request.status === 'pending' ? (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    maxLength={500}
+                    placeholder="Note (optional)"
+                    value={notes[request._id] || ''}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [request._id]: e.target.value }))}
+                    className="w-40 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-400"
+                  />
+                  <button
+                    onClick={() => handleReview(request, 'approved')}
+                    disabled={busyId === request._id}
+                    className="inline-flex items-center gap-1 px-3 py-2 bg-green-100 text-green-700 rounded-lg hover:bg-green-200 transition-colors duration-200 font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <CheckCircle className="w-4 h-4" />
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => handleReview(request, 'rejected')}
+                    disabled={busyId === request._id}
+                    className="inline-flex items-center gap-1 px-3 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors duration-200 font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <XCircle className="w-4 h-4" />
+                    Reject
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center gap-2">
+                  <span className={`px-3 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[request.status]}`}>
+                    {request.status.charAt(0).toUpperCase() + request.status.slice(1)}
+                  </span>
+                  {request.status === 'approved' && (
+                    <button
+                      onClick={() => handleCancel(request)}
+                      disabled={busyId === request._id}
+                      className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      title="Cancel leave"
+                    >
+                      <Ban className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+LeaveApprovalsPanel.displayName = 'LeaveApprovalsPanel';
+
+export default LeaveApprovalsPanel;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { ClipboardCheck, CheckCircle, XCircle, Loader2, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import Avatar from '../Avatar';
+
+const STATUS_FILTERS = [
+  { value: 'submitted', label: 'Submitted' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' },
+];
+
+const STATUS_STYLES = {
+  submitted: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  reopened: 'bg-blue-100 text-blue-800',
+};
+
+const formatDay = (value, options = { month: 'short', day: 'numeric', year: 'numeric' }) =>
+  new Date(value).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+const formatMinutes = (total) => `${Math.floor(total / 60)}h ${total % 60}m`;
+
+/**
+ * Submitted timesheets from the people the current user reviews. Approving
+ * a week turns its logged time into billed time; rejecting needs a comment.
+ */
+const TimesheetApprovalsPanel = memo(() => {
+  const [timesheets, setTimesheets] = useState([]);
+  const [status, setStatus] = useState('submitted');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [comments, setComments] = useState({});
+
+  const loadTimesheets = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/api/timesheets', { params: { scope: 'team', status: status || undefined } });
+      setTimesheets(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load timesheets');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadTimesheets();
+  }, [loadTimesheets]);
+
+  const replaceTimesheet = (updated) => {
+    setTimesheets((prev) => (status && status !== updated.status
+      ? prev.filter((t) => t._id !== updated._id)
+      : prev.map((t) => (t._id === updated._id ? updated : t))));
+  };
+
+  const handleReview = async (timesheet, decision) => {
+    const comment = comments[timesheet._id]?.trim();
+    if (decision === 'rejected' && !comment) {
+      toast.error('Add a comment explaining why the timesheet is rejected');
+      return;
+    }
+    setBusyId(timesheet._id);
+    try {
+      const res = await api.patch(`/api/timesheets/${timesheet._id}/review`, {
+        status: decision,
+        comment: comment || undefined
+      });
+      replaceTimesheet(res.data.data);
+      toast.success(`Timesheet ${decision} for ${timesheet.user?.name}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review timesheet');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReopen = async (timesheet) => {
+    if (!window.confirm(`Reopen ${timesheet.user?.name}'s approved week? Its billed time will be removed until it is approved again.`)) return;
+    setBusyId(timesheet._id);
+    try {
+      const res = await api.patch(`/api/timesheets/${timesheet._id}/reopen`, {
+        comment: comments[timesheet._id]?.trim() || undefined
+      });
+      replaceTimesheet(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reopen timesheet');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-300">
+      <div className="px-6 py-4 border-b border-gray-200 bg-gradient-to-r from-indigo-50 to-blue-50">
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <ClipboardCheck className="w-5 h-5 text-indigo-600" />
+            Timesheets
+          </h2>
+          <div className="flex items-center gap-1 bg-white rounded-lg p-1 border border-gray-200">
+            {STATUS_FILTERS.map((filter) => (
+              <button
+                key={filter.value}
+                type="button"
+                onClick={() => setStatus(filter.value)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  status === filter.value ? 'bg-indigo-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center p-8">
+          <Loader2 className="w-5 h-5 text-indigo-500 animate-spin mr-2" />
+          <span className="text-sm text-gray-500">Loading timesheets...</span>
+        </div>
+      ) : timesheets.length === 0 ? (
+        <p className="p-8 text-center text-sm text-gray-500">
+          {status === 'submitted' ? 'No timesheets waiting for review.' : 'No timesheets found.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {timesheets.map((timesheet) => (
+            <li key={timesheet._id} className="px-6 py-4">
+              <div className="flex flex-col md:flex-row md:items-center gap-4">
+                <div className="flex items-center gap-3 md:w-64 flex-shrink-0">
+                  <Avatar src={timesheet.user?.avatar} name={timesheet.user?.name} size="md" />
+                  <div className="min-w-0">
+                    <div className="text-sm font-semibold text-gray-900 truncate">{timesheet.user?.name}</div>
+                    <div className="text-xs text-gray-500 truncate">{timesheet.user?.email}</div>
+                  </div>
+                </div>
+
+                <div className="flex-1 min-w-0">
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId((prev) => (prev === timesheet._id ? null : timesheet._id))}
+                    className="flex items-center gap-1 text-sm font-medium text-gray-900 hover:text-indigo-600"
+                  >
+                    {expandedId === timesheet._id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                    Week of {formatDay(timesheet.weekStart)}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {formatMinutes(timesheet.totalMinutes)} · {timesheet.entries.length} entr{timesheet.entries.length === 1 ? 'y' : 'ies'}
+                    </span>
+                  </button>
+                  {timesheet.submitNote && <p className="text-sm text-gray-600 mt-0.5">{timesheet.submitNote}</p>}
+                  {timesheet.reviewedBy && (
+                    <p className="text-xs text-gray-400 mt-0.5">
+                      {timesheet.status} by {timesheet.reviewedBy.name}
+                      {timesheet.reviewComment && ` — ${timesheet.reviewComment}`}
+                    </p>
+                  )}
+                </div>
+
+                {timesheet.status === 'submitted' ? (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      maxLength={1000}
+                      placeholder="Comment"
+                      value={comments[timesheet._id] || ''}
+                      onChange={(e) => setComments((prev) => ({ ...prev, [timesheet._id]: e.target.value }))}
+                      className="w-40 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                    />
+                    <button
+                      onClick={() => handleReview(timesheet, 'approved')}
+                      disabled={busyId === timesheet._id}
+                      className="inline-flex items-center gap-1 px-3 py-2 bg-green-100 text-green-700 rounded-lg hover:bg-green-200 transition-colors duration-200 font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(timesheet, 'rejected')}
+                      disabled={busyId === timesheet._id}
+                      className="inline-flex items-center gap-1 px-3 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors duration-200 font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      Reject
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <span className={`px-3 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[timesheet.status]}`}>
+                      {timesheet.status.charAt(0).toUpperCase() + timesheet.status.slice(1)}
+                    </span>
+                    {timesheet.status === 'approved' && (
+                      <button
+                        onClick={() => handleReopen(timesheet)}
+                        disabled={busyId === timesheet._id}
+                        className="p-2 text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                        title="Reopen week"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {expandedId === timesheet._id && (
+                <table className="mt-3 w-full text-sm">
+                  <tbody className="divide-y divide-gray-50">
+                    {timesheet.entries.map((entry) => (
+                      <tr key={entry.loggedEntry}>
+                        <td className="py-1 pr-3 text-xs text-gray-500 whitespace-nowrap">
+                          {formatDay(entry.date, { weekday: 'short', month: 'short', day: 'numeric' })}
+                        </td>
+                        <td className="py-1 pr-3 text-gray-800">
+                          {entry.title}
+                          {entry.description && <span className="ml-2 text-xs text-gray-500">{entry.description}</span>}
+                        </td>
+                        <td className="py-1 text-right font-medium text-gray-700 whitespace-nowrap">
+                          {formatMinutes(entry.hours * 60 + entry.minutes)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+TimesheetApprovalsPanel.displayName = 'TimesheetApprovalsPanel';
+
+export default TimesheetApprovalsPanel;
@@ -12,6 +12,7 @@ import DepartmentContext from '../context/DepartmentContext';
 import NotificationContext from '../context/NotificationContext';
 import Sidebar from './Sidebar';
 import Avatar from './Avatar';
+import HeaderTimer from './TimeTracking/HeaderTimer';
 
 const UserVerificationModal = lazy(() => import('./UserVerificationModal'));
 const AppearanceModal = lazy(() => import('./AppearanceModal'));
@@ -432,6 +433,9 @@ const Header = ({ boardName }) => {
 
           {/* Right Section */}
           <div className="flex items-center gap-2">
+            {/* Running time-tracking timer */}
+            <HeaderTimer />
+
             {/* Notifications - Enhanced */}
             <div ref={notificationRef} className="relative">
               <motion.button
@@ -1,5 +1,5 @@
 import React, { useState, memo, useCallback, useMemo, useRef, useEffect } from 'react';
-import { Plus, MoreHorizontal, X, Palette, Trash2, Edit3, Sparkles, Type } from 'lucide-react';
+import { Plus, MoreHorizontal, X, Palette, Trash2, Edit3, Sparkles, Type, Gauge } from 'lucide-react';
 import { Droppable, Draggable } from '@hello-pangea/dnd';
 import Card from './Card';
 import AddCardForm from './AddCardForm';
@@ -36,7 +36,7 @@ const colorOptions = [
   { name: 'gray', class: 'bg-gray-400' }
 ];
 
-const KanbanList = memo(({ list, cards, onAddCard, onDeleteCard, onCardClick, onDeleteList, onUpdateListColor, onUpdateListTitle, onRestoreCard, dragHandleProps, isDragging, isArchivedView = false }) => {
+const KanbanList = memo(({ list, cards, onAddCard, onDeleteCard, onCardClick, onDeleteList, onUpdateListColor, onUpdateListTitle, onUpdateListWip, onRestoreCard, dragHandleProps, isDragging, isArchivedView = false }) => {
   const [isAddingCard, setIsAddingCard] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
   const [showColorPicker, setShowColorPicker] = useState(false);
@@ -44,6 +44,9 @@ const KanbanList = memo(({ list, cards, onAddCard, onDeleteCard, onCardClick, on
   const [showRenameModal, setShowRenameModal] = useState(false);
   const [renameValue, setRenameValue] = useState('');
   const [isRenameFocused, setIsRenameFocused] = useState(false);
+  const [showWipEditor, setShowWipEditor] = useState(false);
+  const [wipLimitValue, setWipLimitValue] = useState('');
+  const [wipModeValue, setWipModeValue] = useState('warn');
   const renameInputRef = useRef(null);
 
   // Focus input when rename modal opens
@@ -73,6 +76,24 @@ const KanbanList = memo(({ list, cards, onAddCard, onDeleteCard, onCardClick, on
     [list.color, isDragging]
   );
 
+  const overWipLimit = Boolean(list.wipLimit) && cards.length > list.wipLimit;
+
+  const openWipEditor = useCallback(() => {
+    setWipLimitValue(list.wipLimit ? String(list.wipLimit) : '');
+    setWipModeValue(list.wipMode || 'warn');
+    setShowWipEditor((open) => !open);
+  }, [list.wipLimit, list.wipMode]);
+
+  const handleSaveWip = useCallback(() => {
+    const limit = Number.parseInt(wipLimitValue, 10);
+    onUpdateListWip?.(list._id, {
+      wipLimit: Number.isFinite(limit) && limit > 0 ? limit : null,
+      wipMode: wipModeValue,
+    });
+    setShowWipEditor(false);
+    setShowMenu(false);
+  }, [wipLimitValue, wipModeValue, list._id, onUpdateListWip]);
+
   const handleChangeColor = useCallback((colorName) => {
     onUpdateListColor(list._id, colorName);
     setShowColorPicker(false);
@@ -91,6 +112,16 @@ const KanbanList = memo(({ list, cards, onAddCard, onDeleteCard, onCardClick, on
         style={{ cursor: 'grab' }}
       >
         <h3 className="font-bold text-gray-900 text-[15px] px-2 flex-1 truncate uppercase tracking-tight py-1">{list.title}</h3>
+        {list.wipLimit && (
+          <span
+            className={`text-xs font-bold px-2 py-0.5 rounded-full border mr-1 ${
+              overWipLimit ? 'bg-red-100 text-red-700 border-red-200' : 'bg-white/60 text-gray-600 border-black/5'
+            }`}
+            title={`WIP limit ${list.wipLimit} (${list.wipMode === 'enforce' ? 'enforced' : 'warning only'})`}
+          >
+            {cards.length}/{list.wipLimit}
+          </span>
+        )}
         <div className="flex items-center gap-1 opacity-0 group-hover/list:opacity-100 transition-opacity duration-200">
           <span className="text-xs font-bold text-gray-600 bg-white/60 px-2 py-0.5 rounded-full shadow-sm border border-black/5">{cards.length}</span>
           <div className="relative z-10">
@@ -112,6 +143,7 @@ const KanbanList = memo(({ list, cards, onAddCard, onDeleteCard, onCardClick, on
                   onClick={() => {
                     setShowMenu(false);
                     setShowColorPicker(false);
+                    setShowWipEditor(false);
                   }}
                 />
                 <div 
@@ -282,6 +314,56 @@ const KanbanList = memo(({ list, cards, onAddCard, onDeleteCard, onCardClick, on
                       )}
                     </div>
                     
+                    {/* WIP Limit Section */}
+                    {onUpdateListWip && (
+                      <div className="mt-2 pt-2 border-t border-gray-100">
+                        <button
+                          onClick={openWipEditor}
+                          className="group w-full text-left px-3 py-2.5 text-sm text-gray-700 hover:text-gray-900 rounded-xl flex items-center gap-3 transition-all duration-200 hover:bg-emerald-50/60"
+                        >
+                          <div className="w-8 h-8 rounded-lg flex items-center justify-center bg-emerald-50 group-hover:bg-emerald-100 transition-colors duration-200">
+                            <Gauge size={16} className="text-emerald-600" strokeWidth={2} />
+                          </div>
+                          <div className="flex flex-col">
+                            <span className="font-medium">WIP Limit</span>
+                            <span className="text-[10px] text-gray-400">
+                              {list.wipLimit ? `${list.wipLimit} tasks, ${list.wipMode === 'enforce' ? 'enforced' : 'warn only'}` : 'No limit'}
+                            </span>
+                          </div>
+                        </button>
+
+                        {showWipEditor && (
+                          <div className="px-3 pb-2 mt-2 space-y-2">
+                            <div className="flex gap-2">
+                              <input
+                                type="number"
+                                min="1"
+                                max="999"
+                                value={wipLimitValue}
+                                onChange={(e) => setWipLimitValue(e.target.value)}
+                                placeholder="No limit"
+                                className="w-24 px-2 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500/40"
+                              />
+                              <select
+                                value={wipModeValue}
+                                onChange={(e) => setWipModeValue(e.target.value)}
+                                className="flex-1 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-emerald-500/40"
+                              >
+                                <option value="warn">Warn when exceeded</option>
+                                <option value="enforce">Block extra moves</option>
+                              </select>
+                            </div>
+                            <button
+                              onClick={handleSaveWip}
+                              className="w-full px-3 py-1.5 text-sm font-medium text-white bg-emerald-600 hover:bg-emerald-700 rounded-lg transition-colors"
+                            >
+                              Save
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
                     {/* Delete Section */}
                     <div className="mt-2 pt-2 border-t border-gray-100">
                       <button
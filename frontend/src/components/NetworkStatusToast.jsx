@@ -1,5 +1,68 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useNetworkStatus } from '../hooks/useNetworkStatus';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { retryMutation, discardMutation } from '../services/backgroundSync';
+
+const pluralChanges = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+/**
+ * Offline changes the server refused: conflicts (someone else edited the
+ * item meanwhile) and failures. Each one waits here until the user decides.
+ */
+const SyncIssuesPanel = ({ conflicts, failed }) => {
+  const [busyId, setBusyId] = useState(null);
+
+  const resolve = async (id, action) => {
+    setBusyId(id);
+    try {
+      await action(id);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const issues = [
+    ...conflicts.map((record) => ({ record, conflict: true })),
+    ...failed.map((record) => ({ record, conflict: false })),
+  ];
+  if (issues.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[9999] w-[calc(100vw-2rem)] sm:w-[380px] max-h-[60vh] overflow-y-auto rounded-xl shadow-2xl bg-white border border-gray-200">
+      <div className="px-4 py-3 border-b border-gray-100">
+        <h4 className="text-sm font-semibold text-gray-900">
+          {pluralChanges(issues.length)} made offline could not be saved
+        </h4>
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {issues.map(({ record, conflict }) => (
+          <li key={record.id} className="px-4 py-3">
+            <p className="text-sm font-medium text-gray-800">{record.label}</p>
+            <p className={`text-xs mt-0.5 ${conflict ? 'text-amber-600' : 'text-red-600'}`}>{record.error}</p>
+            <div className="flex gap-2 mt-2">
+              <button
+                type="button"
+                onClick={() => resolve(record.id, retryMutation)}
+                disabled={busyId === record.id}
+                className="px-3 py-1.5 text-xs font-medium rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {conflict ? 'Keep mine' : 'Retry'}
+              </button>
+              <button
+                type="button"
+                onClick={() => resolve(record.id, discardMutation)}
+                disabled={busyId === record.id}
+                className="px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {conflict ? 'Use theirs' : 'Discard'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
 
 const NetworkStatusToast = () => {
   const {
@@ -8,6 +71,7 @@ const NetworkStatusToast = () => {
     dismissOfflineToast,
     dismissOnlineToast,
   } = useNetworkStatus();
+  const { pending, syncing, conflicts, failed } = useOfflineQueue();
 
   return (
     <>
@@ -48,7 +112,9 @@ const NetworkStatusToast = () => {
               No Internet Connection
             </h4>
             <p className="text-white/80 text-xs mt-0.5 leading-relaxed">
-              Please check your network.
+              {pending > 0
+                ? `${pluralChanges(pending)} saved on this device. They will sync when you reconnect.`
+                : 'Please check your network.'}
             </p>
           </div>
 
@@ -113,7 +179,9 @@ const NetworkStatusToast = () => {
               You're Back Online
             </h4>
             <p className="text-white/80 text-xs mt-0.5 leading-relaxed">
-              Your connection has been restored.
+              {syncing || pending > 0
+                ? `Syncing ${pluralChanges(pending)} made while offline…`
+                : 'Your connection has been restored.'}
             </p>
           </div>
 
@@ -139,6 +207,8 @@ const NetworkStatusToast = () => {
           </button>
         </div>
       </div>
+
+      <SyncIssuesPanel conflicts={conflicts} failed={failed} />
     </>
   );
 };
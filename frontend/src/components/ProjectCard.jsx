@@ -8,7 +8,7 @@ import {
   Edit, Trash2, Eye, Target, Star,
   Activity, Layers, Sparkles, ArrowRight,
   Briefcase, MapPin, Zap, Shield, Crown, Building2,
-  ImageIcon, Pencil, Check, Loader2
+  ImageIcon, Pencil, Check, Loader2, LayoutTemplate
 } from 'lucide-react';
 import AuthContext from '../context/AuthContext';
 
@@ -27,6 +27,7 @@ const ProjectCard = ({
   onDelete,
   onView,
   onEditCover, // New prop for cover image editing
+  onSaveAsTemplate,
   // Selection props for multi-delete
   isSelectable = false,
   isSelected = false,
@@ -648,6 +649,26 @@ const ProjectCard = ({
                     </motion.div>
                   </motion.button>
 
+                  {onSaveAsTemplate && (
+                    <motion.button
+                      whileHover={{
+                        scale: 1.02,
+                        backgroundColor: "rgba(16, 185, 129, 0.1)",
+                        x: 4
+                      }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowMenu(false);
+                        onSaveAsTemplate();
+                      }}
+                      className="w-full px-4 py-2 text-left text-xs flex items-center gap-3 text-gray-700 hover:text-emerald-600 transition-all duration-200 font-medium group"
+                    >
+                      <LayoutTemplate size={18} className="group-hover:text-emerald-500" />
+                      <span>Save as Template</span>
+                    </motion.button>
+                  )}
+
                   <motion.div
                     className="border-t border-gray-200/50 my-2 mx-3"
                     initial={{ scaleX: 0 }}
@@ -0,0 +1,134 @@
+import React, { memo, useState, useEffect, useCallback } from 'react';
+import { Inbox, Copy, RefreshCw, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../../services/api';
+import Database from '../../../services/database';
+
+/**
+ * EmailInSection - The project's email-in address: mail sent to it becomes a
+ * card in the chosen list, with its attachments. Hidden when the server has
+ * no inbound mailbox configured.
+ */
+const EmailInSection = memo(({ projectId }) => {
+  const [settings, setSettings] = useState(null);
+  const [lists, setLists] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!projectId) return;
+    let cancelled = false;
+    api.get(`/api/boards/${projectId}/email-in`)
+      .then((res) => { if (!cancelled) setSettings(res.data.data); })
+      .catch(() => { if (!cancelled) setSettings(null); });
+    Database.getLists(projectId)
+      .then((res) => { if (!cancelled) setLists(res.data || []); })
+      .catch(() => { if (!cancelled) setLists([]); });
+    return () => { cancelled = true; };
+  }, [projectId]);
+
+  const update = useCallback(async (request, successMessage) => {
+    setSaving(true);
+    try {
+      const res = await request();
+      setSettings(res.data.data);
+      if (successMessage) toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update email-in');
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  if (!settings?.available) return null;
+
+  const handleToggle = () => update(
+    () => api.put(`/api/boards/${projectId}/email-in`, { enabled: !settings.enabled }),
+    settings.enabled ? 'Email-in turned off' : 'Email-in turned on'
+  );
+
+  const handleListChange = (e) => update(
+    () => api.put(`/api/boards/${projectId}/email-in`, { list: e.target.value || null })
+  );
+
+  const handleRegenerate = () => {
+    if (!window.confirm('Generate a new address? Mail sent to the current one will no longer create cards.')) return;
+    update(() => api.post(`/api/boards/${projectId}/email-in/regenerate`), 'New email-in address generated');
+  };
+
+  const copyAddress = () => {
+    navigator.clipboard.writeText(settings.address);
+    toast.success('Address copied to clipboard');
+  };
+
+  return (
+    <section className="bg-gray-50 rounded-2xl p-5 border border-gray-200">
+      <div className="flex items-center justify-between gap-4 mb-2">
+        <h3 className="text-sm font-bold text-gray-900 flex items-center gap-2">
+          <Inbox size={16} className="text-purple-600" />
+          Email-in
+        </h3>
+        {settings.canManage && (
+          <button
+            type="button"
+            role="switch"
+            aria-checked={settings.enabled}
+            onClick={handleToggle}
+            disabled={saving}
+            className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors disabled:opacity-50 ${
+              settings.enabled ? 'bg-purple-600' : 'bg-gray-300'
+            }`}
+          >
+            <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              settings.enabled ? 'translate-x-6' : 'translate-x-1'
+            }`} />
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Team members with access to this project can email this address to create a task. The subject becomes the title and attachments are added to the task.
+      </p>
+
+      {settings.enabled ? (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2 p-3 bg-white rounded-xl border border-gray-200">
+            <span className="flex-1 min-w-0 text-sm text-gray-700 truncate" title={settings.address}>{settings.address}</span>
+            <button type="button" onClick={copyAddress} className="p-1.5 hover:bg-gray-100 rounded-lg" aria-label="Copy address">
+              <Copy className="h-4 w-4 text-gray-500" />
+            </button>
+            {settings.canManage && (
+              <button
+                type="button"
+                onClick={handleRegenerate}
+                disabled={saving}
+                className="p-1.5 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+                aria-label="Generate a new address"
+              >
+                {saving ? <Loader2 className="h-4 w-4 text-gray-500 animate-spin" /> : <RefreshCw className="h-4 w-4 text-gray-500" />}
+              </button>
+            )}
+          </div>
+          <label className="flex flex-col gap-1 text-xs font-medium text-gray-600">
+            New tasks go to
+            <select
+              value={settings.list || ''}
+              onChange={handleListChange}
+              disabled={!settings.canManage || saving}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white disabled:opacity-60"
+            >
+              <option value="">First list</option>
+              {lists.map((list) => (
+                <option key={list._id} value={list._id}>{list.title}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-400">Email-in is off for this project.</p>
+      )}
+    </section>
+  );
+});
+
+EmailInSection.displayName = 'EmailInSection';
+
+export default EmailInSection;
@@ -0,0 +1,93 @@
+import React, { useEffect, useState, memo } from 'react';
+import { LayoutTemplate, Loader } from 'lucide-react';
+import Database from '../../../services/database';
+import FormField from './FormField';
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * TemplateSection - Optional "start from a template" picker for new projects.
+ * The template's lists, labels, tasks, recurrences and milestones are created
+ * by the backend with every date shifted relative to the project start date.
+ */
+const TemplateSection = memo(({ templateId, onSelect }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Database.getProjectTemplates()
+      .then((res) => {
+        if (!cancelled) setTemplates(res?.data || []);
+      })
+      .catch((error) => console.error('Error fetching project templates:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!loading && templates.length === 0) return null;
+
+  const selected = templates.find((t) => t._id === templateId) || null;
+
+  return (
+    <section className="bg-gray-50 rounded-2xl p-5 border border-gray-200">
+      <h3 className="text-sm font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <LayoutTemplate size={16} className="text-indigo-600" />
+        Start From a Template (Optional)
+      </h3>
+
+      <FormField
+        label="Template"
+        helperText="Task, subtask and milestone dates are shifted relative to the project start date"
+      >
+        <div className="relative">
+          <select
+            value={templateId || ''}
+            disabled={loading}
+            onChange={(e) => onSelect(templates.find((t) => t._id === e.target.value) || null)}
+            className="w-full px-4 py-3 border border-gray-300 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 hover:border-blue-300 transition-all"
+          >
+            <option value="">Blank project</option>
+            {templates.map((t) => (
+              <option key={t._id} value={t._id}>{t.name}</option>
+            ))}
+          </select>
+          {loading && <Loader size={16} className="absolute right-10 top-1/2 -translate-y-1/2 animate-spin text-gray-400" />}
+        </div>
+      </FormField>
+
+      {selected && (
+        <div className="mt-3 rounded-xl bg-white border border-indigo-100 p-3 text-sm text-gray-600 space-y-1">
+          {selected.description && <p className="text-gray-700">{selected.description}</p>}
+          <p>
+            {[
+              pluralize(selected.listCount, 'list'),
+              pluralize(selected.labelCount, 'label'),
+              pluralize(selected.cardCount, 'task'),
+              pluralize(selected.subtaskCount, 'subtask'),
+              selected.recurrenceCount > 0 && pluralize(selected.recurrenceCount, 'recurring task'),
+              selected.milestoneCount > 0 && pluralize(selected.milestoneCount, 'milestone'),
+            ].filter(Boolean).join(' · ')}
+          </p>
+          {selected.lists?.length > 0 && (
+            <p className="text-xs text-gray-500">Lists: {selected.lists.join(' → ')}</p>
+          )}
+          {selected.milestoneCount > 0 && (
+            <p className="text-xs text-gray-500">
+              Leave the milestone schedule empty to use the template&apos;s milestones.
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+});
+
+TemplateSection.displayName = 'TemplateSection';
+
+export default TemplateSection;
@@ -79,6 +79,7 @@ const RecurringSettingsModal = ({
   
   // Task Options
   const [taskSkipWeekends, setTaskSkipWeekends] = useState(false);
+  const [skipNonWorkingDays, setSkipNonWorkingDays] = useState(false);
   const [createNewTask, setCreateNewTask] = useState(false);
   
   // End Conditions
@@ -118,6 +119,7 @@ const RecurringSettingsModal = ({
       setCustomWeeksOfMonth(existingRecurrence.customOptions?.weeksOfMonth || []);
       setRecurBehavior(existingRecurrence.recurBehavior || 'onSchedule');
       setTaskSkipWeekends(existingRecurrence.taskOptions?.skipWeekends || false);
+      setSkipNonWorkingDays(existingRecurrence.taskOptions?.skipNonWorkingDays || false);
       setCreateNewTask(existingRecurrence.taskOptions?.createNewTask || false);
       setEndConditionType(existingRecurrence.endCondition?.type || 'never');
       setEndAfterOccurrences(existingRecurrence.endCondition?.occurrences || 10);
@@ -208,6 +210,7 @@ const RecurringSettingsModal = ({
         recurBehavior,
         taskOptions: {
           skipWeekends: taskSkipWeekends,
+          skipNonWorkingDays,
           createNewTask
         },
         endCondition: {
@@ -855,6 +858,16 @@ const RecurringSettingsModal = ({
                     <span className="text-sm text-gray-700">Skip weekends for all instances</span>
                   </label>
 
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={skipNonWorkingDays}
+                      onChange={(e) => setSkipNonWorkingDays(e.target.checked)}
+                      className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    <span className="text-sm text-gray-700">Skip holidays and assignees' approved leave</span>
+                  </label>
+
                   <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                     <div className="flex items-start gap-2">
                       <AlertCircle size={16} className="text-yellow-600 mt-0.5" />
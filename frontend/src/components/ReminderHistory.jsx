@@ -294,7 +294,7 @@ const ReminderHistory = memo(({
                                   {reminder.history.slice(0, 3).map((entry, i) => (
                                     <div key={i} className="flex items-center gap-1 text-[10px] text-gray-500">
                                       <ArrowRight className="h-2.5 w-2.5" />
-                                      <span className="capitalize">{entry.action}</span>
+                                      <span className="capitalize">{entry.action.replace(/_/g, ' ')}</span>
                                       <span>•</span>
                                       <span>{formatDate(entry.timestamp)}</span>
                                     </div>
@@ -42,6 +42,8 @@ const ReminderModal = memo(({
   
   // Local client data state - allows real-time updates while modal is open
   const [liveClientInfo, setLiveClientInfo] = useState(null);
+  // Address the client replies to (null when inbound email is off)
+  const [clientReplyAddress, setClientReplyAddress] = useState(null);
 
   // Initialize form with existing reminder data
   useEffect(() => {
@@ -90,6 +92,16 @@ const ReminderModal = memo(({
     }
   }, [isOpen, fetchHistory]);
 
+  useEffect(() => {
+    if (!isOpen || !existingReminder?._id) {
+      setClientReplyAddress(null);
+      return;
+    }
+    Database.getReminder(existingReminder._id)
+      .then((response) => setClientReplyAddress(response.data?.clientReplyAddress || null))
+      .catch(() => setClientReplyAddress(null));
+  }, [isOpen, existingReminder?._id]);
+
   // Fetch fresh client info from project and listen for real-time updates
   useEffect(() => {
     if (!isOpen || !projectId) {
@@ -600,6 +612,29 @@ const ReminderModal = memo(({
                       No client information available
                     </p>
                   )}
+
+                  {clientReplyAddress && (
+                    <div className="mt-3 p-3 bg-white rounded-xl">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="min-w-0">
+                          <p className="text-xs text-gray-500">Client reply address</p>
+                          <p className="text-sm text-gray-700 truncate" title={clientReplyAddress}>{clientReplyAddress}</p>
+                        </div>
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => copyToClipboard(clientReplyAddress, 'Reply address')}
+                          className="p-1.5 hover:bg-gray-100 rounded-lg flex-shrink-0"
+                          aria-label="Copy reply address"
+                        >
+                          <Copy className="h-4 w-4 text-gray-500" />
+                        </motion.button>
+                      </div>
+                      <p className="text-xs text-gray-400 mt-1">
+                        Use it as Reply-To or CC when emailing the client. Their reply marks this reminder as responded.
+                      </p>
+                    </div>
+                  )}
                 </div>
 
                 {/* Reminder History */}
@@ -635,6 +670,12 @@ const ReminderModal = memo(({
                             {item.notes && (
                               <p className="text-sm text-gray-600 line-clamp-2">{item.notes}</p>
                             )}
+                            {item.clientRespondedAt && (
+                              <p className="flex items-center gap-1 text-xs text-emerald-600 mt-1">
+                                <MessageSquare className="h-3 w-3" />
+                                Client replied {formatHistoryDate(item.clientRespondedAt)}
+                              </p>
+                            )}
                             {item.createdBy && (
                               <p className="text-xs text-gray-400 mt-1">
                                 By {item.createdBy.name}
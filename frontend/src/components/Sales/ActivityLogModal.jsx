@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { X, Plus, Edit2, Trash2, Lock, Unlock, Clock, AlertCircle, ChevronDown, ChevronUp } from 'lucide-react';
+import { X, Plus, Edit2, Trash2, Lock, Unlock, Clock, AlertCircle, ChevronDown, ChevronUp, Briefcase, GitMerge } from 'lucide-react';
 import { getActivityLog } from '../../services/salesApi';
 import Avatar from '../Avatar';
 import { format } from 'date-fns';
@@ -41,6 +41,10 @@ const ActivityLogModal = ({ isOpen, onClose, rowId }) => {
         return <Lock className="w-4 h-4 text-white" />;
       case 'unlocked':
         return <Unlock className="w-4 h-4 text-white" />;
+      case 'converted':
+        return <Briefcase className="w-4 h-4 text-white" />;
+      case 'merged':
+        return <GitMerge className="w-4 h-4 text-white" />;
       default:
         return <Clock className="w-4 h-4 text-white" />;
     }
@@ -58,6 +62,10 @@ const ActivityLogModal = ({ isOpen, onClose, rowId }) => {
         return 'bg-amber-500';
       case 'unlocked':
         return 'bg-gray-500';
+      case 'converted':
+        return 'bg-violet-500';
+      case 'merged':
+        return 'bg-teal-500';
       default:
         return 'bg-gray-400';
     }
@@ -196,9 +204,14 @@ const ActivityLogModal = ({ isOpen, onClose, rowId }) => {
 
                       <div className="ml-11">
                         <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">
-                          <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded uppercase tracking-wider mr-2 ${getActionColor(log.action).replace('bg-', 'bg-').replace('500', '100 text-') + log.action.replace('created', 'emerald-700').replace('updated', 'blue-700').replace('deleted', 'red-700').replace('locked', 'amber-700').replace('unlocked', 'gray-700')}`}>
+                          <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded uppercase tracking-wider mr-2 ${getActionColor(log.action).replace('bg-', 'bg-').replace('500', '100 text-') + log.action.replace('created', 'emerald-700').replace('updated', 'blue-700').replace('deleted', 'red-700').replace('locked', 'amber-700').replace('unlocked', 'gray-700').replace('converted', 'violet-700').replace('merged', 'teal-700')}`}>
                             {log.action}
                           </span>
+                          {log.mergedFrom && log.action !== 'merged' && (
+                            <span className="inline-block px-2 py-0.5 text-xs font-medium rounded bg-teal-50 dark:bg-teal-900/30 text-teal-700 dark:text-teal-300 mr-2">
+                              from merged row
+                            </span>
+                          )}
                           {formatInlineText(log.description)}
                         </p>
 
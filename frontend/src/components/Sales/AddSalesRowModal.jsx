@@ -11,6 +11,7 @@ import AuthContext from '../../context/AuthContext';
 import { toast } from 'react-toastify';
 import { getVerifiedUsers } from '../../services/salesApi';
 import { useSalesPreferences } from '../../hooks/useSalesPreferences';
+import DuplicateMatchList from './DuplicateMatchList';
 
 // ────────────────────────────────────────────────────────────
 // Constants
@@ -544,6 +545,10 @@ const AddSalesRowModal = ({ isOpen, onClose, editingRow }) => {
   const [loadingUsers, setLoadingUsers] = useState(false);
   const userDropdownRef = useRef(null);
 
+  // Probable duplicates returned by the backend, and the data waiting to be saved anyway
+  const [duplicateCheck, setDuplicateCheck] = useState(null);
+  const [savingAnyway, setSavingAnyway] = useState(false);
+
   // Date Picker State
   const [datePickerState, setDatePickerState] = useState({
     isOpen: false,
@@ -782,6 +787,11 @@ const AddSalesRowModal = ({ isOpen, onClose, editingRow }) => {
       }
       onClose();
     } catch (err) {
+      if (err?.response?.data?.code === 'DUPLICATE') {
+        setDuplicateCheck({ data, duplicates: err.response.data.duplicates || [] });
+        formScrollRef.current?.scrollTo({ top: 0, behavior: 'smooth' });
+        return;
+      }
       const backendMsg = err?.response?.data?.message;
       if (backendMsg) {
         toast.error(backendMsg, { toastId: 'sales-api-error', autoClose: 6000 });
@@ -792,6 +802,23 @@ const AddSalesRowModal = ({ isOpen, onClose, editingRow }) => {
     }
   }, [isEdit, editingRow, customColumns, updateRow, createRow, onClose]);
 
+  const saveAnyway = useCallback(async () => {
+    if (!duplicateCheck) return;
+    setSavingAnyway(true);
+    try {
+      if (isEdit) {
+        await updateRow(editingRow._id, duplicateCheck.data, { allowDuplicate: true });
+      } else {
+        await createRow(duplicateCheck.data, { allowDuplicate: true });
+      }
+      onClose();
+    } catch (err) {
+      console.error('Save sales row error:', err);
+    } finally {
+      setSavingAnyway(false);
+    }
+  }, [duplicateCheck, isEdit, editingRow, updateRow, createRow, onClose]);
+
   if (!isOpen) return null;
 
   return (
@@ -848,6 +875,41 @@ const AddSalesRowModal = ({ isOpen, onClose, editingRow }) => {
             </div>
           )}
 
+          {/* Probable duplicates — shown after the backend flagged the row */}
+          {duplicateCheck && (
+            <div className="mb-6 p-3.5 bg-amber-50 dark:bg-amber-900/15 border border-amber-200/80 dark:border-amber-800/40 rounded-xl animate-in fade-in slide-in-from-top-2 duration-300">
+              <div className="flex items-start gap-3 mb-3">
+                <AlertCircle className="w-4.5 h-4.5 text-amber-500 mt-0.5 shrink-0" />
+                <div>
+                  <p className="text-sm font-medium text-amber-800 dark:text-amber-300">
+                    This looks like {duplicateCheck.duplicates.length === 1 ? 'an existing record' : `${duplicateCheck.duplicates.length} existing records`}
+                  </p>
+                  <p className="text-xs text-amber-700/80 dark:text-amber-400/80 mt-0.5">
+                    Check the bid link and client before saving a second record for the same bid.
+                  </p>
+                </div>
+              </div>
+              <DuplicateMatchList matches={duplicateCheck.duplicates} />
+              <div className="flex justify-end gap-2 mt-3">
+                <button
+                  type="button"
+                  onClick={() => setDuplicateCheck(null)}
+                  className="px-3 py-1.5 rounded-lg text-xs font-medium text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
+                >
+                  Keep editing
+                </button>
+                <button
+                  type="button"
+                  onClick={saveAnyway}
+                  disabled={savingAnyway}
+                  className="px-3 py-1.5 rounded-lg text-xs font-semibold text-white bg-amber-600 hover:bg-amber-700 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+                >
+                  {savingAnyway ? 'Saving...' : 'Save anyway'}
+                </button>
+              </div>
+            </div>
+          )}
+
           <form id="sales-form" onSubmit={handleSubmit(onSubmit, onInvalid)} className="space-y-8">
             <DealDetailsSection
               control={control}
@@ -1,8 +1,8 @@
 import React from 'react';
-import { Trash2, Edit } from 'lucide-react';
+import { Trash2, Edit, GitMerge } from 'lucide-react';
 import useSalesStore from '../../store/salesStore';
 
-const BulkActionsToolbar = ({ permissions }) => {
+const BulkActionsToolbar = ({ permissions, onMerge }) => {
   const { selectedRows, bulkUpdate, bulkDelete, clearSelection, dropdownOptions } = useSalesStore();
 
   const handleBulkStatusUpdate = async (status) => {
@@ -56,6 +56,16 @@ const BulkActionsToolbar = ({ permissions }) => {
           </div>
 
           <div className="flex items-center gap-2">
+            {selectedRows.size === 2 && permissions?.canUpdate && permissions?.canDelete && (
+              <button
+                onClick={() => onMerge?.(Array.from(selectedRows))}
+                className="px-4 py-1.5 flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors text-sm"
+              >
+                <GitMerge className="w-4 h-4" />
+                Merge
+              </button>
+            )}
+
             {permissions?.canDelete && (
               <button
                   onClick={handleBulkDelete}
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { X, Briefcase, AlertCircle, ExternalLink } from 'lucide-react';
+import { getProjectDraft, convertRowToProject } from '../../services/salesApi';
+import Database from '../../services/database';
+import useSalesStore from '../../store/salesStore';
+
+const inputClass =
+  'w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1';
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+/**
+ * Creates a project from a won sales row. The backend pre-fills the
+ * project from the row (platform, bid link, rate, client details); the
+ * coordinator picks the department and adjusts anything before converting.
+ */
+const ConvertToProjectModal = ({ isOpen, onClose, row }) => {
+  const navigate = useNavigate();
+  const handleRowUpdated = useSalesStore((state) => state.handleRowUpdated);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [blockedReason, setBlockedReason] = useState(null);
+  const [linkedProject, setLinkedProject] = useState(null);
+  const [departments, setDepartments] = useState([]);
+  const [form, setForm] = useState(null);
+
+  // Parents pass onClose inline; read it through a ref so a re-render does
+  // not reload the draft
+  const onCloseRef = useRef(onClose);
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen || !row?._id) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const [draftRes, deptRes] = await Promise.all([
+          getProjectDraft(row._id),
+          Database.getDepartments().catch(() => ({ data: [] })),
+        ]);
+        if (cancelled) return;
+        const { draft, canConvert, reason, linkedProject: linked } = draftRes.data;
+        const deptList = deptRes.data || [];
+        setDepartments(deptList);
+        setBlockedReason(canConvert ? null : reason);
+        setLinkedProject(linked);
+        setForm({
+          department: deptList.length === 1 ? deptList[0]._id : '',
+          name: draft.name || '',
+          description: '',
+          projectSource: draft.projectSource || '',
+          projectUrl: draft.projectUrl || '',
+          upworkId: draft.upworkId || '',
+          billingCycle: draft.billingCycle || 'hr',
+          hourlyPrice: draft.hourlyPrice ?? '',
+          fixedPrice: '',
+          startDate: toDateInput(new Date()),
+          dueDate: '',
+          clientDetails: {
+            clientName: '',
+            clientEmail: '',
+            clientWhatsappNumber: '',
+            clientLocation: draft.clientDetails?.clientLocation || '',
+            clientRating: draft.clientDetails?.clientRating ?? '',
+            clientBudget: draft.clientDetails?.clientBudget || '',
+          },
+        });
+      } catch {
+        if (!cancelled) onCloseRef.current();
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [isOpen, row?._id]);
+
+  if (!isOpen) return null;
+
+  const setField = (name, value) => setForm((prev) => ({ ...prev, [name]: value }));
+  const setClientField = (name, value) =>
+    setForm((prev) => ({ ...prev, clientDetails: { ...prev.clientDetails, [name]: value } }));
+
+  const canSubmit = form && !blockedReason && form.department && form.name.trim() && !saving;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setSaving(true);
+    try {
+      const payload = {
+        ...form,
+        hourlyPrice: form.billingCycle === 'hr' && form.hourlyPrice !== '' ? Number(form.hourlyPrice) : undefined,
+        fixedPrice: form.billingCycle === 'fixed' && form.fixedPrice !== '' ? Number(form.fixedPrice) : undefined,
+        dueDate: form.dueDate || undefined,
+      };
+      const { data } = await convertRowToProject(row._id, payload);
+      handleRowUpdated(data.row);
+      onClose();
+      const deptId = data.board.department?._id || data.board.department;
+      navigate(`/workflow/${deptId}/${data.board._id}`);
+    } catch {
+      // salesApi shows the error toast
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openLinkedProject = () => {
+    onClose();
+    navigate(`/workflow/${linkedProject.department}/${linkedProject._id}`);
+  };
+
+  return (
+    <div className="fixed inset-0 backdrop-blur-sm bg-opacity-50 flex items-center justify-center z-50">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full m-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Convert to Project</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Pre-filled from the {row.platform || 'sales'} bid by {row.profile || row.name || 'this profile'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {loading || !form ? (
+            <div className="flex flex-col items-center justify-center py-12 space-y-4">
+              <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+              <p className="text-gray-500 dark:text-gray-400">Loading sales details...</p>
+            </div>
+          ) : (
+            <>
+              {blockedReason && (
+                <div className="flex items-start gap-3 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-300 text-sm">
+                  <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                  <div className="flex-1">
+                    {blockedReason}
+                    {linkedProject && (
+                      <button
+                        type="button"
+                        onClick={openLinkedProject}
+                        className="ml-2 inline-flex items-center gap-1 font-medium underline"
+                      >
+                        Open project <ExternalLink className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <fieldset disabled={!!blockedReason} className="space-y-5">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div className="sm:col-span-2">
+                    <label className={labelClass}>Project name *</label>
+                    <input className={inputClass} value={form.name} onChange={(e) => setField('name', e.target.value)} required />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Department *</label>
+                    <select className={inputClass} value={form.department} onChange={(e) => setField('department', e.target.value)} required>
+                      <option value="">Select department</option>
+                      {departments.map((dept) => (
+                        <option key={dept._id} value={dept._id}>{dept.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Source</label>
+                    <input className={inputClass} value={form.projectSource} onChange={(e) => setField('projectSource', e.target.value)} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Project URL</label>
+                    <input className={inputClass} value={form.projectUrl} onChange={(e) => setField('projectUrl', e.target.value)} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Upwork ID</label>
+                    <input className={inputClass} value={form.upworkId} onChange={(e) => setField('upworkId', e.target.value)} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Billing type</label>
+                    <select className={inputClass} value={form.billingCycle} onChange={(e) => setField('billingCycle', e.target.value)}>
+                      <option value="hr">Hourly</option>
+                      <option value="fixed">Fixed</option>
+                    </select>
+                  </div>
+                  {form.billingCycle === 'hr' ? (
+                    <div>
+                      <label className={labelClass}>Hourly price</label>
+                      <input type="number" min="0" step="0.01" className={inputClass} value={form.hourlyPrice} onChange={(e) => setField('hourlyPrice', e.target.value)} />
+                    </div>
+                  ) : (
+                    <div>
+                      <label className={labelClass}>Fixed price</label>
+                      <input type="number" min="0" step="0.01" className={inputClass} value={form.fixedPrice} onChange={(e) => setField('fixedPrice', e.target.value)} />
+                    </div>
+                  )}
+                  <div>
+                    <label className={labelClass}>Start date</label>
+                    <input type="date" className={inputClass} value={form.startDate} onChange={(e) => setField('startDate', e.target.value)} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Due date</label>
+                    <input type="date" className={inputClass} value={form.dueDate} onChange={(e) => setField('dueDate', e.target.value)} />
+                  </div>
+                </div>
+
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Client details</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className={labelClass}>Client name</label>
+                      <input className={inputClass} value={form.clientDetails.clientName} onChange={(e) => setClientField('clientName', e.target.value)} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Client email</label>
+                      <input type="email" className={inputClass} value={form.clientDetails.clientEmail} onChange={(e) => setClientField('clientEmail', e.target.value)} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>WhatsApp number</label>
+                      <input className={inputClass} value={form.clientDetails.clientWhatsappNumber} onChange={(e) => setClientField('clientWhatsappNumber', e.target.value)} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Location</label>
+                      <input className={inputClass} value={form.clientDetails.clientLocation} onChange={(e) => setClientField('clientLocation', e.target.value)} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Budget</label>
+                      <input className={inputClass} value={form.clientDetails.clientBudget} onChange={(e) => setClientField('clientBudget', e.target.value)} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Rating</label>
+                      <input type="number" min="0" max="5" step="0.1" className={inputClass} value={form.clientDetails.clientRating} onChange={(e) => setClientField('clientRating', e.target.value)} />
+                    </div>
+                  </div>
+                </div>
+              </fieldset>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg transition-colors font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg transition-colors font-medium"
+          >
+            <Briefcase className="w-4 h-4" />
+            {saving ? 'Creating project...' : 'Create project'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ConvertToProjectModal;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Link2, User } from 'lucide-react';
+import { format } from 'date-fns';
+
+const formatDate = (value) => (value ? format(new Date(value), 'dd MMM yyyy') : '—');
+
+/**
+ * Existing sales rows flagged as probable duplicates by the backend
+ * (same bid link, or a similar client name around the same date).
+ */
+const DuplicateMatchList = ({ matches }) => (
+  <ul className="space-y-2">
+    {matches.map(({ row, reasons, similarity }) => (
+      <li
+        key={row._id}
+        className="flex flex-wrap items-center gap-x-3 gap-y-1 px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-amber-200 dark:border-amber-800/60 text-xs text-gray-700 dark:text-gray-300"
+      >
+        <span className="font-medium text-gray-900 dark:text-white">{formatDate(row.date)}</span>
+        <span>{[row.platform, row.profile, row.technology].filter(Boolean).join(' · ')}</span>
+        {row.status && <span className="text-gray-500 dark:text-gray-400">{row.status}</span>}
+        {row.clientName && <span className="text-gray-500 dark:text-gray-400">Client: {row.clientName}</span>}
+        <span className="text-gray-400 dark:text-gray-500">by {row.name}</span>
+        <span className="ml-auto flex gap-1">
+          {reasons.includes('bidLink') && (
+            <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300">
+              <Link2 className="w-3 h-3" /> Same bid link
+            </span>
+          )}
+          {reasons.includes('clientName') && (
+            <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300">
+              <User className="w-3 h-3" /> Similar client{similarity ? ` (${Math.round(similarity * 100)}%)` : ''}
+            </span>
+          )}
+        </span>
+      </li>
+    ))}
+  </ul>
+);
+
+export default DuplicateMatchList;
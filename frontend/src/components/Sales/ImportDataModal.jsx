@@ -11,6 +11,7 @@ import { parseSalesDate } from '../../utils/dateUtils';
 import { validateImportRows, SALES_REQUIRED_FIELDS, SALES_FIELD_LABELS } from '../../utils/salesValidation';
 import { SALES_MAPPING_FIELDS } from '../../config/salesFieldConfig';
 import AuthContext from '../../context/AuthContext';
+import DuplicateMatchList from './DuplicateMatchList';
 
 const ImportDataModal = ({ isOpen, onClose }) => {
   const { importRows, customColumns, fetchCustomColumns, fetchRows, fetchDropdownOptions } = useSalesStore();
@@ -25,6 +26,9 @@ const ImportDataModal = ({ isOpen, onClose }) => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [failedResults, setFailedResults] = useState(null);
+  // Probable duplicates found on the first Import click; skipped holds the
+  // indexes (into the validated rows) the user chose not to import
+  const [duplicateReview, setDuplicateReview] = useState(null);
   
   // Progress tracking state
   const [progress, setProgress] = useState(0);
@@ -445,6 +449,7 @@ const ImportDataModal = ({ isOpen, onClose }) => {
       return obj;
     });
     setPreviewRows(mapped.slice(0, 10)); // Preview first 10
+    setDuplicateReview(null);
     setStep(3);
   };
 
@@ -748,11 +753,37 @@ const ImportDataModal = ({ isOpen, onClose }) => {
         toast.warning(`${invalidRows.length} row(s) skipped due to validation errors. Importing ${validRows.length} valid rows.`);
       }
 
+      // =========================================
+      // DUPLICATE CHECK
+      // =========================================
+      // The first Import click stops on the preview step when rows look like
+      // existing records (or repeat earlier rows of the file); the next click
+      // imports everything except the rows left marked as skipped.
+      if (!duplicateReview) {
+        const preview = await salesApi.previewImport(validRows);
+        const found = preview.data?.duplicates || [];
+        if (found.length > 0) {
+          setDuplicateReview({
+            duplicates: found.map(d => ({ ...d, row: validRows[d.index] })),
+            skipped: new Set(found.map(d => d.index)),
+          });
+          toast.warning(`${found.length} row(s) look like duplicates. Review them, then import again.`);
+          return;
+        }
+      }
+      const rowsToImport = duplicateReview
+        ? validRows.filter((_, idx) => !duplicateReview.skipped.has(idx))
+        : validRows;
+      if (rowsToImport.length === 0) {
+        toast.info('Every row is marked as a duplicate to skip. Nothing to import.');
+        return;
+      }
+
       // =========================================
       // BATCH IMPORT WITH REAL-TIME PROGRESS
       // =========================================
       const BATCH_SIZE = 100; // Process 100 rows per batch
-      const totalRows = validRows.length;
+      const totalRows = rowsToImport.length;
       const skippedEmpty = rows.length - nonEmptyMapped.length;
       
       // Initialize progress tracking
@@ -766,7 +797,7 @@ const ImportDataModal = ({ isOpen, onClose }) => {
       // Split into batches
       const batches = [];
       for (let i = 0; i < totalRows; i += BATCH_SIZE) {
-        batches.push(validRows.slice(i, i + BATCH_SIZE));
+        batches.push(rowsToImport.slice(i, i + BATCH_SIZE));
       }
       
       let totalSuccess = 0;
@@ -920,6 +951,16 @@ const ImportDataModal = ({ isOpen, onClose }) => {
     setTotalCount(0);
     setImportStats({ success: 0, failed: 0, newColumns: 0, newOptions: 0 });
     setNewColumnsToCreate([]);
+    setDuplicateReview(null);
+  };
+
+  const toggleDuplicateSkip = (index) => {
+    setDuplicateReview(prev => {
+      const skipped = new Set(prev.skipped);
+      if (skipped.has(index)) skipped.delete(index);
+      else skipped.add(index);
+      return { ...prev, skipped };
+    });
   };
 
   if (!isOpen) return null;
@@ -1059,9 +1100,47 @@ const ImportDataModal = ({ isOpen, onClose }) => {
                   </tbody>
                 </table>
               </div>
+              {duplicateReview && (
+                <div className="mb-4 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg text-sm">
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="font-semibold text-amber-800 dark:text-amber-300">
+                      Probable duplicates ({duplicateReview.duplicates.length})
+                    </div>
+                    <span className="text-xs text-amber-700 dark:text-amber-400">
+                      {duplicateReview.skipped.size} will be skipped
+                    </span>
+                  </div>
+                  <ul className="space-y-3 max-h-72 overflow-auto">
+                    {duplicateReview.duplicates.map(d => (
+                      <li key={d.index} className="p-2 bg-white/60 dark:bg-gray-800/60 rounded border border-amber-100 dark:border-amber-900">
+                        <label className="flex items-center gap-2 mb-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={duplicateReview.skipped.has(d.index)}
+                            onChange={() => toggleDuplicateSkip(d.index)}
+                            className="rounded border-gray-300"
+                          />
+                          <span className="font-medium text-gray-900 dark:text-white">Skip</span>
+                          <span className="text-xs text-gray-600 dark:text-gray-300 truncate">
+                            {[d.row?.date, d.row?.platform, d.row?.profile, d.row?.bidLink?.url || d.row?.bidLink].filter(v => v && typeof v !== 'object').join(' · ')}
+                          </span>
+                        </label>
+                        {d.fileMatches?.length > 0 && (
+                          <p className="text-xs text-amber-700 dark:text-amber-400 mb-2">
+                            Repeats {d.fileMatches.length === 1 ? 'an earlier row' : `${d.fileMatches.length} earlier rows`} of this file
+                          </p>
+                        )}
+                        {d.matches.length > 0 && <DuplicateMatchList matches={d.matches} />}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               <div className="flex justify-end gap-2">
                 <button onClick={handleReset} className="px-4 py-2 border rounded-lg">Back</button>
-                <button onClick={handleImport} className="px-4 py-2 bg-green-600 text-white rounded-lg" disabled={importing}>{importing ? 'Importing...' : 'Import'}</button>
+                <button onClick={handleImport} className="px-4 py-2 bg-green-600 text-white rounded-lg" disabled={importing}>
+                  {importing ? 'Importing...' : duplicateReview ? 'Import without skipped rows' : 'Import'}
+                </button>
               </div>
               {success && <p className="text-green-600 mt-2 font-medium">{success}</p>}
               {error && <p className="text-red-500 mt-2">{error}</p>}
@@ -0,0 +1,207 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { X, GitMerge, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+import { mergeRows } from '../../services/salesApi';
+import useSalesStore from '../../store/salesStore';
+import { SALES_FIELDS } from '../../config/salesFieldConfig';
+
+const MERGE_FIELDS = SALES_FIELDS.filter((f) => !f.readOnly);
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const displayValue = (field, value) => {
+  if (isBlank(value)) return '—';
+  if (field.type === 'bidLink' && typeof value === 'object') return value.url ? `${value.type}: ${value.url}` : value.type;
+  if (field.type === 'date') return format(new Date(value), 'dd MMM yyyy');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const describeRow = (row) =>
+  [row.date && format(new Date(row.date), 'dd MMM yyyy'), row.platform, row.profile].filter(Boolean).join(' · ');
+
+/**
+ * Merges two selected sales rows. The kept row takes, field by field, the
+ * value picked here; the other row's activity log moves to the kept row and
+ * the other row is removed. Only fields whose values differ are listed.
+ */
+const MergeRowsModal = ({ isOpen, onClose, rowIds }) => {
+  const { rows, customColumns, handleRowUpdated, handleRowDeleted, clearSelection } = useSalesStore();
+  const pair = useMemo(
+    () => rowIds.map((id) => rows.find((row) => row._id === id)).filter(Boolean),
+    [rowIds, rows]
+  );
+  const [primaryId, setPrimaryId] = useState(rowIds[0]);
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const primary = pair.find((row) => row._id === primaryId);
+  const secondary = pair.find((row) => row._id !== primaryId);
+
+  const fields = useMemo(() => {
+    if (!primary || !secondary) return [];
+    const custom = (customColumns || []).map((col) => ({ key: col.key, label: col.name, type: col.type }));
+    return [...MERGE_FIELDS, ...custom].filter((field) => !sameValue(primary[field.key], secondary[field.key]));
+  }, [primary, secondary, customColumns]);
+
+  // Default: keep the kept row's value unless it is empty
+  useEffect(() => {
+    if (!primary || !secondary) return;
+    setChoices(Object.fromEntries(
+      fields.map((field) => [
+        field.key,
+        isBlank(primary[field.key]) && !isBlank(secondary[field.key]) ? 'secondary' : 'primary',
+      ])
+    ));
+  }, [fields, primary, secondary]);
+
+  if (!isOpen) return null;
+
+  const bothConverted = primary?.convertedProject?.board && secondary?.convertedProject?.board;
+  const canSubmit = primary && secondary && !bothConverted && !saving;
+
+  const handleMerge = async () => {
+    if (!canSubmit) return;
+    setSaving(true);
+    try {
+      const { data } = await mergeRows(primary._id, secondary._id, choices);
+      handleRowUpdated(data.row);
+      handleRowDeleted(data.mergedRowId);
+      clearSelection();
+      onClose();
+    } catch {
+      // salesApi shows the error toast
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const optionClass = (active) =>
+    `w-full text-left px-3 py-2 rounded-lg border text-sm transition-colors break-all ${
+      active
+        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30 text-gray-900 dark:text-white'
+        : 'border-gray-200 dark:border-gray-700 text-gray-500 dark:text-gray-400 hover:border-gray-300 dark:hover:border-gray-600'
+    }`;
+
+  return (
+    <div className="fixed inset-0 backdrop-blur-sm bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full m-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Merge Rows</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Pick the row to keep and the value each field keeps. The other row is removed and its activity moves over.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {pair.length < 2 ? (
+            <div className="flex items-start gap-3 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-300 text-sm">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              Both rows must be loaded in the table to merge them.
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                {pair.map((row) => (
+                  <button
+                    key={row._id}
+                    type="button"
+                    onClick={() => setPrimaryId(row._id)}
+                    className={optionClass(row._id === primaryId)}
+                  >
+                    <span className="block text-xs font-semibold uppercase tracking-wide mb-1">
+                      {row._id === primaryId ? 'Keep this row' : 'Merge into the other'}
+                    </span>
+                    {describeRow(row)}
+                    <span className="block text-xs text-gray-400 mt-0.5">by {row.name}</span>
+                  </button>
+                ))}
+              </div>
+
+              {bothConverted && (
+                <div className="flex items-start gap-3 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-300 text-sm">
+                  <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                  Both rows were converted to projects, so they cannot be merged.
+                </div>
+              )}
+
+              {fields.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Both rows hold the same values.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                      <th className="px-2 py-2 text-left w-1/5">Field</th>
+                      <th className="px-2 py-2 text-left">Kept row</th>
+                      <th className="px-2 py-2 text-left">Other row</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                    {fields.map((field) => (
+                      <tr key={field.key}>
+                        <td className="px-2 py-2 font-medium text-gray-700 dark:text-gray-300">{field.label}</td>
+                        <td className="px-2 py-2">
+                          <button
+                            type="button"
+                            onClick={() => setChoices((prev) => ({ ...prev, [field.key]: 'primary' }))}
+                            className={optionClass(choices[field.key] === 'primary')}
+                          >
+                            {displayValue(field, primary[field.key])}
+                          </button>
+                        </td>
+                        <td className="px-2 py-2">
+                          <button
+                            type="button"
+                            onClick={() => setChoices((prev) => ({ ...prev, [field.key]: 'secondary' }))}
+                            className={optionClass(choices[field.key] === 'secondary')}
+                          >
+                            {displayValue(field, secondary[field.key])}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg transition-colors font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleMerge}
+            disabled={!canSubmit}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg transition-colors font-medium"
+          >
+            <GitMerge className="w-4 h-4" />
+            {saving ? 'Merging...' : 'Merge rows'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeRowsModal;
@@ -4,15 +4,16 @@ import { motion } from 'framer-motion';
 import {
   ExternalLink, History, Edit2, Trash2, Lock, Copy,
   ChevronLeft, ChevronRight, DollarSign, ArrowUp, ArrowDown, ArrowUpDown,
-  User
+  User, Briefcase, FolderCheck
 } from 'lucide-react';
 import StarRating from '../ui/StarRating';
 import { toast } from 'react-toastify';
 import useSalesStore from '../../store/salesStore';
 import AuthContext from '../../context/AuthContext';
 import { useVirtualizer } from '@tanstack/react-virtual';
-import { SALES_FIELD_LABELS, detectPlatform } from '../../config/salesFieldConfig';
+import { SALES_FIELD_LABELS, detectPlatform, isWonStatus } from '../../config/salesFieldConfig';
 import Avatar from '../Avatar';
+import { useNavigate } from 'react-router-dom';
 
 /* ═══════════════════════════════════════════════════════════
    COLUMN CONFIGURATION — Priority-Based Width System
@@ -46,7 +47,7 @@ const BASE_COLUMNS = [
 ];
 
 const ACTIONS_COLUMN = {
-  key: 'actions', label: 'Actions', width: 130, minWidth: 100, maxWidth: 180, priority: 'high', type: null,
+  key: 'actions', label: 'Actions', width: 160, minWidth: 120, maxWidth: 200, priority: 'high', type: null,
 };
 
 const mapCustomColumns = (customColumns) =>
@@ -143,13 +144,16 @@ const TableRow = memo(({
   onToggleSelection,
   onEditRow,
   onViewActivity,
+  onConvertRow,
   onDelete,
   permissions,
   lockedRows,
   style,
   index,
 }) => {
+  const navigate = useNavigate();
   const isLocked = lockedRows[row._id];
+  const convertedBoard = row.convertedProject?.board;
 
   const handleCopyLink = useCallback((e, link) => {
     e.stopPropagation();
@@ -190,6 +194,15 @@ const TableRow = memo(({
               <Edit2 className="w-[15px] h-[15px]" />
             </button>
           )}
+          {convertedBoard?._id ? (
+            <button onClick={() => navigate(`/workflow/${convertedBoard.department}/${convertedBoard._id}`)} className="p-1.5 text-violet-500 hover:text-violet-700 hover:bg-violet-50 dark:hover:bg-violet-900/30 rounded-md transition-colors" title={`Converted to project: ${convertedBoard.name}`}>
+              <FolderCheck className="w-[15px] h-[15px]" />
+            </button>
+          ) : permissions?.canUpdate && isWonStatus(row.status) && (
+            <button onClick={() => onConvertRow(row)} className="p-1.5 text-gray-400 hover:text-violet-600 hover:bg-violet-50 dark:hover:bg-violet-900/30 rounded-md transition-colors" title="Convert to project">
+              <Briefcase className="w-[15px] h-[15px]" />
+            </button>
+          )}
           {permissions?.canDelete && (
             <button onClick={() => onDelete(row._id)} className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded-md transition-colors" title="Delete">
               <Trash2 className="w-[15px] h-[15px]" />
@@ -406,7 +419,7 @@ SkeletonRow.displayName = 'SkeletonRow';
 /* ═══════════════════════════════════════════════════════════
    MAIN COMPONENT
    ═══════════════════════════════════════════════════════════ */
-const SalesTable = ({ onEditRow, onViewActivity, permissions, loading }) => {
+const SalesTable = ({ onEditRow, onViewActivity, onConvertRow, permissions, loading }) => {
   const { user } = useContext(AuthContext);
   const scrollRef = useRef(null);
 
@@ -662,6 +675,7 @@ const SalesTable = ({ onEditRow, onViewActivity, permissions, loading }) => {
                   onToggleSelection={toggleRowSelection}
                   onEditRow={onEditRow}
                   onViewActivity={onViewActivity}
+                  onConvertRow={onConvertRow}
                   onDelete={handleDelete}
                   permissions={permissions}
                   lockedRows={lockedRows}
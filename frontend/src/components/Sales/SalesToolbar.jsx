@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Plus, Upload, Download, Settings, Columns, History, 
-  ChevronDown, FileSpreadsheet, FileText
+  ChevronDown, FileSpreadsheet, FileText, BarChart3
 } from 'lucide-react';
 import useSalesStore from '../../store/salesStore';
 
@@ -12,6 +12,7 @@ const SalesToolbar = ({
   onManageDropdowns,
   onCreateColumn,
   onViewActivityLog,
+  onOpenAnalytics,
   permissions
 }) => {
   const { exportRows, selectedRows, pagination } = useSalesStore();
@@ -140,6 +141,21 @@ const SalesToolbar = ({
               </div>
             )}
 
+            {/* Analytics */}
+            {onOpenAnalytics && (
+              <motion.button
+                variants={buttonVariants}
+                initial="idle"
+                whileHover="hover"
+                whileTap="tap"
+                onClick={onOpenAnalytics}
+                className={secondaryButtonClass}
+              >
+                <BarChart3 className="w-4 h-4" />
+                <span className="hidden sm:inline">Analytics</span>
+              </motion.button>
+            )}
+
             {/* Divider */}
             <div className="hidden sm:block w-px h-8 bg-gray-200 dark:bg-gray-700 mx-1" />
 
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, LayoutTemplate, Loader2, Trash2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import Database from '../services/database';
+import DeletePopup from './ui/DeletePopup';
+
+/**
+ * SaveTemplateModal - Save a project's lists, labels, tasks (with subtasks and
+ * nanos), recurring tasks and milestone schedule as a reusable template.
+ * Also lists the existing templates so outdated ones can be removed.
+ */
+const SaveTemplateModal = ({ isOpen, onClose, project }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateToDelete, setTemplateToDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(project?.name ? `${project.name} template` : '');
+    setDescription('');
+    Database.getProjectTemplates()
+      .then((res) => setTemplates(res?.data || []))
+      .catch((error) => console.error('Error fetching project templates:', error));
+  }, [isOpen, project?.name]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Template name is required');
+      return;
+    }
+    setSaving(true);
+    try {
+      await Database.createProjectTemplate(project._id || project.id, {
+        name: name.trim(),
+        description: description.trim(),
+      });
+      toast.success('Project saved as template');
+      onClose();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!templateToDelete) return;
+    setDeleting(true);
+    try {
+      await Database.deleteProjectTemplate(templateToDelete._id);
+      setTemplates((prev) => prev.filter((t) => t._id !== templateToDelete._id));
+      toast.success('Template deleted');
+      setTemplateToDelete(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete template');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/40 flex items-center justify-center z-[100]"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+          className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-4 overflow-hidden max-h-[90vh] flex flex-col"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+              <LayoutTemplate size={20} className="text-indigo-600" />
+              Save as Template
+            </h3>
+            <button
+              onClick={onClose}
+              className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <X size={20} />
+            </button>
+          </div>
+
+          <div className="overflow-y-auto p-4 space-y-4">
+            <form onSubmit={handleSubmit} className="space-y-3">
+              <p className="text-sm text-gray-500">
+                Captures lists, labels, tasks with their subtasks, recurring tasks and milestones.
+                Dates are stored relative to the project start date.
+              </p>
+              <input
+                type="text"
+                value={name}
+                maxLength={100}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Template name"
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <textarea
+                value={description}
+                maxLength={1000}
+                rows={3}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="What is this template for? (optional)"
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+              />
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={onClose} className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? <Loader2 size={14} className="animate-spin" /> : <LayoutTemplate size={14} />}
+                  Save template
+                </button>
+              </div>
+            </form>
+
+            {templates.length > 0 && (
+              <div>
+                <h4 className="text-xs font-semibold text-gray-600 uppercase tracking-wider mb-2">Existing templates</h4>
+                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {templates.map((template) => (
+                    <li key={template._id} className="flex items-center gap-3 px-3 py-2">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-sm font-medium text-gray-800 truncate">{template.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {template.cardCount} tasks · {template.listCount} lists
+                          {template.createdBy?.name && ` · by ${template.createdBy.name}`}
+                        </div>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => setTemplateToDelete(template)}
+                        className="p-1.5 text-gray-400 hover:text-red-600"
+                        title="Delete template"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+
+      <DeletePopup
+        isOpen={Boolean(templateToDelete)}
+        onCancel={() => setTemplateToDelete(null)}
+        onConfirm={handleDelete}
+        itemType="projectTemplate"
+        isLoading={deleting}
+      />
+    </AnimatePresence>
+  );
+};
+
+export default SaveTemplateModal;
@@ -1,5 +1,5 @@
 import React, { useContext, useState, useEffect } from 'react';
-import { Home, Folder, Users, Settings, UserCheck, Bell, CalendarClock, X, FileSpreadsheet, ChevronDown, ChevronRight, DollarSign, Zap, TrendingUp } from 'lucide-react';
+import { Home, Folder, Users, Settings, UserCheck, Bell, CalendarClock, X, FileSpreadsheet, ChevronDown, ChevronRight, DollarSign, Zap, TrendingUp, ClipboardCheck } from 'lucide-react';
 import { NavLink, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import AuthContext from '../context/AuthContext';
@@ -15,6 +15,7 @@ const iconColors = {
   '/': { color: '#3b82f6', bg: 'rgba(59, 130, 246, 0.12)' }, // Blue - Home
   '/my-shortcuts': { color: '#06b6d4', bg: 'rgba(6, 182, 212, 0.12)' }, // Cyan - My Shortcuts
   '/announcements': { color: '#f59e0b', bg: 'rgba(245, 158, 11, 0.12)' }, // Amber - Announcements
+  '/timesheets': { color: '#6366f1', bg: 'rgba(99, 102, 241, 0.12)' }, // Indigo - Timesheets
   '/reminders': { color: '#10b981', bg: 'rgba(16, 185, 129, 0.12)' }, // Emerald - Reminders
   '/teams': { color: '#06b6d4', bg: 'rgba(6, 182, 212, 0.12)' }, // Cyan - Teams
   '/hr-panel': { color: '#ec4899', bg: 'rgba(236, 72, 153, 0.12)' }, // Pink - HR Panel
@@ -159,6 +160,7 @@ const Sidebar = ({ isMobile = false, onClose = () => {} }) => {
       { path: '/', icon: Home, label: 'Home' },
       { path: '/my-shortcuts', icon: Zap, label: 'My Shortcuts' },
       { path: '/announcements', icon: Bell, label: 'Announcements' },
+      { path: '/timesheets', icon: ClipboardCheck, label: 'Timesheets' },
     ];
 
     // If no user yet, return base
@@ -194,6 +196,7 @@ const Sidebar = ({ isMobile = false, onClose = () => {} }) => {
       }
       items.push({ path: '/reminders', icon: CalendarClock, label: 'Client Reminders' });
       items.push({ path: '/teams', icon: Users, label: 'Teams' });
+      items.push({ path: '/hr-panel', icon: UserCheck, label: 'Team Time Off' });
     } else if (salesVisible) {
       // Non-admin user explicitly granted sales access — only show Sales link
       items.push({ path: '/sales', icon: TrendingUp, label: 'Sales' });
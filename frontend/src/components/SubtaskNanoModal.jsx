@@ -138,22 +138,14 @@ const SubtaskNanoModal = ({
   const [newLoggedMinutes, setNewLoggedMinutes] = useState("");
   const [newLoggedDescription, setNewLoggedDescription] = useState("");
   const [newLoggedDate, setNewLoggedDate] = useState("");
-  const [newBilledHours, setNewBilledHours] = useState("");
-  const [newBilledMinutes, setNewBilledMinutes] = useState("");
-  const [newBilledDescription, setNewBilledDescription] = useState("");
-  const [newBilledDate, setNewBilledDate] = useState("");
   const [editingEstimation, setEditingEstimation] = useState(null);
   const [editingLogged, setEditingLogged] = useState(null);
-  const [editingBilled, setEditingBilled] = useState(null);
   const [editEstimationHours, setEditEstimationHours] = useState("");
   const [editEstimationMinutes, setEditEstimationMinutes] = useState("");
   const [editEstimationReason, setEditEstimationReason] = useState("");
   const [editLoggedHours, setEditLoggedHours] = useState("");
   const [editLoggedMinutes, setEditLoggedMinutes] = useState("");
   const [editLoggedDescription, setEditLoggedDescription] = useState("");
-  const [editBilledHours, setEditBilledHours] = useState("");
-  const [editBilledMinutes, setEditBilledMinutes] = useState("");
-  const [editBilledDescription, setEditBilledDescription] = useState("");
 
   // Helper to get today's date in YYYY-MM-DD format
   const getTodayDate = () => new Date().toISOString().split('T')[0];
@@ -230,13 +222,18 @@ const SubtaskNanoModal = ({
     [loggedTime, newLoggedHours, newLoggedMinutes, newLoggedDate, user._id]
   );
 
-  const billedValidationError = useMemo(() => 
-    validateTimeLimit(billedTime, newBilledHours, newBilledMinutes, newBilledDate, 'billed'),
-    [billedTime, newBilledHours, newBilledMinutes, newBilledDate, user._id]
-  );
-
   const overlayClass = overlayMap[theme] || overlayMap.pink;
 
+  /**
+   * Append an entry logged by the start/stop timer, unless a realtime update
+   * already brought it in
+   */
+  const handleTimerLogged = useCallback((entry) => {
+    setLoggedTime((prev) => (prev.some((e) => String(e._id) === String(entry._id))
+      ? prev
+      : [...prev, { ...entry, id: String(entry._id) }]));
+  }, []);
+
   // Keep currentValuesRef up to date on every render
   currentValuesRef.current = { title, description, priority, status, assignees, dueDate, startDate };
 
@@ -851,117 +848,6 @@ const SubtaskNanoModal = ({
     }
   };
 
-  const handleAddBilledTime = async () => {
-    // Check validation error first
-    if (billedValidationError) {
-      toast.error(billedValidationError);
-      return;
-    }
-    if (!newBilledHours && !newBilledMinutes) return;
-    try {
-      const hours = parseInt(newBilledHours) || 0;
-      const minutes = parseInt(newBilledMinutes) || 0;
-      
-      // Use selected date or default to today
-      const selectedDate = newBilledDate || getTodayDate();
-      const dateObj = new Date(selectedDate + 'T12:00:00.000Z'); // Use noon to avoid timezone issues
-      
-      const response = await Database.addNanoTimeEntry(entityId, 'billed', {
-        hours,
-        minutes,
-        description: newBilledDescription,
-        date: dateObj.toISOString()
-      });
-
-      const newEntry = {
-        ...response.data,
-        id: response.data._id
-      };
-      
-      const updatedEntries = [...billedTime, newEntry];
-      setBilledTime(updatedEntries);
-      setNewBilledHours("");
-      setNewBilledMinutes("");
-      setNewBilledDescription("");
-      setNewBilledDate("");
-      toast.success("Billed time added");
-    } catch (error) {
-      console.error("Error adding billed time:", error);
-      toast.error("Failed to add billed time: " + error.message);
-    }
-  };
-
-  const handleEditBilledTime = (entry) => {
-    // Ownership check: Only allow editing own time entries
-    if (!userOwnsTimeEntry(entry)) {
-      toast.error("You can only edit your own time entries");
-      return;
-    }
-    setEditingBilled(entry.id);
-    setEditBilledHours(entry.hours || 0);
-    setEditBilledMinutes(entry.minutes || 0);
-    setEditBilledDescription(entry.description || "");
-  };
-
-  const handleSaveBilledTimeEdit = async () => {
-    try {
-      const hours = parseInt(editBilledHours) || 0;
-      const minutes = parseInt(editBilledMinutes) || 0;
-      const totalMinutes = hours * 60 + minutes;
-
-      const entry = billedTime.find(e => e.id === editingBilled);
-      if (!entry) return;
-      const entryId = entry._id || entry.id;
-
-      await Database.updateNanoTimeEntry(entityId, entryId, 'billed', {
-         hours, minutes, description: editBilledDescription
-      });
-
-      const updatedEntries = billedTime.map(entry =>
-        entry.id === editingBilled
-          ? { ...entry, hours, minutes, description: editBilledDescription, totalMinutes }
-          : entry
-      );
-      setBilledTime(updatedEntries);
-      setEditingBilled(null);
-      setEditBilledHours("");
-      setEditBilledMinutes("");
-      setEditBilledDescription("");
-      toast.success("Billed time updated");
-    } catch (error) {
-      console.error("Error updating billed time:", error);
-      toast.error("Failed to update billed time: " + error.message);
-    }
-  };
-
-  const handleCancelBilledTimeEdit = () => {
-    setEditingBilled(null);
-    setEditBilledHours("");
-    setEditBilledMinutes("");
-    setEditBilledDescription("");
-  };
-
-  const handleDeleteBilledTime = async (entryId) => {
-    try {
-      // Find the entry to check ownership
-      const entry = billedTime.find(e => e.id === entryId || e._id === entryId);
-      if (entry && !userOwnsTimeEntry(entry)) {
-        toast.error("You can only delete your own time entries");
-        return;
-      }
-      
-      const realId = entry._id || entry.id;
-      await Database.deleteNanoTimeEntry(entityId, realId, 'billed');
-
-      const updatedEntries = billedTime.filter(entry => entry.id !== entryId && entry._id !== entryId);
-      setBilledTime(updatedEntries);
-      toast.success("Billed time deleted");
-    } catch (error) {
-      console.error("Error deleting billed time:", error);
-      toast.error("Failed to delete billed time: " + error.message);
-    }
-  };
-
   const resolvedProjectId =
     currentProject?._id ||
     (typeof initialData.project === "object"
@@ -1039,6 +925,7 @@ const SubtaskNanoModal = ({
                   onDelete={runDelete}
                   isDeleting={deleteLoading}
                   disabled={!entityId}
+                  onVersionRestored={loadNano}
                 />
                 <motion.button
                   whileHover={{ scale: 1.1 }}
@@ -1123,22 +1010,14 @@ const SubtaskNanoModal = ({
                   newLoggedMinutes={newLoggedMinutes}
                   newLoggedDescription={newLoggedDescription}
                   newLoggedDate={newLoggedDate}
-                  newBilledHours={newBilledHours}
-                  newBilledMinutes={newBilledMinutes}
-                  newBilledDescription={newBilledDescription}
-                  newBilledDate={newBilledDate}
                   editingEstimation={editingEstimation}
                   editingLogged={editingLogged}
-                  editingBilled={editingBilled}
                   editEstimationHours={editEstimationHours}
                   editEstimationMinutes={editEstimationMinutes}
                   editEstimationReason={editEstimationReason}
                   editLoggedHours={editLoggedHours}
                   editLoggedMinutes={editLoggedMinutes}
                   editLoggedDescription={editLoggedDescription}
-                  editBilledHours={editBilledHours}
-                  editBilledMinutes={editBilledMinutes}
-                  editBilledDescription={editBilledDescription}
                   onEstimationHoursChange={setNewEstimationHours}
                   onEstimationMinutesChange={setNewEstimationMinutes}
                   onEstimationReasonChange={setNewEstimationReason}
@@ -1147,43 +1026,33 @@ const SubtaskNanoModal = ({
                   onLoggedMinutesChange={setNewLoggedMinutes}
                   onLoggedDescriptionChange={setNewLoggedDescription}
                   onLoggedDateChange={setNewLoggedDate}
-                  onBilledHoursChange={setNewBilledHours}
-                  onBilledMinutesChange={setNewBilledMinutes}
-                  onBilledDescriptionChange={setNewBilledDescription}
-                  onBilledDateChange={setNewBilledDate}
                   onEditEstimationHoursChange={setEditEstimationHours}
                   onEditEstimationMinutesChange={setEditEstimationMinutes}
                   onEditEstimationReasonChange={setEditEstimationReason}
                   onEditLoggedHoursChange={setEditLoggedHours}
                   onEditLoggedMinutesChange={setEditLoggedMinutes}
                   onEditLoggedDescriptionChange={setEditLoggedDescription}
-                  onEditBilledHoursChange={setEditBilledHours}
-                  onEditBilledMinutesChange={setEditBilledMinutes}
-                  onEditBilledDescriptionChange={setEditBilledDescription}
                   onAddEstimation={handleAddEstimation}
                   onAddLoggedTime={handleAddLoggedTime}
-                  onAddBilledTime={handleAddBilledTime}
                   onStartEditingEstimation={handleEditEstimation}
                   onStartEditingLogged={handleEditLoggedTime}
-                  onStartEditingBilled={handleEditBilledTime}
                   onSaveEstimationEdit={handleSaveEstimationEdit}
                   onSaveLoggedEdit={handleSaveLoggedTimeEdit}
-                  onSaveBilledEdit={handleSaveBilledTimeEdit}
                   onCancelEstimationEdit={handleCancelEstimationEdit}
                   onCancelLoggedEdit={handleCancelLoggedTimeEdit}
-                  onCancelBilledEdit={handleCancelBilledTimeEdit}
                   onConfirmDeleteEstimation={handleDeleteEstimation}
                   onConfirmDeleteLoggedTime={handleDeleteLoggedTime}
-                  onConfirmDeleteBilledTime={handleDeleteBilledTime}
                   userOwnsEntry={userOwnsTimeEntry}
                   card={{ _id: entityId }}
                   estimationValidationError={estimationValidationError}
                   loggedValidationError={loggedValidationError}
-                  billedValidationError={billedValidationError}
                   canAccessBilledTime={canAccessBilledTime}
                   billedTimeHiddenReason={billedTimeHiddenReason}
                   project={currentProject}
                   billingSource={{ sourceType: 'nanoSubtask', sourceId: entityId }}
+                  timerItemType="nano"
+                  timerItemId={entityId}
+                  onTimerLogged={handleTimerLogged}
                 />
 
                 <div className="mt-8">
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, memo } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import Database from '../../services/database';
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' },
+];
+
+const toInputDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+/**
+ * Edits one person's weekly capacity: bookable hours per day, working days
+ * and time-off ranges. Used by managers from the workload heatmap.
+ */
+const CapacitySettingsModal = memo(({ member, onClose, onSaved }) => {
+  const [hoursPerDay, setHoursPerDay] = useState(8);
+  const [workingDays, setWorkingDays] = useState([]);
+  const [timeOff, setTimeOff] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!member) return;
+    setHoursPerDay(member.capacity.hoursPerDay);
+    setWorkingDays(member.capacity.workingDays);
+    setTimeOff(member.capacity.timeOff.map((entry) => ({
+      ...entry,
+      startDate: toInputDate(entry.startDate),
+      endDate: toInputDate(entry.endDate),
+    })));
+  }, [member]);
+
+  if (!member) return null;
+
+  const toggleDay = (day) => {
+    setWorkingDays((prev) => (prev.includes(day) ? prev.filter((d) => d !== day) : [...prev, day]));
+  };
+
+  const updateTimeOff = (index, changes) => {
+    setTimeOff((prev) => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const addTimeOff = () => {
+    const today = toInputDate(new Date());
+    setTimeOff((prev) => [...prev, { startDate: today, endDate: today, reason: '' }]);
+  };
+
+  const handleSave = async () => {
+    if (timeOff.some((entry) => !entry.startDate || !entry.endDate)) {
+      toast.error('Every time-off entry needs a start and end date');
+      return;
+    }
+    setSaving(true);
+    try {
+      await Database.updateUserCapacity(member.user._id, {
+        hoursPerDay: Number(hoursPerDay),
+        workingDays,
+        timeOff,
+      });
+      toast.success(`Capacity updated for ${member.user.name}`);
+      onSaved();
+      onClose();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update capacity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Capacity</h2>
+            <p className="text-sm text-gray-500">{member.user.name}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-5 space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Hours per working day</label>
+            <input
+              type="number"
+              min="0"
+              max="24"
+              step="0.5"
+              value={hoursPerDay}
+              onChange={(e) => setHoursPerDay(e.target.value)}
+              className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Working days</label>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map((day) => (
+                <button
+                  key={day.value}
+                  type="button"
+                  onClick={() => toggleDay(day.value)}
+                  className={`px-3 py-1.5 rounded-lg text-sm border transition-colors ${
+                    workingDays.includes(day.value)
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'bg-white border-gray-300 text-gray-600 hover:border-gray-400'
+                  }`}
+                >
+                  {day.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-gray-700">Time off</label>
+              <button
+                type="button"
+                onClick={addTimeOff}
+                className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+              >
+                <Plus className="w-4 h-4" /> Add
+              </button>
+            </div>
+            {timeOff.length === 0 ? (
+              <p className="text-sm text-gray-400">No time off planned</p>
+            ) : (
+              <div className="space-y-2">
+                {timeOff.map((entry, index) => (
+                  <div key={entry._id || index} className="flex items-center gap-2">
+                    <input
+                      type="date"
+                      value={entry.startDate}
+                      onChange={(e) => updateTimeOff(index, { startDate: e.target.value })}
+                      className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <span className="text-gray-400">–</span>
+                    <input
+                      type="date"
+                      value={entry.endDate}
+                      min={entry.startDate}
+                      onChange={(e) => updateTimeOff(index, { endDate: e.target.value })}
+                      className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={entry.reason}
+                      placeholder="Reason"
+                      maxLength={200}
+                      onChange={(e) => updateTimeOff(index, { reason: e.target.value })}
+                      className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setTimeOff((prev) => prev.filter((_, i) => i !== index))}
+                      className="p-1.5 text-gray-400 hover:text-red-600"
+                      title="Remove"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition-colors font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg transition-colors font-medium"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default CapacitySettingsModal;
@@ -1,4 +1,4 @@
-import React, { memo, useMemo } from 'react';
+import React, { memo, useMemo, useState } from 'react';
 import { motion } from 'framer-motion';
 import {
   Tooltip,
@@ -7,6 +7,9 @@ import {
   TooltipTrigger,
 } from '../ui/tooltip';
 import { Clock, Calendar, TrendingUp, Award, AlertTriangle } from 'lucide-react';
+import TeamWorkloadRows from './TeamWorkloadRows';
+
+const WORKLOAD_WEEK_OPTIONS = [1, 2, 4];
 
 // Helper to get color intensity based on hours logged
 const getHeatColor = (minutes, maxMinutes) => {
@@ -175,7 +178,7 @@ const SummaryRow = memo(({ dateRange, teamData }) => {
 });
 
 // User Row Component
-const UserHeatmapRow = memo(({ member, maxMinutes }) => {
+const UserHeatmapRow = memo(({ member, maxMinutes, workloadTotals }) => {
   const statusEmoji = member.summary.productivityStatus?.emoji || '❓';
   const productivity = member.summary.productivityScore;
   
@@ -203,7 +206,18 @@ const UserHeatmapRow = memo(({ member, maxMinutes }) => {
         </div>
         <div className="flex-1 min-w-0">
           <p className="text-sm font-medium text-gray-900 truncate">{member.user.name}</p>
-          <p className="text-xs text-gray-500">{productivity}%</p>
+          <p className="text-xs text-gray-500 flex items-center gap-1">
+            {productivity}%
+            {workloadTotals?.overAllocated && (
+              <span
+                className="inline-flex items-center gap-0.5 px-1 rounded bg-red-100 text-red-700 text-[10px] font-semibold"
+                title={`Planned work is ${workloadTotals.utilization ?? 'over'}% of available hours`}
+              >
+                <AlertTriangle className="w-3 h-3" />
+                {workloadTotals.utilization === null ? 'No capacity' : `${workloadTotals.utilization}%`}
+              </span>
+            )}
+          </p>
         </div>
       </div>
 
@@ -254,7 +268,18 @@ const DateHeaderRow = memo(({ dateRange }) => (
 ));
 
 // Main TeamHeatmap Component
-const TeamHeatmap = memo(({ teamData, filteredMembers }) => {
+const TeamHeatmap = memo(({
+  teamData,
+  filteredMembers,
+  workload,
+  workloadWeeks,
+  onWorkloadWeeksChange,
+  canManage,
+  onReassign,
+  onEditCapacity
+}) => {
+  const [mode, setMode] = useState('logged'); // logged, planned
+
   const maxMinutes = useMemo(() => {
     if (!filteredMembers) return 480;
     
@@ -268,7 +293,21 @@ const TeamHeatmap = memo(({ teamData, filteredMembers }) => {
     return max;
   }, [filteredMembers]);
 
-  const dateRange = teamData?.dateRange || [];
+  // Planned-workload totals per user, for the over-allocation flags
+  const workloadByUser = useMemo(() => {
+    const map = new Map();
+    (workload?.members || []).forEach(member => map.set(member.user._id, member));
+    return map;
+  }, [workload]);
+
+  // Planned rows follow the same search and filters as the logged rows
+  const plannedMembers = useMemo(() => (
+    (filteredMembers || []).map(member => workloadByUser.get(member.user._id)).filter(Boolean)
+  ), [filteredMembers, workloadByUser]);
+
+  const overAllocatedCount = plannedMembers.filter(member => member.totals.overAllocated).length;
+  const isPlanned = mode === 'planned' && workload;
+  const dateRange = (isPlanned ? workload.dateRange : teamData?.dateRange) || [];
 
   if (!filteredMembers || filteredMembers.length === 0) {
     return (
@@ -295,27 +334,67 @@ const TeamHeatmap = memo(({ teamData, filteredMembers }) => {
             <Calendar className="w-6 h-6 text-white" />
           </div>
           <div>
-            <h3 className="text-lg font-bold text-gray-900">Time Tracking Heatmap</h3>
+            <h3 className="text-lg font-bold text-gray-900">
+              {isPlanned ? 'Workload Heatmap' : 'Time Tracking Heatmap'}
+            </h3>
             <p className="text-sm text-gray-500">
               {dateRange.length} days • {filteredMembers.length} members
+              {isPlanned && canManage && ' • drag an assignment onto someone to reassign it'}
             </p>
           </div>
         </div>
         
         {/* Quick Stats */}
         <div className="flex items-center gap-4">
-          <div className="flex items-center gap-2 px-3 py-1.5 bg-emerald-50 rounded-lg">
-            <Award className="w-4 h-4 text-emerald-600" />
-            <span className="text-sm font-medium text-emerald-700">
-              {filteredMembers.filter(m => m.summary.productivityScore >= 80).length} high performers
-            </span>
-          </div>
-          <div className="flex items-center gap-2 px-3 py-1.5 bg-red-50 rounded-lg">
-            <AlertTriangle className="w-4 h-4 text-red-600" />
-            <span className="text-sm font-medium text-red-700">
-              {filteredMembers.filter(m => m.summary.productivityScore < 50 && m.summary.productivityScore > 0).length} need attention
-            </span>
-          </div>
+          {workload && (
+            <div className="flex items-center bg-gray-100 rounded-lg p-1">
+              {['logged', 'planned'].map(value => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setMode(value)}
+                  className={`px-3 py-1 rounded-md text-sm capitalize transition-colors ${mode === value ? 'bg-white shadow-sm font-medium' : 'text-gray-600 hover:bg-gray-200'}`}
+                >
+                  {value}
+                </button>
+              ))}
+            </div>
+          )}
+          {isPlanned && onWorkloadWeeksChange && (
+            <select
+              value={workloadWeeks}
+              onChange={(e) => onWorkloadWeeksChange(Number(e.target.value))}
+              className="px-2 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-700"
+            >
+              {WORKLOAD_WEEK_OPTIONS.map(weeks => (
+                <option key={weeks} value={weeks}>Next {weeks} week{weeks > 1 ? 's' : ''}</option>
+              ))}
+            </select>
+          )}
+          {workload && (
+            <div className="flex items-center gap-2 px-3 py-1.5 bg-red-50 rounded-lg">
+              <AlertTriangle className="w-4 h-4 text-red-600" />
+              <span className="text-sm font-medium text-red-700">
+                {overAllocatedCount} over-allocated
+              </span>
+            </div>
+          )}
+          {!isPlanned && (
+            <>
+              <div className="flex items-center gap-2 px-3 py-1.5 bg-emerald-50 rounded-lg">
+                <Award className="w-4 h-4 text-emerald-600" />
+                <span className="text-sm font-medium text-emerald-700">
+                  {filteredMembers.filter(m => m.summary.productivityScore >= 80).length} high performers
+                </span>
+              </div>
+              <div className="flex items-center gap-2 px-3 py-1.5 bg-red-50 rounded-lg">
+                <AlertTriangle className="w-4 h-4 text-red-600" />
+                <span className="text-sm font-medium text-red-700">
+                  {filteredMembers.filter(m => m.summary.productivityScore < 50 && m.summary.productivityScore > 0).length} need attention
+                </span>
+              </div>
+            </>
+          )}
         </div>
       </div>
 
@@ -324,26 +403,44 @@ const TeamHeatmap = memo(({ teamData, filteredMembers }) => {
         <div className="min-w-max">
           <DateHeaderRow dateRange={dateRange} />
 
-          <div className="space-y-2 pr-2">
-            {filteredMembers.map((member, index) => (
-              <motion.div
-                key={member.user._id}
-                initial={{ opacity: 0, y: 10 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: index * 0.03 }}
-              >
-                <UserHeatmapRow member={member} maxMinutes={maxMinutes} />
-              </motion.div>
-            ))}
-          </div>
+          {isPlanned ? (
+            <TeamWorkloadRows
+              workload={workload}
+              members={plannedMembers}
+              canManage={canManage}
+              onReassign={onReassign}
+              onEditCapacity={onEditCapacity}
+            />
+          ) : (
+            <div className="space-y-2 pr-2">
+              {filteredMembers.map((member, index) => (
+                <motion.div
+                  key={member.user._id}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.03 }}
+                >
+                  <UserHeatmapRow
+                    member={member}
+                    maxMinutes={maxMinutes}
+                    workloadTotals={workloadByUser.get(member.user._id)?.totals}
+                  />
+                </motion.div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
-      {/* Summary Row */}
-      <SummaryRow dateRange={dateRange} teamData={filteredMembers} />
+      {!isPlanned && (
+        <>
+          {/* Summary Row */}
+          <SummaryRow dateRange={dateRange} teamData={filteredMembers} />
 
-      {/* Legend */}
-      <HeatmapLegend />
+          {/* Legend */}
+          <HeatmapLegend />
+        </>
+      )}
 
       {/* Scroll styling */}
       {/* Scroll styling - Inherits from global index.css now */}
@@ -10,6 +10,7 @@ import {
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import Database from '../../services/database';
+import { warnLeaveConflicts } from '../../utils/leaveWarnings';
 import AuthContext from '../../context/AuthContext';
 import DepartmentContext from '../../context/DepartmentContext';
 import { Badge } from '../ui/badge';
@@ -32,6 +33,7 @@ import SmartInsightsPanel from './SmartInsightsPanel';
 import TeamHeatmap from './TeamHeatmap';
 import DateCellHoverCard from './DateCellHoverCard';
 import DateDetailModal from './DateDetailModal';
+import CapacitySettingsModal from './CapacitySettingsModal';
 import * as XLSX from 'xlsx';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
@@ -450,6 +452,12 @@ const TeamLoggedTimeView = memo(({ onClose }) => {
   // Modal state for detailed date view
   const [detailModal, setDetailModal] = useState({ isOpen: false, userId: null, date: null, userName: null, userAvatar: null });
 
+  // Planned workload (forward-looking, independent of the logged-time range)
+  const [workload, setWorkload] = useState(null);
+  const [workloadWeeks, setWorkloadWeeks] = useState(2);
+  const [capacityMember, setCapacityMember] = useState(null);
+  const canManageWorkload = user?.role === 'admin' || user?.role === 'manager';
+
   // Fetch data
   const fetchData = useCallback(async () => {
     try {
@@ -486,9 +494,40 @@ const TeamLoggedTimeView = memo(({ onClose }) => {
     fetchData();
   }, [fetchData]);
 
+  const fetchWorkload = useCallback(async () => {
+    try {
+      const start = new Date();
+      const end = new Date(start.getTime() + (workloadWeeks * 7 - 1) * 24 * 60 * 60 * 1000);
+      const response = await Database.getTeamWorkload({
+        departmentId: currentDepartment?._id || 'all',
+        startDate: start.toISOString().split('T')[0],
+        endDate: end.toISOString().split('T')[0]
+      });
+      setWorkload(response.data);
+    } catch (err) {
+      console.error('Error fetching team workload:', err);
+      setWorkload(null);
+    }
+  }, [currentDepartment, workloadWeeks]);
+
+  useEffect(() => {
+    fetchWorkload();
+  }, [fetchWorkload]);
+
+  const handleReassign = useCallback(async (payload) => {
+    try {
+      const response = await Database.reassignWorkload(payload);
+      toast.success('Assignment moved');
+      warnLeaveConflicts(response.data?.leaveConflicts);
+      fetchWorkload();
+    } catch (err) {
+      toast.error(err.message || 'Failed to reassign work');
+    }
+  }, [fetchWorkload]);
+
   const handleRefresh = async () => {
     setRefreshing(true);
-    await fetchData();
+    await Promise.all([fetchData(), fetchWorkload()]);
     setTimeout(() => setRefreshing(false), 500);
     toast.success('Data refreshed successfully');
   };
@@ -1467,7 +1506,16 @@ const TeamLoggedTimeView = memo(({ onClose }) => {
                 </div>
               </div>
           ) : viewMode === 'heatmap' ? (
-            <TeamHeatmap teamData={teamData} filteredMembers={filteredMembers} />
+            <TeamHeatmap
+              teamData={teamData}
+              filteredMembers={filteredMembers}
+              workload={workload}
+              workloadWeeks={workloadWeeks}
+              onWorkloadWeeksChange={setWorkloadWeeks}
+              canManage={canManageWorkload}
+              onReassign={handleReassign}
+              onEditCapacity={setCapacityMember}
+            />
           ) : (
             <TeamAnalyticsCharts teamData={teamData} insights={insights} />
           )}
@@ -1513,6 +1561,13 @@ const TeamLoggedTimeView = memo(({ onClose }) => {
         userName={detailModal.userName}
         userAvatar={detailModal.userAvatar}
       />
+
+      {/* Capacity Settings Modal */}
+      <CapacitySettingsModal
+        member={capacityMember}
+        onClose={() => setCapacityMember(null)}
+        onSaved={fetchWorkload}
+      />
     </div>
   );
 });
@@ -0,0 +1,258 @@
+import React, { memo, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Tooltip,
+  TooltipContent,
+  TooltipProvider,
+  TooltipTrigger,
+} from '../ui/tooltip';
+import { AlertTriangle, ChevronDown, ChevronRight, GripVertical, Plane, Settings } from 'lucide-react';
+
+const ITEM_TYPE_LABELS = { card: 'Task', subtask: 'Subtask', nano: 'Nano' };
+
+const formatMinutes = (minutes) => {
+  const total = Math.round(minutes || 0);
+  return `${Math.floor(total / 60)}h ${total % 60}m`;
+};
+
+// Planned vs available minutes on one day
+const getLoadColor = (planned, capacity) => {
+  if (planned === 0) return 'bg-gray-100';
+  if (capacity === 0) return 'bg-red-500';
+  const load = planned / capacity;
+  if (load > 1) return 'bg-red-500';
+  if (load >= 0.85) return 'bg-amber-400';
+  if (load >= 0.5) return 'bg-sky-400';
+  return 'bg-sky-200';
+};
+
+const WorkloadCell = memo(({ date, day, userName }) => {
+  const over = day.plannedMinutes > day.capacityMinutes;
+  const dateStr = new Date(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+  return (
+    <TooltipProvider>
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <div
+            className={`w-12 h-12 rounded-lg flex items-center justify-center border border-white/50 ${
+              day.timeOff ? 'bg-gray-50 border-dashed border-gray-300' : getLoadColor(day.plannedMinutes, day.capacityMinutes)
+            }`}
+          >
+            {day.timeOff ? (
+              <Plane className="w-4 h-4 text-gray-400" />
+            ) : day.plannedMinutes > 0 && (
+              <span className={`text-xs font-semibold ${over ? 'text-white' : 'text-gray-800'}`}>
+                {Math.round(day.plannedMinutes / 60)}h
+              </span>
+            )}
+          </div>
+        </TooltipTrigger>
+        <TooltipContent side="top" className="bg-gray-900 text-white p-3 rounded-lg shadow-xl max-w-xs">
+          <div className="text-center">
+            <div className="font-semibold mb-1">{userName}</div>
+            <div className="text-sm text-gray-300 mb-2">{dateStr}</div>
+            {day.timeOff ? (
+              <div className="text-gray-300">Time off</div>
+            ) : (
+              <>
+                <div className={`text-lg font-bold ${over ? 'text-red-400' : 'text-sky-300'}`}>
+                  {formatMinutes(day.plannedMinutes)} planned
+                </div>
+                <div className="text-xs text-gray-400">{formatMinutes(day.capacityMinutes)} available</div>
+              </>
+            )}
+          </div>
+        </TooltipContent>
+      </Tooltip>
+    </TooltipProvider>
+  );
+});
+
+const AssignmentChip = memo(({ assignment, userId, draggable }) => {
+  const handleDragStart = (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('application/json', JSON.stringify({
+      itemType: assignment.itemType,
+      itemId: assignment._id,
+      fromUserId: userId,
+    }));
+  };
+
+  return (
+    <div
+      draggable={draggable}
+      onDragStart={draggable ? handleDragStart : undefined}
+      className={`flex items-center gap-2 px-2 py-1.5 rounded-lg border text-xs bg-white ${
+        assignment.overdue ? 'border-red-200' : 'border-gray-200'
+      } ${draggable ? 'cursor-grab active:cursor-grabbing hover:border-blue-300' : ''}`}
+      title={draggable ? 'Drag onto another person to reassign' : undefined}
+    >
+      {draggable && <GripVertical className="w-3 h-3 text-gray-300 flex-shrink-0" />}
+      <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-500 text-[10px] uppercase">
+        {ITEM_TYPE_LABELS[assignment.itemType]}
+      </span>
+      <span className="font-medium text-gray-800 truncate max-w-[14rem]">{assignment.title}</span>
+      <span className="text-gray-400 truncate max-w-[8rem]">{assignment.board?.name}</span>
+      <span className={`ml-auto whitespace-nowrap ${assignment.overdue ? 'text-red-600' : 'text-gray-500'}`}>
+        {assignment.dueDate
+          ? new Date(assignment.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+          : 'No due date'}
+      </span>
+      <span className="whitespace-nowrap font-semibold text-gray-700">
+        {assignment.unestimated ? 'No estimate' : formatMinutes(assignment.remainingMinutes)}
+      </span>
+    </div>
+  );
+});
+
+/**
+ * One person's planned load per day. Expanding the row lists their open
+ * assignments; managers drag an assignment onto another row to move it.
+ */
+const WorkloadRow = memo(({ member, dateRange, canManage, onReassign, onEditCapacity }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const { user, totals } = member;
+
+  const handleDragOver = (e) => {
+    if (!canManage) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOver(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    if (!canManage) return;
+    try {
+      const payload = JSON.parse(e.dataTransfer.getData('application/json'));
+      if (payload.fromUserId === user._id) return;
+      onReassign({ ...payload, toUserId: user._id });
+    } catch {
+      // Not an assignment chip
+    }
+  };
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={handleDrop}
+      className={`rounded-lg transition-colors ${dragOver ? 'bg-blue-50 ring-2 ring-blue-300' : ''}`}
+    >
+      <div className="flex items-center gap-2">
+        <div className="w-40 pr-3 flex items-center gap-2 flex-shrink-0">
+          <button
+            type="button"
+            onClick={() => setExpanded((prev) => !prev)}
+            className="p-0.5 text-gray-400 hover:text-gray-700"
+            title={expanded ? 'Hide assignments' : 'Show assignments'}
+          >
+            {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          </button>
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-gray-900 truncate">{user.name}</p>
+            <p className="text-xs text-gray-500 flex items-center gap-1">
+              {member.capacity.hoursPerDay}h/day
+              {canManage && (
+                <button
+                  type="button"
+                  onClick={() => onEditCapacity(member)}
+                  className="text-gray-400 hover:text-blue-600"
+                  title="Edit capacity"
+                >
+                  <Settings className="w-3 h-3" />
+                </button>
+              )}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex gap-1 pb-2">
+          {dateRange.map((date) => (
+            <WorkloadCell key={date} date={date} day={member.days[date]} userName={user.name} />
+          ))}
+        </div>
+
+        <div className="w-24 pl-3 text-right flex-shrink-0">
+          <p className={`text-sm font-bold ${totals.overAllocated ? 'text-red-600' : 'text-gray-900'}`}>
+            {totals.utilization === null ? '—' : `${totals.utilization}%`}
+          </p>
+          <p className="text-xs text-gray-500">
+            {formatMinutes(totals.plannedMinutes)} / {formatMinutes(totals.capacityMinutes)}
+          </p>
+        </div>
+      </div>
+
+      {expanded && (
+        <motion.div
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          className="ml-8 mb-3 space-y-1.5 max-w-3xl"
+        >
+          {member.assignments.length === 0 ? (
+            <p className="text-xs text-gray-400">No open assignments</p>
+          ) : (
+            member.assignments.map((assignment) => (
+              <AssignmentChip
+                key={`${assignment.itemType}-${assignment._id}`}
+                assignment={assignment}
+                userId={user._id}
+                draggable={canManage}
+              />
+            ))
+          )}
+          {totals.unscheduledMinutes > 0 && (
+            <p className="text-xs text-amber-700 flex items-center gap-1">
+              <AlertTriangle className="w-3 h-3" />
+              {formatMinutes(totals.unscheduledMinutes)} of estimates have no due date and are not planned
+            </p>
+          )}
+        </motion.div>
+      )}
+    </div>
+  );
+});
+
+const LOAD_LEGEND = [
+  { className: 'bg-gray-100 border border-gray-200', label: 'Free' },
+  { className: 'bg-sky-200', label: '<50%' },
+  { className: 'bg-sky-400', label: '50-85%' },
+  { className: 'bg-amber-400', label: '85-100%' },
+  { className: 'bg-red-500', label: 'Over capacity' },
+];
+
+const TeamWorkloadRows = memo(({ workload, members, canManage, onReassign, onEditCapacity }) => (
+  <>
+    <div className="space-y-2 pr-2">
+      {members.map((member) => (
+        <WorkloadRow
+          key={member.user._id}
+          member={member}
+          dateRange={workload.dateRange}
+          canManage={canManage}
+          onReassign={onReassign}
+          onEditCapacity={onEditCapacity}
+        />
+      ))}
+    </div>
+
+    <div className="flex items-center gap-4 mt-4 pt-4 border-t border-gray-200">
+      <span className="text-sm text-gray-600">Planned load:</span>
+      {LOAD_LEGEND.map((entry) => (
+        <div key={entry.label} className="flex items-center gap-1">
+          <div className={`w-6 h-6 rounded ${entry.className}`} />
+          <span className="text-xs text-gray-500">{entry.label}</span>
+        </div>
+      ))}
+      <div className="flex items-center gap-1">
+        <Plane className="w-4 h-4 text-gray-400" />
+        <span className="text-xs text-gray-500">Time off</span>
+      </div>
+    </div>
+  </>
+));
+
+export default TeamWorkloadRows;
@@ -0,0 +1,180 @@
+import React, { memo, useEffect, useRef, useState } from 'react';
+import { Square, X, Loader2, Moon } from 'lucide-react';
+import { toast } from 'react-toastify';
+import useTimerStore, { getTimerElapsedSeconds, isTimerIdle, formatTimerDuration } from '../../store/timerStore';
+
+// Activity is reported at most this often while the user is interacting
+const HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'];
+
+const formatClock = (value) =>
+  new Date(value).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * The running timer in the header: elapsed time, stop and discard. Reports
+ * user activity to the server and, once the timer has gone idle, asks
+ * whether to drop the idle stretch before logging.
+ */
+const HeaderTimer = memo(() => {
+  const timer = useTimerStore((state) => state.timer);
+  const receivedAt = useTimerStore((state) => state.receivedAt);
+  const busy = useTimerStore((state) => state.busy);
+  const fetchTimer = useTimerStore((state) => state.fetchTimer);
+  const setTimer = useTimerStore((state) => state.setTimer);
+  const stopTimer = useTimerStore((state) => state.stopTimer);
+  const discardTimer = useTimerStore((state) => state.discardTimer);
+  const sendHeartbeat = useTimerStore((state) => state.sendHeartbeat);
+  const [now, setNow] = useState(Date.now());
+  const lastInputRef = useRef(0);
+  const lastHeartbeatRef = useRef(0);
+
+  const idle = isTimerIdle(timer, receivedAt, now);
+
+  useEffect(() => {
+    fetchTimer();
+    const handleChanged = (event) => setTimer(event.detail.timer);
+    window.addEventListener('socket-timer-changed', handleChanged);
+    return () => window.removeEventListener('socket-timer-changed', handleChanged);
+  }, [fetchTimer, setTimer]);
+
+  useEffect(() => {
+    if (!timer) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  useEffect(() => {
+    if (!timer) return undefined;
+    const markActive = () => { lastInputRef.current = Date.now(); };
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, markActive, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, markActive));
+  }, [timer]);
+
+  // Heartbeat when there has been input since the last one; never while the
+  // idle prompt is open, since answering it decides what happens to that time
+  useEffect(() => {
+    if (!timer || idle) return;
+    const due = now - lastHeartbeatRef.current >= HEARTBEAT_INTERVAL_MS;
+    if (due && lastInputRef.current > lastHeartbeatRef.current) {
+      lastHeartbeatRef.current = now;
+      sendHeartbeat();
+    }
+  }, [timer, idle, now, sendHeartbeat]);
+
+  if (!timer) return null;
+
+  const elapsed = getTimerElapsedSeconds(timer, receivedAt, now);
+
+  const handleStop = async (endedAt) => {
+    try {
+      const entry = await stopTimer({ endedAt });
+      if (entry) {
+        toast.success(`Logged ${entry.hours}h ${entry.minutes}m on ${timer.title}`);
+      } else {
+        toast.info('Timer ran for less than a minute; nothing was logged');
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm(`Discard the timer on "${timer.title}" without logging any time?`)) return;
+    try {
+      await discardTimer();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleKeepWorking = () => {
+    lastHeartbeatRef.current = Date.now();
+    sendHeartbeat();
+  };
+
+  return (
+    <>
+      <div
+        className="hidden md:flex items-center gap-2 pl-3 pr-1 py-1 rounded-xl border max-w-xs"
+        style={{
+          backgroundColor: idle ? 'rgba(245, 158, 11, 0.1)' : 'rgba(239, 68, 68, 0.08)',
+          borderColor: idle ? 'rgba(245, 158, 11, 0.4)' : 'rgba(239, 68, 68, 0.3)',
+        }}
+        title={`Timing ${timer.title}`}
+      >
+        <span className={`w-2 h-2 rounded-full flex-shrink-0 ${idle ? 'bg-amber-500' : 'bg-red-500 animate-pulse'}`} />
+        <span className="text-sm font-semibold tabular-nums" style={{ color: 'var(--color-text-primary)' }}>
+          {formatTimerDuration(elapsed)}
+        </span>
+        <span className="text-xs truncate" style={{ color: 'var(--color-text-secondary)' }}>
+          {timer.title}
+        </span>
+        <button
+          type="button"
+          onClick={() => handleStop()}
+          disabled={busy}
+          className="p-1.5 rounded-lg text-red-600 hover:bg-red-100 disabled:opacity-50"
+          title="Stop and log time"
+        >
+          {busy ? <Loader2 size={14} className="animate-spin" /> : <Square size={14} />}
+        </button>
+        <button
+          type="button"
+          onClick={handleDiscard}
+          disabled={busy}
+          className="p-1.5 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+          style={{ color: 'var(--color-text-secondary)' }}
+          title="Discard timer"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      {idle && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+          <div className="w-full max-w-md bg-white dark:bg-gray-900 rounded-xl shadow-xl p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <Moon className="w-5 h-5 text-amber-500" />
+              Are you still working?
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Your timer on <span className="font-semibold">{timer.title}</span> has been running
+              for {formatTimerDuration(elapsed)}, but there has been no activity since{' '}
+              {formatClock(timer.lastActivityAt)}.
+            </p>
+            <div className="flex flex-col gap-2">
+              <button
+                type="button"
+                onClick={() => handleStop(timer.lastActivityAt)}
+                disabled={busy}
+                className="px-4 py-2 rounded-lg bg-amber-500 text-white text-sm font-semibold hover:bg-amber-600 disabled:opacity-50"
+              >
+                Discard idle time and stop at {formatClock(timer.lastActivityAt)}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleStop()}
+                disabled={busy}
+                className="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-700 text-sm font-semibold text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+              >
+                Keep the idle time and stop now
+              </button>
+              <button
+                type="button"
+                onClick={handleKeepWorking}
+                disabled={busy}
+                className="px-4 py-2 rounded-lg text-sm font-semibold text-indigo-600 hover:bg-indigo-50 dark:hover:bg-gray-800 disabled:opacity-50"
+              >
+                Keep the idle time and continue
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+});
+
+HeaderTimer.displayName = 'HeaderTimer';
+
+export default HeaderTimer;
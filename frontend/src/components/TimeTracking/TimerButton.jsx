@@ -0,0 +1,99 @@
+import React, { memo, useEffect, useState } from 'react';
+import { Play, Square, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import useTimerStore, { TIMER_LOGGED_EVENT, getTimerElapsedSeconds, formatTimerDuration } from '../../store/timerStore';
+
+/**
+ * Start/stop button for the timer on one task, subtask or nano-subtask.
+ * Starting while another item is being timed offers to stop that one first.
+ * `onLogged(entry)` runs whenever a stop logs time on this item, including
+ * stops made from the header.
+ */
+const TimerButton = memo(({ itemType, itemId, onLogged }) => {
+  const timer = useTimerStore((state) => state.timer);
+  const receivedAt = useTimerStore((state) => state.receivedAt);
+  const busy = useTimerStore((state) => state.busy);
+  const startTimer = useTimerStore((state) => state.startTimer);
+  const stopTimer = useTimerStore((state) => state.stopTimer);
+  const [, setTick] = useState(0);
+
+  const isRunningHere = !!timer && timer.itemType === itemType && String(timer.itemId) === String(itemId);
+
+  useEffect(() => {
+    if (!isRunningHere) return undefined;
+    const interval = setInterval(() => setTick((t) => t + 1), 1000);
+    return () => clearInterval(interval);
+  }, [isRunningHere]);
+
+  useEffect(() => {
+    if (!onLogged) return undefined;
+    const handleLogged = (event) => {
+      const { entry, itemType: loggedType, itemId: loggedId } = event.detail;
+      if (loggedType === itemType && String(loggedId) === String(itemId)) onLogged(entry);
+    };
+    window.addEventListener(TIMER_LOGGED_EVENT, handleLogged);
+    return () => window.removeEventListener(TIMER_LOGGED_EVENT, handleLogged);
+  }, [itemType, itemId, onLogged]);
+
+  const handleStart = async () => {
+    try {
+      await startTimer(itemType, itemId);
+    } catch (error) {
+      if (error.status !== 409) {
+        toast.error(error.message);
+        return;
+      }
+      if (!window.confirm(`${error.message}\n\nStop it, log its time and start timing this item instead?`)) return;
+      try {
+        await startTimer(itemType, itemId, { replace: true });
+      } catch (retryError) {
+        toast.error(retryError.message);
+      }
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      const entry = await stopTimer();
+      if (entry) {
+        toast.success(`Logged ${entry.hours}h ${entry.minutes}m`);
+      } else {
+        toast.info('Timer ran for less than a minute; nothing was logged');
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (isRunningHere) {
+    return (
+      <button
+        type="button"
+        onClick={handleStop}
+        disabled={busy}
+        className="inline-flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 shadow-md text-sm font-semibold disabled:opacity-50"
+        title="Stop the timer and log its time"
+      >
+        {busy ? <Loader2 size={14} className="animate-spin" /> : <Square size={14} />}
+        <span className="tabular-nums">{formatTimerDuration(getTimerElapsedSeconds(timer, receivedAt))}</span>
+      </button>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleStart}
+      disabled={busy}
+      className="inline-flex items-center gap-2 px-4 py-2 bg-white text-indigo-700 border border-indigo-200 rounded-lg hover:bg-indigo-50 shadow-sm text-sm font-semibold disabled:opacity-50"
+      title="Start a timer on this item"
+    >
+      {busy ? <Loader2 size={14} className="animate-spin" /> : <Play size={14} />}
+      Start Timer
+    </button>
+  );
+});
+
+TimerButton.displayName = 'TimerButton';
+
+export default TimerButton;
@@ -18,8 +18,105 @@ import versionService from '../services/versionService';
 import sanitizeHtml from '../utils/sanitizeHtml';
 import { toast } from 'react-toastify';
 
+// Entity types whose versions are field snapshots rather than text content
+const SNAPSHOT_ENTITY_TYPES = ['card', 'subtask', 'nano_subtask', 'board'];
+
+const FIELD_LABELS = {
+  title: 'Title',
+  name: 'Name',
+  description: 'Description',
+  assignees: 'Assignees',
+  members: 'Members',
+  labels: 'Labels',
+  tags: 'Labels',
+  priority: 'Priority',
+  startDate: 'Start date',
+  dueDate: 'Due date',
+  estimationTime: 'Estimates',
+  estimatedTime: 'Estimated time'
+};
+
+const getFieldLabel = (field) => FIELD_LABELS[field] || field;
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Human-readable value of a snapshot field; ids are resolved through `references`
+const formatFieldValue = (field, value, references = {}) => {
+  if (isEmptyValue(value)) return '—';
+
+  switch (field) {
+    case 'assignees':
+    case 'members':
+      return value.map(id => references.users?.[id] || 'Unknown user').join(', ');
+    case 'labels':
+    case 'tags':
+      return value.map(id => references.labels?.[id]?.name || id).join(', ');
+    case 'startDate':
+    case 'dueDate':
+      return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    case 'estimationTime':
+      return value
+        .map(entry => `${entry.hours}h ${entry.minutes}m${entry.userName ? ` (${entry.userName})` : ''}`)
+        .join(', ');
+    case 'description': {
+      const text = value.replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim();
+      return text.length > 300 ? text.substring(0, 300) + '...' : text || '—';
+    }
+    default:
+      return String(value);
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Side-by-side view of a version's field values next to the current ones
+const SnapshotDiffTable = ({ snapshot, current, references, onRestoreField, disabled }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+        <th className="py-2 pr-3 font-medium w-28">Field</th>
+        <th className="py-2 pr-3 font-medium">This version</th>
+        <th className="py-2 pr-3 font-medium">Current</th>
+        <th className="py-2 w-20" />
+      </tr>
+    </thead>
+    <tbody>
+      {Object.keys(snapshot || {}).map(field => {
+        const changed = current && !sameValue(snapshot[field], current[field]);
+        return (
+          <tr
+            key={field}
+            className={`border-b border-gray-100 align-top ${changed ? 'bg-amber-50' : ''}`}
+          >
+            <td className="py-2 pr-3 text-gray-500">{getFieldLabel(field)}</td>
+            <td className={`py-2 pr-3 break-words ${changed ? 'text-red-700' : 'text-gray-700'}`}>
+              {formatFieldValue(field, snapshot[field], references)}
+            </td>
+            <td className={`py-2 pr-3 break-words ${changed ? 'text-green-700' : 'text-gray-700'}`}>
+              {current ? formatFieldValue(field, current[field], references) : '—'}
+            </td>
+            <td className="py-2 text-right">
+              {changed && (
+                <button
+                  onClick={() => onRestoreField(field)}
+                  disabled={disabled}
+                  className="text-xs px-2 py-1 text-orange-600 hover:bg-orange-50 rounded-md disabled:opacity-50"
+                  title={`Restore ${getFieldLabel(field).toLowerCase()} from this version`}
+                >
+                  Restore
+                </button>
+              )}
+            </td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+);
+
 const VersionHistoryModal = ({ 
-  entityType, // 'card_description' | 'comment'
+  entityType, // 'card_description' | 'comment' | 'subtask_description' | 'card' | 'subtask' | 'nano_subtask' | 'board'
   entityId,
   currentContent,
   onClose,
@@ -34,6 +131,18 @@ const VersionHistoryModal = ({
   const [isComparing, setIsComparing] = useState(false);
   const [rollbackLoading, setRollbackLoading] = useState(false);
   const [expandedVersionId, setExpandedVersionId] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [references, setReferences] = useState({ users: {}, labels: {} });
+
+  const isSnapshotHistory = SNAPSHOT_ENTITY_TYPES.includes(entityType);
+
+  const mergeReferences = (incoming) => {
+    if (!incoming) return;
+    setReferences(prev => ({
+      users: { ...prev.users, ...incoming.users },
+      labels: { ...prev.labels, ...incoming.labels }
+    }));
+  };
 
   useEffect(() => {
     loadVersions();
@@ -45,6 +154,8 @@ const VersionHistoryModal = ({
       const result = await versionService.getVersionHistory(entityType, entityId, { page, limit: 10 });
       setVersions(result.data || []);
       setPagination(result.pagination);
+      if (result.current) setCurrent(result.current);
+      mergeReferences(result.references);
     } catch (error) {
       console.error('Failed to load version history:', error);
       toast.error('Failed to load version history');
@@ -63,19 +174,38 @@ const VersionHistoryModal = ({
       });
       setVersions(prev => [...prev, ...(result.data || [])]);
       setPagination(result.pagination);
+      mergeReferences(result.references);
     } catch (error) {
       toast.error('Failed to load more versions');
     }
   };
 
-  const handleRollback = async (version) => {
-    if (!window.confirm(`Rollback to version ${version.versionNumber}? This will create a new version with the old content.`)) {
+  const handleRollback = async (version, field = null) => {
+    const prompt = field
+      ? `Restore ${getFieldLabel(field).toLowerCase()} from version ${version.versionNumber}?`
+      : `Rollback to version ${version.versionNumber}? This will create a new version with the old content.`;
+    if (!window.confirm(prompt)) {
       return;
     }
 
     try {
       setRollbackLoading(true);
-      const result = await versionService.rollbackToVersion(entityType, entityId, version.versionNumber);
+      const result = await versionService.rollbackToVersion(entityType, entityId, version.versionNumber, field);
+
+      if (isSnapshotHistory) {
+        if (!result?.rollbackVersion) {
+          toast.info('Nothing to restore — values already match this version');
+        } else {
+          toast.success(field
+            ? `Restored ${getFieldLabel(field).toLowerCase()} from version ${version.versionNumber}`
+            : `Rolled back to version ${version.versionNumber}`);
+          if (result.current) setCurrent(result.current);
+          onRollback?.(result);
+        }
+        loadVersions();
+        return;
+      }
+
       toast.success(`Rolled back to version ${version.versionNumber}`);
       // Notify parent - handle both old and new response shapes
       const restored = result?.data?.restoredContent ?? result?.restoredContent ?? result?.data?.restoredHtmlContent ?? result?.restoredHtmlContent ?? null;
@@ -201,7 +331,9 @@ const VersionHistoryModal = ({
                     <span className="font-medium text-gray-800">Current Version</span>
                   </div>
                   <div className="ml-6 text-sm text-gray-600 line-clamp-2">
-                    {truncateContent(currentContent)}
+                    {isSnapshotHistory
+                      ? (current?.title || current?.name || '')
+                      : truncateContent(currentContent)}
                   </div>
                 </div>
 
@@ -260,9 +392,24 @@ const VersionHistoryModal = ({
                             </div>
 
                             {/* Preview */}
-                            <p className="text-sm text-gray-600 line-clamp-2">
-                              {truncateContent(version.htmlContent || version.content)}
-                            </p>
+                            {isSnapshotHistory ? (
+                              <div className="flex flex-wrap gap-1">
+                                {version.changes?.length > 0 ? version.changes.map(change => (
+                                  <span
+                                    key={change.field}
+                                    className="text-xs px-2 py-0.5 rounded-md bg-gray-100 text-gray-600"
+                                  >
+                                    {getFieldLabel(change.field)}
+                                  </span>
+                                )) : (
+                                  <span className="text-xs text-gray-500">{version.editSummary}</span>
+                                )}
+                              </div>
+                            ) : (
+                              <p className="text-sm text-gray-600 line-clamp-2">
+                                {truncateContent(version.htmlContent || version.content)}
+                              </p>
+                            )}
 
                             {/* Rollback info */}
                             {version.rolledBackFrom && (
@@ -312,15 +459,36 @@ const VersionHistoryModal = ({
                               exit={{ opacity: 0, height: 0 }}
                               className="ml-7 mt-3 pl-4 border-l-2 border-gray-200"
                             >
-                              <div className="bg-gray-50 rounded-lg p-4">
-                                <p className="text-xs text-gray-500 mb-2">Full content:</p>
-                                <div 
-                                  className="text-sm text-gray-700 prose prose-sm max-w-none"
-                                  dangerouslySetInnerHTML={{ 
-                                    __html: sanitizeHtml(version.htmlContent || version.content)
-                                  }}
-                                />
-                              </div>
+                              {isSnapshotHistory ? (
+                                <div className="bg-gray-50 rounded-lg p-4 space-y-2">
+                                  {version.changes?.length > 0 ? version.changes.map(change => (
+                                    <div key={change.field} className="text-sm">
+                                      <p className="text-xs text-gray-500">{getFieldLabel(change.field)}</p>
+                                      <p className="text-gray-700 break-words">
+                                        <span className="text-red-600 line-through">
+                                          {formatFieldValue(change.field, change.from, references)}
+                                        </span>
+                                        {' → '}
+                                        <span className="text-green-700">
+                                          {formatFieldValue(change.field, change.to, references)}
+                                        </span>
+                                      </p>
+                                    </div>
+                                  )) : (
+                                    <p className="text-xs text-gray-500">No field changes in this version</p>
+                                  )}
+                                </div>
+                              ) : (
+                                <div className="bg-gray-50 rounded-lg p-4">
+                                  <p className="text-xs text-gray-500 mb-2">Full content:</p>
+                                  <div 
+                                    className="text-sm text-gray-700 prose prose-sm max-w-none"
+                                    dangerouslySetInnerHTML={{ 
+                                      __html: sanitizeHtml(version.htmlContent || version.content)
+                                    }}
+                                  />
+                                </div>
+                              )}
                               
                               {version.editSummary && (
                                 <p className="text-xs text-gray-500 mt-2 italic">
@@ -355,7 +523,9 @@ const VersionHistoryModal = ({
           {/* Footer */}
           <div className="flex items-center justify-between p-4 border-t border-gray-200 bg-gray-50">
             <p className="text-xs text-gray-500">
-              Versions are saved automatically when content is edited
+              {isSnapshotHistory
+                ? 'Versions are saved automatically when fields are changed'
+                : 'Versions are saved automatically when content is edited'}
             </p>
             <button
               onClick={onClose}
@@ -380,7 +550,7 @@ const VersionHistoryModal = ({
                 initial={{ opacity: 0, scale: 0.95 }}
                 animate={{ opacity: 1, scale: 1 }}
                 exit={{ opacity: 0, scale: 0.95 }}
-                className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[70vh] overflow-hidden"
+                className={`bg-white rounded-xl shadow-2xl w-full ${isSnapshotHistory ? 'max-w-3xl' : 'max-w-lg'} max-h-[70vh] overflow-hidden`}
                 onClick={e => e.stopPropagation()}
               >
                 <div className="p-4 border-b border-gray-200 flex items-center justify-between">
@@ -398,12 +568,25 @@ const VersionHistoryModal = ({
                   <div className="mb-4 text-sm text-gray-500">
                       <p>Edited by {selectedVersion.editedBy?.name} on {formatDate(selectedVersion.editedAt)}</p>
                   </div>
+                  {isSnapshotHistory ? (
+                    <SnapshotDiffTable
+                      snapshot={selectedVersion.snapshot}
+                      current={current}
+                      references={references}
+                      disabled={rollbackLoading}
+                      onRestoreField={(field) => {
+                        handleRollback(selectedVersion, field);
+                        setSelectedVersion(null);
+                      }}
+                    />
+                  ) : (
                     <div 
                       className="prose prose-sm max-w-none"
                       dangerouslySetInnerHTML={{ 
                         __html: sanitizeHtml(selectedVersion.htmlContent || selectedVersion.content)
                       }}
                     />
+                  )}
                 </div>
                 <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
                   <button
@@ -420,7 +603,7 @@ const VersionHistoryModal = ({
                     disabled={rollbackLoading}
                     className="px-4 py-2 text-sm bg-blue-600 text-white hover:bg-blue-700 rounded-lg disabled:opacity-50"
                   >
-                    Rollback to this version
+                    {isSnapshotHistory ? 'Restore all fields' : 'Rollback to this version'}
                   </button>
                 </div>
               </motion.div>
@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { toast } from 'react-toastify';
+import { KeyRound, Loader2, Plus, Copy, RefreshCw, Trash2, ExternalLink } from 'lucide-react';
+import api from '../../services/api';
+import AuthContext from '../../context/AuthContext';
+
+const RESOURCE_LABELS = {
+  projects: 'Projects',
+  cards: 'Tasks',
+  comments: 'Comments',
+  time: 'Time',
+  finance: 'Finance',
+  users: 'Users',
+};
+
+const EXPIRY_CHOICES = [7, 30, 90, 365];
+
+const EMPTY_FORM = { name: '', scopes: ['read:cards'], expiresInDays: 90, rateLimit: '' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'never');
+
+/**
+ * ApiTokenSettings - Settings page section for personal access tokens and,
+ * for admins, service API keys used by integrations.
+ *
+ * Tokens are only returned when created or rotated, so the freshly issued
+ * token is shown until dismissed.
+ */
+const ApiTokenSettings = () => {
+  const { user } = useContext(AuthContext);
+  const isAdmin = user?.role?.toLowerCase() === 'admin';
+
+  const [kind, setKind] = useState('personal');
+  const [options, setOptions] = useState(null);
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [issued, setIssued] = useState(null);
+
+  const fetchTokens = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/api/api-tokens', { params: { kind } });
+      setTokens(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load API tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, [kind]);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  useEffect(() => {
+    api.get('/api/api-tokens/options')
+      .then((res) => setOptions(res.data.data))
+      .catch((error) => console.error('Failed to load API token options:', error));
+  }, []);
+
+  const resources = Object.keys(RESOURCE_LABELS).filter((resource) =>
+    options?.scopes.some((scope) => scope.endsWith(`:${resource}`)));
+
+  const toggleScope = (scope) => {
+    setForm((f) => ({
+      ...f,
+      scopes: f.scopes.includes(scope) ? f.scopes.filter((s) => s !== scope) : [...f.scopes, scope],
+    }));
+  };
+
+  const closeForm = () => {
+    setCreating(false);
+    setForm(EMPTY_FORM);
+  };
+
+  const copyToken = async (token) => {
+    try {
+      await navigator.clipboard.writeText(token);
+      toast.success('Token copied');
+    } catch {
+      toast.error('Could not copy — select the token and copy it manually');
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const res = await api.post('/api/api-tokens', {
+        name: form.name.trim(),
+        kind,
+        scopes: form.scopes,
+        expiresInDays: Number(form.expiresInDays),
+        rateLimit: form.rateLimit ? Number(form.rateLimit) : undefined,
+      });
+      setIssued({ id: res.data.data._id, name: res.data.data.name, token: res.data.data.token });
+      closeForm();
+      fetchTokens();
+    } catch (error) {
+      const { message, errors } = error.response?.data || {};
+      toast.error(message || errors?.[0]?.message || 'Failed to create API token');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRotate = async (apiToken) => {
+    if (!window.confirm(`Rotate "${apiToken.name}"? Anything using the current token will stop working.`)) return;
+    try {
+      const res = await api.post(`/api/api-tokens/${apiToken._id}/rotate`);
+      setIssued({ id: apiToken._id, name: apiToken.name, token: res.data.data.token });
+      fetchTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rotate API token');
+    }
+  };
+
+  const handleRevoke = async (apiToken) => {
+    if (!window.confirm(`Revoke "${apiToken.name}"? Anything using it will stop working.`)) return;
+    try {
+      await api.delete(`/api/api-tokens/${apiToken._id}`);
+      setTokens((prev) => prev.filter((t) => t._id !== apiToken._id));
+      if (issued?.id === apiToken._id) setIssued(null);
+      toast.success('API token revoked');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke API token');
+    }
+  };
+
+  const switchKind = (next) => {
+    setKind(next);
+    setIssued(null);
+    closeForm();
+  };
+
+  const expiryChoices = EXPIRY_CHOICES.filter((days) => !options || days <= options.maxLifetimeDays);
+  const maxRateLimit = isAdmin ? options?.maxRateLimit : options?.defaultRateLimits.personal;
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-purple-100 rounded-lg flex items-center justify-center">
+            <KeyRound className="text-purple-600" size={20} />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">API tokens</h3>
+            <p className="text-sm text-gray-600">Let scripts and integrations use the FlowTask API as you, limited to the scopes you choose</p>
+          </div>
+        </div>
+        <a
+          href={`${api.defaults.baseURL || ''}/api/openapi.json`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-1 text-sm text-blue-600 hover:underline whitespace-nowrap"
+        >
+          API reference <ExternalLink size={14} />
+        </a>
+      </div>
+
+      {isAdmin && (
+        <div className="flex gap-1 p-1 bg-gray-100 rounded-lg w-fit">
+          {[['personal', 'Personal tokens'], ['service', 'Service keys']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => switchKind(value)}
+              className={`px-3 py-1.5 text-sm rounded-md ${kind === value ? 'bg-white shadow-sm text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {issued && (
+        <div className="space-y-2 p-4 rounded-lg border border-green-200 bg-green-50">
+          <p className="text-sm text-green-800">
+            Copy the token for <strong>{issued.name}</strong> now. It won't be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 truncate px-3 py-2 bg-white border border-green-200 rounded text-sm font-mono" title={issued.token}>
+              {issued.token}
+            </code>
+            <button
+              type="button"
+              onClick={() => copyToken(issued.token)}
+              className="p-2 rounded-lg border border-green-300 text-green-700 hover:bg-green-100"
+              title="Copy token"
+            >
+              <Copy size={16} />
+            </button>
+          </div>
+          <button type="button" onClick={() => setIssued(null)} className="text-sm text-blue-600 hover:underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" /> Loading…
+        </div>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {kind === 'service' ? 'No service keys yet' : 'You have no API tokens yet'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {tokens.map((apiToken) => {
+            const expired = new Date(apiToken.expiresAt) <= new Date();
+            return (
+              <li key={apiToken._id} className="flex items-start justify-between gap-3 p-3 text-sm">
+                <div className="min-w-0 space-y-1">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900 truncate">{apiToken.name}</span>
+                    <code className="text-xs text-gray-500">…{apiToken.tokenHint}</code>
+                    {expired && <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">Expired</span>}
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {apiToken.scopes.map((scope) => (
+                      <span key={scope} className="px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-700 font-mono">{scope}</span>
+                    ))}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {kind === 'service' && apiToken.user?.name && <>Acts as {apiToken.user.name} · </>}
+                    {apiToken.rateLimit} requests/min · last used {formatDate(apiToken.lastUsedAt)} · {expired ? 'expired' : 'expires'} {formatDate(apiToken.expiresAt)}
+                  </div>
+                </div>
+                <div className="flex shrink-0">
+                  {!expired && (
+                    <button
+                      type="button"
+                      onClick={() => handleRotate(apiToken)}
+                      className="p-1.5 text-gray-400 hover:text-blue-600"
+                      title="Rotate token"
+                    >
+                      <RefreshCw size={16} />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(apiToken)}
+                    className="p-1.5 text-gray-400 hover:text-red-600"
+                    title="Revoke token"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {!creating ? (
+        <button
+          type="button"
+          onClick={() => setCreating(true)}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+        >
+          <Plus size={16} /> {kind === 'service' ? 'New service key' : 'New token'}
+        </button>
+      ) : (
+        <form onSubmit={handleCreate} className="space-y-4 p-4 border border-gray-200 rounded-lg">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              maxLength={100}
+              placeholder={kind === 'service' ? 'e.g. Billing sync' : 'e.g. Reporting script'}
+              value={form.name}
+              onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-2">Scopes</span>
+            <div className="grid grid-cols-[auto_auto_auto] gap-x-6 gap-y-2 w-fit text-sm">
+              {resources.map((resource) => (
+                <React.Fragment key={resource}>
+                  <span className="text-gray-700">{RESOURCE_LABELS[resource]}</span>
+                  {['read', 'write'].map((access) => {
+                    const scope = `${access}:${resource}`;
+                    if (!options.scopes.includes(scope)) return <span key={scope} />;
+                    return (
+                      <label key={scope} className="flex items-center gap-1.5 text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={form.scopes.includes(scope)}
+                          onChange={() => toggleScope(scope)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        {access === 'read' ? 'Read' : 'Write'}
+                      </label>
+                    );
+                  })}
+                </React.Fragment>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">A token never sees more than its owner can, whatever its scopes.</p>
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires after</label>
+              <select
+                value={form.expiresInDays}
+                onChange={(e) => setForm((f) => ({ ...f, expiresInDays: e.target.value }))}
+                className={inputClass}
+              >
+                {expiryChoices.map((days) => (
+                  <option key={days} value={days}>{days} days</option>
+                ))}
+              </select>
+            </div>
+            {options && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Requests per minute</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={maxRateLimit}
+                  placeholder={String(options.defaultRateLimits[kind])}
+                  value={form.rateLimit}
+                  onChange={(e) => setForm((f) => ({ ...f, rateLimit: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <button type="button" onClick={closeForm} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700">Cancel</button>
+            <button
+              type="submit"
+              disabled={!form.name.trim() || form.scopes.length === 0 || submitting}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white disabled:opacity-50"
+            >
+              {submitting && <Loader2 size={16} className="animate-spin" />}
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokenSettings;
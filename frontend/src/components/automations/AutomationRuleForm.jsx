@@ -0,0 +1,370 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Loader2, ArrowDown } from 'lucide-react';
+import {
+  TRIGGER_OPTIONS,
+  ACTION_OPTIONS,
+  PRIORITY_OPTIONS,
+  RECIPIENT_OPTIONS,
+  emptyAction,
+  listStatus,
+} from './automationOptions';
+
+const inputClass =
+  'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const toggleValue = (values = [], value) =>
+  values.includes(value) ? values.filter((v) => v !== value) : [...values, value];
+
+const Chip = ({ active, onClick, color, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`px-2.5 py-1 text-xs font-medium rounded-full border transition-all ${
+      active ? 'text-white border-transparent bg-blue-600' : 'bg-white text-gray-600 border-gray-300 hover:border-gray-400'
+    }`}
+    style={active && color ? { backgroundColor: color } : undefined}
+  >
+    {children}
+  </button>
+);
+
+const Section = ({ title, hint, children }) => (
+  <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+    <div>
+      <h4 className="text-xs font-semibold text-gray-600 uppercase tracking-wider">{title}</h4>
+      {hint && <p className="text-xs text-gray-400 mt-0.5">{hint}</p>}
+    </div>
+    {children}
+  </div>
+);
+
+const TriggerConfig = ({ trigger, onChange, lists, labels }) => {
+  const config = trigger.config || {};
+  const set = (changes) => onChange({ ...trigger, config: { ...config, ...changes } });
+
+  switch (trigger.type) {
+    case 'card_moved':
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          <select value={config.fromList || ''} onChange={(e) => set({ fromList: e.target.value || undefined })} className={inputClass}>
+            <option value="">From any list</option>
+            {lists.map((l) => <option key={l._id} value={l._id}>From {l.title}</option>)}
+          </select>
+          <select value={config.toList || ''} onChange={(e) => set({ toList: e.target.value || undefined })} className={inputClass}>
+            <option value="">To any list</option>
+            {lists.map((l) => <option key={l._id} value={l._id}>To {l.title}</option>)}
+          </select>
+        </div>
+      );
+    case 'label_added':
+      return (
+        <select value={config.label || ''} onChange={(e) => set({ label: e.target.value || undefined })} className={inputClass}>
+          <option value="">Any label</option>
+          {labels.map((l) => <option key={l._id} value={l._id}>{l.name}</option>)}
+        </select>
+      );
+    case 'time_threshold_exceeded': {
+      const mode = config.percentOfEstimate !== undefined ? 'percent' : 'hours';
+      return (
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            step={mode === 'percent' ? 5 : 0.5}
+            value={(mode === 'percent' ? config.percentOfEstimate : config.hours) ?? ''}
+            onChange={(e) => onChange({
+              ...trigger,
+              config: mode === 'percent' ? { percentOfEstimate: e.target.value } : { hours: e.target.value },
+            })}
+            className={`${inputClass} w-28`}
+          />
+          <select
+            value={mode}
+            onChange={(e) => onChange({
+              ...trigger,
+              config: e.target.value === 'percent' ? { percentOfEstimate: 100 } : { hours: '' },
+            })}
+            className={inputClass}
+          >
+            <option value="hours">hours logged</option>
+            <option value="percent">% of the estimate</option>
+          </select>
+        </div>
+      );
+    }
+    case 'due_date_passed':
+      return <p className="text-xs text-gray-500">Runs once per due date for open tasks that become overdue.</p>;
+    default:
+      return null;
+  }
+};
+
+const ActionConfig = ({ action, onChange, lists, labels, members }) => {
+  const config = action.config || {};
+  const set = (changes) => onChange({ ...action, config: { ...config, ...changes } });
+
+  switch (action.type) {
+    case 'assign_user':
+      return (
+        <select value={config.user || ''} onChange={(e) => set({ user: e.target.value })} className={inputClass}>
+          <option value="">Choose a user…</option>
+          {members.map((m) => <option key={m._id} value={m._id}>{m.name || m.email}</option>)}
+        </select>
+      );
+    case 'move_to_list':
+      return (
+        <select value={config.list || ''} onChange={(e) => set({ list: e.target.value })} className={inputClass}>
+          <option value="">Choose a list…</option>
+          {lists.map((l) => <option key={l._id} value={l._id}>{l.title}</option>)}
+        </select>
+      );
+    case 'set_status': {
+      const statuses = [...new Set(lists.map((l) => listStatus(l.title)))];
+      return (
+        <select value={config.status || ''} onChange={(e) => set({ status: e.target.value })} className={inputClass}>
+          <option value="">Choose a status…</option>
+          {statuses.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+      );
+    }
+    case 'add_label':
+      return (
+        <select value={config.label || ''} onChange={(e) => set({ label: e.target.value })} className={inputClass}>
+          <option value="">Choose a label…</option>
+          {labels.map((l) => <option key={l._id} value={l._id}>{l.name}</option>)}
+        </select>
+      );
+    case 'post_comment':
+      return (
+        <textarea
+          rows={2}
+          maxLength={5000}
+          value={config.text || ''}
+          onChange={(e) => set({ text: e.target.value })}
+          placeholder="Comment text"
+          className={`${inputClass} resize-none`}
+        />
+      );
+    case 'create_subtask':
+      return (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            maxLength={200}
+            value={config.title || ''}
+            onChange={(e) => set({ title: e.target.value })}
+            placeholder="Subtask title"
+            className={inputClass}
+          />
+          <select value={config.priority || 'medium'} onChange={(e) => set({ priority: e.target.value })} className={`${inputClass} w-32`}>
+            {PRIORITY_OPTIONS.filter((p) => p.value !== 'none').map((p) => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+      );
+    case 'send_notification':
+      return (
+        <div className="space-y-2">
+          <select value={config.recipients || 'assignees'} onChange={(e) => set({ recipients: e.target.value })} className={inputClass}>
+            {RECIPIENT_OPTIONS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+          </select>
+          {config.recipients === 'users' && (
+            <div className="flex flex-wrap gap-1.5">
+              {members.map((m) => (
+                <Chip key={m._id} active={(config.users || []).includes(m._id)} onClick={() => set({ users: toggleValue(config.users, m._id) })}>
+                  {m.name || m.email}
+                </Chip>
+              ))}
+            </div>
+          )}
+          <input
+            type="text"
+            maxLength={500}
+            value={config.message || ''}
+            onChange={(e) => set({ message: e.target.value })}
+            placeholder="Notification message"
+            className={inputClass}
+          />
+        </div>
+      );
+    default:
+      return null;
+  }
+};
+
+/**
+ * AutomationRuleForm - Builds one "when X happens, do Y" rule: a trigger,
+ * optional conditions on the task, and one or more actions run in order.
+ */
+const AutomationRuleForm = ({ initialRule, lists = [], labels = [], members = [], onSubmit, onCancel }) => {
+  const [rule, setRule] = useState(initialRule);
+  const [saving, setSaving] = useState(false);
+
+  const setConditions = (changes) => setRule((prev) => ({ ...prev, conditions: { ...prev.conditions, ...changes } }));
+
+  const updateAction = (index, action) =>
+    setRule((prev) => ({ ...prev, actions: prev.actions.map((a, i) => (i === index ? action : a)) }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSubmit(rule);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const { conditions } = rule;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <input
+        type="text"
+        value={rule.name}
+        maxLength={100}
+        onChange={(e) => setRule((prev) => ({ ...prev, name: e.target.value }))}
+        placeholder="Rule name, e.g. Hand over to QA"
+        className={inputClass}
+        required
+      />
+
+      <Section title="When">
+        <select
+          value={rule.trigger.type}
+          onChange={(e) => setRule((prev) => ({ ...prev, trigger: { type: e.target.value, config: {} } }))}
+          className={inputClass}
+        >
+          {TRIGGER_OPTIONS.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
+        <TriggerConfig
+          trigger={rule.trigger}
+          onChange={(trigger) => setRule((prev) => ({ ...prev, trigger }))}
+          lists={lists}
+          labels={labels}
+        />
+      </Section>
+
+      <Section title="Only if" hint="Leave empty to run for every task">
+        <div>
+          <div className="text-xs text-gray-500 mb-1">Priority</div>
+          <div className="flex flex-wrap gap-1.5">
+            {PRIORITY_OPTIONS.map((p) => (
+              <Chip
+                key={p.value}
+                active={conditions.priorities.includes(p.value)}
+                onClick={() => setConditions({ priorities: toggleValue(conditions.priorities, p.value) })}
+              >
+                {p.label}
+              </Chip>
+            ))}
+          </div>
+        </div>
+        {members.length > 0 && (
+          <div>
+            <div className="text-xs text-gray-500 mb-1">Assigned to any of</div>
+            <div className="flex flex-wrap gap-1.5">
+              {members.map((m) => (
+                <Chip
+                  key={m._id}
+                  active={conditions.assignees.includes(m._id)}
+                  onClick={() => setConditions({ assignees: toggleValue(conditions.assignees, m._id) })}
+                >
+                  {m.name || m.email}
+                </Chip>
+              ))}
+            </div>
+          </div>
+        )}
+        {labels.length > 0 && (
+          <div>
+            <div className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+              Has
+              <select
+                value={conditions.labelMatch}
+                onChange={(e) => setConditions({ labelMatch: e.target.value })}
+                className="px-1.5 py-0.5 border border-gray-300 rounded text-xs bg-white"
+              >
+                <option value="any">any</option>
+                <option value="all">all</option>
+              </select>
+              of these labels
+            </div>
+            <div className="flex flex-wrap gap-1.5">
+              {labels.map((l) => (
+                <Chip
+                  key={l._id}
+                  color={l.color}
+                  active={conditions.labels.includes(l._id)}
+                  onClick={() => setConditions({ labels: toggleValue(conditions.labels, l._id) })}
+                >
+                  {l.name}
+                </Chip>
+              ))}
+            </div>
+          </div>
+        )}
+      </Section>
+
+      <Section title="Then">
+        {rule.actions.map((action, index) => (
+          <div key={index} className="space-y-2">
+            {index > 0 && <ArrowDown size={14} className="mx-auto text-gray-300" />}
+            <div className="flex items-center gap-2">
+              <select
+                value={action.type}
+                onChange={(e) => updateAction(index, emptyAction(e.target.value))}
+                className={inputClass}
+              >
+                {ACTION_OPTIONS.map((a) => <option key={a.value} value={a.value}>{a.label}</option>)}
+              </select>
+              {rule.actions.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => setRule((prev) => ({ ...prev, actions: prev.actions.filter((_, i) => i !== index) }))}
+                  className="p-2 text-gray-400 hover:text-red-600"
+                  title="Remove action"
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+            <ActionConfig
+              action={action}
+              onChange={(next) => updateAction(index, next)}
+              lists={lists}
+              labels={labels}
+              members={members}
+            />
+          </div>
+        ))}
+        {rule.actions.length < 10 && (
+          <button
+            type="button"
+            onClick={() => setRule((prev) => ({ ...prev, actions: [...prev.actions, emptyAction()] }))}
+            className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+          >
+            <Plus size={12} /> Add action
+          </button>
+        )}
+      </Section>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving && <Loader2 size={14} className="animate-spin" />}
+          Save rule
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AutomationRuleForm;
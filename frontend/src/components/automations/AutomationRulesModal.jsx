@@ -0,0 +1,299 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Zap, Plus, Edit2, Trash2, Loader2, History, CheckCircle2, AlertTriangle, XCircle, MinusCircle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import Database from '../../services/database';
+import DeletePopup from '../ui/DeletePopup';
+import AutomationRuleForm from './AutomationRuleForm';
+import { actionLabel, emptyRule, triggerLabel, SKIP_REASON_LABELS } from './automationOptions';
+
+const STATUS_STYLES = {
+  success: { icon: CheckCircle2, className: 'text-green-600' },
+  partial: { icon: AlertTriangle, className: 'text-amber-500' },
+  failed: { icon: XCircle, className: 'text-red-600' },
+  skipped: { icon: MinusCircle, className: 'text-gray-400' },
+};
+
+const toFormRule = (rule) => ({
+  name: rule.name,
+  description: rule.description || '',
+  isActive: rule.isActive,
+  trigger: { type: rule.trigger.type, config: rule.trigger.config || {} },
+  conditions: {
+    priorities: rule.conditions?.priorities || [],
+    assignees: rule.conditions?.assignees || [],
+    labels: rule.conditions?.labels || [],
+    labelMatch: rule.conditions?.labelMatch || 'any',
+  },
+  actions: rule.actions.map((a) => ({ type: a.type, config: a.config || {} })),
+});
+
+const ExecutionLog = ({ boardId }) => {
+  const [executions, setExecutions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Database.getAutomationExecutions({ boardId })
+      .then((res) => {
+        if (!cancelled) setExecutions(res?.data || []);
+      })
+      .catch((error) => console.error('Error fetching automation executions:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [boardId]);
+
+  if (loading) {
+    return <div className="flex justify-center py-8"><Loader2 size={20} className="animate-spin text-gray-400" /></div>;
+  }
+  if (executions.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-8">No automation has run in this project yet.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+      {executions.map((execution) => {
+        const { icon: StatusIcon, className } = STATUS_STYLES[execution.status] || STATUS_STYLES.skipped;
+        return (
+          <li key={execution._id} className="px-3 py-2 text-sm">
+            <div className="flex items-center gap-2">
+              <StatusIcon size={14} className={className} />
+              <span className="font-medium text-gray-800 truncate">{execution.ruleName}</span>
+              <span className="text-gray-400">on</span>
+              <span className="text-gray-700 truncate">{execution.card?.title || 'deleted task'}</span>
+              <span className="ml-auto text-xs text-gray-400 whitespace-nowrap">
+                {new Date(execution.createdAt).toLocaleString()}
+              </span>
+            </div>
+            <div className="pl-6 text-xs text-gray-500 space-y-0.5 mt-0.5">
+              <div>
+                {triggerLabel(execution.trigger)}
+                {execution.triggeredBy?.name && ` · by ${execution.triggeredBy.name}`}
+                {execution.depth > 0 && ` · chained (step ${execution.depth + 1})`}
+              </div>
+              {execution.skipReason && <div>{SKIP_REASON_LABELS[execution.skipReason] || execution.skipReason}</div>}
+              {(execution.actions || []).map((result, i) => (
+                <div key={i} className={result.ok ? 'text-gray-500' : 'text-red-600'}>
+                  {actionLabel(result.type)}: {result.detail || (result.ok ? 'done' : 'failed')}
+                </div>
+              ))}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+/**
+ * AutomationRulesModal - A project's automation rules ("when X happens, do Y")
+ * and the log of what they did. Rules are evaluated by the backend whenever
+ * a task is moved, labelled, finishes its subtasks, logs time or goes overdue.
+ */
+const AutomationRulesModal = ({ isOpen, onClose, boardId, lists = [], labels = [], members = [] }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [tab, setTab] = useState('rules');
+  const [editing, setEditing] = useState(null); // null | 'new' | rule
+  const [ruleToDelete, setRuleToDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [limits, setLimits] = useState(null);
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await Database.getAutomationRules(boardId);
+      setRules(res?.data || []);
+    } catch (error) {
+      console.error('Error fetching automation rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [boardId]);
+
+  useEffect(() => {
+    if (!isOpen || !boardId) return;
+    setTab('rules');
+    setEditing(null);
+    fetchRules();
+    Database.getAutomationMeta()
+      .then((res) => setLimits(res?.data?.limits || null))
+      .catch(() => {});
+  }, [isOpen, boardId, fetchRules]);
+
+  const handleSubmit = async (rule) => {
+    try {
+      if (editing === 'new') {
+        const res = await Database.createAutomationRule({ ...rule, boardId });
+        setRules((prev) => [...prev, res.data]);
+        toast.success('Automation created');
+      } else {
+        const res = await Database.updateAutomationRule(editing._id, rule);
+        setRules((prev) => prev.map((r) => (r._id === res.data._id ? res.data : r)));
+        toast.success('Automation updated');
+      }
+      setEditing(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to save automation');
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      const res = await Database.updateAutomationRule(rule._id, { isActive: !rule.isActive });
+      setRules((prev) => prev.map((r) => (r._id === res.data._id ? res.data : r)));
+    } catch (err) {
+      toast.error(err.message || 'Failed to update automation');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!ruleToDelete) return;
+    setDeleting(true);
+    try {
+      await Database.deleteAutomationRule(ruleToDelete._id);
+      setRules((prev) => prev.filter((r) => r._id !== ruleToDelete._id));
+      toast.success('Automation deleted');
+      setRuleToDelete(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete automation');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/40 flex items-center justify-center z-[100]"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+          className="bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-4 overflow-hidden max-h-[90vh] flex flex-col"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+              <Zap size={20} className="text-violet-600" />
+              Automations
+            </h3>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => { setEditing(null); setTab(tab === 'rules' ? 'log' : 'rules'); }}
+                className={`flex items-center gap-1 px-2.5 py-1.5 text-sm rounded-lg transition-colors ${
+                  tab === 'log' ? 'bg-violet-50 text-violet-700' : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <History size={15} />
+                Execution log
+              </button>
+              <button
+                onClick={onClose}
+                className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                <X size={20} />
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-y-auto p-4 space-y-4">
+            {tab === 'log' ? (
+              <ExecutionLog boardId={boardId} />
+            ) : editing ? (
+              <AutomationRuleForm
+                initialRule={editing === 'new' ? emptyRule() : toFormRule(editing)}
+                lists={lists}
+                labels={labels}
+                members={members}
+                onSubmit={handleSubmit}
+                onCancel={() => setEditing(null)}
+              />
+            ) : (
+              <>
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-gray-500">Run actions automatically when something happens to a task.</p>
+                  <button
+                    onClick={() => setEditing('new')}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 flex-shrink-0"
+                  >
+                    <Plus size={14} /> New rule
+                  </button>
+                </div>
+
+                {loading ? (
+                  <div className="flex justify-center py-8"><Loader2 size={20} className="animate-spin text-gray-400" /></div>
+                ) : rules.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-8">No automations yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    {rules.map((rule) => (
+                      <li key={rule._id} className="flex items-center gap-3 px-3 py-2.5">
+                        <button
+                          type="button"
+                          onClick={() => handleToggle(rule)}
+                          className={`relative w-9 h-5 rounded-full transition-colors flex-shrink-0 ${rule.isActive ? 'bg-violet-600' : 'bg-gray-300'}`}
+                          title={rule.isActive ? 'Pause rule' : 'Resume rule'}
+                          aria-pressed={rule.isActive}
+                        >
+                          <span className={`absolute top-0.5 w-4 h-4 rounded-full bg-white shadow transition-all ${rule.isActive ? 'left-4' : 'left-0.5'}`} />
+                        </button>
+                        <div className="flex-1 min-w-0">
+                          <div className={`text-sm font-medium truncate ${rule.isActive ? 'text-gray-800' : 'text-gray-400'}`}>{rule.name}</div>
+                          <div className="text-xs text-gray-500 truncate">
+                            {triggerLabel(rule.trigger.type)} → {rule.actions.map((a) => actionLabel(a.type)).join(', ')}
+                          </div>
+                          <div className="text-[11px] text-gray-400">
+                            Ran {rule.stats?.executionCount || 0} times
+                            {rule.stats?.lastExecutedAt && ` · last ${new Date(rule.stats.lastExecutedAt).toLocaleString()} (${rule.stats.lastStatus})`}
+                          </div>
+                        </div>
+                        <button onClick={() => setEditing(rule)} className="p-1.5 text-gray-400 hover:text-blue-600" title="Edit rule">
+                          <Edit2 size={15} />
+                        </button>
+                        <button onClick={() => setRuleToDelete(rule)} className="p-1.5 text-gray-400 hover:text-red-600" title="Delete rule">
+                          <Trash2 size={15} />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {limits && (
+                  <p className="text-xs text-gray-400">
+                    Loop protection: a rule never re-triggers itself through other rules, chains stop after{' '}
+                    {limits.maxChainDepth} rules, and a rule runs at most {limits.maxRunsPerCardPerHour} times per task per hour.
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+
+      <DeletePopup
+        isOpen={Boolean(ruleToDelete)}
+        onCancel={() => setRuleToDelete(null)}
+        onConfirm={handleDelete}
+        itemType="automationRule"
+        isLoading={deleting}
+      />
+    </AnimatePresence>
+  );
+};
+
+export default AutomationRulesModal;
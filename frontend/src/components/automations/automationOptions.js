@@ -0,0 +1,62 @@
+// Labels for the automation rule builder. The backend validates the same
+// values (models/AutomationRule.js).
+
+export const TRIGGER_OPTIONS = [
+  { value: 'card_moved', label: 'Task moved to a list' },
+  { value: 'label_added', label: 'Label added to a task' },
+  { value: 'subtasks_completed', label: 'All subtasks completed' },
+  { value: 'due_date_passed', label: 'Due date passed' },
+  { value: 'time_threshold_exceeded', label: 'Logged time exceeds a threshold' },
+];
+
+export const ACTION_OPTIONS = [
+  { value: 'assign_user', label: 'Assign user' },
+  { value: 'move_to_list', label: 'Move to list' },
+  { value: 'set_status', label: 'Set status' },
+  { value: 'add_label', label: 'Add label' },
+  { value: 'post_comment', label: 'Post comment' },
+  { value: 'create_subtask', label: 'Create subtask' },
+  { value: 'send_notification', label: 'Send notification' },
+];
+
+export const PRIORITY_OPTIONS = [
+  { value: 'critical', label: 'Critical' },
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' },
+  { value: 'none', label: 'No priority' },
+];
+
+export const RECIPIENT_OPTIONS = [
+  { value: 'assignees', label: 'Task assignees' },
+  { value: 'members', label: 'Assignees and members' },
+  { value: 'creator', label: 'Task creator' },
+  { value: 'users', label: 'Specific users' },
+];
+
+export const SKIP_REASON_LABELS = {
+  loop_detected: 'Skipped: rule already ran earlier in this chain',
+  depth_exceeded: 'Skipped: too many rules triggered each other',
+  rate_limited: 'Skipped: ran too often on this task in the last hour',
+};
+
+export const triggerLabel = (type) => TRIGGER_OPTIONS.find((t) => t.value === type)?.label || type;
+
+export const actionLabel = (type) => ACTION_OPTIONS.find((a) => a.value === type)?.label || type;
+
+// Card status is derived from the list title (see cardController.moveCard)
+export const listStatus = (title = '') => title.toLowerCase().replace(/\s+/g, '-');
+
+export const emptyAction = (type = 'assign_user') => ({
+  type,
+  config: type === 'send_notification' ? { recipients: 'assignees', users: [], message: '' } : {},
+});
+
+export const emptyRule = () => ({
+  name: '',
+  description: '',
+  isActive: true,
+  trigger: { type: 'card_moved', config: {} },
+  conditions: { priorities: [], assignees: [], labels: [], labelMatch: 'any' },
+  actions: [emptyAction()],
+});
@@ -0,0 +1,279 @@
+import React, { memo, useState, useEffect, useContext, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { X, Rss, Copy, RefreshCw, Trash2, Plus, Loader } from 'lucide-react';
+import DepartmentContext from '../../context/DepartmentContext';
+import AuthContext from '../../context/AuthContext';
+import Database from '../../services/database';
+
+const SOURCE_LABELS = {
+  tasks: 'My assigned tasks',
+  reminders: 'Client reminders',
+  milestones: 'Project milestones',
+};
+
+/**
+ * CalendarFeedModal - Manage .ics subscription URLs for external calendars
+ * (Outlook, Google Calendar, Apple Calendar).
+ *
+ * Feed URLs are secrets and are only returned when a feed is created or its
+ * URL is reset, so the freshly issued URL is shown until the modal closes.
+ */
+const CalendarFeedModal = memo(({ isOpen, onClose }) => {
+  const { departments = [], currentDepartment } = useContext(DepartmentContext);
+  const { user } = useContext(AuthContext);
+  const canUseReminders = ['admin', 'manager'].includes(user?.role?.toLowerCase());
+
+  const [feeds, setFeeds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [issued, setIssued] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [form, setForm] = useState({
+    name: '',
+    departmentId: '',
+    projectId: '',
+    sources: ['tasks', 'milestones'],
+  });
+
+  const loadFeeds = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await Database.getCalendarFeeds();
+      setFeeds(res.data || []);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setIssued(null);
+    setForm((f) => ({ ...f, departmentId: currentDepartment?._id && currentDepartment._id !== 'all' ? currentDepartment._id : '' }));
+    loadFeeds();
+  }, [isOpen, currentDepartment, loadFeeds]);
+
+  useEffect(() => {
+    if (!form.departmentId) {
+      setProjects([]);
+      return;
+    }
+    Database.getBoardsByDepartment(form.departmentId)
+      .then((res) => setProjects(res.data || []))
+      .catch(() => setProjects([]));
+  }, [form.departmentId]);
+
+  const toggleSource = (source) => {
+    setForm((f) => ({
+      ...f,
+      sources: f.sources.includes(source) ? f.sources.filter((s) => s !== source) : [...f.sources, source],
+    }));
+  };
+
+  const copyUrl = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Feed URL copied');
+    } catch {
+      toast.error('Could not copy — select the URL and copy it manually');
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!form.sources.length) {
+      toast.warning('Pick at least one thing to include');
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await Database.createCalendarFeed({
+        name: form.name.trim() || undefined,
+        departments: form.departmentId ? [form.departmentId] : [],
+        projects: form.projectId ? [form.projectId] : [],
+        sources: form.sources,
+      });
+      setIssued({ id: res.data._id, url: res.data.url });
+      setForm((f) => ({ ...f, name: '', projectId: '' }));
+      loadFeeds();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotate = async (feed) => {
+    if (!window.confirm(`Reset the URL for "${feed.name}"? Calendars subscribed to the old URL will stop updating.`)) return;
+    try {
+      const res = await Database.rotateCalendarFeed(feed._id);
+      setIssued({ id: feed._id, url: res.data.url });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRevoke = async (feed) => {
+    if (!window.confirm(`Revoke "${feed.name}"? Subscribed calendars will stop receiving updates.`)) return;
+    try {
+      await Database.revokeCalendarFeed(feed._id);
+      setFeeds((prev) => prev.filter((f) => f._id !== feed._id));
+      if (issued?.id === feed._id) setIssued(null);
+      toast.success('Calendar feed revoked');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-900 rounded-xl shadow-xl p-6 space-y-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <Rss className="w-5 h-5 text-orange-500" />
+              Calendar subscriptions
+            </h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Add FlowTask to Outlook, Google Calendar or Apple Calendar by subscribing to a feed URL.
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {issued && (
+          <div className="rounded-lg border border-emerald-200 bg-emerald-50 dark:bg-emerald-900/20 dark:border-emerald-800 p-3 space-y-2">
+            <p className="text-sm font-medium text-emerald-800 dark:text-emerald-300">
+              Copy this URL now — it will not be shown again.
+            </p>
+            <div className="flex gap-2">
+              <input readOnly value={issued.url} onFocus={(e) => e.target.select()} className={`${inputClass} font-mono text-xs`} />
+              <button
+                type="button"
+                onClick={() => copyUrl(issued.url)}
+                className="px-3 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700"
+                title="Copy URL"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3">
+          <h3 className="text-xs font-semibold uppercase text-gray-500">New feed</h3>
+          <input
+            type="text"
+            maxLength={100}
+            placeholder="Feed name (e.g. My FlowTask deadlines)"
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+            className={inputClass}
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={form.departmentId}
+              onChange={(e) => setForm((f) => ({ ...f, departmentId: e.target.value, projectId: '' }))}
+              className={inputClass}
+            >
+              <option value="">All departments</option>
+              {departments.filter((d) => d._id !== 'all').map((d) => (
+                <option key={d._id} value={d._id}>{d.name}</option>
+              ))}
+            </select>
+            <select
+              value={form.projectId}
+              onChange={(e) => setForm((f) => ({ ...f, projectId: e.target.value }))}
+              disabled={!form.departmentId}
+              className={`${inputClass} disabled:opacity-50`}
+            >
+              <option value="">All projects</option>
+              {projects.map((p) => (
+                <option key={p._id} value={p._id}>{p.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(SOURCE_LABELS)
+              .filter(([source]) => source !== 'reminders' || canUseReminders)
+              .map(([source, label]) => (
+                <label key={source} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.sources.includes(source)}
+                    onChange={() => toggleSource(source)}
+                  />
+                  {label}
+                </label>
+              ))}
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? <Loader className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Create feed URL
+          </button>
+        </form>
+
+        <section className="space-y-2 border-t border-gray-200 dark:border-gray-700 pt-4">
+          <h3 className="text-xs font-semibold uppercase text-gray-500">Active feeds</h3>
+          {loading && <p className="text-sm text-gray-400">Loading…</p>}
+          {!loading && feeds.length === 0 && <p className="text-sm text-gray-400">No feeds yet</p>}
+          <ul className="space-y-2">
+            {feeds.map((feed) => (
+              <li key={feed._id} className="flex items-center justify-between gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-800">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {feed.name}
+                    <span className="ml-2 font-mono text-xs text-gray-400">…{feed.tokenHint}</span>
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {[
+                      feed.projects?.map((p) => p.name).join(', ') || feed.departments?.map((d) => d.name).join(', ') || 'All projects',
+                      (feed.sources || []).map((s) => SOURCE_LABELS[s]).join(' · '),
+                      feed.lastAccessedAt ? `synced ${new Date(feed.lastAccessedAt).toLocaleString()}` : 'never synced',
+                    ].join(' — ')}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => handleRotate(feed)}
+                    className="p-1.5 text-gray-400 hover:text-blue-600"
+                    title="Reset URL"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(feed)}
+                    className="p-1.5 text-gray-400 hover:text-red-600"
+                    title="Revoke"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+});
+
+CalendarFeedModal.displayName = 'CalendarFeedModal';
+
+export default CalendarFeedModal;
@@ -0,0 +1,221 @@
+import React, { memo, useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { X, Plane, Plus, Loader, Ban } from 'lucide-react';
+import Database from '../../services/database';
+
+const LEAVE_TYPE_LABELS = {
+  vacation: 'Vacation',
+  sick: 'Sick leave',
+  personal: 'Personal',
+  other: 'Other',
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-700',
+  approved: 'bg-emerald-100 text-emerald-700',
+  rejected: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-500',
+};
+
+const toInputDate = (value) => new Date(value).toISOString().split('T')[0];
+
+const formatRange = (start, end) => {
+  const options = { month: 'short', day: 'numeric', year: 'numeric' };
+  const from = new Date(start).toLocaleDateString('en-US', options);
+  const to = new Date(end).toLocaleDateString('en-US', options);
+  return from === to ? from : `${from} – ${to}`;
+};
+
+/**
+ * LeaveRequestModal - Request time off and follow up on earlier requests.
+ * Leave only blocks the calendar, capacity and recurrences once a manager
+ * approves it from the HR panel.
+ */
+const LeaveRequestModal = memo(({ isOpen, onClose, onChanged, initialDate }) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ startDate: '', endDate: '', type: 'vacation', reason: '' });
+
+  const loadRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await Database.getLeaveRequests({ scope: 'mine' });
+      setRequests(res.data || []);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const day = toInputDate(initialDate || new Date());
+    setForm({ startDate: day, endDate: day, type: 'vacation', reason: '' });
+    loadRequests();
+  }, [isOpen, initialDate, loadRequests]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (form.endDate < form.startDate) {
+      toast.warning('The end date cannot be before the start date');
+      return;
+    }
+    setSaving(true);
+    try {
+      await Database.createLeaveRequest({
+        startDate: form.startDate,
+        endDate: form.endDate,
+        type: form.type,
+        reason: form.reason.trim() || undefined,
+      });
+      toast.success('Leave requested — your manager has been notified');
+      setForm((f) => ({ ...f, reason: '' }));
+      loadRequests();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Cancel your leave for ${formatRange(request.startDate, request.endDate)}?`)) return;
+    try {
+      await Database.cancelLeaveRequest(request._id);
+      toast.success('Leave request cancelled');
+      loadRequests();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-900 rounded-xl shadow-xl p-6 space-y-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <Plane className="w-5 h-5 text-teal-500" />
+              Time off
+            </h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Requests go to your department manager for approval.
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <h3 className="text-xs font-semibold uppercase text-gray-500">New request</h3>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-500 space-y-1">
+              <span>From</span>
+              <input
+                type="date"
+                required
+                value={form.startDate}
+                onChange={(e) => setForm((f) => ({
+                  ...f,
+                  startDate: e.target.value,
+                  endDate: f.endDate < e.target.value ? e.target.value : f.endDate,
+                }))}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-xs text-gray-500 space-y-1">
+              <span>To</span>
+              <input
+                type="date"
+                required
+                min={form.startDate}
+                value={form.endDate}
+                onChange={(e) => setForm((f) => ({ ...f, endDate: e.target.value }))}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <select
+            value={form.type}
+            onChange={(e) => setForm((f) => ({ ...f, type: e.target.value }))}
+            className={inputClass}
+          >
+            {Object.entries(LEAVE_TYPE_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <textarea
+            rows={2}
+            maxLength={500}
+            placeholder="Reason (optional)"
+            value={form.reason}
+            onChange={(e) => setForm((f) => ({ ...f, reason: e.target.value }))}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-teal-600 text-white text-sm hover:bg-teal-700 disabled:opacity-50"
+          >
+            {saving ? <Loader className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Request time off
+          </button>
+        </form>
+
+        <section className="space-y-2 border-t border-gray-200 dark:border-gray-700 pt-4">
+          <h3 className="text-xs font-semibold uppercase text-gray-500">My requests</h3>
+          {loading && <p className="text-sm text-gray-400">Loading…</p>}
+          {!loading && requests.length === 0 && <p className="text-sm text-gray-400">No leave requested yet</p>}
+          <ul className="space-y-2">
+            {requests.map((request) => (
+              <li key={request._id} className="flex items-center justify-between gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-800">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">
+                    {formatRange(request.startDate, request.endDate)}
+                    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[request.status]}`}>
+                      {request.status}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {[
+                      LEAVE_TYPE_LABELS[request.type],
+                      request.reason,
+                      request.reviewedBy && `${request.status} by ${request.reviewedBy.name}`,
+                      request.reviewNote,
+                    ].filter(Boolean).join(' — ')}
+                  </div>
+                </div>
+                {['pending', 'approved'].includes(request.status) && (
+                  <button
+                    type="button"
+                    onClick={() => handleCancel(request)}
+                    className="p-1.5 text-gray-400 hover:text-red-600 shrink-0"
+                    title="Cancel request"
+                  >
+                    <Ban className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+});
+
+LeaveRequestModal.displayName = 'LeaveRequestModal';
+
+export default LeaveRequestModal;
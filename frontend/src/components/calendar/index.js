@@ -9,6 +9,8 @@ export { default as ReminderSidePanel } from './ReminderSidePanel';
 export { default as GlobalTimeline } from './GlobalTimeline';
 export { default as CalendarSearch } from './CalendarSearch';
 export { default as ExportTools } from './ExportTools';
+export { default as CalendarFeedModal } from './CalendarFeedModal';
+export { default as LeaveRequestModal } from './LeaveRequestModal';
 
 // Task Calendar Components
 export { default as CalendarTaskModal } from './CalendarTaskModal';
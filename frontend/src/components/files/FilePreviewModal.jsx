@@ -32,6 +32,7 @@ import {
   Expand
 } from 'lucide-react';
 import { toast } from 'react-toastify';
+import attachmentService from '../../services/attachmentService';
 
 // File type detection utilities
 const getFileExtension = (filename) => {
@@ -420,6 +421,23 @@ const FilePreviewModal = ({
       return;
     }
     
+    // Stored attachments download through a signed URL from the backend
+    if (currentFile?._id && currentFile?.publicId) {
+      try {
+        const { url } = await attachmentService.getDownloadUrl(currentFile._id);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        toast.success('Download started');
+        return;
+      } catch (err) {
+        console.error('Signed download failed, falling back to direct download:', err);
+      }
+    }
+
     try {
       const response = await fetch(fileUrl);
       const blob = await response.blob();
@@ -437,7 +455,7 @@ const FilePreviewModal = ({
       console.error('Download failed:', err);
       window.open(fileUrl, '_blank');
     }
-  }, [fileUrl, fileName]);
+  }, [fileUrl, fileName, currentFile]);
 
   const handleOpenInNewTab = useCallback(() => {
     if (fileUrl) {
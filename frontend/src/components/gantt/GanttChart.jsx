@@ -0,0 +1,289 @@
+import React, { memo, useMemo, useRef, useState, useCallback } from 'react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROW_HEIGHT = 36;
+const BAR_HEIGHT = 20;
+const HEADER_HEIGHT = 44;
+const LABEL_WIDTH = 240;
+
+const startOfDay = (value) => {
+  const d = new Date(value);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const addDays = (value, days) => new Date(new Date(value).getTime() + days * DAY_MS);
+
+const priorityColors = {
+  critical: 'bg-red-500',
+  high: 'bg-orange-500',
+  medium: 'bg-blue-500',
+  low: 'bg-emerald-500',
+};
+
+/**
+ * Resolve the bar span for a card. Cards with only one of the two dates
+ * are drawn as a single-day bar on that date.
+ */
+const getTaskSpan = (task) => {
+  const start = task.startDate || task.dueDate;
+  const end = task.dueDate || task.startDate;
+  if (!start) return null;
+  return { start: new Date(start), end: new Date(end) };
+};
+
+/**
+ * GanttChart - Day-grid timeline with draggable/resizable task bars and
+ * finish-to-start / start-to-start dependency arrows.
+ *
+ * Dragging the bar body moves both dates; the edge handles resize start or
+ * due. Changes are committed once on pointer release via `onReschedule`.
+ */
+const GanttChart = memo(({
+  tasks = [],
+  dayWidth = 32,
+  selectedId = null,
+  onSelect,
+  onReschedule,
+}) => {
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+
+  const scheduled = useMemo(
+    () => tasks.filter((task) => getTaskSpan(task)),
+    [tasks]
+  );
+
+  const range = useMemo(() => {
+    if (!scheduled.length) {
+      const today = startOfDay(new Date());
+      return { start: addDays(today, -3), days: 30 };
+    }
+    let min = Infinity;
+    let max = -Infinity;
+    scheduled.forEach((task) => {
+      const { start, end } = getTaskSpan(task);
+      min = Math.min(min, start.getTime());
+      max = Math.max(max, end.getTime());
+    });
+    const start = addDays(startOfDay(min), -3);
+    const days = Math.max(30, Math.ceil((startOfDay(max) - start) / DAY_MS) + 10);
+    return { start, days };
+  }, [scheduled]);
+
+  // Apply the in-flight drag offset to the task being dragged
+  const spanFor = useCallback((task) => {
+    const span = getTaskSpan(task);
+    if (!drag || drag.id !== task._id || !drag.deltaDays) return span;
+    const { mode, deltaDays } = drag;
+    const start = mode === 'end' ? span.start : addDays(span.start, deltaDays);
+    const end = mode === 'start' ? span.end : addDays(span.end, deltaDays);
+    return start > end ? (mode === 'start' ? { start: end, end } : { start, end: start }) : { start, end };
+  }, [drag]);
+
+  const geometry = useMemo(() => {
+    const map = new Map();
+    scheduled.forEach((task, index) => {
+      const { start, end } = spanFor(task);
+      const left = ((startOfDay(start) - range.start) / DAY_MS) * dayWidth;
+      const width = (Math.round((startOfDay(end) - startOfDay(start)) / DAY_MS) + 1) * dayWidth;
+      map.set(task._id, { left, width, top: index * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2 });
+    });
+    return map;
+  }, [scheduled, spanFor, range.start, dayWidth]);
+
+  const arrows = useMemo(() => {
+    const result = [];
+    scheduled.forEach((task) => {
+      const to = geometry.get(task._id);
+      (task.dependencies || []).forEach((dep) => {
+        const predecessorId = dep.card?._id || dep.card;
+        const from = geometry.get(predecessorId);
+        if (!from || !to) return;
+        const x1 = dep.type === 'start_to_start' ? from.left : from.left + from.width;
+        const y1 = from.top + BAR_HEIGHT / 2;
+        const x2 = to.left;
+        const y2 = to.top + BAR_HEIGHT / 2;
+        const elbow = dep.type === 'start_to_start' ? Math.min(x1, x2) - 10 : x1 + 8;
+        const points = x2 - 8 >= elbow
+          ? `M ${x1} ${y1} H ${elbow} V ${y2} H ${x2}`
+          : `M ${x1} ${y1} H ${elbow} V ${(y1 + y2) / 2} H ${x2 - 12} V ${y2} H ${x2}`;
+        result.push({ key: `${predecessorId}-${task._id}`, d: points, type: dep.type });
+      });
+    });
+    return result;
+  }, [scheduled, geometry]);
+
+  const handlePointerDown = (event, task, mode) => {
+    if (!onReschedule) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = { id: task._id, mode, originX: event.clientX, deltaDays: 0 };
+    setDrag(dragRef.current);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const deltaDays = Math.round((event.clientX - dragRef.current.originX) / dayWidth);
+    if (deltaDays !== dragRef.current.deltaDays) {
+      dragRef.current = { ...dragRef.current, deltaDays };
+      setDrag(dragRef.current);
+    }
+  };
+
+  const handlePointerUp = () => {
+    const current = dragRef.current;
+    dragRef.current = null;
+    setDrag(null);
+    if (!current) return;
+
+    const task = scheduled.find((t) => t._id === current.id);
+    if (!task) return;
+    if (!current.deltaDays) {
+      onSelect?.(task);
+      return;
+    }
+
+    const { mode, deltaDays } = current;
+    const shift = (value) => (value ? addDays(value, deltaDays).toISOString() : value);
+    const updates = {};
+    if (mode !== 'end') updates.startDate = shift(task.startDate || task.dueDate);
+    if (mode !== 'start') updates.dueDate = shift(task.dueDate || task.startDate);
+    onReschedule(task, updates);
+  };
+
+  const days = useMemo(
+    () => Array.from({ length: range.days }, (_, i) => addDays(range.start, i)),
+    [range]
+  );
+  const todayOffset = ((startOfDay(new Date()) - range.start) / DAY_MS) * dayWidth;
+  const timelineWidth = range.days * dayWidth;
+  const bodyHeight = Math.max(scheduled.length * ROW_HEIGHT, ROW_HEIGHT);
+
+  return (
+    <div className="flex border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden bg-white dark:bg-gray-900">
+      {/* Task names */}
+      <div className="shrink-0 border-r border-gray-200 dark:border-gray-700" style={{ width: LABEL_WIDTH }}>
+        <div
+          className="flex items-center px-3 text-xs font-semibold uppercase text-gray-500 border-b border-gray-200 dark:border-gray-700"
+          style={{ height: HEADER_HEIGHT }}
+        >
+          Task
+        </div>
+        {scheduled.map((task) => (
+          <button
+            key={task._id}
+            type="button"
+            onClick={() => onSelect?.(task)}
+            className={`w-full flex items-center gap-2 px-3 text-left text-sm truncate border-b border-gray-100 dark:border-gray-800 ${
+              selectedId === task._id ? 'bg-blue-50 dark:bg-blue-900/30 font-medium' : 'hover:bg-gray-50 dark:hover:bg-gray-800'
+            }`}
+            style={{ height: ROW_HEIGHT }}
+            title={task.title}
+          >
+            <span className={`w-2 h-2 rounded-full shrink-0 ${priorityColors[task.priority] || 'bg-gray-400'}`} />
+            <span className="truncate text-gray-800 dark:text-gray-200">{task.title}</span>
+          </button>
+        ))}
+      </div>
+
+      {/* Timeline */}
+      <div className="flex-1 overflow-x-auto">
+        <div style={{ width: timelineWidth }}>
+          <div className="flex border-b border-gray-200 dark:border-gray-700" style={{ height: HEADER_HEIGHT }}>
+            {days.map((day) => {
+              const isWeekend = day.getDay() === 0 || day.getDay() === 6;
+              return (
+                <div
+                  key={day.getTime()}
+                  className={`shrink-0 flex flex-col items-center justify-center text-[10px] border-r border-gray-100 dark:border-gray-800 ${
+                    isWeekend ? 'bg-gray-50 dark:bg-gray-800/60 text-gray-400' : 'text-gray-500'
+                  }`}
+                  style={{ width: dayWidth }}
+                >
+                  {day.getDate() === 1 || day.getTime() === range.start.getTime() ? (
+                    <span className="font-semibold">{day.toLocaleDateString(undefined, { month: 'short' })}</span>
+                  ) : null}
+                  <span>{day.getDate()}</span>
+                </div>
+              );
+            })}
+          </div>
+
+          <div
+            className="relative select-none"
+            style={{ height: bodyHeight }}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+          >
+            {scheduled.map((task, index) => (
+              <div
+                key={task._id}
+                className="absolute left-0 right-0 border-b border-gray-100 dark:border-gray-800"
+                style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+              />
+            ))}
+
+            {todayOffset >= 0 && todayOffset <= timelineWidth && (
+              <div className="absolute top-0 bottom-0 w-px bg-red-400" style={{ left: todayOffset + dayWidth / 2 }} />
+            )}
+
+            <svg className="absolute inset-0 pointer-events-none" width={timelineWidth} height={bodyHeight}>
+              <defs>
+                <marker id="gantt-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                  <path d="M0,0 L8,4 L0,8 z" className="fill-gray-500" />
+                </marker>
+              </defs>
+              {arrows.map((arrow) => (
+                <path
+                  key={arrow.key}
+                  d={arrow.d}
+                  fill="none"
+                  strokeWidth="1.5"
+                  strokeDasharray={arrow.type === 'start_to_start' ? '4 3' : undefined}
+                  className="stroke-gray-500"
+                  markerEnd="url(#gantt-arrow)"
+                />
+              ))}
+            </svg>
+
+            {scheduled.map((task) => {
+              const geo = geometry.get(task._id);
+              const done = task.status === 'done';
+              const total = task.subtaskStats?.total || 0;
+              const progress = done ? 100 : total ? Math.round((task.subtaskStats.completed / total) * 100) : 0;
+              return (
+                <div
+                  key={task._id}
+                  className={`absolute rounded-md shadow-sm cursor-grab active:cursor-grabbing overflow-hidden ${
+                    done ? 'bg-emerald-500' : priorityColors[task.priority] || 'bg-indigo-500'
+                  } ${selectedId === task._id ? 'ring-2 ring-offset-1 ring-blue-400' : ''}`}
+                  style={{ left: geo.left, width: geo.width, top: geo.top, height: BAR_HEIGHT }}
+                  onPointerDown={(e) => handlePointerDown(e, task, 'move')}
+                  title={`${task.title} — ${new Date(getTaskSpan(task).start).toLocaleDateString()} → ${new Date(getTaskSpan(task).end).toLocaleDateString()}`}
+                >
+                  <div className="absolute inset-y-0 left-0 bg-black/20" style={{ width: `${progress}%` }} />
+                  <span className="relative px-2 text-[11px] leading-5 text-white whitespace-nowrap">{task.title}</span>
+                  <div
+                    className="absolute inset-y-0 left-0 w-2 cursor-ew-resize hover:bg-white/40"
+                    onPointerDown={(e) => handlePointerDown(e, task, 'start')}
+                  />
+                  <div
+                    className="absolute inset-y-0 right-0 w-2 cursor-ew-resize hover:bg-white/40"
+                    onPointerDown={(e) => handlePointerDown(e, task, 'end')}
+                  />
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+GanttChart.displayName = 'GanttChart';
+
+export default GanttChart;
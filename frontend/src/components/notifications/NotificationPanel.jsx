@@ -4,7 +4,7 @@ import {
   Bell, CheckCircle, Trash2, Archive, X, Filter,
   FolderPlus, ArrowRight, UserPlus, AlertCircle, Folder,
   MessageSquare, Clock, AlertTriangle, Megaphone, ArchiveRestore, RotateCcw,
-  CheckCircle2, XCircle, Settings, User
+  CheckCircle2, XCircle, Settings, User, Zap, Plane, ClipboardCheck
 } from 'lucide-react';
 import NotificationCard from './NotificationCard';
 import NotificationSkeleton from './NotificationSkeleton';
@@ -16,6 +16,7 @@ const getNotificationStyle = (type) => {
     task_assigned: { icon: UserPlus, bg: 'from-purple-400 to-violet-500' },
     task_updated: { icon: CheckCircle, bg: 'from-orange-400 to-amber-500' },
     task_completed: { icon: CheckCircle2, bg: 'from-green-500 to-emerald-600' },
+    task_unblocked: { icon: ArrowRight, bg: 'from-green-400 to-teal-500' },
     task_deleted: { icon: Trash2, bg: 'from-red-400 to-rose-500' },
     task_moved: { icon: ArrowRight, bg: 'from-blue-400 to-cyan-500' },
     task_due_soon: { icon: Clock, bg: 'from-amber-400 to-orange-500' },
@@ -32,11 +33,17 @@ const getNotificationStyle = (type) => {
     user_declined: { icon: XCircle, bg: 'from-red-400 to-rose-500' },
     reminder_due_soon: { icon: Bell, bg: 'from-teal-400 to-cyan-500' },
     reminder_sent: { icon: Bell, bg: 'from-blue-400 to-indigo-500' },
+    client_responded: { icon: MessageSquare, bg: 'from-emerald-400 to-teal-500' },
     status_change: { icon: ArrowRight, bg: 'from-purple-400 to-indigo-500' },
     system_alert: { icon: AlertTriangle, bg: 'from-red-500 to-rose-600' },
     test_notification: { icon: Settings, bg: 'from-gray-400 to-slate-500' },
     sales_tab_approval: { icon: Bell, bg: 'from-amber-400 to-orange-500' },
-    sales_tab_result: { icon: CheckCircle2, bg: 'from-green-400 to-emerald-500' }
+    sales_tab_result: { icon: CheckCircle2, bg: 'from-green-400 to-emerald-500' },
+    automation_alert: { icon: Zap, bg: 'from-violet-400 to-purple-500' },
+    leave_requested: { icon: Plane, bg: 'from-teal-400 to-cyan-500' },
+    leave_reviewed: { icon: Plane, bg: 'from-teal-500 to-emerald-500' },
+    timesheet_submitted: { icon: ClipboardCheck, bg: 'from-indigo-400 to-blue-500' },
+    timesheet_reviewed: { icon: ClipboardCheck, bg: 'from-indigo-500 to-violet-500' }
   };
   return styles[type] || { icon: Bell, bg: 'from-gray-400 to-slate-500' };
 };
@@ -0,0 +1,84 @@
+import React, { memo } from 'react';
+import Avatar from '../Avatar';
+import { useCardViewers } from '../../hooks/usePresence';
+
+const ACTIVITY_LABELS = {
+  viewing: 'is viewing',
+  'editing-description': 'is editing the description',
+  'typing-comment': 'is writing a comment'
+};
+
+const describe = (viewer) => `${viewer.name} ${ACTIVITY_LABELS[viewer.activity] || ACTIVITY_LABELS.viewing}`;
+
+/**
+ * Stacked avatars of the other people on a board or card. Anyone editing or
+ * typing gets a pulsing ring.
+ */
+export const PresenceAvatars = memo(({ viewers, max = 4, size = 'xs', className = '' }) => {
+  if (!viewers || viewers.length === 0) return null;
+
+  const shown = viewers.slice(0, max);
+  const hidden = viewers.slice(max);
+
+  return (
+    <div
+      className={`flex items-center -space-x-1.5 ${className}`}
+      aria-label={`${viewers.length} ${viewers.length === 1 ? 'person' : 'people'} here now`}
+    >
+      {shown.map((viewer) => (
+        <span
+          key={viewer.userId}
+          title={describe(viewer)}
+          className={`rounded-full ring-2 ${viewer.activity === 'viewing' ? 'ring-white' : 'ring-emerald-400 animate-pulse'}`}
+        >
+          <Avatar src={viewer.avatar} name={viewer.name} size={size} showBadge={false} />
+        </span>
+      ))}
+      {hidden.length > 0 && (
+        <span
+          title={hidden.map(describe).join('\n')}
+          className="w-6 h-6 rounded-full ring-2 ring-white bg-gray-200 text-gray-600 text-[10px] font-semibold flex items-center justify-center"
+        >
+          +{hidden.length}
+        </span>
+      )}
+    </div>
+  );
+});
+
+PresenceAvatars.displayName = 'PresenceAvatars';
+
+/**
+ * Who else has a card open, for card rows on boards, lists and calendars.
+ */
+export const CardPresenceAvatars = memo(({ cardId, max = 3, className = '' }) => {
+  const viewers = useCardViewers(cardId);
+  return <PresenceAvatars viewers={viewers} max={max} className={className} />;
+});
+
+CardPresenceAvatars.displayName = 'CardPresenceAvatars';
+
+/**
+ * "Alex is editing the description" under the part of the card being worked
+ * on. Renders nothing unless someone is doing that activity.
+ */
+export const PresenceActivityNote = memo(({ viewers, activity }) => {
+  const active = (viewers || []).filter((viewer) => viewer.activity === activity);
+  if (active.length === 0) return null;
+
+  const names = active.length <= 2
+    ? active.map((viewer) => viewer.name).join(' and ')
+    : `${active[0].name} and ${active.length - 1} others`;
+  const verb = ACTIVITY_LABELS[activity].replace(/^is /, active.length === 1 ? 'is ' : 'are ');
+
+  return (
+    <p className="flex items-center gap-1.5 text-xs text-emerald-700 mt-1" aria-live="polite">
+      <span className="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse" />
+      {names} {verb}…
+    </p>
+  );
+});
+
+PresenceActivityNote.displayName = 'PresenceActivityNote';
+
+export default PresenceAvatars;
@@ -0,0 +1,62 @@
+import React, { memo } from 'react';
+import { toast } from 'react-toastify';
+import { Copy, Download } from 'lucide-react';
+
+/**
+ * RecoveryCodesList - One-time display of freshly issued recovery codes with
+ * copy and download helpers. The server keeps only hashes, so this is the
+ * user's only chance to save them.
+ */
+const RecoveryCodesList = memo(({ codes = [] }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy — please write the codes down');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`FlowTask recovery codes\n\n${text}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'flowtask-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Each code signs you in once if you lose your authenticator. Store them somewhere safe — they will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 rounded-lg bg-gray-50 border border-gray-200 font-mono text-sm text-gray-900">
+        {codes.map((code) => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex items-center gap-2 px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          <Copy size={16} /> Copy
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex items-center gap-2 px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          <Download size={16} /> Download
+        </button>
+      </div>
+    </div>
+  );
+});
+
+RecoveryCodesList.displayName = 'RecoveryCodesList';
+
+export default RecoveryCodesList;
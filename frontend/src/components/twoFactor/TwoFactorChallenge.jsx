@@ -0,0 +1,93 @@
+import React, { useState, useContext } from 'react';
+import { ShieldCheck, ArrowLeft } from 'lucide-react';
+import AuthContext from '../../context/AuthContext';
+
+/**
+ * TwoFactorChallenge - Second sign-in step for accounts with two-factor
+ * authentication. Accepts an authenticator code or a single-use recovery code.
+ */
+const TwoFactorChallenge = ({ challengeToken, onSuccess, onBack, onError }) => {
+  const { verifyTwoFactor } = useContext(AuthContext);
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [code, setCode] = useState('');
+  const [rememberDevice, setRememberDevice] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    try {
+      const result = await verifyTwoFactor(challengeToken, {
+        code: useRecovery ? undefined : code,
+        recoveryCode: useRecovery ? code : undefined,
+        rememberDevice,
+      });
+      onSuccess(result);
+    } catch (err) {
+      setLoading(false);
+      setCode('');
+      onError(err.response?.data?.message || 'Verification failed. Please try again.', err.response?.status);
+    }
+  };
+
+  const canSubmit = useRecovery ? code.trim().length >= 10 : code.length === 6;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <div className="text-center text-white/80 text-sm">
+        <ShieldCheck className="mx-auto mb-2 text-purple-300" size={32} />
+        {useRecovery
+          ? 'Enter one of your recovery codes.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </div>
+
+      <input
+        type="text"
+        autoFocus
+        inputMode={useRecovery ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        maxLength={useRecovery ? 11 : 6}
+        value={code}
+        onChange={(e) => setCode(useRecovery ? e.target.value.trim() : e.target.value.replace(/\D/g, ''))}
+        placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+        className="w-full px-4 py-4 text-center tracking-[0.4em] text-xl font-mono bg-white/10 border border-white/20 rounded-xl text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-purple-400"
+      />
+
+      <label className="flex items-center gap-2 text-sm text-white/80">
+        <input
+          type="checkbox"
+          checked={rememberDevice}
+          onChange={(e) => setRememberDevice(e.target.checked)}
+          className="rounded"
+        />
+        Remember this device for 30 days
+      </label>
+
+      <button
+        type="submit"
+        disabled={!canSubmit || loading}
+        className="w-full py-4 px-6 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-semibold rounded-xl disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+      >
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={onBack} className="flex items-center gap-1 text-white/60 hover:text-white">
+          <ArrowLeft size={14} /> Back
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setUseRecovery((v) => !v);
+            setCode('');
+          }}
+          className="text-purple-300 hover:text-purple-200"
+        >
+          {useRecovery ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
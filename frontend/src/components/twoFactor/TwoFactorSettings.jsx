@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { ShieldCheck, ShieldOff, Loader2, Smartphone, Trash2, KeyRound } from 'lucide-react';
+import api from '../../services/api';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodesList from './RecoveryCodesList';
+
+/**
+ * TwoFactorSettings - Settings page section for enrolling in, managing and
+ * turning off two-factor authentication.
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [mode, setMode] = useState(null); // 'setup' | 'disable' | 'regenerate'
+  const [form, setForm] = useState({ password: '', code: '' });
+  const [newCodes, setNewCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await api.get('/api/auth/2fa/status');
+      setStatus(res.data.data);
+    } catch (error) {
+      console.error('Failed to load two-factor status:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const closeForm = () => {
+    setMode(null);
+    setForm({ password: '', code: '' });
+  };
+
+  const handleDisable = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const isRecovery = form.code.includes('-');
+      await api.post('/api/auth/2fa/disable', {
+        password: form.password,
+        code: isRecovery ? undefined : form.code,
+        recoveryCode: isRecovery ? form.code : undefined,
+      });
+      toast.success('Two-factor authentication disabled');
+      closeForm();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const res = await api.post('/api/auth/2fa/recovery-codes', { code: form.code });
+      setNewCodes(res.data.recoveryCodes);
+      closeForm();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevokeDevice = async (deviceId) => {
+    try {
+      await api.delete(deviceId ? `/api/auth/2fa/devices/${deviceId}` : '/api/auth/2fa/devices');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove device');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-green-100 rounded-lg flex items-center justify-center">
+            <ShieldCheck className="text-green-600" size={20} />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Two-factor authentication</h3>
+            <p className="text-sm text-gray-600">Require a code from your phone in addition to your password</p>
+          </div>
+        </div>
+        {status && (
+          <span className={`px-3 py-1 text-sm font-medium rounded-full ${
+            status.enabled ? 'text-green-700 bg-green-100' : 'text-gray-600 bg-gray-100'
+          }`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        )}
+      </div>
+
+      {loading && (
+        <div className="flex items-center text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" /> Loading…
+        </div>
+      )}
+
+      {status?.required && !status.enabled && (
+        <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3">
+          Your administrator requires two-factor authentication for your account. You will be asked to set it up at your next sign-in.
+        </p>
+      )}
+
+      {status && !status.enabled && mode !== 'setup' && (
+        <button
+          type="button"
+          onClick={() => setMode('setup')}
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Set up authenticator app
+        </button>
+      )}
+
+      {mode === 'setup' && (
+        <TwoFactorSetup
+          onCancel={closeForm}
+          onComplete={() => {
+            closeForm();
+            fetchStatus();
+          }}
+        />
+      )}
+
+      {newCodes && (
+        <div className="space-y-3">
+          <RecoveryCodesList codes={newCodes} />
+          <button type="button" onClick={() => setNewCodes(null)} className="text-sm text-blue-600 hover:underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {status?.enabled && !newCodes && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+            <span className="flex items-center gap-1">
+              <KeyRound size={16} /> {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+            </span>
+            {status.enabledAt && <span>· enabled {new Date(status.enabledAt).toLocaleDateString()}</span>}
+          </div>
+
+          {mode === null && (
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={() => setMode('regenerate')}
+                className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                New recovery codes
+              </button>
+              {!status.required && (
+                <button
+                  type="button"
+                  onClick={() => setMode('disable')}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg border border-red-200 text-red-600 hover:bg-red-50"
+                >
+                  <ShieldOff size={16} /> Turn off
+                </button>
+              )}
+            </div>
+          )}
+
+          {mode === 'regenerate' && (
+            <form onSubmit={handleRegenerate} className="space-y-3 max-w-sm">
+              <p className="text-sm text-gray-600">Your existing recovery codes will stop working.</p>
+              <input
+                type="text"
+                inputMode="numeric"
+                maxLength={6}
+                placeholder="Authenticator code"
+                value={form.code}
+                onChange={(e) => setForm((f) => ({ ...f, code: e.target.value.replace(/\D/g, '') }))}
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <button type="button" onClick={closeForm} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700">Cancel</button>
+                <button
+                  type="submit"
+                  disabled={form.code.length !== 6 || submitting}
+                  className="px-4 py-2 rounded-lg bg-blue-600 text-white disabled:opacity-50"
+                >
+                  Generate
+                </button>
+              </div>
+            </form>
+          )}
+
+          {mode === 'disable' && (
+            <form onSubmit={handleDisable} className="space-y-3 max-w-sm">
+              <input
+                type="password"
+                placeholder="Current password"
+                value={form.password}
+                onChange={(e) => setForm((f) => ({ ...f, password: e.target.value }))}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                placeholder="Authenticator or recovery code"
+                value={form.code}
+                onChange={(e) => setForm((f) => ({ ...f, code: e.target.value.trim() }))}
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <button type="button" onClick={closeForm} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700">Cancel</button>
+                <button
+                  type="submit"
+                  disabled={!form.password || !form.code || submitting}
+                  className="px-4 py-2 rounded-lg bg-red-600 text-white disabled:opacity-50"
+                >
+                  Turn off two-factor
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="border-t border-gray-200 pt-4">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-semibold text-gray-900 flex items-center gap-2">
+                <Smartphone size={16} /> Remembered devices
+              </h4>
+              {status.trustedDevices.length > 0 && (
+                <button type="button" onClick={() => handleRevokeDevice(null)} className="text-sm text-red-600 hover:underline">
+                  Forget all
+                </button>
+              )}
+            </div>
+            {status.trustedDevices.length === 0 ? (
+              <p className="text-sm text-gray-500">No remembered devices</p>
+            ) : (
+              <ul className="space-y-2">
+                {status.trustedDevices.map((device) => (
+                  <li key={device._id} className="flex items-center justify-between gap-3 text-sm">
+                    <div className="min-w-0">
+                      <div className="truncate text-gray-800" title={device.label}>{device.label || 'Unknown browser'}</div>
+                      <div className="text-xs text-gray-500">
+                        Last used {new Date(device.lastUsedAt || device.createdAt).toLocaleDateString()} · expires {new Date(device.expiresAt).toLocaleDateString()}
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleRevokeDevice(device._id)}
+                      className="p-1.5 text-gray-400 hover:text-red-600"
+                      title="Forget device"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { Loader2, ShieldCheck, KeyRound } from 'lucide-react';
+import api from '../../services/api';
+import RecoveryCodesList from './RecoveryCodesList';
+
+/**
+ * TwoFactorSetup - Authenticator app enrollment: scan the QR code, confirm
+ * with a first code, then save the recovery codes.
+ *
+ * `authToken` is only passed during a forced enrollment at sign-in, where the
+ * user holds a setup token instead of a session.
+ */
+const TwoFactorSetup = ({ authToken = null, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const requestConfig = authToken ? { headers: { Authorization: `Bearer ${authToken}` } } : undefined;
+  // Parents usually pass an inline handler; keep it out of the effect deps
+  const onCancelRef = useRef(onCancel);
+  onCancelRef.current = onCancel;
+
+  useEffect(() => {
+    let cancelled = false;
+    api.post('/api/auth/2fa/setup', {}, authToken ? { headers: { Authorization: `Bearer ${authToken}` } } : undefined)
+      .then((res) => {
+        if (!cancelled) setEnrollment(res.data.data);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+        onCancelRef.current?.();
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [authToken]);
+
+  const handleConfirm = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const res = await api.post('/api/auth/2fa/enable', { code }, requestConfig);
+      setResult(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Invalid authentication code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8 text-gray-500">
+        <Loader2 className="w-5 h-5 animate-spin mr-2" /> Preparing setup…
+      </div>
+    );
+  }
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-green-700 font-semibold">
+          <ShieldCheck size={20} /> Two-factor authentication is on
+        </div>
+        <RecoveryCodesList codes={result.recoveryCodes} />
+        <button
+          type="button"
+          onClick={() => onComplete?.(result)}
+          className="w-full py-2.5 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700"
+        >
+          I have saved my recovery codes
+        </button>
+      </div>
+    );
+  }
+
+  if (!enrollment) return null;
+
+  return (
+    <form onSubmit={handleConfirm} className="space-y-4">
+      <ol className="text-sm text-gray-600 list-decimal list-inside space-y-1">
+        <li>Open an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password…)</li>
+        <li>Scan the QR code, or enter the key manually</li>
+        <li>Enter the 6-digit code the app shows</li>
+      </ol>
+      <div className="flex flex-col sm:flex-row items-center gap-4">
+        <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-44 h-44 rounded-lg border border-gray-200 bg-white" />
+        <div className="min-w-0 flex-1 space-y-1">
+          <p className="text-xs font-semibold uppercase text-gray-500 flex items-center gap-1">
+            <KeyRound size={14} /> Setup key
+          </p>
+          <code className="block break-all text-sm font-mono text-gray-900 bg-gray-50 border border-gray-200 rounded p-2 select-all">
+            {enrollment.secret.match(/.{1,4}/g).join(' ')}
+          </code>
+        </div>
+      </div>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        placeholder="123456"
+        className="w-full px-4 py-3 text-center tracking-[0.5em] text-lg font-mono rounded-lg border border-gray-300 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 py-2.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={code.length !== 6 || submitting}
+          className="flex-1 flex items-center justify-center gap-2 py-2.5 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:opacity-50"
+        >
+          {submitting && <Loader2 size={16} className="animate-spin" />}
+          Verify and enable
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
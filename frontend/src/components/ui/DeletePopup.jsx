@@ -39,6 +39,21 @@ const ITEM_CONFIG = {
     description: "Are you sure you want to delete this label? It will be removed from all items using it.",
     warning: "This action cannot be undone."
   },
+  customField: {
+    title: "Delete Custom Field?",
+    description: "Are you sure you want to delete this field? Its values will be removed from every task in the project.",
+    warning: "This action cannot be undone."
+  },
+  projectTemplate: {
+    title: "Delete Template?",
+    description: "Are you sure you want to delete this template? Projects already created from it are not affected.",
+    warning: "This action cannot be undone."
+  },
+  automationRule: {
+    title: "Delete Automation?",
+    description: "Are you sure you want to delete this automation rule? Changes it already made to tasks are kept.",
+    warning: "This action cannot be undone."
+  },
   project: {
     title: "Delete Project?",
     description: "Are you sure you want to delete this project? All lists and cards within it will be permanently removed.",
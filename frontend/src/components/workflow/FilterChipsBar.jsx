@@ -1,6 +1,7 @@
 import React, { memo } from 'react';
 import { X, Filter } from 'lucide-react';
-import useWorkflowFilterStore from '../../store/workflowFilterStore';
+import useWorkflowFilterStore, { isCustomFieldCriterionActive } from '../../store/workflowFilterStore';
+import { formatCustomFieldValue } from '../../utils/customFields';
 
 const chipColors = {
   status: 'bg-blue-50 text-blue-700 border-blue-200',
@@ -9,6 +10,7 @@ const chipColors = {
   labels: 'bg-purple-50 text-purple-700 border-purple-200',
   startDate: 'bg-teal-50 text-teal-700 border-teal-200',
   dueDate: 'bg-rose-50 text-rose-700 border-rose-200',
+  customFields: 'bg-indigo-50 text-indigo-700 border-indigo-200',
 };
 
 const chipLabels = {
@@ -22,7 +24,17 @@ const chipLabels = {
 
 const priorityNames = { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical', '': 'No Priority' };
 
-const FilterChipsBar = memo(({ assigneeMap, labelMap }) => {
+const customFieldOperators = { eq: '=', gt: '>', lt: '<', contains: 'contains', empty: 'empty', notEmpty: 'has value', checked: 'checked', unchecked: 'unchecked' };
+
+const describeCustomFieldFilter = (field, criterion, assigneeMap) => {
+  const { type, value } = criterion;
+  if (type === 'in') return value.map(v => formatCustomFieldValue(field, v, assigneeMap) || 'Removed').join(', ');
+  if (type === 'range') return `${value?.min || '…'} – ${value?.max || '…'}`;
+  if (['eq', 'gt', 'lt', 'contains'].includes(type)) return `${customFieldOperators[type]} ${value ?? ''}`;
+  return customFieldOperators[type] || type.replace(/_/g, ' ');
+};
+
+const FilterChipsBar = memo(({ assigneeMap, labelMap, customFields = [] }) => {
   const filters = useWorkflowFilterStore((s) => s.filters);
   const removeChipFilter = useWorkflowFilterStore((s) => s.removeChipFilter);
   const clearAllFilters = useWorkflowFilterStore((s) => s.clearAllFilters);
@@ -49,6 +61,16 @@ const FilterChipsBar = memo(({ assigneeMap, labelMap }) => {
   if (filters.dueDate.type !== 'any') {
     chips.push({ key: 'dueDate', value: 'active', display: filters.dueDate.type.replace(/_/g, ' ') });
   }
+  customFields.forEach((field) => {
+    const criterion = filters.customFields?.[field._id];
+    if (!isCustomFieldCriterionActive(criterion)) return;
+    chips.push({
+      key: 'customFields',
+      value: field._id,
+      label: field.name,
+      display: describeCustomFieldFilter(field, criterion, assigneeMap),
+    });
+  });
 
   return (
     <div className="flex items-center gap-2 px-4 py-2 overflow-x-auto" style={{ scrollbarWidth: 'thin' }}>
@@ -63,7 +85,7 @@ const FilterChipsBar = memo(({ assigneeMap, labelMap }) => {
             key={`${chip.key}-${chip.value}`}
             className={`inline-flex items-center gap-1.5 px-2.5 py-1 text-xs font-medium border rounded-full whitespace-nowrap ${chipColors[chip.key] || 'bg-gray-50 text-gray-600 border-gray-200'}`}
           >
-            <span className="text-[10px] opacity-60">{chipLabels[chip.key]}:</span>
+            <span className="text-[10px] opacity-60">{chip.label || chipLabels[chip.key]}:</span>
             <span className="capitalize">{chip.display}</span>
             <button
               onClick={() => removeChipFilter(chip.key, chip.value)}
@@ -1,12 +1,13 @@
 import React, { memo, useEffect, useMemo, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Filter, ChevronDown, Trash2, Check } from 'lucide-react';
-import useWorkflowFilterStore from '../../store/workflowFilterStore';
+import useWorkflowFilterStore, { isCustomFieldCriterionActive } from '../../store/workflowFilterStore';
 import StatusFilter from './filters/StatusFilter';
 import PriorityFilter from './filters/PriorityFilter';
 import AssigneeFilter from './filters/AssigneeFilter';
 import LabelFilter from './filters/LabelFilter';
 import DateFilter from './filters/DateFilter';
+import CustomFieldFilter from './filters/CustomFieldFilter';
 
 // ── Collapsible Section ──
 const FilterSection = memo(({ title, count, children, defaultOpen = true }) => {
@@ -49,7 +50,7 @@ const FilterSection = memo(({ title, count, children, defaultOpen = true }) => {
 FilterSection.displayName = 'FilterSection';
 
 // ── Main Filter Drawer ──
-const FilterPanel = memo(({ isOpen, onClose, onApply, lists, cardsByList, boardLabels, allCards }) => {
+const FilterPanel = memo(({ isOpen, onClose, onApply, lists, cardsByList, boardLabels, allCards, customFields = [], members = [] }) => {
   const draftFilters = useWorkflowFilterStore((s) => s.draftFilters);
   const setDraftFilter = useWorkflowFilterStore((s) => s.setDraftFilter);
   const clearAllDrafts = useWorkflowFilterStore((s) => s.clearAllDrafts);
@@ -106,6 +107,10 @@ const FilterPanel = memo(({ isOpen, onClose, onApply, lists, cardsByList, boardL
     dueDate: draftFilters.dueDate.type !== 'any' ? 1 : 0,
   }), [draftFilters]);
 
+  const setDraftCustomFieldFilter = useCallback((fieldId, criterion) => {
+    setDraftFilter('customFields', { ...(draftFilters.customFields || {}), [fieldId]: criterion });
+  }, [draftFilters.customFields, setDraftFilter]);
+
   const draftCount = getDraftActiveFilterCount();
   const previewCount = useMemo(
     () => getDraftMatchCount(allCards || [], lists || []),
@@ -140,7 +145,10 @@ const FilterPanel = memo(({ isOpen, onClose, onApply, lists, cardsByList, boardL
       priority: { low: 0, medium: 0, high: 0, critical: 0, '': 0 },
       assignees: { __unassigned__: 0 },
       labels: { __unlabelled__: 0 },
+      customFields: {},
     };
+    const choiceFields = customFields.filter(f => ['select', 'multi_select', 'user'].includes(f.type));
+    choiceFields.forEach(f => { counts.customFields[f._id] = {}; });
     const listTitleMap = {};
     for (const l of (lists || [])) listTitleMap[l._id] = l.title;
 
@@ -165,9 +173,18 @@ const FilterPanel = memo(({ isOpen, onClose, onApply, lists, cardsByList, boardL
         const id = typeof l === 'object' ? l._id : l;
         counts.labels[id] = (counts.labels[id] || 0) + 1;
       });
+
+      choiceFields.forEach(f => {
+        const value = card.customFields?.[f._id];
+        if (value == null) return;
+        const fieldCounts = counts.customFields[f._id];
+        (Array.isArray(value) ? value : [value]).forEach(v => {
+          fieldCounts[v] = (fieldCounts[v] || 0) + 1;
+        });
+      });
     }
     return counts;
-  }, [allCards, lists]);
+  }, [allCards, lists, customFields]);
 
   return (
     <AnimatePresence>
@@ -242,6 +259,20 @@ const FilterPanel = memo(({ isOpen, onClose, onApply, lists, cardsByList, boardL
               <FilterSection title="Due Date" count={sectionCounts.dueDate} defaultOpen={false}>
                 <DateFilter filter={draftFilters.dueDate} onChange={(v) => setDraftFilter('dueDate', v)} />
               </FilterSection>
+              {customFields.map((field) => {
+                const criterion = draftFilters.customFields?.[field._id];
+                return (
+                  <FilterSection key={field._id} title={field.name} count={isCustomFieldCriterionActive(criterion) ? 1 : 0} defaultOpen={false}>
+                    <CustomFieldFilter
+                      field={field}
+                      filter={criterion}
+                      onChange={(v) => setDraftCustomFieldFilter(field._id, v)}
+                      choices={members}
+                      counts={optionCounts.customFields[field._id]}
+                    />
+                  </FilterSection>
+                );
+              })}
             </div>
 
             <div className="flex-shrink-0 border-t border-gray-100 bg-gray-50/80 backdrop-blur-sm px-5 py-3.5 space-y-3">
@@ -4,10 +4,12 @@ import { ArrowLeft, Search, Filter, Users, Pencil, FileText, Crown, Shield, User
 import { DropdownMenu, DropdownMenuTrigger, DropdownMenuContent, DropdownMenuItem } from '../ui/dropdown-menu';
 import Avatar from '../Avatar';
 import WorkflowMenu from './WorkflowMenu';
+import { PresenceAvatars } from '../presence/PresenceAvatars';
 
 const WorkflowHeader = memo(({
   board,
   user,
+  viewers,
   searchQuery,
   onSearchChange,
   onFilterToggle,
@@ -18,6 +20,7 @@ const WorkflowHeader = memo(({
   onShowFields,
   onTrash,
   onRecurringTasks,
+  onAutomations,
   onArchiveToggle,
   showArchived,
 }) => {
@@ -78,6 +81,9 @@ const WorkflowHeader = memo(({
 
           {/* Right: Actions */}
           <div className="flex items-center gap-2 sm:gap-3 flex-shrink-0">
+            {/* Who else has the board open */}
+            <PresenceAvatars viewers={viewers} max={5} size="sm" className="hidden sm:flex" />
+
             {/* Search */}
             <div className="relative hidden md:block">
               <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-white/50" />
@@ -153,6 +159,7 @@ const WorkflowHeader = memo(({
               onShowFields={onShowFields}
               onTrash={onTrash}
               onRecurringTasks={onRecurringTasks}
+              onAutomations={onAutomations}
               onArchiveToggle={onArchiveToggle}
               showArchived={showArchived}
             />
@@ -1,12 +1,13 @@
 import React, { memo, useState, useRef, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { MoreHorizontal, Download, Eye, Trash2, RefreshCw, Archive, X } from 'lucide-react';
+import { MoreHorizontal, Download, Eye, Trash2, RefreshCw, Archive, X, Zap } from 'lucide-react';
 
 const menuItems = [
   { id: 'csv', label: 'Download CSV', sublabel: 'Export project report', icon: Download, iconBg: 'bg-emerald-50', iconColor: 'text-emerald-600', hoverGradient: 'rgba(16, 185, 129, 0.08)' },
   { id: 'fields', label: 'Show Fields', sublabel: 'Toggle card fields', icon: Eye, iconBg: 'bg-blue-50', iconColor: 'text-blue-600', hoverGradient: 'rgba(59, 130, 246, 0.08)' },
   { id: 'trash', label: 'Trash', sublabel: 'Deleted media', icon: Trash2, iconBg: 'bg-red-50', iconColor: 'text-red-600', hoverGradient: 'rgba(239, 68, 68, 0.08)' },
   { id: 'recurring', label: 'Recurring Tasks', sublabel: 'Manage schedules', icon: RefreshCw, iconBg: 'bg-orange-50', iconColor: 'text-orange-600', hoverGradient: 'rgba(249, 115, 22, 0.08)' },
+  { id: 'automations', label: 'Automations', sublabel: 'When X happens, do Y', icon: Zap, iconBg: 'bg-violet-50', iconColor: 'text-violet-600', hoverGradient: 'rgba(124, 58, 237, 0.08)' },
   { id: 'archive', label: 'View Archive', sublabel: 'Archived tasks', icon: Archive, iconBg: 'bg-purple-50', iconColor: 'text-purple-600', hoverGradient: 'rgba(139, 92, 246, 0.08)', dynamicLabel: true },
 ];
 
@@ -15,6 +16,7 @@ const WorkflowMenu = memo(({
   onShowFields,
   onTrash,
   onRecurringTasks,
+  onAutomations,
   onArchiveToggle,
   showArchived,
 }) => {
@@ -49,9 +51,10 @@ const WorkflowMenu = memo(({
       case 'fields': onShowFields?.(); break;
       case 'trash': onTrash?.(); break;
       case 'recurring': onRecurringTasks?.(); break;
+      case 'automations': onAutomations?.(); break;
       case 'archive': onArchiveToggle?.(); break;
     }
-  }, [onDownloadCSV, onShowFields, onTrash, onRecurringTasks, onArchiveToggle]);
+  }, [onDownloadCSV, onShowFields, onTrash, onRecurringTasks, onAutomations, onArchiveToggle]);
 
   return (
     <div className="relative">
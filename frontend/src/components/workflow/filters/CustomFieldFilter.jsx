@@ -0,0 +1,177 @@
+import React, { memo } from 'react';
+import DateFilter from './DateFilter';
+
+const ANY = { type: 'any', value: null };
+
+const NUMBER_OPTIONS = [
+  { value: 'any', label: 'Any' },
+  { value: 'eq', label: '=' },
+  { value: 'gt', label: '>' },
+  { value: 'lt', label: '<' },
+  { value: 'range', label: 'Between...' },
+  { value: 'empty', label: 'Empty' },
+];
+
+const TEXT_OPTIONS = [
+  { value: 'any', label: 'Any' },
+  { value: 'contains', label: 'Contains...' },
+  { value: 'notEmpty', label: 'Has value' },
+  { value: 'empty', label: 'Empty' },
+];
+
+const CHECKBOX_OPTIONS = [
+  { value: 'any', label: 'Any' },
+  { value: 'checked', label: 'Checked' },
+  { value: 'unchecked', label: 'Unchecked' },
+];
+
+const inputClass = 'w-full px-3 py-1.5 text-xs bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-purple-300';
+
+const OptionButtons = ({ options, active, onSelect }) => (
+  <div className="flex flex-wrap gap-1.5">
+    {options.map((opt) => (
+      <button
+        key={opt.value}
+        onClick={() => onSelect(opt.value)}
+        className={`px-2.5 py-1 text-xs font-medium rounded-lg border transition-all ${
+          active === opt.value
+            ? 'bg-purple-50 border-purple-300 text-purple-700'
+            : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50 hover:border-gray-300'
+        }`}
+      >
+        {opt.label}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Filter controls for one custom field. The criterion shape is documented
+ * next to matchesCustomFieldFilter in workflowFilterStore.
+ * @param {Array} choices - For user fields: [{ _id, name }]
+ */
+const CustomFieldFilter = memo(({ field, filter, onChange, choices = [], counts = {} }) => {
+  const criterion = filter || ANY;
+
+  if (field.type === 'date') {
+    return <DateFilter filter={criterion} onChange={onChange} />;
+  }
+
+  if (field.type === 'checkbox') {
+    return (
+      <OptionButtons
+        options={CHECKBOX_OPTIONS}
+        active={criterion.type}
+        onSelect={(type) => onChange(type === 'any' ? ANY : { type, value: null })}
+      />
+    );
+  }
+
+  if (field.type === 'number' || field.type === 'currency') {
+    const handleType = (type) => {
+      if (type === 'any' || type === 'empty') onChange({ type, value: null });
+      else if (type === 'range') onChange({ type, value: { min: '', max: '' } });
+      else onChange({ type, value: typeof criterion.value === 'string' || typeof criterion.value === 'number' ? criterion.value : '' });
+    };
+    return (
+      <div className="space-y-2">
+        <OptionButtons options={NUMBER_OPTIONS} active={criterion.type} onSelect={handleType} />
+        {['eq', 'gt', 'lt'].includes(criterion.type) && (
+          <input
+            type="number"
+            value={criterion.value ?? ''}
+            onChange={(e) => onChange({ ...criterion, value: e.target.value })}
+            className={inputClass}
+          />
+        )}
+        {criterion.type === 'range' && (
+          <div className="flex gap-2">
+            <input
+              type="number"
+              placeholder="Min"
+              value={criterion.value?.min ?? ''}
+              onChange={(e) => onChange({ ...criterion, value: { ...(criterion.value || {}), min: e.target.value } })}
+              className={inputClass}
+            />
+            <span className="text-xs text-gray-400 self-center">to</span>
+            <input
+              type="number"
+              placeholder="Max"
+              value={criterion.value?.max ?? ''}
+              onChange={(e) => onChange({ ...criterion, value: { ...(criterion.value || {}), max: e.target.value } })}
+              className={inputClass}
+            />
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (['select', 'multi_select', 'user'].includes(field.type)) {
+    const items = field.type === 'user'
+      ? choices.map(u => ({ id: u._id, label: u.name || u.email || 'Unknown' }))
+      : (field.options || []).map(o => ({ id: o._id, label: o.label, color: o.color }));
+    const selected = criterion.type === 'in' ? criterion.value || [] : [];
+    const toggle = (id) => {
+      const next = selected.includes(id) ? selected.filter(v => v !== id) : [...selected, id];
+      onChange(next.length > 0 ? { type: 'in', value: next } : ANY);
+    };
+
+    if (items.length === 0) {
+      return <p className="text-xs text-gray-400 px-1">No options to filter by</p>;
+    }
+
+    return (
+      <div className="space-y-1">
+        {items.map((item) => (
+          <label
+            key={item.id}
+            className="flex items-center gap-2.5 px-2 py-1.5 rounded-lg hover:bg-gray-50 cursor-pointer transition-colors"
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(item.id)}
+              onChange={() => toggle(item.id)}
+              className="sr-only peer"
+            />
+            <div className="w-[18px] h-[18px] rounded border-2 border-gray-200 peer-checked:border-purple-500 peer-checked:bg-purple-500 transition-all flex items-center justify-center flex-shrink-0">
+              {selected.includes(item.id) && (
+                <svg className="w-2.5 h-2.5 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={3}>
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
+                </svg>
+              )}
+            </div>
+            {item.color && <div className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: item.color }} />}
+            <span className="text-sm text-gray-700 flex-1 truncate">{item.label}</span>
+            {counts[item.id] != null && (
+              <span className="text-[10px] text-gray-400 font-medium tabular-nums">{counts[item.id]}</span>
+            )}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  // text / url
+  return (
+    <div className="space-y-2">
+      <OptionButtons
+        options={TEXT_OPTIONS}
+        active={criterion.type}
+        onSelect={(type) => onChange(type === 'contains' ? { type, value: '' } : { type, value: null })}
+      />
+      {criterion.type === 'contains' && (
+        <input
+          type="text"
+          value={criterion.value || ''}
+          onChange={(e) => onChange({ ...criterion, value: e.target.value })}
+          placeholder="Text to match"
+          className={inputClass}
+        />
+      )}
+    </div>
+  );
+});
+
+CustomFieldFilter.displayName = 'CustomFieldFilter';
+export default CustomFieldFilter;
@@ -163,3 +163,14 @@ export const detectPlatform = (url) => {
   } catch { /* invalid URL */ }
   return null;
 };
+
+// ─── Project conversion ───────────────────────────────────────
+
+/**
+ * Statuses that offer "Convert to project" (backend default of SALES_WON_STATUSES;
+ * the backend makes the final check).
+ */
+export const SALES_WON_STATUSES = ['hired', 'won'];
+
+export const isWonStatus = (status) =>
+  SALES_WON_STATUSES.includes(String(status || '').trim().toLowerCase());
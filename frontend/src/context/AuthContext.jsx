@@ -5,6 +5,9 @@ import useRoleStore from "../store/roleStore";
 
 const AuthContext = createContext();
 
+// Remember-this-device token from two-factor sign-in; kept across logouts
+const TRUSTED_DEVICE_KEY = "trustedDeviceToken";
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem("token"));
@@ -141,7 +144,7 @@ export const AuthProvider = ({ children }) => {
         if (originalRequest.url && originalRequest.url.includes('/api/auth/refresh')) {
           return Promise.reject(error);
         }
-        if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.url.includes('/api/auth/login')) {
+        if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.url.includes('/api/auth/login') && !originalRequest.url.includes('/api/auth/2fa/')) {
           originalRequest._retry = true;
           try {
             const refreshResponse = await api.post("/api/auth/refresh");
@@ -165,29 +168,53 @@ export const AuthProvider = ({ children }) => {
     };
   }, [logoutUser]);
 
+  const completeLogin = async ({ token, user, deviceToken }) => {
+    if (deviceToken) {
+      localStorage.setItem(TRUSTED_DEVICE_KEY, deviceToken);
+    }
+    loginUser(user, token);
+
+    // Load user permissions after login
+    try {
+      await useRoleStore.getState().loadMyPermissions();
+      await useRoleStore.getState().loadRoles();
+    } catch (permErr) {
+      console.error("Error loading permissions:", permErr);
+    }
+
+    return { success: true, user };
+  };
+
+  /**
+   * Password step. When the account uses two-factor authentication the
+   * session is not started yet; the caller gets `twoFactor` describing the
+   * next step ('challenge' or 'setup') and its short-lived token.
+   */
   const login = async (email, password) => {
-    const body = JSON.stringify({ email, password });
+    const deviceToken = localStorage.getItem(TRUSTED_DEVICE_KEY) || undefined;
+    const body = JSON.stringify({ email, password, deviceToken });
 
     try {
       const res = await api.post("/api/auth/login", body);
-      const { token, user } = res.data;
-      loginUser(user, token);
-      
-      // Load user permissions after login
-      try {
-        await useRoleStore.getState().loadMyPermissions();
-        await useRoleStore.getState().loadRoles();
-      } catch (permErr) {
-        console.error("Error loading permissions:", permErr);
+      if (res.data.twoFactorRequired) {
+        return { success: false, twoFactor: { step: "challenge", token: res.data.challengeToken } };
+      }
+      if (res.data.twoFactorSetupRequired) {
+        return { success: false, twoFactor: { step: "setup", token: res.data.setupToken } };
       }
-      
-      return { success: true, user };
+      return await completeLogin(res.data);
     } catch (err) {
       console.error(err.response?.data);
       throw err;
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode, rememberDevice }) => {
+    const res = await api.post("/api/auth/2fa/verify", { challengeToken, code, recoveryCode, rememberDevice });
+    const result = await completeLogin(res.data);
+    return { ...result, recoveryCodesRemaining: res.data.recoveryCodesRemaining };
+  };
+
   const register = async (name, email, password, department) => {
     const body = JSON.stringify({ name, email, password, department });
 
@@ -208,6 +235,8 @@ export const AuthProvider = ({ children }) => {
         isAuthenticated,
         loading,
         login,
+        verifyTwoFactor,
+        completeLogin,
         loginUser,
         logoutUser,
         register,
@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from 'react';
+import { subscribe, getQueueSnapshot } from '../services/backgroundSync';
+
+/**
+ * Custom hook to follow changes waiting in the offline queue
+ * @returns {Object} Queue state containing:
+ *   - pending: number - changes waiting to be sent
+ *   - syncing: boolean - true while queued changes are being replayed
+ *   - conflicts: Array - changes refused because someone else edited the item
+ *   - failed: Array - changes the server rejected for another reason
+ */
+export const useOfflineQueue = () => useSyncExternalStore(subscribe, getQueueSnapshot);
+
+export default useOfflineQueue;
@@ -0,0 +1,62 @@
+import { useContext, useEffect, useMemo } from 'react';
+import AuthContext from '../context/AuthContext';
+import usePresenceStore from '../store/presenceStore';
+
+const NO_VIEWERS = [];
+
+const useOthers = (viewers) => {
+  const { user } = useContext(AuthContext);
+  const selfId = user?._id || user?.id;
+  return useMemo(
+    () => (viewers || NO_VIEWERS).filter((viewer) => viewer.userId !== selfId),
+    [viewers, selfId]
+  );
+};
+
+/**
+ * Custom hook to be present on a board or card while the component is mounted
+ * @param {'board'|'card'} type
+ * @param {string} id - Nothing is joined while empty
+ * @returns {Array} Other people present: { userId, name, avatar, activity }
+ */
+export const usePresence = (type, id) => {
+  const join = usePresenceStore((state) => state.join);
+  const leave = usePresenceStore((state) => state.leave);
+  const viewers = usePresenceStore((state) => (type === 'board' ? state.boards : state.cards)[id]);
+
+  useEffect(() => {
+    if (!id) return undefined;
+    join(type, id);
+    return () => leave(type, id);
+  }, [type, id, join, leave]);
+
+  return useOthers(viewers);
+};
+
+/**
+ * Custom hook for the other people who have a card open. Reads what the
+ * board or a card watch (useWatchCardPresence) already receives.
+ * @param {string} cardId
+ * @returns {Array} { userId, name, avatar, activity }
+ */
+export const useCardViewers = (cardId) => {
+  const viewers = usePresenceStore((state) => state.cards[cardId]);
+  return useOthers(viewers);
+};
+
+/**
+ * Custom hook to follow who has any of these cards open, for views that list
+ * cards from several boards
+ * @param {Array<string>} cardIds
+ */
+export const useWatchCardPresence = (cardIds) => {
+  const watchCards = usePresenceStore((state) => state.watchCards);
+  const key = useMemo(() => [...new Set(cardIds.filter(Boolean))].sort().join(','), [cardIds]);
+
+  useEffect(() => {
+    if (!key) return undefined;
+    return watchCards(key.split(','));
+  }, [key, watchCards]);
+};
+
+export default usePresence;
@@ -1,10 +1,12 @@
 import React, { useState, useContext } from "react";
-import { Mail, Lock, Key, Save, Eye, EyeOff, CheckCircle, AlertCircle, Shield, MessageSquare, Blocks } from "lucide-react";
+import { Mail, Lock, Key, Save, Eye, EyeOff, CheckCircle, AlertCircle, Shield, MessageSquare, Blocks, Webhook } from "lucide-react";
 import AuthContext from "../context/AuthContext";
 import api from "../services/api";
 import Avatar from "../components/Avatar";
 import SlackAdminPanel from "../components/SlackAdminPanel";
 import ModuleAccessPanel from "../components/Admin/ModuleAccessPanel";
+import TwoFactorPolicyPanel from "../components/Admin/TwoFactorPolicyPanel";
+import WebhooksPanel from "../components/Admin/WebhooksPanel";
 
 const AdminSettings = () => {
   const { user, token, setUser } = useContext(AuthContext);
@@ -21,7 +23,7 @@ const AdminSettings = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState(0);
-  const [activeTab, setActiveTab] = useState('account'); // 'account' | 'modules'
+  const [activeTab, setActiveTab] = useState('account'); // 'account' | 'modules' | 'webhooks'
 
   const { newEmail, currentPassword, newPassword, confirmNewPassword } = formData;
 
@@ -148,6 +150,17 @@ const AdminSettings = () => {
                   <Blocks className="w-4 h-4" />
                   Modules Access
                 </button>
+                <button
+                  onClick={() => setActiveTab('webhooks')}
+                  className={`px-4 py-3 text-sm font-semibold border-b-2 transition-colors flex items-center gap-2 ${
+                    activeTab === 'webhooks'
+                      ? 'border-blue-600 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Webhook className="w-4 h-4" />
+                  Webhooks
+                </button>
               </nav>
             </div>
 
@@ -436,6 +449,10 @@ const AdminSettings = () => {
             <div className="mt-8 bg-white p-6 rounded-xl shadow-md">
               <SlackAdminPanel />
             </div>
+
+            <div className="mt-8 bg-white p-6 rounded-xl shadow-md">
+              <TwoFactorPolicyPanel />
+            </div>
               </>
             )}
 
@@ -445,6 +462,13 @@ const AdminSettings = () => {
                 <ModuleAccessPanel />
               </div>
             )}
+
+            {/* Webhooks Tab Content */}
+            {activeTab === 'webhooks' && (
+              <div className="bg-white p-6 rounded-xl shadow-md">
+                <WebhooksPanel />
+              </div>
+            )}
           </div>
       </main>
 
@@ -9,6 +9,7 @@ import AnalyticsScheduleDrawer from '../components/AnalyticsScheduleDrawer';
 import EmployeeAnalyticsTasks from '../components/EmployeeAnalyticsTasks';
 import AnalyticsTaskList from '../components/AnalyticsTaskList';
 import AnalyticsEntityLink from '../components/AnalyticsEntityLink';
+import AnalyticsFlowPanels from '../components/AnalyticsFlowPanels';
 import { analyticsProjectHref, analyticsTaskHref } from '../utils/analyticsNavigation';
 import { formatAnalyticsDate, formatAnalyticsDateTime, formatAnalyticsHours } from '../utils/analyticsFormat';
 import './Analytics.css';
@@ -320,6 +321,8 @@ const Analytics = memo(() => {
     <section className="analytics-grid"><article className="analytics-panel span-7"><div className="analytics-panel-header"><div><div className="analytics-panel-title">Project portfolio</div><div className="analytics-panel-note">Progress, workload and delivery risk</div></div><button className="analytics-panel-link" onClick={() => setDetail({ title: 'All projects', rows: data.projects })}>View all</button></div>{data.projects.length ? <div className="analytics-table-wrap"><table className="analytics-table"><thead><tr><th>Project</th><th>Status</th><th>Progress</th><th>Tasks</th><th>Overdue</th><th>Logged</th></tr></thead><tbody>{data.projects.slice(0, 8).map((project) => <tr key={project.id} onClick={() => setDetail({ title: project.name, rows: [project], stats: [{ label: 'Progress', value: project.progress, suffix: '%' }, { label: 'Logged', value: project.loggedHours, suffix: 'h' }, { label: 'Tasks', value: project.totalTasks }, { label: 'Overdue', value: project.overdueTasks }] })}><td><AnalyticsEntityLink href={analyticsProjectHref(project)} className="analytics-table-name" ariaLabel={`Open project ${project.name} in a new page`}>{project.name}</AnalyticsEntityLink></td><td><StatusBadge status={project.delayed ? 'delayed' : project.status} /></td><td><div className="analytics-progress"><div className="analytics-progress-track"><div className="analytics-progress-fill" style={{ width: `${Math.min(100, project.progress)}%` }} /></div><span>{project.progress}%</span></div></td><td>{project.completedTasks}/{project.totalTasks}</td><td>{project.overdueTasks}</td><td>{formatAnalyticsHours(project.loggedHours)}</td></tr>)}</tbody></table></div> : <EmptyState title="No projects in this scope" />}</article>
       <article className="analytics-panel span-5"><div className="analytics-panel-header"><div><div className="analytics-panel-title">Time utilization</div><div className="analytics-panel-note">Daily logged hours</div></div></div>{hasTrend ? <div className="analytics-chart compact"><ResponsiveContainer width="100%" height="100%"><BarChart data={data.charts.dailyTrend} margin={{ top: 8, right: 2, left: -20, bottom: 0 }}><CartesianGrid strokeDasharray="3 4" vertical={false} stroke="#e8ecf2"/><XAxis dataKey="date" tick={{ fontSize: 9, fill: '#8390a2' }} tickFormatter={(value) => new Date(`${value}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} axisLine={false} tickLine={false} minTickGap={25}/><YAxis tick={{ fontSize: 10, fill: '#8390a2' }} axisLine={false} tickLine={false}/><Tooltip content={<AnalyticsTooltip />}/><Bar dataKey="hours" name="Logged hours" fill="#3468e8" radius={[5,5,0,0]} maxBarSize={28}/></BarChart></ResponsiveContainer></div> : <EmptyState />}</article></section>
 
+    <AnalyticsFlowPanels filters={filters} refreshKey={data.meta.generatedAt} />
+
     {!personalOnly && <section className="analytics-grid"><article className="analytics-panel span-6"><div className="analytics-panel-header"><div><div className="analytics-panel-title">Department comparison</div><div className="analytics-panel-note">Completion rate by permitted department</div></div></div>{data.charts.departments.length ? <div className="analytics-chart compact"><ResponsiveContainer width="100%" height="100%"><BarChart data={data.charts.departments} layout="vertical" margin={{ top: 0, right: 18, left: 10, bottom: 0 }}><CartesianGrid strokeDasharray="3 4" horizontal={false} stroke="#e8ecf2"/><XAxis type="number" domain={[0, 100]} tick={{ fontSize: 10 }} axisLine={false} tickLine={false}/><YAxis type="category" dataKey="name" width={95} tick={{ fontSize: 10, fill: '#5f6d80' }} axisLine={false} tickLine={false}/><Tooltip content={<AnalyticsTooltip />}/><Bar dataKey="completionRate" name="Completion rate" fill="#3468e8" radius={[0,6,6,0]} maxBarSize={22}/></BarChart></ResponsiveContainer></div> : <EmptyState />}</article><article className="analytics-panel span-6"><div className="analytics-panel-header"><div><div className="analytics-panel-title">Team workload</div><div className="analytics-panel-note">Assigned, completed and overdue tasks</div></div></div>{data.charts.workload.length ? <div className="analytics-chart compact"><ResponsiveContainer width="100%" height="100%"><BarChart data={data.charts.workload} margin={{ top: 5, right: 8, left: -18, bottom: 0 }}><CartesianGrid strokeDasharray="3 4" vertical={false} stroke="#e8ecf2"/><XAxis dataKey="name" tick={{ fontSize: 9 }} axisLine={false} tickLine={false}/><YAxis tick={{ fontSize: 10 }} axisLine={false} tickLine={false}/><Tooltip content={<AnalyticsTooltip />}/><Legend iconType="circle" iconSize={7} wrapperStyle={{ fontSize: 11 }}/><Bar dataKey="completed" stackId="tasks" fill="#13a874"/><Bar dataKey="overdue" stackId="tasks" fill="#ef5b6a"/><Bar dataKey="assigned" fill="#b8c7e8" radius={[5,5,0,0]}/></BarChart></ResponsiveContainer></div> : <EmptyState />}</article></section>}
 
     <section className="analytics-grid"><article className={`analytics-panel ${personalOnly ? 'span-7' : 'span-8'}`}><div className="analytics-panel-header"><div><div className="analytics-panel-title">{personalOnly ? 'My task and time performance' : 'Employee performance'}</div><div className="analytics-panel-note">Completion, workload and time for the selected period</div></div><button className="analytics-panel-link" onClick={() => setDetail({ title: personalOnly ? 'My performance' : 'Employee performance', rows: data.employees })}>View details</button></div>{data.employees.length ? <div className="analytics-table-wrap"><table className="analytics-table"><thead><tr><th>Employee</th><th>Productivity</th><th>Completion</th><th>Assigned</th><th>Overdue</th><th>Logged</th></tr></thead><tbody>{data.employees.slice(0, 8).map((employee) => <tr key={employee.id} onClick={() => setDetail({ title: employee.name, rows: [employee], stats: [{ label: 'Productivity', value: employee.productivityScore, suffix: '%' }, { label: 'Completion', value: employee.completionRate, suffix: '%' }, { label: 'Assigned', value: employee.assignedTasks }, { label: 'Logged', value: employee.loggedHours, suffix: 'h' }] })}><td><div className="analytics-person">{employee.avatar ? <img className="analytics-avatar" src={employee.avatar} alt="" /> : <span className="analytics-avatar">{employee.name?.[0]}</span>}<div><div className="analytics-table-name">{employee.name}</div><div className="analytics-panel-note">{employee.title || 'Team member'}</div></div></div></td><td>{employee.productivityScore}%</td><td>{employee.completionRate}%</td><td>{employee.assignedTasks}</td><td>{employee.overdueTasks}</td><td>{formatAnalyticsHours(employee.loggedHours)}</td></tr>)}</tbody></table></div> : <EmptyState title={personalOnly ? 'No assigned work in this scope' : 'No employees in this scope'} />}</article><article className={`analytics-panel ${personalOnly ? 'span-5' : 'span-4'}`}><div className="analytics-panel-header"><div><div className="analytics-panel-title">Recent activity</div><div className="analytics-panel-note">Latest permitted updates</div></div></div>{data.recentActivity.length ? <div className="analytics-activity-list">{data.recentActivity.slice(0, 7).map((item) => <div className="analytics-activity" key={item._id}><span className="analytics-activity-icon"><Activity size={14} /></span><div className="analytics-activity-text"><strong>{item.user?.name || 'Team member'}</strong> {item.description}<div className="analytics-panel-note">{item.board?.name || 'Project'}</div></div><span className="analytics-activity-meta">{timeAgo(item.createdAt)}</span></div>)}</div> : <EmptyState title="No recent activity" />}</article></section>
@@ -26,16 +26,20 @@ import {
   PlayCircle,
   Target,
   Flame,
-  Repeat
+  Repeat,
+  Rss,
+  Plane
 } from 'lucide-react';
 import '../components/calendar/CalendarTask.css';
 import DepartmentContext from '../context/DepartmentContext';
 import AuthContext from '../context/AuthContext';
 import Database from '../services/database';
 import ReminderCalendar from '../components/ReminderCalendar';
-import { ModernCalendarGrid, CalendarTaskModal } from '../components/calendar';
+import { ModernCalendarGrid, CalendarTaskModal, CalendarFeedModal, LeaveRequestModal } from '../components/calendar';
 import ReminderModal from '../components/ReminderModal';
 import HtmlContent from '../components/ui/HtmlContent';
+import { CardPresenceAvatars } from '../components/presence/PresenceAvatars';
+import { useWatchCardPresence } from '../hooks/usePresence';
 import { useClientInfo } from '../context/ClientInfoContext';
 
 const CalendarView = () => {
@@ -44,6 +48,7 @@ const CalendarView = () => {
   const { getClientForProject, getClientDetailsForProject } = useClientInfo();
   const [events, setEvents] = useState([]);
   const [filteredEvents, setFilteredEvents] = useState([]);
+  useWatchCardPresence(filteredEvents.map((event) => event.extendedProps?.cardId));
   const [loading, setLoading] = useState(true);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [showEventModal, setShowEventModal] = useState(false);
@@ -65,8 +70,14 @@ const CalendarView = () => {
 
   // Task creation from calendar state
   const [showTaskModal, setShowTaskModal] = useState(false);
+  const [showFeedModal, setShowFeedModal] = useState(false);
   const [selectedDateForTask, setSelectedDateForTask] = useState(null);
 
+  // Holidays and leave for the visible range
+  const [visibleRange, setVisibleRange] = useState(null);
+  const [timeOff, setTimeOff] = useState({ holidays: [], leave: [] });
+  const [showLeaveModal, setShowLeaveModal] = useState(false);
+
   // Tooltip state for hover preview
   const [tooltipData, setTooltipData] = useState(null);
   const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
@@ -108,6 +119,57 @@ const CalendarView = () => {
     applyFilters();
   }, [events, filterPriority, filterStatus]);
 
+  const loadTimeOff = useCallback(async () => {
+    if (!visibleRange) return;
+    try {
+      const res = await Database.getCalendarTimeOff(
+        visibleRange.start.toISOString(),
+        visibleRange.end.toISOString(),
+        currentDepartment?._id
+      );
+      setTimeOff(res.data || { holidays: [], leave: [] });
+    } catch (error) {
+      console.error('Error loading time off:', error);
+    }
+  }, [visibleRange, currentDepartment]);
+
+  useEffect(() => {
+    loadTimeOff();
+  }, [loadTimeOff]);
+
+  // All-day ranges end exclusively in FullCalendar, so leave ends a day later
+  const timeOffEvents = useMemo(() => {
+    const dayAfter = (value) => {
+      const date = new Date(value);
+      date.setDate(date.getDate() + 1);
+      return date;
+    };
+    return [
+      ...timeOff.holidays.map((holiday) => ({
+        id: `holiday-${holiday._id}`,
+        title: holiday.name,
+        start: new Date(holiday.date),
+        allDay: true,
+        extendedProps: {
+          eventType: 'holiday',
+          department: holiday.department?.name || 'Company-wide'
+        }
+      })),
+      ...timeOff.leave.map((request) => ({
+        id: `leave-${request._id}`,
+        title: `${request.user?.name || 'Someone'} — off`,
+        start: new Date(request.startDate),
+        end: dayAfter(request.endDate),
+        allDay: true,
+        extendedProps: {
+          eventType: 'leave',
+          status: request.status,
+          leaveType: request.type
+        }
+      }))
+    ];
+  }, [timeOff]);
+
   // Hide tooltip on scroll to prevent stale positioning
   useEffect(() => {
     const handleScroll = () => {
@@ -286,6 +348,24 @@ const CalendarView = () => {
   const renderEventContent = useCallback((eventInfo) => {
     const { extendedProps, title } = eventInfo.event;
     const eventType = extendedProps.eventType || 'due';
+
+    if (eventType === 'holiday' || eventType === 'leave') {
+      const detail = eventType === 'holiday'
+        ? extendedProps.department
+        : `${extendedProps.leaveType}${extendedProps.status === 'pending' ? ' (pending approval)' : ''}`;
+      return (
+        <div className="fc-event-custom w-full" title={`${title} · ${detail}`}>
+          <div className="flex items-center gap-1 px-1.5 py-0.5 w-full overflow-hidden">
+            {eventType === 'holiday'
+              ? <CalendarDays className="w-3 h-3 flex-shrink-0" />
+              : <Plane className="w-3 h-3 flex-shrink-0" />}
+            <span className={`truncate text-[11px] font-medium flex-1 ${extendedProps.status === 'pending' ? 'italic' : ''}`}>
+              {title}
+            </span>
+          </div>
+        </div>
+      );
+    }
     const isOverdue = extendedProps.isOverdue;
     const hasRecurrence = extendedProps.hasRecurrence;
 
@@ -332,6 +412,7 @@ const CalendarView = () => {
         <div className="flex items-center gap-1 px-1.5 py-0.5 w-full overflow-hidden">
           {getIndicator()}
           <span className="truncate text-[11px] font-medium flex-1">{title}</span>
+          <CardPresenceAvatars cardId={extendedProps.cardId} max={2} className="flex-shrink-0" />
           {hasRecurrence && (
             <Repeat className="w-2.5 h-2.5 flex-shrink-0 opacity-75" />
           )}
@@ -341,6 +422,12 @@ const CalendarView = () => {
   }, []);
 
   const handleEventClick = (info) => {
+    const { eventType } = info.event.extendedProps;
+    if (eventType === 'holiday') return;
+    if (eventType === 'leave') {
+      if (info.event.extendedProps.status === 'pending') setShowLeaveModal(true);
+      return;
+    }
     setSelectedEvent(info.event);
     setShowEventModal(true);
   };
@@ -352,6 +439,7 @@ const CalendarView = () => {
 
   const handleRefresh = () => {
     loadEvents();
+    loadTimeOff();
   };
 
   // Handle date click to create task
@@ -572,6 +660,26 @@ const CalendarView = () => {
                 <ChevronDown className={`w-4 h-4 transition-transform ${showFilters ? 'rotate-180' : ''}`} />
               </motion.button>
 
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowLeaveModal(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-white text-gray-700 rounded-lg shadow-md hover:shadow-lg transition-all duration-200 border border-gray-200"
+              >
+                <Plane className="w-4 h-4" />
+                <span className="hidden sm:inline">Time Off</span>
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowFeedModal(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-white text-gray-700 rounded-lg shadow-md hover:shadow-lg transition-all duration-200 border border-gray-200"
+              >
+                <Rss className="w-4 h-4" />
+                <span className="hidden sm:inline">Subscribe</span>
+              </motion.button>
+
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
@@ -889,7 +997,12 @@ const CalendarView = () => {
             <FullCalendar
               plugins={[dayGridPlugin, timeGridPlugin, interactionPlugin]}
               initialView="dayGridMonth"
-              events={filteredEvents}
+              events={[...filteredEvents, ...timeOffEvents]}
+              datesSet={(info) => setVisibleRange((prev) => (
+                prev && prev.start.getTime() === info.start.getTime() && prev.end.getTime() === info.end.getTime()
+                  ? prev
+                  : { start: info.start, end: info.end }
+              ))}
               eventClick={handleEventClick}
               dateClick={handleDateClick}
               eventContent={renderEventContent}
@@ -908,7 +1021,11 @@ const CalendarView = () => {
               moreLinkContent={(args) => `+${args.num} more`}
               eventClassNames={(info) => {
                 const classes = ['cursor-pointer', 'transition-all', 'duration-150'];
-                if (info.event.extendedProps.isOverdue) {
+                if (info.event.extendedProps.eventType === 'holiday') {
+                  classes.push('calendar-holiday');
+                } else if (info.event.extendedProps.eventType === 'leave') {
+                  classes.push(info.event.extendedProps.status === 'pending' ? 'calendar-leave-pending' : 'calendar-leave');
+                } else if (info.event.extendedProps.isOverdue) {
                   classes.push('calendar-task-overdue');
                 } else if (info.event.extendedProps.eventType === 'start') {
                   classes.push('calendar-task-start');
@@ -969,6 +1086,24 @@ const CalendarView = () => {
               </div>
               <span className="text-sm font-medium text-gray-700">Recurring</span>
             </motion.div>
+            <motion.div 
+              whileHover={{ scale: 1.05 }}
+              className="flex items-center gap-3 p-3 rounded-lg bg-gray-50 border border-gray-200"
+            >
+              <div className="flex items-center justify-center w-6 h-6 bg-gradient-to-r from-gray-400 to-gray-500 rounded shadow-md">
+                <CalendarDays className="w-3.5 h-3.5 text-white" />
+              </div>
+              <span className="text-sm font-medium text-gray-700">Holiday</span>
+            </motion.div>
+            <motion.div 
+              whileHover={{ scale: 1.05 }}
+              className="flex items-center gap-3 p-3 rounded-lg bg-teal-50 border border-teal-100"
+            >
+              <div className="flex items-center justify-center w-6 h-6 bg-gradient-to-r from-teal-500 to-teal-600 rounded shadow-md">
+                <Plane className="w-3.5 h-3.5 text-white" />
+              </div>
+              <span className="text-sm font-medium text-gray-700">Leave</span>
+            </motion.div>
           </div>
           <p className="text-xs text-gray-500 mt-4">
             💡 Tip: Click on any date to create a new task. Hover over tasks to see details.
@@ -1215,6 +1350,10 @@ const CalendarView = () => {
         onTaskCreated={handleTaskCreated}
       />
 
+      {/* External calendar subscriptions */}
+      <CalendarFeedModal isOpen={showFeedModal} onClose={() => setShowFeedModal(false)} />
+      <LeaveRequestModal isOpen={showLeaveModal} onClose={() => setShowLeaveModal(false)} onChanged={loadTimeOff} />
+
       {/* Portal-based Tooltip for Calendar Events */}
       {tooltipData && createPortal(
         <div 
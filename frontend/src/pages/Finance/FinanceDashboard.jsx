@@ -9,7 +9,8 @@ import {
   AlertCircle,
   RefreshCw,
   Calendar,
-  ArrowRight
+  ArrowRight,
+  Receipt
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import api from '../../services/api';
@@ -30,6 +31,7 @@ const FinanceDashboard = () => {
   const [summary, setSummary] = useState(null);
   const [usersData, setUsersData] = useState([]);
   const [projectsData, setProjectsData] = useState([]);
+  const [receivables, setReceivables] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedPeriod, setSelectedPeriod] = useState('month');
@@ -86,15 +88,17 @@ const FinanceDashboard = () => {
       });
 
       // Fetch all data in parallel
-      const [summaryRes, usersRes, projectsRes] = await Promise.all([
+      const [summaryRes, usersRes, projectsRes, receivablesRes] = await Promise.all([
         api.get(`/api/finance/summary?${params.toString()}`),
         api.get(`/api/finance/users?${params.toString()}`),
-        api.get(`/api/finance/projects?${params.toString()}`)
+        api.get(`/api/finance/projects?${params.toString()}`),
+        api.get('/api/finance/invoices/receivables')
       ]);
 
       if (summaryRes.data.success) setSummary(summaryRes.data.data);
       if (usersRes.data.success) setUsersData(usersRes.data.data || []);
       if (projectsRes.data.success) setProjectsData(projectsRes.data.data || []);
+      if (receivablesRes.data.success) setReceivables(receivablesRes.data.data);
 
     } catch (err) {
       console.error('Dashboard data fetch error:', err);
@@ -303,11 +307,11 @@ const FinanceDashboard = () => {
 
       {/* Key Metrics Grid */}
       {loading ? (
-        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-5 gap-4">
-          {[...Array(5)].map((_, i) => <SkeletonCard key={i} />)}
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {[...Array(6)].map((_, i) => <SkeletonCard key={i} />)}
         </div>
       ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
           {/* Total Revenue */}
           <div
             className="p-6 rounded-xl border group hover:scale-[1.02] transition-all duration-200 cursor-pointer"
@@ -442,6 +446,40 @@ const FinanceDashboard = () => {
               </div>
             </div>
           </div>
+          {/* Receivables */}
+          <div
+            className="p-6 rounded-xl border group hover:scale-[1.02] transition-all duration-200 cursor-pointer"
+            style={{
+              backgroundColor: 'var(--color-bg-secondary)',
+              borderColor: 'var(--color-border-subtle)'
+            }}
+            onClick={() => navigate('/finance/invoices')}
+          >
+            <div className="flex items-start justify-between">
+              <div>
+                <p className="text-sm font-medium mb-1" style={{ color: 'var(--color-text-secondary)' }}>
+                  Outstanding Invoices
+                </p>
+                <p className="text-2xl font-bold" style={{ color: '#2563eb' }}>
+                  {formatCurrency(receivables?.outstanding)}
+                </p>
+                <p className="text-xs mt-2 flex items-center gap-1" style={{ color: receivables?.overdueCount ? '#dc2626' : 'var(--color-text-muted)' }}>
+                  <span>
+                    {receivables?.overdueCount
+                      ? `${formatCurrency(receivables.overdue)} overdue (${receivables.overdueCount})`
+                      : 'Nothing overdue'}
+                  </span>
+                  <ArrowRight className="w-3 h-3 opacity-0 group-hover:opacity-100 transition-opacity" />
+                </p>
+              </div>
+              <div
+                className="p-3 rounded-xl"
+                style={{ backgroundColor: 'rgba(37, 99, 235, 0.12)' }}
+              >
+                <Receipt className="w-6 h-6" style={{ color: '#2563eb' }} />
+              </div>
+            </div>
+          </div>
 
         </div>
       )}
@@ -10,7 +10,8 @@ import {
   ChevronDown,
   Settings,
   FileText,
-  Bell
+  Bell,
+  Receipt
 } from 'lucide-react';
 
 import AuthContext from '../../context/AuthContext';
@@ -56,6 +57,7 @@ const FinanceLayout = () => {
     if (location.pathname === '/finance/users') return 'users';
     if (location.pathname.includes('/projects')) return 'projects';
     if (location.pathname.includes('/weekly')) return 'weekly';
+    if (location.pathname.includes('/invoices')) return 'invoices';
     if (location.pathname.includes('/pages')) return 'pages';
     return 'dashboard';
   };
@@ -189,6 +191,13 @@ const FinanceLayout = () => {
       path: '/finance/weekly',
       icon: Calendar,
       description: 'Week-wise reports'
+    },
+    {
+      id: 'invoices',
+      label: 'Invoices',
+      path: '/finance/invoices',
+      icon: Receipt,
+      description: 'Client invoices & receivables'
     }
   ];
 
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { FileText, Plus, Loader2, AlertTriangle, Clock } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import AuthContext from '../../context/AuthContext';
+import InvoiceEditorModal from '../../components/Finance/InvoiceEditorModal';
+import { formatInvoiceMoney as formatMoney } from '../../utils/invoices';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'draft', label: 'Drafts' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'paid', label: 'Paid' },
+];
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  sent: 'bg-blue-100 text-blue-800',
+  paid: 'bg-green-100 text-green-800',
+  overdue: 'bg-red-100 text-red-800',
+};
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : '—');
+
+const firstOfLastMonth = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() - 1, 1);
+};
+
+const toDateInput = (date) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+};
+
+/**
+ * InvoicesTab - Client invoices drafted from billed time and milestone
+ * approvals, with receivables at the top
+ */
+const InvoicesTab = () => {
+  const { user } = useContext(AuthContext);
+  const canEdit = ['admin', 'manager'].includes(user?.role?.toLowerCase());
+  const [invoices, setInvoices] = useState([]);
+  const [receivables, setReceivables] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [openInvoiceId, setOpenInvoiceId] = useState(null);
+  const [draft, setDraft] = useState(() => {
+    const start = firstOfLastMonth();
+    return {
+      projectId: '',
+      startDate: toDateInput(start),
+      endDate: toDateInput(new Date(start.getFullYear(), start.getMonth() + 1, 0)),
+    };
+  });
+
+  const loadInvoices = useCallback(async () => {
+    try {
+      const [invoicesRes, receivablesRes] = await Promise.all([
+        api.get('/api/finance/invoices', { params: { status: status || undefined } }),
+        api.get('/api/finance/invoices/receivables'),
+      ]);
+      setInvoices(invoicesRes.data.data);
+      setReceivables(receivablesRes.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load invoices');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadInvoices();
+  }, [loadInvoices]);
+
+  useEffect(() => {
+    if (!canEdit) return;
+    api.get('/api/finance/filters')
+      .then((res) => setProjects(res.data.data?.projects || []))
+      .catch(() => setProjects([]));
+  }, [canEdit]);
+
+  useEffect(() => {
+    window.addEventListener('socket-finance-refresh', loadInvoices);
+    return () => window.removeEventListener('socket-finance-refresh', loadInvoices);
+  }, [loadInvoices]);
+
+  const closeInvoice = useCallback(() => setOpenInvoiceId(null), []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!draft.projectId) {
+      toast.error('Choose a project to invoice');
+      return;
+    }
+    setCreating(true);
+    try {
+      const res = await api.post('/api/finance/invoices', draft);
+      await loadInvoices();
+      setOpenInvoiceId(res.data.data._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to draft invoice');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const cardStyle = { backgroundColor: 'var(--color-bg-secondary)', borderColor: 'var(--color-border-subtle)' };
+
+  return (
+    <div className="space-y-6">
+      {/* Receivables */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="p-5 rounded-xl border" style={cardStyle}>
+          <p className="text-sm font-medium mb-1" style={{ color: 'var(--color-text-secondary)' }}>Outstanding</p>
+          <p className="text-2xl font-bold text-blue-600">{formatMoney(receivables?.outstanding)}</p>
+          <p className="text-xs mt-1" style={{ color: 'var(--color-text-muted)' }}>{receivables?.outstandingCount || 0} sent, unpaid</p>
+        </div>
+        <div className="p-5 rounded-xl border" style={cardStyle}>
+          <p className="text-sm font-medium mb-1 flex items-center gap-1" style={{ color: 'var(--color-text-secondary)' }}>
+            <AlertTriangle className="w-4 h-4 text-red-500" />
+            Overdue
+          </p>
+          <p className="text-2xl font-bold text-red-600">{formatMoney(receivables?.overdue)}</p>
+          <p className="text-xs mt-1" style={{ color: 'var(--color-text-muted)' }}>{receivables?.overdueCount || 0} past due</p>
+        </div>
+        <div className="p-5 rounded-xl border" style={cardStyle}>
+          <p className="text-sm font-medium mb-1 flex items-center gap-1" style={{ color: 'var(--color-text-secondary)' }}>
+            <Clock className="w-4 h-4" />
+            Drafts
+          </p>
+          <p className="text-2xl font-bold" style={{ color: 'var(--color-text-primary)' }}>{receivables?.draftCount || 0}</p>
+          <p className="text-xs mt-1" style={{ color: 'var(--color-text-muted)' }}>Not yet sent</p>
+        </div>
+      </div>
+
+      {/* New invoice */}
+      {canEdit && (
+        <form onSubmit={handleCreate} className="p-5 rounded-xl border flex flex-wrap items-end gap-3" style={cardStyle}>
+          <label className="flex flex-col gap-1 text-sm flex-1 min-w-[14rem]" style={{ color: 'var(--color-text-secondary)' }}>
+            Project
+            <select
+              value={draft.projectId}
+              onChange={(e) => setDraft((prev) => ({ ...prev, projectId: e.target.value }))}
+              className="px-3 py-2 text-sm border rounded-lg bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-600"
+            >
+              <option value="">Choose a project…</option>
+              {projects.map((project) => (
+                <option key={project._id} value={project._id}>{project.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm" style={{ color: 'var(--color-text-secondary)' }}>
+            From
+            <input
+              type="date"
+              value={draft.startDate}
+              onChange={(e) => setDraft((prev) => ({ ...prev, startDate: e.target.value }))}
+              className="px-3 py-2 text-sm border rounded-lg bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-600"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-sm" style={{ color: 'var(--color-text-secondary)' }}>
+            To
+            <input
+              type="date"
+              value={draft.endDate}
+              onChange={(e) => setDraft((prev) => ({ ...prev, endDate: e.target.value }))}
+              className="px-3 py-2 text-sm border rounded-lg bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-600"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={creating}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 disabled:opacity-50"
+          >
+            {creating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Draft invoice
+          </button>
+        </form>
+      )}
+
+      {/* Invoice list */}
+      <div className="rounded-xl border overflow-hidden" style={cardStyle}>
+        <div className="px-5 py-3 border-b flex items-center justify-between gap-4" style={{ borderColor: 'var(--color-border-subtle)' }}>
+          <h2 className="text-lg font-semibold flex items-center gap-2" style={{ color: 'var(--color-text-primary)' }}>
+            <FileText className="w-5 h-5 text-emerald-600" />
+            Invoices
+          </h2>
+          <div className="flex items-center gap-1">
+            {STATUS_FILTERS.map((filter) => (
+              <button
+                key={filter.value}
+                type="button"
+                onClick={() => setStatus(filter.value)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  status === filter.value ? 'bg-emerald-600 text-white' : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center p-8">
+            <Loader2 className="w-5 h-5 text-emerald-500 animate-spin mr-2" />
+            <span className="text-sm text-gray-500">Loading invoices...</span>
+          </div>
+        ) : invoices.length === 0 ? (
+          <p className="p-8 text-center text-sm text-gray-500">No invoices yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase" style={{ color: 'var(--color-text-muted)' }}>
+                <th className="px-5 py-2">Number</th>
+                <th className="px-5 py-2">Project</th>
+                <th className="px-5 py-2">Client</th>
+                <th className="px-5 py-2">Period</th>
+                <th className="px-5 py-2">Due</th>
+                <th className="px-5 py-2 text-right">Total</th>
+                <th className="px-5 py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {invoices.map((invoice) => {
+                const statusKey = invoice.overdue ? 'overdue' : invoice.status;
+                return (
+                  <tr
+                    key={invoice._id}
+                    onClick={() => setOpenInvoiceId(invoice._id)}
+                    className="border-t cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800"
+                    style={{ borderColor: 'var(--color-border-subtle)', color: 'var(--color-text-primary)' }}
+                  >
+                    <td className="px-5 py-3 font-medium">{invoice.number || <span className="italic text-gray-400">Draft</span>}</td>
+                    <td className="px-5 py-3">{invoice.board?.name}</td>
+                    <td className="px-5 py-3">{invoice.client?.name || '—'}</td>
+                    <td className="px-5 py-3 whitespace-nowrap">{invoice.periodStart} – {invoice.periodEnd}</td>
+                    <td className="px-5 py-3 whitespace-nowrap">{formatDate(invoice.dueDate)}</td>
+                    <td className="px-5 py-3 text-right font-semibold">{formatMoney(invoice.total)}</td>
+                    <td className="px-5 py-3">
+                      <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[statusKey]}`}>
+                        {statusKey.charAt(0).toUpperCase() + statusKey.slice(1)}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {openInvoiceId && (
+        <InvoiceEditorModal
+          invoiceId={openInvoiceId}
+          canEdit={canEdit}
+          onClose={closeInvoice}
+          onChanged={loadInvoices}
+        />
+      )}
+    </div>
+  );
+};
+
+export default InvoicesTab;
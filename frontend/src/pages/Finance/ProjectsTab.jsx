@@ -16,6 +16,7 @@ import {
   ArrowUpDown,
   Phone,
   Mail,
+  Megaphone,
   Activity,
   Info,
   Briefcase
@@ -61,7 +62,9 @@ const ProjectsTab = () => {
     endDate: null,
     departmentId: null,
     projectId: null,
-    billingType: 'all'
+    billingType: 'all',
+    salesPlatform: null,
+    salesProfile: null
   });
 
   // Week-wise reporting mode state
@@ -77,13 +80,17 @@ const ProjectsTab = () => {
     const projectIdParam = params.get('projectId');
     const departmentIdParam = params.get('departmentId');
     const billingTypeParam = params.get('billingType');
+    const salesPlatformParam = params.get('salesPlatform');
+    const salesProfileParam = params.get('salesProfile');
 
-    if (projectIdParam || departmentIdParam || billingTypeParam) {
+    if (projectIdParam || departmentIdParam || billingTypeParam || salesPlatformParam || salesProfileParam) {
       setFilters(prev => ({
         ...prev,
         projectId: projectIdParam || null,
         departmentId: departmentIdParam || null,
-        billingType: billingTypeParam || prev.billingType
+        billingType: billingTypeParam || prev.billingType,
+        salesPlatform: salesPlatformParam || null,
+        salesProfile: salesProfileParam || null
       }));
     }
   }, [location.search]);
@@ -100,6 +107,8 @@ const ProjectsTab = () => {
       if (filters.departmentId) params.append('departmentId', filters.departmentId);
       if (filters.projectId) params.append('projectId', filters.projectId);
       if (filters.billingType) params.append('billingType', filters.billingType);
+      if (filters.salesPlatform) params.append('salesPlatform', filters.salesPlatform);
+      if (filters.salesProfile) params.append('salesProfile', filters.salesProfile);
 
       const response = await api.get(`/api/finance/projects?${params.toString()}`);
 
@@ -1042,6 +1051,14 @@ const ProjectsTab = () => {
                                         </span>
                                       </div>
                                     )}
+                                    {project.salesOrigin && (
+                                      <div className="flex items-center gap-2">
+                                        <Megaphone className="w-4 h-4" style={{ color: '#f59e0b' }} />
+                                        <span style={{ color: 'var(--color-text-secondary)' }}>
+                                          <strong>Sales:</strong> {[project.salesOrigin.platform, project.salesOrigin.profile].filter(Boolean).join(' · ')}
+                                        </span>
+                                      </div>
+                                    )}
                                   </div>
                                 </td>
                               </tr>
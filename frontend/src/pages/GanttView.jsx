@@ -1,114 +1,268 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useMemo, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { GitBranch, Link2, Trash2, ZoomIn, ZoomOut, X } from 'lucide-react';
 import DepartmentContext from '../context/DepartmentContext';
 import Database from '../services/database';
+import GanttChart from '../components/gantt/GanttChart';
 
+const DEPENDENCY_TYPE_LABELS = {
+  finish_to_start: 'Finish → Start',
+  start_to_start: 'Start → Start',
+};
 
 const GanttView = () => {
-  const { currentTeam } = useContext(DepartmentContext);
-  const [tasks, setTasks] = useState([]);
+  const { currentDepartment } = useContext(DepartmentContext);
+  const [boards, setBoards] = useState([]);
+  const [boardId, setBoardId] = useState('');
+  const [cards, setCards] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [dayWidth, setDayWidth] = useState(32);
+  const [selectedId, setSelectedId] = useState(null);
+  const [newDependency, setNewDependency] = useState({ dependsOn: '', type: 'finish_to_start', lagDays: 0 });
 
   useEffect(() => {
-    if (currentTeam) {
-      loadTasks();
-    }
-  }, [currentTeam]);
+    if (!currentDepartment?._id) return;
+    Database.getBoardsByDepartment(currentDepartment._id)
+      .then((res) => {
+        const list = res.data || [];
+        setBoards(list);
+        setBoardId((prev) => (list.some((b) => b._id === prev) ? prev : list[0]?._id || ''));
+        if (!list.length) setLoading(false);
+      })
+      .catch((error) => {
+        console.error('Error loading projects:', error);
+        setLoading(false);
+      });
+  }, [currentDepartment]);
 
-  const loadTasks = async () => {
+  const loadTimeline = useCallback(async () => {
+    if (!boardId) return;
     try {
       setLoading(true);
-      let allCards = [];
-      // Get all boards for the team, then all lists, then all cards
-      const boards = await Database.getBoards();
-      for (const board of boards) {
-        const lists = await Database.getLists(board._id);
-        for (const list of lists) {
-          const listCards = await Database.getCards(list._id);
-          allCards = allCards.concat(listCards.map(card => ({ ...card, listName: list.title })));
-        }
-      }
-
-      // Filter cards with due dates for Gantt
-      const ganttTasks = allCards.filter(card => card.dueDate).map(card => ({
-        id: card._id,
-        name: card.title,
-        start: new Date(card.createdAt),
-        end: new Date(card.dueDate),
-        progress: card.status === 'Done' ? 100 : card.status === 'In Progress' ? 50 : 0,
-        dependencies: [], // Could be enhanced with subtasks
-        assignee: card.assignee?.name || 'Unassigned',
-        priority: card.priority
-      }));
-
-      setTasks(ganttTasks);
+      const res = await Database.getBoardGantt(boardId);
+      setCards(res.data?.cards || []);
     } catch (error) {
       console.error('Error loading tasks:', error);
+      toast.error('Failed to load timeline');
     } finally {
       setLoading(false);
     }
+  }, [boardId]);
+
+  useEffect(() => {
+    setSelectedId(null);
+    loadTimeline();
+  }, [loadTimeline]);
+
+  const applyShifted = useCallback((shifted = []) => {
+    if (!shifted.length) return;
+    const byId = new Map(shifted.map((s) => [s._id, s]));
+    setCards((prev) => prev.map((c) => (byId.has(c._id) ? { ...c, ...byId.get(c._id) } : c)));
+    toast.info(`${shifted.length} dependent task${shifted.length === 1 ? '' : 's'} rescheduled`);
+  }, []);
+
+  const handleReschedule = useCallback(async (task, updates) => {
+    const previous = { startDate: task.startDate, dueDate: task.dueDate };
+    setCards((prev) => prev.map((c) => (c._id === task._id ? { ...c, ...updates } : c)));
+    try {
+      const res = await Database.updateCardSchedule(task._id, updates);
+      setCards((prev) => prev.map((c) => (
+        c._id === task._id ? { ...c, startDate: res.data.startDate, dueDate: res.data.dueDate } : c
+      )));
+      applyShifted(res.shifted);
+    } catch (error) {
+      setCards((prev) => prev.map((c) => (c._id === task._id ? { ...c, ...previous } : c)));
+      toast.error(error.message);
+    }
+  }, [applyShifted]);
+
+  const selected = useMemo(() => cards.find((c) => c._id === selectedId) || null, [cards, selectedId]);
+  const titleById = useMemo(() => new Map(cards.map((c) => [c._id, c.title])), [cards]);
+  const blocking = useMemo(
+    () => (selected ? cards.filter((c) => (c.dependencies || []).some((d) => d.card === selected._id)) : []),
+    [cards, selected]
+  );
+  const unscheduledCount = cards.filter((c) => !c.startDate && !c.dueDate).length;
+
+  const handleAddDependency = async (event) => {
+    event.preventDefault();
+    if (!selected || !newDependency.dependsOn) return;
+    try {
+      const res = await Database.addCardDependency(selected._id, {
+        ...newDependency,
+        lagDays: Number(newDependency.lagDays) || 0,
+      });
+      setCards((prev) => prev.map((c) => (c._id === selected._id ? { ...c, dependencies: res.data } : c)));
+      applyShifted(res.shifted);
+      setNewDependency({ dependsOn: '', type: 'finish_to_start', lagDays: 0 });
+    } catch (error) {
+      toast.error(error.message);
+    }
   };
 
-  if (loading) {
-    return (
-      <div className="min-h-full bg-gray-100">
-        <div className="flex items-center justify-center h-64">
-          <div className="text-xl">Loading Gantt chart...</div>
-        </div>
-      </div>
-    );
-  }
+  const handleRemoveDependency = async (dependencyId) => {
+    try {
+      const res = await Database.removeCardDependency(selected._id, dependencyId);
+      setCards((prev) => prev.map((c) => (c._id === selected._id ? { ...c, dependencies: res.data } : c)));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
 
   return (
-    <div className="min-h-full bg-gray-100">
+    <div className="min-h-full bg-gray-100 dark:bg-gray-950">
       <div className="max-w-7xl mx-auto py-8 px-4">
-        <div className="flex justify-between items-center mb-8">
-          <h1 className="text-3xl font-bold">Gantt Chart - {currentTeam?.name}</h1>
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <GitBranch className="w-7 h-7 text-indigo-500" />
+            Gantt Chart
+          </h1>
+          <div className="flex items-center gap-2">
+            <select
+              value={boardId}
+              onChange={(e) => setBoardId(e.target.value)}
+              className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+            >
+              {boards.map((board) => (
+                <option key={board._id} value={board._id}>{board.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setDayWidth((w) => Math.max(12, w - 8))}
+              className="p-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900"
+              title="Zoom out"
+            >
+              <ZoomOut className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setDayWidth((w) => Math.min(64, w + 8))}
+              className="p-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900"
+              title="Zoom in"
+            >
+              <ZoomIn className="w-4 h-4" />
+            </button>
+          </div>
         </div>
 
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="text-center text-gray-500 mb-4">
-            Gantt Chart Implementation (Placeholder)
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="text-xl text-gray-600 dark:text-gray-300">Loading Gantt chart...</div>
           </div>
-          <p className="text-sm text-gray-600 mb-4">
-            This is a placeholder for the Gantt chart view. Full implementation would require a Gantt chart library like react-gantt-timeline or similar.
-          </p>
-
-          <div className="space-y-4">
-            {tasks.map(task => (
-              <div key={task.id} className="border rounded p-4">
-                <div className="flex justify-between items-center mb-2">
-                  <h3 className="font-semibold">{task.name}</h3>
-                  <span className={`px-2 py-1 rounded text-xs ${
-                    task.priority === 'High' ? 'bg-red-100 text-red-800' :
-                    task.priority === 'Medium' ? 'bg-yellow-100 text-yellow-800' :
-                    'bg-green-100 text-green-800'
-                  }`}>
-                    {task.priority}
-                  </span>
-                </div>
-                <div className="text-sm text-gray-600 mb-2">
-                  Assignee: {task.assignee}
-                </div>
-                <div className="text-sm text-gray-600 mb-2">
-                  Duration: {task.start.toLocaleDateString()} - {task.end.toLocaleDateString()}
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div
-                    className="bg-blue-600 h-2 rounded-full"
-                    style={{ width: `${task.progress}%` }}
-                  ></div>
+        ) : (
+          <div className="flex gap-4 items-start">
+            <div className="flex-1 min-w-0">
+              <GanttChart
+                tasks={cards}
+                dayWidth={dayWidth}
+                selectedId={selectedId}
+                onSelect={(task) => setSelectedId(task._id)}
+                onReschedule={handleReschedule}
+              />
+              <p className="mt-2 text-xs text-gray-500">
+                Drag a bar to move it, drag its edges to change start or due date. Dependent tasks are pushed out automatically.
+                {unscheduledCount > 0 && ` ${unscheduledCount} task${unscheduledCount === 1 ? ' has' : 's have'} no dates and ${unscheduledCount === 1 ? 'is' : 'are'} hidden.`}
+              </p>
+            </div>
+
+            {selected && (
+              <aside className="w-80 shrink-0 bg-white dark:bg-gray-900 rounded-lg shadow p-4 space-y-4">
+                <div className="flex items-start justify-between gap-2">
+                  <h2 className="font-semibold text-gray-900 dark:text-white">{selected.title}</h2>
+                  <button type="button" onClick={() => setSelectedId(null)} className="text-gray-400 hover:text-gray-600">
+                    <X className="w-4 h-4" />
+                  </button>
                 </div>
-                <div className="text-xs text-gray-500 mt-1">{task.progress}% complete</div>
-              </div>
-            ))}
+
+                <section>
+                  <h3 className="text-xs font-semibold uppercase text-gray-500 mb-2">Blocked by</h3>
+                  {(selected.dependencies || []).length === 0 && (
+                    <p className="text-sm text-gray-400">No dependencies</p>
+                  )}
+                  <ul className="space-y-1">
+                    {(selected.dependencies || []).map((dep) => (
+                      <li key={dep._id} className="flex items-center justify-between gap-2 text-sm">
+                        <span className="truncate">
+                          {titleById.get(dep.card) || 'Task in another project'}
+                          <span className="ml-1 text-xs text-gray-400">
+                            {DEPENDENCY_TYPE_LABELS[dep.type]}{dep.lagDays ? ` +${dep.lagDays}d` : ''}
+                          </span>
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveDependency(dep._id)}
+                          className="text-gray-400 hover:text-red-500"
+                          title="Remove dependency"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+
+                <section>
+                  <h3 className="text-xs font-semibold uppercase text-gray-500 mb-2">Blocking</h3>
+                  {blocking.length === 0 ? (
+                    <p className="text-sm text-gray-400">Not blocking any task</p>
+                  ) : (
+                    <ul className="space-y-1 text-sm">
+                      {blocking.map((c) => <li key={c._id} className="truncate">{c.title}</li>)}
+                    </ul>
+                  )}
+                </section>
+
+                <form onSubmit={handleAddDependency} className="space-y-2 border-t border-gray-200 dark:border-gray-700 pt-4">
+                  <h3 className="text-xs font-semibold uppercase text-gray-500">Add dependency</h3>
+                  <select
+                    value={newDependency.dependsOn}
+                    onChange={(e) => setNewDependency((d) => ({ ...d, dependsOn: e.target.value }))}
+                    className="w-full px-2 py-1.5 rounded border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+                  >
+                    <option value="">Select a task…</option>
+                    {cards
+                      .filter((c) => c._id !== selected._id)
+                      .map((c) => <option key={c._id} value={c._id}>{c.title}</option>)}
+                  </select>
+                  <div className="flex gap-2">
+                    <select
+                      value={newDependency.type}
+                      onChange={(e) => setNewDependency((d) => ({ ...d, type: e.target.value }))}
+                      className="flex-1 px-2 py-1.5 rounded border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+                    >
+                      {Object.entries(DEPENDENCY_TYPE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      value={newDependency.lagDays}
+                      onChange={(e) => setNewDependency((d) => ({ ...d, lagDays: e.target.value }))}
+                      className="w-20 px-2 py-1.5 rounded border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+                      title="Lag (days)"
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={!newDependency.dependsOn}
+                    className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg bg-indigo-600 text-white text-sm disabled:opacity-50"
+                  >
+                    <Link2 className="w-4 h-4" />
+                    Add dependency
+                  </button>
+                </form>
+              </aside>
+            )}
           </div>
+        )}
 
-          {tasks.length === 0 && (
-            <div className="text-center py-8 text-gray-500">
-              No tasks with due dates found for Gantt chart
-            </div>
-          )}
-        </div>
+        {!loading && boards.length === 0 && (
+          <div className="text-center py-8 text-gray-500">
+            No projects found for this department
+          </div>
+        )}
       </div>
     </div>
   );
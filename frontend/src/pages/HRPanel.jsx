@@ -19,7 +19,8 @@ import {
   Trash2,
   FolderOpen,
   ListChecks,
-  Lock
+  Lock,
+  Plane
 } from 'lucide-react';
 import { HRPanelSkeleton } from '../components/LoadingSkeleton';
 import api from '../services/api';
@@ -28,6 +29,9 @@ import AuthContext from '../context/AuthContext';
 import useDepartmentStore from '../store/departmentStore';
 import useRoleStore from '../store/roleStore';
 import Avatar from '../components/Avatar';
+import LeaveApprovalsPanel from '../components/HR/LeaveApprovalsPanel';
+import TimesheetApprovalsPanel from '../components/HR/TimesheetApprovalsPanel';
+import HolidayCalendarPanel from '../components/HR/HolidayCalendarPanel';
 
 // Memoized User Row Component for better performance
 const UserRow = memo(({ 
@@ -165,6 +169,8 @@ const HRPanel = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [toast, setToast] = useState(null);
   const [loadingStates, setLoadingStates] = useState({});
+  // Managers only get the time-off section (leave approvals and holidays)
+  const canManageUsers = ['admin', 'hr'].includes(user?.role?.toLowerCase());
 
   useEffect(() => {
     loadData();
@@ -209,6 +215,10 @@ const HRPanel = () => {
   const loadData = async () => {
     try {
       setLoading(true);
+      if (!canManageUsers) {
+        await departmentStore.loadDepartments();
+        return;
+      }
       await Promise.all([
         departmentStore.loadDepartments(),
         departmentStore.loadUsers(),
@@ -495,6 +505,29 @@ const HRPanel = () => {
     return <HRPanelSkeleton />;
   }
 
+  if (!canManageUsers) {
+    return (
+      <div className="min-h-full bg-gradient-to-br from-gray-50 to-gray-100">
+        <main className="p-6 space-y-6">
+          <div className="animate-fade-in">
+            <div className="flex items-center gap-3 mb-2">
+              <div className="bg-teal-100 p-3 rounded-xl">
+                <Plane className="w-8 h-8 text-teal-600" />
+              </div>
+              <div>
+                <h1 className="text-4xl font-bold text-gray-900">Team Time Off</h1>
+                <p className="text-gray-600 mt-1">Review leave requests and timesheets, and manage your departments' holidays</p>
+              </div>
+            </div>
+          </div>
+          <LeaveApprovalsPanel />
+          <TimesheetApprovalsPanel />
+          <HolidayCalendarPanel departments={departmentStore.departments} canManageCompanyWide={false} />
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-full bg-gradient-to-br from-gray-50 to-gray-100">
       <main className="p-6">
@@ -566,6 +599,17 @@ const HRPanel = () => {
             </div>
           </div>
 
+          {/* Time Off */}
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
+            <LeaveApprovalsPanel />
+            <HolidayCalendarPanel departments={departmentStore.departments} canManageCompanyWide />
+          </div>
+
+          {/* Timesheets */}
+          <div className="mb-6">
+            <TimesheetApprovalsPanel />
+          </div>
+
           {/* Filters */}
           <div className="bg-white rounded-xl shadow-md p-6 mb-6 hover:shadow-lg transition-shadow duration-300">
             <div className="flex items-center gap-2 mb-4">
@@ -20,6 +20,7 @@ import { lazy, Suspense } from 'react';
 import AddProjectModal from '../components/AddProjectModal';
 import EditProjectModal from '../components/EditProjectModal';
 import ViewProjectModal from '../components/ViewProjectModal';
+import SaveTemplateModal from '../components/SaveTemplateModal';
 import DeletePopup from '../components/ui/DeletePopup';
 import BulkDeleteModal from '../components/ui/BulkDeleteModal';
 import BulkActionToolbar from '../components/BulkActionToolbar';
@@ -103,6 +104,7 @@ const HomePage = () => {
   const [memberListExpanded, setMemberListExpanded] = useState({});
   const [showDeletePopup, setShowDeletePopup] = useState(false);
   const [projectToDelete, setProjectToDelete] = useState(null);
+  const [templateProject, setTemplateProject] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
   
   // Bulk delete state
@@ -798,6 +800,7 @@ const HomePage = () => {
                                     onEdit={() => handleEditProject(project, department._id)}
                                     onDelete={() => handleDeleteProject(project, department._id)}
                                     onView={() => handleViewProject(project._id)}
+                                    onSaveAsTemplate={() => setTemplateProject(project)}
                                     viewMode={viewMode}
                                     isSelectable={canSelectProjects}
                                     isSelected={isSelected(project._id)}
@@ -897,6 +900,12 @@ const HomePage = () => {
         </Suspense>
       )}
 
+      <SaveTemplateModal
+        isOpen={Boolean(templateProject)}
+        onClose={() => setTemplateProject(null)}
+        project={templateProject}
+      />
+
       <DeletePopup
         isOpen={showDeletePopup}
         onCancel={() => {
@@ -38,6 +38,7 @@ import * as XLSX from 'xlsx';
 import DepartmentContext from '../context/DepartmentContext';
 import AuthContext from '../context/AuthContext';
 import Database from '../services/database';
+import { warnLeaveConflicts } from '../utils/leaveWarnings';
 import Header from '../components/Header';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
 import { Badge } from '../components/ui/badge';
@@ -1388,7 +1389,9 @@ const ListView = () => {
               try {
                 // 1. Update DB
                 const resp = await Database.updateCard(modalCard._id, updates);
-                const updatedCard = resp.data || resp;
+                // Queued offline: show the edit until the queue replays it
+                const updatedCard = resp.queued ? { ...modalCard, ...updates } : (resp.data || resp);
+                warnLeaveConflicts(resp.warnings?.leave);
                 // 2. Update cache
                 taskCache.current.set(modalCard._id, updatedCard);
                 // 3. Update list state
@@ -4,12 +4,13 @@ import { useQueryClient } from '@tanstack/react-query';
 import {
   Calendar, User, Tag, ChevronsUpDown, ArrowUpDown, ClipboardList, FolderKanban,
   Users, AlertCircle, CheckCircle2, Clock, TrendingUp, Search, Download, RefreshCw, X,
-  Sparkles, Zap, Target, Activity
+  Sparkles, Zap, Target, Activity, SlidersHorizontal
 } from 'lucide-react';
 import * as XLSX from 'xlsx';
 import DepartmentContext from '../context/DepartmentContext';
 import AuthContext from '../context/AuthContext';
 import Database from '../services/database';
+import { warnLeaveConflicts } from '../utils/leaveWarnings';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
 import { Badge } from '../components/ui/badge';
 import { ListViewSkeleton } from '../components/LoadingSkeleton';
@@ -21,7 +22,10 @@ import StickyActiveFilterBar from '../components/listview/StickyActiveFilterBar'
 import PreviewFooter from '../components/listview/PreviewFooter';
 import HighlightedCell from '../components/listview/HighlightedCell';
 import useSmartSearch from '../hooks/useSmartSearch';
+import { useWatchCardPresence } from '../hooks/usePresence';
+import { CardPresenceAvatars } from '../components/presence/PresenceAvatars';
 import useSmartSearchStore from '../store/smartSearchStore';
+import { formatCustomFieldValue, getCustomFieldValue, isEmptyCustomFieldValue } from '../utils/customFields';
 
 const CardDetailModal = lazy(() => import('../components/CardDetailModal'));
 
@@ -101,6 +105,28 @@ const ListViewTasks = () => {
 
 
 
+  // Custom field definitions for the projects shown, keyed by board id
+  const [customFieldsByBoard, setCustomFieldsByBoard] = useState({});
+
+  useEffect(() => {
+    if (!currentDepartment) return;
+    const departmentIds = currentDepartment._id === 'all'
+      ? (departments || []).map(d => d._id).filter(id => id && id !== 'all')
+      : [currentDepartment._id];
+    let cancelled = false;
+    Promise.all(departmentIds.map(id => Database.getCustomFieldsByDepartment(id).catch(() => ({ data: [] }))))
+      .then(responses => {
+        if (cancelled) return;
+        const byBoard = {};
+        responses.flatMap(r => r.data || []).forEach(field => {
+          if (!field.showInList) return;
+          (byBoard[field.board] = byBoard[field.board] || []).push(field);
+        });
+        setCustomFieldsByBoard(byBoard);
+      });
+    return () => { cancelled = true; };
+  }, [currentDepartment, departments]);
+
   const loadCards = async () => {
     try {
       setLoading(true);
@@ -190,6 +216,7 @@ const ListViewTasks = () => {
     const start = (page - 1) * pageSize;
     return filteredAndSortedCards.slice(start, start + pageSize);
   }, [filteredAndSortedCards, page, pageSize]);
+  useWatchCardPresence(paginatedCards.map((card) => card._id));
 
   const handleSort = (key) => {
     if (sorting.key === key) setSorting({ ...sorting, order: sorting.order === 'asc' ? 'desc' : 'asc' });
@@ -404,6 +431,25 @@ const ListViewTasks = () => {
     return `${hours}h ${minutes}m`;
   }, []);
 
+  // Names for user-type custom field values
+  const userMap = useMemo(() => {
+    const map = {};
+    (cards || []).forEach(card => {
+      [...(card.assignees || []), ...(card.members || []), card.createdBy].forEach(u => {
+        if (u?._id) map[u._id] = u.name || u.email;
+      });
+    });
+    return map;
+  }, [cards]);
+
+  const getListCustomFields = useCallback((card) => {
+    const fields = customFieldsByBoard[card.board?._id] || [];
+    return fields
+      .map(field => ({ field, value: getCustomFieldValue(card, field._id) }))
+      .filter(({ field, value }) => (field.type === 'checkbox' ? value === true : !isEmptyCustomFieldValue(value)))
+      .map(({ field, value }) => ({ id: field._id, name: field.name, display: formatCustomFieldValue(field, value, userMap) }));
+  }, [customFieldsByBoard, userMap]);
+
   const handleExport = useCallback(() => {
     if (filteredAndSortedCards.length === 0) { alert('No tasks to export'); return; }
     const exportData = filteredAndSortedCards.map(card => ({
@@ -413,7 +459,8 @@ const ListViewTasks = () => {
       'Priority': card.priority || '',
       'Status': card.list?.title || 'N/A',
       'Due Date': card.dueDate ? new Date(card.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'No due date',
-      'Total Logged Time': calculateTotalLoggedTime(card.loggedTime)
+      'Total Logged Time': calculateTotalLoggedTime(card.loggedTime),
+      'Custom Fields': getListCustomFields(card).map(f => `${f.name}: ${f.display}`).join('; ')
     }));
     const worksheet = XLSX.utils.json_to_sheet(exportData);
     XLSX.utils.sheet_add_aoa(worksheet, [['Task Management Export']], { origin: 'A1' });
@@ -427,13 +474,13 @@ const ListViewTasks = () => {
       }
     }
     worksheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: range.e.r + 1, c: range.e.c } });
-    worksheet['!cols'] = [{ wch: 40 }, { wch: 25 }, { wch: 30 }, { wch: 12 }, { wch: 15 }, { wch: 15 }, { wch: 18 }];
-    worksheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 6 } }];
+    worksheet['!cols'] = [{ wch: 40 }, { wch: 25 }, { wch: 30 }, { wch: 12 }, { wch: 15 }, { wch: 15 }, { wch: 18 }, { wch: 40 }];
+    worksheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 7 } }];
     const workbook = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(workbook, worksheet, 'Tasks');
     const fileName = `tasks_export_${currentDepartment?.name || 'all'}_${new Date().toISOString().split('T')[0]}.xlsx`;
     XLSX.writeFile(workbook, fileName);
-  }, [filteredAndSortedCards, currentDepartment, calculateTotalLoggedTime]);
+  }, [filteredAndSortedCards, currentDepartment, calculateTotalLoggedTime, getListCustomFields]);
 
   const rowPaddingClass = viewMode === 'compact' ? 'py-2' : viewMode === 'comfortable' ? 'py-4' : 'py-6';
 
@@ -542,6 +589,12 @@ const ListViewTasks = () => {
                   <SortableHeader title="Status" sortKey="list.title" sorting={sorting} onSort={handleSort} icon={Target} />
                   <SortableHeader title="Due Date" sortKey="dueDate" sorting={sorting} onSort={handleSort} icon={Calendar} />
                   <SortableHeader title="Logged Time" sortKey="loggedTime" sorting={sorting} onSort={handleSort} icon={Clock} />
+                  <TableHead>
+                    <div className="flex items-center gap-2 font-bold text-gray-700">
+                      <SlidersHorizontal className="w-4 h-4 text-gray-500" />
+                      Fields
+                    </div>
+                  </TableHead>
                 </TableRow>
               </TableHeader>
               <TableBody>
@@ -554,6 +607,7 @@ const ListViewTasks = () => {
                           <button onClick={(e) => { e.stopPropagation(); openCardModal(card); }} className="text-left font-semibold hover:text-blue-600 transition-colors cursor-pointer">
                             <HighlightedCell text={card.title || ''} terms={searchTerms} />
                           </button>
+                          <CardPresenceAvatars cardId={card._id} />
                         </div>
                       </TableCell>
                       <TableCell>
@@ -579,11 +633,20 @@ const ListViewTasks = () => {
                           <span className="font-medium">{calculateTotalLoggedTime(card.loggedTime)}</span>
                         </div>
                       </TableCell>
+                      <TableCell>
+                        <div className="flex flex-wrap gap-1 max-w-xs">
+                          {getListCustomFields(card).map(f => (
+                            <span key={f.id} className="px-2 py-0.5 text-xs rounded-full bg-indigo-50 text-indigo-700 border border-indigo-100 whitespace-nowrap">
+                              <span className="opacity-60">{f.name}:</span> {f.display}
+                            </span>
+                          ))}
+                        </div>
+                      </TableCell>
                     </TableRow>
                   ))
                 ) : (
                   <TableRow>
-                    <TableCell colSpan={7} className="text-center py-20">
+                    <TableCell colSpan={8} className="text-center py-20">
                       <div className="flex flex-col items-center gap-4">
                         <div className="bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 p-8 rounded-3xl shadow-inner border border-blue-100">
                           <Search size={48} className="text-blue-300" />
@@ -642,7 +705,9 @@ const ListViewTasks = () => {
             onUpdate={async (updates) => {
               try {
                 const resp = await Database.updateCard(modalCard._id, updates);
-                const updatedCard = resp.data || resp;
+                // Queued offline: show the edit until the queue replays it
+                const updatedCard = resp.queued ? { ...modalCard, ...updates } : (resp.data || resp);
+                warnLeaveConflicts(resp.warnings?.leave);
                 taskCache.current.set(modalCard._id, updatedCard);
                 setCards(prev => prev.map(c => c._id === modalCard._id ? updatedCard : c));
                 setModalCard(updatedCard);
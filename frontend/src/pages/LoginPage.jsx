@@ -6,6 +6,8 @@ import { Eye, EyeOff, Mail, Lock, LogIn, AlertCircle, CheckCircle } from 'lucide
 import AuthContext from '../context/AuthContext';
 import useThemeStore from '../store/themeStore';
 import { validateForm, validateField } from '../utils/validationUtils';
+import TwoFactorChallenge from '../components/twoFactor/TwoFactorChallenge';
+import TwoFactorSetup from '../components/twoFactor/TwoFactorSetup';
 
 const LoginPage = () => {
   const [formData, setFormData] = useState({ email: '', password: '' });
@@ -13,7 +15,9 @@ const LoginPage = () => {
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [touched, setTouched] = useState({});
-  const { login } = useContext(AuthContext);
+  // Pending second step: { step: 'challenge' | 'setup', token }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const { login, completeLogin } = useContext(AuthContext);
   const effectiveMode = useThemeStore((state) => state.effectiveMode);
   const navigate = useNavigate();
 
@@ -55,6 +59,45 @@ const LoginPage = () => {
     return isValid;
   };
 
+  const finishLogin = (user) => {
+    toast.success('Login successful! Welcome back.', {
+      icon: <CheckCircle className="text-green-500" size={20} />,
+      autoClose: 2000
+    });
+
+    // Navigate after showing toast (delayed to let toast display)
+    setTimeout(() => {
+      if (user.role === 'admin' || user.isVerified) {
+        navigate('/');
+      } else {
+        navigate('/verify-pending');
+      }
+    }, 1500);
+  };
+
+  const handleTwoFactorSuccess = ({ user, recoveryCodesRemaining }) => {
+    if (recoveryCodesRemaining !== undefined && recoveryCodesRemaining <= 2) {
+      toast.warning(`Only ${recoveryCodesRemaining} recovery code${recoveryCodesRemaining === 1 ? '' : 's'} left. Generate new ones in Settings.`);
+    }
+    finishLogin(user);
+  };
+
+  const handleTwoFactorError = (message, status) => {
+    toast.error(message, {
+      icon: <AlertCircle className="text-red-500" size={20} />,
+      autoClose: 4000
+    });
+    // An expired challenge means starting over from the password step
+    if (status === 401 && message.toLowerCase().includes('expired')) {
+      setTwoFactor(null);
+    }
+  };
+
+  const handleSetupComplete = async (result) => {
+    const { user } = await completeLogin(result);
+    finishLogin(user);
+  };
+
   const onSubmit = async (e) => {
     e.preventDefault();
 
@@ -64,22 +107,14 @@ const LoginPage = () => {
 
     setLoading(true);
     try {
-      const { user } = await login(email, password);
+      const result = await login(email, password);
       setLoading(false); // Stop loading immediately after response
-      
-      toast.success('Login successful! Welcome back.', {
-        icon: <CheckCircle className="text-green-500" size={20} />,
-        autoClose: 2000
-      });
 
-      // Navigate after showing toast (delayed to let toast display)
-      setTimeout(() => {
-        if (user.role === 'admin' || user.isVerified) {
-          navigate('/');
-        } else {
-          navigate('/verify-pending');
-        }
-      }, 1500);
+      if (result.twoFactor) {
+        setTwoFactor(result.twoFactor);
+        return;
+      }
+      finishLogin(result.user);
     } catch (err) {
       setLoading(false); // Stop loading immediately on error
       
@@ -147,10 +182,36 @@ const LoginPage = () => {
                 }}
               />
             </div>
-            <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">Welcome Back</h2>
-            <p className="text-white/70">Sign in to your account</p>
+            <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">
+              {twoFactor ? 'Two-factor authentication' : 'Welcome Back'}
+            </h2>
+            <p className="text-white/70">
+              {twoFactor?.step === 'setup'
+                ? 'Your organisation requires two-factor authentication. Set it up to continue.'
+                : twoFactor ? 'One more step to sign in' : 'Sign in to your account'}
+            </p>
           </motion.div>
 
+          {twoFactor?.step === 'challenge' && (
+            <TwoFactorChallenge
+              challengeToken={twoFactor.token}
+              onSuccess={handleTwoFactorSuccess}
+              onError={handleTwoFactorError}
+              onBack={() => setTwoFactor(null)}
+            />
+          )}
+
+          {twoFactor?.step === 'setup' && (
+            <div className="bg-white rounded-2xl p-5">
+              <TwoFactorSetup
+                authToken={twoFactor.token}
+                onComplete={handleSetupComplete}
+                onCancel={() => setTwoFactor(null)}
+              />
+            </div>
+          )}
+
+          {!twoFactor && (
           <form onSubmit={onSubmit} className="space-y-4 sm:space-y-6" autoComplete="off">
             {/* 
               Hack to prevent browser autofill:
@@ -296,6 +357,7 @@ const LoginPage = () => {
               </button>
             </motion.div>
           </form>
+          )}
 
           {/* Footer */}
           <motion.div
@@ -81,6 +81,17 @@ const ResetPasswordPage = () => {
     setLoading(true);
     try {
       const res = await api.post(`/api/auth/reset-password/${token}`, { password: formData.password });
+
+      // Two-factor accounts are not signed in by a reset link
+      if (res.data.signInRequired) {
+        toast.success('Password reset successfully! Please sign in.', {
+          icon: <CheckCircle className="text-green-500" size={20} />,
+          autoClose: 3000
+        });
+        navigate('/login');
+        return;
+      }
+
       const { token: authToken, user } = res.data;
 
       toast.success('Password reset successfully! Welcome back.', {
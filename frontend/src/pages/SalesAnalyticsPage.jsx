@@ -0,0 +1,323 @@
+import React, { useEffect, useState, useContext, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell
+} from 'recharts';
+import {
+  ArrowLeft, Download, ChevronDown, FileSpreadsheet, FileText, RefreshCw,
+  Target, MessageSquare, Trophy, Zap, CalendarClock
+} from 'lucide-react';
+import AuthContext from '../context/AuthContext';
+import useSalesStore from '../store/salesStore';
+import { getSalesAnalytics, exportSalesAnalytics } from '../services/salesApi';
+
+const FUNNEL_COLORS = ['#3b82f6', '#06b6d4', '#10b981', '#8b5cf6'];
+
+const BREAKDOWN_TABS = [
+  { key: 'byProfile', label: 'Profile' },
+  { key: 'byPlatform', label: 'Platform' },
+  { key: 'byTechnology', label: 'Technology' },
+  { key: 'byMonth', label: 'Month' },
+  { key: 'byCreator', label: 'Created by' },
+];
+
+const EMPTY_FILTERS = { monthName: '', createdBy: '', dateFrom: '', dateTo: '' };
+
+const formatRate = (value) => (value == null ? '—' : `${value}%`);
+const formatNumber = (value) => (value == null ? '—' : value);
+
+const StatCard = ({ icon, label, value, hint, color }) => {
+  const Icon = icon;
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-4 shadow-sm">
+      <div className="flex items-center gap-3">
+        <div className={`p-2 rounded-lg ${color}`}>
+          <Icon className="w-5 h-5 text-white" />
+        </div>
+        <div>
+          <p className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide">{label}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{value}</p>
+          {hint && <p className="text-xs text-gray-500 dark:text-gray-400">{hint}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const SalesAnalyticsPage = () => {
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+  const { permissions, fetchPermissions } = useSalesStore();
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [breakdownTab, setBreakdownTab] = useState('byProfile');
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const queryParams = useCallback(
+    () => Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+    [filters]
+  );
+
+  const loadAnalytics = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await getSalesAnalytics(queryParams());
+      setAnalytics(response.data);
+    } catch (error) {
+      console.error('Failed to load sales analytics:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [queryParams]);
+
+  useEffect(() => {
+    if (!user?._id) return;
+    fetchPermissions(user._id)
+      .then((perms) => {
+        if (!perms?.moduleVisible) {
+          toast.error('You do not have access to the Sales module');
+          navigate('/');
+        }
+      })
+      .catch(() => {
+        toast.error('You do not have access to the Sales module');
+        navigate('/');
+      });
+  }, [user?._id, fetchPermissions, navigate]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const handleExport = async (format) => {
+    setExportOpen(false);
+    try {
+      await exportSalesAnalytics(format, queryParams());
+    } catch (error) {
+      console.error('Export failed:', error);
+    }
+  };
+
+  const setFilter = (name, value) => setFilters((prev) => ({ ...prev, [name]: value }));
+
+  const totals = analytics?.totals;
+  const breakdownRows = analytics?.[breakdownTab] || [];
+  const filterOptions = analytics?.filterOptions || { months: [], creators: [] };
+  const selectClass = 'px-3 py-2 text-sm border border-gray-200 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200';
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-white to-gray-50 dark:from-gray-800 dark:to-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="px-4 sm:px-6 py-4 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate('/sales')}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+              title="Back to Sales"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white tracking-tight">Sales Analytics</h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Pipeline funnel, win and reply rates, connects and follow-ups</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2 flex-wrap">
+            <select className={selectClass} value={filters.monthName} onChange={(e) => setFilter('monthName', e.target.value)}>
+              <option value="">All months</option>
+              {filterOptions.months.map((month) => (
+                <option key={month} value={month}>{month}</option>
+              ))}
+            </select>
+            <select className={selectClass} value={filters.createdBy} onChange={(e) => setFilter('createdBy', e.target.value)}>
+              <option value="">All creators</option>
+              {filterOptions.creators.map((creator) => (
+                <option key={creator.id} value={creator.id}>{creator.name}</option>
+              ))}
+            </select>
+            <input type="date" className={selectClass} value={filters.dateFrom} onChange={(e) => setFilter('dateFrom', e.target.value)} title="From date" />
+            <input type="date" className={selectClass} value={filters.dateTo} onChange={(e) => setFilter('dateTo', e.target.value)} title="To date" />
+            <button
+              onClick={loadAnalytics}
+              className="p-2.5 text-gray-500 hover:text-blue-600 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg transition-colors"
+              title="Refresh"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+
+            {permissions?.canExport && (
+              <div className="relative">
+                <button
+                  onClick={() => setExportOpen(!exportOpen)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600"
+                >
+                  <Download className="w-4 h-4" />
+                  Export
+                  <ChevronDown className="w-3.5 h-3.5" />
+                </button>
+                {exportOpen && (
+                  <>
+                    <div className="fixed inset-0 z-10" onClick={() => setExportOpen(false)} />
+                    <div className="absolute right-0 mt-2 w-48 bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 py-1 z-20">
+                      <button onClick={() => handleExport('csv')} className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700">
+                        <FileText className="w-4 h-4" />
+                        Export as CSV
+                      </button>
+                      <button onClick={() => handleExport('xlsx')} className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700">
+                        <FileSpreadsheet className="w-4 h-4" />
+                        Export as Excel
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {loading && !analytics ? (
+        <div className="flex flex-col items-center justify-center py-24 space-y-4">
+          <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+          <p className="text-gray-500 dark:text-gray-400">Loading analytics...</p>
+        </div>
+      ) : !analytics ? (
+        <div className="text-center py-24 text-gray-500 dark:text-gray-400">Analytics are not available right now.</div>
+      ) : (
+        <div className="px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+          {/* Summary */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+            <StatCard icon={Target} label="Bids" value={totals.bids} color="bg-blue-500" />
+            <StatCard icon={MessageSquare} label="Reply rate" value={formatRate(totals.replyRate)} hint={`${totals.replies} replied`} color="bg-cyan-500" />
+            <StatCard icon={Trophy} label="Win rate" value={formatRate(totals.winRate)} hint={`${totals.wins} won`} color="bg-emerald-500" />
+            <StatCard icon={Zap} label="Connects per hire" value={formatNumber(totals.connectsPerHire)} hint={`${totals.connects} connects spent`} color="bg-amber-500" />
+            <StatCard icon={CalendarClock} label="Avg follow-up" value={analytics.followUp.avgDays == null ? '—' : `${analytics.followUp.avgDays}d`} hint={`${analytics.followUp.overdue} overdue`} color="bg-violet-500" />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Funnel */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5 shadow-sm">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Pipeline funnel</h3>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={analytics.funnel} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+                  <XAxis type="number" allowDecimals={false} />
+                  <YAxis type="category" dataKey="label" width={130} />
+                  <Tooltip formatter={(value, name, item) => [`${value} (${item.payload.rate}% of bids)`, 'Rows']} />
+                  <Bar dataKey="count" radius={[0, 6, 6, 0]}>
+                    {analytics.funnel.map((stage, index) => (
+                      <Cell key={stage.key} fill={FUNNEL_COLORS[index % FUNNEL_COLORS.length]} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Status */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5 shadow-sm">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Rows by status</h3>
+              <div className="space-y-2 max-h-60 overflow-y-auto">
+                {analytics.byStatus.map((status) => (
+                  <div key={status.status} className="flex items-center gap-3">
+                    <span className={`w-32 truncate text-sm ${status.won ? 'font-semibold text-emerald-600 dark:text-emerald-400' : 'text-gray-700 dark:text-gray-300'}`} title={status.status}>
+                      {status.status}
+                    </span>
+                    <div className="flex-1 h-2.5 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                      <div className={`h-full ${status.won ? 'bg-emerald-500' : 'bg-blue-500'}`} style={{ width: `${status.share}%` }} />
+                    </div>
+                    <span className="w-20 text-right text-sm text-gray-500 dark:text-gray-400">{status.count} · {status.share}%</span>
+                  </div>
+                ))}
+                {analytics.byStatus.length === 0 && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">No rows match the current filters.</p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Breakdown */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm">
+            <div className="flex flex-wrap items-center gap-1 p-3 border-b border-gray-200 dark:border-gray-700">
+              {BREAKDOWN_TABS.map((tab) => (
+                <button
+                  key={tab.key}
+                  onClick={() => setBreakdownTab(tab.key)}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+                    breakdownTab === tab.key
+                      ? 'bg-blue-600 text-white'
+                      : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm text-left">
+                <thead className="bg-gray-50 dark:bg-gray-900/50 text-xs uppercase text-gray-500 dark:text-gray-400 font-medium">
+                  <tr>
+                    <th className="px-4 py-3">{BREAKDOWN_TABS.find((tab) => tab.key === breakdownTab)?.label}</th>
+                    <th className="px-4 py-3 text-right">Bids</th>
+                    <th className="px-4 py-3 text-right">Replies</th>
+                    <th className="px-4 py-3 text-right">Reply rate</th>
+                    <th className="px-4 py-3 text-right">Won</th>
+                    <th className="px-4 py-3 text-right">Win rate</th>
+                    <th className="px-4 py-3 text-right">Connects</th>
+                    <th className="px-4 py-3 text-right">Connects / hire</th>
+                    <th className="px-4 py-3 text-right">Avg follow-up</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                  {breakdownRows.map((row) => (
+                    <tr key={row.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                      <td className="px-4 py-2.5 font-medium text-gray-900 dark:text-white">{row.label}</td>
+                      <td className="px-4 py-2.5 text-right text-gray-700 dark:text-gray-300">{row.bids}</td>
+                      <td className="px-4 py-2.5 text-right text-gray-700 dark:text-gray-300">{row.replies}</td>
+                      <td className="px-4 py-2.5 text-right text-gray-700 dark:text-gray-300">{formatRate(row.replyRate)}</td>
+                      <td className="px-4 py-2.5 text-right text-gray-700 dark:text-gray-300">{row.wins}</td>
+                      <td className="px-4 py-2.5 text-right font-medium text-emerald-600 dark:text-emerald-400">{formatRate(row.winRate)}</td>
+                      <td className="px-4 py-2.5 text-right text-gray-700 dark:text-gray-300">{row.connects}</td>
+                      <td className="px-4 py-2.5 text-right text-gray-700 dark:text-gray-300">{formatNumber(row.connectsPerHire)}</td>
+                      <td className="px-4 py-2.5 text-right text-gray-700 dark:text-gray-300">{row.avgFollowUpDays == null ? '—' : `${row.avgFollowUpDays}d`}</td>
+                    </tr>
+                  ))}
+                  {breakdownRows.length === 0 && (
+                    <tr>
+                      <td colSpan={9} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">No rows match the current filters.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Follow-up latency */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5 shadow-sm">
+            <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Follow-up latency</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Days from bid to follow-up · median {analytics.followUp.medianDays ?? '—'}d ·{' '}
+                {analytics.followUp.withoutFollowUp} rows without a follow-up date
+              </p>
+            </div>
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={analytics.followUp.buckets}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="label" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Bar dataKey="count" name="Rows" fill="#8b5cf6" radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SalesAnalyticsPage;
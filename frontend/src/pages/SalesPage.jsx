@@ -13,6 +13,8 @@ import SalesNameTabs from '../components/Sales/SalesNameTabs';
 import AddSalesRowModal from '../components/Sales/AddSalesRowModal';
 import ImportDataModal from '../components/Sales/ImportDataModal';
 import ActivityLogModal from '../components/Sales/ActivityLogModal';
+import ConvertToProjectModal from '../components/Sales/ConvertToProjectModal';
+import MergeRowsModal from '../components/Sales/MergeRowsModal';
 import DropdownManagerModal from '../components/Sales/DropdownManagerModal';
 import CustomColumnModal from '../components/Sales/CustomColumnModal';
 import BulkActionsToolbar from '../components/Sales/BulkActionsToolbar';
@@ -36,6 +38,8 @@ const SalesPage = () => {
   const [showDropdownManager, setShowDropdownManager] = useState(false);
   const [showCustomColumn, setShowCustomColumn] = useState(false);
   const [selectedRowForActivity, setSelectedRowForActivity] = useState(null);
+  const [convertingRow, setConvertingRow] = useState(null);
+  const [mergingRowIds, setMergingRowIds] = useState(null);
   const [editingRow, setEditingRow] = useState(null);
   const [showSaveTabModal, setShowSaveTabModal] = useState(false);
   const [editingTab, setEditingTab] = useState(null);
@@ -449,6 +453,7 @@ const SalesPage = () => {
                     onImport={() => setShowImportModal(true)}
                     onManageDropdowns={() => setShowDropdownManager(true)}
                     onCreateColumn={() => setShowCustomColumn(true)}
+                    onOpenAnalytics={() => navigate('/sales/analytics')}
                     permissions={permissions}
                   />
                 </div>
@@ -468,7 +473,7 @@ const SalesPage = () => {
 
               {/* Bulk Actions Toolbar */}
               {selectedRows.size > 0 && (
-                <BulkActionsToolbar permissions={permissions} />
+                <BulkActionsToolbar permissions={permissions} onMerge={setMergingRowIds} />
               )}
             </div>
 
@@ -477,6 +482,7 @@ const SalesPage = () => {
               <SalesTable
                 onEditRow={openEditModal}
                 onViewActivity={openActivityLog}
+                onConvertRow={setConvertingRow}
                 permissions={permissions}
                 loading={loading} // Pass loading state to table
               />
@@ -511,6 +517,22 @@ const SalesPage = () => {
         />
       )}
 
+      {convertingRow && (
+        <ConvertToProjectModal
+          isOpen={!!convertingRow}
+          onClose={() => setConvertingRow(null)}
+          row={convertingRow}
+        />
+      )}
+
+      {mergingRowIds && (
+        <MergeRowsModal
+          isOpen={!!mergingRowIds}
+          onClose={() => setMergingRowIds(null)}
+          rowIds={mergingRowIds}
+        />
+      )}
+
       {showCustomColumn && (
         <CustomColumnModal
           isOpen={showCustomColumn}
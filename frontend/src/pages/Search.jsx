@@ -1,41 +1,85 @@
 import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  CheckSquare, ListChecks, ListTree, MessageSquare, Paperclip, Megaphone, Folder, User
+} from 'lucide-react';
 import Database from '../services/database';
-import Card from '../components/Card';
+
+const TYPE_META = {
+  card: { label: 'Task', icon: CheckSquare, color: 'bg-blue-100 text-blue-700' },
+  subtask: { label: 'Subtask', icon: ListChecks, color: 'bg-indigo-100 text-indigo-700' },
+  nano: { label: 'Nano', icon: ListTree, color: 'bg-violet-100 text-violet-700' },
+  comment: { label: 'Comment', icon: MessageSquare, color: 'bg-amber-100 text-amber-700' },
+  attachment: { label: 'File', icon: Paperclip, color: 'bg-teal-100 text-teal-700' },
+  announcement: { label: 'Announcement', icon: Megaphone, color: 'bg-pink-100 text-pink-700' },
+  project: { label: 'Project', icon: Folder, color: 'bg-emerald-100 text-emerald-700' },
+  user: { label: 'Person', icon: User, color: 'bg-gray-100 text-gray-700' },
+};
+
+const OPERATOR_HINTS = ['assignee:me', 'label:bug', 'status:"in progress"', 'priority:high', 'due:<2026-12-31', 'due:overdue', 'type:comment'];
+
+const resultRoute = (result) => {
+  const departmentId = result.board?.department;
+  const projectId = result.board?._id;
+  if (result.type === 'announcement') return '/announcements';
+  if (result.type === 'project' && departmentId) return `/workflow/${departmentId}/${projectId}`;
+  if (result.cardId && departmentId && projectId) return `/workflow/${departmentId}/${projectId}/${result.cardId}`;
+  return null;
+};
 
 const Search = () => {
+  const navigate = useNavigate();
   const [query, setQuery] = useState('');
+  const [submitted, setSubmitted] = useState('');
   const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState({});
+  const [typeFilter, setTypeFilter] = useState('');
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
-    if (!query.trim()) return;
-
+  const runSearch = async (q, type) => {
+    if (!q.trim()) return;
     setLoading(true);
+    setError(null);
     try {
-      const searchResults = await Database.search(query);
-      setResults(searchResults);
-    } catch (error) {
-      console.error('Search error:', error);
+      const response = await Database.search(q, { type: type || undefined });
+      setResults(response.data || []);
+      if (!type) setFacets(response.facets || {});
+      setSubmitted(q);
+    } catch (err) {
+      console.error('Search error:', err);
+      setError(err.message);
       setResults([]);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setTypeFilter('');
+    runSearch(query, '');
+  };
+
+  const handleTypeFilter = (type) => {
+    const next = typeFilter === type ? '' : type;
+    setTypeFilter(next);
+    runSearch(submitted, next);
+  };
+
   return (
-    <div className="min-h-full bg-gray-100">
+    <div className="min-h-full bg-gray-100 dark:bg-gray-950">
       <div className="max-w-4xl mx-auto py-8 px-4">
-        <h1 className="text-3xl font-bold mb-8">Search Tasks</h1>
+        <h1 className="text-3xl font-bold mb-8 text-gray-900 dark:text-white">Search</h1>
 
-        <form onSubmit={handleSearch} className="mb-8">
+        <form onSubmit={handleSearch} className="mb-3">
           <div className="flex gap-2">
             <input
               type="text"
-              placeholder="Search tasks, assignees, or tags..."
+              placeholder="Search tasks, comments, files… e.g. login bug assignee:me due:<2026-12-31"
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              className="flex-1 p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              className="flex-1 p-3 border rounded-lg bg-white dark:bg-gray-900 dark:border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
             <button
               type="submit"
@@ -47,20 +91,80 @@ const Search = () => {
           </div>
         </form>
 
-        {results.length > 0 && (
-          <div className="space-y-4">
-            <h2 className="text-xl font-semibold">Results ({results.length})</h2>
-            {results.map(card => (
-              <div key={card._id} className="bg-white rounded-lg shadow p-4">
-                <Card card={card} onClick={() => {}} compact />
-              </div>
+        <div className="flex flex-wrap gap-2 mb-8 text-xs">
+          {OPERATOR_HINTS.map((hint) => (
+            <button
+              key={hint}
+              type="button"
+              onClick={() => setQuery((q) => `${q} ${hint}`.trim())}
+              className="px-2 py-1 rounded bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 font-mono hover:border-blue-400"
+            >
+              {hint}
+            </button>
+          ))}
+        </div>
+
+        {Object.keys(facets).length > 1 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {Object.entries(facets).map(([type, count]) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => handleTypeFilter(type)}
+                className={`px-3 py-1 rounded-full text-sm border ${
+                  typeFilter === type ? 'bg-blue-500 text-white border-blue-500' : 'bg-white dark:bg-gray-900 border-gray-200 dark:border-gray-700'
+                }`}
+              >
+                {TYPE_META[type]?.label || type} ({count})
+              </button>
             ))}
           </div>
         )}
 
-        {query && !loading && results.length === 0 && (
+        {error && <div className="mb-4 text-red-600">{error}</div>}
+
+        {results.length > 0 && (
+          <div className="space-y-2">
+            <h2 className="text-xl font-semibold mb-2 text-gray-900 dark:text-white">Results ({results.length})</h2>
+            {results.map((result) => {
+              const meta = TYPE_META[result.type] || TYPE_META.card;
+              const Icon = meta.icon;
+              const route = resultRoute(result);
+              return (
+                <button
+                  key={`${result.type}-${result.id}`}
+                  type="button"
+                  disabled={!route}
+                  onClick={() => route && navigate(route)}
+                  className="w-full text-left bg-white dark:bg-gray-900 rounded-lg shadow p-4 hover:shadow-md transition disabled:cursor-default"
+                >
+                  <div className="flex items-start gap-3">
+                    <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs ${meta.color}`}>
+                      <Icon className="w-3 h-3" />
+                      {meta.label}
+                    </span>
+                    <div className="min-w-0 flex-1">
+                      <div className="font-medium text-gray-900 dark:text-white truncate">{result.title}</div>
+                      {result.snippet && (
+                        <div className="text-sm text-gray-600 dark:text-gray-400 line-clamp-2">{result.snippet}</div>
+                      )}
+                      <div className="flex flex-wrap gap-3 mt-1 text-xs text-gray-500">
+                        {result.board?.name && <span>{result.board.name}</span>}
+                        {result.meta?.status && <span>Status: {result.meta.status}</span>}
+                        {result.meta?.dueDate && <span>Due {new Date(result.meta.dueDate).toLocaleDateString()}</span>}
+                        {result.meta?.author?.name && <span>by {result.meta.author.name}</span>}
+                      </div>
+                    </div>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {submitted && !loading && !error && results.length === 0 && (
           <div className="text-center text-gray-500">
-            No results found for "{query}"
+            No results found for "{submitted}"
           </div>
         )}
       </div>
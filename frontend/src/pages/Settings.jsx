@@ -12,8 +12,22 @@ import NotificationContext from '../context/NotificationContext';
 import Loading from '../components/Loading';
 import SlackSettings from '../components/SlackSettings';
 import ChatIntegrationSettings from '../components/ChatIntegrationSettings';
+import TwoFactorSettings from '../components/twoFactor/TwoFactorSettings';
+import ApiTokenSettings from '../components/apiTokens/ApiTokenSettings';
 import { validateField, validatePasswordMatch, validateForm, validationRules } from '../utils/validationUtils';
 
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [...new Set([BROWSER_TIME_ZONE, 'UTC'])];
+
+const DIGEST_OPTIONS = [
+  { value: 'immediate', label: 'Send each email right away' },
+  { value: 'hourly', label: 'Hourly summary' },
+  { value: 'daily', label: 'Daily summary' },
+  { value: 'weekly', label: 'Weekly summary' }
+];
+
 const Settings = () => {
   const { user, setUser } = useContext(AuthContext);
   const { pushSupported, pushEnabled, enablePushNotifications, disablePushNotifications } = useContext(NotificationContext);
@@ -28,7 +42,13 @@ const Settings = () => {
       commentMention: true,
       projectUpdates: true,
       taskDeleted: true,
-      userCreated: true
+      userCreated: true,
+      quietHoursEnabled: false,
+      quietHoursStart: '22:00',
+      quietHoursEnd: '08:00',
+      quietHoursTimezone: 'UTC',
+      groupSimilar: true,
+      digestMode: 'immediate'
     },
     currentPassword: '',
     newPassword: '',
@@ -321,6 +341,26 @@ const Settings = () => {
               </div>
             </motion.div>
 
+            {/* Two-Factor Authentication */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.15 }}
+              className="bg-white rounded-xl shadow-sm border border-gray-200 p-6"
+            >
+              <TwoFactorSettings />
+            </motion.div>
+
+            {/* API Tokens */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.18 }}
+              className="bg-white rounded-xl shadow-sm border border-gray-200 p-6"
+            >
+              <ApiTokenSettings />
+            </motion.div>
+
             {/* Notification Settings */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
@@ -367,7 +407,20 @@ const Settings = () => {
                   { key: 'taskDeleted', label: 'Task Deletions', desc: 'When tasks are deleted' },
                   { key: 'userCreated', label: 'New User Creations', desc: 'When new users are created' },
                   { key: 'commentMention', label: 'Mentions', desc: 'When someone mentions you in comments' },
-                  { key: 'projectUpdates', label: 'Project Updates', desc: 'Updates on projects you\'re involved in' }
+                  { key: 'projectUpdates', label: 'Project Updates', desc: 'Updates on projects you\'re involved in' },
+                  { key: 'groupSimilar', label: 'Group Similar Notifications', desc: 'Send repeated updates about the same item as one email or push' },
+                  {
+                    key: 'quietHoursEnabled',
+                    label: 'Quiet Hours',
+                    desc: 'Hold email and push notifications until quiet hours end',
+                    action: () => {
+                      const enabling = !settingsData.notifications.quietHoursEnabled;
+                      handleSettingChange('notifications', 'quietHoursEnabled', enabling);
+                      if (enabling && settingsData.notifications.quietHoursTimezone === 'UTC') {
+                        handleSettingChange('notifications', 'quietHoursTimezone', BROWSER_TIME_ZONE);
+                      }
+                    }
+                  }
                 ].map(({ key, label, desc, action, state }) => (
                   <div key={key} className="flex items-center justify-between">
                     <div className="flex-1">
@@ -391,6 +444,60 @@ const Settings = () => {
                   </div>
                 ))}
 
+                {settingsData.notifications.quietHoursEnabled && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    <label className="text-sm text-gray-600">
+                      From
+                      <input
+                        type="time"
+                        value={settingsData.notifications.quietHoursStart || '22:00'}
+                        onChange={(e) => handleSettingChange('notifications', 'quietHoursStart', e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </label>
+                    <label className="text-sm text-gray-600">
+                      To
+                      <input
+                        type="time"
+                        value={settingsData.notifications.quietHoursEnd || '08:00'}
+                        onChange={(e) => handleSettingChange('notifications', 'quietHoursEnd', e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </label>
+                    <label className="text-sm text-gray-600">
+                      Time zone
+                      <select
+                        value={settingsData.notifications.quietHoursTimezone || 'UTC'}
+                        onChange={(e) => handleSettingChange('notifications', 'quietHoursTimezone', e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {[...new Set([settingsData.notifications.quietHoursTimezone || 'UTC', ...TIME_ZONES])].map((zone) => (
+                          <option key={zone} value={zone}>{zone}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                )}
+
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex-1">
+                    <p className="font-medium text-gray-900">Email Digest</p>
+                    <p className="text-sm text-gray-600">
+                      Get one summary of assignments, mentions, due-soon and overdue tasks instead of individual emails
+                    </p>
+                  </div>
+                  <select
+                    value={settingsData.notifications.digestMode || 'immediate'}
+                    onChange={(e) => handleSettingChange('notifications', 'digestMode', e.target.value)}
+                    disabled={!settingsData.notifications.email}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+                  >
+                    {DIGEST_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+
                 {/* Test Notification Button */}
                 <div className="pt-4 border-t border-gray-200">
                   <motion.button
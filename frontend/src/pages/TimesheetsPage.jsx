@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  ClipboardCheck, ChevronLeft, ChevronRight, Send, Loader2, Lock, Clock, MessageSquare
+} from 'lucide-react';
+import { toast } from 'react-toastify';
+import Database from '../services/database';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_STYLES = {
+  open: 'bg-gray-100 text-gray-700',
+  submitted: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  reopened: 'bg-blue-100 text-blue-800',
+};
+
+const STATUS_LABELS = {
+  open: 'Not submitted',
+  submitted: 'Waiting for review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  reopened: 'Reopened',
+};
+
+const ITEM_TYPE_LABELS = { card: 'Task', subtask: 'Subtask', nano: 'Nano-subtask' };
+
+// Weeks are Monday to Sunday in UTC, so dates are formatted in UTC too
+const formatDay = (value, options = { weekday: 'long', month: 'short', day: 'numeric' }) =>
+  new Date(value).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+const formatMinutes = (total) => `${Math.floor(total / 60)}h ${total % 60}m`;
+
+const shiftWeek = (weekStart, weeks) =>
+  new Date(new Date(weekStart).getTime() + weeks * 7 * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * The current user's weekly timesheet: the week's logged time by day, and
+ * submitting it for approval. Approved weeks become billed time.
+ */
+const TimesheetsPage = () => {
+  const [weekStart, setWeekStart] = useState(null);
+  const [week, setWeek] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [note, setNote] = useState('');
+
+  const loadWeek = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await Database.getTimesheetWeek(weekStart);
+      setWeek(res.data);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [weekStart]);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const res = await Database.getTimesheets({ scope: 'mine' });
+      setHistory(res.data);
+    } catch (error) {
+      console.error('Failed to load timesheets:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWeek();
+  }, [loadWeek]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const days = useMemo(() => {
+    if (!week) return [];
+    const start = new Date(week.weekStart).getTime();
+    return Array.from({ length: 7 }, (_, index) => {
+      const dayStart = start + index * DAY_MS;
+      const entries = week.entries.filter((entry) => {
+        const time = new Date(entry.date).getTime();
+        return time >= dayStart && time < dayStart + DAY_MS;
+      });
+      return {
+        date: new Date(dayStart),
+        entries,
+        totalMinutes: entries.reduce((sum, entry) => sum + entry.hours * 60 + entry.minutes, 0),
+      };
+    });
+  }, [week]);
+
+  const currentWeekStart = week?.weekStart?.slice(0, 10);
+  const isFutureWeek = week && new Date(week.weekStart) > new Date();
+  const canSubmit = week && !week.locked && !isFutureWeek && week.entries.length > 0;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await Database.submitTimesheet({ weekStart: currentWeekStart, note: note.trim() || undefined });
+      toast.success('Timesheet submitted for review');
+      setNote('');
+      await Promise.all([loadWeek(), loadHistory()]);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const timesheet = week?.timesheet;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-white to-gray-50 dark:from-gray-800 dark:to-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="px-4 sm:px-6 py-4 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className="bg-indigo-100 p-2 rounded-xl">
+              <ClipboardCheck className="w-6 h-6 text-indigo-600" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white tracking-tight">Timesheets</h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Submit your logged time each week; approved weeks are billed</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => currentWeekStart && setWeekStart(shiftWeek(currentWeekStart, -1))}
+              className="p-2 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              title="Previous week"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <span className="text-sm font-semibold text-gray-800 dark:text-gray-200 min-w-[10rem] text-center">
+              {week ? `Week of ${formatDay(week.weekStart, { month: 'short', day: 'numeric', year: 'numeric' })}` : '—'}
+            </span>
+            <button
+              type="button"
+              onClick={() => currentWeekStart && setWeekStart(shiftWeek(currentWeekStart, 1))}
+              className="p-2 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              title="Next week"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setWeekStart(null)}
+              className="px-3 py-1.5 text-sm font-medium text-indigo-600 hover:bg-indigo-50 dark:hover:bg-gray-700 rounded-lg"
+            >
+              This week
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <main className="p-4 sm:p-6 grid grid-cols-1 xl:grid-cols-3 gap-6">
+        <section className="xl:col-span-2 bg-white dark:bg-gray-800 rounded-xl shadow-md overflow-hidden">
+          {loading || !week ? (
+            <div className="flex items-center justify-center p-8">
+              <Loader2 className="w-5 h-5 text-indigo-500 animate-spin mr-2" />
+              <span className="text-sm text-gray-500">Loading timesheet...</span>
+            </div>
+          ) : (
+            <>
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <span className={`px-3 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[week.status]}`}>
+                    {STATUS_LABELS[week.status]}
+                  </span>
+                  {week.locked && (
+                    <span className="flex items-center gap-1 text-xs text-gray-500" title="Logged time in this week can't be changed">
+                      <Lock className="w-3.5 h-3.5" />
+                      Locked
+                    </span>
+                  )}
+                </div>
+                <span className="text-sm text-gray-600 dark:text-gray-300">
+                  Total <span className="font-bold text-gray-900 dark:text-white">{formatMinutes(week.totalMinutes)}</span>
+                </span>
+              </div>
+
+              {timesheet?.reviewedBy && timesheet.status !== 'submitted' && (
+                <div className="mx-6 mt-4 flex items-start gap-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-sm text-gray-700 dark:text-gray-200">
+                  <MessageSquare className="w-4 h-4 mt-0.5 flex-shrink-0 text-gray-400" />
+                  <span>
+                    {STATUS_LABELS[timesheet.status]} by {timesheet.reviewedBy.name}
+                    {timesheet.reviewComment && `: ${timesheet.reviewComment}`}
+                  </span>
+                </div>
+              )}
+
+              <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                {days.map((day) => (
+                  <li key={day.date.toISOString()} className="px-6 py-3">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-sm font-semibold text-gray-800 dark:text-gray-200">{formatDay(day.date)}</span>
+                      <span className="text-xs text-gray-500">{day.totalMinutes > 0 ? formatMinutes(day.totalMinutes) : '—'}</span>
+                    </div>
+                    {day.entries.map((entry) => (
+                      <div key={entry.loggedEntry} className="flex items-start justify-between gap-3 py-1 text-sm">
+                        <div className="min-w-0">
+                          <span className="text-xs text-gray-400 mr-2">{ITEM_TYPE_LABELS[entry.itemType]}</span>
+                          <span className="text-gray-800 dark:text-gray-200">{entry.title}</span>
+                          {entry.description && (
+                            <p className="text-xs text-gray-500 truncate">{entry.description}</p>
+                          )}
+                        </div>
+                        <span className="flex-shrink-0 font-medium text-gray-700 dark:text-gray-300">
+                          {formatMinutes(entry.hours * 60 + entry.minutes)}
+                        </span>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+
+              {!week.locked && (
+                <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="text"
+                    maxLength={500}
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Note for your reviewer (optional)"
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 dark:bg-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleSubmit}
+                    disabled={!canSubmit || submitting}
+                    className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-semibold hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title={isFutureWeek ? "This week hasn't started" : week.entries.length === 0 ? 'No logged time this week' : undefined}
+                  >
+                    {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                    {week.status === 'open' ? 'Submit week' : 'Resubmit week'}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </section>
+
+        <section className="bg-white dark:bg-gray-800 rounded-xl shadow-md overflow-hidden self-start">
+          <h2 className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <Clock className="w-5 h-5 text-indigo-600" />
+            Submitted weeks
+          </h2>
+          {history.length === 0 ? (
+            <p className="p-6 text-center text-sm text-gray-500">You haven't submitted a timesheet yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+              {history.map((item) => (
+                <li key={item._id}>
+                  <button
+                    type="button"
+                    onClick={() => setWeekStart(item.weekStart.slice(0, 10))}
+                    className={`w-full px-6 py-3 flex items-center justify-between gap-3 text-left hover:bg-gray-50 dark:hover:bg-gray-700/50 ${
+                      item.weekStart.slice(0, 10) === currentWeekStart ? 'bg-indigo-50 dark:bg-gray-700' : ''
+                    }`}
+                  >
+                    <div>
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                        Week of {formatDay(item.weekStart, { month: 'short', day: 'numeric', year: 'numeric' })}
+                      </div>
+                      <div className="text-xs text-gray-500">{formatMinutes(item.totalMinutes)}</div>
+                    </div>
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[item.status]}`}>
+                      {STATUS_LABELS[item.status]}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default TimesheetsPage;
@@ -13,18 +13,23 @@ import useWorkflowStore from '../store/workflowStore';
 import useModalHierarchyStore from '../store/modalHierarchyStore';
 import useFieldVisibilityStore from '../store/fieldVisibilityStore';
 import useWorkflowFilterStore from '../store/workflowFilterStore';
+import useCustomFieldStore from '../store/customFieldStore';
 import useProjectStore from '../store/projectStore';
 
 import HierarchyModalStack from '../components/hierarchy/HierarchyModalStack';
 import { WorkflowSkeleton } from '../components/LoadingSkeleton';
 import { toast } from 'react-toastify';
 import AllRecurringTasksPage from './AllRecurringTasksPage';
+import AutomationRulesModal from '../components/automations/AutomationRulesModal';
 
 import WorkflowHeader from '../components/workflow/WorkflowHeader';
 import ShowFieldsPanel from '../components/workflow/ShowFieldsPanel';
 import FilterPanel from '../components/workflow/FilterPanel';
 import FilterChipsBar from '../components/workflow/FilterChipsBar';
 import { generateWorkflowCSV } from '../utils/csvExport';
+import { usePresence } from '../hooks/usePresence';
+
+const NO_CUSTOM_FIELDS = [];
 
 const WorkFlow = memo(() => {
   const { deptId, projectId, taskId, subtaskId, nenoId } = useParams();
@@ -69,11 +74,13 @@ const WorkFlow = memo(() => {
     deleteList,
     updateListColor,
     updateListTitle,
+    updateListWip,
     moveList,
     getCard,
     updateCardRecurrence,
     addCardFromSocket,
-    removeCardFromSocket
+    removeCardFromSocket,
+    updateCardLocal
   } = useWorkflowStore();
 
   const [searchQuery, setSearchQuery] = useState('');
@@ -83,6 +90,7 @@ const WorkFlow = memo(() => {
   const [fullProjectData, setFullProjectData] = useState(null);
   const [shareAutoOpened, setShareAutoOpened] = useState(false);
   const [showRecurringPage, setShowRecurringPage] = useState(false);
+  const [showAutomations, setShowAutomations] = useState(false);
   const [showArchived, setShowArchived] = useState(false);
   const [archivedCardsByList, setArchivedCardsByList] = useState({});
   const [loadingArchived, setLoadingArchived] = useState(false);
@@ -106,6 +114,12 @@ const WorkFlow = memo(() => {
   const getActiveFilterCount = useWorkflowFilterStore((s) => s.getActiveFilterCount);
   const clearAllFilters = useWorkflowFilterStore((s) => s.clearAllFilters);
   const startDraft = useWorkflowFilterStore((s) => s.startDraft);
+  const pruneCustomFieldFilters = useWorkflowFilterStore((s) => s.pruneCustomFieldFilters);
+
+  // Custom field definitions for this project (shared with the card sidebar)
+  const fetchCustomFields = useCustomFieldStore((s) => s.fetchFields);
+  const loadedCustomFields = useCustomFieldStore((s) => (board?._id ? s.fieldsByBoard[board._id] : undefined));
+  const customFields = loadedCustomFields || NO_CUSTOM_FIELDS;
 
   // Initialize stores when project + user change
   useEffect(() => {
@@ -128,6 +142,33 @@ const WorkFlow = memo(() => {
     }
   }, [board?._id]);
 
+  // Fetch custom field definitions; refetch when another user changes them
+  useEffect(() => {
+    if (!board?._id) return;
+    const boardId = board._id;
+    fetchCustomFields(boardId);
+
+    const handleDefinitionsUpdated = (event) => {
+      if (event.detail?.boardId === boardId) fetchCustomFields(boardId);
+    };
+    const handleCardUpdated = (event) => {
+      const { cardId, updates } = event.detail || {};
+      if (cardId && updates?.customFields) updateCardLocal(cardId, { customFields: updates.customFields });
+    };
+
+    window.addEventListener('socket-custom-fields-updated', handleDefinitionsUpdated);
+    window.addEventListener('socket-card-updated', handleCardUpdated);
+    return () => {
+      window.removeEventListener('socket-custom-fields-updated', handleDefinitionsUpdated);
+      window.removeEventListener('socket-card-updated', handleCardUpdated);
+    };
+  }, [board?._id, fetchCustomFields, updateCardLocal]);
+
+  // Saved filters may reference fields that have since been deleted
+  useEffect(() => {
+    if (loadedCustomFields) pruneCustomFieldFilters(loadedCustomFields.map(f => f._id));
+  }, [loadedCustomFields, pruneCustomFieldFilters]);
+
   // Reset local state when projectId changes
   useEffect(() => {
     // We rely on store's initializeWorkflow to handle data loading/clearing.
@@ -181,6 +222,8 @@ const WorkFlow = memo(() => {
     }
   }, [user, board]);
 
+  const boardViewers = usePresence('board', board?._id);
+
   // Listen for real-time recurrence updates to show/hide recurring label on cards
   useEffect(() => {
     if (!board) return;
@@ -558,10 +601,15 @@ useEffect(() => {
         }
       }
 
-      await moveCard(cardId, newListId, newPosition, status);
+      const result = await moveCard(cardId, newListId, newPosition, status);
+      if (result?.wipWarning) {
+        const { listTitle, count, limit } = result.wipWarning;
+        toast.warning(`"${listTitle}" is over its WIP limit (${count}/${limit})`);
+      }
 
     } catch (error) {
       console.error('Error moving card:', error);
+      toast.error(error.message || 'Failed to move card');
     }
   }, [lists, moveCard]);
 
@@ -599,6 +647,14 @@ useEffect(() => {
     }
   }, [updateListColor]);
 
+  const handleUpdateListWip = useCallback(async (listId, wip) => {
+    try {
+      await updateListWip(listId, wip);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update WIP limit');
+    }
+  }, [updateListWip]);
+
   const handleMoveList = useCallback(async (listId, newPosition) => {
     try {
       await moveList(listId, newPosition);
@@ -789,6 +845,13 @@ useEffect(() => {
     return map;
   }, [allCards, boardLabels]);
 
+  // Names for user-type custom field values (board members plus card assignees)
+  const userMap = useMemo(() => {
+    const map = { ...assigneeMap };
+    (board?.members || []).forEach(m => { if (m?._id) map[m._id] = m.name || m.email || 'Unknown'; });
+    return map;
+  }, [assigneeMap, board?.members]);
+
   const autoOpenSharedPath = useCallback(async () => {
     if (!taskId || !board) return;
     try {
@@ -867,13 +930,15 @@ useEffect(() => {
         lists,
         cardsByList: filteredCardsByList,
         userName: user?.name || user?.email || 'Unknown',
+        customFields,
+        userMap,
       });
       toast.success(`Exported: ${filename}`);
     } catch (err) {
       console.error('CSV export failed:', err);
       toast.error('Failed to export CSV');
     }
-  }, [board, lists, filteredCardsByList, user]);
+  }, [board, lists, filteredCardsByList, user, customFields, userMap]);
 
   // Navigation handler for header
   const handleNavigateBack = useCallback(() => {
@@ -948,6 +1013,7 @@ useEffect(() => {
       <WorkflowHeader
         board={board}
         user={user}
+        viewers={boardViewers}
         searchQuery={searchQuery}
         onSearchChange={handleSearchChange}
         onFilterToggle={() => {
@@ -965,6 +1031,7 @@ useEffect(() => {
         }}
         onTrash={() => navigate(`/workflow/${deptId}/${projectId}/trash`)}
         onRecurringTasks={() => setShowRecurringPage(true)}
+        onAutomations={() => setShowAutomations(true)}
         onArchiveToggle={() => setShowArchived(prev => !prev)}
         showArchived={showArchived}
       />
@@ -983,10 +1050,12 @@ useEffect(() => {
         cardsByList={cardsByList}
         boardLabels={boardLabels}
         allCards={allCards}
+        customFields={customFields}
+        members={board?.members}
       />
 
       {/* Active Filter Chips */}
-      <FilterChipsBar assigneeMap={assigneeMap} labelMap={labelMap} />
+      <FilterChipsBar assigneeMap={userMap} labelMap={labelMap} customFields={customFields} />
 
       <main className="flex-1 overflow-hidden relative">
         {hasNoLists ? (
@@ -1050,6 +1119,7 @@ useEffect(() => {
             onDeleteList={handleDeleteList}
             onUpdateListColor={handleUpdateListColor}
             onUpdateListTitle={updateListTitle}
+            onUpdateListWip={handleUpdateListWip}
             onMoveCard={handleMoveCard}
             onMoveList={handleMoveList}
             onRestoreCard={handleRestoreCard}
@@ -1081,6 +1151,15 @@ useEffect(() => {
         </Suspense>
       )}
 
+      <AutomationRulesModal
+        isOpen={showAutomations && Boolean(board)}
+        onClose={() => setShowAutomations(false)}
+        boardId={board?._id}
+        lists={lists}
+        labels={boardLabels}
+        members={board?.members || []}
+      />
+
       {/* All Recurring Tasks Page Overlay */}
       <AnimatePresence>
         {showRecurringPage && board && (
@@ -1,5 +1,4 @@
 import axios from 'axios';
-import { addMutation, processMutations } from './backgroundSync';
 
 const api = axios.create({
   baseURL: import.meta.env.VITE_BACKEND_URL,
@@ -20,7 +19,8 @@ api.interceptors.request.use(
     }
     
     const token = localStorage.getItem('token');
-    if (token) {
+    // Requests may carry their own token (e.g. the two-factor setup step during login)
+    if (token && !config.headers['Authorization']) {
       config.headers['Authorization'] = `Bearer ${token}`;
     }
     const workspaceId = localStorage.getItem('workspaceId');
@@ -34,29 +34,4 @@ api.interceptors.request.use(
   }
 );
 
-// Add a response interceptor for offline handling
-api.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    if (!navigator.onLine && error.config) {
-      // Store the failed request for later retry
-      await addMutation({
-        url: error.config.url,
-        method: error.config.method,
-        headers: error.config.headers,
-        body: error.config.data,
-        timestamp: Date.now(),
-      });
-      // Return a resolved promise to prevent the error from propagating
-      return Promise.resolve({ data: { offline: true } });
-    }
-    return Promise.reject(error);
-  }
-);
-
-// Process mutations when coming back online
-window.addEventListener('online', () => {
-  processMutations();
-});
-
 export default api;
@@ -1,4 +1,4 @@
-// Attachment service for Cloudinary-based file management
+// Attachment service for file management (Cloudinary, local disk or S3 storage)
 const baseURL = import.meta.env.VITE_BACKEND_URL;
 
 class AttachmentService {
@@ -421,6 +421,26 @@ class AttachmentService {
     }
   }
 
+  // Get a short-lived signed download URL (works for every storage backend)
+  async getDownloadUrl(attachmentId) {
+    try {
+      const response = await fetch(
+        `${baseURL}/api/attachments/${attachmentId}/download`,
+        { headers: this.getHeaders() }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const result = await response.json();
+      return result.data;
+    } catch (error) {
+      console.error('Get download URL error:', error);
+      throw error;
+    }
+  }
+
   // Delete single attachment
   async deleteAttachment(attachmentId) {
     try {
@@ -1,43 +1,389 @@
 import { openDB } from 'idb';
+import api from './api';
+
+/**
+ * Offline mutation queue
+ *
+ * Changes to cards, comments, subtasks and time entries made without a
+ * connection are kept in IndexedDB and replayed in the order they were made
+ * once the server is reachable again.
+ *
+ * - Replay goes through the `api` client, so an expired token is refreshed by
+ *   the AuthContext interceptor before the request is retried.
+ * - Updates and deletes carry X-Base-Updated-At: the moment we lost the
+ *   connection, on the server's clock. If someone else changed the item after
+ *   that, the server answers 409 and the change is parked as a conflict for
+ *   the user to resolve. Later changes to the same item wait behind it.
+ * - Creates get an `offline-` placeholder id. Once the server has created the
+ *   item, queued changes that reference the placeholder are rewritten.
+ *
+ * Components follow the queue with subscribe()/getQueueSnapshot(). Stores
+ * listen for the `offline-sync` window event to swap placeholders for the
+ * real items and to apply the server's version after a conflict.
+ */
 
 const DB_NAME = 'flowtask-sync';
 const STORE_NAME = 'mutations';
+const DB_VERSION = 2;
 
-async function getDB() {
-  return openDB(DB_NAME, 1, {
-    upgrade(db) {
-      db.createObjectStore(STORE_NAME, { autoIncrement: true, keyPath: 'id' });
-    },
-  });
+export const BASE_VERSION_HEADER = 'X-Base-Updated-At';
+export const SYNC_EVENT = 'offline-sync';
+
+const OFFLINE_SINCE_KEY = 'offlineSince';
+const TEMP_ID_PREFIX = 'offline-';
+const TEMP_ID_PATTERN = /offline-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/;
+const RETRY_DELAY_MS = 30000;
+
+// Where the current version of an item can be re-read after a change is discarded
+const ENTITY_URLS = {
+  card: (id) => `/api/cards/${id}`,
+  subtask: (id) => `/api/subtasks/${id}`,
+  nano: (id) => `/api/subtask-nanos/${id}`,
+  comment: (id) => `/api/comments/${id}`,
+};
+
+let dbPromise;
+let records = [];
+let syncing = false;
+let replayPromise = null;
+let retryTimer = null;
+let clockOffset = 0;
+let snapshot = { pending: 0, syncing: false, conflicts: [], failed: [] };
+const listeners = new Set();
+
+function getDB() {
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, DB_VERSION, {
+      async upgrade(db, oldVersion, newVersion, transaction) {
+        if (oldVersion < 1) {
+          db.createObjectStore(STORE_NAME, { autoIncrement: true, keyPath: 'id' });
+          return;
+        }
+        // Version 1 kept every failed request, reads included, with no
+        // entity information; keep the writes as plain pending changes
+        let cursor = await transaction.objectStore(STORE_NAME).openCursor();
+        while (cursor) {
+          const old = cursor.value;
+          const method = String(old.method || 'get').toUpperCase();
+          if (method === 'GET') {
+            await cursor.delete();
+          } else {
+            let body = old.body;
+            try { body = typeof body === 'string' ? JSON.parse(body) : body; } catch { /* keep as text */ }
+            await cursor.update({
+              id: old.id,
+              method,
+              url: old.url,
+              body,
+              entity: null,
+              label: 'Offline change',
+              status: 'pending',
+              createdAt: old.timestamp || Date.now(),
+            });
+          }
+          cursor = await cursor.continue();
+        }
+      },
+    });
+  }
+  return dbPromise;
+}
+
+/* ── Helpers ──────────────────────────────────────── */
+
+const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+const entityKey = (record) => (record.entity ? `${record.entity.type}:${record.entity.id}` : `record:${record.id}`);
+
+const referencesTempId = (record) => (
+  TEMP_ID_PATTERN.test(record.url) || TEMP_ID_PATTERN.test(JSON.stringify(record.body ?? null))
+);
+
+const serverNow = () => Date.now() + clockOffset;
+
+/** The signed-in user, read from the token so replay never sends one user's changes as another */
+function currentUserId() {
+  const token = localStorage.getItem('token');
+  if (!token) return null;
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.id || payload._id || null;
+  } catch {
+    return null;
+  }
+}
+
+function emit(detail) {
+  window.dispatchEvent(new CustomEvent(SYNC_EVENT, { detail }));
+}
+
+function markOffline() {
+  if (!localStorage.getItem(OFFLINE_SINCE_KEY)) {
+    localStorage.setItem(OFFLINE_SINCE_KEY, new Date(serverNow()).toISOString());
+  }
+}
+
+async function refresh() {
+  const db = await getDB();
+  records = await db.getAll(STORE_NAME);
+  const userId = currentUserId();
+  const mine = records.filter((record) => !record.userId || record.userId === userId);
+  snapshot = {
+    pending: mine.filter((record) => record.status === 'pending').length,
+    syncing,
+    conflicts: mine.filter((record) => record.status === 'conflict'),
+    failed: mine.filter((record) => record.status === 'failed'),
+  };
+  listeners.forEach((listener) => listener());
+}
+
+function setSyncing(value) {
+  syncing = value;
+  snapshot = { ...snapshot, syncing: value };
+  listeners.forEach((listener) => listener());
+}
+
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => replayQueue(), RETRY_DELAY_MS);
+}
+
+/* ── Queue ────────────────────────────────────────── */
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export const getQueueSnapshot = () => snapshot;
+
+/**
+ * Queue a change for later. Returns what callers get instead of the server's
+ * response: `{ success, queued: true, data }`, where `data` is the placeholder
+ * for creates and null otherwise.
+ *
+ * @param {Object} mutation
+ * @param {string} mutation.method
+ * @param {string} mutation.url - API path, e.g. `/api/cards/:id`
+ * @param {*} [mutation.body]
+ * @param {{ type: string, id?: string }} mutation.entity - The item changed; no id for creates
+ * @param {string} mutation.label - Shown in the pending changes list
+ * @param {Object} [mutation.placeholder] - Makes this a create; fields of the optimistic item
+ */
+export async function enqueue({ method, url, body, entity, label, placeholder }) {
+  const now = new Date();
+  const since = localStorage.getItem(OFFLINE_SINCE_KEY);
+  const tempId = placeholder ? `${TEMP_ID_PREFIX}${crypto.randomUUID()}` : undefined;
+  const record = {
+    method,
+    url,
+    body,
+    entity: placeholder ? { type: entity.type, id: tempId } : entity,
+    tempId,
+    label,
+    // The server's Date header has one-second resolution: allow for it so
+    // our own last save before going offline is not reported as a conflict
+    baseUpdatedAt: placeholder ? null : new Date((since ? Date.parse(since) : serverNow()) + 1000).toISOString(),
+    status: 'pending',
+    userId: currentUserId(),
+    createdAt: now.getTime(),
+  };
+
+  const db = await getDB();
+  await db.add(STORE_NAME, record);
+  await refresh();
+  if (navigator.onLine) replayQueue();
+
+  const data = placeholder
+    ? { ...placeholder, _id: tempId, createdAt: now.toISOString(), isOptimistic: true, pendingSync: true }
+    : null;
+  return { success: true, queued: true, data };
 }
 
-export async function addMutation(mutation) {
+/**
+ * Send a change now, or queue it when we are offline, the server cannot be
+ * reached, or earlier changes to the same item are still queued (so the
+ * server sees them in order).
+ *
+ * @param {Object} mutation - See enqueue()
+ * @param {Function} send - Performs the request; a TypeError means fetch never reached the server
+ */
+export async function sendOrQueue(mutation, send) {
+  const { type, id } = mutation.entity;
+  const waiting = Boolean(id) && records.some((record) => entityKey(record) === `${type}:${id}`);
+  if (!navigator.onLine || waiting || isTempId(id) || TEMP_ID_PATTERN.test(mutation.url)) {
+    if (!navigator.onLine) markOffline();
+    return enqueue(mutation);
+  }
+
+  try {
+    return await send();
+  } catch (error) {
+    if (!(error instanceof TypeError)) throw error;
+    markOffline();
+    scheduleRetry();
+    return enqueue(mutation);
+  }
+}
+
+/** Point queued changes made against a placeholder at the item the server created */
+async function rewriteTempId(tempId, realId) {
   const db = await getDB();
-  await db.add(STORE_NAME, mutation);
+  const all = await db.getAll(STORE_NAME);
+  for (const record of all) {
+    if (!record.url.includes(tempId) && !JSON.stringify(record.body ?? null).includes(tempId) && record.entity?.id !== tempId) continue;
+    await db.put(STORE_NAME, {
+      ...record,
+      url: record.url.split(tempId).join(realId),
+      body: record.body === undefined ? undefined : JSON.parse(JSON.stringify(record.body).split(tempId).join(realId)),
+      entity: record.entity?.id === tempId ? { ...record.entity, id: realId } : record.entity,
+    });
+  }
 }
 
-export async function getMutations() {
+/* ── Replay ───────────────────────────────────────── */
+
+async function runReplay() {
+  const userId = currentUserId();
+  if (!navigator.onLine || !userId) return;
+
   const db = await getDB();
-  return db.getAll(STORE_NAME);
+  const ids = (await db.getAllKeys(STORE_NAME)).sort((a, b) => a - b);
+  if (ids.length === 0) {
+    localStorage.removeItem(OFFLINE_SINCE_KEY);
+    return;
+  }
+
+  setSyncing(true);
+  const blocked = new Set();
+  const written = new Set();
+  let reachedServer = true;
+
+  try {
+    for (const id of ids) {
+      // Re-read: an earlier create may have rewritten this record
+      const record = await db.get(STORE_NAME, id);
+      if (!record || (record.userId && record.userId !== userId)) continue;
+
+      const key = entityKey(record);
+      if (record.status !== 'pending') { blocked.add(key); continue; }
+      if (blocked.has(key) || referencesTempId(record)) continue;
+
+      // After our first write the item's updatedAt is ours, so later changes
+      // to it in this run must not be checked against the old base
+      const headers = {};
+      if (record.baseUpdatedAt && !written.has(key)) headers[BASE_VERSION_HEADER] = record.baseUpdatedAt;
+
+      try {
+        const response = await api.request({ method: record.method, url: record.url, data: record.body, headers });
+        await db.delete(STORE_NAME, id);
+
+        if (record.tempId) {
+          const created = response.data?.data || response.data;
+          await rewriteTempId(record.tempId, created._id);
+          written.add(`${record.entity.type}:${created._id}`);
+          emit({ kind: 'created', type: record.entity.type, tempId: record.tempId, data: created });
+        } else {
+          written.add(key);
+        }
+      } catch (error) {
+        if (!error.response) { reachedServer = false; break; }
+        // The token could not be refreshed; keep everything for the next sign-in
+        if (error.response.status === 401) break;
+
+        const conflict = error.response.status === 409 && error.response.data?.code === 'STALE_WRITE';
+        await db.put(STORE_NAME, {
+          ...record,
+          status: conflict ? 'conflict' : 'failed',
+          error: error.response.data?.message || error.message,
+          serverState: conflict ? error.response.data.data : undefined,
+        });
+        blocked.add(key);
+      }
+      await refresh();
+    }
+  } finally {
+    if (reachedServer) localStorage.removeItem(OFFLINE_SINCE_KEY);
+    else scheduleRetry();
+    setSyncing(false);
+    await refresh();
+  }
 }
 
-export async function deleteMutation(id) {
+/** Replay queued changes; concurrent calls share one run */
+export function replayQueue() {
+  if (!replayPromise) {
+    replayPromise = runReplay()
+      .catch((error) => console.error('Failed to replay offline changes:', error))
+      .finally(() => { replayPromise = null; });
+  }
+  return replayPromise;
+}
+
+/* ── Resolution ───────────────────────────────────── */
+
+/** Conflict: send our change anyway, overwriting the other person's. Failure: try again. */
+export async function retryMutation(id) {
   const db = await getDB();
-  await db.delete(STORE_NAME, id);
+  const record = await db.get(STORE_NAME, id);
+  if (!record) return;
+  await db.put(STORE_NAME, {
+    ...record,
+    status: 'pending',
+    error: undefined,
+    serverState: undefined,
+    baseUpdatedAt: record.status === 'conflict' ? null : record.baseUpdatedAt,
+  });
+  await refresh();
+  return replayQueue();
 }
 
-export async function processMutations() {
-  const mutations = await getMutations();
-  for (const mutation of mutations) {
+/**
+ * Drop a change. For a conflict this keeps the server's version, so every
+ * queued change to that item goes; changes that depend on a discarded create
+ * go with it. Stores are told what the item looks like now.
+ */
+export async function discardMutation(id) {
+  const db = await getDB();
+  const record = await db.get(STORE_NAME, id);
+  if (!record) return;
+
+  const key = entityKey(record);
+  const all = await db.getAll(STORE_NAME);
+  const dropped = all.filter((other) => other.id === id
+    || (record.status === 'conflict' && entityKey(other) === key)
+    || (record.tempId && (other.url.includes(record.tempId) || JSON.stringify(other.body ?? null).includes(record.tempId))));
+  for (const other of dropped) await db.delete(STORE_NAME, other.id);
+  await refresh();
+
+  const { type } = record.entity || {};
+  if (record.tempId) {
+    emit({ kind: 'removed', type, id: record.tempId });
+  } else if (record.serverState) {
+    emit({ kind: 'server-state', type, id: record.entity.id, data: record.serverState });
+  } else if (ENTITY_URLS[type]) {
     try {
-      await fetch(mutation.url, {
-        method: mutation.method,
-        headers: mutation.headers,
-        body: mutation.body,
-      });
-      await deleteMutation(mutation.id);
+      const res = await api.get(ENTITY_URLS[type](record.entity.id));
+      emit({ kind: 'server-state', type, id: record.entity.id, data: res.data?.data || res.data });
     } catch (error) {
-      console.error('Failed to process mutation:', error);
+      if (error.response?.status === 404) emit({ kind: 'removed', type, id: record.entity.id });
     }
   }
+  return replayQueue();
 }
+
+/* ── Wiring ───────────────────────────────────────── */
+
+// Stamp queued changes on the server's clock rather than this device's
+api.interceptors.response.use((response) => {
+  const date = Date.parse(response.headers?.date);
+  if (!Number.isNaN(date)) clockOffset = date - Date.now();
+  return response;
+});
+
+window.addEventListener('offline', markOffline);
+window.addEventListener('online', () => replayQueue());
+
+refresh().then(() => {
+  if (records.length > 0) replayQueue();
+}).catch((error) => console.error('Failed to open the offline queue:', error));
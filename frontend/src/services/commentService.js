@@ -1,4 +1,5 @@
 import Database from "./database";
+import { SYNC_EVENT } from "./backgroundSync";
 
 /**
  * Optimized Comment Service
@@ -27,6 +28,7 @@ class CommentService {
 
     // Subscribe to socket events for real-time updates
     this.initSocketListeners();
+    this.initOfflineSyncListener();
   }
 
   /**
@@ -156,6 +158,48 @@ class CommentService {
     });
   }
 
+  /**
+   * Apply the outcome of offline comment changes once the queue has replayed
+   * them: swap placeholders for saved comments, and show the server's version
+   * when the user discards a change
+   */
+  initOfflineSyncListener() {
+    window.addEventListener(SYNC_EVENT, (event) => {
+      const { kind, type, id, tempId, data } = event.detail || {};
+      if (type !== 'comment') return;
+      const commentId = kind === 'created' ? tempId : id;
+
+      let found = false;
+      Object.entries(this.cache).forEach(([entityType, entries]) => {
+        Object.entries(entries).forEach(([key, comments]) => {
+          if (!comments?.some(c => c._id === commentId)) return;
+          found = true;
+          // A socket event may have added the saved comment already
+          const updated = kind === 'removed' || comments.some(c => c._id === data?._id && c._id !== commentId)
+            ? comments.filter(c => c._id !== commentId)
+            : comments.map(c => (c._id === commentId ? { ...data, isOptimistic: false } : c));
+          const entityId = key.slice(entityType.length + 1);
+          this.setInCache(entityType, entityId, updated);
+          this.dispatchCommentUpdate(entityType, entityId, updated);
+        });
+      });
+
+      // A delete the user took back: put the comment back where it was
+      if (!found && kind === 'server-state' && data) {
+        const refId = (ref) => ref?._id || ref;
+        const [entityType, entityId] = data.subtaskNano
+          ? ['nano', refId(data.subtaskNano)]
+          : data.subtask ? ['subtask', refId(data.subtask)] : ['card', refId(data.card)];
+        const cached = this.getFromCache(entityType, entityId);
+        if (cached) {
+          const updated = [...cached, data];
+          this.setInCache(entityType, entityId, updated);
+          this.dispatchCommentUpdate(entityType, entityId, updated);
+        }
+      }
+    });
+  }
+
   /**
    * Generate cache key based on entity type and ID
    */
@@ -285,10 +329,14 @@ class CommentService {
       // Get current cache
       const cachedComments = this.getFromCache(type, entityId) || [];
 
-      // Replace temporary comment with actual comment from server
-      const updatedComments = cachedComments.map(comment =>
-        comment._id === tempId ? { ...savedComment, isOptimistic: false } : comment
-      );
+      // Replace temporary comment with actual comment from server. Queued
+      // offline, it keeps its optimistic content under the placeholder id
+      const updatedComments = cachedComments.map(comment => {
+        if (comment._id !== tempId) return comment;
+        return response.queued
+          ? { ...comment, _id: savedComment._id, pendingSync: true }
+          : { ...savedComment, isOptimistic: false };
+      });
 
       // Update cache
       this.setInCache(type, entityId, updatedComments);
@@ -436,6 +484,8 @@ class CommentService {
     // Update on server in background
     try {
       const response = await Database.updateComment(commentId, newText);
+      // Queued offline: the optimistic edit stands until replay
+      if (response.queued) return null;
       const serverComment = response.data || response;
       
       // Update cache with server response to ensure consistency
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { sendOrQueue } from './backgroundSync';
 
 // API service for CRUD operations
 const baseURL = import.meta.env.VITE_BACKEND_URL;
@@ -466,43 +467,60 @@ class DatabaseService {
   }
 
   async createCard(listId, title, boardId, position = null) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    // Position will be handled by backend if not provided
-    const res = await fetch(`${baseURL}/api/cards`, {
+    return sendOrQueue({
       method: 'POST',
-      headers,
-      body: JSON.stringify({ list: listId, title, position, board: boardId })
+      url: '/api/cards',
+      body: { list: listId, title, position, board: boardId },
+      entity: { type: 'card' },
+      label: `New task "${title}"`,
+      placeholder: { list: listId, title, position, board: boardId }
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      // Position will be handled by backend if not provided
+      const res = await fetch(`${baseURL}/api/cards`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ list: listId, title, position, board: boardId })
+      });
+      return await res.json();
     });
-    return await res.json();
   }
 
   async updateCard(cardId, updates) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/cards/${cardId}`, {
+    return sendOrQueue({
       method: 'PUT',
-      headers,
-      body: JSON.stringify(updates)
-    });
-    try {
-      const data = await res.json();
-      if (!res.ok) {
-        throw new Error(data.message || 'Failed to update card');
+      url: `/api/cards/${cardId}`,
+      body: updates,
+      entity: { type: 'card', id: cardId },
+      label: 'Task update'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
       }
-      return data;
-    } catch (error) {
-      if (error.message.includes('JSON')) {
-        throw new Error('Invalid response from server');
+      const res = await fetch(`${baseURL}/api/cards/${cardId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(updates)
+      });
+      try {
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.message || 'Failed to update card');
+        }
+        return data;
+      } catch (error) {
+        if (error.message.includes('JSON')) {
+          throw new Error('Invalid response from server');
+        }
+        throw error;
       }
-      throw error;
-    }
+    });
   }
 
   async updateEstimationTime(cardId, hours, minutes) {
@@ -579,54 +597,85 @@ class DatabaseService {
   }
 
   async deleteCard(cardId) {
-    const token = localStorage.getItem('token');
-    const headers = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    await fetch(`${baseURL}/api/cards/${cardId}`, { method: 'DELETE', headers });
+    return sendOrQueue({
+      method: 'DELETE',
+      url: `/api/cards/${cardId}`,
+      entity: { type: 'card', id: cardId },
+      label: 'Delete task'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = {};
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      await fetch(`${baseURL}/api/cards/${cardId}`, { method: 'DELETE', headers });
+    });
   }
 
   // New independent time tracking methods for Card
   async addCardTimeEntry(cardId, type, entry) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/cards/${cardId}/time-tracking`, {
+    return sendOrQueue({
       method: 'POST',
-      headers,
-      body: JSON.stringify({ type, entry })
+      url: `/api/cards/${cardId}/time-tracking`,
+      body: { type, entry },
+      entity: { type: 'card-time' },
+      label: type === 'logged' ? 'Logged time' : 'Estimation',
+      placeholder: entry
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/cards/${cardId}/time-tracking`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ type, entry })
+      });
+      if (!res.ok) throw new Error('Failed to add time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to add time entry');
-    return await res.json();
   }
 
   async updateCardTimeEntry(cardId, entryId, type, updates) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/cards/${cardId}/time-tracking/${entryId}`, {
+    return sendOrQueue({
       method: 'PUT',
-      headers,
-      body: JSON.stringify({ type, updates })
+      url: `/api/cards/${cardId}/time-tracking/${entryId}`,
+      body: { type, updates },
+      entity: { type: 'card-time', id: entryId },
+      label: 'Time entry update'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/cards/${cardId}/time-tracking/${entryId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ type, updates })
+      });
+      if (!res.ok) throw new Error('Failed to update time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to update time entry');
-    return await res.json();
   }
 
   async deleteCardTimeEntry(cardId, entryId, type) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/cards/${cardId}/time-tracking/${entryId}?type=${type}`, {
+    return sendOrQueue({
       method: 'DELETE',
-      headers
+      url: `/api/cards/${cardId}/time-tracking/${entryId}?type=${type}`,
+      entity: { type: 'card-time', id: entryId },
+      label: 'Delete time entry'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/cards/${cardId}/time-tracking/${entryId}?type=${type}`, {
+        method: 'DELETE',
+        headers
+      });
+      if (!res.ok) throw new Error('Failed to delete time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to delete time entry');
-    return await res.json();
   }
 
   async moveCard(cardId, destinationListId, newPosition, newStatus) {
@@ -644,8 +693,10 @@ class DatabaseService {
     });
     
     if (!moveRes.ok) {
-      throw new Error('Failed to move card');
+      const err = await moveRes.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to move card');
     }
+    const { wipWarning } = await moveRes.json();
 
     // Then, update the card's status
     const updateRes = await fetch(`${baseURL}/api/cards/${cardId}`, {
@@ -658,7 +709,8 @@ class DatabaseService {
       throw new Error('Failed to update card status');
     }
 
-    return await updateRes.json();
+    const updated = await updateRes.json();
+    return wipWarning ? { ...updated, wipWarning } : updated;
   }
 
   // ========== COPY / MOVE TASK APIs ==========
@@ -773,6 +825,80 @@ class DatabaseService {
 
   // ========== END COPY / MOVE TASK APIs ==========
 
+  // ========== TASK DEPENDENCIES / GANTT APIs ==========
+
+  async getBoardGantt(boardId) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(`${baseURL}/api/cards/board/${boardId}/gantt`, { headers });
+    if (!res.ok) throw new Error('Failed to load timeline');
+    return await res.json();
+  }
+
+  async getCardDependencies(cardId) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(`${baseURL}/api/cards/${cardId}/dependencies`, { headers });
+    if (!res.ok) throw new Error('Failed to load dependencies');
+    return await res.json();
+  }
+
+  async addCardDependency(cardId, { dependsOn, type, lagDays }) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(`${baseURL}/api/cards/${cardId}/dependencies`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ dependsOn, type, lagDays })
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to add dependency');
+    }
+    return await res.json();
+  }
+
+  async removeCardDependency(cardId, dependencyId) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(`${baseURL}/api/cards/${cardId}/dependencies/${dependencyId}`, {
+      method: 'DELETE',
+      headers
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to remove dependency');
+    }
+    return await res.json();
+  }
+
+  async updateCardSchedule(cardId, { startDate, dueDate }) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(`${baseURL}/api/cards/${cardId}/schedule`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify({ startDate, dueDate })
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to update dates');
+    }
+    return await res.json();
+  }
+
+  // ========== END TASK DEPENDENCIES / GANTT APIs ==========
+
   async archiveCard(cardId) {
     const token = localStorage.getItem('token');
     const headers = { 'Content-Type': 'application/json' };
@@ -860,98 +986,146 @@ class DatabaseService {
   }
 
   async createSubtask(taskId, payload) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/subtasks/task/${taskId}`, {
+    return sendOrQueue({
       method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
+      url: `/api/subtasks/task/${taskId}`,
+      body: payload,
+      entity: { type: 'subtask' },
+      label: `New subtask "${payload.title}"`,
+      placeholder: { status: 'todo', completed: false, ...payload, parentTask: taskId }
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseURL}/api/subtasks/task/${taskId}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        const error = await res.json();
+        throw new Error(error.message || 'Failed to create subtask');
+      }
+      return await res.json();
     });
-    if (!res.ok) {
-      const error = await res.json();
-      throw new Error(error.message || 'Failed to create subtask');
-    }
-    return await res.json();
   }
 
   async updateSubtask(subtaskId, updates) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}`, {
+    return sendOrQueue({
       method: 'PUT',
-      headers,
-      body: JSON.stringify(updates)
+      url: `/api/subtasks/${subtaskId}`,
+      body: updates,
+      entity: { type: 'subtask', id: subtaskId },
+      label: 'Subtask update'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(updates)
+      });
+      if (!res.ok) {
+        const error = await res.json();
+        throw new Error(error.message || 'Failed to update subtask');
+      }
+      return await res.json();
     });
-    if (!res.ok) {
-      const error = await res.json();
-      throw new Error(error.message || 'Failed to update subtask');
-    }
-    return await res.json();
   }
 
   async deleteSubtask(subtaskId) {
-    const token = localStorage.getItem('token');
-    const headers = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}`, {
+    return sendOrQueue({
       method: 'DELETE',
-      headers
+      url: `/api/subtasks/${subtaskId}`,
+      entity: { type: 'subtask', id: subtaskId },
+      label: 'Delete subtask'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = {};
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}`, {
+        method: 'DELETE',
+        headers
+      });
+      if (!res.ok) {
+        const error = await res.json();
+        throw new Error(error.message || 'Failed to delete subtask');
+      }
+      return await res.json();
     });
-    if (!res.ok) {
-      const error = await res.json();
-      throw new Error(error.message || 'Failed to delete subtask');
-    }
-    return await res.json();
   }
 
   // New independent time tracking methods for Subtask
   async addSubtaskTimeEntry(subtaskId, type, entry) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}/time-tracking`, {
+    return sendOrQueue({
       method: 'POST',
-      headers,
-      body: JSON.stringify({ type, entry })
+      url: `/api/subtasks/${subtaskId}/time-tracking`,
+      body: { type, entry },
+      entity: { type: 'subtask-time' },
+      label: type === 'logged' ? 'Logged time' : 'Estimation',
+      placeholder: entry
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}/time-tracking`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ type, entry })
+      });
+      if (!res.ok) throw new Error('Failed to add time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to add time entry');
-    return await res.json();
   }
 
   async updateSubtaskTimeEntry(subtaskId, entryId, type, updates) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}/time-tracking/${entryId}`, {
+    return sendOrQueue({
       method: 'PUT',
-      headers,
-      body: JSON.stringify({ type, updates })
+      url: `/api/subtasks/${subtaskId}/time-tracking/${entryId}`,
+      body: { type, updates },
+      entity: { type: 'subtask-time', id: entryId },
+      label: 'Time entry update'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}/time-tracking/${entryId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ type, updates })
+      });
+      if (!res.ok) throw new Error('Failed to update time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to update time entry');
-    return await res.json();
   }
 
   async deleteSubtaskTimeEntry(subtaskId, entryId, type) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}/time-tracking/${entryId}?type=${type}`, {
+    return sendOrQueue({
       method: 'DELETE',
-      headers
+      url: `/api/subtasks/${subtaskId}/time-tracking/${entryId}?type=${type}`,
+      entity: { type: 'subtask-time', id: entryId },
+      label: 'Delete time entry'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/subtasks/${subtaskId}/time-tracking/${entryId}?type=${type}`, {
+        method: 'DELETE',
+        headers
+      });
+      if (!res.ok) throw new Error('Failed to delete time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to delete time entry');
-    return await res.json();
   }
 
   async reorderSubtasks(taskId, orderedIds) {
@@ -999,98 +1173,146 @@ class DatabaseService {
   }
 
   async createNano(subtaskId, payload) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/subtask-nanos/subtask/${subtaskId}`, {
+    return sendOrQueue({
       method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
+      url: `/api/subtask-nanos/subtask/${subtaskId}`,
+      body: payload,
+      entity: { type: 'nano' },
+      label: `New subtask "${payload.title}"`,
+      placeholder: { status: 'todo', ...payload, subtask: subtaskId }
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseURL}/api/subtask-nanos/subtask/${subtaskId}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        const error = await res.json();
+        throw new Error(error.message || 'Failed to create subtask-nano');
+      }
+      return await res.json();
     });
-    if (!res.ok) {
-      const error = await res.json();
-      throw new Error(error.message || 'Failed to create subtask-nano');
-    }
-    return await res.json();
   }
 
   async updateNano(subtaskNanoId, updates) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/subtask-nanos/${subtaskNanoId}`, {
+    return sendOrQueue({
       method: 'PUT',
-      headers,
-      body: JSON.stringify(updates)
+      url: `/api/subtask-nanos/${subtaskNanoId}`,
+      body: updates,
+      entity: { type: 'nano', id: subtaskNanoId },
+      label: 'Subtask update'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseURL}/api/subtask-nanos/${subtaskNanoId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(updates)
+      });
+      if (!res.ok) {
+        const error = await res.json();
+        throw new Error(error.message || 'Failed to update subtask-nano');
+      }
+      return await res.json();
     });
-    if (!res.ok) {
-      const error = await res.json();
-      throw new Error(error.message || 'Failed to update subtask-nano');
-    }
-    return await res.json();
   }
 
   async deleteNano(subtaskNanoId) {
-    const token = localStorage.getItem('token');
-    const headers = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/subtask-nanos/${subtaskNanoId}`, {
+    return sendOrQueue({
       method: 'DELETE',
-      headers
+      url: `/api/subtask-nanos/${subtaskNanoId}`,
+      entity: { type: 'nano', id: subtaskNanoId },
+      label: 'Delete subtask'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = {};
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseURL}/api/subtask-nanos/${subtaskNanoId}`, {
+        method: 'DELETE',
+        headers
+      });
+      if (!res.ok) {
+        const error = await res.json();
+        throw new Error(error.message || 'Failed to delete subtask-nano');
+      }
+      return await res.json();
     });
-    if (!res.ok) {
-      const error = await res.json();
-      throw new Error(error.message || 'Failed to delete subtask-nano');
-    }
-    return await res.json();
   }
 
   // New independent time tracking methods for Nano
   async addNanoTimeEntry(nanoId, type, entry) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/subtask-nanos/${nanoId}/time-tracking`, {
+    return sendOrQueue({
       method: 'POST',
-      headers,
-      body: JSON.stringify({ type, entry })
+      url: `/api/subtask-nanos/${nanoId}/time-tracking`,
+      body: { type, entry },
+      entity: { type: 'nano-time' },
+      label: type === 'logged' ? 'Logged time' : 'Estimation',
+      placeholder: entry
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/subtask-nanos/${nanoId}/time-tracking`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ type, entry })
+      });
+      if (!res.ok) throw new Error('Failed to add time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to add time entry');
-    return await res.json();
   }
 
   async updateNanoTimeEntry(nanoId, entryId, type, updates) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/subtask-nanos/${nanoId}/time-tracking/${entryId}`, {
+    return sendOrQueue({
       method: 'PUT',
-      headers,
-      body: JSON.stringify({ type, updates })
+      url: `/api/subtask-nanos/${nanoId}/time-tracking/${entryId}`,
+      body: { type, updates },
+      entity: { type: 'nano-time', id: entryId },
+      label: 'Time entry update'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/subtask-nanos/${nanoId}/time-tracking/${entryId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ type, updates })
+      });
+      if (!res.ok) throw new Error('Failed to update time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to update time entry');
-    return await res.json();
   }
 
   async deleteNanoTimeEntry(nanoId, entryId, type) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    
-    const res = await fetch(`${baseURL}/api/subtask-nanos/${nanoId}/time-tracking/${entryId}?type=${type}`, {
+    return sendOrQueue({
       method: 'DELETE',
-      headers
+      url: `/api/subtask-nanos/${nanoId}/time-tracking/${entryId}?type=${type}`,
+      entity: { type: 'nano-time', id: entryId },
+      label: 'Delete time entry'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+      const res = await fetch(`${baseURL}/api/subtask-nanos/${nanoId}/time-tracking/${entryId}?type=${type}`, {
+        method: 'DELETE',
+        headers
+      });
+      if (!res.ok) throw new Error('Failed to delete time entry');
+      return await res.json();
     });
-    if (!res.ok) throw new Error('Failed to delete time entry');
-    return await res.json();
   }
 
   async reorderNanos(subtaskId, orderedIds) {
@@ -1550,15 +1772,24 @@ class DatabaseService {
       subtask: subtaskId,
       subtaskNano: nanoId
     };
-    const res = await fetch(`${baseURL}/api/comments`, {
+    return sendOrQueue({
       method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
+      url: '/api/comments',
+      body: payload,
+      entity: { type: 'comment' },
+      label: 'New comment',
+      placeholder: payload
+    }, async () => {
+      const res = await fetch(`${baseURL}/api/comments`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      return await res.json();
     });
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-    return await res.json();
   }
 
   async uploadImage(cardId, formData, type = 'general', setCover = false) {
@@ -1588,41 +1819,56 @@ class DatabaseService {
   }
 
   async updateComment(commentId, htmlContent) {
-    const token = localStorage.getItem('token');
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/comments/${commentId}`, {
+    return sendOrQueue({
       method: 'PUT',
-      headers,
-      body: JSON.stringify({ htmlContent })
-    });
-    if (!res.ok) {
-      const error = await res.json().catch(() => ({ message: 'Failed to update comment' }));
-      if (res.status === 403) {
-        throw new Error(error.message || 'You are not authorized to edit this comment');
+      url: `/api/comments/${commentId}`,
+      body: { htmlContent },
+      entity: { type: 'comment', id: commentId },
+      label: 'Comment edit'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
       }
-      throw new Error(error.message || 'Failed to update comment');
-    }
-    return await res.json();
+      const res = await fetch(`${baseURL}/api/comments/${commentId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ htmlContent })
+      });
+      if (!res.ok) {
+        const error = await res.json().catch(() => ({ message: 'Failed to update comment' }));
+        if (res.status === 403) {
+          throw new Error(error.message || 'You are not authorized to edit this comment');
+        }
+        throw new Error(error.message || 'Failed to update comment');
+      }
+      return await res.json();
+    });
   }
 
   async deleteComment(commentId) {
-    const token = localStorage.getItem('token');
-    const headers = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-    const res = await fetch(`${baseURL}/api/comments/${commentId}`, { method: 'DELETE', headers });
-    if (!res.ok) {
-      const error = await res.json().catch(() => ({ message: 'Failed to delete comment' }));
-      if (res.status === 403) {
-        throw new Error(error.message || 'You are not authorized to delete this comment');
+    return sendOrQueue({
+      method: 'DELETE',
+      url: `/api/comments/${commentId}`,
+      entity: { type: 'comment', id: commentId },
+      label: 'Delete comment'
+    }, async () => {
+      const token = localStorage.getItem('token');
+      const headers = {};
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
       }
-      throw new Error(error.message || 'Failed to delete comment');
-    }
-    return await res.json().catch(() => ({ success: true }));
+      const res = await fetch(`${baseURL}/api/comments/${commentId}`, { method: 'DELETE', headers });
+      if (!res.ok) {
+        const error = await res.json().catch(() => ({ message: 'Failed to delete comment' }));
+        if (res.status === 403) {
+          throw new Error(error.message || 'You are not authorized to delete this comment');
+        }
+        throw new Error(error.message || 'Failed to delete comment');
+      }
+      return await res.json().catch(() => ({ success: true }));
+    });
   }
 
   // Get single comment by ID (for deep linking)
@@ -1901,13 +2147,21 @@ class DatabaseService {
   }
 
   // Search operations
-  async search(query) {
+  async search(query, { type, departmentId, limit } = {}) {
     const token = localStorage.getItem('token');
     const headers = { 'Content-Type': 'application/json' };
     if (token) {
       headers['Authorization'] = `Bearer ${token}`;
     }
-    const res = await fetch(`${baseURL}/api/search?q=${encodeURIComponent(query)}`, { headers });
+    const params = new URLSearchParams({ q: query });
+    if (type) params.append('type', type);
+    if (departmentId) params.append('departmentId', departmentId);
+    if (limit) params.append('limit', limit);
+    const res = await fetch(`${baseURL}/api/search?${params}`, { headers });
+    if (!res.ok) {
+      const error = await res.json().catch(() => ({}));
+      throw new Error(error.message || 'Search failed');
+    }
     return await res.json();
   }
 
@@ -1943,6 +2197,24 @@ class DatabaseService {
     return payload;
   }
 
+  async getAnalyticsFlow(params = {}, options = {}) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    const res = await fetch(`${baseURL}/api/analytics/flow?${query}`, {
+      headers,
+      cache: 'no-store',
+      signal: options.signal,
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(payload.message || 'Failed to load flow analytics');
+    return payload;
+  }
+
   async getEmployeeAnalyticsTasks(employeeId, params = {}, options = {}) {
     const token = localStorage.getItem('token');
     const headers = { 'Content-Type': 'application/json' };
@@ -2562,6 +2834,241 @@ class DatabaseService {
     return await res.json();
   }
 
+  // ========== CUSTOM FIELDS API ==========
+
+  async getCustomFieldsByBoard(boardId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/custom-fields/board/${boardId}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      cache: 'no-store'
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    return await res.json();
+  }
+
+  async getCustomFieldsByDepartment(departmentId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/custom-fields/department/${departmentId}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    return await res.json();
+  }
+
+  /**
+   * Create a custom field definition for a project.
+   * @param {Object} field - { boardId, name, type, options, currency, showInList }
+   */
+  async createCustomField(field) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/custom-fields`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(field)
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || err.errors?.[0]?.message || 'Failed to create custom field');
+    }
+    return await res.json();
+  }
+
+  async updateCustomField(fieldId, updates) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/custom-fields/${fieldId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(updates)
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || err.errors?.[0]?.message || 'Failed to update custom field');
+    }
+    return await res.json();
+  }
+
+  async deleteCustomField(fieldId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/custom-fields/${fieldId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to delete custom field');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Set a card's value for one custom field. Pass null to clear it.
+   * Resolves with `data.customFields`, the card's full value map.
+   */
+  async setCardCustomField(cardId, fieldId, value) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/custom-fields/card/${cardId}/${fieldId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ value })
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || err.errors?.[0]?.message || 'Failed to update custom field');
+    }
+    return await res.json();
+  }
+
+  // ========== PROJECT TEMPLATES API ==========
+
+  async getProjectTemplates() {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/project-templates`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      cache: 'no-store'
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    return await res.json();
+  }
+
+  /**
+   * Save an existing project as a template.
+   * @param {string} boardId - Project to capture
+   * @param {Object} details - { name, description }
+   */
+  async createProjectTemplate(boardId, details = {}) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/project-templates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ boardId, ...details })
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || err.errors?.[0]?.message || 'Failed to save template');
+    }
+    return await res.json();
+  }
+
+  async updateProjectTemplate(templateId, updates) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/project-templates/${templateId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(updates)
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || err.errors?.[0]?.message || 'Failed to update template');
+    }
+    return await res.json();
+  }
+
+  async deleteProjectTemplate(templateId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/project-templates/${templateId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to delete template');
+    }
+    return await res.json();
+  }
+
+  // ========== AUTOMATIONS API ==========
+
+  async getAutomationMeta() {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/automations/meta`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    return await res.json();
+  }
+
+  async getAutomationRules(boardId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/automations/board/${boardId}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      cache: 'no-store'
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    return await res.json();
+  }
+
+  /**
+   * Create an automation rule for a project.
+   * @param {Object} rule - { boardId, name, description, isActive, trigger, conditions, actions }
+   */
+  async createAutomationRule(rule) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/automations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(rule)
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || err.errors?.[0]?.message || 'Failed to create automation');
+    }
+    return await res.json();
+  }
+
+  async updateAutomationRule(ruleId, updates) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/automations/${ruleId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(updates)
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || err.errors?.[0]?.message || 'Failed to update automation');
+    }
+    return await res.json();
+  }
+
+  async deleteAutomationRule(ruleId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/automations/${ruleId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to delete automation');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Execution log for one rule, or for every rule of a project.
+   * @param {Object} scope - { ruleId } or { boardId }
+   */
+  async getAutomationExecutions({ ruleId, boardId }, { page = 1, limit = 50 } = {}) {
+    const token = localStorage.getItem('token');
+    const path = ruleId ? `${ruleId}/executions` : `board/${boardId}/executions`;
+    const res = await fetch(`${baseURL}/api/automations/${path}?page=${page}&limit=${limit}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      cache: 'no-store'
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    return await res.json();
+  }
+
   // =============================================
   // PROJECT COVER IMAGE OPERATIONS
   // =============================================
@@ -2815,6 +3322,101 @@ class DatabaseService {
     return await res.json();
   }
 
+  /**
+   * Get planned workload against capacity per team member
+   * @param {Object} params - Query parameters (departmentId, startDate, endDate, userId)
+   * @returns {Promise<Object>} Per-member daily capacity, planned minutes and assignments
+   */
+  async getTeamWorkload(params = {}) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const queryParams = new URLSearchParams();
+    if (params.departmentId) queryParams.append('departmentId', params.departmentId);
+    if (params.startDate) queryParams.append('startDate', params.startDate);
+    if (params.endDate) queryParams.append('endDate', params.endDate);
+    if (params.userId) queryParams.append('userId', params.userId);
+
+    const res = await fetch(`${baseURL}/api/team-analytics/workload?${queryParams}`, { headers });
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.message || 'Failed to fetch team workload');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Get a user's capacity settings (hours per day, working days, time off)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Capacity settings
+   */
+  async getUserCapacity(userId) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const res = await fetch(`${baseURL}/api/team-analytics/capacity/${userId}`, { headers });
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.message || 'Failed to fetch capacity');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Update a user's capacity settings
+   * @param {string} userId - User ID
+   * @param {Object} capacity - { hoursPerDay, workingDays, timeOff }
+   * @returns {Promise<Object>} Saved capacity settings
+   */
+  async updateUserCapacity(userId, capacity) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const res = await fetch(`${baseURL}/api/team-analytics/capacity/${userId}`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(capacity)
+    });
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.message || 'Failed to update capacity');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Move one person's assignment to someone else
+   * @param {Object} payload - { itemType: 'card'|'subtask'|'nano', itemId, fromUserId, toUserId }
+   * @returns {Promise<Object>} The item's new assignees
+   */
+  async reassignWorkload(payload) {
+    const token = localStorage.getItem('token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const res = await fetch(`${baseURL}/api/team-analytics/workload/reassign`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.message || 'Failed to reassign work');
+    }
+    return await res.json();
+  }
+
   // ==========================================
   // Calendar API Methods
   // ==========================================
@@ -2937,6 +3539,285 @@ class DatabaseService {
     return await res.json();
   }
 
+  // ========== CALENDAR FEED APIs ==========
+
+  async getCalendarFeeds() {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/calendar/feeds`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to fetch calendar feeds');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Create an .ics subscription feed. The returned `data.url` is only
+   * available in this response.
+   * @param {Object} feed - { name, departments, projects, sources }
+   */
+  async createCalendarFeed(feed) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/calendar/feeds`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(feed)
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to create calendar feed');
+    }
+    return await res.json();
+  }
+
+  async rotateCalendarFeed(feedId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/calendar/feeds/${feedId}/rotate`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to reset calendar feed URL');
+    }
+    return await res.json();
+  }
+
+  async revokeCalendarFeed(feedId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/calendar/feeds/${feedId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to revoke calendar feed');
+    }
+    return await res.json();
+  }
+
+  // ========== TIME OFF APIs ==========
+
+  /**
+   * Holidays and leave to show on the calendar
+   * @param {string} start - Range start (ISO date)
+   * @param {string} end - Range end (ISO date)
+   * @param {string} departmentId - Optional department, defaults to the user's departments
+   * @returns {Promise<Object>} { holidays, leave }
+   */
+  async getCalendarTimeOff(start, end, departmentId) {
+    const token = localStorage.getItem('token');
+    const params = new URLSearchParams({ start, end });
+    if (departmentId && departmentId !== 'all') params.append('departmentId', departmentId);
+
+    const res = await fetch(`${baseURL}/api/time-off/calendar?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to fetch time off');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Get leave requests
+   * @param {Object} params - { scope: 'mine'|'team', status, start, end }
+   * @returns {Promise<Object>} Leave requests
+   */
+  async getLeaveRequests(params = {}) {
+    const token = localStorage.getItem('token');
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+
+    const res = await fetch(`${baseURL}/api/time-off/leave?${queryParams}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to fetch leave requests');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Request leave; it counts once a manager approves it
+   * @param {Object} request - { startDate, endDate, type, reason }
+   */
+  async createLeaveRequest(request) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/time-off/leave`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(request)
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to request leave');
+    }
+    return await res.json();
+  }
+
+  async cancelLeaveRequest(requestId) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/time-off/leave/${requestId}/cancel`, {
+      method: 'PATCH',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to cancel leave request');
+    }
+    return await res.json();
+  }
+
+  // ========== TIMER APIs ==========
+
+  /**
+   * The current user's running timer, or null
+   */
+  async getCurrentTimer() {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/timers/current`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to fetch timer');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Start a timer on a task, subtask or nano-subtask. Fails with status 409
+   * while another timer is running.
+   * @param {Object} params - { itemType: 'card'|'subtask'|'nano', itemId, description }
+   */
+  async startTimer({ itemType, itemId, description }) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/timers/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ itemType, itemId, description })
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      const error = new Error(err.message || 'Failed to start timer');
+      error.status = res.status;
+      throw error;
+    }
+    return await res.json();
+  }
+
+  async sendTimerHeartbeat() {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/timers/current/heartbeat`, {
+      method: 'PATCH',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to update timer');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Stop the running timer and log its time
+   * @param {Object} params - { endedAt, description }; endedAt defaults to now
+   */
+  async stopTimer({ endedAt, description } = {}) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/timers/current/stop`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ endedAt, description })
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to stop timer');
+    }
+    return await res.json();
+  }
+
+  async discardTimer() {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/timers/current`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to discard timer');
+    }
+    return await res.json();
+  }
+
+  // ========== TIMESHEET APIs ==========
+
+  /**
+   * The current user's week: live logged time, or what was submitted
+   * @param {string} weekStart - Any date in the week (ISO), defaults to this week
+   * @returns {Promise<Object>} { weekStart, status, locked, timesheet, entries, totalMinutes }
+   */
+  async getTimesheetWeek(weekStart) {
+    const token = localStorage.getItem('token');
+    const params = new URLSearchParams();
+    if (weekStart) params.append('weekStart', weekStart);
+
+    const res = await fetch(`${baseURL}/api/timesheets/week?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to fetch timesheet');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Get timesheets
+   * @param {Object} params - { scope: 'mine'|'team', status }
+   */
+  async getTimesheets(params = {}) {
+    const token = localStorage.getItem('token');
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+
+    const res = await fetch(`${baseURL}/api/timesheets?${queryParams}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to fetch timesheets');
+    }
+    return await res.json();
+  }
+
+  /**
+   * Submit a week for approval; its logged time is locked until it is reviewed
+   * @param {Object} params - { weekStart, note }
+   */
+  async submitTimesheet({ weekStart, note }) {
+    const token = localStorage.getItem('token');
+    const res = await fetch(`${baseURL}/api/timesheets/submit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ weekStart, note })
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || 'Failed to submit timesheet');
+    }
+    return await res.json();
+  }
+
   // ============ My Shortcuts API Methods ============
 
   /**
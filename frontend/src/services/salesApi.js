@@ -44,8 +44,9 @@ api.interceptors.response.use(
   (error) => {
     const message = error.response?.data?.message || 'An error occurred';
     
-    // Don't show toast for 403 permission errors or 423 lock errors (component will handle)
-    if (![403, 423].includes(error.response?.status)) {
+    // Don't show toast for 403 permission errors, 423 lock errors or duplicate
+    // warnings (component will handle)
+    if (![403, 423].includes(error.response?.status) && error.response?.data?.code !== 'DUPLICATE') {
       toast.error(message);
     }
     
@@ -75,18 +76,20 @@ export const getSalesRowById = async (id) => {
 
 /**
  * Create new sales row
+ * Fails with 409 / code DUPLICATE when the row looks like an existing one,
+ * unless options.allowDuplicate is set
  */
-export const createSalesRow = async (rowData) => {
-  const { data } = await api.post('/rows', rowData);
+export const createSalesRow = async (rowData, { allowDuplicate = false } = {}) => {
+  const { data } = await api.post('/rows', allowDuplicate ? { ...rowData, allowDuplicate } : rowData);
   toast.success(data.message || 'Sales row created successfully');
   return data;
 };
 
 /**
- * Update sales row
+ * Update sales row (same duplicate check as createSalesRow)
  */
-export const updateSalesRow = async (id, updates) => {
-  const { data } = await api.put(`/rows/${id}`, updates);
+export const updateSalesRow = async (id, updates, { allowDuplicate = false } = {}) => {
+  const { data } = await api.put(`/rows/${id}`, allowDuplicate ? { ...updates, allowDuplicate } : updates);
   toast.success(data.message || 'Sales row updated successfully');
   return data;
 };
@@ -142,6 +145,25 @@ export const getActivityLog = async (id, params = {}) => {
   return data;
 };
 
+/**
+ * Get the project fields pre-filled from a won row, and whether it can be converted
+ */
+export const getProjectDraft = async (id) => {
+  const { data } = await api.get(`/rows/${id}/project-draft`);
+  return data;
+};
+
+/**
+ * Convert a won row into a project
+ * @param {string} id - Sales row id
+ * @param {Object} project - Project fields (department, name, billing, clientDetails, ...)
+ */
+export const convertRowToProject = async (id, project) => {
+  const { data } = await api.post(`/rows/${id}/convert`, project);
+  toast.success(data.message || 'Project created');
+  return data;
+};
+
 /**
  * Export sales rows (respects current filters and sorting)
  */
@@ -183,6 +205,58 @@ export const importRows = async (data, newColumns = null) => {
   return response.data;
 };
 
+/**
+ * List probable duplicates in import rows (against existing rows and earlier
+ * rows of the same file) without importing anything
+ */
+export const previewImport = async (data) => {
+  const response = await api.post('/rows/import/preview', { data });
+  return response.data;
+};
+
+/**
+ * Merge the secondary row into the primary row; the secondary row is removed
+ * @param {Object<string, 'primary'|'secondary'>} fieldChoices - Which row's value each field keeps
+ */
+export const mergeRows = async (primaryId, secondaryId, fieldChoices = {}) => {
+  const { data } = await api.post('/rows/merge', { primaryId, secondaryId, fieldChoices });
+  toast.success(data.message || 'Rows merged successfully');
+  return data;
+};
+
+// ============================================
+// SALES ANALYTICS API
+// ============================================
+
+/**
+ * Get pipeline analytics (accepts the row filters plus monthName and createdBy)
+ */
+export const getSalesAnalytics = async (params = {}) => {
+  const { data } = await api.get('/analytics', { params });
+  return data;
+};
+
+/**
+ * Export pipeline analytics as CSV or Excel
+ */
+export const exportSalesAnalytics = async (format = 'csv', params = {}) => {
+  const response = await api.get('/analytics/export', {
+    params: { format, ...params },
+    responseType: 'blob'
+  });
+
+  const url = window.URL.createObjectURL(new Blob([response.data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', `sales_analytics_${new Date().toISOString().split('T')[0]}.${format === 'xlsx' ? 'xlsx' : 'csv'}`);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  toast.success('Export completed successfully');
+  return response;
+};
+
 // ============================================
 // DROPDOWN MANAGEMENT API
 // ============================================
@@ -95,6 +95,11 @@ class SocketService {
       window.dispatchEvent(new CustomEvent('socket-card-moved', { detail: data }));
     });
 
+    this.socket.on('custom-fields-updated', (data) => {
+      console.log('Custom fields updated:', data);
+      window.dispatchEvent(new CustomEvent('socket-custom-fields-updated', { detail: data }));
+    });
+
     // Copy/Move cross-board events
     this.socket.on('task-copied', (data) => {
       console.log('Task copied:', data);
@@ -278,6 +283,11 @@ class SocketService {
       window.dispatchEvent(new CustomEvent('socket-user-project-access-changed', { detail: data }));
     });
 
+    // Running timer started, stopped or touched on any of the user's devices
+    this.socket.on('timer:changed', (data) => {
+      window.dispatchEvent(new CustomEvent('socket-timer-changed', { detail: data }));
+    });
+
     // Department assignment events
     this.socket.on('user-assigned', (data) => {
       console.log('User assigned to department:', data);
@@ -460,6 +470,14 @@ class SocketService {
       window.dispatchEvent(new CustomEvent('socket-sales-tab-approval-pending', { detail: data }));
     });
 
+    // Presence events
+    this.socket.on('presence:board', (data) => {
+      window.dispatchEvent(new CustomEvent('socket-presence-board', { detail: data }));
+    });
+    this.socket.on('presence:card', (data) => {
+      window.dispatchEvent(new CustomEvent('socket-presence-card', { detail: data }));
+    });
+
     // Announcement events
     this.socket.on('announcement-created', (data) => {
       console.log('Announcement created:', data);
@@ -641,29 +659,45 @@ class SocketService {
     }
   }
 
-  // Typing indicators
-  startTyping(cardId, userId, userName) {
+  // Presence
+  joinPresence(type, id) {
+    if (this.socket && this.connected) {
+      return new Promise((resolve) => {
+        this.socket.emit('presence:join', { type, id }, (response) => {
+          resolve({ viewers: response?.viewers || [], cards: response?.cards || {} });
+        });
+      });
+    }
+    return Promise.resolve({ viewers: [], cards: {} });
+  }
+
+  leavePresence(type, id) {
+    if (this.socket && this.connected) {
+      this.socket.emit('presence:leave', { type, id });
+    }
+  }
+
+  setPresenceActivity(cardId, activity) {
     if (this.socket && this.connected) {
-      this.socket.emit('typing-start', { cardId, userId, userName });
+      this.socket.emit('presence:activity', { cardId, activity });
     }
   }
 
-  stopTyping(cardId, userId) {
+  sendPresenceHeartbeat() {
     if (this.socket && this.connected) {
-      this.socket.emit('typing-stop', { cardId, userId });
+      this.socket.emit('presence:heartbeat');
     }
   }
 
-  // Online status
-  getUsersOnline(boardId) {
+  watchCardPresence(cardIds) {
     if (this.socket && this.connected) {
       return new Promise((resolve) => {
-        this.socket.emit('get-users-online', boardId, (users) => {
-          resolve(users);
+        this.socket.emit('presence:watch-cards', { cardIds }, (response) => {
+          resolve(response?.cards || {});
         });
       });
     }
-    return Promise.resolve([]);
+    return Promise.resolve({});
   }
 
   // Utility methods
@@ -96,13 +96,15 @@ class VersionService {
   }
 
   // Rollback to a specific version
-  async rollbackToVersion(entityType, entityId, versionNumber) {
+  // For field snapshots (card, subtask, nano_subtask, board) pass `field` to restore only that field
+  async rollbackToVersion(entityType, entityId, versionNumber, field = null) {
     try {
       const response = await fetch(
         `${baseURL}/api/versions/${entityType}/${entityId}/rollback/${versionNumber}`,
         {
           method: 'POST',
-          headers: this.getHeaders()
+          headers: this.getHeaders(),
+          body: JSON.stringify(field ? { field } : {})
         }
       );
 
@@ -0,0 +1,86 @@
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import Database from '../services/database';
+
+const EMPTY = [];
+
+const sortFields = (fields) =>
+  [...fields].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+
+/**
+ * Custom field definitions, cached per board so the workflow page, filter
+ * panel, card sidebar and CSV export all read the same list.
+ */
+const useCustomFieldStore = create(
+  devtools(
+    (set, get) => ({
+      // State
+      fieldsByBoard: {},
+      loading: false,
+
+      getFields: (boardId) => get().fieldsByBoard[boardId] || EMPTY,
+
+      // Fetch definitions for a board (always fresh)
+      fetchFields: async (boardId) => {
+        if (!boardId) return EMPTY;
+        set({ loading: true });
+
+        try {
+          const response = await Database.getCustomFieldsByBoard(boardId);
+          const fields = sortFields(response.data || []);
+          set((state) => ({
+            fieldsByBoard: { ...state.fieldsByBoard, [boardId]: fields },
+            loading: false,
+          }));
+          return fields;
+        } catch (error) {
+          console.error('Error fetching custom fields:', error);
+          set({ loading: false });
+          return get().getFields(boardId);
+        }
+      },
+
+      createField: async (boardId, field) => {
+        const response = await Database.createCustomField({ ...field, boardId });
+        set((state) => ({
+          fieldsByBoard: {
+            ...state.fieldsByBoard,
+            [boardId]: sortFields([...(state.fieldsByBoard[boardId] || []), response.data]),
+          },
+        }));
+        return response.data;
+      },
+
+      updateField: async (boardId, fieldId, updates) => {
+        const response = await Database.updateCustomField(fieldId, updates);
+        set((state) => ({
+          fieldsByBoard: {
+            ...state.fieldsByBoard,
+            [boardId]: sortFields((state.fieldsByBoard[boardId] || []).map(f => (f._id === fieldId ? response.data : f))),
+          },
+        }));
+        return response.data;
+      },
+
+      deleteField: async (boardId, fieldId) => {
+        await Database.deleteCustomField(fieldId);
+        set((state) => ({
+          fieldsByBoard: {
+            ...state.fieldsByBoard,
+            [boardId]: (state.fieldsByBoard[boardId] || []).filter(f => f._id !== fieldId),
+          },
+        }));
+        return true;
+      },
+
+      // Set one value on a card; resolves with the card's full customFields map
+      setCardValue: async (cardId, fieldId, value) => {
+        const response = await Database.setCardCustomField(cardId, fieldId, value);
+        return response.data?.customFields || {};
+      },
+    }),
+    { name: 'CustomFieldStore' }
+  )
+);
+
+export default useCustomFieldStore;
@@ -0,0 +1,158 @@
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import socketService from '../services/socket';
+
+// The server hides viewers after two minutes without a heartbeat, and drops
+// editing/typing back to viewing after fifteen seconds without a refresh
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const ACTIVITY_REFRESH_MS = 5 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'];
+
+// `board:<id>` | `card:<id>` → number of mounted components showing it
+const joinCounts = new Map();
+// Token → card ids, for list and calendar views watching cards they show
+const watchers = new Map();
+let lastHeartbeatAt = 0;
+let lastActivity = { cardId: null, activity: null, at: 0 };
+
+const targetKey = (type, id) => `${type}:${id}`;
+
+/** Keep the user present while they interact, at most once per interval */
+const markActive = () => {
+  if (document.visibilityState !== 'visible' || joinCounts.size === 0) return;
+  const now = Date.now();
+  if (now - lastHeartbeatAt < HEARTBEAT_INTERVAL_MS) return;
+  lastHeartbeatAt = now;
+  socketService.sendPresenceHeartbeat();
+};
+
+const startTracking = () => {
+  ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, markActive, { passive: true }));
+  document.addEventListener('visibilitychange', markActive);
+};
+
+const stopTracking = () => {
+  ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, markActive));
+  document.removeEventListener('visibilitychange', markActive);
+};
+
+const watchedCardIds = () => [...new Set([...watchers.values()].flat())];
+
+const usePresenceStore = create(devtools((set, get) => ({
+  // boardId → viewers
+  boards: {},
+  // cardId → viewers
+  cards: {},
+
+  setBoardViewers: (boardId, viewers) => set((state) => ({
+    boards: { ...state.boards, [boardId]: viewers }
+  })),
+
+  setCardViewers: (cardViewers) => set((state) => ({
+    cards: { ...state.cards, ...cardViewers }
+  })),
+
+  /**
+   * Show the user as present on a board or card. Calls are counted, so each
+   * join needs a matching leave.
+   */
+  join: async (type, id) => {
+    const key = targetKey(type, id);
+    const count = joinCounts.get(key) || 0;
+    joinCounts.set(key, count + 1);
+    if (count > 0) return;
+    if (joinCounts.size === 1) startTracking();
+
+    lastHeartbeatAt = Date.now();
+    const { viewers, cards } = await socketService.joinPresence(type, id);
+    if (!joinCounts.has(key)) return;
+    if (type === 'board') {
+      get().setBoardViewers(id, viewers);
+      get().setCardViewers(cards);
+    } else {
+      get().setCardViewers({ [id]: viewers });
+    }
+  },
+
+  leave: (type, id) => {
+    const key = targetKey(type, id);
+    const count = joinCounts.get(key) || 0;
+    if (count > 1) {
+      joinCounts.set(key, count - 1);
+      return;
+    }
+    if (count === 0) return;
+    joinCounts.delete(key);
+    if (joinCounts.size === 0) stopTracking();
+    socketService.leavePresence(type, id);
+  },
+
+  /**
+   * Follow who has these cards open without opening them. Returns a function
+   * that stops watching.
+   */
+  watchCards: (cardIds) => {
+    const token = Symbol('card-watch');
+    watchers.set(token, cardIds);
+    get().syncWatchedCards();
+    return () => {
+      watchers.delete(token);
+      get().syncWatchedCards();
+    };
+  },
+
+  syncWatchedCards: async () => {
+    const ids = watchedCardIds();
+    const snapshot = await socketService.watchCardPresence(ids);
+    get().setCardViewers(Object.fromEntries(ids.map((cardId) => [cardId, snapshot[cardId] || []])));
+  },
+
+  /**
+   * Tell others what the user is doing on an open card: 'viewing',
+   * 'editing-description' or 'typing-comment'. Repeats of the same activity
+   * are throttled; a change is sent at once.
+   */
+  reportActivity: (cardId, activity) => {
+    if (!cardId || !joinCounts.has(targetKey('card', cardId))) return;
+    const now = Date.now();
+    const same = lastActivity.cardId === cardId && lastActivity.activity === activity;
+    if (same && now - lastActivity.at < ACTIVITY_REFRESH_MS) return;
+    lastActivity = { cardId, activity, at: now };
+    lastHeartbeatAt = now;
+    socketService.setPresenceActivity(cardId, activity);
+  },
+
+  // Rejoin after a reconnect: the server forgets a socket's presence with it
+  rejoin: async () => {
+    const { setBoardViewers, setCardViewers } = get();
+    lastActivity = { cardId: null, activity: null, at: 0 };
+    lastHeartbeatAt = Date.now();
+    await Promise.all([...joinCounts.keys()].map(async (key) => {
+      const [type, id] = key.split(':');
+      const { viewers, cards } = await socketService.joinPresence(type, id);
+      if (type === 'board') {
+        setBoardViewers(id, viewers);
+        setCardViewers(cards);
+      } else {
+        setCardViewers({ [id]: viewers });
+      }
+    }));
+    if (watchers.size > 0) get().syncWatchedCards();
+  },
+}), { name: 'PresenceStore' }));
+
+window.addEventListener('socket-connected', () => {
+  usePresenceStore.getState().rejoin();
+});
+
+window.addEventListener('socket-presence-board', (event) => {
+  const { boardId, viewers } = event.detail || {};
+  if (boardId) usePresenceStore.getState().setBoardViewers(boardId, viewers || []);
+});
+
+window.addEventListener('socket-presence-card', (event) => {
+  const { cardId, viewers } = event.detail || {};
+  if (cardId) usePresenceStore.getState().setCardViewers({ [cardId]: viewers || [] });
+});
+
+export default usePresenceStore;
@@ -144,9 +144,9 @@ const useSalesStore = create(
       /**
        * Create new sales row (with optimistic update)
        */
-      createRow: async (rowData) => {
+      createRow: async (rowData, options) => {
         try {
-          const response = await salesApi.createSalesRow(rowData);
+          const response = await salesApi.createSalesRow(rowData, options);
           set(state => {
             // Insert new row in correct date-sorted position
             const newRow = response.data;
@@ -178,7 +178,7 @@ const useSalesStore = create(
       /**
        * Update sales row (with optimistic update and offline draft)
        */
-      updateRow: async (id, updates) => {
+      updateRow: async (id, updates, options) => {
         // Optimistic update
         const previousRows = get().rows;
         set(state => ({
@@ -188,7 +188,7 @@ const useSalesStore = create(
         }));
 
         try {
-          const response = await salesApi.updateSalesRow(id, updates);
+          const response = await salesApi.updateSalesRow(id, updates, options);
           
           // Confirm with server data
           set(state => ({
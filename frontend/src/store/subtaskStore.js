@@ -2,6 +2,7 @@ import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
 import { shallow } from 'zustand/shallow';
 import Database from '../services/database';
+import { SYNC_EVENT } from '../services/backgroundSync';
 
 /**
  * Normalized Subtask Store
@@ -113,7 +114,10 @@ const useSubtaskStore = create(
 
         try {
           const response = await Database.createSubtask(taskId, payload);
-          const realSubtask = response.data || response;
+          // Offline: keep the optimistic subtask under the queue's placeholder id
+          const realSubtask = response.queued
+            ? { ...tempSubtask, _id: response.data._id, pendingSync: true }
+            : (response.data || response);
 
           // Replace temp with real
           set(s => {
@@ -166,6 +170,8 @@ const useSubtaskStore = create(
 
         try {
           const response = await Database.updateSubtask(subtaskId, updates);
+          // Queued offline: the optimistic version stands until replay
+          if (response.queued) return get().subtasksById[subtaskId];
           const updatedSubtask = response.data || response;
 
           // Update with server response
@@ -316,6 +322,28 @@ const useSubtaskStore = create(
         });
       },
 
+      // Swap a subtask created offline for the one the server created on replay
+      replaceOfflineSubtask: (tempId, subtask) => {
+        set(s => {
+          const placeholder = s.subtasksById[tempId];
+          if (!placeholder) return {};
+          const taskId = placeholder.parentTask;
+
+          const newById = { ...s.subtasksById, [subtask._id]: subtask };
+          delete newById[tempId];
+
+          const newIdsByTask = { ...s.subtaskIdsByTask };
+          if (taskId && newIdsByTask[taskId]) {
+            // A socket event may have added the real subtask already
+            newIdsByTask[taskId] = newIdsByTask[taskId].includes(subtask._id)
+              ? newIdsByTask[taskId].filter(id => id !== tempId)
+              : newIdsByTask[taskId].map(id => (id === tempId ? subtask._id : id));
+          }
+
+          return { subtasksById: newById, subtaskIdsByTask: newIdsByTask };
+        });
+      },
+
       handleSubtaskDeleted: (subtaskId) => {
         set(s => {
           const subtask = s.subtasksById[subtaskId];
@@ -338,6 +366,21 @@ const useSubtaskStore = create(
   )
 );
 
+// Apply the outcome of offline changes once the queue has replayed them
+window.addEventListener(SYNC_EVENT, (event) => {
+  const { kind, type, id, tempId, data } = event.detail || {};
+  if (type !== 'subtask') return;
+  const store = useSubtaskStore.getState();
+  if (kind === 'created') {
+    store.replaceOfflineSubtask(tempId, data);
+  } else if (kind === 'server-state') {
+    if (store.subtasksById[id]) store.handleSubtaskUpdated(id, data);
+    else store.handleSubtaskCreated(data.parentTask?._id || data.parentTask, data);
+  } else if (kind === 'removed') {
+    store.handleSubtaskDeleted(id);
+  }
+});
+
 // ============ HOOK SELECTORS (with shallow comparison) ============
 
 /**
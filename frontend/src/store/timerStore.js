@@ -0,0 +1,107 @@
+import { create } from 'zustand';
+import { devtools } from 'zustand/middleware';
+import Database from '../services/database';
+
+// Fired on window after a stop logs an entry, so open modals can append it
+export const TIMER_LOGGED_EVENT = 'timer-time-logged';
+
+/**
+ * Seconds the timer has been running, counting from the server's figure at
+ * the time it was received so a skewed local clock doesn't matter.
+ */
+export const getTimerElapsedSeconds = (timer, receivedAt, now = Date.now()) => {
+  if (!timer) return 0;
+  return timer.elapsedSeconds + Math.max(0, Math.floor((now - receivedAt) / 1000));
+};
+
+/**
+ * H:MM:SS for a running timer.
+ */
+export const formatTimerDuration = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * Whether the owner has been inactive longer than the server's idle limit.
+ */
+export const isTimerIdle = (timer, receivedAt, now = Date.now()) => {
+  if (!timer) return false;
+  const serverNow = new Date(timer.startedAt).getTime() + getTimerElapsedSeconds(timer, receivedAt, now) * 1000;
+  return serverNow - new Date(timer.lastActivityAt).getTime() > timer.idleLimitMinutes * 60 * 1000;
+};
+
+const useTimerStore = create(devtools((set, get) => ({
+  timer: null,
+  receivedAt: 0,
+  loaded: false,
+  busy: false,
+
+  setTimer: (timer) => set({ timer, receivedAt: Date.now(), loaded: true }),
+
+  fetchTimer: async () => {
+    try {
+      const res = await Database.getCurrentTimer();
+      get().setTimer(res.data);
+    } catch (error) {
+      console.error('Failed to load timer:', error);
+    }
+  },
+
+  /**
+   * Start a timer on an item. With `replace` a running timer is stopped (and
+   * its time logged) first; otherwise a running timer rejects with status 409.
+   */
+  startTimer: async (itemType, itemId, { replace = false } = {}) => {
+    set({ busy: true });
+    try {
+      if (replace && get().timer) await get().stopTimer();
+      const res = await Database.startTimer({ itemType, itemId });
+      get().setTimer(res.data);
+      return res.data;
+    } finally {
+      set({ busy: false });
+    }
+  },
+
+  /**
+   * Stop the timer and log its time. Returns the logged entry, or null when
+   * the timer ran for less than a minute.
+   */
+  stopTimer: async ({ endedAt, description } = {}) => {
+    set({ busy: true });
+    try {
+      const res = await Database.stopTimer({ endedAt, description });
+      get().setTimer(null);
+      if (res.data.entry) {
+        window.dispatchEvent(new CustomEvent(TIMER_LOGGED_EVENT, { detail: res.data }));
+      }
+      return res.data.entry;
+    } finally {
+      set({ busy: false });
+    }
+  },
+
+  discardTimer: async () => {
+    set({ busy: true });
+    try {
+      await Database.discardTimer();
+      get().setTimer(null);
+    } finally {
+      set({ busy: false });
+    }
+  },
+
+  sendHeartbeat: async () => {
+    try {
+      const res = await Database.sendTimerHeartbeat();
+      get().setTimer(res.data);
+    } catch (error) {
+      console.error('Failed to update timer activity:', error);
+    }
+  },
+}), { name: 'TimerStore' }));
+
+export default useTimerStore;
@@ -10,6 +10,8 @@ const getEmptyFilters = () => ({
   labels: [],
   startDate: { type: 'any', value: null },
   dueDate: { type: 'any', value: null },
+  // { [fieldId]: { type, value } } — see matchesCustomFieldFilter
+  customFields: {},
 });
 
 const loadFromStorage = (projectId, userId) => {
@@ -88,6 +90,61 @@ const matchesDateFilter = (dateStr, filter) => {
   }
 };
 
+const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const DATE_FILTER_TYPES = ['today', 'thisWeek', 'overdue', 'before', 'after', 'between', 'exact'];
+
+// Custom field criterion: { type, value }
+//   empty / notEmpty               — any field type
+//   contains                       — text, url
+//   eq / gt / lt / range {min,max} — number, currency
+//   today … exact                  — date (same shapes as startDate/dueDate)
+//   in [ids]                       — select, multi_select, user (matches any)
+//   checked / unchecked            — checkbox
+const matchesCustomFieldFilter = (value, criterion) => {
+  if (!criterion || criterion.type === 'any') return true;
+
+  if (criterion.type === 'empty') return isEmptyValue(value);
+  if (criterion.type === 'notEmpty') return !isEmptyValue(value);
+  if (criterion.type === 'checked') return value === true;
+  if (criterion.type === 'unchecked') return value !== true;
+  if (DATE_FILTER_TYPES.includes(criterion.type)) return matchesDateFilter(value, criterion);
+
+  if (isEmptyValue(value)) return false;
+
+  switch (criterion.type) {
+    case 'contains':
+      return String(value).toLowerCase().includes(String(criterion.value || '').toLowerCase());
+    case 'eq':
+      return Number(value) === Number(criterion.value);
+    case 'gt':
+      return Number(value) > Number(criterion.value);
+    case 'lt':
+      return Number(value) < Number(criterion.value);
+    case 'range': {
+      const { min, max } = criterion.value || {};
+      if (min !== undefined && min !== null && min !== '' && Number(value) < Number(min)) return false;
+      if (max !== undefined && max !== null && max !== '' && Number(value) > Number(max)) return false;
+      return true;
+    }
+    case 'in': {
+      const selected = criterion.value || [];
+      if (selected.length === 0) return true;
+      const values = Array.isArray(value) ? value : [value];
+      return values.some(v => selected.includes(v));
+    }
+    default:
+      return true;
+  }
+};
+
+const isCustomFieldCriterionActive = (criterion) => {
+  if (!criterion || criterion.type === 'any') return false;
+  if (criterion.type === 'in') return (criterion.value || []).length > 0;
+  return true;
+};
+
 // Reusable: test a single card against a given filter set
 const testCardAgainstFilters = (card, listTitle, filterSet) => {
   if (filterSet.status.length > 0) {
@@ -121,6 +178,11 @@ const testCardAgainstFilters = (card, listTitle, filterSet) => {
   if (!matchesDateFilter(card.startDate, filterSet.startDate)) return false;
   if (!matchesDateFilter(card.dueDate, filterSet.dueDate)) return false;
 
+  for (const [fieldId, criterion] of Object.entries(filterSet.customFields || {})) {
+    if (!isCustomFieldCriterionActive(criterion)) continue;
+    if (!matchesCustomFieldFilter(card.customFields?.[fieldId], criterion)) return false;
+  }
+
   return true;
 };
 
@@ -132,6 +194,7 @@ const countActiveFilters = (f) => {
   if (f.labels.length > 0) count++;
   if (f.startDate.type !== 'any') count++;
   if (f.dueDate.type !== 'any') count++;
+  count += Object.values(f.customFields || {}).filter(isCustomFieldCriterionActive).length;
   return count;
 };
 
@@ -218,6 +281,10 @@ const useWorkflowFilterStore = create((set, get) => ({
 
     if (key === 'startDate' || key === 'dueDate') {
       updated = { ...filters, [key]: empty[key] };
+    } else if (key === 'customFields') {
+      // value is the field id
+      const { [value]: _removed, ...rest } = filters.customFields || {};
+      updated = { ...filters, customFields: rest };
     } else {
       const arr = filters[key] || [];
       updated = { ...filters, [key]: arr.filter(v => v !== value) };
@@ -226,6 +293,20 @@ const useWorkflowFilterStore = create((set, get) => ({
     saveToStorage(projectId, userId, updated);
   },
 
+  // Drop criteria for custom fields that no longer exist on the board
+  pruneCustomFieldFilters: (fieldIds) => {
+    const { filters, draftFilters, projectId, userId } = get();
+    const keep = new Set(fieldIds);
+    const prune = (f) => Object.fromEntries(
+      Object.entries(f.customFields || {}).filter(([id]) => keep.has(id))
+    );
+    const current = filters.customFields || {};
+    if (Object.keys(current).every(id => keep.has(id))) return;
+    const updated = { ...filters, customFields: prune(filters) };
+    set({ filters: updated, draftFilters: { ...draftFilters, customFields: prune(draftFilters) } });
+    saveToStorage(projectId, userId, updated);
+  },
+
   // ── Queries ──
   getActiveFilterCount: () => countActiveFilters(get().filters),
   hasActiveFilters: () => countActiveFilters(get().filters) > 0,
@@ -253,5 +334,5 @@ const useWorkflowFilterStore = create((set, get) => ({
   },
 }));
 
-export { getEmptyFilters };
+export { getEmptyFilters, isCustomFieldCriterionActive };
 export default useWorkflowFilterStore;
@@ -2,6 +2,8 @@ import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
 import { shallow } from 'zustand/shallow';
 import Database from '../services/database';
+import { warnLeaveConflicts } from '../utils/leaveWarnings';
+import { SYNC_EVENT } from '../services/backgroundSync';
 
 // Helper to build cardsById from cardsByList
 const buildCardsById = (cardsByList) => {
@@ -249,7 +251,10 @@ const useWorkflowStore = create(
 
         try {
           const newCard = await Database.createCard(listId, title, boardId);
-          const realCard = newCard.data || newCard;
+          // Offline: keep the optimistic card under the queue's placeholder id
+          const realCard = newCard.queued
+            ? { ...tempCard, _id: newCard.data._id, pendingSync: true }
+            : (newCard.data || newCard);
 
           // Replace temp card with real card
           set((state) => {
@@ -406,7 +411,8 @@ const useWorkflowStore = create(
           delete backendUpdates._assigneesPopulated;
           delete backendUpdates._coverImagePopulated;
           
-          await Database.updateCard(cardId, backendUpdates);
+          const response = await Database.updateCard(cardId, backendUpdates);
+          warnLeaveConflicts(response?.warnings?.leave);
         } catch (error) {
           console.error('Error updating card:', error);
           // Rollback optimistic update
@@ -497,6 +503,28 @@ const useWorkflowStore = create(
         });
       },
 
+      // Swap a card created offline for the one the server created on replay
+      replaceOfflineCard: (tempId, card) => {
+        set((state) => {
+          if (!state.cardsById[tempId]) return {};
+          const newCardsByList = { ...state.cardsByList };
+          // A socket event may have added the real card already
+          const alreadyAdded = Boolean(state.cardsById[card._id]);
+          Object.keys(newCardsByList).forEach(listId => {
+            newCardsByList[listId] = alreadyAdded
+              ? newCardsByList[listId].filter(c => c._id !== tempId)
+              : newCardsByList[listId].map(c => (c._id === tempId ? card : c));
+          });
+          const newCardsById = { ...state.cardsById, [card._id]: card };
+          delete newCardsById[tempId];
+          return {
+            cardsByList: newCardsByList,
+            cardsById: newCardsById,
+            lastUpdated: Date.now()
+          };
+        });
+      },
+
       // Move card with optimistic update
       moveCard: async (cardId, newListId, newPosition, newStatus) => {
         const state = get();
@@ -539,7 +567,7 @@ const useWorkflowStore = create(
         set({ cardsByList: newCardsByList, cardsById: newCardsById, lastUpdated: Date.now() });
 
         try {
-          await Database.moveCard(cardId, newListId, newPosition, newStatus);
+          return await Database.moveCard(cardId, newListId, newPosition, newStatus);
         } catch (error) {
           console.error('Error moving card:', error);
           // Rollback to exact previous state including cardsById
@@ -682,6 +710,38 @@ const useWorkflowStore = create(
         }
       },
 
+      // Update list WIP limit ({ wipLimit, wipMode }); wipLimit null removes it
+      updateListWip: async (listId, wip) => {
+        const state = get();
+        const originalList = state.lists.find(list => list._id === listId);
+
+        if (!originalList) return;
+
+        // Optimistic update
+        set((state) => ({
+          lists: state.lists.map(list =>
+            list._id === listId ? { ...list, ...wip } : list
+          ),
+          lastUpdated: Date.now()
+        }));
+
+        try {
+          const res = await Database.updateList(listId, wip);
+          if (res?.success === false) {
+            throw new Error(res.message || res.errors?.[0]?.message || 'Failed to update WIP limit');
+          }
+        } catch (error) {
+          console.error('Error updating list WIP limit:', error);
+          // Rollback optimistic update
+          set((state) => ({
+            lists: state.lists.map(list =>
+              list._id === listId ? originalList : list
+            )
+          }));
+          throw error;
+        }
+      },
+
       // Move list with optimistic update
       moveList: async (listId, newPosition) => {
         const state = get();
@@ -862,6 +922,21 @@ const useWorkflowStore = create(
   )
 );
 
+// Apply the outcome of offline changes once the queue has replayed them
+window.addEventListener(SYNC_EVENT, (event) => {
+  const { kind, type, id, tempId, data } = event.detail || {};
+  if (type !== 'card') return;
+  const store = useWorkflowStore.getState();
+  if (kind === 'created') {
+    store.replaceOfflineCard(tempId, data);
+  } else if (kind === 'server-state') {
+    if (store.cardsById[id]) store.updateCardLocal(id, data);
+    else store.addCardFromSocket(data);
+  } else if (kind === 'removed') {
+    store.removeCardFromSocket(id);
+  }
+});
+
 // ============ SELECTOR HOOKS (with shallow comparison) ============
 
 /**
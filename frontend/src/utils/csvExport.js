@@ -3,6 +3,8 @@
  * Generates a downloadable CSV report from the current (filtered) board data.
  */
 
+import { formatCustomFieldValue, getCustomFieldValue, getOptionMap, isEmptyCustomFieldValue } from './customFields';
+
 const escapeCSV = (value) => {
   if (value == null) return '';
   const str = String(value);
@@ -27,14 +29,31 @@ const formatTimeMinutes = (totalMinutes) => {
   return m > 0 ? `${h}h ${m}m` : `${h}h`;
 };
 
+// Numbers stay raw so spreadsheets can sum them; the currency code goes in the header
+const customFieldHeader = (field) =>
+  field.type === 'currency' ? `${field.name} (${field.currency || 'USD'})` : field.name;
+
+const customFieldCell = (field, card, userMap) => {
+  const value = getCustomFieldValue(card, field._id);
+  if ((field.type === 'number' || field.type === 'currency') && !isEmptyCustomFieldValue(value)) return value;
+  if (field.type === 'date') return formatDate(value);
+  if (field.type === 'multi_select') {
+    const options = getOptionMap(field);
+    return (Array.isArray(value) ? value : []).map(id => options[id]?.label).filter(Boolean).join('; ');
+  }
+  return formatCustomFieldValue(field, value, userMap);
+};
+
 /**
  * @param {Object} params
  * @param {Object} params.board - Board object with name, etc.
  * @param {Array}  params.lists - Array of list objects
  * @param {Object} params.cardsByList - { listId: Card[] } (already filtered)
  * @param {string} params.userName - Name of user performing the export
+ * @param {Array}  [params.customFields] - Board custom field definitions (one column each)
+ * @param {Object} [params.userMap] - { userId: name } for user-type custom fields
  */
-export function generateWorkflowCSV({ board, lists, cardsByList, userName }) {
+export function generateWorkflowCSV({ board, lists, cardsByList, userName, customFields = [], userMap = {} }) {
   const rows = [];
 
   // Master header block
@@ -61,6 +80,7 @@ export function generateWorkflowCSV({ board, lists, cardsByList, userName }) {
     'Created By',
     'Last Updated',
     'Task ID',
+    ...customFields.map(customFieldHeader),
   ];
   rows.push(headers);
 
@@ -116,6 +136,7 @@ export function generateWorkflowCSV({ board, lists, cardsByList, userName }) {
         createdByName,
         formatDate(card.updatedAt),
         card._id || '',
+        ...customFields.map(field => customFieldCell(field, card, userMap)),
       ]);
     }
   }
@@ -0,0 +1,78 @@
+/**
+ * Helpers for per-project custom fields on cards.
+ * Definitions come from /api/custom-fields; values live on card.customFields
+ * keyed by field id (see backend/services/customFields/customFieldService.js
+ * for how each type is stored).
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Single select' },
+  { value: 'multi_select', label: 'Multi select' },
+  { value: 'user', label: 'User' },
+  { value: 'url', label: 'URL' },
+  { value: 'checkbox', label: 'Checkbox' },
+];
+
+export const SELECT_TYPES = ['select', 'multi_select'];
+
+export const getCustomFieldValue = (card, fieldId) => {
+  const values = card?.customFields;
+  if (!values) return null;
+  return values[fieldId] ?? null;
+};
+
+export const isEmptyCustomFieldValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+export const getOptionMap = (field) => {
+  const map = {};
+  (field?.options || []).forEach(o => { map[o._id] = o; });
+  return map;
+};
+
+export const formatCurrency = (value, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+  } catch {
+    return `${Number(value).toFixed(2)} ${currency}`;
+  }
+};
+
+/**
+ * Human-readable value for display and export.
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @param {Object} [userMap] - { userId: name } for user fields
+ */
+export const formatCustomFieldValue = (field, value, userMap = {}) => {
+  if (field?.type === 'checkbox') return value ? 'Yes' : 'No';
+  if (isEmptyCustomFieldValue(value)) return '';
+
+  switch (field.type) {
+    case 'number':
+      return Number(value).toLocaleString('en-US');
+    case 'currency':
+      return formatCurrency(value, field.currency);
+    case 'date': {
+      const d = new Date(value);
+      if (isNaN(d.getTime())) return '';
+      return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+    case 'select':
+    case 'multi_select': {
+      const options = getOptionMap(field);
+      return (Array.isArray(value) ? value : [value])
+        .map(id => options[id]?.label)
+        .filter(Boolean)
+        .join(', ');
+    }
+    case 'user':
+      return userMap[value] || 'Unknown user';
+    default:
+      return String(value);
+  }
+};
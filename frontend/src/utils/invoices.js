@@ -0,0 +1,6 @@
+export const formatInvoiceMoney = (amount) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(amount || 0);
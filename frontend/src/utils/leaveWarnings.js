@@ -0,0 +1,17 @@
+import { toast } from 'react-toastify';
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Warns when work was assigned to people who are on approved leave on its
+ * due date. `conflicts` is the `warnings.leave` / `leaveConflicts` list the
+ * API returns alongside the saved item.
+ */
+export const warnLeaveConflicts = (conflicts) => {
+  if (!conflicts?.length) return;
+  const people = conflicts
+    .map((c) => `${c.user?.name || 'Someone'} (${formatDay(c.startDate)}–${formatDay(c.endDate)})`)
+    .join(', ');
+  toast.warning(`Due date falls during approved leave: ${people}`, { autoClose: 8000 });
+};
@@ -11,7 +11,8 @@
 const TASK_TYPES = new Set([
   'task_assigned', 'task_updated', 'task_created', 'task_completed',
   'task_due_soon', 'task_overdue', 'task_moved', 'member_added',
-  'deadline_approaching', 'status_change',
+  'deadline_approaching', 'status_change', 'task_unblocked',
+  'automation_alert',
 ]);
 
 const COMMENT_TYPES = new Set([
@@ -30,7 +31,7 @@ const TEAM_TYPES = new Set([
 
 const REMINDER_TYPES = new Set([
   'reminder_due_soon', 'reminder_sent', 'reminder_completed',
-  'reminder_missed', 'awaiting_client_response',
+  'reminder_missed', 'awaiting_client_response', 'client_responded',
 ]);
 
 const VERIFICATION_TYPES = new Set([
@@ -242,6 +243,22 @@ export function resolveNotificationRoute(notification) {
     );
   }
 
+  // ── Leave requests → reviewers' time-off panel, requester's calendar ─
+  if (type === 'leave_requested') {
+    return result('/hr-panel', null, notification?.metadata?.leaveRequestId || null, '/');
+  }
+  if (type === 'leave_reviewed') {
+    return result('/calendar', null, notification?.metadata?.leaveRequestId || null, '/');
+  }
+
+  // ── Timesheets → reviewers' HR panel, submitter's timesheets ─────
+  if (type === 'timesheet_submitted') {
+    return result('/hr-panel', null, notification?.metadata?.timesheetId || null, '/');
+  }
+  if (type === 'timesheet_reviewed') {
+    return result('/timesheets', null, notification?.metadata?.timesheetId || null, '/');
+  }
+
   // ── User verified/approved/declined → /teams or admin ─────────
   if (['user_verified', 'user_approved', 'user_declined'].includes(type)) {
     return result(
@@ -366,6 +383,10 @@ export function getNotificationRouteHint(notification) {
       : null;
   }
   if (type === 'module_access') return 'Sales';
+  if (type === 'leave_requested') return 'Team Time Off';
+  if (type === 'leave_reviewed') return 'Calendar';
+  if (type === 'timesheet_submitted') return 'Team Timesheets';
+  if (type === 'timesheet_reviewed') return 'Timesheets';
 
   return null;
 }